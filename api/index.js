@@ -28,7 +28,6 @@ const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const rateLimit = require('express-rate-limit');
 
 // Services
 const {
@@ -38,6 +37,7 @@ const {
   revokeToken,
   authMiddleware,
   optionalAuthMiddleware,
+  TOKEN_CONFIG,
 } = require('./services/auth');
 const {
   getTokenBalance,
@@ -76,20 +76,35 @@ const {
   getPlayerStats,
   getValidationMetrics,
 } = require('./services/gameValidation');
-const { requireAdmin, getSecurityMetrics, generateNonce, isAdmin } = require('./services/security');
+const { isSimulated } = require('./services/gameSimulation');
+const { getSecurityMetrics, generateNonce } = require('./services/security');
+const {
+  requirePermission,
+  getPermissions,
+  getRoles,
+  hasAdminAccess,
+  assign: assignRoles,
+  revoke: revokeRoles,
+  listAssignments,
+  initialize: initializeRbac,
+  shutdown: shutdownRbac,
+  PERMISSIONS,
+  ROLES,
+} = require('./services/rbac');
 const {
   metricsMiddleware,
   getSummaryMetrics,
   getDetailedMetrics,
   getPrometheusMetrics,
 } = require('./services/metrics');
-const { getHealthStatus: getDbHealth } = require('./services/database');
+const { getHealthStatus: getDbHealth, hydrateRepositories } = require('./services/database');
 const {
   verifyWebhookSignature: verifyHeliusSignature,
   processWebhookEvent,
   getWebhookMetrics,
   registerWebhook,
   listWebhooks,
+  initialize: initializeWebhooks,
 } = require('./services/webhooks');
 const {
   getWalletNFTs,
@@ -149,11 +164,85 @@ const {
   EVENTS,
   subscribe: _subscribeEvent,
   publish: publishEvent,
-  emitBurnConfirmed: _emitBurnConfirmed,
-  emitAchievementUnlocked: _emitAchievementUnlocked,
-  emitPurchaseCompleted: _emitPurchaseCompleted,
+  emitBurnConfirmed,
+  emitAchievementUnlocked,
+  emitGameCompleted,
+  emitPurchaseCompleted,
   getEventBusMetrics,
 } = require('./services/eventBus');
+const {
+  createEndpoint: createWebhookEndpoint,
+  listEndpoints: listWebhookEndpoints,
+  getEndpoint: getWebhookEndpoint,
+  updateEndpoint: updateWebhookEndpoint,
+  deleteEndpoint: deleteWebhookEndpoint,
+  rotateSecret: rotateWebhookSecret,
+  listDeliveries: listWebhookDeliveries,
+  getDelivery: getWebhookDelivery,
+  redeliver: redeliverWebhook,
+  sendTestEvent: sendWebhookTestEvent,
+  getTopics: getWebhookTopics,
+  initialize: initializeOutboundWebhooks,
+  shutdown: shutdownOutboundWebhooks,
+} = require('./services/outboundWebhooks');
+const {
+  issueKey: issueApiKey,
+  updateKey: updateApiKey,
+  rotateKey: rotateApiKey,
+  revokeKey: revokeApiKey,
+  getKey: getApiKey,
+  listKeys: listApiKeys,
+  getUsage: getApiKeyUsage,
+  createMiddleware: createApiKeyMiddleware,
+  getScopes: getApiKeyScopes,
+  getTiers: getApiKeyTiers,
+  getStats: getApiKeyStats,
+} = require('./services/apiKeys');
+const {
+  recordGameScore: recordSeasonGameScore,
+  recordReferral: recordSeasonReferral,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+  endSeason,
+  listSeasons,
+  getCurrentSeason,
+  getSeason,
+  getSeasonBoard,
+  getSeasonRank,
+  initialize: initializeSeasons,
+  shutdown: shutdownSeasons,
+  getStats: getSeasonStats,
+} = require('./services/seasons');
+const {
+  createTournament,
+  updateTournament,
+  cancelTournament,
+  register: registerForTournament,
+  startSession: startTournamentSession,
+  recordResult: recordTournamentResult,
+  listTournaments,
+  getTournament,
+  getStandings: getTournamentStandings,
+  getPlayerStatus: getTournamentPlayerStatus,
+  initialize: initializeTournaments,
+  shutdown: shutdownTournaments,
+  getStats: getTournamentStats,
+} = require('./services/tournaments');
+const {
+  startBackfill: startBurnBackfill,
+  reindexRange: reindexBurns,
+  pause: pauseBurnIndexer,
+  ingest: indexWebhookBurns,
+  getStatus: getBurnIndexerStatus,
+  getReconciliation: getBurnReconciliation,
+  initialize: initializeBurnIndexer,
+} = require('./services/burnIndexer');
+const {
+  getSeries: getBurnSeries,
+  initialize: initializeBurnAnalytics,
+  shutdown: shutdownBurnAnalytics,
+} = require('./services/burnAnalytics');
 const {
   get: _cacheGet,
   del: _cacheDel,
@@ -167,6 +256,9 @@ const {
   getJob,
   getJobsByStatus,
   getQueueStats,
+  retryJob,
+  purgeJob,
+  requeueDeadLetters,
   PRIORITY: _JOB_PRIORITY,
 } = require('./services/queue');
 const {
@@ -187,9 +279,8 @@ const {
   SCHEDULES: _SCHEDULES,
 } = require('./services/scheduler');
 const {
-  checkLimit: _checkRateLimit,
   checkTokenBucket: _checkTokenBucket,
-  createMiddleware: _createRateLimitMiddleware,
+  createMiddleware: createRateLimitMiddleware,
   getStats: getRateLimitStats,
   getBannedList,
   removeBan,
@@ -205,9 +296,12 @@ const {
 const {
   isEnabled: _isFeatureEnabled,
   evaluate: evaluateFlag,
+  getClientFlags,
   getAllFlags,
   setFlagEnabled,
   setFlagPercentage,
+  setFlagSchedule,
+  setFlagGuards,
   createFlag,
   getStats: getFeatureFlagStats,
   getHistory: getFlagHistory,
@@ -219,6 +313,8 @@ const {
   search: searchAudit,
   getActiveAlerts,
   exportLogs: exportAuditLogs,
+  verifyChain: verifyAuditChain,
+  initialize: initializeAuditChain,
   getStats: getAuditStats,
   createMiddleware: _createAuditMiddleware,
   EVENT_TYPES: AUDIT_EVENTS,
@@ -241,7 +337,7 @@ const {
   startSpan: _startSpan,
   endSpan: _endSpan,
   getCurrentTrace: _getCurrentTrace,
-  createMiddleware: _createTracingMiddleware,
+  createMiddleware: createTracingMiddleware,
   getTrace,
   searchTraces,
   getSlowTraces,
@@ -268,12 +364,17 @@ const {
   getAll: getAllConfig,
   onChange: _onConfigChange,
   getHistory: getConfigHistory,
+  rollback: rollbackConfig,
+  initialize: initializeConfig,
+  flush: flushConfig,
+  shutdown: shutdownConfig,
   getStats: getConfigStats,
   defineSchema: _defineConfigSchema,
 } = require('./services/config');
 const {
   registerServer,
   registerCleanup,
+  releaseConnection,
   middleware: shutdownMiddleware,
   initiateShutdown,
   getHealthState: getShutdownState,
@@ -344,6 +445,7 @@ const {
   getRequestStatus: getExportRequestStatus,
   getWalletRequests,
   getStats: getDataExportStats,
+  initialize: initializeDataExport,
 } = require('./services/dataExport');
 const {
   middleware: _idempotencyMiddleware,
@@ -362,6 +464,8 @@ const {
   blockDevice,
   trustDevice,
   getStats: getSessionStats,
+  initialize: initializeSessions,
+  shutdown: shutdownSessions,
 } = require('./services/sessionManager');
 const {
   registerTag: _registerApiTag,
@@ -476,8 +580,17 @@ app.use(
   })
 );
 
-// Body parsing
-app.use(express.json({ limit: '1mb' }));
+// Body parsing (webhook routes keep the raw body for signature checks)
+app.use(
+  express.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/webhook/')) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 
 // Cookie parsing
 app.use(cookieParser());
@@ -521,6 +634,12 @@ app.use('/api', (req, res, next) => {
   next();
 });
 
+/**
+ * Trace API requests
+ * Continues the caller's W3C traceparent; kept traces go to the configured exporter
+ */
+app.use('/api', createTracingMiddleware());
+
 /**
  * Sanitize common request parameters
  * Security: Prevents injection in query parameters
@@ -551,29 +670,35 @@ const JWT_COOKIE_OPTIONS = {
   secure: isProduction, // HTTPS only in production
   sameSite: isProduction ? 'strict' : 'lax', // CSRF protection
   path: '/api', // Only sent to API routes
-  maxAge: 24 * 60 * 60 * 1000, // 24 hours (match JWT expiry)
+  maxAge: TOKEN_CONFIG.accessTokenTTL, // Match JWT expiry
+};
+
+const REFRESH_COOKIE_NAME = 'asdf_refresh';
+const REFRESH_COOKIE_OPTIONS = {
+  ...JWT_COOKIE_OPTIONS,
+  path: '/api/auth', // Only sent to refresh and logout
+  maxAge: TOKEN_CONFIG.refreshTokenTTL,
 };
 
 /**
- * Set JWT token as httpOnly cookie
+ * Set access and refresh tokens as httpOnly cookies
  * @param {object} res - Express response object
- * @param {string} token - JWT token
+ * @param {{token: string, refreshToken: string}} tokens - Issued tokens
  */
-function setAuthCookie(res, token) {
+function setAuthCookie(res, { token, refreshToken }) {
   res.cookie(JWT_COOKIE_NAME, token, JWT_COOKIE_OPTIONS);
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, REFRESH_COOKIE_OPTIONS);
 }
 
 /**
- * Clear auth cookie (logout)
+ * Clear auth cookies (logout)
  * @param {object} res - Express response object
  */
 function clearAuthCookie(res) {
-  res.clearCookie(JWT_COOKIE_NAME, {
-    httpOnly: true,
-    secure: isProduction,
-    sameSite: isProduction ? 'strict' : 'lax',
-    path: '/api',
-  });
+  const { maxAge: _maxAge, ...accessOptions } = JWT_COOKIE_OPTIONS;
+  const { maxAge: _refreshMaxAge, ...refreshOptions } = REFRESH_COOKIE_OPTIONS;
+  res.clearCookie(JWT_COOKIE_NAME, accessOptions);
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshOptions);
 }
 
 /**
@@ -654,80 +779,74 @@ app.use(metricsMiddleware);
 const { requestTrackingMiddleware, errorTrackingMiddleware } = require('./services/monitoring');
 app.use(requestTrackingMiddleware);
 
+// Partner API keys replace the per-IP limit on the route groups they cover.
+// Rejected keys still count against the caller's IP: past the limit they are
+// refused before any lookup or audit.
+// Limits below share their windows and bans across instances (ratelimit store).
+const apiKeyRejectionLimiter = createRateLimitMiddleware({
+  name: 'api-key-rejections',
+  windowMs: 60 * 1000, // 1 minute
+  max: 10,
+  message: { error: 'Too many invalid API keys, please try again later' },
+  getIdentifier: req => req.ip,
+  skip: req => !req.headers['x-api-key'],
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+});
+const apiKeyMiddleware = createApiKeyMiddleware();
+app.use(
+  ['/api/token', '/api/ecosystem', '/api/leaderboard'],
+  apiKeyRejectionLimiter,
+  apiKeyMiddleware
+);
+
 // Rate limiting by IP
-const generalLimiter = rateLimit({
+const generalLimiter = createRateLimitMiddleware({
+  name: 'general',
   windowMs: 60 * 1000, // 1 minute
   max: 60,
   message: { error: 'Too many requests, please try again later' },
+  getIdentifier: req => req.ip,
+  skip: req => Boolean(req.apiKey),
 });
 
-const authLimiter = rateLimit({
+const authLimiter = createRateLimitMiddleware({
+  name: 'auth',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10,
   message: { error: 'Too many auth attempts, please try again later' },
+  getIdentifier: req => req.ip,
 });
 
-const purchaseLimiter = rateLimit({
+const purchaseLimiter = createRateLimitMiddleware({
+  name: 'purchase',
   windowMs: 60 * 1000,
   max: 5,
   message: { error: 'Too many purchase attempts, please try again later' },
+  getIdentifier: req => req.ip,
 });
 
 // Health endpoint rate limiter - prevent DoS via heavy metrics gathering
-const healthLimiter = rateLimit({
+const healthLimiter = createRateLimitMiddleware({
+  name: 'health',
   windowMs: 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute
   message: { error: 'Too many health check requests' },
+  getIdentifier: req => req.ip,
 });
 
-// Per-wallet rate limiting for sensitive operations
-const walletRateLimits = new Map();
-const WALLET_RATE_CONFIG = {
-  windowMs: 60 * 1000, // 1 minute window
-  maxRequests: 30, // 30 requests per wallet per minute
-  cleanupInterval: 5 * 60 * 1000, // Cleanup every 5 minutes
-};
-
 /**
- * Per-wallet rate limiter middleware
- * Tracks requests by wallet address in JWT
+ * Per-wallet rate limiter middleware for sensitive operations
+ * Tracks requests by wallet address in JWT (30 per minute)
  */
-function walletRateLimiter(req, res, next) {
-  if (!req.user?.wallet) {
-    return next(); // No wallet, use IP-based limiting
-  }
-
-  const wallet = req.user.wallet;
-  const now = Date.now();
-
-  let walletData = walletRateLimits.get(wallet);
-  if (!walletData || now - walletData.windowStart > WALLET_RATE_CONFIG.windowMs) {
-    walletData = { windowStart: now, count: 0 };
-  }
-
-  walletData.count++;
-  walletRateLimits.set(wallet, walletData);
-
-  if (walletData.count > WALLET_RATE_CONFIG.maxRequests) {
-    console.warn(`[RateLimit] Wallet ${wallet.slice(0, 8)}... exceeded limit`);
-    return res.status(429).json({
-      error: 'Too many requests from this wallet',
-      retryAfter: Math.ceil((walletData.windowStart + WALLET_RATE_CONFIG.windowMs - now) / 1000),
-    });
-  }
-
-  next();
-}
-
-// Cleanup wallet rate limits periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [wallet, data] of walletRateLimits.entries()) {
-    if (now - data.windowStart > WALLET_RATE_CONFIG.windowMs) {
-      walletRateLimits.delete(wallet);
-    }
-  }
-}, WALLET_RATE_CONFIG.cleanupInterval);
+const walletRateLimiter = createRateLimitMiddleware({
+  name: 'wallet',
+  windowMs: 60 * 1000, // 1 minute window
+  max: 30, // 30 requests per wallet per minute
+  message: { error: 'Too many requests from this wallet' },
+  getIdentifier: req => req.user.wallet,
+  skip: req => !req.user?.wallet, // No wallet, use IP-based limiting
+});
 
 app.use('/api', generalLimiter);
 app.use('/api/auth', authLimiter);
@@ -806,7 +925,7 @@ app.get('/health', healthLimiter, async (req, res) => {
         activeNonces: securityMetrics.activeNonces,
       },
       webhooks: {
-        queueSize: webhookMetrics.queueSize,
+        retriesQueued: webhookMetrics.retriesQueued,
         processed: webhookMetrics.processedCount,
       },
       assets: {
@@ -945,20 +1064,29 @@ app.get('/health', healthLimiter, async (req, res) => {
 // ============================================
 
 /**
- * Request authentication challenge
+ * Request a Sign-In With Solana challenge
  * POST /api/auth/challenge
+ * Body: { wallet? } - omit the wallet for one-click solana:signIn
+ * Returns the SIWS input (for solana:signIn) and, with a wallet, the message
+ * text to sign (for signMessage)
  */
 app.post('/api/auth/challenge', (req, res) => {
   try {
     const { wallet } = req.body;
 
-    if (!wallet || !isValidAddress(wallet)) {
+    if (wallet !== undefined && (typeof wallet !== 'string' || !isValidAddress(wallet))) {
       return res.status(400).json({ error: 'Invalid wallet address' });
     }
 
-    const challenge = generateChallenge(wallet);
+    const challenge = generateChallenge(wallet || null, { origin: req.get('origin') || null });
     res.json(challenge);
   } catch (error) {
+    if (error.message === 'Domain not allowed') {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.message.startsWith('Too many pending challenges')) {
+      return res.status(503).json({ error: error.message });
+    }
     res.status(500).json({ error: sanitizeError(error, 'challenge') });
   }
 });
@@ -966,20 +1094,30 @@ app.post('/api/auth/challenge', (req, res) => {
 /**
  * Verify signature and get JWT
  * POST /api/auth/verify
+ * Body: { wallet, signature, message? } - message is the signed SIWS text
+ * (required for solana:signIn, where the wallet formats it)
  * Sets JWT as httpOnly cookie for security
  */
 app.post('/api/auth/verify', async (req, res) => {
   try {
-    const { wallet, signature } = req.body;
+    const { wallet, signature, message } = req.body;
 
     if (!wallet || !signature) {
       return res.status(400).json({ error: 'Wallet and signature required' });
     }
 
-    const result = await verifyAndAuthenticate(wallet, signature);
+    if (message !== undefined && (typeof message !== 'string' || message.length > 2048)) {
+      return res.status(400).json({ error: 'Invalid sign-in message' });
+    }
+
+    const result = await verifyAndAuthenticate(wallet, signature, {
+      message,
+      origin: req.get('origin') || null,
+      req,
+    });
 
-    // Set JWT as httpOnly cookie
-    setAuthCookie(res, result.token);
+    // Set access and refresh tokens as httpOnly cookies
+    setAuthCookie(res, result);
 
     // Return user info (token still included for backward compatibility during migration)
     res.json({
@@ -994,21 +1132,21 @@ app.post('/api/auth/verify', async (req, res) => {
 });
 
 /**
- * Refresh JWT with updated balance
- * GET /api/auth/refresh
- * Updates the httpOnly cookie with new token
+ * Rotate the refresh token and issue a new access token with updated balance
+ * POST /api/auth/refresh
+ * Works with an expired access token; a reused refresh token ends the session
  */
-app.get('/api/auth/refresh', authMiddleware, async (req, res) => {
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const token = getAuthToken(req);
+    const token = req.cookies?.[REFRESH_COOKIE_NAME];
     if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+      return res.status(401).json({ error: 'No refresh token provided' });
     }
 
-    const result = await refreshToken(token);
+    const result = await refreshToken(token, { req });
 
-    // Update cookie with new token
-    setAuthCookie(res, result.token);
+    // Update cookies with the rotated tokens
+    setAuthCookie(res, result);
 
     res.json({
       success: true,
@@ -1017,6 +1155,7 @@ app.get('/api/auth/refresh', authMiddleware, async (req, res) => {
       token: result.token,
     });
   } catch (error) {
+    clearAuthCookie(res);
     res.status(401).json({ error: sanitizeError(error, 'refresh') });
   }
 });
@@ -1036,6 +1175,11 @@ app.post('/api/auth/logout', authMiddleware, (req, res) => {
       }
     }
 
+    // Ends the refresh token family too, on every instance
+    if (req.user.sid) {
+      revokeSession(req.user.sid, 'logout');
+    }
+
     // Always clear the cookie
     clearAuthCookie(res);
 
@@ -1171,6 +1315,11 @@ app.post('/api/shop/purchase/confirm', authMiddleware, async (req, res) => {
     }
 
     const result = await confirmPurchase(purchaseId, signature);
+
+    if (result.success) {
+      emitPurchaseCompleted(req.user.wallet, result.item.id, result.price);
+    }
+
     res.json(result);
   } catch (error) {
     res.status(400).json({ error: sanitizeError(error, 'purchase-confirm') });
@@ -1449,6 +1598,11 @@ app.post('/api/v2/shop/purchase/confirm', authMiddleware, async (req, res) => {
     }
 
     const result = await shopV2.confirmPurchase(purchaseId, signature);
+
+    if (result.success) {
+      emitPurchaseCompleted(req.user.wallet, result.itemId, result.price);
+    }
+
     res.json(result);
   } catch (error) {
     res.status(400).json({ error: sanitizeError(error, 'shop-v2-purchase-confirm') });
@@ -1571,6 +1725,27 @@ app.get('/api/ecosystem/burns', async (req, res) => {
   }
 });
 
+/**
+ * Burn time series: burned per bucket, supply and unique burners over time
+ * GET /api/ecosystem/burns/series?interval=hour|day|week&from&to
+ */
+app.get('/api/ecosystem/burns/series', async (req, res) => {
+  try {
+    const { interval, from, to } = req.query;
+    const result = await getBurnSeries({ interval, from, to });
+
+    if (!result.success) {
+      const status = result.error === 'Burn history is not available' ? 503 : 400;
+      return res.status(status).json({ error: result.error });
+    }
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json(result.series);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'burn-series') });
+  }
+});
+
 /**
  * Get current priority fee estimate
  * GET /api/ecosystem/priority-fee
@@ -1749,6 +1924,111 @@ app.get('/api/leaderboard/rank', authMiddleware, walletRateLimiter, async (req,
   }
 });
 
+// ============================================
+// LEADERBOARD SEASONS
+// ============================================
+
+/**
+ * Map a season service error to a response
+ */
+function sendSeasonError(res, error) {
+  if (error.endsWith('not found')) return res.status(404).json({ error });
+  if (error === 'Season is already ending') return res.status(409).json({ error });
+  return res.status(400).json({ error });
+}
+
+/**
+ * List seasons, newest first
+ * GET /api/leaderboard/seasons
+ */
+app.get('/api/leaderboard/seasons', async (req, res) => {
+  try {
+    const seasons = await listSeasons();
+    res.json({ seasons, count: seasons.length });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'list-seasons') });
+  }
+});
+
+/**
+ * Get the running season with its live top entries
+ * GET /api/leaderboard/seasons/current?limit=
+ */
+app.get('/api/leaderboard/seasons/current', async (req, res) => {
+  try {
+    const current = await getCurrentSeason();
+    if (!current) {
+      return res.status(404).json({ error: 'No season running' });
+    }
+
+    const result = await getSeason(current.id, { limit: req.query.limit });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'current-season') });
+  }
+});
+
+/**
+ * Get a season with its boards (frozen snapshot once ended)
+ * GET /api/leaderboard/seasons/:id?limit=
+ */
+app.get('/api/leaderboard/seasons/:id', async (req, res) => {
+  try {
+    const result = await getSeason(req.params.id, { limit: req.query.limit });
+
+    if (!result.success) {
+      return sendSeasonError(res, result.error);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'get-season') });
+  }
+});
+
+/**
+ * Page through one board of a season
+ * GET /api/leaderboard/seasons/:id/boards/:board?limit=&offset=
+ * Boards: burns, xp, referrals, game:<gameId>
+ */
+app.get('/api/leaderboard/seasons/:id/boards/:board', async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const result = await getSeasonBoard(req.params.id, req.params.board, { limit, offset });
+
+    if (!result.success) {
+      return sendSeasonError(res, result.error);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'season-board') });
+  }
+});
+
+/**
+ * Get user's ranks and rewards in a season
+ * GET /api/leaderboard/seasons/:id/rank
+ */
+app.get(
+  '/api/leaderboard/seasons/:id/rank',
+  authMiddleware,
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const result = await getSeasonRank(req.params.id, req.user.wallet);
+
+      if (!result.success) {
+        return sendSeasonError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'season-rank') });
+    }
+  }
+);
+
 /**
  * Get ecosystem statistics
  * GET /api/stats
@@ -1767,13 +2047,41 @@ app.get('/api/stats', async (req, res) => {
 // ============================================
 
 // Game session rate limiter (5 sessions per minute per wallet)
-const gameSessionLimiter = rateLimit({
+const gameSessionLimiter = createRateLimitMiddleware({
+  name: 'game-session',
   windowMs: 60 * 1000,
   max: 5,
-  keyGenerator: req => req.user?.wallet || req.ip,
+  getIdentifier: req => req.user?.wallet || req.ip,
   message: { error: 'Too many game sessions, please wait' },
 });
 
+/**
+ * Track best scores per game in a simple in-memory store
+ * In production, this would use a database
+ * Only verified (re-simulated) scores reach the season boards.
+ * @param {Object} [options] - { verified }
+ * @returns {{isNewBest: boolean, bestScore: number}}
+ */
+function recordBestScore(wallet, gameId, score, { verified = false } = {}) {
+  const bestScoreKey = `${wallet}:${gameId}:best`;
+  const currentBest = global.bestScores?.get(bestScoreKey) || 0;
+  const isNewBest = score > currentBest;
+
+  if (isNewBest) {
+    if (!global.bestScores) global.bestScores = new Map();
+    global.bestScores.set(bestScoreKey, score);
+  }
+
+  // Season game boards keep the best score of the season, not of all time
+  if (verified) {
+    recordSeasonGameScore(wallet, gameId, score).catch(error =>
+      console.error('[Seasons] Game score not recorded:', error.message)
+    );
+  }
+
+  return { isNewBest, bestScore: isNewBest ? score : currentBest };
+}
+
 /**
  * Start a new game session
  * POST /api/game/start
@@ -1782,8 +2090,16 @@ app.post('/api/game/start', authMiddleware, gameSessionLimiter, async (req, res)
   try {
     const { gameType } = req.body;
 
-    // Validate game type
-    const validTypes = ['flappy', 'snake', 'default'];
+    // Validate game type (arcade games are seeded for replay re-simulation)
+    const validTypes = [
+      'flappy',
+      'snake',
+      'tokencatcher',
+      'burnrunner',
+      'scamblaster',
+      'stakestacker',
+      'default',
+    ];
     const type = validTypes.includes(gameType) ? gameType : 'default';
 
     const session = startGameSession(req.user.wallet, type);
@@ -1793,6 +2109,8 @@ app.post('/api/game/start', authMiddleware, gameSessionLimiter, async (req, res)
       token: session.token,
       gameType: session.gameType,
       startTime: session.startTime,
+      seed: session.seed,
+      rulesVersion: session.rulesVersion,
     });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'game-start') });
@@ -1805,13 +2123,13 @@ app.post('/api/game/start', authMiddleware, gameSessionLimiter, async (req, res)
  */
 app.post('/api/game/submit', authMiddleware, walletRateLimiter, async (req, res) => {
   try {
-    const { sessionId, token, score, gameData } = req.body;
+    const { sessionId, token, score, gameData, replay } = req.body;
 
     if (!sessionId || !token || typeof score !== 'number') {
       return res.status(400).json({ error: 'Session ID, token, and score required' });
     }
 
-    const result = submitScore(sessionId, token, score, gameData || {});
+    const result = submitScore(sessionId, token, score, { ...(gameData || {}), replay });
 
     if (!result.valid) {
       // Log suspicious activity
@@ -1827,11 +2145,39 @@ app.post('/api/game/submit', authMiddleware, walletRateLimiter, async (req, res)
     // Check for achievement unlocks
     const newAchievements = recordGameForAchievements(req.user.wallet, result.score);
 
+    const { isNewBest, bestScore } = recordBestScore(
+      req.user.wallet,
+      result.gameType,
+      result.score,
+      { verified: result.verified }
+    );
+
+    const completedChallenges = updateChallengeProgress(req.user.wallet, {
+      gameId: result.gameType,
+      score: result.score,
+      isHighScore: isNewBest,
+      isPerfect: false,
+    });
+
+    // Tournament sessions feed the tournament's standings or bracket
+    const tournament = result.context?.tournamentId
+      ? await recordTournamentResult(req.user.wallet, result.context, result.score)
+      : null;
+
+    // Emit events for other services
+    emitGameCompleted(req.user.wallet, result.gameType, result.score);
+    newAchievements.forEach(achievement => emitAchievementUnlocked(req.user.wallet, achievement));
+
     res.json({
       success: true,
       score: result.score,
       duration: result.duration,
       percentile: result.percentile,
+      verified: result.verified,
+      isNewBest,
+      bestScore,
+      completedChallenges,
+      tournament,
       newAchievements: newAchievements.map(a => ({
         id: a.id,
         name: a.name,
@@ -1850,6 +2196,8 @@ app.post('/api/game/submit', authMiddleware, walletRateLimiter, async (req, res)
  *
  * Accepts client-side anti-cheat data and validates scores
  * Returns achievements unlocked by this score
+ * Simulated games are refused: their scores only count through a seeded
+ * session re-simulated by POST /api/game/submit
  */
 app.post('/api/scores/submit', authMiddleware, walletRateLimiter, async (req, res) => {
   try {
@@ -1861,6 +2209,10 @@ app.post('/api/scores/submit', authMiddleware, walletRateLimiter, async (req, re
       return res.status(400).json({ error: 'gameId and score required' });
     }
 
+    if (typeof gameId === 'string' && isSimulated(gameId)) {
+      return res.status(400).json({ error: 'This game requires a verified game session' });
+    }
+
     // Sanitize score
     const safeScore = Math.max(0, Math.min(999999999, Math.floor(score)));
 
@@ -1890,16 +2242,7 @@ app.post('/api/scores/submit', authMiddleware, walletRateLimiter, async (req, re
     // Record game for achievements (updates stats and checks unlocks)
     const newAchievements = recordGameForAchievements(wallet, safeScore);
 
-    // Track best scores per game in a simple in-memory store
-    // In production, this would use a database
-    const bestScoreKey = `${wallet}:${gameId}:best`;
-    const currentBest = global.bestScores?.get(bestScoreKey) || 0;
-    const isNewBest = safeScore > currentBest;
-
-    if (isNewBest) {
-      if (!global.bestScores) global.bestScores = new Map();
-      global.bestScores.set(bestScoreKey, safeScore);
-    }
+    const { isNewBest, bestScore } = recordBestScore(wallet, gameId, safeScore);
 
     // Update daily challenge progress
     const completedChallenges = updateChallengeProgress(wallet, {
@@ -1909,6 +2252,10 @@ app.post('/api/scores/submit', authMiddleware, walletRateLimiter, async (req, re
       isPerfect: sessionData?.isPerfect || false,
     });
 
+    // Emit events for other services
+    emitGameCompleted(wallet, gameId, safeScore);
+    newAchievements.forEach(achievement => emitAchievementUnlocked(wallet, achievement));
+
     // Log the submission
     logAudit('score_submitted', {
       wallet: wallet.slice(0, 8) + '...',
@@ -1923,7 +2270,7 @@ app.post('/api/scores/submit', authMiddleware, walletRateLimiter, async (req, re
       success: true,
       score: safeScore,
       isNewBest,
-      bestScore: isNewBest ? safeScore : currentBest,
+      bestScore,
       validationFlags,
       newAchievements: newAchievements.map(a => ({
         id: a.id,
@@ -2001,6 +2348,127 @@ app.get('/api/game/stats', authMiddleware, async (req, res) => {
   }
 });
 
+// ============================================
+// ARCADE TOURNAMENTS
+// ============================================
+
+/**
+ * Map a tournament service error to a response
+ */
+function sendTournamentError(res, error) {
+  if (error.endsWith('not found')) return res.status(404).json({ error });
+  if (error === 'Tournament is busy, try again') return res.status(409).json({ error });
+  return res.status(400).json({ error });
+}
+
+/**
+ * List tournaments by start time
+ * GET /api/tournaments?status=scheduled|active|completed|cancelled
+ */
+app.get('/api/tournaments', async (req, res) => {
+  try {
+    const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+    const tournaments = await listTournaments({ status });
+    res.json({ tournaments, count: tournaments.length });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'list-tournaments') });
+  }
+});
+
+/**
+ * Get a tournament with its standings or bracket (and results once completed)
+ * GET /api/tournaments/:id
+ */
+app.get('/api/tournaments/:id', async (req, res) => {
+  try {
+    const result = await getTournament(req.params.id);
+
+    if (!result.success) {
+      return sendTournamentError(res, result.error);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'get-tournament') });
+  }
+});
+
+/**
+ * Page through the standings of a best_of tournament
+ * GET /api/tournaments/:id/standings?limit=&offset=
+ */
+app.get('/api/tournaments/:id/standings', async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const result = await getTournamentStandings(req.params.id, { limit, offset });
+
+    if (!result.success) {
+      return sendTournamentError(res, result.error);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'tournament-standings') });
+  }
+});
+
+/**
+ * Get user's registration, attempts or current match in a tournament
+ * GET /api/tournaments/:id/me
+ */
+app.get('/api/tournaments/:id/me', authMiddleware, walletRateLimiter, async (req, res) => {
+  try {
+    const result = await getTournamentPlayerStatus(req.params.id, req.user.wallet);
+
+    if (!result.success) {
+      return sendTournamentError(res, result.error);
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'tournament-me') });
+  }
+});
+
+/**
+ * Register for a scheduled tournament
+ * POST /api/tournaments/:id/register
+ * Body: { signature? } - entry burn signature when the tournament has an entry burn
+ */
+app.post('/api/tournaments/:id/register', authMiddleware, walletRateLimiter, async (req, res) => {
+  try {
+    const { signature } = req.body;
+    const result = await registerForTournament(req.params.id, req.user.wallet, { signature });
+
+    if (!result.success) {
+      return sendTournamentError(res, result.error);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'tournament-register') });
+  }
+});
+
+/**
+ * Start a game session for the next attempt or the current match
+ * POST /api/tournaments/:id/play
+ * The score is submitted through POST /api/game/submit as usual.
+ */
+app.post('/api/tournaments/:id/play', authMiddleware, gameSessionLimiter, async (req, res) => {
+  try {
+    const result = await startTournamentSession(req.params.id, req.user.wallet);
+
+    if (!result.success) {
+      return sendTournamentError(res, result.error);
+    }
+
+    res.json({ ...result.session, attempt: result.attempt, matchId: result.matchId });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'tournament-play') });
+  }
+});
+
 // ============================================
 // METRICS ROUTES
 // ============================================
@@ -2061,28 +2529,33 @@ app.get('/api/security/nonce', authMiddleware, (req, res) => {
  * Get detailed metrics (admin only)
  * GET /api/admin/metrics
  */
-app.get('/api/admin/metrics', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const metrics = getDetailedMetrics();
-    const security = getSecurityMetrics();
-    const database = getDbHealth();
+app.get(
+  '/api/admin/metrics',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const metrics = getDetailedMetrics();
+      const security = getSecurityMetrics();
+      const database = getDbHealth();
 
-    res.json({
-      api: metrics,
-      security,
-      database,
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'admin-metrics') });
+      res.json({
+        api: metrics,
+        security,
+        database,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'admin-metrics') });
+    }
   }
-});
+);
 
 /**
  * Get audit log (admin only)
  * GET /api/admin/audit
  */
-app.get('/api/admin/audit', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/admin/audit', authMiddleware, requirePermission('audit:read'), async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 100, 500);
     const action = req.query.action || null;
@@ -2100,41 +2573,277 @@ app.get('/api/admin/audit', authMiddleware, requireAdmin, async (req, res) => {
 });
 
 /**
- * Check admin status
+ * Check admin status (partner self-service permissions alone are not admin)
  * GET /api/admin/status
  */
 app.get('/api/admin/status', authMiddleware, (req, res) => {
-  const adminStatus = isAdmin(req.user.wallet);
+  const permissions = getPermissions(req.user.wallet);
 
   res.json({
     wallet: req.user.wallet,
-    isAdmin: adminStatus,
+    isAdmin: hasAdminAccess(req.user.wallet),
+    roles: getRoles(req.user.wallet),
+    permissions,
     tier: req.user.tier,
   });
 });
 
 /**
- * Sync leaderboard from blockchain (admin only)
- * POST /api/admin/sync-leaderboard
+ * List roles, permissions and assignments (admin only)
+ * GET /api/admin/roles
  */
-app.post('/api/admin/sync-leaderboard', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/admin/roles', authMiddleware, requirePermission('roles:read'), (req, res) => {
   try {
-    await syncFromBlockchain();
-
-    logAudit('admin_sync_leaderboard', {
-      wallet: req.user.wallet.slice(0, 8) + '...',
-    });
-
     res.json({
-      success: true,
-      message: 'Leaderboard synced from blockchain',
+      roles: ROLES,
+      permissions: PERMISSIONS,
+      assignments: listAssignments(),
     });
   } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'admin-sync') });
+    res.status(500).json({ error: sanitizeError(error, 'admin-roles') });
   }
 });
 
-// ============================================
+/**
+ * Set a wallet's roles and direct permissions (admin only)
+ * PUT /api/admin/roles/:wallet
+ * Body: { roles?: string[], permissions?: string[] }
+ */
+app.put(
+  '/api/admin/roles/:wallet',
+  authMiddleware,
+  requirePermission('roles:write'),
+  (req, res) => {
+    try {
+      const { roles, permissions } = req.body || {};
+      const result = assignRoles(
+        req.params.wallet,
+        { roles, permissions },
+        {
+          actor: req.user.wallet,
+        }
+      );
+
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      logAdminAction(
+        AUDIT_EVENTS.PERMISSION_CHANGED,
+        {
+          wallet: req.params.wallet,
+          roles: result.assignment.roles,
+          permissions: result.assignment.permissions,
+          previousRoles: result.previous?.roles || [],
+          previousPermissions: result.previous?.permissions || [],
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+          target: { id: req.params.wallet, type: 'wallet' },
+        }
+      );
+
+      res.json({ success: true, assignment: result.assignment });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'admin-roles-assign') });
+    }
+  }
+);
+
+/**
+ * Remove a wallet's roles and permissions (admin only)
+ * DELETE /api/admin/roles/:wallet
+ */
+app.delete(
+  '/api/admin/roles/:wallet',
+  authMiddleware,
+  requirePermission('roles:write'),
+  (req, res) => {
+    try {
+      const result = revokeRoles(req.params.wallet, { actor: req.user.wallet });
+
+      if (!result.success) {
+        const status = result.error === 'Assignment not found' ? 404 : 400;
+        return res.status(status).json({ error: result.error });
+      }
+
+      logAdminAction(
+        AUDIT_EVENTS.PERMISSION_CHANGED,
+        {
+          wallet: req.params.wallet,
+          roles: [],
+          permissions: [],
+          previousRoles: result.previous.roles,
+          previousPermissions: result.previous.permissions,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+          target: { id: req.params.wallet, type: 'wallet' },
+        }
+      );
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'admin-roles-revoke') });
+    }
+  }
+);
+
+/**
+ * Sync leaderboard from blockchain (admin only)
+ * POST /api/admin/sync-leaderboard
+ */
+app.post(
+  '/api/admin/sync-leaderboard',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      await syncFromBlockchain();
+
+      logAudit('admin_sync_leaderboard', {
+        wallet: req.user.wallet.slice(0, 8) + '...',
+      });
+
+      res.json({
+        success: true,
+        message: 'Leaderboard synced from blockchain',
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'admin-sync') });
+    }
+  }
+);
+
+// ============================================
+// ADMIN - BURN INDEXER ROUTES
+// ============================================
+
+/**
+ * Map a burn indexer error to its HTTP status
+ */
+function sendIndexerError(res, error) {
+  if (error === 'Postgres is not configured' || error === 'Token supply is unavailable') {
+    return res.status(503).json({ error });
+  }
+  if (error.startsWith('Indexer is')) return res.status(409).json({ error });
+  return res.status(400).json({ error });
+}
+
+/**
+ * Burn indexer runs, cursor and counters (admin only)
+ * GET /api/admin/burn-indexer
+ */
+app.get(
+  '/api/admin/burn-indexer',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      res.json(await getBurnIndexerStatus());
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'burn-indexer-status') });
+    }
+  }
+);
+
+/**
+ * Start or resume the burn history backfill (admin only)
+ * POST /api/admin/burn-indexer/start
+ */
+app.post(
+  '/api/admin/burn-indexer/start',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      const result = await startBurnBackfill(req.user.wallet);
+
+      if (!result.success) {
+        return sendIndexerError(res, result.error);
+      }
+
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'burn-indexer-start') });
+    }
+  }
+);
+
+/**
+ * Pause the running backfill or re-index, keeping its cursor (admin only)
+ * POST /api/admin/burn-indexer/pause
+ */
+app.post(
+  '/api/admin/burn-indexer/pause',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      const result = await pauseBurnIndexer(req.user.wallet);
+
+      if (!result.success) {
+        return sendIndexerError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'burn-indexer-pause') });
+    }
+  }
+);
+
+/**
+ * Re-index burns in a slot range (admin only)
+ * POST /api/admin/burn-indexer/reindex
+ * Body: { fromSlot, toSlot }
+ */
+app.post(
+  '/api/admin/burn-indexer/reindex',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      const result = await reindexBurns(
+        { fromSlot: req.body.fromSlot, toSlot: req.body.toSlot },
+        req.user.wallet
+      );
+
+      if (!result.success) {
+        return sendIndexerError(res, result.error);
+      }
+
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'burn-indexer-reindex') });
+    }
+  }
+);
+
+/**
+ * Indexed burn totals against the burned token supply (admin only)
+ * GET /api/admin/burn-indexer/reconciliation
+ */
+app.get(
+  '/api/admin/burn-indexer/reconciliation',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const result = await getBurnReconciliation();
+
+      if (!result.success) {
+        return sendIndexerError(res, result.error);
+      }
+
+      res.json(result.report);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'burn-indexer-reconciliation') });
+    }
+  }
+);
+
+// ============================================
 // HELIUS WEBHOOK - REAL-TIME BURN TRACKING
 // ============================================
 
@@ -2199,6 +2908,11 @@ app.post(
 
       const events = JSON.parse(payload);
 
+      // Keep the durable burn history live once backfilled
+      indexWebhookBurns(events).catch(error => {
+        console.error('[Webhook] Burn indexing failed:', error.message);
+      });
+
       // Process each burn event
       let processedBurns = 0;
       for (const event of events) {
@@ -2214,6 +2928,7 @@ app.post(
           if (burn.wallet && burn.amount > 0) {
             // Record to leaderboard
             recordBurn(burn.wallet, burn.amount, burn.signature);
+            emitBurnConfirmed(burn.wallet, burn.amount, burn.signature);
             processedBurns++;
 
             // Audit log
@@ -2347,32 +3062,37 @@ app.get('/api/games/challenges/stats', authMiddleware, async (req, res) => {
  * Grant achievement (admin only)
  * POST /api/admin/achievements/grant
  */
-app.post('/api/admin/achievements/grant', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { wallet, achievementId } = req.body;
+app.post(
+  '/api/admin/achievements/grant',
+  authMiddleware,
+  requirePermission('achievements:grant'),
+  async (req, res) => {
+    try {
+      const { wallet, achievementId } = req.body;
 
-    if (!wallet || !achievementId) {
-      return res.status(400).json({ error: 'Wallet and achievementId required' });
-    }
+      if (!wallet || !achievementId) {
+        return res.status(400).json({ error: 'Wallet and achievementId required' });
+      }
 
-    if (!isValidAddress(wallet)) {
-      return res.status(400).json({ error: 'Invalid wallet address' });
-    }
+      if (!isValidAddress(wallet)) {
+        return res.status(400).json({ error: 'Invalid wallet address' });
+      }
 
-    const result = grantAchievement(wallet, achievementId);
+      const result = grantAchievement(wallet, achievementId);
 
-    if (!result.success) {
-      return res.status(400).json({ error: result.error });
-    }
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
 
-    res.json({
-      success: true,
-      achievement: result.achievement,
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'grant-achievement') });
+      res.json({
+        success: true,
+        achievement: result.achievement,
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'grant-achievement') });
+    }
   }
-});
+);
 
 // ============================================
 // ASSET VERIFICATION ROUTES (DAS API)
@@ -2828,7 +3548,7 @@ function getHeliusMetrics() {
  * Get Helius metrics (Prometheus format)
  * GET /api/helius/metrics
  */
-app.get('/api/helius/metrics', authMiddleware, requireAdmin, (req, res) => {
+app.get('/api/helius/metrics', authMiddleware, requirePermission('system:read'), (req, res) => {
   try {
     const metrics = getHeliusMetrics().getPrometheusMetrics();
     res.set('Content-Type', 'text/plain');
@@ -2842,14 +3562,19 @@ app.get('/api/helius/metrics', authMiddleware, requireAdmin, (req, res) => {
  * Get Helius metrics (JSON format)
  * GET /api/helius/metrics/json
  */
-app.get('/api/helius/metrics/json', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const metrics = getHeliusMetrics().getJsonMetrics();
-    res.json(metrics);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+app.get(
+  '/api/helius/metrics/json',
+  authMiddleware,
+  requirePermission('system:read'),
+  (req, res) => {
+    try {
+      const metrics = getHeliusMetrics().getJsonMetrics();
+      res.json(metrics);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
   }
-});
+);
 
 // ============================================
 // ENHANCED WEBHOOK HANDLER
@@ -2912,103 +3637,522 @@ app.post(
  * Webhook management - list webhooks (admin only)
  * GET /api/admin/webhooks
  */
-app.get('/api/admin/webhooks', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const webhooks = await listWebhooks();
-    const metrics = getWebhookMetrics();
+app.get(
+  '/api/admin/webhooks',
+  authMiddleware,
+  requirePermission('webhooks:read'),
+  async (req, res) => {
+    try {
+      const webhooks = await listWebhooks();
+      const metrics = getWebhookMetrics();
 
-    res.json({
-      webhooks,
-      metrics,
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'list-webhooks') });
+      res.json({
+        webhooks,
+        metrics,
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'list-webhooks') });
+    }
   }
-});
+);
 
 /**
  * Register new webhook (admin only)
  * POST /api/admin/webhooks
  */
-app.post('/api/admin/webhooks', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { webhookUrl, addresses } = req.body;
+app.post(
+  '/api/admin/webhooks',
+  authMiddleware,
+  requirePermission('webhooks:write'),
+  async (req, res) => {
+    try {
+      const { webhookUrl, addresses } = req.body;
 
-    if (!webhookUrl || !addresses?.length) {
-      return res.status(400).json({ error: 'webhookUrl and addresses required' });
-    }
+      if (!webhookUrl || !addresses?.length) {
+        return res.status(400).json({ error: 'webhookUrl and addresses required' });
+      }
 
-    const result = await registerWebhook(webhookUrl, addresses);
+      const result = await registerWebhook(webhookUrl, addresses);
 
-    logAudit('webhook_created', {
-      admin: req.user.wallet.slice(0, 8) + '...',
-      webhookId: result.webhookID,
-    });
+      logAudit('webhook_created', {
+        admin: req.user.wallet.slice(0, 8) + '...',
+        webhookId: result.webhookID,
+      });
 
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'register-webhook') });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'register-webhook') });
+    }
   }
-});
+);
 
 // ============================================
-// STREAK TRACKING
+// PARTNER WEBHOOKS (outbound)
 // ============================================
 
 /**
- * Record daily activity (call on any user action)
- * POST /api/user/activity
+ * Map a webhook service error to a response
  */
-app.post('/api/user/activity', authMiddleware, walletRateLimiter, async (req, res) => {
-  try {
-    const newAchievements = updateStreak(req.user.wallet);
+function sendWebhookError(res, error) {
+  return res.status(error.endsWith('not found') ? 404 : 400).json({ error });
+}
 
-    res.json({
-      recorded: true,
-      newAchievements: newAchievements.map(a => ({
-        id: a.id,
-        name: a.name,
-        rarity: a.rarity,
-        xpReward: a.xpReward,
-      })),
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'record-activity') });
-  }
+/**
+ * Topics partners can subscribe to
+ * GET /api/partner/webhooks/topics
+ */
+app.get('/api/partner/webhooks/topics', (req, res) => {
+  res.json({ topics: getWebhookTopics() });
 });
 
-// ============================================
-// NOTIFICATION ROUTES
-// ============================================
-
 /**
- * Get user notifications
- * GET /api/notifications
+ * List own webhook endpoints
+ * GET /api/partner/webhooks
  */
-app.get('/api/notifications', authMiddleware, async (req, res) => {
-  try {
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-    const offset = parseInt(req.query.offset) || 0;
-    const unreadOnly = req.query.unread === 'true';
-
-    const result = getNotifications(req.user.wallet, { limit, offset, unreadOnly });
-
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'get-notifications') });
+app.get(
+  '/api/partner/webhooks',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  async (req, res) => {
+    try {
+      const endpoints = await listWebhookEndpoints(req.user.wallet);
+      res.json({ endpoints });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'list-partner-webhooks') });
+    }
   }
-});
+);
 
 /**
- * Get unread notification count
- * GET /api/notifications/unread-count
+ * Register a webhook endpoint
+ * POST /api/partner/webhooks
+ * Body: { url, topics, filters?, description? }
+ * The signing secret is only returned here (and on rotation).
  */
-app.get('/api/notifications/unread-count', authMiddleware, async (req, res) => {
-  try {
-    const count = getUnreadCount(req.user.wallet);
-    res.json({ unreadCount: count });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'unread-count') });
+app.post(
+  '/api/partner/webhooks',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const { url, topics, filters, description } = req.body;
+      const result = await createWebhookEndpoint(req.user.wallet, {
+        url,
+        topics,
+        filters,
+        description,
+      });
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'create-partner-webhook') });
+    }
+  }
+);
+
+/**
+ * Get a webhook endpoint
+ * GET /api/partner/webhooks/:id
+ */
+app.get(
+  '/api/partner/webhooks/:id',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  async (req, res) => {
+    try {
+      const result = await getWebhookEndpoint(req.user.wallet, req.params.id);
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'get-partner-webhook') });
+    }
+  }
+);
+
+/**
+ * Update a webhook endpoint
+ * PATCH /api/partner/webhooks/:id
+ * Body: { url?, topics?, filters?, description?, enabled? }
+ */
+app.patch(
+  '/api/partner/webhooks/:id',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const { url, topics, filters, description, enabled } = req.body;
+      const updates = Object.fromEntries(
+        Object.entries({ url, topics, filters, description, enabled }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+      const result = await updateWebhookEndpoint(req.user.wallet, req.params.id, updates);
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'update-partner-webhook') });
+    }
+  }
+);
+
+/**
+ * Delete a webhook endpoint
+ * DELETE /api/partner/webhooks/:id
+ */
+app.delete(
+  '/api/partner/webhooks/:id',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  async (req, res) => {
+    try {
+      const result = await deleteWebhookEndpoint(req.user.wallet, req.params.id);
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'delete-partner-webhook') });
+    }
+  }
+);
+
+/**
+ * Issue a new signing secret (the old one keeps signing for 24h)
+ * POST /api/partner/webhooks/:id/rotate-secret
+ */
+app.post(
+  '/api/partner/webhooks/:id/rotate-secret',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const result = await rotateWebhookSecret(req.user.wallet, req.params.id);
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'rotate-partner-webhook') });
+    }
+  }
+);
+
+/**
+ * Send a webhook.ping delivery
+ * POST /api/partner/webhooks/:id/ping
+ */
+app.post(
+  '/api/partner/webhooks/:id/ping',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const result = await sendWebhookTestEvent(req.user.wallet, req.params.id);
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'ping-partner-webhook') });
+    }
+  }
+);
+
+/**
+ * Delivery log of an endpoint (newest first)
+ * GET /api/partner/webhooks/:id/deliveries?status=&limit=
+ */
+app.get(
+  '/api/partner/webhooks/:id/deliveries',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  async (req, res) => {
+    try {
+      const { status, limit } = req.query;
+      const result = await listWebhookDeliveries(req.user.wallet, req.params.id, {
+        status,
+        limit,
+      });
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'list-partner-deliveries') });
+    }
+  }
+);
+
+/**
+ * One delivery, with its payload and attempts
+ * GET /api/partner/webhooks/:id/deliveries/:deliveryId
+ */
+app.get(
+  '/api/partner/webhooks/:id/deliveries/:deliveryId',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  async (req, res) => {
+    try {
+      const result = await getWebhookDelivery(req.user.wallet, req.params.deliveryId);
+
+      if (!result.success || result.delivery.endpointId !== req.params.id) {
+        return sendWebhookError(res, result.error || 'Delivery not found');
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'get-partner-delivery') });
+    }
+  }
+);
+
+/**
+ * Send a delivery again (same event id, new delivery)
+ * POST /api/partner/webhooks/:id/deliveries/:deliveryId/redeliver
+ */
+app.post(
+  '/api/partner/webhooks/:id/deliveries/:deliveryId/redeliver',
+  authMiddleware,
+  requirePermission('webhooks:subscribe'),
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const existing = await getWebhookDelivery(req.user.wallet, req.params.deliveryId);
+      if (!existing.success || existing.delivery.endpointId !== req.params.id) {
+        return sendWebhookError(res, existing.error || 'Delivery not found');
+      }
+
+      const result = await redeliverWebhook(req.user.wallet, req.params.deliveryId);
+
+      if (!result.success) {
+        return sendWebhookError(res, result.error);
+      }
+
+      res.status(202).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'redeliver-partner-webhook') });
+    }
+  }
+);
+
+// ============================================
+// PARTNER API KEYS
+// ============================================
+
+// Authenticates X-API-Key without scope, tier or quota checks (usage reads)
+const authenticateApiKey = createApiKeyMiddleware({ metered: false });
+
+/**
+ * Map an API key service error to a response
+ */
+function sendApiKeyError(res, error) {
+  return res.status(error.endsWith('not found') ? 404 : 400).json({ error });
+}
+
+/**
+ * Audit context of a key action
+ */
+function apiKeyContext(req) {
+  return { ip: extractIP(req), userAgent: req.headers['user-agent'] || null };
+}
+
+/**
+ * Accept either an API key (already resolved) or a wallet JWT with a permission
+ */
+function requireApiKeyOrPermission(permission) {
+  const checkPermission = requirePermission(permission);
+  return (req, res, next) => {
+    if (req.apiKey) return next();
+    authMiddleware(req, res, () => checkPermission(req, res, next));
+  };
+}
+
+/**
+ * List own API keys
+ * GET /api/partner/keys
+ */
+app.get('/api/partner/keys', authMiddleware, requirePermission('apikeys:use'), async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys({ owner: req.user.wallet });
+    res.json({ keys: apiKeys, scopes: getApiKeyScopes() });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'list-partner-keys') });
+  }
+});
+
+/**
+ * Rotate an own API key
+ * POST /api/partner/keys/:id/rotate
+ * Body: { immediate? } - without it the old key works for another 24 hours
+ * The new key is only returned here.
+ */
+app.post(
+  '/api/partner/keys/:id/rotate',
+  authMiddleware,
+  requirePermission('apikeys:use'),
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const result = await rotateApiKey(req.params.id, req.user.wallet, {
+        owner: req.user.wallet,
+        immediate: req.body?.immediate === true,
+        ...apiKeyContext(req),
+      });
+
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'rotate-partner-key') });
+    }
+  }
+);
+
+/**
+ * Revoke an own API key
+ * POST /api/partner/keys/:id/revoke
+ * Body: { reason? }
+ */
+app.post(
+  '/api/partner/keys/:id/revoke',
+  authMiddleware,
+  requirePermission('apikeys:use'),
+  walletRateLimiter,
+  async (req, res) => {
+    try {
+      const result = await revokeApiKey(req.params.id, req.user.wallet, {
+        owner: req.user.wallet,
+        reason: req.body?.reason ?? null,
+        ...apiKeyContext(req),
+      });
+
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'revoke-partner-key') });
+    }
+  }
+);
+
+/**
+ * Usage of the presented API key, or of all own keys with a wallet JWT
+ * GET /api/partner/usage?month=YYYY-MM or ?months=1..12
+ */
+app.get(
+  '/api/partner/usage',
+  authenticateApiKey,
+  requireApiKeyOrPermission('apikeys:use'),
+  async (req, res) => {
+    try {
+      const { month = null, months = 1 } = req.query;
+      const ids = req.apiKey
+        ? [req.apiKey.id]
+        : (await listApiKeys({ owner: req.user.wallet })).map(key => key.id);
+      const owner = req.apiKey ? req.apiKey.owner : req.user.wallet;
+
+      const reports = [];
+      for (const id of ids) {
+        const result = await getApiKeyUsage(id, { owner, month, months });
+        if (!result.success) {
+          return sendApiKeyError(res, result.error);
+        }
+        reports.push({ key: result.key, usage: result.usage });
+      }
+
+      res.json({ keys: reports });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'partner-usage') });
+    }
+  }
+);
+
+// ============================================
+// STREAK TRACKING
+// ============================================
+
+/**
+ * Record daily activity (call on any user action)
+ * POST /api/user/activity
+ */
+app.post('/api/user/activity', authMiddleware, walletRateLimiter, async (req, res) => {
+  try {
+    const newAchievements = updateStreak(req.user.wallet);
+
+    res.json({
+      recorded: true,
+      newAchievements: newAchievements.map(a => ({
+        id: a.id,
+        name: a.name,
+        rarity: a.rarity,
+        xpReward: a.xpReward,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'record-activity') });
+  }
+});
+
+// ============================================
+// NOTIFICATION ROUTES
+// ============================================
+
+/**
+ * Get user notifications
+ * GET /api/notifications
+ */
+app.get('/api/notifications', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    const unreadOnly = req.query.unread === 'true';
+
+    const result = getNotifications(req.user.wallet, { limit, offset, unreadOnly });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'get-notifications') });
+  }
+});
+
+/**
+ * Get unread notification count
+ * GET /api/notifications/unread-count
+ */
+app.get('/api/notifications/unread-count', authMiddleware, async (req, res) => {
+  try {
+    const count = getUnreadCount(req.user.wallet);
+    res.json({ unreadCount: count });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'unread-count') });
   }
 });
 
@@ -3220,6 +4364,10 @@ app.post('/api/referrals/apply', authMiddleware, walletRateLimiter, async (req,
       rewards: result.rewards,
     });
 
+    recordSeasonReferral(result.referrerWallet).catch(error =>
+      console.error('[Seasons] Referral not recorded:', error.message)
+    );
+
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'apply-referral') });
@@ -3261,234 +4409,819 @@ app.get('/api/referrals/leaderboard', async (req, res) => {
 });
 
 // ============================================
-// ADMIN - CACHE ROUTES
+// ADMIN - CACHE ROUTES
+// ============================================
+
+/**
+ * Get cache statistics (admin only)
+ * GET /api/admin/cache
+ */
+app.get('/api/admin/cache', authMiddleware, requirePermission('system:read'), async (req, res) => {
+  try {
+    const stats = getCacheStats();
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'cache-stats') });
+  }
+});
+
+/**
+ * Invalidate cache by tag (admin only)
+ * POST /api/admin/cache/invalidate
+ */
+app.post(
+  '/api/admin/cache/invalidate',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      const { tag } = req.body;
+
+      if (!tag) {
+        return res.status(400).json({ error: 'Tag required' });
+      }
+
+      const count = await invalidateTag(tag);
+
+      logAudit('cache_invalidated', {
+        admin: req.user.wallet.slice(0, 8) + '...',
+        tag,
+        count,
+      });
+
+      res.json({ success: true, invalidatedCount: count });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'cache-invalidate') });
+    }
+  }
+);
+
+// ============================================
+// ADMIN - QUEUE ROUTES
+// ============================================
+
+/**
+ * Get queue statistics (admin only)
+ * GET /api/admin/queue
+ */
+app.get('/api/admin/queue', authMiddleware, requirePermission('queue:read'), async (req, res) => {
+  try {
+    const stats = getQueueStats();
+    res.json(stats);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'queue-stats') });
+  }
+});
+
+/**
+ * Get jobs by status (admin only)
+ * GET /api/admin/queue/jobs
+ */
+app.get(
+  '/api/admin/queue/jobs',
+  authMiddleware,
+  requirePermission('queue:read'),
+  async (req, res) => {
+    try {
+      const status = req.query.status || 'pending';
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+      const jobs = await getJobsByStatus(status, limit);
+      res.json({ jobs, count: jobs.length });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'queue-jobs') });
+    }
+  }
+);
+
+/**
+ * Get specific job (admin only)
+ * GET /api/admin/queue/jobs/:id
+ */
+app.get(
+  '/api/admin/queue/jobs/:id',
+  authMiddleware,
+  requirePermission('queue:read'),
+  async (req, res) => {
+    try {
+      const job = await getJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json(job);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'queue-job') });
+    }
+  }
+);
+
+/**
+ * Requeue dead letter jobs in bulk (admin only)
+ * POST /api/admin/queue/jobs/requeue
+ * Body: { type?: string, limit?: number }
+ */
+app.post(
+  '/api/admin/queue/jobs/requeue',
+  authMiddleware,
+  requirePermission('queue:write'),
+  async (req, res) => {
+    try {
+      const { type } = req.body || {};
+      const limit = Math.min(parseInt(req.body?.limit) || 100, 1000);
+
+      if (type !== undefined && typeof type !== 'string') {
+        return res.status(400).json({ error: 'Invalid job type' });
+      }
+
+      const result = await requeueDeadLetters({ type: type || null, limit });
+
+      logAdminAction(
+        AUDIT_EVENTS.JOB_REPLAYED,
+        {
+          type: type || 'all',
+          requeued: result.requeued,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'queue-requeue') });
+    }
+  }
+);
+
+/**
+ * Retry a failed or dead letter job (admin only)
+ * POST /api/admin/queue/jobs/:id/retry
+ */
+app.post(
+  '/api/admin/queue/jobs/:id/retry',
+  authMiddleware,
+  requirePermission('queue:write'),
+  async (req, res) => {
+    try {
+      const success = await retryJob(req.params.id);
+
+      if (!success) {
+        return res.status(409).json({ error: 'Job not found or not in dead letter queue' });
+      }
+
+      logAdminAction(
+        AUDIT_EVENTS.JOB_REPLAYED,
+        {
+          jobId: req.params.id,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json({ success, job: await getJob(req.params.id) });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'queue-retry') });
+    }
+  }
+);
+
+/**
+ * Purge a job that isn't running (admin only)
+ * DELETE /api/admin/queue/jobs/:id
+ */
+app.delete(
+  '/api/admin/queue/jobs/:id',
+  authMiddleware,
+  requirePermission('queue:write'),
+  async (req, res) => {
+    try {
+      const success = await purgeJob(req.params.id);
+
+      if (!success) {
+        return res.status(409).json({ error: 'Job not found or still running' });
+      }
+
+      logAdminAction(
+        AUDIT_EVENTS.JOB_PURGED,
+        {
+          jobId: req.params.id,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json({ success });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'queue-purge') });
+    }
+  }
+);
+
+// ============================================
+// ADMIN - ANALYTICS ROUTES
+// ============================================
+
+/**
+ * Get analytics overview (admin only)
+ * GET /api/admin/analytics
+ */
+app.get(
+  '/api/admin/analytics',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const metrics = getAnalyticsMetrics();
+      res.json(metrics);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'analytics') });
+    }
+  }
+);
+
+/**
+ * Get aggregated metrics (admin only)
+ * GET /api/admin/analytics/metrics
+ */
+app.get(
+  '/api/admin/analytics/metrics',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const interval = req.query.interval || 'hour';
+      const count = Math.min(parseInt(req.query.count) || 24, 168);
+
+      const metrics = getAggregatedMetrics(interval, count);
+      res.json({ interval, metrics });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'analytics-metrics') });
+    }
+  }
+);
+
+/**
+ * Get funnel analysis (admin only)
+ * GET /api/admin/analytics/funnel/:name
+ */
+app.get(
+  '/api/admin/analytics/funnel/:name',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const analysis = getFunnelAnalysis(req.params.name);
+
+      if (!analysis) {
+        return res.status(404).json({ error: 'Funnel not found' });
+      }
+
+      res.json(analysis);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'funnel-analysis') });
+    }
+  }
+);
+
+// ============================================
+// ADMIN - SCHEDULER ROUTES
+// ============================================
+
+/**
+ * Get scheduled tasks (admin only)
+ * GET /api/admin/scheduler
+ */
+app.get(
+  '/api/admin/scheduler',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const tasks = getAllTasks();
+      const metrics = getSchedulerMetrics();
+
+      res.json({ tasks, metrics });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'scheduler') });
+    }
+  }
+);
+
+/**
+ * Get task execution history (admin only)
+ * GET /api/admin/scheduler/history
+ */
+app.get(
+  '/api/admin/scheduler/history',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const taskId = req.query.taskId || null;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+      const history = getTaskHistory(taskId, limit);
+      res.json({ history, count: history.length });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'scheduler-history') });
+    }
+  }
+);
+
+// ============================================
+// ADMIN - RATE LIMITING ROUTES
+// ============================================
+
+/**
+ * Get rate limit statistics (admin only)
+ * GET /api/admin/ratelimit
+ */
+app.get(
+  '/api/admin/ratelimit',
+  authMiddleware,
+  requirePermission('ratelimit:read'),
+  async (req, res) => {
+    try {
+      const stats = getRateLimitStats();
+      const banned = await getBannedList();
+
+      res.json({ stats, banned });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'ratelimit-stats') });
+    }
+  }
+);
+
+/**
+ * Remove ban (admin only)
+ * POST /api/admin/ratelimit/unban
+ */
+app.post(
+  '/api/admin/ratelimit/unban',
+  authMiddleware,
+  requirePermission('ratelimit:write'),
+  async (req, res) => {
+    try {
+      const { identifier } = req.body;
+
+      if (!identifier) {
+        return res.status(400).json({ error: 'Identifier required' });
+      }
+
+      const success = await removeBan(identifier);
+
+      logAdminAction(
+        AUDIT_EVENTS.USER_UNBANNED,
+        {
+          identifier,
+          success,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json({ success });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'unban') });
+    }
+  }
+);
+
+// ============================================
+// ADMIN - API KEYS
 // ============================================
 
 /**
- * Get cache statistics (admin only)
- * GET /api/admin/cache
+ * List API keys (admin only)
+ * GET /api/admin/api-keys?owner=&status=
  */
-app.get('/api/admin/cache', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getCacheStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'cache-stats') });
+app.get(
+  '/api/admin/api-keys',
+  authMiddleware,
+  requirePermission('apikeys:read'),
+  async (req, res) => {
+    try {
+      const { owner = null, status = null } = req.query;
+      const apiKeys = await listApiKeys({ owner, status });
+
+      res.json({
+        keys: apiKeys,
+        scopes: getApiKeyScopes(),
+        tiers: getApiKeyTiers(),
+        stats: getApiKeyStats(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'list-api-keys') });
+    }
   }
-});
+);
 
 /**
- * Invalidate cache by tag (admin only)
- * POST /api/admin/cache/invalidate
+ * Issue an API key (admin only)
+ * POST /api/admin/api-keys
+ * Body: { owner, name, tier?, scopes }
+ * The key is only returned here (and on rotation).
  */
-app.post('/api/admin/cache/invalidate', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { tag } = req.body;
+app.post(
+  '/api/admin/api-keys',
+  authMiddleware,
+  requirePermission('apikeys:write'),
+  async (req, res) => {
+    try {
+      const { owner, name, tier, scopes } = req.body;
+      const result = await issueApiKey(
+        { owner, name, tier, scopes },
+        req.user.wallet,
+        apiKeyContext(req)
+      );
+
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
 
-    if (!tag) {
-      return res.status(400).json({ error: 'Tag required' });
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'issue-api-key') });
     }
+  }
+);
 
-    const count = await invalidateTag(tag);
+/**
+ * Get an API key with this month's usage (admin only)
+ * GET /api/admin/api-keys/:id
+ */
+app.get(
+  '/api/admin/api-keys/:id',
+  authMiddleware,
+  requirePermission('apikeys:read'),
+  async (req, res) => {
+    try {
+      const result = await getApiKeyUsage(req.params.id);
 
-    logAudit('cache_invalidated', {
-      admin: req.user.wallet.slice(0, 8) + '...',
-      tag,
-      count,
-    });
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
 
-    res.json({ success: true, invalidatedCount: count });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'cache-invalidate') });
+      res.json({ success: true, key: result.key, usage: result.usage[0] || null });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'get-api-key') });
+    }
   }
-});
-
-// ============================================
-// ADMIN - QUEUE ROUTES
-// ============================================
+);
 
 /**
- * Get queue statistics (admin only)
- * GET /api/admin/queue
+ * Change an API key's name, tier or scopes (admin only)
+ * PATCH /api/admin/api-keys/:id
+ * Body: { name?, tier?, scopes? }
  */
-app.get('/api/admin/queue', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getQueueStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'queue-stats') });
+app.patch(
+  '/api/admin/api-keys/:id',
+  authMiddleware,
+  requirePermission('apikeys:write'),
+  async (req, res) => {
+    try {
+      const { name, tier, scopes } = req.body;
+      const result = await updateApiKey(
+        req.params.id,
+        { name, tier, scopes },
+        req.user.wallet,
+        apiKeyContext(req)
+      );
+
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'update-api-key') });
+    }
   }
-});
+);
 
 /**
- * Get jobs by status (admin only)
- * GET /api/admin/queue/jobs
+ * Rotate an API key (admin only)
+ * POST /api/admin/api-keys/:id/rotate
+ * Body: { immediate? }
  */
-app.get('/api/admin/queue/jobs', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const status = req.query.status || 'pending';
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+app.post(
+  '/api/admin/api-keys/:id/rotate',
+  authMiddleware,
+  requirePermission('apikeys:write'),
+  async (req, res) => {
+    try {
+      const result = await rotateApiKey(req.params.id, req.user.wallet, {
+        immediate: req.body?.immediate === true,
+        ...apiKeyContext(req),
+      });
 
-    const jobs = getJobsByStatus(status, limit);
-    res.json({ jobs, count: jobs.length });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'queue-jobs') });
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'rotate-api-key') });
+    }
   }
-});
+);
 
 /**
- * Get specific job (admin only)
- * GET /api/admin/queue/jobs/:id
+ * Revoke an API key (admin only)
+ * POST /api/admin/api-keys/:id/revoke
+ * Body: { reason? }
  */
-app.get('/api/admin/queue/jobs/:id', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const job = getJob(req.params.id);
+app.post(
+  '/api/admin/api-keys/:id/revoke',
+  authMiddleware,
+  requirePermission('apikeys:write'),
+  async (req, res) => {
+    try {
+      const result = await revokeApiKey(req.params.id, req.user.wallet, {
+        reason: req.body?.reason ?? null,
+        ...apiKeyContext(req),
+      });
+
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
 
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'revoke-api-key') });
     }
+  }
+);
 
-    res.json(job);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'queue-job') });
+/**
+ * Usage history of an API key (admin only)
+ * GET /api/admin/api-keys/:id/usage?month=YYYY-MM or ?months=1..12
+ */
+app.get(
+  '/api/admin/api-keys/:id/usage',
+  authMiddleware,
+  requirePermission('apikeys:read'),
+  async (req, res) => {
+    try {
+      const { month = null, months = 1 } = req.query;
+      const result = await getApiKeyUsage(req.params.id, { month, months });
+
+      if (!result.success) {
+        return sendApiKeyError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'api-key-usage') });
+    }
   }
-});
+);
 
 // ============================================
-// ADMIN - ANALYTICS ROUTES
+// ADMIN - SEASONS
 // ============================================
 
 /**
- * Get analytics overview (admin only)
- * GET /api/admin/analytics
+ * List seasons with service stats (admin only)
+ * GET /api/admin/seasons
  */
-app.get('/api/admin/analytics', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const metrics = getAnalyticsMetrics();
-    res.json(metrics);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'analytics') });
+app.get(
+  '/api/admin/seasons',
+  authMiddleware,
+  requirePermission('seasons:read'),
+  async (req, res) => {
+    try {
+      const seasons = await listSeasons();
+      res.json({ seasons, stats: getSeasonStats() });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'admin-list-seasons') });
+    }
   }
-});
+);
 
 /**
- * Get aggregated metrics (admin only)
- * GET /api/admin/analytics/metrics
+ * Schedule a season (admin only)
+ * POST /api/admin/seasons
+ * Body: { name, startsAt, endsAt, rewards? }
  */
-app.get('/api/admin/analytics/metrics', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const interval = req.query.interval || 'hour';
-    const count = Math.min(parseInt(req.query.count) || 24, 168);
+app.post(
+  '/api/admin/seasons',
+  authMiddleware,
+  requirePermission('seasons:write'),
+  async (req, res) => {
+    try {
+      const { name, startsAt, endsAt, rewards } = req.body;
+      const result = await createSeason({ name, startsAt, endsAt, rewards }, req.user.wallet);
 
-    const metrics = getAggregatedMetrics(interval, count);
-    res.json({ interval, metrics });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'analytics-metrics') });
+      if (!result.success) {
+        return sendSeasonError(res, result.error);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'create-season') });
+    }
   }
-});
+);
 
 /**
- * Get funnel analysis (admin only)
- * GET /api/admin/analytics/funnel/:name
+ * Change a season (admin only)
+ * PATCH /api/admin/seasons/:id
+ * Body: { name?, startsAt?, endsAt?, rewards? }
  */
-app.get('/api/admin/analytics/funnel/:name', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const analysis = getFunnelAnalysis(req.params.name);
+app.patch(
+  '/api/admin/seasons/:id',
+  authMiddleware,
+  requirePermission('seasons:write'),
+  async (req, res) => {
+    try {
+      const updates = {};
+      for (const field of ['name', 'startsAt', 'endsAt', 'rewards']) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      }
 
-    if (!analysis) {
-      return res.status(404).json({ error: 'Funnel not found' });
-    }
+      const result = await updateSeason(req.params.id, updates, req.user.wallet);
 
-    res.json(analysis);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'funnel-analysis') });
-  }
-});
+      if (!result.success) {
+        return sendSeasonError(res, result.error);
+      }
 
-// ============================================
-// ADMIN - SCHEDULER ROUTES
-// ============================================
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'update-season') });
+    }
+  }
+);
 
 /**
- * Get scheduled tasks (admin only)
- * GET /api/admin/scheduler
+ * Delete a season that has not started (admin only)
+ * DELETE /api/admin/seasons/:id
  */
-app.get('/api/admin/scheduler', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const tasks = getAllTasks();
-    const metrics = getSchedulerMetrics();
+app.delete(
+  '/api/admin/seasons/:id',
+  authMiddleware,
+  requirePermission('seasons:write'),
+  async (req, res) => {
+    try {
+      const result = await deleteSeason(req.params.id, req.user.wallet);
 
-    res.json({ tasks, metrics });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'scheduler') });
+      if (!result.success) {
+        return sendSeasonError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'delete-season') });
+    }
   }
-});
+);
 
 /**
- * Get task execution history (admin only)
- * GET /api/admin/scheduler/history
+ * End the running season now, snapshot it and pay rewards (admin only)
+ * POST /api/admin/seasons/:id/end
  */
-app.get('/api/admin/scheduler/history', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const taskId = req.query.taskId || null;
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+app.post(
+  '/api/admin/seasons/:id/end',
+  authMiddleware,
+  requirePermission('seasons:write'),
+  async (req, res) => {
+    try {
+      const result = await endSeason(req.params.id, req.user.wallet);
 
-    const history = getTaskHistory(taskId, limit);
-    res.json({ history, count: history.length });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'scheduler-history') });
+      if (!result.success) {
+        return sendSeasonError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'end-season') });
+    }
   }
-});
+);
 
 // ============================================
-// ADMIN - RATE LIMITING ROUTES
+// ADMIN - TOURNAMENTS
 // ============================================
 
+// Settings accepted from the admin body (the service ignores the rest on update)
+const TOURNAMENT_FIELDS = [
+  'name',
+  'gameId',
+  'format',
+  'startsAt',
+  'endsAt',
+  'roundDuration',
+  'attempts',
+  'maxPlayers',
+  'entryBurn',
+  'prizes',
+];
+
 /**
- * Get rate limit statistics (admin only)
- * GET /api/admin/ratelimit
+ * List tournaments with service stats (admin only)
+ * GET /api/admin/tournaments
  */
-app.get('/api/admin/ratelimit', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getRateLimitStats();
-    const banned = getBannedList();
+app.get(
+  '/api/admin/tournaments',
+  authMiddleware,
+  requirePermission('tournaments:read'),
+  async (req, res) => {
+    try {
+      const tournaments = await listTournaments();
+      res.json({ tournaments, stats: getTournamentStats() });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'admin-list-tournaments') });
+    }
+  }
+);
 
-    res.json({ stats, banned });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'ratelimit-stats') });
+/**
+ * Schedule a tournament (admin only)
+ * POST /api/admin/tournaments
+ * Body: { name, gameId, format, startsAt, endsAt?, roundDuration?, attempts?, maxPlayers?,
+ *         entryBurn?, prizes? }
+ */
+app.post(
+  '/api/admin/tournaments',
+  authMiddleware,
+  requirePermission('tournaments:write'),
+  async (req, res) => {
+    try {
+      const input = {};
+      for (const field of TOURNAMENT_FIELDS) {
+        if (req.body[field] !== undefined) input[field] = req.body[field];
+      }
+
+      const result = await createTournament(input, req.user.wallet);
+
+      if (!result.success) {
+        return sendTournamentError(res, result.error);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'create-tournament') });
+    }
   }
-});
+);
 
 /**
- * Remove ban (admin only)
- * POST /api/admin/ratelimit/unban
+ * Change a tournament that has not started (admin only)
+ * PATCH /api/admin/tournaments/:id
+ * Body: { name?, startsAt?, endsAt?, roundDuration?, attempts?, maxPlayers?, prizes? }
  */
-app.post('/api/admin/ratelimit/unban', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { identifier } = req.body;
+app.patch(
+  '/api/admin/tournaments/:id',
+  authMiddleware,
+  requirePermission('tournaments:write'),
+  async (req, res) => {
+    try {
+      const updates = {};
+      for (const field of TOURNAMENT_FIELDS) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      }
 
-    if (!identifier) {
-      return res.status(400).json({ error: 'Identifier required' });
+      const result = await updateTournament(req.params.id, updates, req.user.wallet);
+
+      if (!result.success) {
+        return sendTournamentError(res, result.error);
+      }
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'update-tournament') });
     }
+  }
+);
 
-    const success = removeBan(identifier);
+/**
+ * Cancel a tournament, no prizes paid (admin only)
+ * POST /api/admin/tournaments/:id/cancel
+ * Body: { reason? }
+ */
+app.post(
+  '/api/admin/tournaments/:id/cancel',
+  authMiddleware,
+  requirePermission('tournaments:write'),
+  async (req, res) => {
+    try {
+      const result = await cancelTournament(req.params.id, req.user.wallet, req.body.reason);
 
-    logAdminAction(
-      AUDIT_EVENTS.USER_UNBANNED,
-      {
-        identifier,
-        success,
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
+      if (!result.success) {
+        return sendTournamentError(res, result.error);
       }
-    );
 
-    res.json({ success });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'unban') });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'cancel-tournament') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - VALIDATION ROUTES
@@ -3498,14 +5231,19 @@ app.post('/api/admin/ratelimit/unban', authMiddleware, requireAdmin, async (req,
  * Get validator statistics (admin only)
  * GET /api/admin/validator
  */
-app.get('/api/admin/validator', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getValidatorStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'validator-stats') });
+app.get(
+  '/api/admin/validator',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const stats = getValidatorStats();
+      res.json(stats);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'validator-stats') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - FEATURE FLAGS ROUTES
@@ -3515,11 +5253,18 @@ app.get('/api/admin/validator', authMiddleware, requireAdmin, async (req, res) =
  * Get all feature flags (admin only)
  * GET /api/admin/flags
  */
-app.get('/api/admin/flags', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/admin/flags', authMiddleware, requirePermission('flags:read'), async (req, res) => {
   try {
     const flags = getAllFlags();
     const stats = getFeatureFlagStats();
 
+    // Experiment flags carry their A/B results and significance
+    for (const flag of flags) {
+      if (flag.experiment) {
+        flag.experimentResults = getGameAnalytics().getExperimentResults(flag.key);
+      }
+    }
+
     res.json({ flags, stats });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'feature-flags') });
@@ -3530,7 +5275,7 @@ app.get('/api/admin/flags', authMiddleware, requireAdmin, async (req, res) => {
  * Create or update feature flag (admin only)
  * POST /api/admin/flags
  */
-app.post('/api/admin/flags', authMiddleware, requireAdmin, async (req, res) => {
+app.post('/api/admin/flags', authMiddleware, requirePermission('flags:write'), async (req, res) => {
   try {
     const { key, config } = req.body;
 
@@ -3540,6 +5285,10 @@ app.post('/api/admin/flags', authMiddleware, requireAdmin, async (req, res) => {
 
     const result = createFlag(key, config || {});
 
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
     logAdminAction(
       AUDIT_EVENTS.FLAG_TOGGLED,
       {
@@ -3561,89 +5310,205 @@ app.post('/api/admin/flags', authMiddleware, requireAdmin, async (req, res) => {
  * Toggle feature flag (admin only)
  * POST /api/admin/flags/:key/toggle
  */
-app.post('/api/admin/flags/:key/toggle', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { key } = req.params;
-    const { enabled } = req.body;
-
-    if (typeof enabled !== 'boolean') {
-      return res.status(400).json({ error: 'enabled (boolean) required' });
-    }
+app.post(
+  '/api/admin/flags/:key/toggle',
+  authMiddleware,
+  requirePermission('flags:write'),
+  async (req, res) => {
+    try {
+      const { key } = req.params;
+      const { enabled } = req.body;
 
-    const success = setFlagEnabled(key, enabled);
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled (boolean) required' });
+      }
 
-    if (!success) {
-      return res.status(404).json({ error: 'Flag not found' });
-    }
+      const success = setFlagEnabled(key, enabled);
 
-    logAdminAction(
-      AUDIT_EVENTS.FLAG_TOGGLED,
-      {
-        key,
-        enabled,
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
+      if (!success) {
+        return res.status(404).json({ error: 'Flag not found' });
       }
-    );
 
-    res.json({ success: true, key, enabled });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'toggle-flag') });
+      logAdminAction(
+        AUDIT_EVENTS.FLAG_TOGGLED,
+        {
+          key,
+          enabled,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json({ success: true, key, enabled });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'toggle-flag') });
+    }
   }
-});
+);
 
 /**
  * Update flag rollout percentage (admin only)
  * POST /api/admin/flags/:key/percentage
  */
-app.post('/api/admin/flags/:key/percentage', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { key } = req.params;
-    const { percentage } = req.body;
+app.post(
+  '/api/admin/flags/:key/percentage',
+  authMiddleware,
+  requirePermission('flags:write'),
+  async (req, res) => {
+    try {
+      const { key } = req.params;
+      const { percentage } = req.body;
 
-    if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
-      return res.status(400).json({ error: 'percentage (0-100) required' });
+      if (typeof percentage !== 'number' || percentage < 0 || percentage > 100) {
+        return res.status(400).json({ error: 'percentage (0-100) required' });
+      }
+
+      const success = setFlagPercentage(key, percentage);
+
+      if (!success) {
+        return res.status(404).json({ error: 'Flag not found' });
+      }
+
+      logAdminAction(
+        AUDIT_EVENTS.FLAG_TOGGLED,
+        {
+          key,
+          percentage,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json({ success: true, key, percentage });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'flag-percentage') });
     }
+  }
+);
+
+/**
+ * Replace a flag's scheduled changes (admin only)
+ * POST /api/admin/flags/:key/schedule
+ * Body: { steps: [{ at, enabled?, percentage? }], sunsetAt? }
+ */
+app.post(
+  '/api/admin/flags/:key/schedule',
+  authMiddleware,
+  requirePermission('flags:write'),
+  async (req, res) => {
+    try {
+      const { key } = req.params;
+      const { steps, sunsetAt } = req.body;
 
-    const success = setFlagPercentage(key, percentage);
+      const result = setFlagSchedule(key, { steps, sunsetAt });
 
-    if (!success) {
-      return res.status(404).json({ error: 'Flag not found' });
+      if (!result.success) {
+        const status = result.error === 'Flag not found' ? 404 : 400;
+        return res.status(status).json({ error: result.error });
+      }
+
+      logAdminAction(
+        AUDIT_EVENTS.FLAG_SCHEDULED,
+        {
+          key,
+          steps: result.steps,
+          sunsetAt: result.sunsetAt,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'flag-schedule') });
     }
+  }
+);
 
-    logAdminAction(
-      AUDIT_EVENTS.FLAG_TOGGLED,
-      {
-        key,
-        percentage,
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
+/**
+ * Replace a flag's kill switch guards (admin only)
+ * POST /api/admin/flags/:key/guards
+ * Body: { guards: [{ metric, operator?, threshold, breaches?, action? }] }
+ */
+app.post(
+  '/api/admin/flags/:key/guards',
+  authMiddleware,
+  requirePermission('flags:write'),
+  async (req, res) => {
+    try {
+      const { key } = req.params;
+      const { guards } = req.body;
+
+      const result = setFlagGuards(key, guards);
+
+      if (!result.success) {
+        const status = result.error === 'Flag not found' ? 404 : 400;
+        return res.status(status).json({ error: result.error });
       }
-    );
 
-    res.json({ success: true, key, percentage });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'flag-percentage') });
+      logAdminAction(
+        AUDIT_EVENTS.FLAG_GUARDS_CHANGED,
+        {
+          key,
+          guards: result.guards,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'flag-guards') });
+    }
   }
-});
+);
 
 /**
  * Get flag history (admin only)
  * GET /api/admin/flags/history
  */
-app.get('/api/admin/flags/history', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const key = req.query.key || null;
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+app.get(
+  '/api/admin/flags/history',
+  authMiddleware,
+  requirePermission('flags:read'),
+  async (req, res) => {
+    try {
+      const key = req.query.key || null;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
 
-    const history = getFlagHistory(key, limit);
-    res.json({ history, count: history.length });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'flag-history') });
+      const history = getFlagHistory(key, limit);
+      res.json({ history, count: history.length });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'flag-history') });
+    }
   }
-});
+);
+
+/**
+ * Build the flag evaluation context for a request
+ * Anonymous visitors are bucketed by the client-generated ID they send, so
+ * rollouts stay stable for them across page loads.
+ * @param {Object} req - Express request
+ * @param {string} [anonymousId] - Client-generated visitor ID
+ * @returns {Object|null} Null if the anonymous ID is malformed
+ */
+function buildFlagContext(req, anonymousId) {
+  if (anonymousId !== undefined && !/^[A-Za-z0-9_-]{8,64}$/.test(String(anonymousId))) {
+    return null;
+  }
+
+  return {
+    wallet: req.user?.wallet,
+    sessionId: req.user?.wallet ? undefined : anonymousId,
+    tier: req.user?.tier,
+    tierIndex: req.user?.tierIndex,
+    environment: isProduction ? 'production' : 'development',
+  };
+}
 
 /**
  * Evaluate flag for context (public, for client-side feature checks)
@@ -3651,18 +5516,16 @@ app.get('/api/admin/flags/history', authMiddleware, requireAdmin, async (req, re
  */
 app.post('/api/flags/evaluate', optionalAuthMiddleware, async (req, res) => {
   try {
-    const { flags } = req.body;
+    const { flags, anonymousId } = req.body;
 
     if (!Array.isArray(flags)) {
       return res.status(400).json({ error: 'flags array required' });
     }
 
-    const context = {
-      wallet: req.user?.wallet,
-      tier: req.user?.tier,
-      tierIndex: req.user?.tierIndex,
-      environment: isProduction ? 'production' : 'development',
-    };
+    const context = buildFlagContext(req, anonymousId);
+    if (!context) {
+      return res.status(400).json({ error: 'Invalid anonymousId' });
+    }
 
     const results = {};
     for (const key of flags.slice(0, 50)) {
@@ -3676,6 +5539,30 @@ app.post('/api/flags/evaluate', optionalAuthMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Evaluate every flag for the caller (client SDK bootstrap)
+ * GET /api/flags/bootstrap?anonymousId=
+ * Each flag carries its public rollout data so the SDK can apply live
+ * changes with the same bucketing as getBucket().
+ */
+app.get('/api/flags/bootstrap', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const context = buildFlagContext(req, req.query.anonymousId);
+    if (!context) {
+      return res.status(400).json({ error: 'Invalid anonymousId' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.json({
+      flags: getClientFlags(context),
+      wallet: context.wallet || null,
+      generatedAt: Date.now(),
+    });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'bootstrap-flags') });
+  }
+});
+
 // ============================================
 // ADMIN - AUDIT TRAIL ROUTES
 // ============================================
@@ -3684,7 +5571,7 @@ app.post('/api/flags/evaluate', optionalAuthMiddleware, async (req, res) => {
  * Get audit statistics (admin only)
  * GET /api/admin/audit
  */
-app.get('/api/admin/audit', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/admin/audit', authMiddleware, requirePermission('audit:read'), async (req, res) => {
   try {
     const stats = getAuditStats();
     const alerts = getActiveAlerts();
@@ -3699,77 +5586,132 @@ app.get('/api/admin/audit', authMiddleware, requireAdmin, async (req, res) => {
  * Search audit logs (admin only)
  * GET /api/admin/audit/search
  */
-app.get('/api/admin/audit/search', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const query = {
-      category: req.query.category || null,
-      eventType: req.query.eventType || null,
-      severity: req.query.severity || null,
-      actor: req.query.actor || null,
-      startTime: req.query.startTime ? parseInt(req.query.startTime) : null,
-      endTime: req.query.endTime ? parseInt(req.query.endTime) : null,
-      limit: Math.min(parseInt(req.query.limit) || 50, 500),
-      offset: parseInt(req.query.offset) || 0,
-    };
+app.get(
+  '/api/admin/audit/search',
+  authMiddleware,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    try {
+      const query = {
+        category: req.query.category || null,
+        eventType: req.query.eventType || null,
+        severity: req.query.severity || null,
+        actor: req.query.actor || null,
+        startTime: req.query.startTime ? parseInt(req.query.startTime) : null,
+        endTime: req.query.endTime ? parseInt(req.query.endTime) : null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 500),
+        offset: parseInt(req.query.offset) || 0,
+      };
 
-    const results = searchAudit(query);
-    res.json(results);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'audit-search') });
+      const results = searchAudit(query);
+      res.json(results);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'audit-search') });
+    }
   }
-});
+);
 
 /**
  * Export audit logs (admin only)
  * GET /api/admin/audit/export
  */
-app.get('/api/admin/audit/export', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const options = {
-      category: req.query.category || null,
-      startTime: req.query.startTime ? parseInt(req.query.startTime) : null,
-      endTime: req.query.endTime ? parseInt(req.query.endTime) : null,
-      format: req.query.format || 'json',
-    };
+app.get(
+  '/api/admin/audit/export',
+  authMiddleware,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    try {
+      const options = {
+        category: req.query.category || null,
+        startTime: req.query.startTime ? parseInt(req.query.startTime) : null,
+        endTime: req.query.endTime ? parseInt(req.query.endTime) : null,
+        format: req.query.format || 'json',
+      };
 
-    const exported = exportAuditLogs(options);
+      const exported = exportAuditLogs(options);
+
+      logAdminAction(
+        AUDIT_EVENTS.DATA_EXPORTED,
+        {
+          type: 'audit_logs',
+          format: options.format,
+          eventCount: exported.totalEvents || 0,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
 
-    logAdminAction(
-      AUDIT_EVENTS.DATA_EXPORTED,
-      {
-        type: 'audit_logs',
-        format: options.format,
-        eventCount: exported.totalEvents || 0,
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
+      if (options.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="audit_export.csv"');
+        return res.send(exported);
       }
-    );
 
-    if (options.format === 'csv') {
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename="audit_export.csv"');
-      return res.send(exported);
+      res.json(exported);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'audit-export') });
     }
+  }
+);
 
-    res.json(exported);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'audit-export') });
+/**
+ * Verify audit hash chain over a time range (admin only)
+ * GET /api/admin/audit/verify
+ */
+app.get(
+  '/api/admin/audit/verify',
+  authMiddleware,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    try {
+      const startTime = req.query.startTime ? parseInt(req.query.startTime) : null;
+      const endTime = req.query.endTime ? parseInt(req.query.endTime) : null;
+
+      if ((startTime !== null && isNaN(startTime)) || (endTime !== null && isNaN(endTime))) {
+        return res.status(400).json({ error: 'startTime and endTime must be timestamps (ms)' });
+      }
+
+      const result = await verifyAuditChain({ startTime, endTime });
+
+      logAdminAction(
+        AUDIT_EVENTS.AUDIT_VERIFIED,
+        {
+          startTime,
+          endTime,
+          valid: result.valid,
+          eventsChecked: result.eventsChecked,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+          severity: result.valid ? AUDIT_SEVERITY.INFO : AUDIT_SEVERITY.CRITICAL,
+        }
+      );
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'audit-verify') });
+    }
   }
-});
+);
 
 /**
  * Get active security alerts (admin only)
  * GET /api/admin/audit/alerts
  */
-app.get('/api/admin/audit/alerts', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const alerts = getActiveAlerts();
-    res.json({ alerts, count: alerts.length });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'audit-alerts') });
+app.get(
+  '/api/admin/audit/alerts',
+  authMiddleware,
+  requirePermission('audit:read'),
+  async (req, res) => {
+    try {
+      const alerts = getActiveAlerts();
+      res.json({ alerts, count: alerts.length });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'audit-alerts') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - CIRCUIT BREAKER ROUTES
@@ -3779,87 +5721,107 @@ app.get('/api/admin/audit/alerts', authMiddleware, requireAdmin, async (req, res
  * Get all circuit breakers (admin only)
  * GET /api/admin/circuits
  */
-app.get('/api/admin/circuits', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const circuits = getAllCircuits();
-    const stats = getCircuitStats();
+app.get(
+  '/api/admin/circuits',
+  authMiddleware,
+  requirePermission('circuits:read'),
+  async (req, res) => {
+    try {
+      const circuits = getAllCircuits();
+      const stats = getCircuitStats();
 
-    res.json({ circuits, stats });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'circuits') });
+      res.json({ circuits, stats });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'circuits') });
+    }
   }
-});
+);
 
 /**
  * Get specific circuit status (admin only)
  * GET /api/admin/circuits/:name
  */
-app.get('/api/admin/circuits/:name', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const status = getCircuitStatus(req.params.name);
+app.get(
+  '/api/admin/circuits/:name',
+  authMiddleware,
+  requirePermission('circuits:read'),
+  async (req, res) => {
+    try {
+      const status = getCircuitStatus(req.params.name);
 
-    if (!status) {
-      return res.status(404).json({ error: 'Circuit not found' });
-    }
+      if (!status) {
+        return res.status(404).json({ error: 'Circuit not found' });
+      }
 
-    res.json(status);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'circuit-status') });
+      res.json(status);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'circuit-status') });
+    }
   }
-});
+);
 
 /**
  * Force circuit state (admin only)
  * POST /api/admin/circuits/:name/state
  */
-app.post('/api/admin/circuits/:name/state', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { state } = req.body;
-
-    if (!['open', 'closed'].includes(state)) {
-      return res.status(400).json({ error: 'State must be "open" or "closed"' });
-    }
+app.post(
+  '/api/admin/circuits/:name/state',
+  authMiddleware,
+  requirePermission('circuits:write'),
+  async (req, res) => {
+    try {
+      const { state } = req.body;
 
-    const success = forceCircuitState(req.params.name, state);
+      if (!['open', 'closed'].includes(state)) {
+        return res.status(400).json({ error: 'State must be "open" or "closed"' });
+      }
 
-    if (!success) {
-      return res.status(404).json({ error: 'Circuit not found' });
-    }
+      const success = forceCircuitState(req.params.name, state);
 
-    logAdminAction(
-      AUDIT_EVENTS.CONFIG_CHANGED,
-      {
-        circuit: req.params.name,
-        newState: state,
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
+      if (!success) {
+        return res.status(404).json({ error: 'Circuit not found' });
       }
-    );
 
-    res.json({ success: true, circuit: req.params.name, state });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'circuit-state') });
+      logAdminAction(
+        AUDIT_EVENTS.CONFIG_CHANGED,
+        {
+          circuit: req.params.name,
+          newState: state,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
+
+      res.json({ success: true, circuit: req.params.name, state });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'circuit-state') });
+    }
   }
-});
+);
 
 /**
  * Reset circuit (admin only)
  * POST /api/admin/circuits/:name/reset
  */
-app.post('/api/admin/circuits/:name/reset', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const success = resetCircuit(req.params.name);
+app.post(
+  '/api/admin/circuits/:name/reset',
+  authMiddleware,
+  requirePermission('circuits:write'),
+  async (req, res) => {
+    try {
+      const success = resetCircuit(req.params.name);
 
-    if (!success) {
-      return res.status(404).json({ error: 'Circuit not found' });
-    }
+      if (!success) {
+        return res.status(404).json({ error: 'Circuit not found' });
+      }
 
-    res.json({ success: true, circuit: req.params.name });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'circuit-reset') });
+      res.json({ success: true, circuit: req.params.name });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'circuit-reset') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - TRACING ROUTES
@@ -3869,117 +5831,147 @@ app.post('/api/admin/circuits/:name/reset', authMiddleware, requireAdmin, async
  * Get tracing statistics (admin only)
  * GET /api/admin/tracing
  */
-app.get('/api/admin/tracing', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getTracingStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'tracing-stats') });
+app.get(
+  '/api/admin/tracing',
+  authMiddleware,
+  requirePermission('tracing:read'),
+  async (req, res) => {
+    try {
+      const stats = getTracingStats();
+      res.json(stats);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'tracing-stats') });
+    }
   }
-});
+);
 
 /**
  * Get specific trace (admin only)
  * GET /api/admin/tracing/traces/:id
  */
-app.get('/api/admin/tracing/traces/:id', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const trace = getTrace(req.params.id);
+app.get(
+  '/api/admin/tracing/traces/:id',
+  authMiddleware,
+  requirePermission('tracing:read'),
+  async (req, res) => {
+    try {
+      const trace = getTrace(req.params.id);
 
-    if (!trace) {
-      return res.status(404).json({ error: 'Trace not found' });
-    }
+      if (!trace) {
+        return res.status(404).json({ error: 'Trace not found' });
+      }
 
-    res.json(trace);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'get-trace') });
+      res.json(trace);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'get-trace') });
+    }
   }
-});
+);
 
 /**
  * Search traces (admin only)
  * GET /api/admin/tracing/search
  */
-app.get('/api/admin/tracing/search', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const query = {
-      operationName: req.query.operation || null,
-      hasError:
-        req.query.hasError === 'true' ? true : req.query.hasError === 'false' ? false : null,
-      minDuration: req.query.minDuration ? parseInt(req.query.minDuration) : null,
-      maxDuration: req.query.maxDuration ? parseInt(req.query.maxDuration) : null,
-      limit: Math.min(parseInt(req.query.limit) || 50, 100),
-      offset: parseInt(req.query.offset) || 0,
-    };
+app.get(
+  '/api/admin/tracing/search',
+  authMiddleware,
+  requirePermission('tracing:read'),
+  async (req, res) => {
+    try {
+      const query = {
+        operationName: req.query.operation || null,
+        hasError:
+          req.query.hasError === 'true' ? true : req.query.hasError === 'false' ? false : null,
+        minDuration: req.query.minDuration ? parseInt(req.query.minDuration) : null,
+        maxDuration: req.query.maxDuration ? parseInt(req.query.maxDuration) : null,
+        limit: Math.min(parseInt(req.query.limit) || 50, 100),
+        offset: parseInt(req.query.offset) || 0,
+      };
 
-    const traces = searchTraces(query);
-    res.json({ traces, count: traces.length });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'search-traces') });
+      const traces = searchTraces(query);
+      res.json({ traces, count: traces.length });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'search-traces') });
+    }
   }
-});
+);
 
 /**
  * Get slow traces (admin only)
  * GET /api/admin/tracing/slow
  */
-app.get('/api/admin/tracing/slow', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const threshold = parseInt(req.query.threshold) || 1000;
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+app.get(
+  '/api/admin/tracing/slow',
+  authMiddleware,
+  requirePermission('tracing:read'),
+  async (req, res) => {
+    try {
+      const threshold = parseInt(req.query.threshold) || 1000;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
 
-    const traces = getSlowTraces(threshold, limit);
-    res.json({ traces, count: traces.length, threshold });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'slow-traces') });
+      const traces = getSlowTraces(threshold, limit);
+      res.json({ traces, count: traces.length, threshold });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'slow-traces') });
+    }
   }
-});
+);
 
 /**
  * Get error traces (admin only)
  * GET /api/admin/tracing/errors
  */
-app.get('/api/admin/tracing/errors', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-    const traces = getErrorTraces(limit);
+app.get(
+  '/api/admin/tracing/errors',
+  authMiddleware,
+  requirePermission('tracing:read'),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const traces = getErrorTraces(limit);
 
-    res.json({ traces, count: traces.length });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'error-traces') });
+      res.json({ traces, count: traces.length });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'error-traces') });
+    }
   }
-});
+);
 
 /**
  * Set sample rate (admin only)
  * POST /api/admin/tracing/sample-rate
  */
-app.post('/api/admin/tracing/sample-rate', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { rate } = req.body;
+app.post(
+  '/api/admin/tracing/sample-rate',
+  authMiddleware,
+  requirePermission('tracing:write'),
+  async (req, res) => {
+    try {
+      const { rate } = req.body;
 
-    if (typeof rate !== 'number' || rate < 0 || rate > 1) {
-      return res.status(400).json({ error: 'Rate must be between 0 and 1' });
-    }
+      if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+        return res.status(400).json({ error: 'Rate must be between 0 and 1' });
+      }
 
-    setSampleRate(rate);
+      setSampleRate(rate);
 
-    logAdminAction(
-      AUDIT_EVENTS.CONFIG_CHANGED,
-      {
-        setting: 'tracing.sampleRate',
-        value: rate,
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
-      }
-    );
+      logAdminAction(
+        AUDIT_EVENTS.CONFIG_CHANGED,
+        {
+          setting: 'tracing.sampleRate',
+          value: rate,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
 
-    res.json({ success: true, sampleRate: rate });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'set-sample-rate') });
+      res.json({ success: true, sampleRate: rate });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'set-sample-rate') });
+    }
   }
-});
+);
 
 // ============================================
 // HEALTH CHECK PROBES
@@ -4026,7 +6018,7 @@ app.get('/startupz', async (req, res) => {
  * Detailed health (admin only)
  * GET /api/admin/health
  */
-app.get('/api/admin/health', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/admin/health', authMiddleware, requirePermission('system:read'), async (req, res) => {
   try {
     const health = await getDetailedHealth();
     res.json(health);
@@ -4039,17 +6031,22 @@ app.get('/api/admin/health', authMiddleware, requireAdmin, async (req, res) => {
  * Health history (admin only)
  * GET /api/admin/health/history
  */
-app.get('/api/admin/health/history', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
-    const history = getHealthHistory(limit);
-    const trend = getHealthTrend(60);
+app.get(
+  '/api/admin/health/history',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      const history = getHealthHistory(limit);
+      const trend = getHealthTrend(60);
 
-    res.json({ history, trend });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'health-history') });
+      res.json({ history, trend });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'health-history') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - CONFIGURATION ROUTES
@@ -4059,7 +6056,7 @@ app.get('/api/admin/health/history', authMiddleware, requireAdmin, async (req, r
  * Get all configuration (admin only)
  * GET /api/admin/config
  */
-app.get('/api/admin/config', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/admin/config', authMiddleware, requirePermission('config:read'), async (req, res) => {
   try {
     const includeSensitive = req.query.sensitive === 'true';
     const config = getAllConfig({
@@ -4074,76 +6071,111 @@ app.get('/api/admin/config', authMiddleware, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Get configuration history (admin only)
+ * GET /api/admin/config/history
+ */
+app.get(
+  '/api/admin/config/history',
+  authMiddleware,
+  requirePermission('config:read'),
+  async (req, res) => {
+    try {
+      const key = req.query.key || null;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+      const history = getConfigHistory(key, limit);
+      res.json({ history, count: history.length });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'config-history') });
+    }
+  }
+);
+
 /**
  * Get specific configuration (admin only)
  * GET /api/admin/config/:key
  */
-app.get('/api/admin/config/:key', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const value = getConfig(req.params.key);
+app.get(
+  '/api/admin/config/:key',
+  authMiddleware,
+  requirePermission('config:read'),
+  async (req, res) => {
+    try {
+      const value = getConfig(req.params.key);
 
-    if (value === undefined) {
-      return res.status(404).json({ error: 'Configuration not found' });
-    }
+      if (value === undefined) {
+        return res.status(404).json({ error: 'Configuration not found' });
+      }
 
-    res.json({ key: req.params.key, value });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'get-config-key') });
+      res.json({ key: req.params.key, value });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'get-config-key') });
+    }
   }
-});
+);
 
 /**
  * Set configuration value (admin only)
+ * Body: { value } to override, or { rollbackTo: historyId } to restore a
+ * history entry; add dryRun: true to validate without applying.
  * PUT /api/admin/config/:key
  */
-app.put('/api/admin/config/:key', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { value } = req.body;
-
-    if (value === undefined) {
-      return res.status(400).json({ error: 'Value required' });
-    }
-
-    const result = setConfig(req.params.key, value, {
-      updatedBy: req.user.wallet,
-      source: 'admin',
-    });
+app.put(
+  '/api/admin/config/:key',
+  authMiddleware,
+  requirePermission('config:write'),
+  async (req, res) => {
+    try {
+      const { value, rollbackTo, dryRun } = req.body;
+      const options = {
+        updatedBy: req.user.wallet,
+        source: 'admin',
+        dryRun: dryRun === true,
+      };
 
-    if (!result.success) {
-      return res.status(400).json({ error: result.error });
-    }
+      let result;
+      if (rollbackTo !== undefined) {
+        if (typeof rollbackTo !== 'string') {
+          return res.status(400).json({ error: 'Invalid rollbackTo' });
+        }
+        result = rollbackConfig(req.params.key, rollbackTo, options);
+      } else {
+        if (value === undefined) {
+          return res.status(400).json({ error: 'Value required' });
+        }
+        result = setConfig(req.params.key, value, options);
+      }
 
-    logAdminAction(
-      AUDIT_EVENTS.CONFIG_CHANGED,
-      {
-        key: req.params.key,
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
+      if (!result.success) {
+        const status = result.error === 'History entry not found' ? 404 : 400;
+        return res.status(status).json({ error: result.error });
       }
-    );
 
-    res.json({ success: true, key: req.params.key });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'set-config') });
-  }
-});
+      if (result.dryRun) {
+        return res.json({ ...result, key: req.params.key });
+      }
 
-/**
- * Get configuration history (admin only)
- * GET /api/admin/config/history
- */
-app.get('/api/admin/config/history', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const key = req.query.key || null;
-    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+      // Persisted and announced to the other instances
+      await flushConfig();
+
+      logAdminAction(
+        rollbackTo !== undefined ? AUDIT_EVENTS.CONFIG_ROLLED_BACK : AUDIT_EVENTS.CONFIG_CHANGED,
+        {
+          key: req.params.key,
+          rollbackTo,
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
 
-    const history = getConfigHistory(key, limit);
-    res.json({ history, count: history.length });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'config-history') });
+      res.json({ success: true, key: req.params.key });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'set-config') });
+    }
   }
-});
+);
 
 // ============================================
 // REQUEST BATCHING
@@ -4176,50 +6208,60 @@ app.get('/api/version', (req, res) => {
  * Get shutdown status (admin only)
  * GET /api/admin/shutdown
  */
-app.get('/api/admin/shutdown', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getShutdownStats();
-    const state = getShutdownState();
+app.get(
+  '/api/admin/shutdown',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const stats = getShutdownStats();
+      const state = getShutdownState();
 
-    res.json({ stats, state });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'shutdown-stats') });
+      res.json({ stats, state });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'shutdown-stats') });
+    }
   }
-});
+);
 
 /**
  * Initiate graceful shutdown (admin only)
  * POST /api/admin/shutdown
  */
-app.post('/api/admin/shutdown', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { reason } = req.body;
+app.post(
+  '/api/admin/shutdown',
+  authMiddleware,
+  requirePermission('shutdown:execute'),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      logAdminAction(
+        AUDIT_EVENTS.CONFIG_CHANGED,
+        {
+          action: 'shutdown_initiated',
+          reason: reason || 'admin_request',
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
 
-    logAdminAction(
-      AUDIT_EVENTS.CONFIG_CHANGED,
-      {
-        action: 'shutdown_initiated',
+      res.json({
+        success: true,
+        message: 'Graceful shutdown initiated',
         reason: reason || 'admin_request',
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
-      }
-    );
-
-    res.json({
-      success: true,
-      message: 'Graceful shutdown initiated',
-      reason: reason || 'admin_request',
-    });
+      });
 
-    // Initiate shutdown after response
-    setImmediate(() => {
-      initiateShutdown(reason || 'admin_request');
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'initiate-shutdown') });
+      // Initiate shutdown after response
+      setImmediate(() => {
+        initiateShutdown(reason || 'admin_request');
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'initiate-shutdown') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - VERSIONING ROUTES
@@ -4229,16 +6271,21 @@ app.post('/api/admin/shutdown', authMiddleware, requireAdmin, async (req, res) =
  * Get versioning statistics (admin only)
  * GET /api/admin/versioning
  */
-app.get('/api/admin/versioning', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getVersioningStats();
-    const info = getVersionInfo();
+app.get(
+  '/api/admin/versioning',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const stats = getVersioningStats();
+      const info = getVersionInfo();
 
-    res.json({ stats, info });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'versioning-stats') });
+      res.json({ stats, info });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'versioning-stats') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - BATCHING ROUTES
@@ -4248,16 +6295,21 @@ app.get('/api/admin/versioning', authMiddleware, requireAdmin, async (req, res)
  * Get batching statistics (admin only)
  * GET /api/admin/batching
  */
-app.get('/api/admin/batching', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getBatchingStats();
-    const running = getRunningBatches();
+app.get(
+  '/api/admin/batching',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const stats = getBatchingStats();
+      const running = getRunningBatches();
 
-    res.json({ stats, runningBatches: running });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'batching-stats') });
+      res.json({ stats, runningBatches: running });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'batching-stats') });
+    }
   }
-});
+);
 
 // ============================================
 // ADMIN - COMPRESSION ROUTES
@@ -4267,38 +6319,48 @@ app.get('/api/admin/batching', authMiddleware, requireAdmin, async (req, res) =>
  * Get compression statistics (admin only)
  * GET /api/admin/compression
  */
-app.get('/api/admin/compression', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getCompressionStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'compression-stats') });
+app.get(
+  '/api/admin/compression',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const stats = getCompressionStats();
+      res.json(stats);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'compression-stats') });
+    }
   }
-});
+);
 
 /**
  * Clear compression cache (admin only)
  * POST /api/admin/compression/clear-cache
  */
-app.post('/api/admin/compression/clear-cache', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    clearCompressionCache();
-
-    logAdminAction(
-      AUDIT_EVENTS.CONFIG_CHANGED,
-      {
-        action: 'compression_cache_cleared',
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
-      }
-    );
+app.post(
+  '/api/admin/compression/clear-cache',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      clearCompressionCache();
+
+      logAdminAction(
+        AUDIT_EVENTS.CONFIG_CHANGED,
+        {
+          action: 'compression_cache_cleared',
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
 
-    res.json({ success: true, message: 'Compression cache cleared' });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'clear-compression-cache') });
+      res.json({ success: true, message: 'Compression cache cleared' });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'clear-compression-cache') });
+    }
   }
-});
+);
 
 // ============================================
 // RPC FAILOVER ROUTES
@@ -4308,7 +6370,7 @@ app.post('/api/admin/compression/clear-cache', authMiddleware, requireAdmin, asy
  * Get RPC endpoints status (admin only)
  * GET /api/admin/rpc
  */
-app.get('/api/admin/rpc', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/admin/rpc', authMiddleware, requirePermission('system:read'), async (req, res) => {
   try {
     const endpoints = getAllEndpointsStatus();
     const stats = getRpcStats();
@@ -4323,14 +6385,19 @@ app.get('/api/admin/rpc', authMiddleware, requireAdmin, async (req, res) => {
  * Trigger health check on all endpoints (admin only)
  * POST /api/admin/rpc/health-check
  */
-app.post('/api/admin/rpc/health-check', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const results = await checkAllEndpointsHealth();
-    res.json({ results: Object.fromEntries(results) });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'rpc-health-check') });
+app.post(
+  '/api/admin/rpc/health-check',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      const results = await checkAllEndpointsHealth();
+      res.json({ results: Object.fromEntries(results) });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'rpc-health-check') });
+    }
   }
-});
+);
 
 // ============================================
 // TRANSACTION MONITOR ROUTES
@@ -4402,16 +6469,21 @@ app.get('/api/transactions/history', authMiddleware, async (req, res) => {
  * Get active transactions (admin only)
  * GET /api/admin/transactions/active
  */
-app.get('/api/admin/transactions/active', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const active = getActiveTransactions();
-    const stats = getTxMonitorStats();
+app.get(
+  '/api/admin/transactions/active',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const active = getActiveTransactions();
+      const stats = getTxMonitorStats();
 
-    res.json({ active, stats });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'active-tx') });
+      res.json({ active, stats });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'active-tx') });
+    }
   }
-});
+);
 
 // ============================================
 // PRIORITY FEE ROUTES
@@ -4489,17 +6561,22 @@ app.get('/api/priority-fee/compute-units', (req, res) => {
  * Get fee history (admin only)
  * GET /api/admin/priority-fee
  */
-app.get('/api/admin/priority-fee', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const stats = getPriorityFeeStats();
-    const history = getFeeHistory(50);
-    const hourly = getFeeHourlyAverages(24);
+app.get(
+  '/api/admin/priority-fee',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const stats = getPriorityFeeStats();
+      const history = getFeeHistory(50);
+      const hourly = getFeeHourlyAverages(24);
 
-    res.json({ stats, history, hourlyAverages: hourly });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'fee-admin') });
+      res.json({ stats, history, hourlyAverages: hourly });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'fee-admin') });
+    }
   }
-});
+);
 
 // ============================================
 // WEBSOCKET STATUS ROUTES
@@ -4509,41 +6586,51 @@ app.get('/api/admin/priority-fee', authMiddleware, requireAdmin, async (req, res
  * Get WebSocket connection status
  * GET /api/admin/websocket
  */
-app.get('/api/admin/websocket', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const status = getWsStatus();
-    const stats = getWsStats();
-    const subscriptions = getWsSubscriptions();
+app.get(
+  '/api/admin/websocket',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const status = getWsStatus();
+      const stats = getWsStats();
+      const subscriptions = getWsSubscriptions();
 
-    res.json({ status, stats, subscriptions });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'ws-status') });
+      res.json({ status, stats, subscriptions });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'ws-status') });
+    }
   }
-});
+);
 
 /**
  * Reconnect WebSocket (admin only)
  * POST /api/admin/websocket/reconnect
  */
-app.post('/api/admin/websocket/reconnect', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    await wsConnect();
-
-    logAdminAction(
-      AUDIT_EVENTS.CONFIG_CHANGED,
-      {
-        action: 'websocket_reconnect',
-      },
-      {
-        actor: { id: req.user.wallet, type: 'admin' },
-      }
-    );
+app.post(
+  '/api/admin/websocket/reconnect',
+  authMiddleware,
+  requirePermission('system:write'),
+  async (req, res) => {
+    try {
+      await wsConnect();
+
+      logAdminAction(
+        AUDIT_EVENTS.CONFIG_CHANGED,
+        {
+          action: 'websocket_reconnect',
+        },
+        {
+          actor: { id: req.user.wallet, type: 'admin' },
+        }
+      );
 
-    res.json({ success: true, status: getWsStatus() });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'ws-reconnect') });
+      res.json({ success: true, status: getWsStatus() });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'ws-reconnect') });
+    }
   }
-});
+);
 
 // ============================================
 // ANALYTICS TRACKING MIDDLEWARE
@@ -4559,7 +6646,7 @@ app.post('/api/admin/websocket/reconnect', authMiddleware, requireAdmin, async (
  */
 app.post('/api/data/export', authMiddleware, async (req, res) => {
   try {
-    const result = requestExport(req.user.wallet, req.body);
+    const result = await requestExport(req.user.wallet, req.body);
     if (!result.success) {
       return res.status(429).json(result);
     }
@@ -4575,7 +6662,7 @@ app.post('/api/data/export', authMiddleware, async (req, res) => {
  */
 app.get('/api/data/export/:requestId', authMiddleware, async (req, res) => {
   try {
-    const status = getExportRequestStatus(req.params.requestId, req.user.wallet);
+    const status = await getExportRequestStatus(req.params.requestId, req.user.wallet);
     if (!status) {
       return res.status(404).json({ error: 'Request not found' });
     }
@@ -4591,11 +6678,11 @@ app.get('/api/data/export/:requestId', authMiddleware, async (req, res) => {
  */
 app.get('/api/data/export/:requestId/download', authMiddleware, async (req, res) => {
   try {
-    const status = getExportRequestStatus(req.params.requestId, req.user.wallet);
+    const status = await getExportRequestStatus(req.params.requestId, req.user.wallet);
     if (!status || !status.downloadAvailable) {
       return res.status(404).json({ error: 'Download not available' });
     }
-    const result = downloadExport(req.params.requestId, req.user.wallet);
+    const result = await downloadExport(req.params.requestId, req.user.wallet);
     if (!result.success) {
       return res.status(400).json(result);
     }
@@ -4613,7 +6700,7 @@ app.get('/api/data/export/:requestId/download', authMiddleware, async (req, res)
  */
 app.post('/api/data/delete', authMiddleware, async (req, res) => {
   try {
-    const result = requestDeletion(req.user.wallet, req.body);
+    const result = await requestDeletion(req.user.wallet, req.body);
     if (!result.success) {
       return res.status(result.confirmationRequired ? 200 : 429).json(result);
     }
@@ -4629,7 +6716,7 @@ app.post('/api/data/delete', authMiddleware, async (req, res) => {
  */
 app.get('/api/data/requests', authMiddleware, async (req, res) => {
   try {
-    const requests = getWalletRequests(req.user.wallet);
+    const requests = await getWalletRequests(req.user.wallet);
     res.json({ requests });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'data-requests') });
@@ -4646,7 +6733,10 @@ app.get('/api/data/requests', authMiddleware, async (req, res) => {
  */
 app.get('/api/sessions', authMiddleware, async (req, res) => {
   try {
-    const sessions = getUserSessions(req.user.wallet);
+    const sessions = getUserSessions(req.user.wallet).map(session => ({
+      ...session,
+      current: session.id === req.user.sid,
+    }));
     res.json({ sessions });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'get-sessions') });
@@ -4659,11 +6749,14 @@ app.get('/api/sessions', authMiddleware, async (req, res) => {
  */
 app.delete('/api/sessions/:sessionId', authMiddleware, async (req, res) => {
   try {
-    const result = revokeSession(req.params.sessionId, req.user.wallet);
-    if (!result.success) {
-      return res.status(404).json(result);
+    const { sessionId } = req.params;
+    const owned = getUserSessions(req.user.wallet).some(session => session.id === sessionId);
+    if (!owned) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
     }
-    res.json(result);
+
+    revokeSession(sessionId, 'user_revoked');
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'revoke-session') });
   }
@@ -4675,8 +6768,8 @@ app.delete('/api/sessions/:sessionId', authMiddleware, async (req, res) => {
  */
 app.delete('/api/sessions', authMiddleware, async (req, res) => {
   try {
-    const result = revokeAllUserSessions(req.user.wallet);
-    res.json(result);
+    const revoked = revokeAllUserSessions(req.user.wallet);
+    res.json({ success: true, revoked });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'revoke-all-sessions') });
   }
@@ -4701,11 +6794,10 @@ app.get('/api/devices', authMiddleware, async (req, res) => {
  */
 app.post('/api/devices/:deviceId/block', authMiddleware, async (req, res) => {
   try {
-    const result = blockDevice(req.user.wallet, req.params.deviceId);
-    if (!result.success) {
-      return res.status(404).json(result);
+    if (!blockDevice(req.user.wallet, req.params.deviceId)) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
     }
-    res.json(result);
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'block-device') });
   }
@@ -4717,11 +6809,10 @@ app.post('/api/devices/:deviceId/block', authMiddleware, async (req, res) => {
  */
 app.post('/api/devices/:deviceId/trust', authMiddleware, async (req, res) => {
   try {
-    const result = trustDevice(req.user.wallet, req.params.deviceId);
-    if (!result.success) {
-      return res.status(404).json(result);
+    if (!trustDevice(req.user.wallet, req.params.deviceId)) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
     }
-    res.json(result);
+    res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: sanitizeError(error, 'trust-device') });
   }
@@ -4942,88 +7033,118 @@ app.get('/api/anticheat/status/:wallet', async (req, res) => {
  * Get anti-cheat stats (admin)
  * GET /api/admin/anticheat/stats
  */
-app.get('/api/admin/anticheat/stats', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const stats = getAntiCheat().getStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'anticheat-stats') });
+app.get(
+  '/api/admin/anticheat/stats',
+  authMiddleware,
+  requirePermission('anticheat:read'),
+  (req, res) => {
+    try {
+      const stats = getAntiCheat().getStats();
+      res.json(stats);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'anticheat-stats') });
+    }
   }
-});
+);
 
 /**
  * Get recent detections (admin)
  * GET /api/admin/anticheat/detections
  */
-app.get('/api/admin/anticheat/detections', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const { limit = 50 } = req.query;
-    const detections = getAntiCheat().getRecentDetections(parseInt(limit) || 50);
-    res.json(detections);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'anticheat-detections') });
+app.get(
+  '/api/admin/anticheat/detections',
+  authMiddleware,
+  requirePermission('anticheat:read'),
+  (req, res) => {
+    try {
+      const { limit = 50 } = req.query;
+      const detections = getAntiCheat().getRecentDetections(parseInt(limit) || 50);
+      res.json(detections);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'anticheat-detections') });
+    }
   }
-});
+);
 
 /**
  * Lift sanction (admin)
  * POST /api/admin/anticheat/lift-sanction
  */
-app.post('/api/admin/anticheat/lift-sanction', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { wallet, sanctionId, reason } = req.body;
+app.post(
+  '/api/admin/anticheat/lift-sanction',
+  authMiddleware,
+  requirePermission('anticheat:review'),
+  async (req, res) => {
+    try {
+      const { wallet, sanctionId, reason } = req.body;
 
-    if (!wallet || !sanctionId) {
-      return res.status(400).json({ error: 'Wallet and sanctionId required' });
-    }
+      if (!wallet || !sanctionId) {
+        return res.status(400).json({ error: 'Wallet and sanctionId required' });
+      }
 
-    const result = getAntiCheat().liftSanction(wallet, sanctionId, reason || 'Admin action');
-    res.json({ success: result });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'lift-sanction') });
+      const result = getAntiCheat().liftSanction(wallet, sanctionId, reason || 'Admin action');
+      res.json({ success: result });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'lift-sanction') });
+    }
   }
-});
+);
 
 /**
  * Get game analytics dashboard (admin)
  * GET /api/admin/analytics/realtime
  */
-app.get('/api/admin/analytics/realtime', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const dashboard = getGameAnalytics().getRealtimeDashboard();
-    res.json(dashboard);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'analytics-realtime') });
+app.get(
+  '/api/admin/analytics/realtime',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  (req, res) => {
+    try {
+      const dashboard = getGameAnalytics().getRealtimeDashboard();
+      res.json(dashboard);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'analytics-realtime') });
+    }
   }
-});
+);
 
 /**
  * Get game-specific analytics (admin)
  * GET /api/admin/analytics/game/:gameType
  */
-app.get('/api/admin/analytics/game/:gameType', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const { gameType } = req.params;
-    const dashboard = getGameAnalytics().getGameDashboard(gameType);
-    res.json(dashboard);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'game-analytics') });
+app.get(
+  '/api/admin/analytics/game/:gameType',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  (req, res) => {
+    try {
+      const { gameType } = req.params;
+      const dashboard = getGameAnalytics().getGameDashboard(gameType);
+      res.json(dashboard);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'game-analytics') });
+    }
   }
-});
+);
 
 /**
  * Get funnel analysis (admin)
  * GET /api/admin/analytics/funnel/:funnelId
  */
-app.get('/api/admin/analytics/funnel/:funnelId', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const { funnelId } = req.params;
-    const analysis = getGameAnalytics().getFunnelAnalysis(funnelId);
-    res.json(analysis);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'funnel-analysis') });
+app.get(
+  '/api/admin/analytics/funnel/:funnelId',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  (req, res) => {
+    try {
+      const { funnelId } = req.params;
+      const analysis = getGameAnalytics().getFunnelAnalysis(funnelId);
+      res.json(analysis);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'funnel-analysis') });
+    }
   }
-});
+);
 
 /**
  * Get experiment results (admin)
@@ -5032,7 +7153,7 @@ app.get('/api/admin/analytics/funnel/:funnelId', authMiddleware, requireAdmin, (
 app.get(
   '/api/admin/analytics/experiment/:experimentId',
   authMiddleware,
-  requireAdmin,
+  requirePermission('analytics:read'),
   (req, res) => {
     try {
       const { experimentId } = req.params;
@@ -5048,64 +7169,84 @@ app.get(
  * Get analytics stats (admin)
  * GET /api/admin/analytics/stats
  */
-app.get('/api/admin/analytics/stats', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const stats = getGameAnalytics().getStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'analytics-stats') });
+app.get(
+  '/api/admin/analytics/stats',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  (req, res) => {
+    try {
+      const stats = getGameAnalytics().getStats();
+      res.json(stats);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'analytics-stats') });
+    }
   }
-});
+);
 
 /**
  * Get replay stats (admin)
  * GET /api/admin/replay/stats
  */
-app.get('/api/admin/replay/stats', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const stats = getGameReplay().getStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'replay-stats') });
+app.get(
+  '/api/admin/replay/stats',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  (req, res) => {
+    try {
+      const stats = getGameReplay().getStats();
+      res.json(stats);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'replay-stats') });
+    }
   }
-});
+);
 
 /**
  * Get progression stats (admin)
  * GET /api/admin/progression/stats
  */
-app.get('/api/admin/progression/stats', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const stats = getProgression().getStats();
-    res.json(stats);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'progression-stats') });
+app.get(
+  '/api/admin/progression/stats',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  (req, res) => {
+    try {
+      const stats = getProgression().getStats();
+      res.json(stats);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'progression-stats') });
+    }
   }
-});
+);
 
 /**
  * Start XP event (admin)
  * POST /api/admin/progression/event
  */
-app.post('/api/admin/progression/event', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const { eventId, multiplier, durationHours } = req.body;
+app.post(
+  '/api/admin/progression/event',
+  authMiddleware,
+  requirePermission('progression:write'),
+  async (req, res) => {
+    try {
+      const { eventId, multiplier, durationHours } = req.body;
 
-    if (!eventId || !multiplier || !durationHours) {
-      return res.status(400).json({ error: 'eventId, multiplier, and durationHours required' });
-    }
+      if (!eventId || !multiplier || !durationHours) {
+        return res.status(400).json({ error: 'eventId, multiplier, and durationHours required' });
+      }
 
-    const event = getProgression().startEvent(
-      eventId,
-      parseFloat(multiplier),
-      parseInt(durationHours) * 60 * 60 * 1000
-    );
+      const event = getProgression().startEvent(
+        eventId,
+        parseFloat(multiplier),
+        parseInt(durationHours) * 60 * 60 * 1000
+      );
 
-    res.json(event);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'start-event') });
+      res.json(event);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'start-event') });
+    }
   }
-});
+);
 
 // ============================================
 // REAL-TIME NOTIFICATIONS (Phase 15)
@@ -5137,6 +7278,15 @@ function getPushNotifications() {
   return pushNotifications;
 }
 
+let emailNotifications = null;
+
+function getEmailNotifications() {
+  if (!emailNotifications) {
+    emailNotifications = require('./services/emailNotifications');
+  }
+  return emailNotifications;
+}
+
 /**
  * Get user notification preferences
  * GET /api/notifications/preferences
@@ -5275,8 +7425,8 @@ app.delete('/api/notifications', authMiddleware, async (req, res) => {
  */
 app.post('/api/notifications/push/register', authMiddleware, async (req, res) => {
   try {
-    const wallet = req.wallet;
-    const { platform, token, subscription } = req.body;
+    const wallet = req.user.wallet;
+    const { platform, token, subscription, deviceId } = req.body;
 
     // Validate platform
     const validPlatforms = ['android', 'ios', 'web'];
@@ -5303,116 +7453,322 @@ app.post('/api/notifications/push/register', authMiddleware, async (req, res) =>
       platform,
       token: platform === 'web' ? null : token,
       subscription: platform === 'web' ? subscription : null,
-      userAgent: req.headers['user-agent'],
-      ip: extractIP(req),
-      registeredAt: Date.now(),
+      deviceId: platform === 'web' ? null : deviceId,
     };
 
-    const result = await getNotificationPreferencesService().registerPushToken(wallet, tokenData);
+    let result;
+    try {
+      result = await getNotificationPreferencesService().registerPushToken(wallet, tokenData);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Log token registration
     auditLog(
       AUDIT_EVENTS.DEVICE_LINKED,
       {
-        wallet,
         platform,
-        tokenPrefix: token ? token.slice(0, 20) + '...' : 'web-push',
+        deviceId: result.deviceId,
+        pushService: platform === 'web' ? new URL(subscription.endpoint).hostname : null,
       },
-      { severity: AUDIT_SEVERITY.LOW }
+      {
+        actor: { id: wallet, type: 'user' },
+        ip: extractIP(req),
+        userAgent: req.headers['user-agent'],
+      }
     );
 
-    res.json(result);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'register-push') });
+  }
+});
+
+/**
+ * Unregister push notification token
+ * DELETE /api/notifications/push/token
+ */
+app.delete('/api/notifications/push/token', authMiddleware, async (req, res) => {
+  try {
+    const wallet = req.user.wallet;
+    const { deviceId } = req.body;
+
+    if (!deviceId || typeof deviceId !== 'string') {
+      return res.status(400).json({ error: 'deviceId required' });
+    }
+
+    const removed = await getNotificationPreferencesService().unregisterPushToken(wallet, deviceId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'unregister-push') });
+  }
+});
+
+/**
+ * Get VAPID public key for web push
+ * GET /api/notifications/push/vapid-key
+ */
+app.get('/api/notifications/push/vapid-key', (req, res) => {
+  try {
+    const vapidKey = getPushNotifications().getVapidPublicKey();
+
+    if (!vapidKey) {
+      return res.status(503).json({ error: 'Web push not configured' });
+    }
+
+    res.json({ publicKey: vapidKey });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'vapid-key') });
+  }
+});
+
+/**
+ * Get user's registered push tokens
+ * GET /api/notifications/push/tokens
+ */
+app.get('/api/notifications/push/tokens', authMiddleware, async (req, res) => {
+  try {
+    const wallet = req.user.wallet;
+    const tokens = await getNotificationPreferencesService().getPushTokens(wallet);
+
+    // Return sanitized token info (hide full tokens)
+    const sanitizedTokens = tokens.map(t => ({
+      deviceId: t.deviceId,
+      platform: t.platform,
+      registeredAt: t.registeredAt,
+    }));
+
+    res.json({ tokens: sanitizedTokens });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'get-tokens') });
+  }
+});
+
+/**
+ * Test push notification (development only)
+ * POST /api/notifications/push/test
+ */
+app.post('/api/notifications/push/test', authMiddleware, async (req, res) => {
+  try {
+    // Only allow in development
+    if (isProduction) {
+      return res.status(403).json({ error: 'Test endpoint disabled in production' });
+    }
+
+    const wallet = req.user.wallet;
+    const { title = 'Test Notification', body = 'This is a test from ASDF!' } = req.body;
+
+    const result = await getPushNotifications().sendPushNotification(wallet, {
+      type: 'test',
+      title,
+      body,
+      data: { test: true, timestamp: Date.now() },
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'test-push') });
+  }
+});
+
+/**
+ * Get the registered email address (masked)
+ * GET /api/notifications/email
+ */
+app.get('/api/notifications/email', authMiddleware, async (req, res) => {
+  try {
+    const email = await getEmailNotifications().getEmailStatus(req.user.wallet);
+    res.json({ email });
   } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'register-push') });
+    res.status(500).json({ error: sanitizeError(error, 'get-email') });
   }
 });
 
 /**
- * Unregister push notification token
- * DELETE /api/notifications/push/token
+ * Register an email address and send the confirmation link (double opt-in)
+ * PUT /api/notifications/email
  */
-app.delete('/api/notifications/push/token', authMiddleware, async (req, res) => {
+app.put('/api/notifications/email', authMiddleware, walletRateLimiter, async (req, res) => {
   try {
-    const wallet = req.wallet;
-    const { tokenId } = req.body;
+    const result = await getEmailNotifications().registerEmail(req.user.wallet, req.body.email);
 
-    if (!tokenId) {
-      return res.status(400).json({ error: 'tokenId required' });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
     }
 
-    const result = await getNotificationPreferencesService().unregisterPushToken(wallet, tokenId);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'unregister-push') });
+    res.status(500).json({ error: sanitizeError(error, 'register-email') });
   }
 });
 
 /**
- * Get VAPID public key for web push
- * GET /api/notifications/push/vapid-key
+ * Remove the email address
+ * DELETE /api/notifications/email
  */
-app.get('/api/notifications/push/vapid-key', (req, res) => {
+app.delete('/api/notifications/email', authMiddleware, async (req, res) => {
   try {
-    const vapidKey = getPushNotifications().getVapidPublicKey();
+    const removed = await getEmailNotifications().removeEmail(req.user.wallet);
+    if (!removed) {
+      return res.status(404).json({ error: 'No email registered' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'remove-email') });
+  }
+});
 
-    if (!vapidKey) {
-      return res.status(503).json({ error: 'Web push not configured' });
+/**
+ * Confirm an email address (link from the confirmation email)
+ * GET /api/notifications/email/verify?token=
+ * Opened in a browser: answers with a page, not JSON.
+ */
+app.get('/api/notifications/email/verify', authLimiter, async (req, res) => {
+  const email = getEmailNotifications();
+  try {
+    const result = await email.verifyEmail(req.query.token);
+
+    if (!result.success) {
+      return res.status(400).type('html').send(email.renderLinkPage('Link expired', result.error));
     }
 
-    res.json({ publicKey: vapidKey });
+    res
+      .type('html')
+      .send(
+        email.renderLinkPage('Email confirmed', 'You will now receive ASDF Games notifications.')
+      );
   } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'vapid-key') });
+    res
+      .status(500)
+      .type('html')
+      .send(email.renderLinkPage('Something went wrong', sanitizeError(error, 'verify-email')));
   }
 });
 
 /**
- * Get user's registered push tokens
- * GET /api/notifications/push/tokens
+ * Unsubscribe confirmation page (signed link from a digest)
+ * GET /api/notifications/email/unsubscribe?token=
+ * Changes nothing: link scanners and prefetchers follow GET links.
  */
-app.get('/api/notifications/push/tokens', authMiddleware, async (req, res) => {
+app.get('/api/notifications/email/unsubscribe', authLimiter, (req, res) => {
+  const email = getEmailNotifications();
   try {
-    const wallet = req.wallet;
-    const tokens = await getNotificationPreferencesService().getPushTokens(wallet);
+    const checked = email.checkUnsubscribeToken(req.query.token);
 
-    // Return sanitized token info (hide full tokens)
-    const sanitizedTokens = tokens.map(t => ({
-      id: t.id,
-      platform: t.platform,
-      registeredAt: t.registeredAt,
-      lastUsed: t.lastUsed,
-      active: t.active,
-    }));
+    if (!checked.success) {
+      return res.status(400).type('html').send(email.renderLinkPage('Unsubscribe', checked.error));
+    }
 
-    res.json({ tokens: sanitizedTokens });
+    res.type('html').send(email.renderUnsubscribePage(req.query.token, checked.scope));
   } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'get-tokens') });
+    res
+      .status(500)
+      .type('html')
+      .send(
+        email.renderLinkPage('Something went wrong', sanitizeError(error, 'unsubscribe-email'))
+      );
   }
 });
 
 /**
- * Test push notification (development only)
- * POST /api/notifications/push/test
+ * Unsubscribe
+ * POST /api/notifications/email/unsubscribe?token=
+ * Sent by the confirmation page and by mail clients (RFC 8058 one-click).
  */
-app.post('/api/notifications/push/test', authMiddleware, async (req, res) => {
+app.post(
+  '/api/notifications/email/unsubscribe',
+  authLimiter,
+  express.urlencoded({ extended: false, limit: '1kb' }),
+  async (req, res) => {
+    const email = getEmailNotifications();
+    try {
+      const result = await email.unsubscribe(req.query.token);
+
+      if (!result.success) {
+        return res.status(400).type('html').send(email.renderLinkPage('Unsubscribe', result.error));
+      }
+
+      const message =
+        result.scope === email.UNSUBSCRIBE_SCOPES.DIGEST
+          ? 'You will no longer receive digests.'
+          : 'You will no longer receive email from ASDF Games.';
+      res.type('html').send(email.renderLinkPage('Unsubscribed', message));
+    } catch (error) {
+      res
+        .status(500)
+        .type('html')
+        .send(
+          email.renderLinkPage('Something went wrong', sanitizeError(error, 'unsubscribe-email'))
+        );
+    }
+  }
+);
+
+/**
+ * Allow a bounced or complained address to be registered again
+ * DELETE /api/admin/email/suppressions
+ *
+ * Body: { email }
+ */
+app.delete(
+  '/api/admin/email/suppressions',
+  authMiddleware,
+  requirePermission('notifications:send'),
+  async (req, res) => {
+    try {
+      const cleared = await getEmailNotifications().clearSuppression(
+        req.body.email,
+        req.user.wallet
+      );
+      if (!cleared) {
+        return res.status(404).json({ error: 'Address is not suppressed' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'clear-email-suppression') });
+    }
+  }
+);
+
+/**
+ * Bounce and complaint notifications from the mail provider
+ * POST /api/webhook/email
+ *
+ * Body: { events: [{ type: 'bounce'|'complaint', bounceType: 'hard'|'soft', email }] }
+ * Signed with X-Email-Signature: hex HMAC-SHA256 of the body with EMAIL_WEBHOOK_SECRET.
+ */
+app.post('/api/webhook/email', async (req, res) => {
   try {
-    // Only allow in development
-    if (isProduction) {
-      return res.status(403).json({ error: 'Test endpoint disabled in production' });
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({ error: 'Webhook not configured' });
     }
 
-    const wallet = req.wallet;
-    const { title = 'Test Notification', body = 'This is a test from ASDF!' } = req.body;
+    const signature = String(req.headers['x-email-signature'] || '');
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(req.rawBody || '')
+      .digest('hex');
+    if (
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-    const result = await getPushNotifications().sendPushNotification(wallet, {
-      type: 'test',
-      title,
-      body,
-      data: { test: true, timestamp: Date.now() },
-    });
+    const events = Array.isArray(req.body?.events) ? req.body.events.slice(0, 100) : [];
+    let disabled = 0;
+    for (const event of events) {
+      const result = await getEmailNotifications().handleDeliveryEvent(event);
+      disabled += result.disabled || 0;
+    }
 
-    res.json(result);
+    res.json({ success: true, processed: events.length, disabled });
   } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'test-push') });
+    res.status(500).json({ error: sanitizeError(error, 'email-webhook') });
   }
 });
 
@@ -5430,6 +7786,7 @@ app.get('/api/notifications/subscribe-info', authMiddleware, (req, res) => {
     res.json({
       url: `${wsProtocol}://${wsHost}:${wsPort}`,
       protocols: ['asdf-notifications-v1'],
+      stream: '/api/realtime/stream', // SSE fallback
       heartbeatInterval: 21000, // 21 seconds (Fibonacci)
       reconnectDelay: 1000,
       maxReconnectDelay: 34000, // 34 seconds (Fibonacci)
@@ -5440,117 +7797,208 @@ app.get('/api/notifications/subscribe-info', authMiddleware, (req, res) => {
 });
 
 /**
- * Send notification (admin/internal only)
- * POST /api/admin/notifications/send
+ * Realtime channels over Server-Sent Events (when WebSocket upgrades are blocked)
+ * GET /api/realtime/stream?channels=burns,leaderboard&lastEventId=
+ * Auth: the session cookie (EventSource withCredentials) or a Bearer header.
+ * Tokens in the query string are ignored: URLs end up in proxy and access logs.
  */
-app.post('/api/admin/notifications/send', authMiddleware, requireAdmin, async (req, res) => {
+app.get('/api/realtime/stream', async (req, res) => {
   try {
-    const { wallet, type, title, body, data, broadcast = false } = req.body;
+    const token = getAuthToken(req);
+    const connectionId = await getRealtimeNotifications().openStream(req, res, { token });
 
-    // Validate required fields
-    if (!type || !title) {
-      return res.status(400).json({ error: 'type and title required' });
+    // Long-lived: the realtime cleanup closes it, draining does not wait for it
+    if (connectionId) {
+      releaseConnection(req);
+    }
+  } catch (error) {
+    if (!res.headersSent) {
+      res.status(500).json({ error: sanitizeError(error, 'realtime-stream') });
     }
+  }
+});
 
-    // Validate notification type
-    const validTypes = Object.values(getRealtimeNotifications().NOTIFICATION_TYPES);
-    if (!validTypes.includes(type)) {
-      return res
-        .status(400)
-        .json({ error: `Invalid type. Must be one of: ${validTypes.join(', ')}` });
+/**
+ * Send a client message for an SSE stream (subscribe, unsubscribe, resume, ack)
+ * POST /api/realtime/stream/:connectionId
+ * Body: same message as over the WebSocket. Replies arrive on the stream.
+ */
+app.post('/api/realtime/stream/:connectionId', optionalAuthMiddleware, (req, res) => {
+  try {
+    const { connectionId } = req.params;
+    if (!/^conn_\d+_[a-f0-9]{12}$/.test(connectionId)) {
+      return res.status(400).json({ error: 'Invalid connection ID' });
     }
 
-    // Either wallet or broadcast required
-    if (!wallet && !broadcast) {
-      return res.status(400).json({ error: 'Either wallet or broadcast=true required' });
+    const accepted = getRealtimeNotifications().postToStream(
+      connectionId,
+      req.body,
+      req.user?.wallet || null
+    );
+    if (!accepted) {
+      return res.status(400).json({ error: 'Unsupported message' });
     }
 
-    const notification = {
-      type,
-      title,
-      body: body || '',
-      data: data || {},
-      createdAt: Date.now(),
-    };
+    res.status(202).json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: sanitizeError(error, 'realtime-stream-post') });
+  }
+});
 
-    let result;
-    if (broadcast) {
-      getRealtimeNotifications().broadcastToAll({
-        type: 'notification',
-        notification,
-      });
-      result = { success: true, broadcast: true };
-    } else {
-      if (!isValidAddress(wallet)) {
-        return res.status(400).json({ error: 'Invalid wallet address' });
+/**
+ * Send notification (admin/internal only)
+ * POST /api/admin/notifications/send
+ */
+app.post(
+  '/api/admin/notifications/send',
+  authMiddleware,
+  requirePermission('notifications:send'),
+  async (req, res) => {
+    try {
+      const { wallet, type, title, body, data, broadcast = false } = req.body;
+
+      // Validate required fields
+      if (!type || !title) {
+        return res.status(400).json({ error: 'type and title required' });
       }
-      result = await getRealtimeNotifications().notifyWallet(wallet, notification);
-    }
 
-    // Log admin action
-    logAdminAction(AUDIT_EVENTS.ADMIN_ACTION, {
-      action: 'send_notification',
-      adminWallet: req.wallet,
-      targetWallet: wallet || 'broadcast',
-      notificationType: type,
-    });
+      // Validate notification type
+      const validTypes = Object.values(getRealtimeNotifications().NOTIFICATION_TYPES);
+      if (!validTypes.includes(type)) {
+        return res
+          .status(400)
+          .json({ error: `Invalid type. Must be one of: ${validTypes.join(', ')}` });
+      }
 
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'admin-send-notification') });
+      // Either wallet or broadcast required
+      if (!wallet && !broadcast) {
+        return res.status(400).json({ error: 'Either wallet or broadcast=true required' });
+      }
+
+      const notification = {
+        type,
+        title,
+        body: body || '',
+        data: data || {},
+        createdAt: Date.now(),
+      };
+
+      // Delivery is relayed to every node; counts below are for this node only
+      let result;
+      if (broadcast) {
+        const delivered = await getRealtimeNotifications().broadcastToAll({
+          type: 'notification',
+          notification,
+        });
+        result = { success: true, broadcast: true, delivered };
+      } else {
+        if (!isValidAddress(wallet)) {
+          return res.status(400).json({ error: 'Invalid wallet address' });
+        }
+        const notifications = getRealtimeNotifications();
+        const delivered = await notifications.notifyWallet(wallet, notification);
+        result = {
+          success: true,
+          delivered,
+          presence: await notifications.getWalletPresence(wallet),
+        };
+      }
+
+      // Log admin action
+      logAdminAction(AUDIT_EVENTS.ADMIN_ACTION, {
+        action: 'send_notification',
+        adminWallet: req.wallet,
+        targetWallet: wallet || 'broadcast',
+        notificationType: type,
+      });
+
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'admin-send-notification') });
+    }
   }
-});
+);
 
 /**
  * Get notification stats (admin)
  * GET /api/admin/notifications/stats
  */
-app.get('/api/admin/notifications/stats', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const wsStats = getRealtimeNotifications().getStats();
-    const pushStats = getPushNotifications().getStats();
-    const prefStats = getNotificationPreferencesService().getStats();
+app.get(
+  '/api/admin/notifications/stats',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const wsStats = getRealtimeNotifications().getStats();
+      const cluster = await getRealtimeNotifications().getClusterPresence();
+      const pushStats = getPushNotifications().getStats();
+      const prefStats = getNotificationPreferencesService().getStats();
 
-    res.json({
-      websocket: wsStats,
-      push: pushStats,
-      preferences: prefStats,
-      timestamp: Date.now(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'notification-stats') });
+      res.json({
+        websocket: wsStats,
+        cluster,
+        push: pushStats,
+        preferences: prefStats,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'notification-stats') });
+    }
   }
-});
+);
 
 /**
- * Get connected WebSocket clients (admin)
- * GET /api/admin/notifications/connections
+ * Get connected WebSocket clients across all nodes (admin)
+ * GET /api/admin/notifications/connections?wallet=
  */
-app.get('/api/admin/notifications/connections', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const connectionInfo = getRealtimeNotifications().getConnectionInfo();
-    res.json(connectionInfo);
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'notification-connections') });
+app.get(
+  '/api/admin/notifications/connections',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  async (req, res) => {
+    try {
+      const notifications = getRealtimeNotifications();
+      const { wallet } = req.query;
+
+      if (wallet !== undefined) {
+        if (typeof wallet !== 'string' || !isValidAddress(wallet)) {
+          return res.status(400).json({ error: 'Invalid wallet address' });
+        }
+        return res.json({
+          wallet,
+          ...(await notifications.getWalletPresence(wallet)),
+          local: notifications.getConnectionInfo(wallet),
+        });
+      }
+
+      res.json(await notifications.getClusterPresence());
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'notification-connections') });
+    }
   }
-});
+);
 
 /**
  * Get WebSocket broadcast manager stats (admin)
  * GET /api/admin/broadcast/stats
  */
-app.get('/api/admin/broadcast/stats', authMiddleware, requireAdmin, (req, res) => {
-  try {
-    const wsBroadcast = require('./services/wsBroadcast');
-    const stats = wsBroadcast.getStats();
-    res.json({
-      ...stats,
-      timestamp: Date.now(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'broadcast-stats') });
+app.get(
+  '/api/admin/broadcast/stats',
+  authMiddleware,
+  requirePermission('analytics:read'),
+  (req, res) => {
+    try {
+      const wsBroadcast = require('./services/wsBroadcast');
+      const stats = wsBroadcast.getStats();
+      res.json({
+        ...stats,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'broadcast-stats') });
+    }
   }
-});
+);
 
 // ============================================
 // MONITORING ROUTES
@@ -5560,21 +8008,26 @@ app.get('/api/admin/broadcast/stats', authMiddleware, requireAdmin, (req, res) =
  * Get monitoring stats (admin)
  * GET /api/admin/monitoring
  */
-app.get('/api/admin/monitoring', authMiddleware, requireAdmin, async (req, res) => {
-  try {
-    const monitoring = require('./services/monitoring');
-    const stats = monitoring.getStats();
-    const healthChecks = await monitoring.performHealthChecks();
+app.get(
+  '/api/admin/monitoring',
+  authMiddleware,
+  requirePermission('system:read'),
+  async (req, res) => {
+    try {
+      const monitoring = require('./services/monitoring');
+      const stats = monitoring.getStats();
+      const healthChecks = await monitoring.performHealthChecks();
 
-    res.json({
-      ...stats,
-      health: healthChecks,
-      timestamp: Date.now(),
-    });
-  } catch (error) {
-    res.status(500).json({ error: sanitizeError(error, 'monitoring') });
+      res.json({
+        ...stats,
+        health: healthChecks,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      res.status(500).json({ error: sanitizeError(error, 'monitoring') });
+    }
   }
-});
+);
 
 /**
  * Get monitoring stats (public - limited info)
@@ -6110,14 +8563,127 @@ const server = app.listen(PORT, async () => {
     console.warn('   Database: initialization warning -', error.message);
   }
 
+  // Restore service state (achievements, sessions, ...) from repositories
+  try {
+    const loaded = await hydrateRepositories();
+    const records = Object.values(loaded).reduce((sum, count) => sum + Math.max(count, 0), 0);
+    console.log(`   Repositories: ${Object.keys(loaded).length} restored (${records} records)`);
+  } catch (error) {
+    console.warn('   Repositories: restore failed -', error.message);
+  }
+
+  // Restore audit hash chain head from storage
+  try {
+    const head = await initializeAuditChain();
+    console.log(`   Audit chain: restored at sequence ${head.sequence}`);
+  } catch (error) {
+    console.warn('   Audit chain: restore failed -', error.message);
+  }
+
+  // Restore runtime config overrides and follow changes from other instances
+  try {
+    const restored = await initializeConfig();
+    registerCleanup('config', () => shutdownConfig(), { priority: 80 });
+    console.log(`   Config: ${restored.overrides} runtime overrides restored`);
+  } catch (error) {
+    console.warn('   Config: restore failed -', error.message);
+  }
+
+  // Apply role assignment changes made on other instances
+  try {
+    initializeRbac();
+    registerCleanup('rbac', () => shutdownRbac(), { priority: 80 });
+    console.log('   RBAC: following role assignments');
+  } catch (error) {
+    console.warn('   RBAC: init failed -', error.message);
+  }
+
+  // Apply session revocations made on other instances
+  try {
+    initializeSessions();
+    registerCleanup('sessions', () => shutdownSessions(), { priority: 80 });
+    console.log('   Sessions: following revocations');
+  } catch (error) {
+    console.warn('   Sessions: init failed -', error.message);
+  }
+
+  // Send notification digests on each user's schedule
+  if (process.env.SMTP_HOST) {
+    try {
+      getEmailNotifications().scheduleDigests();
+      registerCleanup('emailDigests', () => getEmailNotifications().unscheduleDigests(), {
+        priority: 80,
+      });
+      console.log('   Email: digests scheduled');
+    } catch (error) {
+      console.warn('   Email: digest scheduling failed -', error.message);
+    }
+  }
+
   // Register server with shutdown service
   registerServer(server);
   console.log('   Graceful shutdown: enabled');
 
+  // Retry webhook burns, process data requests and send queued pushes
+  try {
+    initializeWebhooks();
+    initializeDataExport();
+    getPushNotifications().initialize();
+    console.log('   Queue: webhook retries, data requests and push delivery enabled');
+  } catch (error) {
+    console.warn('   Queue: job handler registration failed -', error.message);
+  }
+
+  // Deliver ecosystem events to partner webhooks
+  try {
+    initializeOutboundWebhooks();
+    registerCleanup('outboundWebhooks', () => shutdownOutboundWebhooks(), { priority: 80 });
+    console.log('   Webhooks: outbound deliveries enabled');
+  } catch (error) {
+    console.warn('   Webhooks: outbound init failed -', error.message);
+  }
+
+  // Start and end leaderboard seasons, pay season rewards
+  try {
+    initializeSeasons();
+    registerCleanup('seasons', () => shutdownSeasons(), { priority: 80 });
+    console.log('   Seasons: schedule checks enabled');
+  } catch (error) {
+    console.warn('   Seasons: init failed -', error.message);
+  }
+
+  // Index burn history into Postgres (admin-started backfill, webhook after)
+  try {
+    initializeBurnIndexer();
+    console.log('   Burn indexer: ready');
+  } catch (error) {
+    console.warn('   Burn indexer: init failed -', error.message);
+  }
+
+  // Pre-aggregate burn history for the Hall of Flames charts
+  try {
+    initializeBurnAnalytics();
+    registerCleanup('burnAnalytics', () => shutdownBurnAnalytics(), { priority: 80 });
+    console.log('   Burn analytics: series refresh enabled');
+  } catch (error) {
+    console.warn('   Burn analytics: init failed -', error.message);
+  }
+
+  // Start, advance and finish arcade tournaments, pay tournament prizes
+  try {
+    initializeTournaments();
+    registerCleanup('tournaments', () => shutdownTournaments(), { priority: 80 });
+    console.log('   Tournaments: schedule checks enabled');
+  } catch (error) {
+    console.warn('   Tournaments: init failed -', error.message);
+  }
+
   // Initialize WebSocket notification server
   try {
     const notifications = getRealtimeNotifications();
     notifications.initialize(server);
+    // After wsBroadcast (80), which still publishes through it
+    registerCleanup('realtime', () => notifications.shutdown(), { priority: 70 });
     console.log('   WebSocket: notifications initialized');
   } catch (error) {
     console.warn('   WebSocket: notifications init failed -', error.message);
@@ -16,6 +16,7 @@
 'use strict';
 
 const { logAudit } = require('./leaderboard');
+const { defineRepository } = require('./database');
 
 // ============================================
 // ACHIEVEMENT DEFINITIONS
@@ -306,6 +307,50 @@ const ACHIEVEMENTS = {
         xpReward: 10000,
         condition: (stats) => stats.isOGHolder
     },
+
+    // Granted by seasons.js when a season ends, never unlocked from stats
+    season_champion: {
+        id: 'season_champion',
+        name: 'Season Champion',
+        description: 'Finished a season at the top of a leaderboard',
+        category: 'special',
+        icon: 'trophy_gold',
+        rarity: 'legendary',
+        xpReward: 5000,
+        condition: () => false
+    },
+    season_podium: {
+        id: 'season_podium',
+        name: 'Podium Finish',
+        description: 'Finished a season in the top 3 of a leaderboard',
+        category: 'special',
+        icon: 'trophy_silver',
+        rarity: 'epic',
+        xpReward: 2000,
+        condition: () => false
+    },
+    season_top_10: {
+        id: 'season_top_10',
+        name: 'Top Ten',
+        description: 'Finished a season in the top 10 of a leaderboard',
+        category: 'special',
+        icon: 'trophy_bronze',
+        rarity: 'rare',
+        xpReward: 1000,
+        condition: () => false
+    },
+
+    // Granted by tournaments.js to tournament winners
+    tournament_champion: {
+        id: 'tournament_champion',
+        name: 'Tournament Champion',
+        description: 'Won an arcade tournament',
+        category: 'special',
+        icon: 'trophy_gold',
+        rarity: 'epic',
+        xpReward: 2000,
+        condition: () => false
+    },
     shop_first: {
         id: 'shop_first',
         name: 'First Purchase',
@@ -347,6 +392,75 @@ const userAchievements = new Map();
 // wallet -> stats for condition checking
 const userStats = new Map();
 
+// Stats other instances add to as well: stored as their sum
+const SUMMED_STATS = ['totalBurns', 'totalBurnedAmount', 'totalGames', 'totalPurchases'];
+
+// Stats that only go up: stored as the highest seen
+const MAX_STATS = ['highScore', 'longestStreak'];
+
+// Stored form: wallet -> { unlocked: [achievement IDs], stats }
+// Several instances update one wallet, so writes merge into the stored record
+const repository = defineRepository('achievements', {
+    hydrate(entries) {
+        for (const [wallet, record] of entries) {
+            // Activity since startup was already written back
+            if (userAchievements.has(wallet) || userStats.has(wallet)) continue;
+
+            userAchievements.set(wallet, new Set(record.unlocked));
+            userStats.set(wallet, record.stats);
+        }
+    },
+    merge: mergeUserRecord,
+    merged(wallet, stored, written) {
+        // Fold in other instances' progress, keeping changes made during the write
+        const current = mergeUserRecord(stored, written, {
+            unlocked: getUnlockedAchievements(wallet),
+            stats: userStats.get(wallet) || getDefaultStats()
+        });
+        userAchievements.set(wallet, new Set(current.unlocked));
+        userStats.set(wallet, current.stats);
+    }
+});
+
+/**
+ * Fold the changes made to a user's record since base into the stored one
+ * Unlocks are united, counters add up, and other stats keep the change.
+ * @param {Object} stored - Stored record
+ * @param {Object|null} base - Record the changes started from
+ * @param {Object} record - Changed record
+ * @returns {Object}
+ */
+function mergeUserRecord(stored, base, record) {
+    const since = base?.stats || getDefaultStats();
+    const stats = { ...stored.stats };
+
+    for (const [field, value] of Object.entries(record.stats)) {
+        if (SUMMED_STATS.includes(field)) {
+            stats[field] = (stored.stats[field] || 0) + value - (since[field] || 0);
+        } else if (MAX_STATS.includes(field)) {
+            stats[field] = Math.max(stored.stats[field] || 0, value);
+        } else if (value !== since[field]) {
+            stats[field] = value;
+        }
+    }
+
+    return {
+        unlocked: Array.from(new Set([...stored.unlocked, ...record.unlocked])),
+        stats
+    };
+}
+
+/**
+ * Write a user's achievements through to the repository
+ * @param {string} wallet - Wallet address
+ */
+function persistUser(wallet) {
+    repository.persist(wallet, () => ({
+        unlocked: getUnlockedAchievements(wallet),
+        stats: userStats.get(wallet) || getDefaultStats()
+    }));
+}
+
 // ============================================
 // CORE FUNCTIONS
 // ============================================
@@ -454,6 +568,7 @@ function checkAchievements(wallet, newStats = {}) {
     }
 
     userAchievements.set(wallet, unlocked);
+    persistUser(wallet);
 
     return newUnlocks;
 }
@@ -613,6 +728,7 @@ function grantAchievement(wallet, achievementId) {
 
     unlocked.add(achievementId);
     userAchievements.set(wallet, unlocked);
+    persistUser(wallet);
 
     logAudit('achievement_granted', {
         wallet: wallet.slice(0, 8) + '...',
@@ -24,6 +24,7 @@
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const { defineRepository } = require('./database');
 
 // ============================================
 // CONFIGURATION
@@ -98,6 +99,28 @@ const gameBaselines = new Map();
 const detectionLog = [];
 const MAX_LOG_SIZE = 10000;
 
+/**
+ * Repository whose stored entries fill a Map on startup
+ * Entries already in the Map were written since startup and win.
+ * @param {string} name - Repository name
+ * @param {Map} target - Map to fill
+ * @returns {Object} Repository
+ */
+function mapRepository(name, target) {
+    return defineRepository(name, {
+        hydrate(entries) {
+            for (const [key, value] of entries) {
+                if (!target.has(key)) target.set(key, value);
+            }
+        }
+    });
+}
+
+const profileRepository = mapRepository('anticheatProfiles', playerProfiles);
+const sanctionRepository = mapRepository('anticheatSanctions', activeSanctions);
+const fingerprintRepository = mapRepository('anticheatFingerprints', behaviorFingerprints);
+const baselineRepository = mapRepository('anticheatBaselines', gameBaselines);
+
 // Statistics
 const stats = {
     totalAnalyses: 0,
@@ -176,6 +199,11 @@ function analyzeSession(context) {
     // Determine sanctions
     const sanctions = determineSanctions(profile, trustScore, factors);
 
+    // Write through
+    profileRepository.persist(wallet, profile);
+    fingerprintRepository.persist(wallet, behaviorFingerprints.get(wallet));
+    baselineRepository.persist(gameType, gameBaselines.get(gameType));
+
     // Log if suspicious
     if (trustScore < ANTICHEAT_CONFIG.thresholds.normal) {
         stats.suspiciousDetected++;
@@ -596,6 +624,7 @@ function applySanction(wallet, sanction) {
 
     existing.push(newSanction);
     activeSanctions.set(wallet, existing);
+    sanctionRepository.persist(wallet, existing);
 
     // Log
     logAudit('sanction_applied', {
@@ -646,6 +675,7 @@ function liftSanction(wallet, sanctionId, reason = 'Manual review') {
     if (index === -1) return false;
 
     const lifted = sanctions.splice(index, 1)[0];
+    sanctionRepository.persist(wallet, sanctions);
 
     logAudit('sanction_lifted', {
         wallet: wallet.slice(0, 8) + '...',
@@ -752,6 +782,8 @@ function pruneOldProfiles() {
         if (profile.lastSeen < cutoff) {
             playerProfiles.delete(wallet);
             behaviorFingerprints.delete(wallet);
+            profileRepository.discard(wallet);
+            fingerprintRepository.discard(wallet);
         }
     }
 }
@@ -1028,8 +1060,10 @@ setInterval(() => {
 
         if (active.length === 0) {
             activeSanctions.delete(wallet);
+            sanctionRepository.discard(wallet);
         } else if (active.length !== sanctions.length) {
             activeSanctions.set(wallet, active);
+            sanctionRepository.persist(wallet, active);
         }
     }
 }, 60 * 60 * 1000);
@@ -0,0 +1,843 @@
+/**
+ * ASDF API - Partner API Keys
+ *
+ * Stable access to public reads for ecosystem dashboards:
+ * - Keys issued by admins to a partner wallet, scoped to route groups
+ *   (token, ecosystem, leaderboard)
+ * - Each key runs on a ratelimit.js tier instead of the per-IP limiter
+ * - Monthly quota from the tier, metered per key (route group, day, status)
+ * - Partners can list, rotate and revoke their own keys and read their usage
+ *
+ * Key format: asdf_<id>_<secret>, sent as the X-API-Key header.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Only a SHA-256 hash of each key is stored; the key is shown once
+ * - Constant-time hash comparison
+ * - Rotation keeps the old key working for a grace period (or not at all)
+ * - Revoked keys stay on record so usage and audit history survive
+ * - Every issue, change, rotation, revocation and rejected key is audited
+ *   (headers that aren't a key at all are only counted)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const audit = require('./audit');
+const { checkLimit, RATELIMIT_CONFIG } = require('./ratelimit');
+const { getStorage, keys } = require('./storage');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const API_KEY_CONFIG = {
+    header: 'x-api-key',
+    maxKeysPerOwner: 10,
+    maxNameLength: 64,
+    maxRevokeReasonLength: 200,
+
+    // After a rotation the old key keeps working this long
+    rotationGrace: 24 * 60 * 60 * 1000,
+
+    // lastUsedAt is written at most this often per key and process
+    lastUsedResolution: 60 * 1000,
+
+    // Usage reports
+    usageRetention: 400 * 24 * 60 * 60,   // seconds (~13 months)
+    maxUsageMonths: 12
+};
+
+// Route group -> path prefix
+const SCOPES = {
+    token: {
+        prefix: '/api/token/',
+        description: 'Token metadata, transfers, burns and price'
+    },
+    ecosystem: {
+        prefix: '/api/ecosystem/',
+        description: 'Ecosystem stats, burns and priority fees'
+    },
+    leaderboard: {
+        prefix: '/api/leaderboard/',
+        description: 'Burn and XP leaderboards'
+    }
+};
+
+// ratelimit.js tiers a key can be put on
+const KEY_TIERS = ['authenticated', 'premium', 'partner'];
+
+const KEY_STATUS = {
+    ACTIVE: 'active',
+    REVOKED: 'revoked'
+};
+
+const KEY_PATTERN = /^asdf_(ak_[a-f0-9]{24})_([A-Za-z0-9_-]{43})$/;
+const WALLET_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// ============================================
+// STATE
+// ============================================
+
+// keyId -> last time lastUsedAt was written by this process
+const lastUsedWrites = new Map();
+
+const stats = {
+    issued: 0,
+    rotated: 0,
+    revoked: 0,
+    authenticated: 0,
+    rejected: 0,
+    outOfScope: 0,
+    rateLimited: 0,
+    quotaExceeded: 0
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+function generateId() {
+    return `ak_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * New key for an ID
+ * @param {string} id
+ * @returns {string}
+ */
+function generateKey(id) {
+    return `asdf_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function hashMatches(key, hash) {
+    if (!hash) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hash, 'hex'));
+}
+
+/**
+ * Shorten a wallet for logs
+ * @param {string} wallet
+ * @returns {string}
+ */
+function maskWallet(wallet) {
+    return wallet.slice(0, 8) + '...';
+}
+
+/**
+ * Calendar month (UTC) of a timestamp
+ * @param {number} timestamp
+ * @returns {string} YYYY-MM
+ */
+function monthOf(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+/**
+ * Start of the month after a YYYY-MM month (UTC)
+ * @param {string} month
+ * @returns {number}
+ */
+function nextMonthStart(month) {
+    const [year, index] = month.split('-').map(Number);
+    return Date.UTC(year, index, 1);
+}
+
+/**
+ * Month before a YYYY-MM month
+ * @param {string} month
+ * @returns {string}
+ */
+function previousMonth(month) {
+    const [year, index] = month.split('-').map(Number);
+    return monthOf(Date.UTC(year, index - 2, 1));
+}
+
+/**
+ * Monthly quota of a tier
+ * @param {string} tier
+ * @returns {number}
+ */
+function getQuota(tier) {
+    return RATELIMIT_CONFIG.tiers[tier]?.monthlyQuota || 0;
+}
+
+/**
+ * Route group a path belongs to
+ * @param {string} path - Full request path
+ * @returns {string|null}
+ */
+function scopeForPath(path) {
+    for (const [scope, { prefix }] of Object.entries(SCOPES)) {
+        if (path.startsWith(prefix)) return scope;
+    }
+    return null;
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return { valid: false, error: 'Name is required' };
+    }
+    if (name.trim().length > API_KEY_CONFIG.maxNameLength) {
+        return { valid: false, error: `Name must be at most ${API_KEY_CONFIG.maxNameLength} characters` };
+    }
+    return { valid: true, name: name.trim() };
+}
+
+function validateTier(tier) {
+    if (!KEY_TIERS.includes(tier) || !RATELIMIT_CONFIG.tiers[tier]) {
+        return { valid: false, error: `Tier must be one of: ${KEY_TIERS.join(', ')}` };
+    }
+    return { valid: true, tier };
+}
+
+function validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { valid: false, error: 'At least one scope is required' };
+    }
+    const unknown = scopes.filter(scope => !SCOPES[scope]);
+    if (unknown.length > 0) {
+        return { valid: false, error: `Unknown scope: ${unknown.join(', ')}` };
+    }
+    return { valid: true, scopes: [...new Set(scopes)] };
+}
+
+/**
+ * Audit options for an action
+ * @param {string} actor - Wallet acting
+ * @param {Object} record - Key record
+ * @param {Object} context - { ip?, userAgent?, self? }
+ */
+function auditOptions(actor, record, context = {}) {
+    return {
+        actor: actor ? { id: actor, type: context.self ? 'user' : 'admin' } : null,
+        target: { id: record.id, type: 'api_key', name: record.name },
+        ip: context.ip || null,
+        userAgent: context.userAgent || null
+    };
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+async function loadKey(id) {
+    if (typeof id !== 'string') return null;
+    return getStorage().get(keys.apiKeys.record(id));
+}
+
+async function saveKey(record) {
+    record.updatedAt = Date.now();
+    await getStorage().set(keys.apiKeys.record(record.id), record);
+}
+
+/**
+ * Key if it belongs to this wallet (any key when owner is null)
+ * @param {string} id
+ * @param {string|null} owner
+ * @returns {Promise<Object|null>}
+ */
+async function loadOwnedKey(id, owner) {
+    const record = await loadKey(id);
+    if (!record) return null;
+    return owner && record.owner !== owner ? null : record;
+}
+
+/**
+ * Public view of a key (no hashes)
+ */
+function formatKey(record, lastUsedAt = null) {
+    return {
+        id: record.id,
+        name: record.name,
+        owner: record.owner,
+        tier: record.tier,
+        scopes: record.scopes,
+        status: record.status,
+        monthlyQuota: getQuota(record.tier),
+        previousKeyExpiresAt: record.previousHashExpiresAt > Date.now()
+            ? record.previousHashExpiresAt
+            : null,
+        createdAt: record.createdAt,
+        createdBy: record.createdBy,
+        rotatedAt: record.rotatedAt,
+        revokedAt: record.revokedAt,
+        revokedBy: record.revokedBy,
+        revokeReason: record.revokeReason,
+        lastUsedAt,
+        updatedAt: record.updatedAt
+    };
+}
+
+async function formatWithLastUse(record) {
+    const lastUsedAt = await getStorage().get(keys.apiKeys.lastUsed(record.id));
+    return formatKey(record, lastUsedAt || null);
+}
+
+// ============================================
+// KEYS
+// ============================================
+
+/**
+ * Issue a key to a partner wallet
+ * @param {Object} input - { owner, name, tier, scopes }
+ * @param {string} actor - Admin wallet issuing it
+ * @param {Object} context - { ip?, userAgent? }
+ * @returns {Promise<Object>} { success, key, apiKey } - apiKey is only returned here
+ */
+async function issueKey(input = {}, actor, context = {}) {
+    if (typeof input.owner !== 'string' || !WALLET_PATTERN.test(input.owner)) {
+        return { success: false, error: 'Invalid owner wallet' };
+    }
+
+    const name = validateName(input.name);
+    if (!name.valid) return { success: false, error: name.error };
+
+    const tier = validateTier(input.tier || 'authenticated');
+    if (!tier.valid) return { success: false, error: tier.error };
+
+    const scopes = validateScopes(input.scopes);
+    if (!scopes.valid) return { success: false, error: scopes.error };
+
+    const storage = getStorage();
+    const owned = await storage.smembers(keys.apiKeys.owner(input.owner));
+    let active = 0;
+    for (const id of owned) {
+        const record = await loadKey(id);
+        if (record?.status === KEY_STATUS.ACTIVE) active++;
+    }
+    if (active >= API_KEY_CONFIG.maxKeysPerOwner) {
+        return { success: false, error: `At most ${API_KEY_CONFIG.maxKeysPerOwner} active keys per owner` };
+    }
+
+    const id = generateId();
+    const apiKey = generateKey(id);
+    const now = Date.now();
+    const record = {
+        id,
+        name: name.name,
+        owner: input.owner,
+        tier: tier.tier,
+        scopes: scopes.scopes,
+        status: KEY_STATUS.ACTIVE,
+        hash: hashKey(apiKey),
+        previousHash: null,
+        previousHashExpiresAt: null,
+        createdAt: now,
+        createdBy: actor,
+        rotatedAt: null,
+        revokedAt: null,
+        revokedBy: null,
+        revokeReason: null,
+        updatedAt: now
+    };
+
+    await saveKey(record);
+    await storage.sadd(keys.apiKeys.owner(record.owner), id);
+    await storage.sadd(keys.apiKeys.all, id);
+    stats.issued++;
+
+    audit.logSecurity(audit.EVENT_TYPES.API_KEY_ISSUED, {
+        keyId: id,
+        owner: maskWallet(record.owner),
+        tier: record.tier,
+        scopes: record.scopes
+    }, { ...auditOptions(actor, record, context), severity: audit.SEVERITY.INFO });
+
+    return { success: true, key: formatKey(record), apiKey };
+}
+
+/**
+ * Change a key's name, tier or scopes (admin)
+ * @param {string} id
+ * @param {Object} updates - { name?, tier?, scopes? }
+ * @param {string} actor - Admin wallet
+ * @param {Object} context - { ip?, userAgent? }
+ * @returns {Promise<Object>}
+ */
+async function updateKey(id, updates = {}, actor, context = {}) {
+    const record = await loadKey(id);
+    if (!record) return { success: false, error: 'API key not found' };
+    if (record.status !== KEY_STATUS.ACTIVE) return { success: false, error: 'API key is revoked' };
+
+    const changes = {};
+
+    if (updates.name !== undefined) {
+        const name = validateName(updates.name);
+        if (!name.valid) return { success: false, error: name.error };
+        record.name = name.name;
+        changes.name = name.name;
+    }
+
+    if (updates.tier !== undefined) {
+        const tier = validateTier(updates.tier);
+        if (!tier.valid) return { success: false, error: tier.error };
+        changes.tier = { from: record.tier, to: tier.tier };
+        record.tier = tier.tier;
+    }
+
+    if (updates.scopes !== undefined) {
+        const scopes = validateScopes(updates.scopes);
+        if (!scopes.valid) return { success: false, error: scopes.error };
+        changes.scopes = { from: record.scopes, to: scopes.scopes };
+        record.scopes = scopes.scopes;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { success: false, error: 'Nothing to update' };
+    }
+
+    await saveKey(record);
+
+    audit.logSecurity(audit.EVENT_TYPES.API_KEY_UPDATED, {
+        keyId: record.id,
+        owner: maskWallet(record.owner),
+        changes
+    }, auditOptions(actor, record, context));
+
+    return { success: true, key: await formatWithLastUse(record) };
+}
+
+/**
+ * Replace a key's secret (same ID, same usage history)
+ * The old key keeps working for API_KEY_CONFIG.rotationGrace unless immediate.
+ * @param {string} id
+ * @param {string} actor - Wallet rotating it
+ * @param {Object} options - { owner?, immediate?, ip?, userAgent? } - owner restricts to own keys
+ * @returns {Promise<Object>} { success, key, apiKey }
+ */
+async function rotateKey(id, actor, options = {}) {
+    const { owner = null, immediate = false } = options;
+    const record = await loadOwnedKey(id, owner);
+    if (!record) return { success: false, error: 'API key not found' };
+    if (record.status !== KEY_STATUS.ACTIVE) return { success: false, error: 'API key is revoked' };
+
+    const apiKey = generateKey(record.id);
+    const now = Date.now();
+
+    record.previousHash = immediate ? null : record.hash;
+    record.previousHashExpiresAt = immediate ? null : now + API_KEY_CONFIG.rotationGrace;
+    record.hash = hashKey(apiKey);
+    record.rotatedAt = now;
+    await saveKey(record);
+    stats.rotated++;
+
+    audit.logSecurity(audit.EVENT_TYPES.API_KEY_ROTATED, {
+        keyId: record.id,
+        owner: maskWallet(record.owner),
+        immediate: Boolean(immediate),
+        graceUntil: record.previousHashExpiresAt
+    }, auditOptions(actor, record, { ...options, self: Boolean(owner) }));
+
+    return { success: true, key: await formatWithLastUse(record), apiKey };
+}
+
+/**
+ * Revoke a key for good
+ * @param {string} id
+ * @param {string} actor - Wallet revoking it
+ * @param {Object} options - { owner?, reason?, ip?, userAgent? } - owner restricts to own keys
+ * @returns {Promise<Object>}
+ */
+async function revokeKey(id, actor, options = {}) {
+    const { owner = null, reason = null } = options;
+    const record = await loadOwnedKey(id, owner);
+    if (!record) return { success: false, error: 'API key not found' };
+    if (record.status === KEY_STATUS.REVOKED) return { success: false, error: 'API key is already revoked' };
+    if (reason !== null && typeof reason !== 'string') return { success: false, error: 'Invalid reason' };
+
+    record.status = KEY_STATUS.REVOKED;
+    record.hash = null;
+    record.previousHash = null;
+    record.previousHashExpiresAt = null;
+    record.revokedAt = Date.now();
+    record.revokedBy = actor;
+    record.revokeReason = reason ? reason.slice(0, API_KEY_CONFIG.maxRevokeReasonLength) : null;
+    await saveKey(record);
+    stats.revoked++;
+
+    audit.logSecurity(audit.EVENT_TYPES.API_KEY_REVOKED, {
+        keyId: record.id,
+        owner: maskWallet(record.owner),
+        reason: record.revokeReason
+    }, auditOptions(actor, record, { ...options, self: Boolean(owner) }));
+
+    return { success: true, key: await formatWithLastUse(record) };
+}
+
+/**
+ * One key
+ * @param {string} id
+ * @param {Object} options - { owner? } - restricts to own keys
+ * @returns {Promise<Object>}
+ */
+async function getKey(id, options = {}) {
+    const record = await loadOwnedKey(id, options.owner || null);
+    if (!record) return { success: false, error: 'API key not found' };
+    return { success: true, key: await formatWithLastUse(record) };
+}
+
+/**
+ * Keys of one wallet, or all keys
+ * @param {Object} options - { owner?, status? }
+ * @returns {Promise<Object[]>}
+ */
+async function listKeys(options = {}) {
+    const { owner = null, status = null } = options;
+    const storage = getStorage();
+    const ids = await storage.smembers(owner ? keys.apiKeys.owner(owner) : keys.apiKeys.all);
+    const result = [];
+
+    for (const id of ids) {
+        const record = await loadOwnedKey(id, owner);
+        if (!record || (status && record.status !== status)) continue;
+        result.push(await formatWithLastUse(record));
+    }
+
+    return result.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+/**
+ * Resolve a presented key
+ * @param {string} apiKey - X-API-Key value
+ * @returns {Promise<Object>} { success, key } or { success: false, error, reason, keyId? }
+ */
+async function authenticate(apiKey) {
+    const match = typeof apiKey === 'string' ? KEY_PATTERN.exec(apiKey) : null;
+    if (!match) {
+        return { success: false, error: 'Invalid API key', reason: 'malformed' };
+    }
+
+    const record = await loadKey(match[1]);
+    if (!record) {
+        return { success: false, error: 'Invalid API key', reason: 'unknown', keyId: match[1] };
+    }
+    if (record.status !== KEY_STATUS.ACTIVE) {
+        return { success: false, error: 'API key revoked', reason: 'revoked', keyId: record.id };
+    }
+
+    const current = hashMatches(apiKey, record.hash);
+    const previous = !current &&
+        record.previousHashExpiresAt > Date.now() &&
+        hashMatches(apiKey, record.previousHash);
+
+    if (!current && !previous) {
+        return { success: false, error: 'Invalid API key', reason: 'mismatch', keyId: record.id };
+    }
+
+    return { success: true, key: record, rotated: previous };
+}
+
+/**
+ * Audit a rejected key
+ */
+function auditRejection(result, req) {
+    stats.rejected++;
+
+    // Garbage in the header names no key: auditing it would let anyone flood the log
+    if (result.reason === 'malformed') return;
+
+    audit.logSecurity(audit.EVENT_TYPES.API_KEY_REJECTED, {
+        keyId: result.keyId || null,
+        reason: result.reason,
+        path: req.originalUrl ? req.originalUrl.split('?')[0] : req.path
+    }, {
+        target: result.keyId ? { id: result.keyId, type: 'api_key' } : null,
+        ip: req.ip || null,
+        userAgent: req.headers?.['user-agent'] || null
+    });
+}
+
+async function touchLastUsed(id, now) {
+    const last = lastUsedWrites.get(id) || 0;
+    if (now - last < API_KEY_CONFIG.lastUsedResolution) return;
+    lastUsedWrites.set(id, now);
+    await getStorage().set(keys.apiKeys.lastUsed(id), now);
+}
+
+// ============================================
+// METERING
+// ============================================
+
+/**
+ * Count a request against a key's month
+ * @param {string} id
+ * @param {string} field - Usage counter
+ * @param {number} now
+ * @returns {Promise<number>} New value
+ */
+async function meter(id, field, now) {
+    const storage = getStorage();
+    const key = keys.apiKeys.usage(id, monthOf(now));
+    const value = await storage.hincrby(key, field, 1);
+    if (value === 1) {
+        await storage.expire(key, API_KEY_CONFIG.usageRetention);
+    }
+    return value;
+}
+
+/**
+ * Take one request out of the monthly quota
+ * @param {Object} record - Key record
+ * @param {string} scope - Route group
+ * @param {number} now
+ * @returns {Promise<{allowed: boolean, used: number, quota: number, resetAt: number}>}
+ */
+async function consumeQuota(record, scope, now) {
+    const storage = getStorage();
+    const month = monthOf(now);
+    const key = keys.apiKeys.usage(record.id, month);
+    const quota = getQuota(record.tier);
+    const resetAt = nextMonthStart(month);
+
+    const used = await meter(record.id, 'total', now);
+    if (used > quota) {
+        await storage.hincrby(key, 'total', -1);
+        await storage.hincrby(key, 'quota_exceeded', 1);
+        return { allowed: false, used: used - 1, quota, resetAt };
+    }
+
+    await storage.hincrby(key, `scope:${scope}`, 1);
+    await storage.hincrby(key, `day:${new Date(now).toISOString().slice(0, 10)}`, 1);
+
+    return { allowed: true, used, quota, resetAt };
+}
+
+/**
+ * One month of usage from its counters
+ */
+function formatUsage(month, counters, quota) {
+    const byScope = {};
+    const byDay = {};
+    const byStatus = {};
+
+    for (const [field, value] of Object.entries(counters)) {
+        const [kind, name] = field.split(/:(.+)/);
+        if (kind === 'scope') byScope[name] = value;
+        else if (kind === 'day') byDay[name] = value;
+        else if (kind === 'status') byStatus[name] = value;
+    }
+
+    const total = counters.total || 0;
+    return {
+        month,
+        total,
+        quota,
+        remaining: Math.max(0, quota - total),
+        resetAt: nextMonthStart(month),
+        byScope,
+        byDay,
+        byStatus,
+        rateLimited: counters.rate_limited || 0,
+        quotaExceeded: counters.quota_exceeded || 0
+    };
+}
+
+/**
+ * Usage of a key, newest month first
+ * @param {string} id
+ * @param {Object} options - { owner?, month?, months? } - month (YYYY-MM) wins over months
+ * @returns {Promise<Object>} { success, key, usage[] }
+ */
+async function getUsage(id, options = {}) {
+    const { owner = null, month = null, months = 1 } = options;
+    const record = await loadOwnedKey(id, owner);
+    if (!record) return { success: false, error: 'API key not found' };
+
+    if (month !== null && !MONTH_PATTERN.test(month)) {
+        return { success: false, error: 'month must be YYYY-MM' };
+    }
+
+    const count = Number.parseInt(months, 10);
+    if (month === null && (!Number.isInteger(count) || count < 1 || count > API_KEY_CONFIG.maxUsageMonths)) {
+        return { success: false, error: `months must be between 1 and ${API_KEY_CONFIG.maxUsageMonths}` };
+    }
+
+    const storage = getStorage();
+    const quota = getQuota(record.tier);
+    const firstMonth = monthOf(record.createdAt);
+    const periods = [];
+
+    if (month !== null) {
+        periods.push(month);
+    } else {
+        let current = monthOf(Date.now());
+        while (periods.length < count && current >= firstMonth) {
+            periods.push(current);
+            current = previousMonth(current);
+        }
+    }
+
+    const usage = [];
+    for (const period of periods) {
+        const counters = await storage.hgetall(keys.apiKeys.usage(record.id, period));
+        usage.push(formatUsage(period, counters || {}, quota));
+    }
+
+    return { success: true, key: await formatWithLastUse(record), usage };
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Authenticate X-API-Key on public read routes
+ * Requests without a key fall through to the per-IP limiter. Requests with a
+ * key are checked against its scopes, its tier and its monthly quota instead,
+ * then metered; req.apiKey is set for later middleware.
+ * @param {Object} options - { metered } - false only authenticates (usage reads)
+ * @returns {Function}
+ */
+function createMiddleware(options = {}) {
+    const { metered = true } = options;
+
+    return async (req, res, next) => {
+        const presented = req.headers?.[API_KEY_CONFIG.header];
+        if (!presented) return next();
+
+        try {
+            const result = await authenticate(presented);
+            if (!result.success) {
+                auditRejection(result, req);
+                return res.status(401).json({ error: result.error });
+            }
+
+            const record = result.key;
+            const now = Date.now();
+
+            if (!metered) {
+                req.apiKey = { id: record.id, owner: record.owner, tier: record.tier, scopes: record.scopes };
+                await touchLastUsed(record.id, now);
+                return next();
+            }
+            const scope = scopeForPath((req.baseUrl || '') + req.path);
+
+            if (!scope || !record.scopes.includes(scope)) {
+                stats.outOfScope++;
+                return res.status(403).json({
+                    error: 'API key is not valid for this route',
+                    scopes: record.scopes
+                });
+            }
+
+            const limit = await checkLimit(`apikey:${record.id}`, record.tier);
+            res.setHeader('X-RateLimit-Remaining', limit.remaining);
+            if (!limit.allowed) {
+                stats.rateLimited++;
+                await meter(record.id, 'rate_limited', now);
+                res.setHeader('Retry-After', limit.retryAfter);
+                return res.status(429).json({
+                    error: 'rate_limit_exceeded',
+                    message: 'Too many requests for this API key',
+                    retryAfter: limit.retryAfter,
+                    banned: limit.banned
+                });
+            }
+
+            const quota = await consumeQuota(record, scope, now);
+            res.setHeader('X-Quota-Limit', quota.quota);
+            res.setHeader('X-Quota-Remaining', Math.max(0, quota.quota - quota.used));
+            res.setHeader('X-Quota-Reset', Math.ceil(quota.resetAt / 1000));
+            if (!quota.allowed) {
+                stats.quotaExceeded++;
+                res.setHeader('Retry-After', Math.ceil((quota.resetAt - now) / 1000));
+                return res.status(429).json({
+                    error: 'monthly_quota_exceeded',
+                    message: 'Monthly quota for this API key is used up',
+                    resetAt: quota.resetAt
+                });
+            }
+
+            if (result.rotated) {
+                res.setHeader('X-API-Key-Deprecated', 'rotated');
+            }
+
+            stats.authenticated++;
+            req.apiKey = { id: record.id, owner: record.owner, tier: record.tier, scopes: record.scopes };
+
+            res.on('finish', () => {
+                meter(record.id, `status:${Math.floor(res.statusCode / 100)}xx`, now).catch(() => {});
+            });
+            await touchLastUsed(record.id, now);
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Route groups a key can be scoped to
+ * @returns {Object[]}
+ */
+function getScopes() {
+    return Object.entries(SCOPES).map(([scope, { prefix, description }]) => ({
+        scope,
+        prefix,
+        description
+    }));
+}
+
+/**
+ * Tiers a key can be put on, with their limits
+ * @returns {Object[]}
+ */
+function getTiers() {
+    return KEY_TIERS.map(tier => ({ tier, ...RATELIMIT_CONFIG.tiers[tier] }));
+}
+
+/**
+ * Get API key statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return { ...stats };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Keys
+    issueKey,
+    updateKey,
+    rotateKey,
+    revokeKey,
+    getKey,
+    listKeys,
+
+    // Authentication
+    authenticate,
+    createMiddleware,
+
+    // Usage
+    getUsage,
+
+    // Queries
+    getScopes,
+    getTiers,
+    getStats,
+
+    // Constants
+    SCOPES,
+    KEY_TIERS,
+    KEY_STATUS,
+    API_KEY_CONFIG
+};
@@ -11,13 +11,15 @@
  * Security by Design:
  * - Immutable audit records
  * - PII minimization
- * - Tamper detection
+ * - Tamper detection (append-only hash chain)
+ * - Signed checkpoints for offline verification
  * - Access logging
  */
 
 'use strict';
 
 const crypto = require('crypto');
+const { getStorage } = require('./storage');
 
 // ============================================
 // CONFIGURATION
@@ -47,7 +49,28 @@ const AUDIT_CONFIG = {
     },
 
     // Hash algorithm for integrity
-    hashAlgorithm: 'sha256'
+    hashAlgorithm: 'sha256',
+
+    // Hash chain persistence
+    chain: {
+        keyPrefix: 'audit:chain',
+        genesisHash: '0'.repeat(64),
+        // Signed checkpoint cadence (Fibonacci)
+        checkpointEvery: 233,                 // events
+        checkpointInterval: 13 * 60 * 1000,   // 13 minutes
+        maxCheckpointsInMemory: 610,
+        maxCheckpointsStored: 1597,
+        // Chain entries outlive the per-category in-memory retention
+        retention: 365 * 24 * 60 * 60 * 1000,
+        // Max events walked by a single verification
+        maxVerifyEvents: 100000,
+        // Events waiting to be chained (before initialize(), or storage down)
+        maxQueued: 10946,
+        // Appends from every instance take one lock, so sequences stay contiguous
+        lockTtl: 30 * 1000,
+        lockWait: 3000,
+        instanceId: crypto.randomUUID()
+    }
 };
 
 // Event categories
@@ -89,6 +112,7 @@ const EVENT_TYPES = {
     USER_UPDATED: 'user.updated',
     USER_DELETED: 'user.deleted',
     PROFILE_VIEWED: 'user.profile.viewed',
+    DEVICE_LINKED: 'user.device.linked',
 
     // Financial
     PURCHASE_INITIATED: 'financial.purchase.initiated',
@@ -100,10 +124,16 @@ const EVENT_TYPES = {
 
     // Admin
     CONFIG_CHANGED: 'admin.config.changed',
+    CONFIG_ROLLED_BACK: 'admin.config.rolled_back',
     FLAG_TOGGLED: 'admin.flag.toggled',
+    FLAG_SCHEDULED: 'admin.flag.scheduled',
+    FLAG_GUARDS_CHANGED: 'admin.flag.guards_changed',
     USER_BANNED: 'admin.user.banned',
     USER_UNBANNED: 'admin.user.unbanned',
     DATA_EXPORTED: 'admin.data.exported',
+    AUDIT_VERIFIED: 'admin.audit.verified',
+    JOB_REPLAYED: 'admin.job.replayed',
+    JOB_PURGED: 'admin.job.purged',
 
     // System
     SERVICE_STARTED: 'system.service.started',
@@ -115,7 +145,13 @@ const EVENT_TYPES = {
     // Security
     SUSPICIOUS_ACTIVITY: 'security.suspicious',
     ATTACK_DETECTED: 'security.attack',
-    IP_BLOCKED: 'security.ip.blocked'
+    IP_BLOCKED: 'security.ip.blocked',
+    REFRESH_TOKEN_REUSED: 'security.token.reused',
+    API_KEY_ISSUED: 'security.apikey.issued',
+    API_KEY_UPDATED: 'security.apikey.updated',
+    API_KEY_ROTATED: 'security.apikey.rotated',
+    API_KEY_REVOKED: 'security.apikey.revoked',
+    API_KEY_REJECTED: 'security.apikey.rejected'
 };
 
 // ============================================
@@ -147,9 +183,38 @@ const auditStats = {
     totalEvents: 0,
     byCategory: {},
     bySeverity: {},
-    alerts: 0
+    alerts: 0,
+    chainedEvents: 0,
+    checkpoints: 0,
+    persistErrors: 0,
+    unchainedEvents: 0
+};
+
+// Hash chain state (restored from storage on initialize)
+const chainState = {
+    restored: false,
+    sequence: 0,
+    lastHash: AUDIT_CONFIG.chain.genesisHash,
+    lastTimestamp: null,
+    sinceCheckpoint: 0,
+    lastCheckpointAt: Date.now()
 };
 
+// Events flushed but not yet linked into the chain
+const chainQueue = [];
+
+// Signed checkpoints, ordered by sequence
+const checkpoints = [];
+
+// Serializes chain writes on this instance (the chain lock covers the others)
+let persistPromise = Promise.resolve();
+
+// Set by initialize() or setStorage() (tests, or a dedicated Redis)
+let storageOverride = null;
+
+// Checkpoint signing key (Ed25519)
+const signingKey = loadSigningKey();
+
 // ============================================
 // CORE AUDIT FUNCTIONS
 // ============================================
@@ -280,8 +345,6 @@ function logSystem(eventType, data, options = {}) {
  * Flush pending events to storage
  */
 function flush() {
-    if (pendingEvents.length === 0) return;
-
     const events = pendingEvents.splice(0, pendingEvents.length);
 
     for (const event of events) {
@@ -294,6 +357,19 @@ function flush() {
             log.splice(0, log.length - maxEntries);
         }
     }
+
+    // Link into the persistent hash chain; oldest go unchained past the limit
+    chainQueue.push(...events);
+    const overflow = chainQueue.length - AUDIT_CONFIG.chain.maxQueued;
+    if (overflow > 0) {
+        chainQueue.splice(0, overflow);
+        auditStats.unchainedEvents += overflow;
+    }
+
+    // Also retries what a failed pass left queued
+    if (chainQueue.length > 0) {
+        schedulePersist();
+    }
 }
 
 // Start flush interval
@@ -615,25 +691,57 @@ function sanitizeData(data) {
 // ============================================
 
 /**
- * Generate event checksum
- * @param {Object} event - Event without checksum
+ * Fields set when an event is linked into the chain
+ */
+const CHAIN_FIELDS = ['sequence', 'prevHash', 'hash'];
+
+/**
+ * Serialize a value with sorted keys, as it reads back from storage
+ * @param {*} value - Value to serialize
  * @returns {string}
  */
-function generateChecksum(event) {
-    const data = JSON.stringify({
-        id: event.id,
-        type: event.type,
-        timestamp: event.timestamp,
-        actor: event.actor,
-        data: event.data
-    });
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash an event without the given fields
+ * @param {Object} event - Event
+ * @param {string[]} excluded - Fields left out of the hash
+ * @returns {string}
+ */
+function hashEvent(event, excluded) {
+    const fields = { ...event };
+    for (const field of excluded) {
+        delete fields[field];
+    }
 
     return crypto
         .createHash(AUDIT_CONFIG.hashAlgorithm)
-        .update(data)
+        .update(canonicalize(fields))
         .digest('hex');
 }
 
+/**
+ * Generate event checksum
+ * Covers every field the event is logged with
+ * @param {Object} event - Event without checksum
+ * @returns {string}
+ */
+function generateChecksum(event) {
+    return hashEvent(event, ['checksum', ...CHAIN_FIELDS]);
+}
+
 /**
  * Verify event integrity
  * @param {Object} event - Event to verify
@@ -646,6 +754,462 @@ function verifyIntegrity(event) {
     return originalChecksum === computedChecksum;
 }
 
+// ============================================
+// HASH CHAIN
+// ============================================
+
+/**
+ * Storage key helpers for the chain
+ */
+const chainKeys = {
+    head: () => `${AUDIT_CONFIG.chain.keyPrefix}:head`,
+    lock: () => `${AUDIT_CONFIG.chain.keyPrefix}:lock`,
+    event: (sequence) => `${AUDIT_CONFIG.chain.keyPrefix}:evt:${sequence}`,
+    checkpoints: () => `${AUDIT_CONFIG.chain.keyPrefix}:checkpoints`
+};
+
+/**
+ * Compute the chain hash of an event
+ * Commits to every stored field but the hash itself, including the
+ * previous hash and the sequence number
+ * @param {Object} event - Event with sequence, prevHash and checksum
+ * @returns {string}
+ */
+function computeChainHash(event) {
+    return hashEvent(event, ['hash']);
+}
+
+/**
+ * Storage adapter holding the chain (shared by every instance)
+ */
+function getAuditStorage() {
+    return storageOverride || getStorage();
+}
+
+/**
+ * Use a specific storage adapter (tests, or a dedicated Redis)
+ * @param {MemoryAdapter|RedisAdapter|null} adapter - Adapter, or null for getStorage()
+ */
+function setStorage(adapter) {
+    storageOverride = adapter;
+}
+
+/**
+ * Restore chain head and checkpoints from storage
+ * Must run before new events can be linked
+ * @param {Object} options - Options
+ * @param {MemoryAdapter|RedisAdapter} [options.storage] - Storage adapter
+ * @returns {Promise<{sequence: number, hash: string}>}
+ */
+async function initialize(options = {}) {
+    if (options.storage) {
+        setStorage(options.storage);
+    }
+
+    if (chainState.restored) {
+        return { sequence: chainState.sequence, hash: chainState.lastHash };
+    }
+
+    try {
+        const storage = getAuditStorage();
+        const head = await storage.get(chainKeys.head());
+
+        if (head) {
+            chainState.sequence = head.sequence;
+            chainState.lastHash = head.hash;
+            chainState.lastTimestamp = head.timestamp;
+        }
+
+        const stored = await storage.lrange(chainKeys.checkpoints(), -AUDIT_CONFIG.chain.maxCheckpointsInMemory, -1);
+        checkpoints.splice(0, checkpoints.length, ...stored);
+    } catch (error) {
+        console.error('[Audit] Chain restore failed:', error.message);
+    }
+
+    chainState.restored = true;
+    schedulePersist();
+
+    return { sequence: chainState.sequence, hash: chainState.lastHash };
+}
+
+/**
+ * Queue a persistence pass (serialized)
+ * @returns {Promise<void>}
+ */
+function schedulePersist() {
+    if (!chainState.restored) return persistPromise;
+
+    persistPromise = persistPromise
+        .then(() => persistChain())
+        .catch(error => {
+            auditStats.persistErrors++;
+            console.error('[Audit] Chain persistence failed:', error.message);
+        });
+
+    return persistPromise;
+}
+
+/**
+ * Take the chain lock, waiting for another instance's append to finish
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<boolean>} True if acquired
+ */
+async function acquireChainLock(storage) {
+    const { lockTtl, lockWait, instanceId } = AUDIT_CONFIG.chain;
+    const deadline = Date.now() + lockWait;
+
+    while (!(await storage.acquireLock(chainKeys.lock(), instanceId, lockTtl))) {
+        if (Date.now() >= deadline) return false;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    return true;
+}
+
+/**
+ * Link queued events into the chain and write them to storage
+ * Runs under the chain lock and links onto the stored head, so instances
+ * sharing the storage append to one contiguous chain.
+ * @returns {Promise<void>}
+ */
+async function persistChain() {
+    if (chainQueue.length === 0) return;
+
+    const storage = getAuditStorage();
+    if (!(await acquireChainLock(storage))) {
+        // Left queued: the next flush tries again
+        throw new Error('Chain lock is busy');
+    }
+
+    try {
+        // Another instance may have appended since our last pass
+        const head = await storage.get(chainKeys.head());
+        if (head) {
+            chainState.sequence = head.sequence;
+            chainState.lastHash = head.hash;
+            chainState.lastTimestamp = head.timestamp;
+        }
+
+        const events = chainQueue.splice(0, chainQueue.length);
+
+        for (let i = 0; i < events.length; i++) {
+            const event = events[i];
+            event.sequence = chainState.sequence + 1;
+            event.prevHash = chainState.lastHash;
+            event.hash = computeChainHash(event);
+
+            try {
+                await storage.set(chainKeys.event(event.sequence), event, {
+                    ex: Math.floor(AUDIT_CONFIG.chain.retention / 1000),
+                    pinned: true
+                });
+            } catch (error) {
+                // Relinked on the next pass, after the head written below
+                chainQueue.unshift(...events.slice(i));
+                await writeChainHead(storage);
+                throw error;
+            }
+
+            chainState.sequence = event.sequence;
+            chainState.lastHash = event.hash;
+            chainState.lastTimestamp = event.timestamp;
+            chainState.sinceCheckpoint++;
+            auditStats.chainedEvents++;
+        }
+
+        await writeChainHead(storage);
+
+        if (chainState.sinceCheckpoint >= AUDIT_CONFIG.chain.checkpointEvery) {
+            await createCheckpoint();
+        }
+    } finally {
+        await storage.releaseLock(chainKeys.lock(), AUDIT_CONFIG.chain.instanceId);
+    }
+}
+
+/**
+ * Store the chain head (last linked sequence and hash)
+ * @param {Object} storage - Storage adapter
+ * @returns {Promise<void>}
+ */
+async function writeChainHead(storage) {
+    await storage.set(chainKeys.head(), {
+        sequence: chainState.sequence,
+        hash: chainState.lastHash,
+        timestamp: chainState.lastTimestamp
+    }, { pinned: true });
+}
+
+/**
+ * Create a signed checkpoint of the current chain head
+ * @returns {Promise<Object|null>}
+ */
+async function createCheckpoint() {
+    if (chainState.sequence === 0) return null;
+
+    const checkpoint = {
+        sequence: chainState.sequence,
+        hash: chainState.lastHash,
+        timestamp: chainState.lastTimestamp,
+        createdAt: Date.now(),
+        keyId: signingKey.keyId
+    };
+    checkpoint.signature = signCheckpoint(checkpoint);
+
+    const storage = getAuditStorage();
+    await storage.rpush(chainKeys.checkpoints(), checkpoint);
+    await storage.ltrim(chainKeys.checkpoints(), -AUDIT_CONFIG.chain.maxCheckpointsStored, -1);
+
+    checkpoints.push(checkpoint);
+    if (checkpoints.length > AUDIT_CONFIG.chain.maxCheckpointsInMemory) {
+        checkpoints.shift();
+    }
+
+    chainState.sinceCheckpoint = 0;
+    chainState.lastCheckpointAt = Date.now();
+    auditStats.checkpoints++;
+
+    return checkpoint;
+}
+
+/**
+ * Canonical payload covered by a checkpoint signature
+ * @param {Object} checkpoint - Checkpoint
+ * @returns {Buffer}
+ */
+function checkpointPayload(checkpoint) {
+    return Buffer.from(`asdf-audit-checkpoint:${checkpoint.sequence}:${checkpoint.hash}:${checkpoint.timestamp}`);
+}
+
+/**
+ * Sign a checkpoint
+ * @param {Object} checkpoint - Checkpoint
+ * @returns {string} Base64 signature
+ */
+function signCheckpoint(checkpoint) {
+    return crypto.sign(null, checkpointPayload(checkpoint), signingKey.privateKey).toString('base64');
+}
+
+/**
+ * Verify a checkpoint signature
+ * @param {Object} checkpoint - Checkpoint
+ * @param {string} publicKeyPem - Public key (defaults to the current key)
+ * @returns {boolean}
+ */
+function verifyCheckpoint(checkpoint, publicKeyPem = signingKey.publicKeyPem) {
+    try {
+        return crypto.verify(
+            null,
+            checkpointPayload(checkpoint),
+            crypto.createPublicKey(publicKeyPem),
+            Buffer.from(checkpoint.signature, 'base64')
+        );
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Load the checkpoint signing key
+ * AUDIT_SIGNING_KEY holds a PEM-encoded Ed25519 private key.
+ * Without it an ephemeral key is generated (checkpoints won't verify across restarts).
+ * @returns {{privateKey: KeyObject, publicKeyPem: string, keyId: string}}
+ */
+function loadSigningKey() {
+    let privateKey;
+
+    if (process.env.AUDIT_SIGNING_KEY) {
+        privateKey = crypto.createPrivateKey(process.env.AUDIT_SIGNING_KEY.replace(/\\n/g, '\n'));
+    } else {
+        if (process.env.NODE_ENV === 'production') {
+            console.warn('[Audit] AUDIT_SIGNING_KEY not set - using ephemeral checkpoint key');
+        }
+        privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+
+    const publicKeyPem = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+    const keyId = crypto.createHash('sha256').update(publicKeyPem).digest('hex').slice(0, 16);
+
+    return { privateKey, publicKeyPem, keyId };
+}
+
+/**
+ * Find the first chained sequence at or after a timestamp (binary search)
+ * @param {Object} storage - Storage adapter
+ * @param {number} timestamp - Start time
+ * @param {number} low - Lowest sequence
+ * @param {number} high - Highest sequence
+ * @returns {Promise<number>}
+ */
+async function findSequenceAt(storage, timestamp, low, high) {
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        const event = await storage.get(chainKeys.event(mid));
+
+        // Expired (retention) entries sit at the start of the chain
+        if (!event || event.timestamp < timestamp) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Verify the hash chain over a time range
+ * Reports the first broken link (missing, reordered or modified event)
+ * @param {Object} options - Verification options
+ * @returns {Promise<Object>}
+ */
+async function verifyChain(options = {}) {
+    const { startTime = null, endTime = null } = options;
+
+    // Make sure everything logged so far is chained
+    flush();
+    await persistPromise;
+
+    const storage = getAuditStorage();
+    const head = await storage.get(chainKeys.head());
+
+    const result = {
+        valid: true,
+        headSequence: head?.sequence || 0,
+        firstSequence: null,
+        lastSequence: null,
+        eventsChecked: 0,
+        checkpointsVerified: 0,
+        truncated: false,
+        brokenLink: null
+    };
+
+    if (!head) return result;
+
+    let sequence = startTime ? await findSequenceAt(storage, startTime, 1, head.sequence + 1) : 1;
+    let prevHash = null;
+
+    // Anchor on the preceding event when it is still retained
+    if (sequence > 1) {
+        const previous = await storage.get(chainKeys.event(sequence - 1));
+        prevHash = previous ? previous.hash : null;
+    }
+
+    const checkpointsBySequence = new Map(checkpoints.map(cp => [cp.sequence, cp]));
+
+    const broken = (event, seq, reason, details = {}) => {
+        result.valid = false;
+        result.brokenLink = {
+            sequence: seq,
+            eventId: event?.id || null,
+            timestamp: event?.timestamp || null,
+            reason,
+            ...details
+        };
+        return result;
+    };
+
+    for (; sequence <= head.sequence; sequence++) {
+        if (result.eventsChecked >= AUDIT_CONFIG.chain.maxVerifyEvents) {
+            result.truncated = true;
+            break;
+        }
+
+        const event = await storage.get(chainKeys.event(sequence));
+
+        if (!event) {
+            // Leading gap is retention expiry, any later gap is a deletion
+            if (result.firstSequence === null && !startTime) continue;
+            return broken(null, sequence, 'missing_event');
+        }
+
+        if (endTime && event.timestamp > endTime) break;
+
+        if (result.firstSequence === null) result.firstSequence = sequence;
+        result.lastSequence = sequence;
+        result.eventsChecked++;
+
+        if (event.sequence !== sequence) {
+            return broken(event, sequence, 'sequence_mismatch', { actual: event.sequence });
+        }
+        if (!verifyIntegrity(event)) {
+            return broken(event, sequence, 'checksum_mismatch');
+        }
+        if (prevHash !== null && event.prevHash !== prevHash) {
+            return broken(event, sequence, 'prev_hash_mismatch', { expected: prevHash, actual: event.prevHash });
+        }
+        if (sequence === 1 && event.prevHash !== AUDIT_CONFIG.chain.genesisHash) {
+            return broken(event, sequence, 'invalid_genesis');
+        }
+
+        const hash = computeChainHash(event);
+        if (hash !== event.hash) {
+            return broken(event, sequence, 'hash_mismatch', { expected: hash, actual: event.hash });
+        }
+
+        const checkpoint = checkpointsBySequence.get(sequence);
+        if (checkpoint) {
+            if (checkpoint.hash !== hash || !verifyCheckpoint(checkpoint)) {
+                return broken(event, sequence, 'checkpoint_mismatch');
+            }
+            result.checkpointsVerified++;
+        }
+
+        prevHash = hash;
+    }
+
+    return result;
+}
+
+/**
+ * Get checkpoints covering a sequence range
+ * @param {number} fromSequence - First sequence
+ * @param {number} toSequence - Last sequence
+ * @returns {Object[]}
+ */
+function getCheckpoints(fromSequence = 0, toSequence = Infinity) {
+    return checkpoints.filter(cp => cp.sequence >= fromSequence && cp.sequence <= toSequence);
+}
+
+/**
+ * Get chain head information
+ * @returns {Object}
+ */
+function getChainHead() {
+    return {
+        restored: chainState.restored,
+        sequence: chainState.sequence,
+        hash: chainState.lastHash,
+        timestamp: chainState.lastTimestamp,
+        pending: chainQueue.length,
+        checkpoints: checkpoints.length,
+        keyId: signingKey.keyId
+    };
+}
+
+// Periodic checkpoints even when traffic is low
+setInterval(() => {
+    if (!chainState.restored || chainState.sinceCheckpoint === 0) return;
+    if (Date.now() - chainState.lastCheckpointAt < AUDIT_CONFIG.chain.checkpointInterval) return;
+
+    persistPromise = persistPromise
+        .then(() => createCheckpoint())
+        .catch(error => {
+            auditStats.persistErrors++;
+            console.error('[Audit] Checkpoint failed:', error.message);
+        });
+}, 60 * 1000);
+
+/**
+ * Flush and persist everything before shutdown
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+    flush();
+    await schedulePersist();
+    if (chainState.sinceCheckpoint > 0) {
+        await createCheckpoint().catch(() => {});
+    }
+}
+
 // ============================================
 // EXPORT
 // ============================================
@@ -674,7 +1238,8 @@ function exportLogs(options = {}) {
         exportedAt: new Date().toISOString(),
         totalEvents: result.total,
         filters: { category, startTime, endTime },
-        events: result.events
+        events: result.events,
+        chain: buildChainProof(result.events)
     };
 
     // Log the export
@@ -690,13 +1255,44 @@ function exportLogs(options = {}) {
     return exportData;
 }
 
+/**
+ * Build offline verification material for exported events
+ * Events from a category filter are not contiguous, so the proof lists
+ * the checkpoints that bracket the exported sequence range.
+ * @param {Object[]} events - Exported events
+ * @returns {Object}
+ */
+function buildChainProof(events) {
+    const sequences = events.map(e => e.sequence).filter(seq => typeof seq === 'number');
+    const first = sequences.length > 0 ? Math.min(...sequences) : null;
+    const last = sequences.length > 0 ? Math.max(...sequences) : null;
+
+    // Include the first checkpoint after the range so its tail is anchored
+    const covering = first === null ? [] : getCheckpoints(first, last);
+    const next = last === null ? null : checkpoints.find(cp => cp.sequence > last);
+    if (next) covering.push(next);
+
+    return {
+        hashAlgorithm: AUDIT_CONFIG.hashAlgorithm,
+        genesisHash: AUDIT_CONFIG.chain.genesisHash,
+        signatureAlgorithm: 'ed25519',
+        publicKey: signingKey.publicKeyPem,
+        keyId: signingKey.keyId,
+        firstSequence: first,
+        lastSequence: last,
+        unchainedEvents: events.length - sequences.length,
+        head: { sequence: chainState.sequence, hash: chainState.lastHash },
+        checkpoints: covering
+    };
+}
+
 /**
  * Export to CSV format
  * @param {Object[]} events - Events to export
  * @returns {string}
  */
 function exportToCSV(events) {
-    const headers = ['id', 'type', 'category', 'severity', 'timestamp', 'actor', 'data'];
+    const headers = ['id', 'type', 'category', 'severity', 'timestamp', 'actor', 'data', 'sequence', 'prevHash', 'hash'];
     const rows = [headers.join(',')];
 
     for (const event of events) {
@@ -707,7 +1303,10 @@ function exportToCSV(events) {
             event.severity,
             event.isoTimestamp,
             event.actor?.id || '',
-            JSON.stringify(event.data).replace(/"/g, '""')
+            JSON.stringify(event.data).replace(/"/g, '""'),
+            event.sequence || '',
+            event.prevHash || '',
+            event.hash || ''
         ];
         rows.push(row.map(v => `"${v}"`).join(','));
     }
@@ -937,6 +1536,7 @@ function getStats() {
 
     return {
         ...auditStats,
+        chain: getChainHead(),
         storedEvents: totalStored,
         pendingEvents: pendingEvents.length,
         indexSize: eventIndex.size,
@@ -970,6 +1570,13 @@ module.exports = {
 
     // Integrity
     verifyIntegrity,
+    generateChecksum,
+    verifyChain,
+    verifyCheckpoint,
+    computeChainHash,
+    getCheckpoints,
+    getChainHead,
+    createCheckpoint,
 
     // Export
     exportLogs,
@@ -978,8 +1585,11 @@ module.exports = {
     createMiddleware,
 
     // Control
+    initialize,
+    setStorage,
     flush,
     cleanup,
+    shutdown,
 
     // Stats
     getStats,
@@ -2,9 +2,16 @@
  * ASDF API - Authentication Service
  *
  * Wallet-based authentication using Solana signatures
- * - Challenge/response for wallet verification
- * - JWT tokens for session management
+ * - Sign-In With Solana (SIWS) challenge/response for wallet verification
+ * - Short-lived JWT access tokens tied to a sessionManager session
+ * - Opaque refresh tokens bound to the session and device, rotated on every use
  * - Balance verification on auth
+ *
+ * Security by Design:
+ * - Challenges bound to an allowed domain and URI (blocks phishing relays)
+ * - Every signed field must match what was issued (no wallet-side edits)
+ * - One-time nonces with a short expiry
+ * - Refresh tokens stored hashed; reuse revokes the whole family and session
  */
 
 'use strict';
@@ -14,10 +21,21 @@ const nacl = require('tweetnacl');
 const bs58 = require('bs58');
 const crypto = require('crypto');
 const { getTokenBalance, isValidAddress } = require('./helius');
+const { getStorage, keys } = require('./storage');
+const {
+    createSession,
+    loadSession,
+    refreshSession,
+    revokeSession,
+    isSessionRevoked,
+    checkSessionRevoked,
+    generateDeviceFingerprint,
+    SESSION_CONFIG
+} = require('./sessionManager');
+const audit = require('./audit');
 
 // Environment
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRY = '24h';
 
 // CRITICAL: Fail fast if JWT_SECRET is not configured properly
 if (!JWT_SECRET || JWT_SECRET.length < 32) {
@@ -28,10 +46,73 @@ if (!JWT_SECRET || JWT_SECRET.length < 32) {
     );
 }
 const CHALLENGE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+const MAX_PENDING_CHALLENGES = 10000;
+
+const TOKEN_CONFIG = {
+    accessTokenTTL: SESSION_CONFIG.accessTokenTTL, // 15 minutes, how long revocations are kept
+    refreshTokenTTL: SESSION_CONFIG.sessionTTL,  // Slides with the session on rotation
+    maxRefreshTokenLength: 128
+};
 
-// In-memory challenge store (use Redis in production)
+// Set by setStorage() (tests, or a dedicated Redis)
+let storageOverride = null;
+
+/**
+ * Hosts allowed in a SIWS domain
+ * SIWS_DOMAINS if set, otherwise the hosts of ALLOWED_ORIGINS (CORS)
+ * @returns {string[]}
+ */
+function getAllowedDomains() {
+    const configured = process.env.SIWS_DOMAINS || process.env.ALLOWED_ORIGINS;
+    if (!configured) {
+        return ['localhost:3000', 'localhost:5173', 'alonisthe.dev'];
+    }
+
+    return configured
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.length > 0)
+        .map(entry => (entry.includes('://') ? new URL(entry).host : entry));
+}
+
+const allowedDomains = getAllowedDomains();
+
+// Sign-In With Solana
+const SIWS_CONFIG = {
+    domains: allowedDomains,
+    // Domain for requests without an Origin header (scripts, native apps)
+    appDomain: process.env.SIWS_APP_DOMAIN || allowedDomains[0],
+    statement:
+        'Sign in to ASDF to prove you own this wallet. ' +
+        'This request will not trigger a blockchain transaction or cost any fees.',
+    version: '1',
+    chainId: process.env.SIWS_CHAIN_ID || 'mainnet',
+    resources: (process.env.SIWS_RESOURCES || '')
+        .split(',')
+        .map(resource => resource.trim())
+        .filter(resource => resource.length > 0),
+    // Tolerated clock difference for Issued At
+    clockSkew: 60 * 1000
+};
+
+// Message labels for the optional SIWS fields, in message order
+const SIGN_IN_FIELDS = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId'
+};
+
+// In-memory challenge store, by nonce (use Redis in production)
 const challenges = new Map();
 
+// Latest nonce per wallet, for clients that only send { wallet, signature }
+const walletChallenges = new Map();
+
 // Token revocation blacklist (use Redis in production for distributed systems)
 const revokedTokens = new Map();
 const TOKEN_BLACKLIST_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
@@ -39,37 +120,206 @@ const TOKEN_BLACKLIST_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
 // Mutex for concurrent operations (simple implementation)
 let challengeMutex = Promise.resolve();
 
+// ============================================
+// SIGN-IN WITH SOLANA MESSAGES
+// ============================================
+
+/**
+ * Build the SIWS message text a wallet signs
+ * Same layout as the Wallet Standard solana:signIn feature.
+ * @param {Object} input - SIWS input (domain, address, statement, uri, ...)
+ * @returns {string}
+ */
+function formatSignInMessage(input) {
+    let message = `${input.domain} wants you to sign in with your Solana account:\n${input.address}`;
+
+    if (input.statement) {
+        message += `\n\n${input.statement}`;
+    }
+
+    const fields = [];
+    for (const [label, name] of Object.entries(SIGN_IN_FIELDS)) {
+        if (input[name]) {
+            fields.push(`${label}: ${input[name]}`);
+        }
+    }
+    if (input.resources && input.resources.length > 0) {
+        fields.push('Resources:');
+        for (const resource of input.resources) {
+            fields.push(`- ${resource}`);
+        }
+    }
+
+    if (fields.length > 0) {
+        message += `\n\n${fields.join('\n')}`;
+    }
+
+    return message;
+}
+
 /**
- * Generate authentication challenge
- * @param {string} wallet - Wallet address requesting auth
- * @returns {{challenge: string, expiresAt: number}}
+ * Parse a SIWS message back into its fields
+ * @param {string} message - Signed message text
+ * @returns {Object|null} Fields, or null if the message is not SIWS
  */
-function generateChallenge(wallet) {
-    if (!isValidAddress(wallet)) {
+function parseSignInMessage(message) {
+    if (typeof message !== 'string') return null;
+
+    const lines = message.split('\n');
+    const header = /^(\S+) wants you to sign in with your Solana account:$/.exec(lines[0]);
+    if (!header || !lines[1]) return null;
+
+    const fields = { domain: header[1], address: lines[1] };
+    const isField = line => line === 'Resources:' || Object.keys(SIGN_IN_FIELDS).some(label => line.startsWith(`${label}: `));
+
+    let i = 2;
+    if (lines[i] === '' && lines[i + 1] !== undefined && !isField(lines[i + 1])) {
+        fields.statement = lines[i + 1];
+        i += 2;
+    }
+
+    if (i < lines.length) {
+        if (lines[i] !== '') return null;
+        i++;
+    }
+
+    for (; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line === 'Resources:') {
+            fields.resources = [];
+            while (i + 1 < lines.length && lines[i + 1].startsWith('- ')) {
+                fields.resources.push(lines[++i].slice(2));
+            }
+            continue;
+        }
+
+        const match = /^([A-Za-z ]+): (.+)$/.exec(line);
+        const name = match && SIGN_IN_FIELDS[match[1]];
+        if (!name || fields[name] !== undefined) return null;
+        fields[name] = match[2];
+    }
+
+    return fields;
+}
+
+/**
+ * Domain (host) of a request origin, if it is one we sign in for
+ * @param {string|null} origin - Origin header (e.g. https://alonisthe.dev)
+ * @returns {string|null}
+ */
+function resolveSignInDomain(origin) {
+    if (!origin) return SIWS_CONFIG.appDomain;
+
+    try {
+        const { host } = new URL(origin);
+        return SIWS_CONFIG.domains.includes(host) ? host : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check a signed SIWS message against the challenge that was issued
+ * @param {Object} fields - Parsed message
+ * @param {Object} issued - Stored SIWS input
+ * @param {string} wallet - Wallet claiming the signature
+ * @returns {string|null} Error, or null when the message matches
+ */
+function checkSignInFields(fields, issued, wallet) {
+    if (fields.address !== wallet || (issued.address && issued.address !== wallet)) {
+        return 'Wallet does not match the sign-in message';
+    }
+
+    if (fields.domain !== issued.domain || !SIWS_CONFIG.domains.includes(fields.domain)) {
+        return 'Sign-in domain mismatch';
+    }
+
+    for (const name of ['statement', ...Object.values(SIGN_IN_FIELDS)]) {
+        if (fields[name] !== issued[name]) {
+            return `Sign-in ${name} mismatch`;
+        }
+    }
+
+    if ((fields.resources || []).join('\n') !== (issued.resources || []).join('\n')) {
+        return 'Sign-in resources mismatch';
+    }
+
+    const now = Date.now();
+    if (Date.parse(fields.issuedAt) > now + SIWS_CONFIG.clockSkew) {
+        return 'Sign-in message issued in the future';
+    }
+    if (Date.parse(fields.expirationTime) <= now) {
+        return 'Challenge expired. Request a new challenge.';
+    }
+
+    return null;
+}
+
+// ============================================
+// CHALLENGE / RESPONSE
+// ============================================
+
+/**
+ * Generate a SIWS authentication challenge
+ * Without a wallet (one-click sign-in) the wallet fills in its own address
+ * and formats the message itself.
+ * @param {string|null} wallet - Wallet address requesting auth, if known
+ * @param {Object} options - Options
+ * @param {string|null} options.origin - Origin of the requesting page
+ * @returns {{challenge: string|null, input: Object, expiresAt: number}}
+ */
+function generateChallenge(wallet, options = {}) {
+    if (wallet && !isValidAddress(wallet)) {
         throw new Error('Invalid wallet address');
     }
 
-    // Generate random nonce
-    const nonce = crypto.randomBytes(32).toString('hex');
+    const domain = resolveSignInDomain(options.origin);
+    if (!domain) {
+        throw new Error('Domain not allowed');
+    }
+
+    cleanupExpiredChallenges();
+    if (challenges.size >= MAX_PENDING_CHALLENGES) {
+        throw new Error('Too many pending challenges. Try again later.');
+    }
+
+    // Alphanumeric nonce, as SIWS requires
+    const nonce = crypto.randomBytes(16).toString('hex');
     const timestamp = Date.now();
     const expiresAt = timestamp + CHALLENGE_EXPIRY;
 
-    // Create challenge message
-    const challenge = `ASDF Authentication\n\nWallet: ${wallet}\nNonce: ${nonce}\nTimestamp: ${timestamp}`;
-
-    // Store challenge
-    challenges.set(wallet, {
-        challenge,
+    const input = {
+        domain,
+        ...(wallet && { address: wallet }),
+        statement: SIWS_CONFIG.statement,
+        uri: options.origin ? new URL(options.origin).origin : `https://${domain}`,
+        version: SIWS_CONFIG.version,
+        chainId: SIWS_CONFIG.chainId,
         nonce,
+        issuedAt: new Date(timestamp).toISOString(),
+        expirationTime: new Date(expiresAt).toISOString(),
+        requestId: crypto.randomUUID(),
+        ...(SIWS_CONFIG.resources.length > 0 && { resources: SIWS_CONFIG.resources })
+    };
+
+    // One pending challenge per wallet
+    if (wallet) {
+        const previous = walletChallenges.get(wallet);
+        if (previous) challenges.delete(previous);
+        walletChallenges.set(wallet, nonce);
+    }
+
+    challenges.set(nonce, {
+        input,
+        wallet,
         timestamp,
         expiresAt
     });
 
-    // Cleanup old challenges periodically
-    cleanupExpiredChallenges();
-
     return {
-        challenge,
+        challenge: wallet ? formatSignInMessage(input) : null,
+        input,
         expiresAt
     };
 }
@@ -78,30 +328,52 @@ function generateChallenge(wallet) {
  * Verify wallet signature and issue JWT
  * @param {string} wallet - Wallet address
  * @param {string} signature - Base58 encoded signature
- * @returns {Promise<{token: string, user: object}>}
+ * @param {Object} options - Options
+ * @param {string} [options.message] - Signed message text (solana:signIn output);
+ *   defaults to the challenge issued for the wallet
+ * @param {string|null} [options.origin] - Origin of the verifying page
+ * @param {Object} [options.req] - HTTP request, for the session's device
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string, user: object}>}
  */
-async function verifyAndAuthenticate(wallet, signature) {
-    // Get stored challenge
-    const stored = challenges.get(wallet);
+async function verifyAndAuthenticate(wallet, signature, options = {}) {
+    let message = options.message;
+    if (message === undefined) {
+        const pending = challenges.get(walletChallenges.get(wallet));
+        message = pending?.input.address ? formatSignInMessage(pending.input) : null;
+    }
+
+    const fields = message ? parseSignInMessage(message) : null;
+    const stored = fields && challenges.get(fields.nonce);
 
     if (!stored) {
         throw new Error('No challenge found. Request a new challenge.');
     }
 
     if (Date.now() > stored.expiresAt) {
-        challenges.delete(wallet);
+        forgetChallenge(fields.nonce);
         throw new Error('Challenge expired. Request a new challenge.');
     }
 
+    // A page on another domain cannot complete a challenge issued for ours,
+    // and a request without an Origin only completes one for the app domain
+    if (resolveSignInDomain(options.origin) !== stored.input.domain) {
+        throw new Error('Sign-in domain mismatch');
+    }
+
+    const mismatch = checkSignInFields(fields, stored.input, wallet);
+    if (mismatch) {
+        throw new Error(mismatch);
+    }
+
     // Verify signature
-    const isValid = verifySignature(wallet, stored.challenge, signature);
+    const isValid = verifySignature(wallet, message, signature);
 
     if (!isValid) {
         throw new Error('Invalid signature');
     }
 
     // Clear used challenge
-    challenges.delete(wallet);
+    forgetChallenge(fields.nonce);
 
     // Get token balance from chain
     const { balance, isHolder } = await getTokenBalance(wallet);
@@ -110,8 +382,7 @@ async function verifyAndAuthenticate(wallet, signature) {
     // For now, just use holder status
     const tier = calculateTier(0); // XP would come from database
 
-    // Generate JWT
-    const payload = {
+    const user = {
         wallet,
         balance,
         isHolder,
@@ -119,12 +390,21 @@ async function verifyAndAuthenticate(wallet, signature) {
         tierIndex: tier.index
     };
 
-    const token = jwt.sign(payload, JWT_SECRET, { algorithm: 'HS256', expiresIn: JWT_EXPIRY });
+    // Callers outside HTTP (scripts, tests) sign in as an unknown device
+    return startSession(user, options.req || { headers: {} });
+}
 
-    return {
-        token,
-        user: payload
-    };
+/**
+ * Drop a challenge and its wallet index entry
+ * @param {string} nonce - Challenge nonce
+ */
+function forgetChallenge(nonce) {
+    const stored = challenges.get(nonce);
+    challenges.delete(nonce);
+
+    if (stored?.wallet && walletChallenges.get(stored.wallet) === nonce) {
+        walletChallenges.delete(stored.wallet);
+    }
 }
 
 /**
@@ -160,6 +440,12 @@ function verifyToken(token) {
         }
 
         const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+
+        // Revoking a session (on any instance) ends its access tokens at once
+        if (payload.sid && isSessionRevoked(payload.sid)) {
+            return { valid: false, error: 'Session has been revoked' };
+        }
+
         return { valid: true, payload };
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
@@ -169,6 +455,22 @@ function verifyToken(token) {
     }
 }
 
+/**
+ * Verify JWT token, asking storage about its session if this instance
+ * hasn't seen it revoked (revoked before a restart, or on a new node)
+ * @param {string} token - JWT token
+ * @returns {Promise<{valid: boolean, payload?: object, error?: string}>}
+ */
+async function verifyAccessToken(token) {
+    const result = verifyToken(token);
+
+    if (result.valid && result.payload.sid && (await checkSessionRevoked(result.payload.sid))) {
+        return { valid: false, error: 'Session has been revoked' };
+    }
+
+    return result;
+}
+
 /**
  * Revoke a token (logout)
  * @param {string} token - JWT token to revoke
@@ -229,38 +531,204 @@ function cleanupRevokedTokens() {
 // Start cleanup interval for revoked tokens
 setInterval(cleanupRevokedTokens, TOKEN_BLACKLIST_CLEANUP_INTERVAL);
 
+// ============================================
+// SESSION TOKENS
+// ============================================
+
 /**
- * Refresh token with updated balance
- * @param {string} token - Current valid token
- * @returns {Promise<{token: string, user: object}>}
+ * Storage adapter holding refresh tokens (shared by every instance)
+ * @returns {MemoryAdapter|RedisAdapter}
  */
-async function refreshToken(token) {
-    const { valid, payload, error } = verifyToken(token);
+function getAuthStorage() {
+    return storageOverride || getStorage();
+}
 
-    if (!valid) {
-        throw new Error(error);
+/**
+ * Use a specific storage adapter (tests, or a dedicated Redis)
+ * @param {MemoryAdapter|RedisAdapter|null} adapter - Adapter, or null for getStorage()
+ */
+function setStorage(adapter) {
+    storageOverride = adapter;
+}
+
+/**
+ * Hash a token for storage and lookups
+ * @param {string} token - Token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token for a session
+ * @param {Object} user - Token claims
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId) {
+    return jwt.sign({ ...user, sid: sessionId }, JWT_SECRET, {
+        algorithm: 'HS256',
+        expiresIn: Math.floor(TOKEN_CONFIG.accessTokenTTL / 1000)
+    });
+}
+
+/**
+ * Issue the next refresh token of a family
+ * Only its hash is stored; the token itself is handed out once.
+ * @param {Object} grant - { familyId, sessionId, wallet, fingerprint }
+ * @returns {Promise<string>} Opaque refresh token
+ */
+async function issueRefreshToken(grant) {
+    const storage = getAuthStorage();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const ttl = TOKEN_CONFIG.refreshTokenTTL;
+
+    await storage.set(keys.auth.refreshToken(hashToken(token)), {
+        familyId: grant.familyId,
+        sessionId: grant.sessionId,
+        wallet: grant.wallet,
+        fingerprint: grant.fingerprint,
+        issuedAt: now,
+        expiresAt: now + ttl
+    }, { ttl });
+
+    await storage.set(keys.auth.family(grant.familyId), {
+        sessionId: grant.sessionId,
+        rotatedAt: now
+    }, { ttl });
+
+    return token;
+}
+
+/**
+ * Open a session for a signed-in wallet
+ * @param {Object} user - Token claims
+ * @param {Object} req - Request the session is bound to
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string, user: object}>}
+ */
+async function startSession(user, req) {
+    const familyId = crypto.randomUUID();
+    const session = createSession(user.wallet, req, { metadata: { familyId } });
+
+    if (!session.success) {
+        throw new Error(session.error);
     }
 
+    const refreshToken = await issueRefreshToken({
+        familyId,
+        sessionId: session.sessionId,
+        wallet: user.wallet,
+        fingerprint: generateDeviceFingerprint(req)
+    });
+
+    return {
+        token: signAccessToken(user, session.sessionId),
+        refreshToken,
+        sessionId: session.sessionId,
+        user
+    };
+}
+
+/**
+ * Revoke every refresh token of a family, and its session
+ * @param {Object} record - Refresh token record
+ * @param {string} reason - Revocation reason
+ */
+async function revokeTokenFamily(record, reason) {
+    await getAuthStorage().set(keys.auth.family(record.familyId), {
+        sessionId: record.sessionId,
+        revokedAt: Date.now(),
+        reason
+    }, { ttl: TOKEN_CONFIG.refreshTokenTTL });
+
+    revokeSession(record.sessionId, reason);
+}
+
+/**
+ * Rotate a refresh token: the presented token is spent and a new one issued
+ * A spent token presented again has leaked, so its whole family and session
+ * are revoked and a security event raised.
+ * @param {string} token - Opaque refresh token
+ * @param {Object} options - Options
+ * @param {Object} [options.req] - HTTP request, checked against the bound device
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string, user: object}>}
+ */
+async function refreshToken(token, options = {}) {
+    if (typeof token !== 'string' || !token || token.length > TOKEN_CONFIG.maxRefreshTokenLength) {
+        throw new Error('Invalid refresh token');
+    }
+
+    const storage = getAuthStorage();
+    const hash = hashToken(token);
+    const record = await storage.get(keys.auth.refreshToken(hash));
+
+    if (!record) {
+        throw new Error('Invalid refresh token');
+    }
+
+    const family = await storage.get(keys.auth.family(record.familyId));
+    if (!family || family.revokedAt) {
+        throw new Error('Session has been revoked');
+    }
+
+    const auditOptions = {
+        actor: { id: record.wallet, type: 'user' },
+        ip: options.req?.ip || null,
+        userAgent: options.req?.headers?.['user-agent'] || null
+    };
+
+    // The first presentation wins, whichever instance it reaches
+    const claimed = await storage.acquireLock(
+        keys.auth.refreshClaim(hash),
+        SESSION_CONFIG.instanceId,
+        Math.max(record.expiresAt - Date.now(), 1)
+    );
+
+    if (!claimed) {
+        await revokeTokenFamily(record, 'refresh_token_reuse');
+        audit.logSecurity(audit.EVENT_TYPES.REFRESH_TOKEN_REUSED, {
+            sessionId: record.sessionId.slice(0, 8) + '...',
+            issuedAt: record.issuedAt
+        }, { ...auditOptions, severity: audit.SEVERITY.CRITICAL });
+        throw new Error('Refresh token reuse detected');
+    }
+
+    if (options.req && generateDeviceFingerprint(options.req) !== record.fingerprint) {
+        await revokeTokenFamily(record, 'device_mismatch');
+        audit.logSecurity(audit.EVENT_TYPES.SUSPICIOUS_ACTIVITY, {
+            reason: 'refresh_token_device_mismatch',
+            sessionId: record.sessionId.slice(0, 8) + '...'
+        }, auditOptions);
+        throw new Error('Refresh token used from another device');
+    }
+
+    if (!(await loadSession(record.sessionId))) {
+        throw new Error('Session has been revoked');
+    }
+    refreshSession(record.sessionId);
+
     // Get fresh balance
-    const { balance, isHolder } = await getTokenBalance(payload.wallet);
+    const { balance, isHolder } = await getTokenBalance(record.wallet);
 
     // Get XP from database (would be implemented)
-    const xp = 0; // await db.getUserXP(payload.wallet);
+    const xp = 0; // await db.getUserXP(record.wallet);
     const tier = calculateTier(xp);
 
-    const newPayload = {
-        wallet: payload.wallet,
+    const user = {
+        wallet: record.wallet,
         balance,
         isHolder,
         tier: tier.name,
         tierIndex: tier.index
     };
 
-    const newToken = jwt.sign(newPayload, JWT_SECRET, { algorithm: 'HS256', expiresIn: JWT_EXPIRY });
-
     return {
-        token: newToken,
-        user: newPayload
+        token: signAccessToken(user, record.sessionId),
+        refreshToken: await issueRefreshToken(record),
+        sessionId: record.sessionId,
+        user
     };
 }
 
@@ -314,14 +782,14 @@ function extractToken(req) {
  * Express middleware for JWT authentication
  * Supports both httpOnly cookie and Authorization header
  */
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
     const token = extractToken(req);
 
     if (!token) {
         return res.status(401).json({ error: 'No token provided' });
     }
 
-    const { valid, payload, error } = verifyToken(token);
+    const { valid, payload, error } = await verifyAccessToken(token);
 
     if (!valid) {
         return res.status(401).json({ error });
@@ -335,11 +803,11 @@ function authMiddleware(req, res, next) {
  * Optional auth middleware (doesn't fail if no token)
  * Supports both httpOnly cookie and Authorization header
  */
-function optionalAuthMiddleware(req, res, next) {
+async function optionalAuthMiddleware(req, res, next) {
     const token = extractToken(req);
 
     if (token) {
-        const { valid, payload } = verifyToken(token);
+        const { valid, payload } = await verifyAccessToken(token);
 
         if (valid) {
             req.user = payload;
@@ -357,9 +825,9 @@ async function cleanupExpiredChallenges() {
     challengeMutex = challengeMutex.then(() => {
         const now = Date.now();
         let cleaned = 0;
-        for (const [wallet, data] of challenges.entries()) {
+        for (const [nonce, data] of challenges.entries()) {
             if (now > data.expiresAt) {
-                challenges.delete(wallet);
+                forgetChallenge(nonce);
                 cleaned++;
             }
         }
@@ -375,13 +843,19 @@ async function cleanupExpiredChallenges() {
 module.exports = {
     generateChallenge,
     verifyAndAuthenticate,
+    formatSignInMessage,
+    parseSignInMessage,
     verifyToken,
+    verifyAccessToken,
     refreshToken,
     revokeToken,
     isTokenRevoked,
+    setStorage,
     calculateTier,
     extractToken,
     authMiddleware,
     optionalAuthMiddleware,
-    JWT_COOKIE_NAME
+    JWT_COOKIE_NAME,
+    SIWS_CONFIG,
+    TOKEN_CONFIG
 };
@@ -43,6 +43,7 @@ const BATCHING_CONFIG = {
   excludedPaths: [
     '/admin',
     '/auth/logout',
+    '/auth/refresh',
     '/batch', // Prevent nested batching
   ],
 };
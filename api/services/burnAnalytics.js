@@ -0,0 +1,319 @@
+/**
+ * ASDF API - Burn Analytics
+ *
+ * Burn history as time series, for the Hall of Flames charts:
+ * - Hour, day and week buckets pre-aggregated in Postgres (burn_series)
+ *   from the stored burns (burn indexer, webhook, app burns)
+ * - A minute job rebuilds only the buckets touched by burns written since
+ *   the last run (burns.indexed_at watermark)
+ * - Queries read buckets only, fill empty ones, and derive cumulative
+ *   burned supply, supply left and unique burners to date
+ * - Supply left counts down from the reconciled starting supply (on-chain
+ *   supply plus every indexed burn), so the series ends at the chain's supply
+ *
+ * Buckets start on UTC boundaries; weeks start on Monday.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Public data only: amounts and counts, no wallets
+ * - Bounded queries: at most maxPoints buckets per request
+ * - Bucket units are whitelisted, never taken from the request as SQL
+ * - One refresh at a time across instances (storage lock)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { getStorage, keys } = require('./storage');
+const { schedule, unschedule } = require('./scheduler');
+const postgres = require('./postgres');
+const { getReconciliation } = require('./burnIndexer');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const SERIES_CONFIG = {
+    // Bucket size and default range per interval
+    intervals: {
+        hour: { ms: HOUR, defaultSpan: 7 * DAY },
+        day: { ms: DAY, defaultSpan: 90 * DAY },
+        week: { ms: 7 * DAY, defaultSpan: 2 * 365 * DAY }
+    },
+
+    maxPoints: 2000,
+
+    // Starting supply until a supply reconciliation succeeds, and how long
+    // a reconciled one is reused
+    initialSupply: 1_000_000_000,
+    supplyTtl: 5 * 60 * 1000,
+
+    refreshCron: '* * * * *',
+
+    // A write committing late carries an older indexed_at: keep the
+    // watermark this far behind so it's picked up by the next refresh
+    watermarkLag: 60 * 1000,
+
+    lockTtl: 60 * 1000,
+
+    instanceId: crypto.randomUUID()
+};
+
+// ============================================
+// STATE
+// ============================================
+
+let refreshTaskId = null;
+let initialized = false;
+
+// Last reconciled starting supply: { value, at }
+let reconciledSupply = null;
+
+const stats = {
+    refreshes: 0,
+    queries: 0,
+    lastRefresh: null,
+    errors: 0
+};
+
+// ============================================
+// BUCKETS
+// ============================================
+
+/**
+ * Start of the bucket holding a time
+ * @param {number} time - Epoch ms
+ * @param {string} interval - 'hour' | 'day' | 'week'
+ * @returns {number} Epoch ms (UTC)
+ */
+function bucketStart(time, interval) {
+    if (interval === 'hour') return Math.floor(time / HOUR) * HOUR;
+
+    const day = Math.floor(time / DAY) * DAY;
+    if (interval === 'day') return day;
+
+    // Monday: getUTCDay() is 0 on Sunday
+    return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY;
+}
+
+/**
+ * Epoch ms from epoch ms or an ISO date
+ * @param {string|number} value
+ * @returns {number} NaN when invalid
+ */
+function parseTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value === '') return NaN;
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Burn time series
+ * @param {Object} [options]
+ * @param {string} [options.interval='day'] - 'hour' | 'day' | 'week'
+ * @param {string|number} [options.from] - ISO date or epoch ms (default: interval's span before to)
+ * @param {string|number} [options.to] - ISO date or epoch ms (default: now)
+ * @returns {Promise<Object>} { success, series } or { success: false, error }
+ */
+async function getSeries(options = {}) {
+    const interval = options.interval || 'day';
+    const config = SERIES_CONFIG.intervals[interval];
+    if (!config) {
+        return { success: false, error: 'interval must be hour, day or week' };
+    }
+
+    const to = options.to !== undefined ? parseTime(options.to) : Date.now();
+    const from = options.from !== undefined ? parseTime(options.from) : to - config.defaultSpan;
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+        return { success: false, error: 'from and to must be dates with from <= to' };
+    }
+
+    const first = bucketStart(from, interval);
+    const last = bucketStart(to, interval);
+    if ((last - first) / config.ms + 1 > SERIES_CONFIG.maxPoints) {
+        return { success: false, error: `Too many ${interval} buckets: narrow the range or use a longer interval` };
+    }
+
+    if (!postgres.isAvailable()) {
+        return { success: false, error: 'Burn history is not available' };
+    }
+
+    const { buckets, before } = await postgres.getBurnSeries(interval, new Date(first), new Date(last));
+    const initialSupply = await getInitialSupply();
+    const byStart = new Map(buckets.map((bucket) => [bucket.bucket, bucket]));
+
+    let totalBurned = before.burned;
+    let uniqueBurners = before.burners;
+    const totals = { burned: 0, incinerated: 0, burns: 0, newBurners: 0 };
+    const points = [];
+
+    for (let t = first; t <= last; t += config.ms) {
+        const bucket = byStart.get(t);
+        const point = {
+            t,
+            burned: bucket?.burned || 0,
+            incinerated: bucket?.incinerated || 0,
+            burns: bucket?.burns || 0,
+            burners: bucket?.burners || 0,
+            newBurners: bucket?.newBurners || 0
+        };
+
+        totalBurned += point.burned;
+        uniqueBurners += point.newBurners;
+        point.totalBurned = totalBurned;
+        point.supply = initialSupply - totalBurned;
+        point.uniqueBurners = uniqueBurners;
+
+        totals.burned += point.burned;
+        totals.incinerated += point.incinerated;
+        totals.burns += point.burns;
+        totals.newBurners += point.newBurners;
+
+        points.push(point);
+    }
+
+    stats.queries++;
+
+    return {
+        success: true,
+        series: {
+            interval,
+            from: first,
+            to: last,
+            bucketMs: config.ms,
+            initialSupply,
+            points,
+            totals,
+            refreshedAt: stats.lastRefresh
+        }
+    };
+}
+
+/**
+ * Supply before the first burn, from the burn indexer's supply reconciliation:
+ * current on-chain supply plus the indexed burns (the same burns the buckets sum)
+ * Keeps the last reconciled value while the token supply is unavailable.
+ * @returns {Promise<number>}
+ */
+async function getInitialSupply() {
+    if (reconciledSupply && Date.now() - reconciledSupply.at < SERIES_CONFIG.supplyTtl) {
+        return reconciledSupply.value;
+    }
+
+    const reconciliation = await getReconciliation();
+    if (reconciliation.success) {
+        const { supply, indexed } = reconciliation.report;
+        reconciledSupply = {
+            value: Math.round((supply.current + indexed.burned) * 1e6) / 1e6,
+            at: Date.now()
+        };
+    }
+
+    return reconciledSupply?.value ?? SERIES_CONFIG.initialSupply;
+}
+
+// ============================================
+// REFRESH
+// ============================================
+
+/**
+ * Rebuild the buckets touched by burns written since the last refresh
+ * @returns {Promise<{refreshed: boolean, since?: number}>}
+ */
+async function refreshSeries() {
+    if (!postgres.isAvailable()) return { refreshed: false };
+
+    const storage = getStorage();
+    const lock = keys.burnAnalytics.lock;
+    if (!(await storage.acquireLock(lock, SERIES_CONFIG.instanceId, SERIES_CONFIG.lockTtl))) {
+        return { refreshed: false };
+    }
+
+    try {
+        const watermark = await storage.get(keys.burnAnalytics.watermark);
+        const { since, mark } = await postgres.getBurnChanges(watermark ? new Date(watermark) : null);
+        if (!since) return { refreshed: false };
+
+        await postgres.refreshBurnSeries(since);
+        await storage.set(
+            keys.burnAnalytics.watermark,
+            Math.min(mark.getTime(), Date.now() - SERIES_CONFIG.watermarkLag)
+        );
+
+        stats.refreshes++;
+        stats.lastRefresh = Date.now();
+        return { refreshed: true, since: since.getTime() };
+    } catch (error) {
+        stats.errors++;
+        console.error('[BurnAnalytics] Refresh failed:', error.message);
+        return { refreshed: false };
+    } finally {
+        await storage.releaseLock(lock, SERIES_CONFIG.instanceId);
+    }
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Schedule the minute refresh
+ */
+function initialize() {
+    if (initialized) return;
+
+    ({ taskId: refreshTaskId } = schedule('burn-series', SERIES_CONFIG.refreshCron, () => refreshSeries(), {
+        timezone: 'UTC',
+        catchUp: 'run-once'
+    }));
+
+    initialized = true;
+}
+
+/**
+ * Stop refreshing on this instance
+ */
+function shutdown() {
+    if (refreshTaskId) {
+        unschedule(refreshTaskId);
+        refreshTaskId = null;
+    }
+    initialized = false;
+}
+
+/**
+ * Get analytics statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return { ...stats, initialized };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Queries
+    getSeries,
+    bucketStart,
+
+    // Refresh
+    refreshSeries,
+
+    // Lifecycle
+    initialize,
+    shutdown,
+    getStats,
+
+    // Constants
+    SERIES_CONFIG
+};
@@ -0,0 +1,650 @@
+/**
+ * ASDF API - Burn Indexer
+ *
+ * Durable history of every ASDF burn, from genesis:
+ * - Backfill walks the mint's signature history newest to oldest
+ *   (getSignaturesForAddress pages), parses each page with the Enhanced
+ *   Transactions API and writes the burns to the Postgres burns table
+ * - One page per queue job; the cursor (last signature walked) is saved after
+ *   every page, so a paused, failed or interrupted run resumes where it stopped
+ * - Once caught up, the Helius webhook feeds new burns in (ingest)
+ * - A new backfill after a completed one only walks down to the previous head,
+ *   filling whatever the webhook missed
+ * - Re-index walks a slot range again and overwrites what it finds
+ * - Reconciliation compares indexed totals with the burned supply
+ *
+ * Two kinds of burn are indexed: 'burn' (SPL burn, reduces supply) and
+ * 'incinerator' (transfer to the incinerator, supply unchanged). Only the
+ * first is expected to match getTokenSupply.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Writes are idempotent per signature; leaderboard rows are rebuilt from
+ *   the burns table, so replays and re-indexes never double count
+ * - The cursor only moves after a page is written
+ * - One run at a time, pages processed under a storage lock
+ * - A transaction that can't be parsed stops the run instead of being skipped
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { getStorage, keys } = require('./storage');
+const { registerHandler, enqueue, PRIORITY } = require('./queue');
+const postgres = require('./postgres');
+const { parseTransaction, parseTransactions, callRpcMethod } = require('./heliusEnhanced');
+const { getTokenSupply, ASDF_TOKEN_MINT } = require('./helius');
+const { logAudit } = require('./leaderboard');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const INDEXER_CONFIG = {
+    mint: ASDF_TOKEN_MINT,
+
+    // getSignaturesForAddress returns at most 1000 per call
+    pageSize: 1000,
+
+    // Enhanced Transactions API parses at most 100 per call
+    parseBatch: 100,
+
+    // Pause between pages (Helius rate limits)
+    pageDelay: 500,
+    pageTimeout: 120000,
+
+    // Consecutive failures on one page before the run is marked failed
+    maxPageErrors: 5,
+
+    lockTtl: 150000,
+
+    // Reconciliation slack, in tokens (rounding of decimal amounts)
+    supplyTolerance: 1,
+
+    instanceId: crypto.randomUUID()
+};
+
+const RUN_MODES = {
+    BACKFILL: 'backfill',
+    REINDEX: 'reindex'
+};
+
+const RUN_STATUS = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const BURN_KINDS = {
+    BURN: 'burn',
+    INCINERATOR: 'incinerator'
+};
+
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+const JOB_TYPE = 'burn_index_page';
+
+// ============================================
+// STATE
+// ============================================
+
+let initialized = false;
+
+const stats = {
+    pages: 0,
+    signatures: 0,
+    indexed: 0,
+    live: 0,
+    lastLiveSlot: null
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Shorten a wallet for logs
+ * @param {string} wallet
+ * @returns {string}
+ */
+function maskWallet(wallet) {
+    return wallet.slice(0, 8) + '...';
+}
+
+/**
+ * Run fn while holding the indexer lock
+ * @returns {Promise<*>} fn's result, or null when another instance holds it
+ */
+async function withLock(fn) {
+    const storage = getStorage();
+    if (!(await storage.acquireLock(keys.burnIndexer.lock, INDEXER_CONFIG.instanceId, INDEXER_CONFIG.lockTtl))) {
+        return null;
+    }
+    try {
+        return await fn();
+    } finally {
+        await storage.releaseLock(keys.burnIndexer.lock, INDEXER_CONFIG.instanceId);
+    }
+}
+
+/**
+ * Stored run of a mode (backfill / reindex)
+ * @returns {Promise<Object|null>}
+ */
+async function loadRun(mode) {
+    return getStorage().get(keys.burnIndexer.run(mode));
+}
+
+/**
+ * Store a run, cursor included
+ */
+async function saveRun(run) {
+    run.updatedAt = Date.now();
+    await getStorage().set(keys.burnIndexer.run(run.mode), run);
+}
+
+/**
+ * The run in progress, if any
+ * @returns {Promise<Object|null>}
+ */
+async function getRunningRun() {
+    for (const mode of Object.values(RUN_MODES)) {
+        const run = await loadRun(mode);
+        if (run?.status === RUN_STATUS.RUNNING) return run;
+    }
+    return null;
+}
+
+/**
+ * Queue the run's next page
+ */
+async function enqueuePage(run, delay = 0) {
+    await enqueue(JOB_TYPE, { mode: run.mode, runId: run.id, page: run.pages }, {
+        priority: PRIORITY.LOW,
+        delay,
+        dedupeKey: `burn-index:${run.id}:${run.pages}`
+    });
+}
+
+/**
+ * New run, cursor at the top of history
+ */
+function createRun(mode, fields, actor) {
+    return {
+        id: `${mode}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+        mode,
+        status: RUN_STATUS.RUNNING,
+        before: null,
+        until: null,
+        head: null,
+        fromSlot: null,
+        toSlot: null,
+        pages: 0,
+        signatures: 0,
+        burns: 0,
+        lastSlot: null,
+        errors: 0,
+        lastError: null,
+        startedBy: actor,
+        startedAt: Date.now(),
+        completedAt: null,
+        ...fields
+    };
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Burn carried by a parsed (Enhanced API / webhook) transaction
+ * Several burns in one transaction are summed: the table keeps one row per
+ * signature.
+ * @param {Object} tx - Enhanced transaction
+ * @returns {{signature, wallet, amount, slot, burnedAt, kind}|null}
+ */
+function extractBurn(tx) {
+    if (!tx?.signature || tx.transactionError) return null;
+
+    const type = String(tx.type || '').toUpperCase();
+    let burn = null;
+
+    for (const transfer of tx.tokenTransfers || []) {
+        if (transfer.mint !== INDEXER_CONFIG.mint) continue;
+
+        const to = transfer.toUserAccount || transfer.toTokenAccount;
+        let kind = null;
+        if (to === INCINERATOR) {
+            kind = BURN_KINDS.INCINERATOR;
+        } else if (!to || (type === 'BURN' && transfer.tokenAmount < 0)) {
+            // SPL burn: tokens leave with no destination
+            kind = BURN_KINDS.BURN;
+        }
+        if (!kind) continue;
+
+        const amount = Math.abs(Number(transfer.tokenAmount) || 0);
+        if (!burn) {
+            burn = {
+                signature: tx.signature,
+                wallet: transfer.fromUserAccount || tx.feePayer,
+                amount: 0,
+                slot: tx.slot ?? null,
+                burnedAt: (tx.timestamp || 0) * 1000 || Date.now(),
+                kind
+            };
+        }
+        burn.amount += amount;
+    }
+
+    return burn && burn.wallet && burn.amount > 0 ? burn : null;
+}
+
+/**
+ * Parse signatures and keep their burns
+ * @param {string[]} signatures
+ * @returns {Promise<Object[]>}
+ * @throws when a transaction can't be parsed (the page is retried)
+ */
+async function parseBurns(signatures) {
+    const burns = [];
+
+    for (let i = 0; i < signatures.length; i += INDEXER_CONFIG.parseBatch) {
+        const batch = signatures.slice(i, i + INDEXER_CONFIG.parseBatch);
+        const parsed = new Map(
+            (await parseTransactions(batch)).filter((tx) => tx?.signature).map((tx) => [tx.signature, tx])
+        );
+
+        for (const signature of batch) {
+            // A failed batch comes back partial: fetch the rest one by one
+            const tx = parsed.get(signature) || await parseTransaction(signature);
+            if (!tx) {
+                throw new Error(`Could not parse transaction ${signature.slice(0, 16)}...`);
+            }
+
+            const burn = extractBurn(tx);
+            if (burn) burns.push(burn);
+        }
+    }
+
+    return burns;
+}
+
+// ============================================
+// PAGES
+// ============================================
+
+/**
+ * Walk one page of signature history and write its burns
+ * @param {Object} run
+ * @returns {Promise<boolean>} True when the run is done
+ */
+async function indexNextPage(run) {
+    const options = { limit: INDEXER_CONFIG.pageSize };
+    if (run.before) options.before = run.before;
+    if (run.until) options.until = run.until;
+
+    const signatures = await callRpcMethod('getSignaturesForAddress', [INDEXER_CONFIG.mint, options]) || [];
+    if (signatures.length === 0) return true;
+
+    const inRange = (slot) =>
+        (run.fromSlot === null || slot >= run.fromSlot) && (run.toSlot === null || slot <= run.toSlot);
+    const candidates = signatures.filter((entry) => !entry.err && inRange(entry.slot));
+
+    const burns = await parseBurns(candidates.map((entry) => entry.signature));
+    await postgres.upsertBurns(burns, 'indexer');
+
+    const last = signatures[signatures.length - 1];
+    run.head = run.head || signatures[0].signature;
+    run.before = last.signature;
+    run.lastSlot = last.slot;
+    run.pages++;
+    run.signatures += signatures.length;
+    run.burns += burns.length;
+
+    stats.pages++;
+    stats.signatures += signatures.length;
+    stats.indexed += burns.length;
+
+    return signatures.length < INDEXER_CONFIG.pageSize ||
+        (run.fromSlot !== null && last.slot < run.fromSlot);
+}
+
+/**
+ * Mark a run completed
+ */
+async function completeRun(run) {
+    run.status = RUN_STATUS.COMPLETED;
+    run.completedAt = Date.now();
+    await saveRun(run);
+
+    // Later backfills only need to walk down to here
+    if (run.mode === RUN_MODES.BACKFILL && run.head) {
+        await getStorage().set(keys.burnIndexer.head, run.head);
+    }
+
+    await postgres.rankLeaderboard().catch((error) => {
+        console.error('[BurnIndexer] Ranking failed:', error.message);
+    });
+
+    logAudit('burn_index_completed', {
+        runId: run.id,
+        mode: run.mode,
+        pages: run.pages,
+        burns: run.burns
+    });
+}
+
+/**
+ * Queue handler: index one page, then queue the next
+ * @param {Object} data - { mode, runId, page }
+ * @returns {Promise<Object>}
+ */
+async function processPage(data) {
+    const result = await withLock(async () => {
+        const run = await loadRun(data.mode);
+
+        // Paused, replaced, or a page already done by an earlier attempt
+        if (!run || run.id !== data.runId || run.status !== RUN_STATUS.RUNNING || run.pages !== data.page) {
+            return { skipped: true };
+        }
+
+        try {
+            const done = await indexNextPage(run);
+            run.errors = 0;
+            run.lastError = null;
+
+            if (done) {
+                await completeRun(run);
+                return { completed: true, pages: run.pages };
+            }
+
+            await saveRun(run);
+            await enqueuePage(run, INDEXER_CONFIG.pageDelay);
+            return { page: data.page, burns: run.burns };
+        } catch (error) {
+            run.errors++;
+            run.lastError = error.message;
+
+            if (run.errors >= INDEXER_CONFIG.maxPageErrors) {
+                run.status = RUN_STATUS.FAILED;
+                await saveRun(run);
+                logAudit('burn_index_failed', { runId: run.id, page: data.page, error: error.message });
+                return { failed: true, error: error.message };
+            }
+
+            await saveRun(run);
+            throw error;
+        }
+    });
+
+    if (!result) {
+        // Another instance is changing the run: try again shortly
+        throw new Error('Burn indexer is busy');
+    }
+    return result;
+}
+
+// ============================================
+// CONTROL
+// ============================================
+
+/**
+ * Start (or resume) the backfill
+ * Resumes a paused or failed backfill from its cursor. Otherwise starts a new
+ * one, from genesis the first time and down to the last completed head after.
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function startBackfill(actor) {
+    if (!postgres.isAvailable()) {
+        return { success: false, error: 'Postgres is not configured' };
+    }
+
+    const result = await withLock(async () => {
+        if (await getRunningRun()) {
+            return { success: false, error: 'Indexer is already running' };
+        }
+
+        let run = await loadRun(RUN_MODES.BACKFILL);
+        const resumed = run?.status === RUN_STATUS.PAUSED || run?.status === RUN_STATUS.FAILED;
+
+        if (resumed) {
+            run.status = RUN_STATUS.RUNNING;
+            run.errors = 0;
+            run.lastError = null;
+        } else {
+            const until = await getStorage().get(keys.burnIndexer.head);
+            run = createRun(RUN_MODES.BACKFILL, { until: until || null }, actor);
+        }
+
+        await saveRun(run);
+        await enqueuePage(run);
+
+        logAudit(resumed ? 'burn_index_resumed' : 'burn_index_started', {
+            runId: run.id,
+            mode: run.mode,
+            admin: maskWallet(actor)
+        });
+
+        return { success: true, resumed, run };
+    });
+
+    return result || { success: false, error: 'Indexer is busy, try again' };
+}
+
+/**
+ * Re-index a slot range (inclusive): walk it again and overwrite its burns
+ * Starts just above the range when an indexed burn gives a place to start.
+ * @param {Object} range - { fromSlot, toSlot }
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function reindexRange(range, actor) {
+    const fromSlot = Number(range?.fromSlot);
+    const toSlot = Number(range?.toSlot);
+
+    if (!Number.isSafeInteger(fromSlot) || !Number.isSafeInteger(toSlot) || fromSlot < 0 || toSlot < fromSlot) {
+        return { success: false, error: 'fromSlot and toSlot must be slots with fromSlot <= toSlot' };
+    }
+    if (!postgres.isAvailable()) {
+        return { success: false, error: 'Postgres is not configured' };
+    }
+
+    const result = await withLock(async () => {
+        if (await getRunningRun()) {
+            return { success: false, error: 'Indexer is already running' };
+        }
+
+        const before = await postgres.getBurnSignatureAbove(toSlot);
+        const run = createRun(RUN_MODES.REINDEX, { fromSlot, toSlot, before }, actor);
+
+        await saveRun(run);
+        await enqueuePage(run);
+
+        logAudit('burn_index_started', {
+            runId: run.id,
+            mode: run.mode,
+            fromSlot,
+            toSlot,
+            admin: maskWallet(actor)
+        });
+
+        return { success: true, run };
+    });
+
+    return result || { success: false, error: 'Indexer is busy, try again' };
+}
+
+/**
+ * Pause the running run; its cursor is kept
+ * The page being indexed, if any, finishes first.
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function pause(actor) {
+    const result = await withLock(async () => {
+        const run = await getRunningRun();
+        if (!run) {
+            return { success: false, error: 'Indexer is not running' };
+        }
+
+        run.status = RUN_STATUS.PAUSED;
+        await saveRun(run);
+
+        logAudit('burn_index_paused', { runId: run.id, mode: run.mode, admin: maskWallet(actor) });
+        return { success: true, run };
+    });
+
+    return result || { success: false, error: 'Indexer is busy, try again' };
+}
+
+// ============================================
+// LIVE (WEBHOOK)
+// ============================================
+
+/**
+ * Index burns delivered by the Helius webhook
+ * @param {Object[]} events - Enhanced transactions
+ * @returns {Promise<{written: number, wallets: number}>}
+ */
+async function ingest(events) {
+    if (!postgres.isAvailable() || !Array.isArray(events)) {
+        return { written: 0, wallets: 0 };
+    }
+
+    const burns = events.map(extractBurn).filter(Boolean);
+    const result = await postgres.upsertBurns(burns, 'webhook');
+
+    stats.live += burns.length;
+    for (const burn of burns) {
+        if (burn.slot !== null && burn.slot > (stats.lastLiveSlot ?? -1)) {
+            stats.lastLiveSlot = burn.slot;
+        }
+    }
+
+    return result;
+}
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Runs, backfill head and counters
+ * @returns {Promise<Object>}
+ */
+async function getStatus() {
+    return {
+        available: postgres.isAvailable(),
+        backfill: await loadRun(RUN_MODES.BACKFILL),
+        reindex: await loadRun(RUN_MODES.REINDEX),
+        head: await getStorage().get(keys.burnIndexer.head),
+        stats: getStats()
+    };
+}
+
+/**
+ * Compare indexed burns with the burned supply (initial - current)
+ * @returns {Promise<Object>}
+ */
+async function getReconciliation() {
+    if (!postgres.isAvailable()) {
+        return { success: false, error: 'Postgres is not configured' };
+    }
+
+    let supply;
+    try {
+        supply = await getTokenSupply();
+    } catch (error) {
+        console.error('[BurnIndexer] Token supply unavailable:', error.message);
+        return { success: false, error: 'Token supply is unavailable' };
+    }
+
+    const totals = await postgres.getBurnTotals();
+    const byKind = Object.fromEntries(totals.map((row) => [row.kind, row]));
+    const indexed = byKind[BURN_KINDS.BURN]?.total || 0;
+    const difference = Math.round((supply.burned - indexed) * 1e6) / 1e6;
+
+    let status = 'balanced';
+    if (difference > INDEXER_CONFIG.supplyTolerance) status = 'missing_burns';
+    else if (difference < -INDEXER_CONFIG.supplyTolerance) status = 'excess_burns';
+
+    const backfill = await loadRun(RUN_MODES.BACKFILL);
+
+    return {
+        success: true,
+        report: {
+            status,
+            supply: { current: supply.current, burned: supply.burned },
+            indexed: {
+                burned: indexed,
+                incinerated: byKind[BURN_KINDS.INCINERATOR]?.total || 0,
+                burns: totals.reduce((sum, row) => sum + row.burns, 0),
+                byKind: totals
+            },
+            difference,
+            tolerance: INDEXER_CONFIG.supplyTolerance,
+            backfill: backfill ? { status: backfill.status, lastSlot: backfill.lastSlot } : null,
+            generatedAt: Date.now()
+        }
+    };
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Register the page handler
+ * A running run carries on from its queued page after a restart (durable
+ * queue driver); with the memory driver, pause and start it again.
+ */
+function initialize() {
+    if (initialized) return;
+
+    registerHandler(JOB_TYPE, processPage, {
+        timeout: INDEXER_CONFIG.pageTimeout,
+        maxRetries: INDEXER_CONFIG.maxPageErrors
+    });
+
+    initialized = true;
+}
+
+/**
+ * Get indexer statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return { ...stats, initialized };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Control
+    startBackfill,
+    reindexRange,
+    pause,
+    processPage,
+
+    // Live
+    ingest,
+    extractBurn,
+
+    // Reporting
+    getStatus,
+    getReconciliation,
+
+    // Lifecycle
+    initialize,
+    getStats,
+
+    // Constants
+    RUN_MODES,
+    RUN_STATUS,
+    BURN_KINDS,
+    INDEXER_CONFIG
+};
@@ -15,6 +15,8 @@
 
 'use strict';
 
+const { defineRepository } = require('./database');
+
 // ============================================
 // FIBONACCI CONSTANTS
 // ============================================
@@ -163,7 +165,7 @@ const CHALLENGE_TEMPLATES = [
 ];
 
 // ============================================
-// IN-MEMORY STORAGE (Replace with DB later)
+// STORAGE (cached in memory, written through to the repository)
 // ============================================
 
 // Active challenges per day
@@ -175,6 +177,28 @@ const userProgress = new Map(); // wallet -> { date, challenges: { id: progress
 // Claimed rewards
 const claimedRewards = new Map(); // wallet -> Set(challengeId)
 
+// Stored forms (activity since startup was already written back, so it wins)
+const progressRepository = defineRepository('challengeProgress', {
+  hydrate(entries) {
+    for (const [wallet, progress] of entries) {
+      if (!userProgress.has(wallet)) {
+        userProgress.set(wallet, progress);
+      }
+    }
+  }
+});
+
+// wallet -> { claimed: [challengeId] }
+const claimRepository = defineRepository('challengeClaims', {
+  hydrate(entries) {
+    for (const [wallet, { claimed }] of entries) {
+      if (!claimedRewards.has(wallet)) {
+        claimedRewards.set(wallet, new Set(claimed));
+      }
+    }
+  }
+});
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -363,6 +387,7 @@ function updateProgress(wallet, gameResult) {
   });
 
   userProgress.set(wallet, progress);
+  progressRepository.persist(wallet, progress);
 
   return newlyCompleted;
 }
@@ -395,6 +420,7 @@ function claimReward(wallet, challengeId) {
   // Mark as claimed
   claimed.add(challengeId);
   claimedRewards.set(wallet, claimed);
+  claimRepository.persist(wallet, { claimed: Array.from(claimed) });
 
   return {
     success: true,
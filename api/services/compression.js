@@ -55,7 +55,8 @@ const COMPRESSION_CONFIG = {
     excludedPaths: [
         '/health',
         '/livez',
-        '/readyz'
+        '/readyz',
+        '/api/realtime/stream'  // SSE: written as it happens
     ],
 
     // Enable ETag generation
@@ -2,13 +2,14 @@
  * ASDF API - Dynamic Configuration Service
  *
  * Runtime configuration management:
- * - Environment-based defaults
- * - Runtime updates without restart
- * - Configuration validation
- * - Change notifications
+ * - Layered resolution: defaults < environment < file < runtime override
+ * - Runtime updates without restart, persisted through the storage adapter
+ * - Configuration validation, with dry runs
+ * - Change notifications on every instance (storage pub/sub)
+ * - Rollback to any history entry
  *
  * Security by Design:
- * - Sensitive values encrypted at rest
+ * - Sensitive values encrypted at rest (shared CONFIG_ENCRYPTION_KEY across instances)
  * - Access control for updates
  * - Audit logging for changes
  */
@@ -16,6 +17,8 @@
 'use strict';
 
 const crypto = require('crypto');
+const fs = require('fs');
+const { getStorage, keys } = require('./storage');
 // Import from audit.js to avoid circular dependency with leaderboard
 const audit = require('./audit');
 const logAudit = (action, details) => audit.logAdmin(`config.${action}`, details);
@@ -42,6 +45,12 @@ const CONFIG_CONFIG = {
   // Encryption for sensitive values (required in production)
   encryptionKey: configEncryptionKey || crypto.randomBytes(32).toString('hex'),
 
+  // JSON file layer (flat "a.b" keys or nested objects)
+  file: process.env.CONFIG_FILE || null,
+
+  // Identifies this instance's own pub/sub messages
+  instanceId: crypto.randomUUID(),
+
   // History
   historySize: 100,
 
@@ -49,11 +58,14 @@ const CONFIG_CONFIG = {
   strictMode: true,
 };
 
+// Resolution order, lowest precedence first
+const LAYERS = ['default', 'environment', 'file', 'runtime'];
+
 // ============================================
 // STORAGE
 // ============================================
 
-// Configuration store
+// Configuration store: key -> { [layer]: entry }
 const configStore = new Map();
 
 // Configuration schemas
@@ -65,12 +77,25 @@ const listeners = new Map();
 // Change history
 const changeHistory = [];
 
+// Storage adapter override (tests, or a dedicated Redis)
+let storageOverride = null;
+
+// Pub/sub unsubscribe, set once initialized
+let unsubscribeChanges = null;
+
+// Persistence writes, applied in order
+let writeQueue = Promise.resolve();
+
 // Stats
 const configStats = {
   gets: 0,
   sets: 0,
   deletes: 0,
   validationErrors: 0,
+  rollbacks: 0,
+  persisted: 0,
+  persistErrors: 0,
+  remoteChanges: 0,
 };
 
 // ============================================
@@ -98,16 +123,113 @@ function defineSchema(key, schema) {
     environments: schema.environments || ['development', 'staging', 'production'],
   });
 
-  // Set default value if not already set
-  if (schema.default !== undefined && !configStore.has(key)) {
-    configStore.set(key, {
+  // Defaults are the lowest layer, whatever else is already set
+  if (schema.default !== undefined) {
+    writeLayer(key, 'default', {
       value: schema.default,
+      encrypted: false,
       updatedAt: Date.now(),
       source: 'default',
     });
   }
 }
 
+// ============================================
+// LAYERS
+// ============================================
+
+/**
+ * Layer a change source writes to
+ * Anything that is not a static source (admin, system, ...) is a runtime override.
+ * @param {string} source - Change source
+ * @returns {string}
+ */
+function layerForSource(source) {
+  return LAYERS.includes(source) ? source : 'runtime';
+}
+
+/**
+ * Highest-precedence entry for a key
+ * @param {string} key - Config key
+ * @param {string} [below] - Only consider layers under this one
+ * @returns {Object|null} Entry with its layer
+ */
+function resolveEntry(key, below = null) {
+  const layers = configStore.get(key);
+  if (!layers) return null;
+
+  const top = below ? LAYERS.indexOf(below) - 1 : LAYERS.length - 1;
+  for (let i = top; i >= 0; i--) {
+    const entry = layers[LAYERS[i]];
+    if (entry) {
+      return { ...entry, layer: LAYERS[i] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Plain value of an entry
+ * @param {Object|null} entry - Stored entry
+ * @returns {any}
+ */
+function readEntry(entry) {
+  if (!entry) return undefined;
+  return entry.encrypted ? decrypt(entry.value) : entry.value;
+}
+
+/**
+ * Write (or clear) one layer of a key
+ * @param {string} key - Config key
+ * @param {string} layer - Layer name
+ * @param {Object|null} entry - Entry, or null to clear the layer
+ * @returns {{before: Object|null, after: Object|null, visible: boolean}}
+ */
+function writeLayer(key, layer, entry) {
+  const before = resolveEntry(key);
+  const layers = configStore.get(key) || {};
+
+  if (entry) {
+    layers[layer] = entry;
+  } else {
+    delete layers[layer];
+  }
+
+  if (Object.keys(layers).length > 0) {
+    configStore.set(key, layers);
+  } else {
+    configStore.delete(key);
+  }
+
+  const after = resolveEntry(key);
+  return { before, after, visible: before?.layer === layer || after?.layer === layer };
+}
+
+/**
+ * Write a layer and notify listeners if the resolved value moved
+ * @param {string} key - Config key
+ * @param {string} layer - Layer name
+ * @param {Object|null} entry - Entry, or null to clear the layer
+ */
+function applyLayer(key, layer, entry) {
+  const { before, after, visible } = writeLayer(key, layer, entry);
+
+  if (visible) {
+    notifyListeners(key, readEntry(after), readEntry(before));
+  }
+}
+
+/**
+ * Hide sensitive values in history and dry-run reports
+ * @param {string} key - Config key
+ * @param {any} value - Plain value
+ * @returns {any}
+ */
+function maskValue(key, value) {
+  return schemas.get(key)?.sensitive && value !== undefined ? '[SENSITIVE]' : value;
+}
+
 // ============================================
 // CORE OPERATIONS
 // ============================================
@@ -121,34 +243,31 @@ function defineSchema(key, schema) {
 function get(key, defaultValue = undefined) {
   configStats.gets++;
 
-  const entry = configStore.get(key);
+  const entry = resolveEntry(key);
   if (!entry) {
-    // Check schema for default
-    const schema = schemas.get(key);
-    if (schema?.default !== undefined) {
-      return schema.default;
-    }
     return defaultValue;
   }
 
-  // Decrypt if sensitive
-  const schema = schemas.get(key);
-  if (schema?.sensitive && entry.encrypted) {
-    return decrypt(entry.value);
-  }
-
-  return entry.value;
+  // Decrypts sensitive values
+  return readEntry(entry);
 }
 
 /**
  * Set configuration value
+ * The source picks the layer: 'default', 'environment' and 'file' write those
+ * layers, anything else is a runtime override that is persisted and sent to
+ * every instance.
  * @param {string} key - Config key
  * @param {any} value - Value to set
  * @param {Object} options - Set options
- * @returns {{success: boolean, error?: string}}
+ * @param {string} [options.source] - Change source
+ * @param {string} [options.updatedBy] - Who made the change
+ * @param {boolean} [options.dryRun] - Validate and report without applying
+ * @returns {{success: boolean, error?: string, dryRun?: boolean}}
  */
 function set(key, value, options = {}) {
   const schema = schemas.get(key);
+  const layer = layerForSource(options.source);
 
   // Check if readonly
   if (schema?.readonly && !options.force) {
@@ -167,8 +286,22 @@ function set(key, value, options = {}) {
     return { success: false, error: validation.error };
   }
 
-  const oldEntry = configStore.get(key);
-  const oldValue = oldEntry?.value;
+  const current = resolveEntry(key);
+  const oldValue = readEntry(current);
+
+  // Higher layers (e.g. a runtime override over a file value) still win
+  const effective = !current || LAYERS.indexOf(layer) >= LAYERS.indexOf(current.layer);
+
+  if (options.dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      layer,
+      effective,
+      oldValue: maskValue(key, oldValue),
+      newValue: maskValue(key, value),
+    };
+  }
 
   // Encrypt if sensitive
   let storedValue = value;
@@ -186,41 +319,77 @@ function set(key, value, options = {}) {
     source: options.source || 'runtime',
   };
 
-  configStore.set(key, entry);
   configStats.sets++;
 
   // Record change
-  recordChange(key, oldValue, value, options);
+  const change = recordChange(key, oldValue, value, { ...options, layer });
 
-  // Notify listeners
-  notifyListeners(key, value, oldValue);
+  // Apply and notify listeners
+  applyLayer(key, layer, entry);
+
+  if (layer === 'runtime') {
+    persistChange(key, entry, change);
+  }
 
   return { success: true };
 }
 
 /**
- * Delete configuration value
+ * Remove a key's runtime override, falling back to the layers below
  * @param {string} key - Config key
- * @returns {boolean}
+ * @param {Object} options - Options (updatedBy, dryRun, action)
+ * @returns {{success: boolean, error?: string, dryRun?: boolean}}
  */
-function del(key) {
+function removeOverride(key, options = {}) {
   const schema = schemas.get(key);
 
-  if (schema?.readonly) {
-    return false;
+  if (!configStore.get(key)?.runtime) {
+    return { success: false, error: 'No runtime override' };
+  }
+
+  if (schema?.readonly && !options.force) {
+    return { success: false, error: 'Configuration is readonly' };
   }
 
-  if (schema?.required) {
-    return false;
+  const fallback = resolveEntry(key, 'runtime');
+  if (schema?.required && !fallback) {
+    return { success: false, error: 'Value is required' };
   }
 
-  const existed = configStore.delete(key);
-  if (existed) {
-    configStats.deletes++;
-    recordChange(key, get(key), undefined, { action: 'delete' });
+  const oldValue = readEntry(resolveEntry(key));
+
+  if (options.dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      layer: 'runtime',
+      effective: true,
+      oldValue: maskValue(key, oldValue),
+      newValue: maskValue(key, readEntry(fallback)),
+    };
   }
 
-  return existed;
+  configStats.deletes++;
+
+  const change = recordChange(key, oldValue, undefined, {
+    ...options,
+    action: options.action || 'delete',
+    layer: 'runtime',
+  });
+
+  applyLayer(key, 'runtime', null);
+  persistChange(key, null, change);
+
+  return { success: true };
+}
+
+/**
+ * Delete configuration value (its runtime override)
+ * @param {string} key - Config key
+ * @returns {boolean}
+ */
+function del(key) {
+  return removeOverride(key).success;
 }
 
 /**
@@ -229,7 +398,7 @@ function del(key) {
  * @returns {boolean}
  */
 function has(key) {
-  return configStore.has(key) || schemas.get(key)?.default !== undefined;
+  return configStore.has(key);
 }
 
 /**
@@ -243,13 +412,14 @@ function getAll(options = {}) {
   const result = {};
   const regex = pattern ? new RegExp(pattern) : null;
 
-  for (const [key, entry] of configStore.entries()) {
+  for (const [key, layers] of configStore.entries()) {
     // Filter by pattern
     if (regex && !regex.test(key)) {
       continue;
     }
 
     const schema = schemas.get(key);
+    const entry = resolveEntry(key);
 
     // Skip sensitive unless requested
     if (schema?.sensitive && !includeSensitive) {
@@ -259,9 +429,11 @@ function getAll(options = {}) {
 
     if (includeMetadata) {
       result[key] = {
-        value: schema?.sensitive && entry.encrypted ? decrypt(entry.value) : entry.value,
+        value: readEntry(entry),
         updatedAt: entry.updatedAt,
         source: entry.source,
+        layer: entry.layer,
+        layers: LAYERS.filter(layer => layers[layer]),
         schema: schema
           ? {
               type: schema.type,
@@ -271,7 +443,7 @@ function getAll(options = {}) {
           : null,
       };
     } else {
-      result[key] = schema?.sensitive && entry.encrypted ? decrypt(entry.value) : entry.value;
+      result[key] = readEntry(entry);
     }
   }
 
@@ -333,6 +505,78 @@ function loadFromEnv(mapping) {
   }
 }
 
+/**
+ * Load (or reload) the file layer from a JSON file
+ * Keys missing from the file fall back to the layers below.
+ * @param {string} [filePath] - Defaults to CONFIG_FILE
+ * @returns {{loaded: number, errors: string[]}}
+ */
+function loadFromFile(filePath = CONFIG_CONFIG.file) {
+  if (!filePath) {
+    return { loaded: 0, errors: [] };
+  }
+
+  let contents;
+  try {
+    contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`[Config] Failed to read ${filePath}:`, error.message);
+    return { loaded: 0, errors: [error.message] };
+  }
+
+  const values = flattenFileConfig(contents);
+  const errors = [];
+  let loaded = 0;
+
+  // Drop file values that are no longer in the file
+  for (const [key, layers] of configStore.entries()) {
+    if (layers.file && !(key in values)) {
+      recordChange(key, readEntry(resolveEntry(key)), undefined, {
+        source: 'file',
+        action: 'delete',
+        layer: 'file',
+      });
+      applyLayer(key, 'file', null);
+    }
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    const result = set(key, value, { source: 'file' });
+    if (result.success) {
+      loaded++;
+    } else {
+      errors.push(`${key}: ${result.error}`);
+      console.warn(`[Config] Ignoring ${key} from ${filePath}:`, result.error);
+    }
+  }
+
+  return { loaded, errors };
+}
+
+/**
+ * Flatten nested file objects into dotted keys
+ * Objects stop being walked at a key with a schema (object-typed configs).
+ * @param {Object} contents - Parsed file
+ * @param {string} prefix - Key prefix
+ * @returns {Object} Dotted key -> value
+ */
+function flattenFileConfig(contents, prefix = '') {
+  const values = {};
+
+  for (const [name, value] of Object.entries(contents || {})) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const isObject = typeof value === 'object' && value !== null && !Array.isArray(value);
+
+    if (isObject && !schemas.has(key)) {
+      Object.assign(values, flattenFileConfig(value, key));
+    } else {
+      values[key] = value;
+    }
+  }
+
+  return values;
+}
+
 // ============================================
 // VALIDATION
 // ============================================
@@ -546,25 +790,48 @@ function decrypt(encrypted) {
 function recordChange(key, oldValue, newValue, options = {}) {
   const schema = schemas.get(key);
 
-  changeHistory.push({
+  const change = {
+    id: crypto.randomUUID(),
     key,
-    oldValue: schema?.sensitive ? '[SENSITIVE]' : oldValue,
-    newValue: schema?.sensitive ? '[SENSITIVE]' : newValue,
+    oldValue: maskValue(key, oldValue),
+    newValue: maskValue(key, newValue),
     timestamp: Date.now(),
     updatedBy: options.updatedBy || 'system',
     source: options.source || 'runtime',
+    layer: options.layer || layerForSource(options.source),
     action: options.action || 'update',
-  });
+  };
 
-  // Trim history
-  while (changeHistory.length > CONFIG_CONFIG.historySize) {
-    changeHistory.shift();
+  if (options.rollbackOf) {
+    change.rollbackOf = options.rollbackOf;
   }
 
+  // Sensitive values stay restorable, encrypted
+  if (schema?.sensitive && newValue !== undefined) {
+    change.sealed = encrypt(newValue);
+  }
+
+  pushHistory(change);
+
   logAudit('config_changed', {
     key,
     source: options.source || 'runtime',
   });
+
+  return change;
+}
+
+/**
+ * Add a change to the local history (own or from another instance)
+ * @param {Object} change - History entry
+ */
+function pushHistory(change) {
+  changeHistory.push(change);
+
+  // Trim history
+  while (changeHistory.length > CONFIG_CONFIG.historySize) {
+    changeHistory.shift();
+  }
 }
 
 /**
@@ -580,7 +847,187 @@ function getHistory(key = null, limit = 50) {
     history = history.filter(h => h.key === key);
   }
 
-  return history.slice(-limit).reverse();
+  return history
+    .slice(-limit)
+    .reverse()
+    .map(({ sealed: _sealed, ...change }) => change);
+}
+
+/**
+ * Restore the value a key had right after a history entry
+ * Entries that removed the runtime override remove it again.
+ * @param {string} key - Config key
+ * @param {string} historyId - History entry ID (from getHistory)
+ * @param {Object} options - Options (updatedBy, dryRun)
+ * @returns {{success: boolean, error?: string, dryRun?: boolean}}
+ */
+function rollback(key, historyId, options = {}) {
+  const change = changeHistory.find(h => h.id === historyId);
+  if (!change) {
+    return { success: false, error: 'History entry not found' };
+  }
+  if (change.key !== key) {
+    return { success: false, error: 'History entry is for another key' };
+  }
+
+  const rollbackOptions = { ...options, action: 'rollback', rollbackOf: historyId };
+  const result =
+    change.newValue === undefined
+      ? removeOverride(key, rollbackOptions)
+      : set(key, change.sealed ? decrypt(change.sealed) : change.newValue, rollbackOptions);
+
+  if (result.success && !result.dryRun) {
+    configStats.rollbacks++;
+  }
+
+  return result;
+}
+
+// ============================================
+// PERSISTENCE & PROPAGATION
+// ============================================
+
+/**
+ * Storage adapter holding runtime overrides and history
+ * @returns {MemoryAdapter|RedisAdapter}
+ */
+function getConfigStorage() {
+  return storageOverride || getStorage();
+}
+
+/**
+ * Use a specific storage adapter (tests, or a dedicated Redis)
+ * @param {MemoryAdapter|RedisAdapter|null} adapter - Adapter, or null for getStorage()
+ */
+function setStorage(adapter) {
+  storageOverride = adapter;
+}
+
+/**
+ * Persist a runtime change and announce it to other instances
+ * @param {string} key - Config key
+ * @param {Object|null} entry - Runtime entry, or null when removed
+ * @param {Object} change - History entry
+ * @returns {Promise<void>}
+ */
+function persistChange(key, entry, change) {
+  const storage = getConfigStorage();
+
+  writeQueue = writeQueue
+    .then(async () => {
+      if (entry) {
+        await storage.hset(keys.config.overrides, key, entry);
+      } else {
+        await storage.hdel(keys.config.overrides, key);
+      }
+
+      await storage.lpush(keys.config.history, change);
+      await storage.ltrim(keys.config.history, 0, CONFIG_CONFIG.historySize - 1);
+
+      await storage.publish(keys.pubsub.config, {
+        origin: CONFIG_CONFIG.instanceId,
+        key,
+        entry,
+        change,
+      });
+
+      configStats.persisted++;
+    })
+    .catch(error => {
+      configStats.persistErrors++;
+      console.error(`[Config] Failed to persist ${key}:`, error.message);
+    });
+
+  return writeQueue;
+}
+
+/**
+ * Apply a runtime change made on another instance
+ * @param {string} message - Serialized { origin, key, entry, change }
+ */
+function handleRemoteChange(message) {
+  let payload;
+  try {
+    payload = typeof message === 'string' ? JSON.parse(message) : message;
+  } catch {
+    return;
+  }
+
+  if (!payload?.key || payload.origin === CONFIG_CONFIG.instanceId) {
+    return;
+  }
+
+  configStats.remoteChanges++;
+
+  if (payload.change) {
+    pushHistory(payload.change);
+  }
+
+  applyLayer(payload.key, 'runtime', payload.entry || null);
+}
+
+/**
+ * Restore runtime overrides and history, then follow other instances' changes
+ * @param {Object} options - Options
+ * @param {MemoryAdapter|RedisAdapter} [options.storage] - Storage adapter
+ * @returns {Promise<{overrides: number, history: number}>}
+ */
+async function initialize(options = {}) {
+  if (options.storage) {
+    setStorage(options.storage);
+  }
+
+  const storage = getConfigStorage();
+  const [overrides, stored] = await Promise.all([
+    storage.hgetall(keys.config.overrides),
+    storage.lrange(keys.config.history, 0, -1),
+  ]);
+
+  let restored = 0;
+  for (const [key, entry] of Object.entries(overrides || {})) {
+    // A change made on this instance before startup finished is newer
+    const local = configStore.get(key)?.runtime;
+    if (local && local.updatedAt > entry.updatedAt) continue;
+
+    applyLayer(key, 'runtime', entry);
+    restored++;
+  }
+
+  // Stored newest first
+  const known = new Set(changeHistory.map(h => h.id));
+  const restoredHistory = (stored || []).filter(h => h?.id && !known.has(h.id)).reverse();
+  changeHistory.unshift(...restoredHistory);
+  changeHistory.sort((a, b) => a.timestamp - b.timestamp);
+  while (changeHistory.length > CONFIG_CONFIG.historySize) {
+    changeHistory.shift();
+  }
+
+  if (!unsubscribeChanges) {
+    unsubscribeChanges = storage.subscribe(keys.pubsub.config, handleRemoteChange);
+  }
+
+  return { overrides: restored, history: changeHistory.length };
+}
+
+/**
+ * Wait for pending persistence writes
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return writeQueue;
+}
+
+/**
+ * Stop following other instances' changes
+ * @returns {Promise<void>} Resolves once pending writes are done
+ */
+function shutdown() {
+  if (unsubscribeChanges) {
+    unsubscribeChanges();
+    unsubscribeChanges = null;
+  }
+
+  return flush();
 }
 
 // ============================================
@@ -594,19 +1041,27 @@ function getHistory(key = null, limit = 50) {
 function getStats() {
   let sensitiveCount = 0;
   let readonlyCount = 0;
+  let runtimeOverrides = 0;
 
   for (const schema of schemas.values()) {
     if (schema.sensitive) sensitiveCount++;
     if (schema.readonly) readonlyCount++;
   }
 
+  for (const layers of configStore.values()) {
+    if (layers.runtime) runtimeOverrides++;
+  }
+
   return {
     ...configStats,
     totalConfigs: configStore.size,
     totalSchemas: schemas.size,
     sensitiveConfigs: sensitiveCount,
     readonlyConfigs: readonlyCount,
+    runtimeOverrides,
     environment: CONFIG_CONFIG.environment,
+    instanceId: CONFIG_CONFIG.instanceId,
+    following: unsubscribeChanges !== null,
     historySize: changeHistory.length,
     listeners: Array.from(listeners.values()).reduce((sum, set) => sum + set.size, 0),
   };
@@ -682,6 +1137,9 @@ loadFromEnv({
   MAINTENANCE_MODE: 'features.maintenance',
 });
 
+// Load the file layer (CONFIG_FILE)
+loadFromFile();
+
 module.exports = {
   // Schema
   defineSchema,
@@ -696,6 +1154,7 @@ module.exports = {
   // Bulk
   setMany,
   loadFromEnv,
+  loadFromFile,
 
   // Validation
   validate,
@@ -705,10 +1164,18 @@ module.exports = {
 
   // History
   getHistory,
+  rollback,
+
+  // Persistence
+  initialize,
+  setStorage,
+  flush,
+  shutdown,
 
   // Stats
   getStats,
 
   // Config
   CONFIG_CONFIG,
+  LAYERS,
 };
@@ -6,6 +6,7 @@
  * - Data deletion (Right to Erasure)
  * - Data portability
  * - Audit trail for data requests
+ * - Requests kept in storage and processed through the durable job queue
  *
  * Security by Design:
  * - Rate-limited export requests
@@ -18,6 +19,8 @@
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const { getStorage, keys } = require('./storage');
+const { registerHandler, enqueue } = require('./queue');
 
 // ============================================
 // CONFIGURATION
@@ -37,6 +40,9 @@ const EXPORT_CONFIG = {
     tokenLength: 64,
     tokenExpiry: 60 * 60 * 1000,        // 1 hour
 
+    // Requests are kept this long after their last update
+    requestRetention: 30 * 24 * 60 * 60 * 1000,  // 30 days
+
     // Data categories
     categories: [
         'profile',
@@ -65,6 +71,12 @@ const REQUEST_TYPES = {
     RECTIFY: 'rectify'
 };
 
+// Job type per request type
+const JOB_TYPES = {
+    [REQUEST_TYPES.EXPORT]: 'data_export',
+    [REQUEST_TYPES.DELETE]: 'data_deletion'
+};
+
 // Request statuses
 const REQUEST_STATUS = {
     PENDING: 'pending',
@@ -79,12 +91,6 @@ const REQUEST_STATUS = {
 // STORAGE
 // ============================================
 
-// Data requests
-const dataRequests = new Map();
-
-// Export downloads (token -> export data)
-const exportDownloads = new Map();
-
 // Rate limiting per wallet
 const rateLimits = new Map();
 
@@ -99,6 +105,53 @@ const exportStats = {
     dataExportedBytes: 0
 };
 
+// ============================================
+// REQUEST STORAGE
+// ============================================
+
+/**
+ * Load a data request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object|null>}
+ */
+async function loadRequest(requestId) {
+    return getStorage().get(keys.dataExport.request(requestId));
+}
+
+/**
+ * Save a data request and index it under its wallet
+ * @param {Object} request - Request record
+ */
+async function saveRequest(request) {
+    const storage = getStorage();
+    await storage.set(keys.dataExport.request(request.id), request, {
+        ttl: EXPORT_CONFIG.requestRetention
+    });
+    await storage.sadd(keys.dataExport.wallet(request.wallet), request.id);
+}
+
+/**
+ * Load every data request of a wallet
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<Object[]>}
+ */
+async function listRequests(wallet) {
+    const storage = getStorage();
+    const requests = [];
+
+    for (const requestId of await storage.smembers(keys.dataExport.wallet(wallet))) {
+        const request = await loadRequest(requestId);
+        if (request) {
+            requests.push(request);
+        } else {
+            // Expired after the retention period
+            await storage.srem(keys.dataExport.wallet(wallet), requestId);
+        }
+    }
+
+    return requests;
+}
+
 // ============================================
 // DATA REQUEST MANAGEMENT
 // ============================================
@@ -107,9 +160,9 @@ const exportStats = {
  * Create a data export request
  * @param {string} wallet - User wallet address
  * @param {Object} options - Export options
- * @returns {Object}
+ * @returns {Promise<Object>}
  */
-function requestExport(wallet, options = {}) {
+async function requestExport(wallet, options = {}) {
     const {
         categories = EXPORT_CONFIG.categories,
         format = 'json',
@@ -127,7 +180,7 @@ function requestExport(wallet, options = {}) {
     }
 
     // Check pending exports
-    const pendingCount = countPendingRequests(wallet, REQUEST_TYPES.EXPORT);
+    const pendingCount = await countPendingRequests(wallet, REQUEST_TYPES.EXPORT);
     if (pendingCount >= EXPORT_CONFIG.maxPendingExports) {
         return {
             success: false,
@@ -164,7 +217,7 @@ function requestExport(wallet, options = {}) {
         error: null
     };
 
-    dataRequests.set(requestId, request);
+    await saveRequest(request);
     exportStats.totalExports++;
     exportStats.pendingRequests++;
 
@@ -177,8 +230,8 @@ function requestExport(wallet, options = {}) {
         categories: validCategories.length
     });
 
-    // Process asynchronously
-    processExportRequest(requestId);
+    // Process on whichever worker claims the job
+    await enqueue(JOB_TYPES[REQUEST_TYPES.EXPORT], { requestId }, { dedupeKey: requestId });
 
     return {
         success: true,
@@ -193,9 +246,9 @@ function requestExport(wallet, options = {}) {
  * Request data deletion
  * @param {string} wallet - User wallet address
  * @param {Object} options - Deletion options
- * @returns {Object}
+ * @returns {Promise<Object>}
  */
-function requestDeletion(wallet, options = {}) {
+async function requestDeletion(wallet, options = {}) {
     const {
         categories = [],
         reason = 'user_request',
@@ -258,7 +311,7 @@ function requestDeletion(wallet, options = {}) {
         error: null
     };
 
-    dataRequests.set(requestId, request);
+    await saveRequest(request);
     exportStats.totalDeletions++;
     exportStats.pendingRequests++;
 
@@ -271,8 +324,8 @@ function requestDeletion(wallet, options = {}) {
         fullDeletion: categories.length === 0
     });
 
-    // Process asynchronously
-    processDeletionRequest(requestId);
+    // Process on whichever worker claims the job
+    await enqueue(JOB_TYPES[REQUEST_TYPES.DELETE], { requestId }, { dedupeKey: requestId });
 
     return {
         success: true,
@@ -286,10 +339,10 @@ function requestDeletion(wallet, options = {}) {
  * Get request status
  * @param {string} requestId - Request ID
  * @param {string} wallet - Wallet for verification
- * @returns {Object|null}
+ * @returns {Promise<Object|null>}
  */
-function getRequestStatus(requestId, wallet) {
-    const request = dataRequests.get(requestId);
+async function getRequestStatus(requestId, wallet) {
+    const request = await loadRequest(requestId);
 
     if (!request || request.wallet !== wallet) {
         return null;
@@ -325,21 +378,15 @@ function getRequestStatus(requestId, wallet) {
 /**
  * Get all requests for a wallet
  * @param {string} wallet - Wallet address
- * @returns {Array}
+ * @returns {Promise<Array>}
  */
-function getWalletRequests(wallet) {
-    const requests = [];
-
-    for (const request of dataRequests.values()) {
-        if (request.wallet === wallet) {
-            requests.push({
-                id: request.id,
-                type: request.type,
-                status: request.status,
-                createdAt: new Date(request.createdAt).toISOString()
-            });
-        }
-    }
+async function getWalletRequests(wallet) {
+    const requests = (await listRequests(wallet)).map(request => ({
+        id: request.id,
+        type: request.type,
+        status: request.status,
+        createdAt: new Date(request.createdAt).toISOString()
+    }));
 
     return requests.sort((a, b) =>
         new Date(b.createdAt) - new Date(a.createdAt)
@@ -351,16 +398,19 @@ function getWalletRequests(wallet) {
 // ============================================
 
 /**
- * Process export request
+ * Process export request (job handler)
+ * A worker that died mid-export leaves the request processing, and the
+ * queue hands the job to another worker that starts over.
  * @param {string} requestId - Request ID
  */
 async function processExportRequest(requestId) {
-    const request = dataRequests.get(requestId);
-    if (!request) return;
+    const request = await loadRequest(requestId);
+    if (!request || !isOpen(request)) return;
 
     try {
         request.status = REQUEST_STATUS.PROCESSING;
         request.updatedAt = Date.now();
+        await saveRequest(request);
 
         // Collect data from all categories
         const exportData = {
@@ -399,19 +449,20 @@ async function processExportRequest(requestId) {
         }
 
         // Store export for download
-        exportDownloads.set(downloadToken, {
+        await getStorage().set(keys.dataExport.download(downloadToken), {
             data: exportJson,
             wallet: request.wallet,
             createdAt: Date.now(),
             expiresAt: Date.now() + EXPORT_CONFIG.tokenExpiry,
             downloaded: false
-        });
+        }, { ttl: EXPORT_CONFIG.tokenExpiry });
 
         // Update request
         request.status = REQUEST_STATUS.COMPLETED;
         request.completedAt = Date.now();
         request.updatedAt = Date.now();
         request.downloadToken = downloadToken;
+        await saveRequest(request);
 
         exportStats.pendingRequests--;
         exportStats.completedRequests++;
@@ -428,6 +479,7 @@ async function processExportRequest(requestId) {
         request.status = REQUEST_STATUS.FAILED;
         request.error = error.message;
         request.updatedAt = Date.now();
+        await saveRequest(request);
 
         exportStats.pendingRequests--;
         exportStats.failedRequests++;
@@ -443,10 +495,11 @@ async function processExportRequest(requestId) {
  * Download export data
  * @param {string} token - Download token
  * @param {string} wallet - Wallet for verification
- * @returns {Object}
+ * @returns {Promise<Object>}
  */
-function downloadExport(token, wallet) {
-    const download = exportDownloads.get(token);
+async function downloadExport(token, wallet) {
+    const storage = getStorage();
+    const download = await storage.get(keys.dataExport.download(token));
 
     if (!download) {
         return { success: false, error: 'Download not found or expired' };
@@ -457,12 +510,15 @@ function downloadExport(token, wallet) {
     }
 
     if (Date.now() > download.expiresAt) {
-        exportDownloads.delete(token);
+        await storage.del(keys.dataExport.download(token));
         return { success: false, error: 'Download expired' };
     }
 
     // Mark as downloaded
     download.downloaded = true;
+    await storage.set(keys.dataExport.download(token), download, {
+        ttl: download.expiresAt - Date.now()
+    });
 
     logAudit('data_export_downloaded', {
         wallet: wallet.slice(0, 8) + '...'
@@ -481,16 +537,17 @@ function downloadExport(token, wallet) {
 // ============================================
 
 /**
- * Process deletion request
+ * Process deletion request (job handler)
  * @param {string} requestId - Request ID
  */
 async function processDeletionRequest(requestId) {
-    const request = dataRequests.get(requestId);
-    if (!request) return;
+    const request = await loadRequest(requestId);
+    if (!request || !isOpen(request)) return;
 
     try {
         request.status = REQUEST_STATUS.PROCESSING;
         request.updatedAt = Date.now();
+        await saveRequest(request);
 
         const deletedCategories = [];
 
@@ -514,6 +571,7 @@ async function processDeletionRequest(requestId) {
         request.completedAt = Date.now();
         request.updatedAt = Date.now();
         request.deletedCategories = deletedCategories;
+        await saveRequest(request);
 
         exportStats.pendingRequests--;
         exportStats.completedRequests++;
@@ -529,6 +587,7 @@ async function processDeletionRequest(requestId) {
         request.status = REQUEST_STATUS.FAILED;
         request.error = error.message;
         request.updatedAt = Date.now();
+        await saveRequest(request);
 
         exportStats.pendingRequests--;
         exportStats.failedRequests++;
@@ -841,21 +900,21 @@ function updateRateLimit(wallet, requestType) {
  * Count pending requests
  * @param {string} wallet - Wallet address
  * @param {string} requestType - Request type
- * @returns {number}
+ * @returns {Promise<number>}
  */
-function countPendingRequests(wallet, requestType) {
-    let count = 0;
-
-    for (const request of dataRequests.values()) {
-        if (request.wallet === wallet &&
-            request.type === requestType &&
-            (request.status === REQUEST_STATUS.PENDING ||
-             request.status === REQUEST_STATUS.PROCESSING)) {
-            count++;
-        }
-    }
+async function countPendingRequests(wallet, requestType) {
+    const requests = await listRequests(wallet);
+    return requests.filter(request => request.type === requestType && isOpen(request)).length;
+}
 
-    return count;
+/**
+ * Whether a request still has to be processed
+ * @param {Object} request - Request record
+ * @returns {boolean}
+ */
+function isOpen(request) {
+    return request.status === REQUEST_STATUS.PENDING ||
+        request.status === REQUEST_STATUS.PROCESSING;
 }
 
 // ============================================
@@ -963,26 +1022,11 @@ function getRetentionPolicy() {
 // ============================================
 
 /**
- * Cleanup expired exports and requests
+ * Cleanup rate limits (requests and downloads expire in storage)
  */
 function cleanup() {
     const now = Date.now();
 
-    // Cleanup expired downloads
-    for (const [token, download] of exportDownloads) {
-        if (now > download.expiresAt) {
-            exportDownloads.delete(token);
-        }
-    }
-
-    // Cleanup old requests (keep for 30 days)
-    const requestRetention = 30 * 24 * 60 * 60 * 1000;
-    for (const [id, request] of dataRequests) {
-        if (request.completedAt && now - request.completedAt > requestRetention) {
-            dataRequests.delete(id);
-        }
-    }
-
     // Cleanup rate limits
     const rateLimitRetention = 24 * 60 * 60 * 1000;
     for (const [key, timestamp] of rateLimits) {
@@ -1006,31 +1050,10 @@ setInterval(cleanup, 60 * 60 * 1000);  // Every hour
 function getStats() {
     return {
         ...exportStats,
-        activeDownloads: exportDownloads.size,
-        totalRequests: dataRequests.size,
-        requestsByStatus: {
-            pending: countByStatus(REQUEST_STATUS.PENDING),
-            processing: countByStatus(REQUEST_STATUS.PROCESSING),
-            completed: countByStatus(REQUEST_STATUS.COMPLETED),
-            failed: countByStatus(REQUEST_STATUS.FAILED)
-        },
         dataExportedFormatted: formatBytes(exportStats.dataExportedBytes)
     };
 }
 
-/**
- * Count requests by status
- * @param {string} status - Request status
- * @returns {number}
- */
-function countByStatus(status) {
-    let count = 0;
-    for (const request of dataRequests.values()) {
-        if (request.status === status) count++;
-    }
-    return count;
-}
-
 /**
  * Format bytes
  * @param {number} bytes - Bytes
@@ -1043,6 +1066,24 @@ function formatBytes(bytes) {
     return (bytes / Math.pow(1024, i)).toFixed(2) + ' ' + units[i];
 }
 
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Register the export and deletion jobs
+ */
+function initialize() {
+    registerHandler(JOB_TYPES[REQUEST_TYPES.EXPORT], ({ requestId }) => processExportRequest(requestId), {
+        timeout: 60000,
+        maxRetries: 3
+    });
+    registerHandler(JOB_TYPES[REQUEST_TYPES.DELETE], ({ requestId }) => processDeletionRequest(requestId), {
+        timeout: 60000,
+        maxRetries: 3
+    });
+}
+
 module.exports = {
     // Constants
     REQUEST_TYPES,
@@ -1058,6 +1099,9 @@ module.exports = {
     // Download
     downloadExport,
 
+    // Lifecycle
+    initialize,
+
     // Stats
     getStats
 };
@@ -4,6 +4,7 @@
  * Unified interface for data persistence:
  * - In-memory storage (development)
  * - PostgreSQL ready (production)
+ * - Domain repositories: service state survives restarts
  *
  * Security by Design:
  * - Parameterized queries ready
@@ -15,6 +16,7 @@
 
 // Import from audit.js to avoid circular dependency with leaderboard
 const audit = require('./audit');
+const postgres = require('./postgres');
 const logAudit = (action, details) =>
   audit.log(`database.${action}`, details, { category: audit.CATEGORIES.USER });
 
@@ -446,6 +448,479 @@ const GameScores = {
   },
 };
 
+// ============================================
+// DOMAIN REPOSITORIES
+// ============================================
+
+/**
+ * Repository name -> table
+ * Tables are created by the per-domain migrations in postgres.js.
+ */
+const REPOSITORY_TABLES = {
+  // achievements.js
+  achievements: 'achievement_progress',
+
+  // referrals.js
+  referralAccounts: 'referral_accounts',
+  referralRelations: 'referral_relations',
+  referralDailyCounts: 'referral_daily_counts',
+
+  // progression.js
+  playerProgress: 'player_progress',
+  xpEvents: 'xp_events',
+  xpDailyTracking: 'xp_daily_tracking',
+
+  // challenges.js
+  challengeProgress: 'challenge_progress',
+  challengeClaims: 'challenge_claims',
+
+  // notifications.js
+  notificationInboxes: 'notification_inboxes',
+  notificationPreferences: 'notification_preferences',
+
+  // sessionManager.js
+  sessions: 'user_sessions',
+  devices: 'user_devices',
+
+  // antiCheat.js
+  anticheatProfiles: 'anticheat_profiles',
+  anticheatSanctions: 'anticheat_sanctions',
+  anticheatFingerprints: 'anticheat_fingerprints',
+  anticheatBaselines: 'anticheat_baselines',
+
+  // rbac.js
+  roleAssignments: 'role_assignments',
+};
+
+/**
+ * In-process backend (development, tests)
+ * Records are stored as JSON so reads return copies, as with JSONB.
+ */
+class MemoryRepositoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.rows = new Map(); // id -> { owner, json }
+  }
+
+  async get(id) {
+    const row = this.rows.get(id);
+    return row ? JSON.parse(row.json) : null;
+  }
+
+  async save(id, record, owner = null) {
+    this.rows.set(id, { owner, json: JSON.stringify(record) });
+  }
+
+  async update(id, mutate, ownerOf) {
+    const current = await this.get(id);
+    const record = mutate(current);
+    await this.save(id, record, ownerOf(record));
+    return record;
+  }
+
+  async remove(id) {
+    return this.rows.delete(id);
+  }
+
+  async all() {
+    return Array.from(this.rows, ([id, row]) => [id, JSON.parse(row.json)]);
+  }
+
+  async findByOwner(owner) {
+    const entries = [];
+    for (const [id, row] of this.rows) {
+      if (row.owner === owner) entries.push([id, JSON.parse(row.json)]);
+    }
+    return entries;
+  }
+
+  async count() {
+    return this.rows.size;
+  }
+}
+
+/**
+ * PostgreSQL backend: one JSONB document per row
+ * Table names come from REPOSITORY_TABLES only, never from input.
+ */
+class PostgresRepositoryBackend {
+  constructor(table) {
+    this.name = 'postgres';
+    this.table = table;
+  }
+
+  async get(id) {
+    const result = await postgres.query(`SELECT data FROM ${this.table} WHERE id = $1`, [id]);
+    return result.rows[0]?.data ?? null;
+  }
+
+  async save(id, record, owner = null) {
+    await postgres.query(
+      `INSERT INTO ${this.table} (id, owner, data, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (id) DO UPDATE
+       SET owner = EXCLUDED.owner, data = EXCLUDED.data, updated_at = NOW()`,
+      [id, owner, JSON.stringify(record)]
+    );
+  }
+
+  async update(id, mutate, ownerOf) {
+    return postgres.transaction(async client => {
+      // Lock the row (a JSON null placeholder when new) so concurrent updates queue
+      const locked = await client.query(
+        `INSERT INTO ${this.table} (id, owner, data, updated_at)
+         VALUES ($1, NULL, 'null', NOW())
+         ON CONFLICT (id) DO UPDATE SET updated_at = NOW()
+         RETURNING data`,
+        [id]
+      );
+      const record = mutate(locked.rows[0].data ?? null);
+      await client.query(
+        `UPDATE ${this.table} SET owner = $2, data = $3, updated_at = NOW() WHERE id = $1`,
+        [id, ownerOf(record), JSON.stringify(record)]
+      );
+      return record;
+    });
+  }
+
+  async remove(id) {
+    const result = await postgres.query(`DELETE FROM ${this.table} WHERE id = $1`, [id]);
+    return result.rowCount > 0;
+  }
+
+  async all() {
+    const result = await postgres.query(`SELECT id, data FROM ${this.table} ORDER BY id`);
+    return result.rows.map(row => [row.id, row.data]);
+  }
+
+  async findByOwner(owner) {
+    const result = await postgres.query(
+      `SELECT id, data FROM ${this.table} WHERE owner = $1 ORDER BY id`,
+      [owner]
+    );
+    return result.rows.map(row => [row.id, row.data]);
+  }
+
+  async count() {
+    const result = await postgres.query(`SELECT COUNT(*) AS count FROM ${this.table}`);
+    return Number(result.rows[0].count);
+  }
+}
+
+// table -> MemoryRepositoryBackend, shared so a redefined repository keeps its rows
+const memoryTables = new Map();
+
+/**
+ * Get the in-process backend for a table
+ * @param {string} table - Backing table
+ * @returns {MemoryRepositoryBackend}
+ */
+function memoryBackend(table) {
+  if (!memoryTables.has(table)) {
+    memoryTables.set(table, new MemoryRepositoryBackend());
+  }
+  return memoryTables.get(table);
+}
+
+/**
+ * Stored form of one piece of service state
+ *
+ * Services keep their Maps as the hot cache and write through with
+ * persist()/discard(). Writes are coalesced per id and applied in order,
+ * so a burst of updates to one record costs a single upsert. Postgres is
+ * used once connected, memory otherwise.
+ *
+ * The caches are per instance and nothing invalidates them: a record
+ * another instance writes is only seen here after the next hydrate(), at
+ * startup. Without a merge option concurrent writes to one id are last
+ * write wins. With one, persist() reads, merges and writes the stored
+ * record in one transaction: merge(stored, base, record) folds in what
+ * changed in this instance's copy since base, the version it last read or
+ * wrote, and merged(id, stored, record) lets the service pick up what
+ * other instances changed. Otherwise read with get() where staleness
+ * matters, or keep the shared part in storage.js (as session revocations
+ * do).
+ */
+class Repository {
+  /**
+   * @param {string} name - Repository name
+   * @param {string} table - Backing table
+   * @param {Object} options
+   * @param {Function} [options.owner] - record -> owner id, for findByOwner()
+   * @param {Function} [options.hydrate] - Receives [id, record] entries on startup
+   * @param {Function} [options.merge] - (stored, base, record) -> record to store
+   * @param {Function} [options.merged] - (id, stored, record) after a merged write
+   */
+  constructor(name, table, options = {}) {
+    this.name = name;
+    this.table = table;
+    this.ownerOf = options.owner || (() => null);
+    this.onHydrate = options.hydrate || null;
+    this.merge = options.merge || null;
+    this.onMerged = options.merged || null;
+
+    // id -> stored record this instance's copy was last read from or merged into
+    this.bases = new Map();
+
+    this.memory = memoryBackend(table);
+    this.postgres = new PostgresRepositoryBackend(table);
+
+    // id -> { write, done }: latest pending write per record
+    this.pending = new Map();
+    this.stats = { writes: 0, coalesced: 0, errors: 0 };
+  }
+
+  get backend() {
+    return postgres.isAvailable() ? this.postgres : this.memory;
+  }
+
+  /**
+   * Read a record
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return this.backend.get(id);
+  }
+
+  /**
+   * Write a record and wait for it
+   * @param {string} id - Record ID
+   * @param {Object} record - JSON-serializable record
+   * @returns {Promise<void>}
+   */
+  async save(id, record) {
+    await this.backend.save(id, record, this.ownerOf(record));
+  }
+
+  /**
+   * Delete a record and wait for it
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>}
+   */
+  async remove(id) {
+    return this.backend.remove(id);
+  }
+
+  /**
+   * All records
+   * @returns {Promise<Array<[string, Object]>>}
+   */
+  async all() {
+    return this.backend.all();
+  }
+
+  /**
+   * Records belonging to an owner (e.g. a user's sessions)
+   * @param {string} owner - Owner ID
+   * @returns {Promise<Array<[string, Object]>>}
+   */
+  async findByOwner(owner) {
+    return this.backend.findByOwner(owner);
+  }
+
+  /**
+   * Number of records
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return this.backend.count();
+  }
+
+  /**
+   * Write through in the background (failures are logged and counted)
+   * The record is serialized when the write runs, so later changes to the
+   * same object are picked up. Merging repositories take a function that
+   * returns the cached record instead, as merged() may replace it.
+   * @param {string} id - Record ID
+   * @param {Object|Function} record - JSON-serializable record, or () => record
+   */
+  persist(id, record) {
+    if (this.merge) {
+      this.schedule(id, backend => this.writeMerged(backend, id, record));
+      return;
+    }
+    this.schedule(id, backend => backend.save(id, record, this.ownerOf(record)));
+  }
+
+  /**
+   * Merge a record into the stored one (read-modify-write on the backend)
+   * @param {Object} backend - Repository backend
+   * @param {string} id - Record ID
+   * @param {Object|Function} record - This instance's copy, or () => copy
+   * @returns {Promise<void>}
+   */
+  async writeMerged(backend, id, record) {
+    const written = JSON.parse(JSON.stringify(typeof record === 'function' ? record() : record));
+    const base = this.bases.get(id) || null;
+
+    const stored = await backend.update(
+      id,
+      current => (current ? this.merge(current, base, written) : written),
+      this.ownerOf
+    );
+
+    this.bases.set(id, stored);
+    if (this.onMerged) this.onMerged(id, stored, written);
+  }
+
+  /**
+   * Delete in the background
+   * @param {string} id - Record ID
+   */
+  discard(id) {
+    this.schedule(id, async backend => {
+      await backend.remove(id);
+      this.bases.delete(id);
+    });
+  }
+
+  /**
+   * Queue a write for a record, replacing any write not yet started
+   * @param {string} id - Record ID
+   * @param {Function} write - backend -> Promise
+   */
+  schedule(id, write) {
+    const pending = this.pending.get(id);
+    if (pending) {
+      pending.write = write;
+      this.stats.coalesced++;
+      return;
+    }
+
+    const entry = { write };
+    this.pending.set(id, entry);
+
+    entry.done = (async () => {
+      while (entry.write) {
+        const next = entry.write;
+        entry.write = null;
+
+        try {
+          await next(this.backend);
+          this.stats.writes++;
+        } catch (error) {
+          this.stats.errors++;
+          console.error(`[Database] ${this.name} write failed:`, error.message);
+        }
+      }
+      this.pending.delete(id);
+    })();
+  }
+
+  /**
+   * Wait for background writes
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.pending.size > 0) {
+      await Promise.all(Array.from(this.pending.values(), entry => entry.done));
+    }
+  }
+
+  /**
+   * Hand stored records to the owning service
+   * @returns {Promise<number>} Records loaded
+   */
+  async hydrate() {
+    if (!this.onHydrate) return 0;
+
+    const entries = await this.all();
+    for (const [id, record] of entries) {
+      // A record written since startup already has a newer base
+      if (this.merge && !this.bases.has(id) && !this.pending.has(id)) {
+        this.bases.set(id, JSON.parse(JSON.stringify(record)));
+      }
+    }
+    this.onHydrate(entries);
+    return entries.length;
+  }
+}
+
+// name -> Repository
+const repositories = new Map();
+
+// Set once startup hydration ran; services loaded later hydrate on definition
+let repositoriesHydrated = false;
+
+/**
+ * Define a service's repository
+ * @param {string} name - Key of REPOSITORY_TABLES
+ * @param {Object} options - See Repository
+ * @returns {Repository}
+ */
+function defineRepository(name, options = {}) {
+  const table = REPOSITORY_TABLES[name];
+  if (!table) {
+    throw new Error(`Unknown repository: ${name}`);
+  }
+
+  const repository = new Repository(name, table, options);
+  repositories.set(name, repository);
+
+  if (repositoriesHydrated) {
+    repository.hydrate().catch(error => {
+      console.error(`[Database] ${name} hydration failed:`, error.message);
+    });
+  }
+
+  return repository;
+}
+
+/**
+ * Get a defined repository
+ * @param {string} name - Repository name
+ * @returns {Repository|null}
+ */
+function getRepository(name) {
+  return repositories.get(name) || null;
+}
+
+/**
+ * Load stored state into every defined repository's service
+ * Called at startup once PostgreSQL is initialized.
+ * @returns {Promise<Object>} name -> records loaded (-1 on failure)
+ */
+async function hydrateRepositories() {
+  repositoriesHydrated = true;
+  const loaded = {};
+
+  for (const repository of repositories.values()) {
+    try {
+      loaded[repository.name] = await repository.hydrate();
+    } catch (error) {
+      loaded[repository.name] = -1;
+      console.error(`[Database] ${repository.name} hydration failed:`, error.message);
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Wait for every background write (graceful shutdown, tests)
+ * @returns {Promise<void>}
+ */
+async function flushRepositories() {
+  await Promise.all(Array.from(repositories.values(), repository => repository.flush()));
+}
+
+/**
+ * Repository write stats
+ * @returns {Object}
+ */
+function getRepositoryStats() {
+  const stats = {};
+  for (const repository of repositories.values()) {
+    stats[repository.name] = {
+      backend: repository.backend.name,
+      pending: repository.pending.size,
+      ...repository.stats,
+    };
+  }
+  return stats;
+}
+
 // ============================================
 // DATABASE HEALTH & UTILITIES
 // ============================================
@@ -465,6 +940,7 @@ function getHealthStatus() {
       signatures: memoryStore.usedSignatures.size,
       gameScores: memoryStore.gameScores.length,
     },
+    repositories: getRepositoryStats(),
   };
 }
 
@@ -497,10 +973,21 @@ module.exports = {
   Burns,
   GameScores,
 
+  // Repositories
+  defineRepository,
+  getRepository,
+  hydrateRepositories,
+  flushRepositories,
+  getRepositoryStats,
+  Repository,
+  MemoryRepositoryBackend,
+  PostgresRepositoryBackend,
+
   // Utilities
   getHealthStatus,
   clearAll,
 
   // Config
   DB_CONFIG,
+  REPOSITORY_TABLES,
 };
@@ -0,0 +1,865 @@
+/**
+ * ASDF API - Email Notification Channel
+ *
+ * Email delivery for notification digests:
+ * - Address registration with double opt-in
+ * - Daily/weekly digests rendered to HTML and plain text
+ * - Scheduler-driven, on each user's own clock
+ * - Signed unsubscribe links (RFC 8058 one-click)
+ * - Bounce and complaint handling
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Addresses encrypted at rest (same scheme as push tokens)
+ * - Address lookups keyed by HMAC, never the plain address
+ * - Verification tokens stored hashed, single use, expiring
+ * - Unsubscribe links signed per wallet and scope
+ * - Channel disabled on hard bounce or complaint
+ * - Bounced and complained addresses refused until cleared by support
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { getStorage, keys } = require('./storage');
+const {
+    getPreferences,
+    updatePreferences,
+    getUsersDueForDigest,
+    markDigestSent,
+    generateDigest,
+    encryptToken,
+    decryptToken
+} = require('./notificationPreferences');
+const { buildPayload } = require('./pushNotifications');
+const { sendMail } = require('./smtp');
+const { schedule, unschedule } = require('./scheduler');
+const { logAudit } = require('./leaderboard');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const EMAIL_CONFIG = {
+    // Signs unsubscribe links and keys address lookups
+    secret: process.env.EMAIL_SECRET,
+
+    // Where links in emails point
+    apiUrl: process.env.PUBLIC_API_URL || 'http://localhost:3001',
+    siteUrl: process.env.PUBLIC_SITE_URL || 'https://alonisthe.dev',
+
+    // Double opt-in
+    verificationTTL: 24 * 60 * 60,   // seconds
+    resendCooldown: 60 * 1000,
+
+    // RFC 5321 path limit
+    maxAddressLength: 254,
+
+    // Soft bounces disable the channel once they pile up
+    softBounceLimit: 3,
+    softBounceWindow: 7 * 24 * 60 * 60 * 1000,
+
+    // Digest dispatch (UTC); each user's slot is checked on every run
+    digestCron: '*/15 * * * *',
+    maxHighlights: 5
+};
+
+const EMAIL_STATUS = {
+    PENDING: 'pending',
+    VERIFIED: 'verified',
+    BOUNCED: 'bounced',
+    COMPLAINED: 'complained'
+};
+
+const UNSUBSCRIBE_SCOPES = {
+    DIGEST: 'digest',   // Turn digests off
+    EMAIL: 'email'      // Turn the whole email channel off
+};
+
+const TYPE_LABELS = {
+    achievement_unlocked: 'Achievements unlocked',
+    level_up: 'Level ups',
+    tier_up: 'New tiers',
+    rank_change: 'Rank changes',
+    streak_milestone: 'Streak milestones',
+    reward_received: 'Rewards',
+    overtaken: 'Players who passed you',
+    mentioned: 'Mentions',
+    friend_achievement: 'Friend achievements',
+    burn_confirmed: 'Burns confirmed',
+    whale_burn: 'Whale burns',
+    leaderboard_update: 'Leaderboard updates',
+    maintenance: 'Maintenance',
+    event_start: 'Events started',
+    event_end: 'Events ended',
+    announcement: 'Announcements'
+};
+
+const ADDRESS_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)+$/;
+
+// ============================================
+// STATE
+// ============================================
+
+let digestTaskId = null;
+
+const stats = {
+    verificationsSent: 0,
+    verified: 0,
+    digestsSent: 0,
+    digestsFailed: 0,
+    unsubscribes: 0,
+    bounces: 0,
+    complaints: 0,
+    suppressedRejections: 0
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Secret for link signatures and address lookups
+ * @returns {string}
+ */
+function getSecret() {
+    if (!EMAIL_CONFIG.secret) {
+        console.error('[EmailNotifications] CRITICAL: EMAIL_SECRET not configured');
+        throw new Error('Email not configured');
+    }
+    return EMAIL_CONFIG.secret;
+}
+
+/**
+ * Normalize and validate an address
+ * @param {string} address
+ * @returns {string|null}
+ */
+function normalizeAddress(address) {
+    if (typeof address !== 'string') return null;
+
+    const normalized = address.trim().toLowerCase();
+    if (normalized.length > EMAIL_CONFIG.maxAddressLength || !ADDRESS_PATTERN.test(normalized)) {
+        return null;
+    }
+    return normalized;
+}
+
+/**
+ * Lookup key for an address (HMAC, so stored keys don't reveal it)
+ * @param {string} address - Normalized address
+ * @returns {string}
+ */
+function hashAddress(address) {
+    return crypto.createHmac('sha256', getSecret()).update(`address:${address}`).digest('hex');
+}
+
+/**
+ * Hash a verification token for storage
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * a***@example.com
+ * @param {string} address
+ * @returns {string}
+ */
+function maskAddress(address) {
+    const [local, domain] = address.split('@');
+    return `${local[0]}***@${domain}`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Load the email record of a wallet
+ * @param {string} wallet
+ * @returns {Promise<Object|null>}
+ */
+function getRecord(wallet) {
+    return getStorage().get(keys.email.record(wallet));
+}
+
+/**
+ * Disable email delivery in the wallet's preferences
+ * @param {string} wallet
+ */
+async function disableChannel(wallet) {
+    await updatePreferences(wallet, { channels: { email: false } });
+}
+
+// ============================================
+// ADDRESS REGISTRATION (double opt-in)
+// ============================================
+
+/**
+ * Register an address and send the confirmation email
+ * Nothing is delivered to it until the link in that email is followed.
+ * @param {string} wallet - Wallet address
+ * @param {string} address - Email address
+ * @returns {Promise<Object>} { success, status } or { success: false, error }
+ */
+async function registerEmail(wallet, address) {
+    const normalized = normalizeAddress(address);
+    if (!normalized) {
+        return { success: false, error: 'Invalid email address' };
+    }
+
+    const storage = getStorage();
+    const addressHash = hashAddress(normalized);
+
+    // A bounced or complained address stays refused until support clears it
+    if (await storage.exists(keys.email.suppressed(addressHash))) {
+        stats.suppressedRejections++;
+        return { success: false, error: 'This address cannot receive email from us, contact support' };
+    }
+
+    const existing = await getRecord(wallet);
+
+    if (existing && existing.addressHash === addressHash) {
+        if (existing.status === EMAIL_STATUS.VERIFIED) {
+            return { success: true, status: EMAIL_STATUS.VERIFIED };
+        }
+        if (existing.status === EMAIL_STATUS.PENDING &&
+            Date.now() - existing.requestedAt < EMAIL_CONFIG.resendCooldown) {
+            return { success: false, error: 'Confirmation email already sent, try again shortly' };
+        }
+    }
+
+    // Replacing an address: the old one stops receiving immediately
+    if (existing) {
+        await storage.srem(keys.email.owners(existing.addressHash), wallet);
+        if (existing.verificationHash) {
+            await storage.del(keys.email.verification(existing.verificationHash));
+        }
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const verificationHash = hashToken(token);
+
+    await storage.set(keys.email.record(wallet), {
+        address: encryptToken(normalized),
+        addressHash,
+        status: EMAIL_STATUS.PENDING,
+        verificationHash,
+        requestedAt: Date.now(),
+        verifiedAt: null,
+        softBounces: []
+    });
+    await storage.set(
+        keys.email.verification(verificationHash),
+        { wallet, addressHash },
+        { ex: EMAIL_CONFIG.verificationTTL }
+    );
+
+    const link = `${EMAIL_CONFIG.apiUrl}/api/notifications/email/verify?token=${token}`;
+    const result = await sendMail({ to: normalized, ...renderVerificationEmail(link) });
+
+    if (!result.success) {
+        return { success: false, error: 'Could not send confirmation email' };
+    }
+
+    stats.verificationsSent++;
+    return { success: true, status: EMAIL_STATUS.PENDING };
+}
+
+/**
+ * Confirm an address from the link in the confirmation email
+ * @param {string} token - Verification token
+ * @returns {Promise<Object>} { success, wallet } or { success: false, error }
+ */
+async function verifyEmail(token) {
+    const invalid = { success: false, error: 'Invalid or expired confirmation link' };
+    if (typeof token !== 'string' || token.length > 128) {
+        return invalid;
+    }
+
+    const storage = getStorage();
+    const verificationHash = hashToken(token);
+    const pending = await storage.get(keys.email.verification(verificationHash));
+    if (!pending) {
+        return invalid;
+    }
+
+    // Single use
+    await storage.del(keys.email.verification(verificationHash));
+
+    const record = await getRecord(pending.wallet);
+    if (!record || record.verificationHash !== verificationHash || record.addressHash !== pending.addressHash) {
+        return invalid;
+    }
+    if (await storage.exists(keys.email.suppressed(record.addressHash))) {
+        return invalid;
+    }
+
+    record.status = EMAIL_STATUS.VERIFIED;
+    record.verifiedAt = Date.now();
+    record.verificationHash = null;
+    record.softBounces = [];
+    await storage.set(keys.email.record(pending.wallet), record);
+    await storage.sadd(keys.email.owners(record.addressHash), pending.wallet);
+
+    // Confirming is the opt-in
+    await updatePreferences(pending.wallet, { channels: { email: true } });
+
+    stats.verified++;
+    logAudit('email_verified', { wallet: pending.wallet.slice(0, 8) + '...' });
+
+    return { success: true, wallet: pending.wallet };
+}
+
+/**
+ * Remove the wallet's address
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<boolean>}
+ */
+async function removeEmail(wallet) {
+    const record = await getRecord(wallet);
+    if (!record) {
+        return false;
+    }
+
+    const storage = getStorage();
+    await storage.srem(keys.email.owners(record.addressHash), wallet);
+    if (record.verificationHash) {
+        await storage.del(keys.email.verification(record.verificationHash));
+    }
+    await storage.del(keys.email.record(wallet));
+    await disableChannel(wallet);
+
+    return true;
+}
+
+/**
+ * Registration status (masked address)
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<Object|null>}
+ */
+async function getEmailStatus(wallet) {
+    const record = await getRecord(wallet);
+    if (!record) {
+        return null;
+    }
+
+    const address = decryptToken(record.address);
+    return {
+        address: address ? maskAddress(address) : null,
+        status: record.status,
+        requestedAt: record.requestedAt,
+        verifiedAt: record.verifiedAt
+    };
+}
+
+/**
+ * Address to deliver to, if confirmed and still deliverable
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<string|null>}
+ */
+async function getDeliverableAddress(wallet) {
+    const record = await getRecord(wallet);
+    if (!record || record.status !== EMAIL_STATUS.VERIFIED) {
+        return null;
+    }
+    return decryptToken(record.address);
+}
+
+// ============================================
+// UNSUBSCRIBE LINKS
+// ============================================
+
+/**
+ * Signature over wallet and scope
+ * @returns {string}
+ */
+function signUnsubscribe(wallet, scope) {
+    return crypto.createHmac('sha256', getSecret())
+        .update(`unsubscribe:${wallet}:${scope}`)
+        .digest('base64url');
+}
+
+/**
+ * Token for an unsubscribe link
+ * Links don't expire: an old email must still be able to unsubscribe.
+ * @param {string} wallet - Wallet address
+ * @param {string} scope - UNSUBSCRIBE_SCOPES value
+ * @returns {string}
+ */
+function createUnsubscribeToken(wallet, scope) {
+    return `${Buffer.from(wallet).toString('base64url')}.${scope}.${signUnsubscribe(wallet, scope)}`;
+}
+
+/**
+ * Unsubscribe link
+ * @param {string} wallet - Wallet address
+ * @param {string} scope - UNSUBSCRIBE_SCOPES value
+ * @returns {string}
+ */
+function getUnsubscribeUrl(wallet, scope) {
+    return `${EMAIL_CONFIG.apiUrl}/api/notifications/email/unsubscribe?token=${createUnsubscribeToken(wallet, scope)}`;
+}
+
+/**
+ * Check an unsubscribe link without applying it
+ * @param {string} token - Token from the link
+ * @returns {Object} { success, wallet, scope } or { success: false, error }
+ */
+function checkUnsubscribeToken(token) {
+    const invalid = { success: false, error: 'Invalid unsubscribe link' };
+    if (typeof token !== 'string') {
+        return invalid;
+    }
+
+    const [encodedWallet, scope, signature] = token.split('.');
+    if (!encodedWallet || !signature || !Object.values(UNSUBSCRIBE_SCOPES).includes(scope)) {
+        return invalid;
+    }
+
+    const wallet = Buffer.from(encodedWallet, 'base64url').toString('utf8');
+    const expected = Buffer.from(signUnsubscribe(wallet, scope));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return invalid;
+    }
+
+    return { success: true, wallet, scope };
+}
+
+/**
+ * Apply an unsubscribe link
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} { success, scope } or { success: false, error }
+ */
+async function unsubscribe(token) {
+    const checked = checkUnsubscribeToken(token);
+    if (!checked.success) {
+        return checked;
+    }
+    const { wallet, scope } = checked;
+
+    if (scope === UNSUBSCRIBE_SCOPES.DIGEST) {
+        await updatePreferences(wallet, { digest: { enabled: false } });
+    } else {
+        await disableChannel(wallet);
+    }
+
+    stats.unsubscribes++;
+    logAudit('email_unsubscribed', { wallet: wallet.slice(0, 8) + '...', scope });
+
+    return { success: true, scope };
+}
+
+// ============================================
+// BOUNCES AND COMPLAINTS
+// ============================================
+
+/**
+ * Handle a delivery event reported by the mail provider
+ * Hard bounces and complaints disable the channel at once; soft bounces do
+ * after softBounceLimit within softBounceWindow.
+ * @param {Object} event - { type: 'bounce'|'complaint', email, bounceType: 'hard'|'soft' }
+ * @returns {Promise<Object>} { success, disabled }
+ */
+async function handleDeliveryEvent(event) {
+    const address = normalizeAddress(event?.email);
+    if (!address || !['bounce', 'complaint'].includes(event.type)) {
+        return { success: false, error: 'Invalid delivery event' };
+    }
+
+    const storage = getStorage();
+    const wallets = await storage.smembers(keys.email.owners(hashAddress(address)));
+    let disabled = 0;
+
+    for (const wallet of wallets) {
+        const record = await getRecord(wallet);
+        if (!record || record.status !== EMAIL_STATUS.VERIFIED) {
+            continue;
+        }
+
+        if (event.type === 'complaint') {
+            record.status = EMAIL_STATUS.COMPLAINED;
+        } else if (event.bounceType === 'soft') {
+            const now = Date.now();
+            record.softBounces = (record.softBounces || [])
+                .filter(at => now - at < EMAIL_CONFIG.softBounceWindow)
+                .concat(now);
+            if (record.softBounces.length >= EMAIL_CONFIG.softBounceLimit) {
+                record.status = EMAIL_STATUS.BOUNCED;
+            }
+        } else {
+            record.status = EMAIL_STATUS.BOUNCED;
+        }
+
+        await storage.set(keys.email.record(wallet), record);
+
+        if (record.status !== EMAIL_STATUS.VERIFIED) {
+            await storage.srem(keys.email.owners(record.addressHash), wallet);
+            await disableChannel(wallet);
+            disabled++;
+            logAudit('email_disabled', { wallet: wallet.slice(0, 8) + '...', reason: record.status });
+        }
+    }
+
+    // Soft bounces only count once they disabled someone
+    if (event.type === 'complaint' || event.bounceType !== 'soft' || disabled > 0) {
+        await storage.set(keys.email.suppressed(hashAddress(address)), {
+            reason: event.type === 'complaint' ? EMAIL_STATUS.COMPLAINED : EMAIL_STATUS.BOUNCED,
+            at: Date.now()
+        });
+    }
+
+    if (event.type === 'complaint') stats.complaints++;
+    else stats.bounces++;
+
+    return { success: true, disabled };
+}
+
+/**
+ * Allow a bounced or complained address to be registered again
+ * Wallets that used it stay disabled until they confirm it again.
+ * @param {string} address - Email address
+ * @param {string} actor - Wallet clearing it
+ * @returns {Promise<boolean>} Whether the address was suppressed
+ */
+async function clearSuppression(address, actor) {
+    const normalized = normalizeAddress(address);
+    if (!normalized) {
+        return false;
+    }
+
+    const cleared = await getStorage().del(keys.email.suppressed(hashAddress(normalized)));
+    if (!cleared) {
+        return false;
+    }
+
+    logAudit('email_suppression_cleared', { actor: String(actor).slice(0, 8) + '...' });
+    return true;
+}
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * Shared HTML layout
+ * @param {string} title - Heading (plain text)
+ * @param {string} content - Body HTML
+ * @param {string} footer - Footer HTML
+ * @returns {string}
+ */
+function layout(title, content, footer = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:24px;background:#0d0d0d;color:#f2f2f2;font-family:Arial,Helvetica,sans-serif">
+<table role="presentation" width="100%" style="max-width:560px;margin:0 auto">
+<tr><td style="font-size:22px;font-weight:bold;color:#FF6B00;padding-bottom:16px">${escapeHtml(title)}</td></tr>
+<tr><td style="font-size:15px;line-height:1.5">${content}</td></tr>
+<tr><td style="font-size:12px;color:#8c8c8c;padding-top:24px">${footer}</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * Confirmation email
+ * @param {string} link - Verification link
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderVerificationEmail(link) {
+    const subject = 'Confirm your email for ASDF Games';
+
+    const text = [
+        'Confirm this address to receive ASDF Games notification digests:',
+        '',
+        link,
+        '',
+        'The link expires in 24 hours. If you did not ask for this, ignore this email.'
+    ].join('\n');
+
+    const html = layout(
+        subject,
+        `<p>Confirm this address to receive ASDF Games notification digests.</p>
+<p><a href="${escapeHtml(link)}" style="color:#FF6B00">Confirm email</a></p>`,
+        'The link expires in 24 hours. If you did not ask for this, ignore this email.'
+    );
+
+    return { subject, text, html };
+}
+
+/**
+ * Digest email
+ * @param {Object} digest - From generateDigest()
+ * @param {Object} links - { digest, email } unsubscribe links
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderDigestEmail(digest, links) {
+    const period = digest.period === 'weekly' ? 'week' : 'day';
+    const subject = `Your ASDF ${digest.period} digest: ${digest.summary.total} update${digest.summary.total === 1 ? '' : 's'}`;
+
+    const counts = digest.summary.byType.map(({ type, count }) => ({
+        label: TYPE_LABELS[type] || type,
+        count
+    }));
+
+    const highlights = digest.highlights.slice(0, EMAIL_CONFIG.maxHighlights).map(notification => {
+        const payload = buildPayload(notification);
+        return {
+            title: payload.title,
+            body: payload.body,
+            url: new URL(payload.clickAction, EMAIL_CONFIG.siteUrl).href
+        };
+    });
+
+    const text = [
+        `Here is what happened on ASDF Games this ${period}.`,
+        '',
+        ...counts.map(({ label, count }) => `- ${label}: ${count}`),
+        ...(highlights.length > 0 ? ['', 'Highlights:'] : []),
+        ...highlights.map(h => `* ${h.title} ${h.body}\n  ${h.url}`),
+        '',
+        `Open ASDF Games: ${EMAIL_CONFIG.siteUrl}`,
+        '',
+        '--',
+        `Stop digests: ${links.digest}`,
+        `Stop all email: ${links.email}`
+    ].join('\n');
+
+    const html = layout(
+        `Your ${digest.period} digest`,
+        `<p>Here is what happened on ASDF Games this ${period}.</p>
+<ul>${counts.map(({ label, count }) => `<li>${escapeHtml(label)}: <strong>${count}</strong></li>`).join('')}</ul>
+${highlights.length > 0 ? `<p><strong>Highlights</strong></p>
+${highlights.map(h => `<p><a href="${escapeHtml(h.url)}" style="color:#FF6B00">${escapeHtml(h.title)}</a><br>${escapeHtml(h.body)}</p>`).join('\n')}` : ''}
+<p><a href="${escapeHtml(EMAIL_CONFIG.siteUrl)}" style="color:#FF6B00">Open ASDF Games</a></p>`,
+        `<a href="${escapeHtml(links.digest)}" style="color:#8c8c8c">Stop digests</a> · <a href="${escapeHtml(links.email)}" style="color:#8c8c8c">Stop all email</a>`
+    );
+
+    return { subject, text, html };
+}
+
+/**
+ * Page shown after following a link from an email
+ * @param {string} title - Heading
+ * @param {string} message - Plain text
+ * @returns {string}
+ */
+function renderLinkPage(title, message) {
+    return layout(
+        title,
+        `<p>${escapeHtml(message)}</p>`,
+        `<a href="${escapeHtml(EMAIL_CONFIG.siteUrl)}" style="color:#8c8c8c">Back to ASDF Games</a>`
+    );
+}
+
+/**
+ * Unsubscribe confirmation page
+ * Following the link only shows this; the form POSTs, like RFC 8058 clients,
+ * so link scanners opening it unsubscribe nobody.
+ * @param {string} token - Unsubscribe token
+ * @param {string} scope - UNSUBSCRIBE_SCOPES value
+ * @returns {string}
+ */
+function renderUnsubscribePage(token, scope) {
+    const what = scope === UNSUBSCRIBE_SCOPES.DIGEST
+        ? 'Stop receiving ASDF Games digests?'
+        : 'Stop receiving all email from ASDF Games?';
+    const action = `/api/notifications/email/unsubscribe?token=${encodeURIComponent(token)}`;
+
+    return layout(
+        'Unsubscribe',
+        `<p>${escapeHtml(what)}</p>
+<form method="post" action="${escapeHtml(action)}">
+<input type="hidden" name="List-Unsubscribe" value="One-Click">
+<button type="submit" style="background:#FF6B00;color:#0d0d0d;border:0;padding:10px 16px;font-weight:bold;cursor:pointer">Unsubscribe</button>
+</form>`,
+        'You can turn email back on in your notification settings.'
+    );
+}
+
+// ============================================
+// DIGEST DELIVERY
+// ============================================
+
+/**
+ * Render and send one digest
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<Object>} { sent, reason? }
+ */
+async function sendDigest(wallet) {
+    const prefs = await getPreferences(wallet);
+    if (!prefs.channels.email) {
+        return { sent: false, reason: 'channel_disabled' };
+    }
+
+    const address = await getDeliverableAddress(wallet);
+    if (!address) {
+        return { sent: false, reason: 'no_address' };
+    }
+
+    const digest = await generateDigest(wallet);
+    if (!digest) {
+        return { sent: false, reason: 'digest_disabled' };
+    }
+    if (digest.summary.total === 0) {
+        return { sent: false, reason: 'empty' };
+    }
+
+    const links = {
+        digest: getUnsubscribeUrl(wallet, UNSUBSCRIBE_SCOPES.DIGEST),
+        email: getUnsubscribeUrl(wallet, UNSUBSCRIBE_SCOPES.EMAIL)
+    };
+
+    const result = await sendMail({
+        to: address,
+        ...renderDigestEmail(digest, links),
+        headers: {
+            'List-Unsubscribe': `<${links.digest}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    });
+
+    if (!result.success) {
+        stats.digestsFailed++;
+
+        // The receiving server refused the address outright
+        if (result.permanent) {
+            await handleDeliveryEvent({ type: 'bounce', bounceType: 'hard', email: address });
+        }
+        return { sent: false, reason: 'delivery_failed', error: result.error };
+    }
+
+    stats.digestsSent++;
+    return { sent: true, messageId: result.messageId };
+}
+
+/**
+ * Send every digest that is due
+ * A slot counts as handled whether or not there was anything to send;
+ * transient delivery failures are retried on the next run.
+ * @param {number} now - Timestamp
+ * @returns {Promise<Object>} { due, sent, skipped, failed }
+ */
+async function runDigests(now = Date.now()) {
+    const due = await getUsersDueForDigest(now);
+    const result = { due: due.length, sent: 0, skipped: 0, failed: 0 };
+
+    for (const { wallet, slot } of due) {
+        try {
+            const outcome = await sendDigest(wallet);
+
+            if (outcome.sent) {
+                result.sent++;
+            } else if (outcome.reason === 'delivery_failed') {
+                result.failed++;
+                continue;
+            } else {
+                result.skipped++;
+            }
+
+            await markDigestSent(wallet, slot);
+        } catch (error) {
+            result.failed++;
+            console.error('[EmailNotifications] Digest failed:', error.message);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Register the digest dispatch with the scheduler
+ * @returns {string} Task ID
+ */
+function scheduleDigests() {
+    if (!digestTaskId) {
+        ({ taskId: digestTaskId } = schedule('notification-digests', EMAIL_CONFIG.digestCron, () => runDigests(), {
+            timezone: 'UTC',
+            catchUp: 'run-once'
+        }));
+    }
+    return digestTaskId;
+}
+
+/**
+ * Stop dispatching digests
+ */
+function unscheduleDigests() {
+    if (digestTaskId) {
+        unschedule(digestTaskId);
+        digestTaskId = null;
+    }
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Get email channel statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return {
+        ...stats,
+        digestsScheduled: !!digestTaskId
+    };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Addresses
+    registerEmail,
+    verifyEmail,
+    removeEmail,
+    getEmailStatus,
+
+    // Unsubscribe
+    createUnsubscribeToken,
+    getUnsubscribeUrl,
+    checkUnsubscribeToken,
+    unsubscribe,
+
+    // Bounces
+    handleDeliveryEvent,
+    clearSuppression,
+
+    // Pages
+    renderLinkPage,
+    renderUnsubscribePage,
+
+    // Digests
+    renderDigestEmail,
+    renderVerificationEmail,
+    sendDigest,
+    runDigests,
+    scheduleDigests,
+    unscheduleDigests,
+
+    // Stats
+    getStats,
+
+    // Constants
+    EMAIL_CONFIG,
+    EMAIL_STATUS,
+    UNSUBSCRIBE_SCOPES
+};
@@ -72,6 +72,9 @@ const EVENTS = {
     REFERRAL_COMPLETED: 'referral:completed',
     REFERRAL_MILESTONE: 'referral:milestone',
 
+    // Feature flags
+    FLAG_CHANGED: 'flag:changed',
+
     // System
     WEBHOOK_RECEIVED: 'webhook:received',
     ERROR_OCCURRED: 'error:occurred',
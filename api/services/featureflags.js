@@ -5,19 +5,26 @@
  * - Boolean and multivariate flags
  * - User/segment targeting
  * - Percentage-based rollouts
- * - A/B testing support
+ * - Scheduled changes (timed enable, staged ramps, sunset)
+ * - Kill switches on error rate and analytics metrics
+ * - A/B testing with exposure tracking
  * - Environment-specific flags
+ * - Client bootstrap and live change broadcasts
  *
  * Security by Design:
  * - Flag change audit trail
  * - Access control ready
  * - No PII in flag evaluations
+ * - Automatic rollback when a guarded metric degrades
  */
 
 'use strict';
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const { getErrorRate } = require('./metrics');
+const gameAnalytics = require('./gameAnalytics');
+const { publish, EVENTS } = require('./eventBus');
 
 // ============================================
 // CONFIGURATION
@@ -34,7 +41,12 @@ const FEATURE_FLAGS_CONFIG = {
     maxFlags: 1000,
 
     // History retention
-    historyRetention: 30 * 24 * 60 * 60 * 1000  // 30 days
+    historyRetention: 30 * 24 * 60 * 60 * 1000,  // 30 days
+
+    // Scheduled changes and kill switches
+    scheduleInterval: 10 * 1000,  // 10 seconds
+    maxScheduledSteps: 20,
+    guardBreaches: 2  // Consecutive breaching checks before a guard trips
 };
 
 // Flag types
@@ -60,6 +72,12 @@ const OPERATORS = {
     REGEX: 'regex'
 };
 
+// What a tripped kill switch does
+const GUARD_ACTIONS = {
+    DISABLE: 'disable',     // Turn the flag off
+    ROLLBACK: 'rollback'    // Return to the state before the last scheduled step
+};
+
 // ============================================
 // STORAGE
 // ============================================
@@ -79,12 +97,19 @@ const evaluationCache = new Map();
 // Flag history
 const flagHistory = [];
 
+// Kill switch metric readers (name -> () => number)
+const guardMetrics = new Map();
+
 // Stats
 const featureFlagStats = {
     evaluations: 0,
     cacheHits: 0,
     flagsEnabled: 0,
-    flagsDisabled: 0
+    flagsDisabled: 0,
+    scheduledChanges: 0,
+    sunsets: 0,
+    killSwitchesTripped: 0,
+    exposures: 0
 };
 
 // ============================================
@@ -108,9 +133,28 @@ function createFlag(key, config = {}) {
         percentage = 100,
         variants = null,
         environments = ['development', 'staging', 'production'],
-        tags = []
+        tags = [],
+        schedule = [],
+        sunsetAt = null,
+        guards = [],
+        experiment = null
     } = config;
 
+    const timetable = normalizeSchedule(schedule, sunsetAt);
+    if (timetable.error) {
+        return { success: false, error: timetable.error };
+    }
+
+    const normalizedGuards = normalizeGuards(guards);
+    if (normalizedGuards.error) {
+        return { success: false, error: normalizedGuards.error };
+    }
+
+    const normalizedExperiment = normalizeExperiment(experiment, variants);
+    if (normalizedExperiment.error) {
+        return { success: false, error: normalizedExperiment.error };
+    }
+
     const flag = {
         key,
         name,
@@ -123,6 +167,13 @@ function createFlag(key, config = {}) {
         variants,
         environments,
         tags,
+        schedule: timetable.steps,
+        sunsetAt: timetable.sunsetAt,
+        schedulePaused: false,
+        rolloutSnapshot: null,
+        guards: normalizedGuards.guards,
+        killSwitch: null,
+        experiment: normalizedExperiment.experiment,
         createdAt: Date.now(),
         updatedAt: Date.now(),
         version: 1
@@ -149,6 +200,10 @@ function createFlag(key, config = {}) {
     // Clear evaluation cache for this flag
     clearFlagCache(key);
 
+    if (flag.experiment) {
+        ensureExperiment(flag);
+    }
+
     return { key, version: flag.version };
 }
 
@@ -185,6 +240,13 @@ function setFlagEnabled(key, enabled) {
     flag.updatedAt = Date.now();
     flag.version++;
 
+    // Re-enabling by hand acknowledges a tripped kill switch and resumes the schedule
+    if (enabled && flag.killSwitch) {
+        flag.killSwitch = null;
+        flag.schedulePaused = false;
+        resetGuards(flag);
+    }
+
     clearFlagCache(key);
     recordHistory(key, enabled ? 'enabled' : 'disabled', flag);
 
@@ -231,6 +293,351 @@ function setFlagTargeting(key, targeting) {
     return true;
 }
 
+// ============================================
+// SCHEDULED CHANGES
+// ============================================
+
+/**
+ * Parse a schedule time (epoch ms or ISO string)
+ * @param {number|string} value - Time
+ * @returns {number|null}
+ */
+function parseScheduleTime(value) {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validate a timetable of flag changes
+ * @param {Array} steps - [{ at, enabled?, percentage? }]
+ * @param {number|string|null} sunsetAt - When the flag switches off for good
+ * @returns {{steps: Object[], sunsetAt: number|null}|{error: string}}
+ */
+function normalizeSchedule(steps, sunsetAt) {
+    if (!Array.isArray(steps)) {
+        return { error: 'schedule must be an array' };
+    }
+    if (steps.length > FEATURE_FLAGS_CONFIG.maxScheduledSteps) {
+        return { error: `schedule is limited to ${FEATURE_FLAGS_CONFIG.maxScheduledSteps} steps` };
+    }
+
+    const normalized = [];
+    for (const step of steps) {
+        const at = parseScheduleTime(step?.at);
+        if (at === null) {
+            return { error: 'Each schedule step needs a valid "at" time' };
+        }
+        if (step.enabled !== undefined && typeof step.enabled !== 'boolean') {
+            return { error: 'Schedule step "enabled" must be a boolean' };
+        }
+        if (step.percentage !== undefined &&
+            (typeof step.percentage !== 'number' || step.percentage < 0 || step.percentage > 100)) {
+            return { error: 'Schedule step "percentage" must be 0-100' };
+        }
+        if (step.enabled === undefined && step.percentage === undefined) {
+            return { error: 'Schedule step must change "enabled" or "percentage"' };
+        }
+
+        normalized.push({
+            at,
+            enabled: step.enabled,
+            percentage: step.percentage,
+            appliedAt: null
+        });
+    }
+
+    let sunset = null;
+    if (sunsetAt !== null && sunsetAt !== undefined) {
+        sunset = parseScheduleTime(sunsetAt);
+        if (sunset === null) {
+            return { error: 'sunsetAt must be a valid time' };
+        }
+    }
+
+    normalized.sort((a, b) => a.at - b.at);
+    return { steps: normalized, sunsetAt: sunset };
+}
+
+/**
+ * Replace a flag's timetable
+ * Pending steps are dropped; a paused schedule stays paused until the flag is
+ * re-enabled.
+ * @param {string} key - Flag key
+ * @param {Object} schedule - { steps: [{ at, enabled?, percentage? }], sunsetAt? }
+ * @returns {Object}
+ */
+function setFlagSchedule(key, schedule = {}) {
+    const flag = flags.get(key);
+    if (!flag) return { success: false, error: 'Flag not found' };
+
+    const timetable = normalizeSchedule(schedule.steps || [], schedule.sunsetAt ?? null);
+    if (timetable.error) {
+        return { success: false, error: timetable.error };
+    }
+
+    flag.schedule = timetable.steps;
+    flag.sunsetAt = timetable.sunsetAt;
+    flag.updatedAt = Date.now();
+    flag.version++;
+
+    recordHistory(key, 'schedule_changed', flag);
+
+    return { success: true, key, steps: flag.schedule.length, sunsetAt: flag.sunsetAt };
+}
+
+/**
+ * Apply scheduled steps and sunsets that are due
+ * @param {number} now - Current time
+ * @returns {number} Changes applied
+ */
+function runScheduledChanges(now = Date.now()) {
+    let applied = 0;
+
+    for (const flag of flags.values()) {
+        if (!flag.schedulePaused) {
+            for (const step of flag.schedule) {
+                if (step.appliedAt || step.at > now) continue;
+                applyScheduledStep(flag, step, now);
+                applied++;
+            }
+        }
+
+        if (flag.sunsetAt && flag.sunsetAt <= now) {
+            sunsetFlag(flag, now);
+            applied++;
+        }
+    }
+
+    return applied;
+}
+
+/**
+ * Apply one scheduled step
+ * @param {Object} flag - Flag definition
+ * @param {Object} step - Schedule step
+ * @param {number} now - Current time
+ */
+function applyScheduledStep(flag, step, now) {
+    flag.rolloutSnapshot = { enabled: flag.enabled, percentage: flag.percentage };
+
+    if (step.enabled !== undefined) flag.enabled = step.enabled;
+    if (step.percentage !== undefined) flag.percentage = step.percentage;
+    step.appliedAt = now;
+
+    flag.updatedAt = now;
+    flag.version++;
+    featureFlagStats.scheduledChanges++;
+
+    clearFlagCache(flag.key);
+    recordHistory(flag.key, 'scheduled_change', flag);
+
+    logAudit('feature_flag_scheduled_change', {
+        key: flag.key,
+        enabled: flag.enabled,
+        percentage: flag.percentage
+    });
+}
+
+/**
+ * Switch a flag off at the end of its life and drop pending steps
+ * @param {Object} flag - Flag definition
+ * @param {number} now - Current time
+ */
+function sunsetFlag(flag, now) {
+    flag.enabled = false;
+    flag.sunsetAt = null;
+    flag.schedule = flag.schedule.filter(step => step.appliedAt);
+
+    flag.updatedAt = now;
+    flag.version++;
+    featureFlagStats.sunsets++;
+
+    clearFlagCache(flag.key);
+    recordHistory(flag.key, 'sunset', flag);
+
+    logAudit('feature_flag_sunset', { key: flag.key });
+}
+
+// ============================================
+// KILL SWITCHES
+// ============================================
+
+/**
+ * Register a metric kill switches can watch
+ * @param {string} name - Metric name used in guards
+ * @param {Function} reader - () => number
+ */
+function registerGuardMetric(name, reader) {
+    guardMetrics.set(name, reader);
+}
+
+/**
+ * Validate kill switch guards
+ * @param {Array} guards - [{ metric, operator?, threshold, breaches?, action? }]
+ * @returns {{guards: Object[]}|{error: string}}
+ */
+function normalizeGuards(guards) {
+    if (!Array.isArray(guards)) {
+        return { error: 'guards must be an array' };
+    }
+
+    const normalized = [];
+    for (const guard of guards) {
+        if (!guardMetrics.has(guard?.metric)) {
+            return { error: `Unknown guard metric: ${guard?.metric}` };
+        }
+
+        const operator = guard.operator || OPERATORS.GREATER_THAN;
+        if (operator !== OPERATORS.GREATER_THAN && operator !== OPERATORS.LESS_THAN) {
+            return { error: 'Guard operator must be "gt" or "lt"' };
+        }
+        if (typeof guard.threshold !== 'number' || !Number.isFinite(guard.threshold)) {
+            return { error: 'Guard threshold must be a number' };
+        }
+
+        const action = guard.action || GUARD_ACTIONS.DISABLE;
+        if (!Object.values(GUARD_ACTIONS).includes(action)) {
+            return { error: `Unknown guard action: ${action}` };
+        }
+
+        normalized.push({
+            metric: guard.metric,
+            operator,
+            threshold: guard.threshold,
+            breaches: Math.max(1, parseInt(guard.breaches) || FEATURE_FLAGS_CONFIG.guardBreaches),
+            action,
+            consecutive: 0
+        });
+    }
+
+    return { guards: normalized };
+}
+
+/**
+ * Replace a flag's kill switch guards
+ * @param {string} key - Flag key
+ * @param {Array} guards - Guard definitions
+ * @returns {Object}
+ */
+function setFlagGuards(key, guards) {
+    const flag = flags.get(key);
+    if (!flag) return { success: false, error: 'Flag not found' };
+
+    const normalized = normalizeGuards(guards);
+    if (normalized.error) {
+        return { success: false, error: normalized.error };
+    }
+
+    flag.guards = normalized.guards;
+    flag.updatedAt = Date.now();
+    flag.version++;
+
+    recordHistory(key, 'guards_changed', flag);
+
+    return { success: true, key, guards: flag.guards.length };
+}
+
+/**
+ * Read a guard metric
+ * @param {string} name - Metric name
+ * @returns {number|null} Null when the metric can't be read
+ */
+function readGuardMetric(name) {
+    try {
+        const value = Number(guardMetrics.get(name)());
+        return Number.isFinite(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check guarded flags and trip kill switches whose metric stayed past threshold
+ * @returns {string[]} Keys of flags that were rolled back
+ */
+function checkKillSwitches() {
+    const readings = new Map();
+    const tripped = [];
+
+    for (const flag of flags.values()) {
+        if (!flag.enabled || flag.killSwitch || flag.guards.length === 0) continue;
+
+        for (const guard of flag.guards) {
+            if (!readings.has(guard.metric)) {
+                readings.set(guard.metric, readGuardMetric(guard.metric));
+            }
+            const value = readings.get(guard.metric);
+            if (value === null) continue;
+
+            const breached = evaluateOperator(value, guard.operator, guard.threshold);
+            guard.consecutive = breached ? guard.consecutive + 1 : 0;
+
+            if (guard.consecutive >= guard.breaches) {
+                tripKillSwitch(flag, guard, value);
+                tripped.push(flag.key);
+                break;
+            }
+        }
+    }
+
+    return tripped;
+}
+
+/**
+ * Roll a flag back and pause its schedule
+ * @param {Object} flag - Flag definition
+ * @param {Object} guard - Guard that tripped
+ * @param {number} value - Metric reading
+ */
+function tripKillSwitch(flag, guard, value) {
+    let action = guard.action;
+    if (action === GUARD_ACTIONS.ROLLBACK && flag.rolloutSnapshot) {
+        flag.enabled = flag.rolloutSnapshot.enabled;
+        flag.percentage = flag.rolloutSnapshot.percentage;
+    } else {
+        action = GUARD_ACTIONS.DISABLE;
+        flag.enabled = false;
+    }
+
+    flag.schedulePaused = true;
+    flag.killSwitch = {
+        metric: guard.metric,
+        operator: guard.operator,
+        threshold: guard.threshold,
+        value,
+        action,
+        trippedAt: Date.now()
+    };
+    resetGuards(flag);
+
+    flag.updatedAt = Date.now();
+    flag.version++;
+    featureFlagStats.killSwitchesTripped++;
+
+    clearFlagCache(flag.key);
+    recordHistory(flag.key, 'kill_switch', flag);
+
+    logAudit('feature_flag_killed', {
+        key: flag.key,
+        metric: guard.metric,
+        threshold: guard.threshold,
+        value,
+        action
+    });
+
+    console.warn(`[FeatureFlags] Kill switch tripped for ${flag.key}: ${guard.metric}=${value} (${action})`);
+}
+
+/**
+ * Clear breach counters
+ * @param {Object} flag - Flag definition
+ */
+function resetGuards(flag) {
+    for (const guard of flag.guards) {
+        guard.consecutive = 0;
+    }
+}
+
 // ============================================
 // FLAG EVALUATION
 // ============================================
@@ -269,6 +676,9 @@ function evaluate(key, context = {}) {
     const cached = evaluationCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < FEATURE_FLAGS_CONFIG.evaluationCacheTTL) {
         featureFlagStats.cacheHits++;
+        if (cached.variant) {
+            recordExposure(flag, context, cached.variant);
+        }
         return cached.value;
     }
 
@@ -304,9 +714,10 @@ function evaluate(key, context = {}) {
     // Variants (A/B testing)
     if (flag.variants && flag.variants.length > 0) {
         const variant = selectVariant(flag, context);
-        cacheEvaluation(cacheKey, variant);
+        recordExposure(flag, context, variant);
+        cacheEvaluation(cacheKey, variant.value, variant);
         featureFlagStats.flagsEnabled++;
-        return variant;
+        return variant.value;
     }
 
     // Return true for boolean flags when enabled
@@ -464,12 +875,8 @@ function setUserOverride(flagKey, userId, value) {
         createdAt: Date.now()
     });
 
-    // Clear cache
-    for (const [cacheKey] of evaluationCache.entries()) {
-        if (cacheKey.includes(flagKey) && cacheKey.includes(userId)) {
-            evaluationCache.delete(cacheKey);
-        }
-    }
+    clearUserCache(flagKey, userId);
+    publishOverrideChange(flagKey);
 
     logAudit('feature_flag_override', {
         flagKey,
@@ -498,7 +905,36 @@ function getUserOverride(flagKey, userId) {
  */
 function removeUserOverride(flagKey, userId) {
     const key = `${flagKey}:${userId}`;
-    return userOverrides.delete(key);
+    if (!userOverrides.delete(key)) return false;
+
+    clearUserCache(flagKey, userId);
+    publishOverrideChange(flagKey);
+    return true;
+}
+
+/**
+ * Drop cached evaluations of a flag for one user
+ * @param {string} flagKey - Flag key
+ * @param {string} userId - User ID
+ */
+function clearUserCache(flagKey, userId) {
+    for (const [cacheKey] of evaluationCache.entries()) {
+        if (cacheKey.includes(flagKey) && cacheKey.includes(userId)) {
+            evaluationCache.delete(cacheKey);
+        }
+    }
+}
+
+/**
+ * Tell clients a flag's overrides changed
+ * Overrides are per user, so clients re-fetch instead of evaluating locally.
+ * @param {string} flagKey - Flag key
+ */
+function publishOverrideChange(flagKey) {
+    const flag = flags.get(flagKey);
+    if (flag) {
+        publishFlagChange(flagKey, 'override_changed', getClientFlag(flag, 'server'));
+    }
 }
 
 /**
@@ -585,15 +1021,11 @@ function getUserSegments(context) {
 
 /**
  * Select variant for user
- * @param {Object} flag - Flag definition
+ * @param {Object} flag - Flag definition (with variants)
  * @param {Object} context - Evaluation context
- * @returns {any}
+ * @returns {Object}
  */
 function selectVariant(flag, context) {
-    if (!flag.variants || flag.variants.length === 0) {
-        return flag.defaultValue;
-    }
-
     const userId = context.userId || context.wallet || context.sessionId || 'anonymous';
     const bucket = getBucket(`${flag.key}:variant`, userId);
 
@@ -602,12 +1034,85 @@ function selectVariant(flag, context) {
     for (const variant of flag.variants) {
         cumulative += variant.weight || (100 / flag.variants.length);
         if (bucket <= cumulative) {
-            return variant.value;
+            return variant;
         }
     }
 
     // Fallback to first variant
-    return flag.variants[0].value;
+    return flag.variants[0];
+}
+
+/**
+ * Name a variant the way experiment results report it
+ * @param {Object} variant - Variant definition
+ * @returns {string}
+ */
+function getVariantName(variant) {
+    if (variant.name) return variant.name;
+    return typeof variant.value === 'object'
+        ? JSON.stringify(variant.value)
+        : String(variant.value);
+}
+
+/**
+ * Validate experiment settings for a flag
+ * @param {Object|null} experiment - { conversionEvent }
+ * @param {Array|null} variants - Flag variants
+ * @returns {{experiment: Object|null}|{error: string}}
+ */
+function normalizeExperiment(experiment, variants) {
+    if (!experiment) return { experiment: null };
+
+    if (!Array.isArray(variants) || variants.length < 2) {
+        return { error: 'Experiments need at least two variants' };
+    }
+    if (typeof experiment.conversionEvent !== 'string' || !experiment.conversionEvent) {
+        return { error: 'experiment.conversionEvent required' };
+    }
+
+    const names = variants.map(getVariantName);
+    if (new Set(names).size !== names.length) {
+        return { error: 'Variant names must be unique' };
+    }
+
+    return { experiment: { conversionEvent: experiment.conversionEvent } };
+}
+
+/**
+ * Register the flag as an analytics experiment
+ * Results are kept when the flag is saved again with the same variants.
+ * @param {Object} flag - Flag definition
+ */
+function ensureExperiment(flag) {
+    const names = flag.variants.map(getVariantName);
+    const current = gameAnalytics.getExperimentResults(flag.key);
+
+    if (current.found &&
+        current.conversionEvent === flag.experiment.conversionEvent &&
+        current.variants.join('\n') === names.join('\n')) {
+        return;
+    }
+
+    gameAnalytics.defineExperiment(flag.key, names, {
+        conversionEvent: flag.experiment.conversionEvent
+    });
+}
+
+/**
+ * Report that a user was shown a variant
+ * The first exposure assigns the user to the variant for analysis.
+ * @param {Object} flag - Flag definition
+ * @param {Object} context - Evaluation context
+ * @param {Object} variant - Variant served
+ */
+function recordExposure(flag, context, variant) {
+    if (!flag.experiment) return;
+
+    const userId = context.userId || context.wallet;
+    if (!userId) return;
+
+    featureFlagStats.exposures++;
+    gameAnalytics.trackExposure(flag.key, userId, getVariantName(variant));
 }
 
 /**
@@ -638,7 +1143,7 @@ function getBucket(flagKey, userId) {
  * @returns {string}
  */
 function buildCacheKey(flagKey, context) {
-    const userId = context.userId || context.wallet || 'anon';
+    const userId = context.userId || context.wallet || context.sessionId || 'anon';
     return `${flagKey}:${userId}:${FEATURE_FLAGS_CONFIG.environment}`;
 }
 
@@ -646,10 +1151,12 @@ function buildCacheKey(flagKey, context) {
  * Cache evaluation result
  * @param {string} key - Cache key
  * @param {any} value - Value to cache
+ * @param {Object|null} variant - Variant served, for exposure tracking
  */
-function cacheEvaluation(key, value) {
+function cacheEvaluation(key, value, variant = null) {
     evaluationCache.set(key, {
         value,
+        variant,
         timestamp: Date.now()
     });
 }
@@ -714,6 +1221,73 @@ function recordHistory(key, action, flag) {
     while (flagHistory.length > 0 && flagHistory[0].timestamp < cutoff) {
         flagHistory.shift();
     }
+
+    publishFlagChange(key, action, action === 'deleted' ? null : getClientFlag(flag));
+}
+
+// ============================================
+// CLIENT SDK
+// ============================================
+
+/**
+ * Public view of a flag for browser SDKs
+ * Targeting rules stay on the server: flags that use them are marked for
+ * server evaluation, the rest can be re-evaluated locally with getBucket().
+ * @param {Object} flag - Flag definition
+ * @param {string} [evaluation] - Force 'server' evaluation
+ * @returns {Object}
+ */
+function getClientFlag(flag, evaluation) {
+    return {
+        key: flag.key,
+        version: flag.version,
+        type: flag.type,
+        defaultValue: flag.defaultValue,
+        active: flag.enabled && flag.environments.includes(FEATURE_FLAGS_CONFIG.environment),
+        percentage: flag.percentage,
+        variants: flag.variants
+            ? flag.variants.map(variant => ({
+                name: getVariantName(variant),
+                value: variant.value,
+                weight: variant.weight
+            }))
+            : null,
+        evaluation: evaluation || (flag.targeting.length > 0 ? 'server' : 'local')
+    };
+}
+
+/**
+ * Evaluate every flag for a client in one pass
+ * @param {Object} context - Evaluation context
+ * @returns {Object} key -> client flag with its value
+ */
+function getClientFlags(context = {}) {
+    const result = {};
+    const userId = context.userId || context.wallet;
+
+    for (const flag of flags.values()) {
+        const pinned = userId && getUserOverride(flag.key, userId) !== undefined;
+        result[flag.key] = {
+            ...getClientFlag(flag, pinned ? 'server' : undefined),
+            value: evaluate(flag.key, context)
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Broadcast a flag change to connected clients
+ * @param {string} key - Flag key
+ * @param {string} action - History action
+ * @param {Object|null} clientFlag - Public flag view, null when deleted
+ */
+function publishFlagChange(key, action, clientFlag) {
+    const data = clientFlag ? { ...clientFlag, action } : { key, action, deleted: true };
+
+    publish(EVENTS.FLAG_CHANGED, data).catch(error => {
+        console.error('[FeatureFlags] Change broadcast failed:', error.message);
+    });
 }
 
 // ============================================
@@ -764,6 +1338,12 @@ function getAllFlags(filters = {}) {
             percentage: flag.percentage,
             environments: flag.environments,
             tags: flag.tags,
+            schedule: flag.schedule.map(step => ({ ...step })),
+            sunsetAt: flag.sunsetAt,
+            schedulePaused: flag.schedulePaused,
+            guards: flag.guards.map(({ consecutive: _consecutive, ...guard }) => guard),
+            killSwitch: flag.killSwitch,
+            experiment: flag.experiment,
             version: flag.version,
             updatedAt: flag.updatedAt
         });
@@ -825,12 +1405,29 @@ function getStats() {
         userOverrides: userOverrides.size,
         cacheSize: evaluationCache.size,
         historySize: flagHistory.length,
+        guardMetrics: Array.from(guardMetrics.keys()),
         cacheHitRate: featureFlagStats.evaluations > 0
             ? ((featureFlagStats.cacheHits / featureFlagStats.evaluations) * 100).toFixed(2) + '%'
             : '0%'
     };
 }
 
+// ============================================
+// BACKGROUND TASKS
+// ============================================
+
+// Built-in kill switch metrics
+registerGuardMetric('errorRate', () => getErrorRate());
+registerGuardMetric('activeUsers', () => gameAnalytics.getRealtimeDashboard().activeUsers);
+registerGuardMetric('eventsLast5Min', () => gameAnalytics.getRealtimeDashboard().eventsLast5Min);
+
+// Apply due schedule steps and watch guarded flags
+const flagTimer = setInterval(() => {
+    runScheduledChanges();
+    checkKillSwitches();
+}, FEATURE_FLAGS_CONFIG.scheduleInterval);
+if (flagTimer.unref) flagTimer.unref();
+
 // ============================================
 // PREDEFINED FLAGS
 // ============================================
@@ -867,6 +1464,7 @@ module.exports = {
     // Constants
     FLAG_TYPES,
     OPERATORS,
+    GUARD_ACTIONS,
 
     // Flag management
     createFlag,
@@ -875,6 +1473,15 @@ module.exports = {
     setFlagPercentage,
     setFlagTargeting,
 
+    // Scheduled changes
+    setFlagSchedule,
+    runScheduledChanges,
+
+    // Kill switches
+    setFlagGuards,
+    registerGuardMetric,
+    checkKillSwitches,
+
     // Evaluation
     evaluate,
     isEnabled,
@@ -897,6 +1504,9 @@ module.exports = {
     getAllFlags,
     getHistory,
 
+    // Client SDK
+    getClientFlags,
+
     // Utils
     getBucket,
 
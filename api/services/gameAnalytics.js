@@ -6,7 +6,7 @@
  * - Game performance metrics
  * - Cohort analysis
  * - Retention tracking
- * - A/B testing support
+ * - A/B testing with significance testing
  * - Real-time dashboards
  *
  * @version 1.0.0
@@ -47,7 +47,13 @@ const ANALYTICS_CONFIG = {
 
     // Memory limits
     maxEventsBuffer: 10000,
-    maxUniqueUsers: 50000
+    maxUniqueUsers: 50000,
+
+    // Experiment significance (two-proportion z-test against the control)
+    experiments: {
+        significanceLevel: 0.05,
+        minSampleSize: 30   // Users per variant before a result is reported
+    }
 };
 
 // Event types
@@ -177,6 +183,9 @@ function trackEvent(eventType, data = {}) {
     if (data.experiment) {
         trackExperiment(data.experiment, eventType, data);
     }
+    if (userId) {
+        trackExposedConversions(userId, eventType, data);
+    }
 
     return { tracked: true, eventId };
 }
@@ -608,16 +617,20 @@ function getFunnelAnalysis(funnelId) {
 
 /**
  * Define an experiment
+ * The first variant is the control.
  * @param {string} experimentId - Experiment ID
  * @param {string[]} variants - Variant names
+ * @param {Object} options - { conversionEvent } counted automatically for exposed users
  */
-function defineExperiment(experimentId, variants) {
+function defineExperiment(experimentId, variants, options = {}) {
     experiments.set(experimentId, {
         id: experimentId,
         variants,
+        conversionEvent: options.conversionEvent || null,
         assignments: new Map(),
+        converted: new Set(),
         metrics: variants.reduce((acc, v) => {
-            acc[v] = { users: 0, conversions: 0, totalValue: 0 };
+            acc[v] = { users: 0, conversions: 0, convertedUsers: 0, totalValue: 0 };
             return acc;
         }, {})
     });
@@ -662,11 +675,109 @@ function trackExperiment(experimentData, eventType, data) {
     if (!experiment || !experiment.metrics[variant]) return;
 
     if (eventType === conversionEvent) {
-        experiment.metrics[variant].conversions++;
-        experiment.metrics[variant].totalValue += conversionValue || 1;
+        const userId = data.wallet ? hashUserId(data.wallet) : null;
+        recordConversion(experiment, variant, userId, conversionValue);
     }
 }
 
+/**
+ * Record that a user was served a variant (feature flag exposure)
+ * Users keep their first variant so results aren't mixed when weights change.
+ * @param {string} experimentId - Experiment ID
+ * @param {string} userId - User ID or wallet (hashed before storage)
+ * @param {string} variant - Variant name
+ * @returns {boolean} Whether this was the user's first exposure
+ */
+function trackExposure(experimentId, userId, variant) {
+    const experiment = experiments.get(experimentId);
+    if (!experiment || !experiment.metrics[variant]) return false;
+
+    const hashedId = hashUserId(userId);
+    if (experiment.assignments.has(hashedId)) return false;
+
+    experiment.assignments.set(hashedId, variant);
+    experiment.metrics[variant].users++;
+    return true;
+}
+
+/**
+ * Count conversions for experiments the user was exposed to
+ * @param {string} userId - Hashed user ID
+ * @param {string} eventType - Event type
+ * @param {Object} data - Event data
+ */
+function trackExposedConversions(userId, eventType, data) {
+    for (const experiment of experiments.values()) {
+        if (experiment.conversionEvent !== eventType) continue;
+        if (data.experiment?.experimentId === experiment.id) continue;
+
+        const variant = experiment.assignments.get(userId);
+        if (variant) {
+            recordConversion(experiment, variant, userId, data.value);
+        }
+    }
+}
+
+/**
+ * Add a conversion to a variant
+ * @param {Object} experiment - Experiment
+ * @param {string} variant - Variant name
+ * @param {string|null} userId - Hashed user ID, for unique converters
+ * @param {number} value - Conversion value
+ */
+function recordConversion(experiment, variant, userId, value) {
+    const variantMetrics = experiment.metrics[variant];
+    variantMetrics.conversions++;
+    variantMetrics.totalValue += value || 1;
+
+    if (userId && !experiment.converted.has(userId)) {
+        experiment.converted.add(userId);
+        variantMetrics.convertedUsers++;
+    }
+}
+
+/**
+ * Standard normal cumulative distribution
+ * Abramowitz & Stegun 7.1.26 (error < 1.5e-7)
+ * @param {number} z - Z score
+ * @returns {number}
+ */
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t +
+        0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-proportion z-test of a variant against the control
+ * @param {Object} control - { users, convertedUsers }
+ * @param {Object} variant - { users, convertedUsers }
+ * @returns {Object}
+ */
+function compareToControl(control, variant) {
+    const { significanceLevel, minSampleSize } = ANALYTICS_CONFIG.experiments;
+
+    if (control.users < minSampleSize || variant.users < minSampleSize) {
+        return { zScore: null, pValue: null, significant: false, reason: 'insufficient_sample' };
+    }
+
+    const p1 = control.convertedUsers / control.users;
+    const p2 = variant.convertedUsers / variant.users;
+    const pooled = (control.convertedUsers + variant.convertedUsers) / (control.users + variant.users);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.users + 1 / variant.users));
+
+    const zScore = standardError > 0 ? (p2 - p1) / standardError : 0;
+    const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+
+    return {
+        zScore: Number(zScore.toFixed(3)),
+        pValue: Number(pValue.toFixed(4)),
+        significant: pValue < significanceLevel
+    };
+}
+
 /**
  * Get experiment results
  * @param {string} experimentId - Experiment ID
@@ -680,7 +791,9 @@ function getExperimentResults(experimentId) {
     }
 
     const results = {};
+    const control = experiment.metrics[experiment.variants[0]];
     let controlRate = null;
+    let winner = null;
 
     for (const [variant, data] of Object.entries(experiment.metrics)) {
         const conversionRate = data.users > 0
@@ -690,6 +803,7 @@ function getExperimentResults(experimentId) {
         results[variant] = {
             users: data.users,
             conversions: data.conversions,
+            convertedUsers: data.convertedUsers,
             conversionRate: (conversionRate * 100).toFixed(2) + '%',
             avgValue: data.conversions > 0
                 ? (data.totalValue / data.conversions).toFixed(2)
@@ -698,15 +812,30 @@ function getExperimentResults(experimentId) {
 
         if (variant === experiment.variants[0]) {
             controlRate = conversionRate;
-        } else if (controlRate !== null && controlRate > 0) {
+            continue;
+        }
+
+        if (controlRate !== null && controlRate > 0) {
             results[variant].lift = (((conversionRate - controlRate) / controlRate) * 100).toFixed(1) + '%';
         }
+
+        const significance = compareToControl(control, data);
+        results[variant].significance = significance;
+
+        if (significance.significant && significance.zScore > 0 &&
+            (!winner || significance.zScore > results[winner].significance.zScore)) {
+            winner = variant;
+        }
     }
 
     return {
         found: true,
         experimentId,
         variants: experiment.variants,
+        control: experiment.variants[0],
+        conversionEvent: experiment.conversionEvent,
+        significanceLevel: ANALYTICS_CONFIG.experiments.significanceLevel,
+        winner,
         results
     };
 }
@@ -928,6 +1057,7 @@ module.exports = {
     // Experiments
     defineExperiment,
     getVariant,
+    trackExposure,
     getExperimentResults,
 
     // Dashboards
@@ -34,6 +34,10 @@ const REPLAY_CONFIG = {
         flappy: 1000,      // Max flaps in a game
         snake: 5000,       // Max moves in a game
         tetris: 10000,     // Max rotations/moves
+        tokencatcher: 6765, // fib[20], matches GameSim.MAX_ACTIONS
+        burnrunner: 6765,
+        scamblaster: 6765,
+        stakestacker: 6765,
         default: 2000
     },
 
@@ -42,6 +46,10 @@ const REPLAY_CONFIG = {
         flappy: 50,        // 50ms = 20 actions/sec max
         snake: 30,         // 30ms = ~33 moves/sec max
         tetris: 16,        // 16ms = 60fps rotation
+        tokencatcher: 0,   // Frame-stamped sims: several inputs may share a tick
+        burnrunner: 0,
+        scamblaster: 0,
+        stakestacker: 0,
         default: 20
     },
 
@@ -52,6 +60,10 @@ const REPLAY_CONFIG = {
             flappy: 15,    // Max 15 flaps/second
             snake: 20,     // Max 20 moves/second
             tetris: 30,    // Max 30 actions/second
+            tokencatcher: 60, // One coalesced move per tick
+            burnrunner: 25,
+            scamblaster: 60,
+            stakestacker: 25,
             default: 25
         }
     },
@@ -71,6 +83,11 @@ const VALID_ACTIONS = {
     flappy: ['flap', 'start', 'pause', 'resume'],
     snake: ['up', 'down', 'left', 'right', 'start', 'pause'],
     tetris: ['left', 'right', 'rotate_cw', 'rotate_ccw', 'soft_drop', 'hard_drop', 'hold', 'start', 'pause'],
+    // Deterministic sims (js/games/sim), re-simulated on submit
+    tokencatcher: ['move', 'lane', 'shoot', 'point'],
+    burnrunner: ['jump', 'dash', 'shield'],
+    scamblaster: ['mode', 'aim', 'shoot'],
+    stakestacker: ['drop'],
     default: ['action', 'start', 'pause', 'resume']
 };
 
@@ -150,7 +167,7 @@ function recordAction(sessionId, action) {
         return { recorded: false, error: 'Replay not in recording state' };
     }
 
-    const { type, timestamp, data = {} } = action;
+    const { type, timestamp, frame, data = {} } = action;
 
     // Validate action type
     const validActions = VALID_ACTIONS[replay.gameType] || VALID_ACTIONS.default;
@@ -163,6 +180,14 @@ function recordAction(sessionId, action) {
         return { recorded: false, error: 'Invalid action type' };
     }
 
+    // Frame-stamped actions (deterministic sims) must be in tick order
+    if (frame !== undefined) {
+        const lastFrame = replay.actions.length > 0 ? replay.actions[replay.actions.length - 1].f : 0;
+        if (!Number.isInteger(frame) || frame < 0 || frame < lastFrame) {
+            return { recorded: false, error: 'Invalid action frame' };
+        }
+    }
+
     // Check action limit
     const maxActions = REPLAY_CONFIG.maxActions[replay.gameType] || REPLAY_CONFIG.maxActions.default;
     if (replay.actions.length >= maxActions) {
@@ -195,6 +220,7 @@ function recordAction(sessionId, action) {
     // Record action (compressed format)
     replay.actions.push({
         t: timestamp - replay.startTime,  // Relative timestamp
+        f: frame,                          // Sim tick (frame-stamped games only)
         a: type,                           // Action type
         d: Object.keys(data).length > 0 ? data : undefined  // Optional data
     });
@@ -0,0 +1,188 @@
+/**
+ * ASDF API - Deterministic Game Simulation Service
+ *
+ * Server-side re-simulation of arcade replays:
+ * - Loads the shared rule modules from js/games/sim (same code as the browser)
+ * - Issues per-session seeds and records the submitted action stream
+ * - Re-runs the stream and rejects any score the rules don't reproduce
+ *
+ * Philosophy: Don't trust, verify - the score is whatever the rules say
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Server-chosen seed, never client-supplied
+ * - Replay length bounded by wall-clock session time
+ * - Rule modules run in an isolated vm context
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const gameReplay = require('./gameReplay');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const SIM_CONFIG = {
+    // Shared rule modules (browser script files)
+    simDir: path.join(__dirname, '..', '..', 'js', 'games', 'sim'),
+    ruleFiles: ['tokencatcher.js', 'burnrunner.js', 'scamblaster.js', 'stakestacker.js'],
+
+    // Wall-clock slack between server session start and the client's first tick
+    toleranceMs: 1000,
+
+    // vm guard per script evaluation
+    loadTimeoutMs: 1000
+};
+
+// ============================================
+// RULE LOADING
+// ============================================
+
+let GameSim = null;
+
+/**
+ * Load sim/core.js and the game rules into an isolated context
+ * The files are plain browser scripts exporting to window, so they are
+ * evaluated rather than required (the web root is an ES module package).
+ * @returns {Object} GameSim with all rules registered
+ */
+function loadSim() {
+    if (GameSim) return GameSim;
+
+    const sandbox = { window: {} };
+    vm.createContext(sandbox);
+
+    for (const file of ['core.js', ...SIM_CONFIG.ruleFiles]) {
+        const filename = path.join(SIM_CONFIG.simDir, file);
+        const code = fs.readFileSync(filename, 'utf8');
+        vm.runInContext(code, sandbox, { filename, timeout: SIM_CONFIG.loadTimeoutMs });
+    }
+
+    if (!sandbox.window.GameSim) {
+        throw new Error('Game simulation core failed to load');
+    }
+
+    GameSim = sandbox.window.GameSim;
+    return GameSim;
+}
+
+/**
+ * Check if a game type is validated by re-simulation
+ * @param {string} gameType - Game type
+ * @returns {boolean}
+ */
+function isSimulated(gameType) {
+    return SIM_CONFIG.ruleFiles.includes(`${gameType}.js`) && loadSim().has(gameType);
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * Open a simulated session: issue the seed and start recording the replay
+ * @param {string} sessionId - Game session ID
+ * @param {string} gameType - Game type
+ * @param {string} wallet - Player wallet
+ * @param {number} [seed] - Fixed seed (tournaments: every player gets the same run)
+ * @returns {{seed: number, rulesVersion: number, replayStart: number}}
+ */
+function openSession(sessionId, gameType, wallet, seed = crypto.randomBytes(4).readUInt32BE(0)) {
+    const rules = loadSim().get(gameType);
+
+    const { startTime } = gameReplay.startReplay(sessionId, gameType, wallet);
+
+    return { seed, rulesVersion: rules.version || 1, replayStart: startTime };
+}
+
+/**
+ * Verify a submitted replay against the session seed
+ * The client's action stream is recorded through gameReplay, then the
+ * recorded copy is re-simulated from scratch.
+ * @param {string} sessionId - Game session ID
+ * @param {Object} session - { gameType, seed, rulesVersion, replayStart }
+ * @param {number} score - Reported score
+ * @param {Object} replay - { rulesVersion, options, actions }
+ * @param {number} elapsedMs - Server-measured session duration
+ * @returns {{valid: boolean, score?: number, ticks?: number, error?: string, replayId?: string}}
+ */
+function verifyReplay(sessionId, session, score, replay, elapsedMs) {
+    const sim = loadSim();
+
+    if (!replay || typeof replay !== 'object' || !Array.isArray(replay.actions)) {
+        return { valid: false, error: 'Replay required' };
+    }
+    if (replay.rulesVersion !== session.rulesVersion) {
+        return { valid: false, error: 'Game rules outdated, please reload' };
+    }
+    if (replay.actions.length > sim.MAX_ACTIONS) {
+        return { valid: false, error: 'Replay too long' };
+    }
+
+    // Record through the replay service (type + frame checks, audit trail)
+    for (const action of replay.actions) {
+        if (!action || typeof action !== 'object') {
+            return { valid: false, error: 'Replay rejected: malformed action' };
+        }
+        const recorded = gameReplay.recordAction(sessionId, {
+            type: action.a,
+            frame: action.f,
+            timestamp: session.replayStart + Math.round((Number(action.f) || 0) * sim.TICK_MS),
+            data: action.d && typeof action.d === 'object' ? action.d : {}
+        });
+        if (!recorded.recorded) {
+            return { valid: false, error: `Replay rejected: ${recorded.error}` };
+        }
+    }
+
+    const completed = gameReplay.completeReplay(sessionId, { score });
+    const stored = gameReplay.getReplay(completed.replayId);
+
+    // The replay can't have lasted longer than the session itself
+    const maxTicks = Math.ceil((elapsedMs + SIM_CONFIG.toleranceMs) / sim.TICK_MS);
+    const options = replay.options && typeof replay.options === 'object' ? replay.options : {};
+
+    const result = sim.replay(
+        session.gameType,
+        session.seed,
+        stored.actions.map(a => ({ f: a.f, a: a.a, d: a.d })),
+        { width: options.width, height: options.height, maxTicks }
+    );
+
+    const base = { score: result.score, ticks: result.ticks, replayId: completed.replayId };
+
+    if (!result.valid) {
+        return { ...base, valid: false, error: `Replay rejected: ${result.error}` };
+    }
+    if (!result.gameOver) {
+        return { ...base, valid: false, error: 'Replay does not reach game over' };
+    }
+    if (result.score !== score) {
+        return { ...base, valid: false, error: 'Score does not match replay' };
+    }
+
+    return { ...base, valid: true };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Rules
+    loadSim,
+    isSimulated,
+
+    // Sessions
+    openSession,
+    verifyReplay,
+
+    // Config
+    SIM_CONFIG
+};
@@ -17,6 +17,7 @@
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const gameSimulation = require('./gameSimulation');
 
 // Game configuration (Fibonacci-based constraints)
 const GAME_CONFIG = {
@@ -36,6 +37,36 @@ const GAME_CONFIG = {
         maxGameDuration: 1800000,    // 30 minutes
         suspiciousThreshold: 0.90
     },
+    // Arcade games (js/games/sim): scores are re-simulated on submit,
+    // so these caps are only a backstop
+    tokencatcher: {
+        maxScorePerSecond: 144,
+        maxPossibleScore: 46368,
+        minGameDuration: 1000,
+        maxGameDuration: 120000,     // 34s round + loading
+        suspiciousThreshold: 0.95
+    },
+    burnrunner: {
+        maxScorePerSecond: 89,
+        maxPossibleScore: 121393,
+        minGameDuration: 1000,
+        maxGameDuration: 1320000,    // 21 minute rules hard stop + 1 minute
+        suspiciousThreshold: 0.95
+    },
+    scamblaster: {
+        maxScorePerSecond: 233,
+        maxPossibleScore: 317811,
+        minGameDuration: 1000,
+        maxGameDuration: 2100000,    // 34 minute rules hard stop + 1 minute
+        suspiciousThreshold: 0.95
+    },
+    stakestacker: {
+        maxScorePerSecond: 610,
+        maxPossibleScore: 832040,
+        minGameDuration: 1000,
+        maxGameDuration: 840000,     // 13 minute rules hard stop + 1 minute
+        suspiciousThreshold: 0.95
+    },
     // Generic game defaults
     default: {
         maxScorePerSecond: 10,
@@ -55,7 +86,7 @@ const gameSessions = new Map();
 // Player score history for anomaly detection
 const playerHistory = new Map();
 
-// Session expiry (10 minutes)
+// Session expiry (10 minutes, or the game's max duration if longer)
 const SESSION_EXPIRY = 10 * 60 * 1000;
 
 // ============================================
@@ -66,9 +97,10 @@ const SESSION_EXPIRY = 10 * 60 * 1000;
  * Start a new game session
  * @param {string} wallet - Player wallet
  * @param {string} gameType - Type of game
- * @returns {{sessionId: string, token: string, startTime: number}}
+ * @param {Object} options - { seed?: fixed seed for simulated games, context?: returned on submit }
+ * @returns {{sessionId: string, token: string, startTime: number, seed?: number}}
  */
-function startGameSession(wallet, gameType = 'default') {
+function startGameSession(wallet, gameType = 'default', options = {}) {
     // Cleanup old sessions
     cleanupExpiredSessions();
 
@@ -83,14 +115,26 @@ function startGameSession(wallet, gameType = 'default') {
         .digest('hex');
 
     // Store session
-    gameSessions.set(sessionId, {
+    const session = {
         wallet,
         gameType,
         startTime,
         token,
         scoreSubmitted: false,
         lastActivity: startTime
-    });
+    };
+
+    // Simulated games: server-chosen seed, replay re-run on submit
+    if (gameSimulation.isSimulated(gameType)) {
+        Object.assign(session, gameSimulation.openSession(sessionId, gameType, wallet, options.seed));
+    }
+
+    // Caller data handed back with the validated score (e.g. tournament match)
+    if (options.context) {
+        session.context = options.context;
+    }
+
+    gameSessions.set(sessionId, session);
 
     logAudit('game_session_start', {
         wallet: wallet.slice(0, 8) + '...',
@@ -98,12 +142,17 @@ function startGameSession(wallet, gameType = 'default') {
         sessionId: sessionId.slice(0, 8) + '...'
     });
 
-    return {
+    const result = {
         sessionId,
         token,
         startTime,
         gameType
     };
+    if (session.seed !== undefined) {
+        result.seed = session.seed;
+        result.rulesVersion = session.rulesVersion;
+    }
+    return result;
 }
 
 /**
@@ -135,7 +184,8 @@ function cleanupExpiredSessions() {
     let cleaned = 0;
 
     for (const [sessionId, session] of gameSessions.entries()) {
-        if (now - session.startTime > SESSION_EXPIRY) {
+        const config = GAME_CONFIG[session.gameType] || GAME_CONFIG.default;
+        if (now - session.startTime > Math.max(SESSION_EXPIRY, config.maxGameDuration)) {
             gameSessions.delete(sessionId);
             cleaned++;
         }
@@ -155,8 +205,8 @@ function cleanupExpiredSessions() {
  * @param {string} sessionId - Game session ID
  * @param {string} token - Session token
  * @param {number} score - Final score
- * @param {Object} gameData - Additional game data for validation
- * @returns {{valid: boolean, score?: number, error?: string, suspicious?: boolean}}
+ * @param {Object} gameData - Additional game data for validation ({ replay } for simulated games)
+ * @returns {{valid: boolean, score?: number, error?: string, suspicious?: boolean, verified?: boolean}}
  */
 function submitScore(sessionId, token, score, gameData = {}) {
     // Verify session exists
@@ -229,6 +279,26 @@ function submitScore(sessionId, token, score, gameData = {}) {
         return { valid: false, error: 'Score rate too high', suspicious: true };
     }
 
+    // Re-simulate the action stream for seeded sessions
+    let replayId = null;
+    if (session.seed !== undefined) {
+        const check = gameSimulation.verifyReplay(sessionId, session, score, gameData.replay, duration);
+        replayId = check.replayId || null;
+
+        if (!check.valid) {
+            // One attempt per seed: no retrying with different streams
+            session.scoreSubmitted = true;
+            logAudit('score_replay_rejected', {
+                wallet: session.wallet.slice(0, 8) + '...',
+                gameType: session.gameType,
+                reported: score,
+                simulated: check.score,
+                error: check.error
+            });
+            return { valid: false, error: check.error, suspicious: check.score !== undefined };
+        }
+    }
+
     // Statistical anomaly detection
     const anomalyResult = checkForAnomalies(session.wallet, score, session.gameType);
 
@@ -245,16 +315,23 @@ function submitScore(sessionId, token, score, gameData = {}) {
         score,
         duration,
         gameType: session.gameType,
-        suspicious: anomalyResult.suspicious
+        suspicious: anomalyResult.suspicious,
+        replayId
     });
 
-    return {
+    const result = {
         valid: true,
         score,
         duration,
+        gameType: session.gameType,
+        verified: replayId !== null,
         suspicious: anomalyResult.suspicious,
         percentile: anomalyResult.percentile
     };
+    if (session.context) {
+        result.context = session.context;
+    }
+    return result;
 }
 
 // ============================================
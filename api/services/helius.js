@@ -146,7 +146,7 @@ class SimpleCache {
 const cache = new SimpleCache();
 
 // Cleanup cache every 5 minutes
-setInterval(() => cache.cleanup(), 5 * 60 * 1000);
+setInterval(() => cache.cleanup(), 5 * 60 * 1000).unref?.();
 
 // ============================================
 // RETRY LOGIC
@@ -208,6 +208,15 @@ async function withRetry(fn, operation = 'RPC call') {
 // CONNECTION MANAGEMENT WITH FAILOVER
 // ============================================
 
+/**
+ * RPC failover service, for reads that must stay slot-consistent per wallet
+ * Loaded lazily: it requires leaderboard, which requires this module.
+ * @returns {Object} rpcFailover exports
+ */
+function getRpc() {
+    return require('./rpcFailover');
+}
+
 // Connection pool for resilience
 const connectionPool = {
     primary: null,
@@ -450,7 +459,8 @@ async function getBatchTokenBalances(walletAddresses) {
 
 /**
  * Get token balance for a wallet
- * Uses caching and retry logic for reliability
+ * Read through rpcFailover with the wallet as session, so it is never
+ * served from a slot before the wallet's last confirmed burn
  * @param {string} walletAddress - Solana wallet address
  * @returns {Promise<{balance: number, isHolder: boolean}>}
  */
@@ -460,40 +470,32 @@ async function getTokenBalance(walletAddress) {
     const cached = cache.get(cacheKey);
     if (cached) return cached;
 
-    return withRetry(async () => {
-        const conn = getConnection();
-        const wallet = new PublicKey(walletAddress);
-        const mint = new PublicKey(ASDF_TOKEN_MINT);
-
-        try {
-            // Get associated token account
-            const tokenAccount = await getAssociatedTokenAddress(mint, wallet);
+    const wallet = new PublicKey(walletAddress);
+    const mint = new PublicKey(ASDF_TOKEN_MINT);
 
-            // Check if account exists and get balance
-            const accountInfo = await conn.getTokenAccountBalance(tokenAccount);
+    // Get associated token account
+    const tokenAccount = await getAssociatedTokenAddress(mint, wallet);
 
-            const balance = accountInfo.value.uiAmount || 0;
+    // getTokenAccountBalance takes no minContextSlot; the parsed account does
+    const accountInfo = await getRpc().executeRequest(
+        'getAccountInfo',
+        [tokenAccount.toBase58(), { encoding: 'jsonParsed', commitment: 'confirmed' }],
+        { session: walletAddress }
+    );
 
-            const result = {
-                balance: balance,
-                rawBalance: accountInfo.value.amount,
-                isHolder: balance >= MIN_HOLDER_BALANCE
-            };
+    // Account doesn't exist = 0 balance
+    const tokenAmount = accountInfo?.value?.data?.parsed?.info?.tokenAmount;
+    const balance = tokenAmount?.uiAmount || 0;
 
-            // Cache the result
-            cache.set(cacheKey, result, CACHE_TTL.tokenBalance);
-            return result;
+    const result = {
+        balance: balance,
+        rawBalance: tokenAmount?.amount || '0',
+        isHolder: balance >= MIN_HOLDER_BALANCE
+    };
 
-        } catch (error) {
-            // Account doesn't exist = 0 balance (don't retry this)
-            if (error.message?.includes('could not find account')) {
-                const result = { balance: 0, rawBalance: '0', isHolder: false };
-                cache.set(cacheKey, result, CACHE_TTL.tokenBalance);
-                return result;
-            }
-            throw error;
-        }
-    }, 'getTokenBalance');
+    // Cache the result
+    cache.set(cacheKey, result, CACHE_TTL.tokenBalance);
+    return result;
 }
 
 /**
@@ -538,8 +540,6 @@ async function getTokenSupply() {
  */
 async function buildBurnTransaction(walletAddress, amount) {
     return withRetry(async () => {
-        const conn = getConnection();
-
         const wallet = new PublicKey(walletAddress);
         const mint = new PublicKey(ASDF_TOKEN_MINT);
 
@@ -574,7 +574,11 @@ async function buildBurnTransaction(walletAddress, amount) {
         );
 
         // Build transaction
-        const { blockhash, lastValidBlockHeight } = await conn.getLatestBlockhash('confirmed');
+        const { value: { blockhash, lastValidBlockHeight } } = await getRpc().executeRequest(
+            'getLatestBlockhash',
+            [{ commitment: 'confirmed' }],
+            { session: walletAddress }
+        );
 
         const transaction = new Transaction({
             feePayer: wallet,
@@ -613,13 +617,12 @@ async function buildBurnTransaction(walletAddress, amount) {
 async function verifyBurnTransaction(signature, expectedWallet, expectedAmount) {
     // Don't cache verification - must always check on-chain
     return withRetry(async () => {
-        const conn = getConnection();
-
         // Get transaction details with confirmed commitment
-        const tx = await conn.getParsedTransaction(signature, {
+        const tx = await getRpc().executeRequest('getTransaction', [signature, {
+            encoding: 'jsonParsed',
             commitment: 'confirmed',
             maxSupportedTransactionVersion: 0
-        });
+        }], { session: expectedWallet });
 
         if (!tx) {
             // Transaction might not be indexed yet - this should trigger retry
@@ -669,8 +672,10 @@ async function verifyBurnTransaction(signature, expectedWallet, expectedAmount)
             };
         }
 
-        // Invalidate balance cache for this wallet (they just burned)
+        // Invalidate balance cache for this wallet (they just burned), and keep
+        // its next reads at or after the burn's slot on every endpoint
         cache.delete(`balance:${expectedWallet}`);
+        getRpc().recordSessionSlot(expectedWallet, tx.slot);
 
         return {
             valid: true,
@@ -22,6 +22,7 @@
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const { startSpan, endSpan, injectTraceHeaders } = require('./tracing');
 
 // ============================================
 // CONFIGURATION
@@ -65,6 +66,41 @@ const CACHE_CONFIG = {
 // In-memory cache
 const cache = new Map();
 
+// ============================================
+// TRACED FETCH
+// ============================================
+
+/**
+ * fetch() as a client span of the current trace, sending traceparent
+ * Only the URL path is tagged: Helius URLs carry the API key.
+ * @param {string} operation - Span name suffix (API method)
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+async function tracedFetch(operation, url, options = {}) {
+    const span = startSpan(`helius ${operation}`, { kind: 'client' });
+    span?.setTags({
+        'http.method': options.method || 'GET',
+        'http.url': new URL(url).pathname,
+        'peer.service': 'helius'
+    });
+
+    try {
+        const response = await fetch(url, {
+            ...options,
+            headers: injectTraceHeaders({ ...options.headers }, span)
+        });
+        span?.setTag('http.status_code', response.status);
+        return response;
+    } catch (error) {
+        span?.setError(error);
+        throw error;
+    } finally {
+        endSpan(span);
+    }
+}
+
 // ============================================
 // CACHE UTILITIES
 // ============================================
@@ -325,7 +361,8 @@ async function parseTransaction(signature) {
     if (cached) return cached;
 
     try {
-        const response = await fetch(
+        const response = await tracedFetch(
+            'parseTransaction',
             `${HELIUS_API.REST}/v0/transactions/?api-key=${HELIUS_API_KEY}`,
             {
                 method: 'POST',
@@ -382,7 +419,8 @@ async function parseTransactions(signatures) {
     }
 
     try {
-        const response = await fetch(
+        const response = await tracedFetch(
+            'parseTransactions',
             `${HELIUS_API.REST}/v0/transactions/?api-key=${HELIUS_API_KEY}`,
             {
                 method: 'POST',
@@ -433,7 +471,7 @@ async function getEnhancedTransactionHistory(address, options = {}) {
     if (limit) url += `&limit=${limit}`;
 
     try {
-        const response = await fetch(url, { timeout: 15000 });
+        const response = await tracedFetch('getTransactionHistory', url, { timeout: 15000 });
 
         if (!response.ok) {
             throw new Error(`History API error: ${response.status}`);
@@ -469,7 +507,8 @@ async function createWebhook(config) {
     }
 
     try {
-        const response = await fetch(
+        const response = await tracedFetch(
+            'createWebhook',
             `${HELIUS_API.REST}/v0/webhooks?api-key=${HELIUS_API_KEY}`,
             {
                 method: 'POST',
@@ -510,7 +549,8 @@ async function createWebhook(config) {
  */
 async function getWebhooks() {
     try {
-        const response = await fetch(
+        const response = await tracedFetch(
+            'getWebhooks',
             `${HELIUS_API.REST}/v0/webhooks?api-key=${HELIUS_API_KEY}`
         );
 
@@ -533,7 +573,8 @@ async function getWebhooks() {
  */
 async function deleteWebhook(webhookId) {
     try {
-        const response = await fetch(
+        const response = await tracedFetch(
+            'deleteWebhook',
             `${HELIUS_API.REST}/v0/webhooks/${webhookId}?api-key=${HELIUS_API_KEY}`,
             { method: 'DELETE' }
         );
@@ -595,7 +636,7 @@ async function callDasApi(method, params) {
 
     for (let attempt = 0; attempt < DAS_CONFIG.retries; attempt++) {
         try {
-            const response = await fetch(HELIUS_API.RPC, {
+            const response = await tracedFetch(method, HELIUS_API.RPC, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -641,7 +682,7 @@ async function callDasApi(method, params) {
  * @returns {Promise<Object>}
  */
 async function callRpcMethod(method, params) {
-    const response = await fetch(HELIUS_API.RPC, {
+    const response = await tracedFetch(method, HELIUS_API.RPC, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -706,7 +747,8 @@ async function healthCheck() {
     // Check Enhanced API
     try {
         const apiStart = Date.now();
-        const response = await fetch(
+        const response = await tracedFetch(
+            'healthCheck',
             `${HELIUS_API.REST}/v0/addresses/So11111111111111111111111111111111111111112/transactions?api-key=${HELIUS_API_KEY}&limit=1`,
             { timeout: 5000 }
         );
@@ -765,6 +807,7 @@ module.exports = {
     verifyWebhookSignature,
 
     // Utilities
+    callRpcMethod,
     healthCheck,
     getMetrics,
     clearCache,
@@ -117,8 +117,9 @@ function calculateTierFromXP(xp) {
  * @param {string} wallet - Wallet address
  * @param {number} amount - Amount burned
  * @param {string} signature - Transaction signature
+ * @param {number} [timestamp] - When the burn happened (ms), for season boards
  */
-function recordBurn(wallet, amount, signature) {
+function recordBurn(wallet, amount, signature, timestamp) {
     const now = Date.now();
 
     // Add to burn records
@@ -155,6 +156,11 @@ function recordBurn(wallet, amount, signature) {
     cache.delete('leaderboard:xp');
     cache.delete(`userRank:${wallet}`);
 
+    // Seasonal boards live in storage; loaded lazily (seasons requires this module)
+    require('./seasons')
+        .recordBurn(wallet, amount, { signature, timestamp })
+        .catch(error => console.error('[Leaderboard] Season burn not recorded:', error.message));
+
     console.log(`[Leaderboard] Recorded burn: ${wallet.slice(0, 8)}... burned ${amount}`);
 }
 
@@ -416,7 +422,8 @@ async function syncFromBlockchain() {
             // Only add if we don't have this burn
             const exists = burnRecords.some(r => r.signature === burn.signature);
             if (!exists && burn.amount > 0) {
-                recordBurn(burn.wallet, burn.amount, burn.signature);
+                // Helius timestamps are in seconds
+                recordBurn(burn.wallet, burn.amount, burn.signature, burn.timestamp ? burn.timestamp * 1000 : undefined);
             }
         }
 
@@ -366,6 +366,10 @@ module.exports = {
     // Recording
     recordRequest,
 
+    // Rates
+    getRequestRate,
+    getErrorRate,
+
     // Output
     getSummaryMetrics,
     getDetailedMetrics,
@@ -5,7 +5,7 @@
  * - Per-type enable/disable
  * - Delivery channel preferences
  * - Quiet hours
- * - Digest preferences
+ * - Digest preferences and scheduling slots
  * - Push token management
  *
  * @version 1.0.0
@@ -21,6 +21,7 @@
 const crypto = require('crypto');
 const { getStorage, keys } = require('./storage');
 const { NOTIFICATION_TYPES, CHANNELS } = require('./realtimeNotifications');
+const { validateSubscription } = require('./webPush');
 
 // ============================================
 // CONFIGURATION
@@ -71,6 +72,7 @@ const PREFS_CONFIG = {
             enabled: false,
             frequency: 'daily',  // daily, weekly
             time: '09:00',
+            day: 1,              // weekly digests: 0 = Sunday
             timezone: 'UTC'
         },
         sounds: {
@@ -89,7 +91,10 @@ const PREFS_CONFIG = {
         'Europe/London', 'Europe/Paris', 'Europe/Berlin',
         'Asia/Tokyo', 'Asia/Shanghai', 'Asia/Singapore',
         'Australia/Sydney'
-    ]
+    ],
+
+    // A digest slot missed by longer than this (downtime) is skipped
+    digestWindow: 6 * 60 * 60 * 1000
 };
 
 // ============================================
@@ -154,6 +159,7 @@ async function updatePreferences(wallet, updates) {
     const storage = getStorage();
     const prefsKey = keys.notificationPrefs(wallet);
     await storage.set(prefsKey, updated);
+    await trackDigestSubscriber(wallet, updated);
 
     // Update cache
     prefsCache.set(wallet, { prefs: updated, timestamp: Date.now() });
@@ -172,6 +178,7 @@ async function resetPreferences(wallet) {
     const storage = getStorage();
     const prefsKey = keys.notificationPrefs(wallet);
     await storage.set(prefsKey, defaults);
+    await trackDigestSubscriber(wallet, defaults);
 
     prefsCache.set(wallet, { prefs: defaults, timestamp: Date.now() });
 
@@ -297,6 +304,9 @@ function applyUpdates(current, updates) {
         if (d.time && isValidTime(d.time)) {
             result.digest.time = d.time;
         }
+        if (Number.isInteger(d.day) && d.day >= 0 && d.day <= 6) {
+            result.digest.day = d.day;
+        }
         if (d.timezone && PREFS_CONFIG.validTimezones.includes(d.timezone)) {
             result.digest.timezone = d.timezone;
         }
@@ -418,12 +428,25 @@ async function filterNotifications(wallet, notifications, channel = 'websocket')
 
 /**
  * Register push token
+ * Web push registers a PushSubscription instead of a token; it is stored as
+ * JSON under a device ID derived from its endpoint, so re-subscribing the
+ * same browser replaces the previous entry.
  * @param {string} wallet - Wallet address
- * @param {Object} tokenData - Push token data
- * @returns {Promise<boolean>}
+ * @param {Object} tokenData - Push token data { token, platform, deviceId, subscription }
+ * @returns {Promise<Object>} { success, deviceId }
  */
 async function registerPushToken(wallet, tokenData) {
-    const { token, platform, deviceId } = tokenData;
+    const { platform, subscription } = tokenData;
+    let { token, deviceId } = tokenData;
+
+    if (platform === 'web') {
+        const check = validateSubscription(subscription);
+        if (!check.valid) {
+            throw new Error(check.error);
+        }
+        token = JSON.stringify(check.subscription);
+        deviceId = crypto.createHash('sha256').update(check.subscription.endpoint).digest('hex').slice(0, 32);
+    }
 
     if (!token || !platform) {
         throw new Error('Token and platform required');
@@ -467,7 +490,7 @@ async function registerPushToken(wallet, tokenData) {
 
     await storage.set(tokensKey, existing);
 
-    return true;
+    return { success: true, deviceId };
 }
 
 /**
@@ -612,14 +635,87 @@ function decryptToken(encrypted) {
 // DIGEST GENERATION
 // ============================================
 
+/**
+ * Keep the set of wallets with digests enabled in sync with their preferences
+ * @param {string} wallet - Wallet address
+ * @param {Object} prefs - Saved preferences
+ */
+async function trackDigestSubscriber(wallet, prefs) {
+    const storage = getStorage();
+    if (prefs.enabled && prefs.digest.enabled) {
+        await storage.sadd(keys.digest.subscribers, wallet);
+    } else {
+        await storage.srem(keys.digest.subscribers, wallet);
+    }
+}
+
+/**
+ * Most recent digest slot at or before `now`
+ * The slot is digest.time on the user's clock (offset from getTimezoneOffset),
+ * on digest.day for weekly digests.
+ * @param {Object} digest - Digest preferences
+ * @param {number} now - Timestamp
+ * @returns {number} Slot timestamp (UTC)
+ */
+function getLastDigestSlot(digest, now = Date.now()) {
+    const day = 24 * 60 * 60 * 1000;
+    const offset = getTimezoneOffset(digest.timezone);
+
+    // Midnight on the user's clock, back in UTC
+    const local = new Date(now + offset);
+    const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offset;
+
+    let slot = midnight + parseTime(digest.time) * 60 * 1000;
+    if (slot > now) {
+        slot -= day;
+    }
+
+    if (digest.frequency === 'weekly') {
+        const weekday = new Date(slot + offset).getUTCDay();
+        slot -= ((weekday - digest.day + 7) % 7) * day;
+    }
+
+    return slot;
+}
+
 /**
  * Get users due for digest
- * @returns {Promise<Array>}
+ * Due once per slot; slots missed by more than digestWindow are skipped.
+ * @param {number} now - Timestamp
+ * @returns {Promise<Array<{wallet: string, slot: number}>>}
+ */
+async function getUsersDueForDigest(now = Date.now()) {
+    const storage = getStorage();
+    const wallets = await storage.smembers(keys.digest.subscribers);
+    const due = [];
+
+    for (const wallet of wallets) {
+        const prefs = await getPreferences(wallet);
+        if (!prefs.enabled || !prefs.digest.enabled) {
+            continue;
+        }
+
+        const slot = getLastDigestSlot(prefs.digest, now);
+        if (now - slot > PREFS_CONFIG.digestWindow) {
+            continue;
+        }
+
+        const lastSent = await storage.get(keys.digest.lastSent(wallet));
+        if (!lastSent || lastSent < slot) {
+            due.push({ wallet, slot });
+        }
+    }
+
+    return due;
+}
+
+/**
+ * Record that the digest for a slot went out
+ * @param {string} wallet - Wallet address
+ * @param {number} slot - Slot timestamp
  */
-async function getUsersDueForDigest() {
-    // This would scan preferences and find users due for digest
-    // Implementation depends on having a user list
-    return [];
+async function markDigestSent(wallet, slot) {
+    await getStorage().set(keys.digest.lastSent(wallet), slot);
 }
 
 /**
@@ -709,10 +805,15 @@ module.exports = {
 
     // Digest
     getUsersDueForDigest,
+    getLastDigestSlot,
+    markDigestSent,
     generateDigest,
 
     // Helpers
     isInQuietHours,
+    getTimezoneOffset,
+    encryptToken,
+    decryptToken,
 
     // Stats
     getStats,
@@ -17,6 +17,7 @@
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const { defineRepository } = require('./database');
 
 // ============================================
 // CONFIGURATION
@@ -88,6 +89,42 @@ const userPreferences = new Map();
 // Rate limiting
 const createRateLimits = new Map();
 
+// Stored forms (activity since startup was already written back, so it wins)
+// wallet -> { notifications }
+const inboxRepository = defineRepository('notificationInboxes', {
+    hydrate(entries) {
+        for (const [wallet, { notifications }] of entries) {
+            if (!userNotifications.has(wallet)) {
+                userNotifications.set(wallet, notifications);
+            }
+        }
+    }
+});
+
+const preferenceRepository = defineRepository('notificationPreferences', {
+    hydrate(entries) {
+        for (const [wallet, prefs] of entries) {
+            if (!userPreferences.has(wallet)) {
+                userPreferences.set(wallet, prefs);
+            }
+        }
+    }
+});
+
+/**
+ * Write a user's inbox through to the repository
+ * @param {string} wallet - User wallet
+ */
+function persistInbox(wallet) {
+    const notifications = userNotifications.get(wallet);
+
+    if (notifications && notifications.length > 0) {
+        inboxRepository.persist(wallet, { notifications });
+    } else {
+        inboxRepository.discard(wallet);
+    }
+}
+
 // ============================================
 // NOTIFICATION CREATION
 // ============================================
@@ -143,12 +180,14 @@ function createNotification(wallet, notification) {
     const batched = tryBatchNotification(notifications, notif);
     if (batched) {
         userNotifications.set(wallet, notifications);
+        persistInbox(wallet);
         return { success: true, notification: batched, batched: true };
     }
 
     // Add to beginning (newest first)
     notifications.unshift(notif);
     userNotifications.set(wallet, notifications);
+    persistInbox(wallet);
 
     logAudit('notification_created', {
         wallet: wallet.slice(0, 8) + '...',
@@ -288,12 +327,15 @@ function getNotifications(wallet, options = {}) {
         type = null
     } = options;
 
-    let notifications = userNotifications.get(wallet) || [];
+    const stored = userNotifications.get(wallet) || [];
 
     // Clean expired
     const now = Date.now();
-    notifications = notifications.filter(n => n.expiresAt > now);
-    userNotifications.set(wallet, notifications);
+    const notifications = stored.filter(n => n.expiresAt > now);
+    if (notifications.length !== stored.length) {
+        userNotifications.set(wallet, notifications);
+        persistInbox(wallet);
+    }
 
     // Filter
     let filtered = notifications;
@@ -347,6 +389,7 @@ function markAsRead(wallet, notificationId) {
 
     notif.read = true;
     notif.readAt = Date.now();
+    persistInbox(wallet);
 
     return true;
 }
@@ -371,6 +414,10 @@ function markAllAsRead(wallet) {
         }
     }
 
+    if (count > 0) {
+        persistInbox(wallet);
+    }
+
     return count;
 }
 
@@ -388,6 +435,7 @@ function deleteNotification(wallet, notificationId) {
     if (idx === -1) return false;
 
     notifications.splice(idx, 1);
+    persistInbox(wallet);
     return true;
 }
 
@@ -402,6 +450,7 @@ function clearAllNotifications(wallet) {
 
     const count = notifications.length;
     userNotifications.delete(wallet);
+    persistInbox(wallet);
 
     return count;
 }
@@ -442,6 +491,7 @@ function updatePreferences(wallet, updates) {
     };
 
     userPreferences.set(wallet, updated);
+    preferenceRepository.persist(wallet, updated);
 
     logAudit('notification_prefs_updated', {
         wallet: wallet.slice(0, 8) + '...'
@@ -462,6 +512,7 @@ function muteType(wallet, type) {
     if (!prefs.mutedTypes.includes(type)) {
         prefs.mutedTypes.push(type);
         userPreferences.set(wallet, prefs);
+        preferenceRepository.persist(wallet, prefs);
     }
 
     return true;
@@ -480,6 +531,7 @@ function unmuteType(wallet, type) {
     if (idx > -1) {
         prefs.mutedTypes.splice(idx, 1);
         userPreferences.set(wallet, prefs);
+        preferenceRepository.persist(wallet, prefs);
     }
 
     return true;
@@ -551,6 +603,7 @@ setInterval(() => {
 
         if (cleaned.length < before) {
             userNotifications.set(wallet, cleaned);
+            persistInbox(wallet);
             totalCleaned += before - cleaned.length;
         }
     }
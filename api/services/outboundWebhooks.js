@@ -0,0 +1,1137 @@
+/**
+ * ASDF API - Outbound Webhooks
+ *
+ * Pushes ecosystem events to partner endpoints:
+ * - Partners register endpoints for eventBus topics (burn.confirmed, ...)
+ * - Optional filters on event fields (equals, one of, numeric ranges)
+ * - Deliveries signed with HMAC-SHA256 over timestamp + body
+ * - Retried on a Fibonacci backoff through the job queue
+ * - Delivery log per endpoint with manual redelivery
+ *
+ * Receiving side: verify X-ASDF-Signature (t=<unix>,v1=<hex>) with
+ * verifySignature(), reject stale timestamps, and dedupe on the event id.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Signing secrets encrypted at rest, shown once on creation/rotation
+ * - Timestamped signatures (replay window enforced by receivers)
+ * - No delivery to private, loopback or link-local addresses (SSRF)
+ * - Redirects are not followed
+ * - Endpoints only visible to the wallet that registered them
+ * - Endpoints disabled after repeated exhausted deliveries
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { EVENTS, subscribe } = require('./eventBus');
+const { registerHandler, enqueue, PRIORITY } = require('./queue');
+const { getStorage, keys } = require('./storage');
+const { encryptToken, decryptToken } = require('./notificationPreferences');
+const { logAudit } = require('./leaderboard');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const WEBHOOK_CONFIG = {
+    // Endpoints
+    maxEndpointsPerOwner: 10,
+    maxUrlLength: 2048,
+    maxDescriptionLength: 200,
+    maxFilters: 10,
+    maxFilterValues: 50,
+
+    // Plain http and loopback targets for local development only
+    allowLoopback: process.env.NODE_ENV !== 'production',
+
+    // Delivery
+    timeout: 10000,
+    maxResponseLength: 512,
+
+    // Fibonacci backoff: 1, 1, 2, 3, 5, 8, 13, 21, 34, 55 minutes (~2.4 h)
+    retryBase: 60 * 1000,
+    maxRetries: 10,
+
+    // Endpoint disabled after this many deliveries in a row run out of retries
+    disableAfterFailures: 5,
+
+    // Delivery log
+    deliveryRetention: 7 * 24 * 60 * 60,   // seconds
+    maxLogEntries: 100,
+
+    // After a rotation the old secret keeps signing alongside the new one
+    rotationGrace: 24 * 60 * 60 * 1000,
+
+    // Default replay window for verifySignature() (seconds)
+    signatureTolerance: 300
+};
+
+// Public topic -> eventBus event
+const TOPICS = {
+    'burn.confirmed': {
+        event: EVENTS.BURN_CONFIRMED,
+        description: 'A burn was confirmed on-chain'
+    },
+    'achievement.unlocked': {
+        event: EVENTS.ACHIEVEMENT_UNLOCKED,
+        description: 'A player unlocked an achievement'
+    },
+    'game.completed': {
+        event: EVENTS.GAME_COMPLETED,
+        description: 'A player finished a game'
+    },
+    'purchase.completed': {
+        event: EVENTS.PURCHASE_COMPLETED,
+        description: 'A shop purchase was confirmed'
+    },
+    'referral.completed': {
+        event: EVENTS.REFERRAL_COMPLETED,
+        description: 'A referral code was redeemed'
+    }
+};
+
+// Subscribes an endpoint to every topic
+const WILDCARD = '*';
+
+// Sent by sendTestEvent() only
+const PING_TOPIC = 'webhook.ping';
+
+const ENDPOINT_STATUS = {
+    ACTIVE: 'active',
+    DISABLED: 'disabled'
+};
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    RETRYING: 'retrying',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const JOB_TYPE = 'webhook_delivery';
+
+const FILTER_FIELD = /^[a-zA-Z][a-zA-Z0-9_]{0,31}$/;
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * First n Fibonacci numbers (1, 1, 2, 3, 5, ...)
+ * @param {number} n
+ * @returns {number[]}
+ */
+function fibonacci(n) {
+    const sequence = [];
+    for (let a = 1, b = 1; sequence.length < n; [a, b] = [b, a + b]) {
+        sequence.push(a);
+    }
+    return sequence;
+}
+
+const RETRY_DELAYS = fibonacci(WEBHOOK_CONFIG.maxRetries).map(n => n * WEBHOOK_CONFIG.retryBase);
+
+// Never delivered to (outside development, loopback is blocked too)
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['224.0.0.0', 3]
+]) {
+    PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+PRIVATE_RANGES.addAddress('::', 'ipv6');
+PRIVATE_RANGES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_RANGES.addSubnet('fe80::', 10, 'ipv6');
+PRIVATE_RANGES.addSubnet('ff00::', 8, 'ipv6');
+
+const LOOPBACK_RANGES = new net.BlockList();
+LOOPBACK_RANGES.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK_RANGES.addAddress('::1', 'ipv6');
+
+// ============================================
+// STATE
+// ============================================
+
+// eventBus subscriptions (for shutdown)
+const subscriptionHandles = [];
+let initialized = false;
+
+const stats = {
+    events: 0,
+    deliveriesCreated: 0,
+    delivered: 0,
+    failedAttempts: 0,
+    exhausted: 0,
+    redelivered: 0,
+    endpointsDisabled: 0
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Random identifier
+ * @param {string} prefix - e.g. 'whe' (endpoint), 'whd' (delivery)
+ * @returns {string}
+ */
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * New signing secret
+ * @returns {string}
+ */
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Shorten a wallet for logs
+ * @param {string} wallet
+ * @returns {string}
+ */
+function maskWallet(wallet) {
+    return wallet.slice(0, 8) + '...';
+}
+
+/**
+ * Whether a value can be compared in a filter
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isScalar(value) {
+    return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * BlockList family of an IP address
+ * @param {string} ip
+ * @returns {string}
+ */
+function ipFamily(ip) {
+    return net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+}
+
+/**
+ * Whether an IP address may receive deliveries
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isDeliverableAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const ip = mapped ? mapped[1] : address;
+
+    if (LOOPBACK_RANGES.check(ip, ipFamily(ip))) {
+        return WEBHOOK_CONFIG.allowLoopback;
+    }
+    return !PRIVATE_RANGES.check(ip, ipFamily(ip));
+}
+
+/**
+ * Validate an endpoint URL
+ * @param {string} value
+ * @returns {{valid: boolean, error?: string, url?: string}}
+ */
+function validateUrl(value) {
+    if (typeof value !== 'string' || value.length > WEBHOOK_CONFIG.maxUrlLength) {
+        return { valid: false, error: 'Invalid URL' };
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return { valid: false, error: 'Invalid URL' };
+    }
+
+    if (url.username || url.password) {
+        return { valid: false, error: 'URL must not contain credentials' };
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const loopback = host === 'localhost' || (net.isIP(host) !== 0 && LOOPBACK_RANGES.check(host, ipFamily(host)));
+
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && loopback && WEBHOOK_CONFIG.allowLoopback)) {
+        return { valid: false, error: 'URL must use https' };
+    }
+
+    // Host names are checked again on every delivery, once resolved
+    if (loopback ? !WEBHOOK_CONFIG.allowLoopback : net.isIP(host) !== 0 && !isDeliverableAddress(host)) {
+        return { valid: false, error: 'URL must point to a public address' };
+    }
+
+    return { valid: true, url: url.toString() };
+}
+
+/**
+ * Validate a topic list
+ * @param {string[]} topics
+ * @returns {{valid: boolean, error?: string, topics?: string[]}}
+ */
+function validateTopics(topics) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+        return { valid: false, error: 'At least one topic required' };
+    }
+
+    for (const topic of topics) {
+        if (topic !== WILDCARD && !TOPICS[topic]) {
+            return { valid: false, error: `Unknown topic: ${String(topic).slice(0, 50)}` };
+        }
+    }
+
+    return { valid: true, topics: topics.includes(WILDCARD) ? [WILDCARD] : [...new Set(topics)] };
+}
+
+/**
+ * Validate filters
+ * Each key is an event data field; the value is a scalar (equals), an
+ * array of scalars (one of) or a range ({ gt, gte, lt, lte }).
+ * @param {Object} filters
+ * @returns {{valid: boolean, error?: string, filters?: Object}}
+ */
+function validateFilters(filters) {
+    if (filters === undefined || filters === null) {
+        return { valid: true, filters: {} };
+    }
+
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        return { valid: false, error: 'Filters must be an object' };
+    }
+
+    const entries = Object.entries(filters);
+    if (entries.length > WEBHOOK_CONFIG.maxFilters) {
+        return { valid: false, error: `At most ${WEBHOOK_CONFIG.maxFilters} filters` };
+    }
+
+    for (const [field, condition] of entries) {
+        if (!FILTER_FIELD.test(field)) {
+            return { valid: false, error: `Invalid filter field: ${field.slice(0, 50)}` };
+        }
+
+        const valid = isScalar(condition) ||
+            (Array.isArray(condition) &&
+                condition.length > 0 &&
+                condition.length <= WEBHOOK_CONFIG.maxFilterValues &&
+                condition.every(isScalar)) ||
+            (condition && typeof condition === 'object' && !Array.isArray(condition) &&
+                Object.keys(condition).length > 0 &&
+                Object.entries(condition).every(([op, bound]) =>
+                    RANGE_OPERATORS.includes(op) && Number.isFinite(bound)));
+
+        if (!valid) {
+            return { valid: false, error: `Invalid filter for ${field}` };
+        }
+    }
+
+    return { valid: true, filters };
+}
+
+/**
+ * Whether event data passes an endpoint's filters
+ * @param {Object} filters
+ * @param {Object} data - Event data
+ * @returns {boolean}
+ */
+function matchesFilters(filters, data) {
+    return Object.entries(filters || {}).every(([field, condition]) => {
+        const value = data?.[field];
+
+        if (Array.isArray(condition)) return condition.includes(value);
+        if (isScalar(condition)) return value === condition;
+        if (typeof value !== 'number') return false;
+
+        return (condition.gt === undefined || value > condition.gt) &&
+            (condition.gte === undefined || value >= condition.gte) &&
+            (condition.lt === undefined || value < condition.lt) &&
+            (condition.lte === undefined || value <= condition.lte);
+    });
+}
+
+// ============================================
+// SIGNATURES
+// ============================================
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>"
+ * @param {string} secret - Endpoint signing secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw request body
+ * @returns {string} hex
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * X-ASDF-Signature header value
+ * During a rotation grace period both secrets sign (two v1 entries).
+ * @param {Object} endpoint - Endpoint record
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw request body
+ * @returns {string|null} Null when the secret cannot be decrypted
+ */
+function buildSignatureHeader(endpoint, timestamp, body) {
+    const secrets = [decryptToken(endpoint.secret)];
+    if (endpoint.previousSecret && endpoint.previousSecretExpiresAt > Date.now()) {
+        secrets.push(decryptToken(endpoint.previousSecret));
+    }
+
+    if (secrets.some(secret => !secret)) {
+        return null;
+    }
+
+    return [`t=${timestamp}`, ...secrets.map(secret => `v1=${sign(secret, timestamp, body)}`)].join(',');
+}
+
+/**
+ * Verify a delivery (for receivers, SDKs and tests)
+ * @param {string} body - Raw request body
+ * @param {string} header - X-ASDF-Signature value
+ * @param {string} secret - Endpoint signing secret
+ * @param {Object} options - { tolerance (seconds), now (ms) }
+ * @returns {boolean}
+ */
+function verifySignature(body, header, secret, options = {}) {
+    const { tolerance = WEBHOOK_CONFIG.signatureTolerance, now = Date.now() } = options;
+
+    if (typeof header !== 'string' || typeof body !== 'string' || !secret) {
+        return false;
+    }
+
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    if (!Number.isInteger(timestamp) || Math.abs(now / 1000 - timestamp) > tolerance) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(secret, timestamp, body));
+    return parts
+        .filter(([key, value]) => key === 'v1' && value && value.length === expected.length)
+        .some(([, value]) => crypto.timingSafeEqual(Buffer.from(value), expected));
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+async function loadEndpoint(id) {
+    return getStorage().get(keys.webhooks.endpoint(id));
+}
+
+async function saveEndpoint(endpoint) {
+    endpoint.updatedAt = Date.now();
+    await getStorage().set(keys.webhooks.endpoint(endpoint.id), endpoint);
+}
+
+/**
+ * Endpoint if it belongs to this wallet
+ * @returns {Promise<Object|null>}
+ */
+async function loadOwnedEndpoint(owner, id) {
+    if (typeof id !== 'string') return null;
+    const endpoint = await loadEndpoint(id);
+    return endpoint && endpoint.owner === owner ? endpoint : null;
+}
+
+async function saveDelivery(delivery) {
+    delivery.updatedAt = Date.now();
+    await getStorage().set(keys.webhooks.delivery(delivery.id), delivery, {
+        ex: WEBHOOK_CONFIG.deliveryRetention
+    });
+}
+
+/**
+ * Move an endpoint between topic indexes
+ * @param {string} id - Endpoint ID
+ * @param {string[]} previous - Topics before the change
+ * @param {string[]} next - Topics after the change
+ */
+async function reindexTopics(id, previous, next) {
+    const storage = getStorage();
+    for (const topic of previous.filter(topic => !next.includes(topic))) {
+        await storage.srem(keys.webhooks.topic(topic), id);
+    }
+    for (const topic of next.filter(topic => !previous.includes(topic))) {
+        await storage.sadd(keys.webhooks.topic(topic), id);
+    }
+}
+
+/**
+ * Public view of an endpoint (no secrets)
+ */
+function formatEndpoint(endpoint) {
+    return {
+        id: endpoint.id,
+        url: endpoint.url,
+        description: endpoint.description,
+        topics: endpoint.topics,
+        filters: endpoint.filters,
+        status: endpoint.status,
+        disabledReason: endpoint.disabledReason,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        createdAt: endpoint.createdAt,
+        updatedAt: endpoint.updatedAt
+    };
+}
+
+/**
+ * Public view of a delivery
+ * @param {Object} delivery
+ * @param {boolean} withPayload - Include the body that was sent
+ */
+function formatDelivery(delivery, withPayload = false) {
+    const formatted = {
+        id: delivery.id,
+        endpointId: delivery.endpointId,
+        eventId: delivery.eventId,
+        topic: delivery.topic,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextRetryAt: delivery.nextRetryAt,
+        redeliveryOf: delivery.redeliveryOf,
+        createdAt: delivery.createdAt,
+        updatedAt: delivery.updatedAt
+    };
+    if (withPayload) {
+        formatted.payload = JSON.parse(delivery.payload);
+    }
+    return formatted;
+}
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+/**
+ * Register an endpoint
+ * @param {string} owner - Wallet registering it
+ * @param {Object} input - { url, topics, filters?, description? }
+ * @returns {Promise<Object>} { success, endpoint, secret } - the secret is only returned here
+ */
+async function createEndpoint(owner, input = {}) {
+    const url = validateUrl(input.url);
+    if (!url.valid) return { success: false, error: url.error };
+
+    const topics = validateTopics(input.topics);
+    if (!topics.valid) return { success: false, error: topics.error };
+
+    const filters = validateFilters(input.filters);
+    if (!filters.valid) return { success: false, error: filters.error };
+
+    if (input.description !== undefined && typeof input.description !== 'string') {
+        return { success: false, error: 'Invalid description' };
+    }
+
+    const storage = getStorage();
+    const owned = await storage.smembers(keys.webhooks.owner(owner));
+    if (owned.length >= WEBHOOK_CONFIG.maxEndpointsPerOwner) {
+        return { success: false, error: `At most ${WEBHOOK_CONFIG.maxEndpointsPerOwner} endpoints` };
+    }
+
+    const secret = generateSecret();
+    const now = Date.now();
+    const endpoint = {
+        id: generateId('whe'),
+        owner,
+        url: url.url,
+        description: (input.description || '').slice(0, WEBHOOK_CONFIG.maxDescriptionLength),
+        topics: topics.topics,
+        filters: filters.filters,
+        status: ENDPOINT_STATUS.ACTIVE,
+        disabledReason: null,
+        consecutiveFailures: 0,
+        secret: encryptToken(secret),
+        previousSecret: null,
+        previousSecretExpiresAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await saveEndpoint(endpoint);
+    await storage.sadd(keys.webhooks.owner(owner), endpoint.id);
+    await reindexTopics(endpoint.id, [], endpoint.topics);
+
+    logAudit('webhook_endpoint_created', {
+        owner: maskWallet(owner),
+        endpointId: endpoint.id,
+        topics: endpoint.topics
+    });
+
+    return { success: true, endpoint: formatEndpoint(endpoint), secret };
+}
+
+/**
+ * Endpoints registered by a wallet
+ * @param {string} owner
+ * @returns {Promise<Object[]>}
+ */
+async function listEndpoints(owner) {
+    const ids = await getStorage().smembers(keys.webhooks.owner(owner));
+    const endpoints = [];
+
+    for (const id of ids) {
+        const endpoint = await loadOwnedEndpoint(owner, id);
+        if (endpoint) endpoints.push(formatEndpoint(endpoint));
+    }
+
+    return endpoints.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * One endpoint
+ * @param {string} owner
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getEndpoint(owner, id) {
+    const endpoint = await loadOwnedEndpoint(owner, id);
+    if (!endpoint) return { success: false, error: 'Endpoint not found' };
+    return { success: true, endpoint: formatEndpoint(endpoint) };
+}
+
+/**
+ * Change an endpoint
+ * Re-enabling ({ enabled: true }) clears the failure count.
+ * @param {string} owner
+ * @param {string} id
+ * @param {Object} updates - { url?, topics?, filters?, description?, enabled? }
+ * @returns {Promise<Object>}
+ */
+async function updateEndpoint(owner, id, updates = {}) {
+    const endpoint = await loadOwnedEndpoint(owner, id);
+    if (!endpoint) return { success: false, error: 'Endpoint not found' };
+
+    const previousTopics = endpoint.topics;
+
+    if (updates.url !== undefined) {
+        const url = validateUrl(updates.url);
+        if (!url.valid) return { success: false, error: url.error };
+        endpoint.url = url.url;
+    }
+
+    if (updates.topics !== undefined) {
+        const topics = validateTopics(updates.topics);
+        if (!topics.valid) return { success: false, error: topics.error };
+        endpoint.topics = topics.topics;
+    }
+
+    if (updates.filters !== undefined) {
+        const filters = validateFilters(updates.filters);
+        if (!filters.valid) return { success: false, error: filters.error };
+        endpoint.filters = filters.filters;
+    }
+
+    if (updates.description !== undefined) {
+        if (typeof updates.description !== 'string') {
+            return { success: false, error: 'Invalid description' };
+        }
+        endpoint.description = updates.description.slice(0, WEBHOOK_CONFIG.maxDescriptionLength);
+    }
+
+    if (updates.enabled !== undefined) {
+        if (typeof updates.enabled !== 'boolean') {
+            return { success: false, error: 'enabled must be a boolean' };
+        }
+        endpoint.status = updates.enabled ? ENDPOINT_STATUS.ACTIVE : ENDPOINT_STATUS.DISABLED;
+        endpoint.disabledReason = updates.enabled ? null : 'disabled_by_owner';
+        if (updates.enabled) endpoint.consecutiveFailures = 0;
+    }
+
+    await saveEndpoint(endpoint);
+    await reindexTopics(endpoint.id, previousTopics, endpoint.topics);
+
+    logAudit('webhook_endpoint_updated', {
+        owner: maskWallet(owner),
+        endpointId: endpoint.id,
+        fields: Object.keys(updates)
+    });
+
+    return { success: true, endpoint: formatEndpoint(endpoint) };
+}
+
+/**
+ * Remove an endpoint (queued deliveries to it are cancelled)
+ * @param {string} owner
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function deleteEndpoint(owner, id) {
+    const endpoint = await loadOwnedEndpoint(owner, id);
+    if (!endpoint) return { success: false, error: 'Endpoint not found' };
+
+    const storage = getStorage();
+    await reindexTopics(endpoint.id, endpoint.topics, []);
+    await storage.srem(keys.webhooks.owner(owner), endpoint.id);
+    await storage.del(keys.webhooks.endpoint(endpoint.id));
+    await storage.del(keys.webhooks.deliveries(endpoint.id));
+
+    logAudit('webhook_endpoint_deleted', { owner: maskWallet(owner), endpointId: endpoint.id });
+
+    return { success: true };
+}
+
+/**
+ * Issue a new signing secret
+ * The old one keeps signing for WEBHOOK_CONFIG.rotationGrace.
+ * @param {string} owner
+ * @param {string} id
+ * @returns {Promise<Object>} { success, secret, previousSecretExpiresAt }
+ */
+async function rotateSecret(owner, id) {
+    const endpoint = await loadOwnedEndpoint(owner, id);
+    if (!endpoint) return { success: false, error: 'Endpoint not found' };
+
+    const secret = generateSecret();
+    endpoint.previousSecret = endpoint.secret;
+    endpoint.previousSecretExpiresAt = Date.now() + WEBHOOK_CONFIG.rotationGrace;
+    endpoint.secret = encryptToken(secret);
+    await saveEndpoint(endpoint);
+
+    logAudit('webhook_secret_rotated', { owner: maskWallet(owner), endpointId: endpoint.id });
+
+    return { success: true, secret, previousSecretExpiresAt: endpoint.previousSecretExpiresAt };
+}
+
+// ============================================
+// DELIVERIES
+// ============================================
+
+/**
+ * Record a delivery and queue its first attempt
+ * @param {Object} endpoint - Endpoint record
+ * @param {Object} event - { id, topic, timestamp, data } or { id, topic, payload } (redelivery)
+ * @param {string|null} redeliveryOf - Original delivery ID
+ * @returns {Promise<Object>} Delivery record
+ */
+async function createDelivery(endpoint, event, redeliveryOf = null) {
+    const now = Date.now();
+    const delivery = {
+        id: generateId('whd'),
+        endpointId: endpoint.id,
+        eventId: event.id,
+        topic: event.topic,
+        payload: event.payload || JSON.stringify({
+            id: event.id,
+            type: event.topic,
+            createdAt: new Date(event.timestamp).toISOString(),
+            data: event.data
+        }),
+        status: DELIVERY_STATUS.PENDING,
+        attempts: [],
+        nextRetryAt: null,
+        redeliveryOf,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    const storage = getStorage();
+    await saveDelivery(delivery);
+    await storage.lpush(keys.webhooks.deliveries(endpoint.id), delivery.id);
+    await storage.ltrim(keys.webhooks.deliveries(endpoint.id), 0, WEBHOOK_CONFIG.maxLogEntries - 1);
+
+    await enqueue(JOB_TYPE, { deliveryId: delivery.id }, { priority: PRIORITY.NORMAL });
+    stats.deliveriesCreated++;
+
+    return delivery;
+}
+
+/**
+ * Fan an eventBus event out to the endpoints subscribed to its topic
+ * @param {Object} event - eventBus event { id, type, data, timestamp }
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function handleEvent(event) {
+    const topic = Object.keys(TOPICS).find(name => TOPICS[name].event === event.type);
+    if (!topic) return 0;
+
+    stats.events++;
+
+    const storage = getStorage();
+    const ids = new Set([
+        ...await storage.smembers(keys.webhooks.topic(topic)),
+        ...await storage.smembers(keys.webhooks.topic(WILDCARD))
+    ]);
+
+    let queued = 0;
+    for (const id of ids) {
+        const endpoint = await loadEndpoint(id);
+        if (!endpoint || endpoint.status !== ENDPOINT_STATUS.ACTIVE) continue;
+        if (!matchesFilters(endpoint.filters, event.data)) continue;
+
+        await createDelivery(endpoint, {
+            id: event.id,
+            topic,
+            timestamp: event.timestamp,
+            data: event.data
+        });
+        queued++;
+    }
+
+    return queued;
+}
+
+/**
+ * Make sure the endpoint's host resolves to public addresses only
+ * @param {string} endpointUrl
+ */
+async function assertDeliverable(endpointUrl) {
+    const host = new URL(endpointUrl).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host }]
+        : await dns.lookup(host, { all: true });
+
+    if (addresses.length === 0 || !addresses.every(({ address }) => isDeliverableAddress(address))) {
+        throw new Error('Endpoint resolves to a private address');
+    }
+}
+
+/**
+ * One HTTP attempt
+ * @param {Object} endpoint - Endpoint record
+ * @param {Object} delivery - Delivery record
+ * @returns {Promise<Object>} Attempt { at, status, durationMs, error, response, success }
+ */
+async function attemptDelivery(endpoint, delivery) {
+    const startedAt = Date.now();
+    const attempt = { at: startedAt, status: null, durationMs: 0, error: null, response: null };
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_CONFIG.timeout);
+
+    try {
+        await assertDeliverable(endpoint.url);
+
+        const timestamp = Math.floor(startedAt / 1000);
+        const signature = buildSignatureHeader(endpoint, timestamp, delivery.payload);
+        if (!signature) {
+            throw new Error('Signing secret unavailable');
+        }
+
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ASDF-Webhooks/1.0',
+                'X-ASDF-Event': delivery.topic,
+                'X-ASDF-Delivery': delivery.id,
+                'X-ASDF-Signature': signature
+            },
+            body: delivery.payload,
+            redirect: 'manual',
+            signal: controller.signal
+        });
+
+        attempt.status = response.status;
+        if (typeof response.text === 'function') {
+            attempt.response = (await response.text().catch(() => '')).slice(0, WEBHOOK_CONFIG.maxResponseLength);
+        }
+        if (response.status < 200 || response.status >= 300) {
+            attempt.error = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.name === 'AbortError' ? 'Timeout' : error.message;
+    } finally {
+        clearTimeout(timeoutId);
+        attempt.durationMs = Date.now() - startedAt;
+    }
+
+    attempt.success = attempt.error === null;
+    return attempt;
+}
+
+/**
+ * Count an exhausted delivery against its endpoint, disabling it past the limit
+ * @param {string} endpointId
+ */
+async function recordExhausted(endpointId) {
+    const endpoint = await loadEndpoint(endpointId);
+    if (!endpoint) return;
+
+    endpoint.consecutiveFailures++;
+
+    if (endpoint.consecutiveFailures >= WEBHOOK_CONFIG.disableAfterFailures &&
+        endpoint.status === ENDPOINT_STATUS.ACTIVE) {
+        endpoint.status = ENDPOINT_STATUS.DISABLED;
+        endpoint.disabledReason = 'too_many_failures';
+        stats.endpointsDisabled++;
+
+        logAudit('webhook_endpoint_disabled', {
+            owner: maskWallet(endpoint.owner),
+            endpointId: endpoint.id,
+            consecutiveFailures: endpoint.consecutiveFailures
+        });
+    }
+
+    await saveEndpoint(endpoint);
+}
+
+/**
+ * Queue job: attempt a delivery
+ * Throws on failure so the queue retries it on the Fibonacci schedule.
+ * @param {Object} data - { deliveryId }
+ * @returns {Promise<Object>}
+ */
+async function deliver({ deliveryId }) {
+    const delivery = await getStorage().get(keys.webhooks.delivery(deliveryId));
+    if (!delivery) {
+        return { skipped: 'expired' };
+    }
+
+    // Already done (e.g. the job ran again after a lost lease)
+    if (delivery.status === DELIVERY_STATUS.SUCCEEDED || delivery.status === DELIVERY_STATUS.CANCELLED) {
+        return { skipped: delivery.status };
+    }
+
+    const endpoint = await loadEndpoint(delivery.endpointId);
+    if (!endpoint || endpoint.status !== ENDPOINT_STATUS.ACTIVE) {
+        delivery.status = DELIVERY_STATUS.CANCELLED;
+        delivery.nextRetryAt = null;
+        await saveDelivery(delivery);
+        return { skipped: 'endpoint_unavailable' };
+    }
+
+    const attempt = await attemptDelivery(endpoint, delivery);
+    delivery.attempts.push(attempt);
+
+    if (attempt.success) {
+        delivery.status = DELIVERY_STATUS.SUCCEEDED;
+        delivery.nextRetryAt = null;
+        await saveDelivery(delivery);
+        stats.delivered++;
+
+        if (endpoint.consecutiveFailures > 0) {
+            endpoint.consecutiveFailures = 0;
+            await saveEndpoint(endpoint);
+        }
+
+        return { status: attempt.status };
+    }
+
+    stats.failedAttempts++;
+
+    const retry = delivery.attempts.length - 1;
+    if (retry < RETRY_DELAYS.length) {
+        delivery.status = DELIVERY_STATUS.RETRYING;
+        delivery.nextRetryAt = Date.now() + RETRY_DELAYS[retry];
+        await saveDelivery(delivery);
+    } else {
+        delivery.status = DELIVERY_STATUS.FAILED;
+        delivery.nextRetryAt = null;
+        await saveDelivery(delivery);
+        stats.exhausted++;
+        await recordExhausted(endpoint.id);
+    }
+
+    throw new Error(attempt.error);
+}
+
+/**
+ * Recent deliveries to an endpoint (newest first)
+ * @param {string} owner
+ * @param {string} endpointId
+ * @param {Object} options - { limit, status }
+ * @returns {Promise<Object>}
+ */
+async function listDeliveries(owner, endpointId, options = {}) {
+    const endpoint = await loadOwnedEndpoint(owner, endpointId);
+    if (!endpoint) return { success: false, error: 'Endpoint not found' };
+
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), WEBHOOK_CONFIG.maxLogEntries);
+    const storage = getStorage();
+    const ids = await storage.lrange(keys.webhooks.deliveries(endpoint.id), 0, -1);
+
+    const deliveries = [];
+    for (const id of ids) {
+        const delivery = await storage.get(keys.webhooks.delivery(id));
+        if (!delivery || (options.status && delivery.status !== options.status)) continue;
+        deliveries.push(formatDelivery(delivery));
+        if (deliveries.length >= limit) break;
+    }
+
+    return { success: true, deliveries };
+}
+
+/**
+ * One delivery, with the payload that was sent
+ * @param {string} owner
+ * @param {string} deliveryId
+ * @returns {Promise<Object>}
+ */
+async function getDelivery(owner, deliveryId) {
+    const delivery = typeof deliveryId === 'string'
+        ? await getStorage().get(keys.webhooks.delivery(deliveryId))
+        : null;
+
+    if (!delivery || !await loadOwnedEndpoint(owner, delivery.endpointId)) {
+        return { success: false, error: 'Delivery not found' };
+    }
+
+    return { success: true, delivery: formatDelivery(delivery, true) };
+}
+
+/**
+ * Send a delivery's payload again, as a new delivery
+ * Receivers see the same event id, so they can dedupe.
+ * @param {string} owner
+ * @param {string} deliveryId - Delivery to repeat
+ * @returns {Promise<Object>}
+ */
+async function redeliver(owner, deliveryId) {
+    const original = typeof deliveryId === 'string'
+        ? await getStorage().get(keys.webhooks.delivery(deliveryId))
+        : null;
+    const endpoint = original && await loadOwnedEndpoint(owner, original.endpointId);
+
+    if (!endpoint) {
+        return { success: false, error: 'Delivery not found' };
+    }
+
+    if (endpoint.status !== ENDPOINT_STATUS.ACTIVE) {
+        return { success: false, error: 'Endpoint is disabled' };
+    }
+
+    const delivery = await createDelivery(endpoint, {
+        id: original.eventId,
+        topic: original.topic,
+        payload: original.payload
+    }, original.id);
+
+    stats.redelivered++;
+    logAudit('webhook_redelivered', {
+        owner: maskWallet(owner),
+        endpointId: endpoint.id,
+        deliveryId: original.id
+    });
+
+    return { success: true, delivery: formatDelivery(delivery) };
+}
+
+/**
+ * Queue a webhook.ping delivery to check an endpoint
+ * @param {string} owner
+ * @param {string} endpointId
+ * @returns {Promise<Object>}
+ */
+async function sendTestEvent(owner, endpointId) {
+    const endpoint = await loadOwnedEndpoint(owner, endpointId);
+    if (!endpoint) return { success: false, error: 'Endpoint not found' };
+
+    if (endpoint.status !== ENDPOINT_STATUS.ACTIVE) {
+        return { success: false, error: 'Endpoint is disabled' };
+    }
+
+    const delivery = await createDelivery(endpoint, {
+        id: generateId('evt'),
+        topic: PING_TOPIC,
+        timestamp: Date.now(),
+        data: { endpointId: endpoint.id }
+    });
+
+    return { success: true, delivery: formatDelivery(delivery) };
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Register the delivery job and subscribe to the eventBus topics
+ */
+function initialize() {
+    if (initialized) return;
+
+    registerHandler(JOB_TYPE, deliver, {
+        timeout: WEBHOOK_CONFIG.timeout + 5000,
+        // The queue counts the first attempt too
+        maxRetries: RETRY_DELAYS.length + 1,
+        retryDelays: RETRY_DELAYS
+    });
+
+    for (const { event } of Object.values(TOPICS)) {
+        subscriptionHandles.push(subscribe(event, handleEvent, { priority: 1 }));
+    }
+
+    initialized = true;
+}
+
+/**
+ * Stop fanning out new events
+ * The job handler stays registered so queued deliveries still drain.
+ */
+function shutdown() {
+    for (const handle of subscriptionHandles.splice(0)) {
+        handle.unsubscribe();
+    }
+    initialized = false;
+}
+
+/**
+ * Topics partners can subscribe to
+ * @returns {Object[]}
+ */
+function getTopics() {
+    return Object.entries(TOPICS).map(([topic, { description }]) => ({ topic, description }));
+}
+
+/**
+ * Get outbound webhook statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return {
+        ...stats,
+        initialized,
+        retryDelays: RETRY_DELAYS
+    };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Endpoints
+    createEndpoint,
+    listEndpoints,
+    getEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    rotateSecret,
+
+    // Deliveries
+    listDeliveries,
+    getDelivery,
+    redeliver,
+    sendTestEvent,
+    handleEvent,
+    deliver,
+
+    // Signatures
+    verifySignature,
+
+    // Lifecycle
+    initialize,
+    shutdown,
+
+    // Queries
+    getTopics,
+    getStats,
+
+    // Constants
+    TOPICS,
+    WILDCARD,
+    ENDPOINT_STATUS,
+    DELIVERY_STATUS,
+    RETRY_DELAYS,
+    WEBHOOK_CONFIG
+};
@@ -52,30 +52,36 @@ let isConnected = false;
 
 /**
  * Initialize database connection pool
+ * @param {Object} [options]
+ * @param {Object} [options.pool] - Ready pg-compatible pool (tests: pg-mem)
  */
-async function initialize() {
+async function initialize(options = {}) {
   if (pool) return pool;
 
   const connectionString = process.env.DATABASE_URL;
 
-  if (!connectionString) {
+  if (!connectionString && !options.pool) {
     console.log('[PostgreSQL] DATABASE_URL not set - running in memory-only mode');
     return null;
   }
 
   try {
-    const { Pool } = require('pg');
-
-    pool = new Pool({
-      connectionString,
-      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-      min: DB_CONFIG.pool.min,
-      max: DB_CONFIG.pool.max,
-      idleTimeoutMillis: DB_CONFIG.pool.idleTimeoutMs,
-      connectionTimeoutMillis: DB_CONFIG.pool.connectionTimeoutMs,
-      // Schema isolation: all ASDF tables in 'asdf' schema
-      options: '-c search_path=asdf,public',
-    });
+    if (options.pool) {
+      pool = options.pool;
+    } else {
+      const { Pool } = require('pg');
+
+      pool = new Pool({
+        connectionString,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+        min: DB_CONFIG.pool.min,
+        max: DB_CONFIG.pool.max,
+        idleTimeoutMillis: DB_CONFIG.pool.idleTimeoutMs,
+        connectionTimeoutMillis: DB_CONFIG.pool.connectionTimeoutMs,
+        // Schema isolation: all ASDF tables in 'asdf' schema
+        options: '-c search_path=asdf,public',
+      });
+    }
 
     // Test connection
     const client = await pool.connect();
@@ -115,6 +121,23 @@ function isAvailable() {
 // MIGRATIONS
 // ============================================
 
+/**
+ * Table behind a database.js repository: one JSONB document per id
+ * @param {string} table - Table name
+ * @returns {string} SQL
+ */
+function repositoryTable(table) {
+  return `
+            CREATE TABLE IF NOT EXISTS ${table} (
+                id VARCHAR(128) PRIMARY KEY,
+                owner VARCHAR(128),
+                data JSONB NOT NULL,
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS idx_${table}_owner ON ${table}(owner);
+        `;
+}
+
 const MIGRATIONS = [
   {
     version: 1,
@@ -427,6 +450,91 @@ const MIGRATIONS = [
             ALTER TABLE purchases ADD COLUMN IF NOT EXISTS xp_granted INTEGER DEFAULT 0;
         `,
   },
+
+  // Domain repositories (database.js): state that services cache in memory
+  {
+    version: 5,
+    name: 'achievements_repository',
+    up: repositoryTable('achievement_progress'),
+  },
+  {
+    version: 6,
+    name: 'referrals_repository',
+    up:
+      repositoryTable('referral_accounts') +
+      repositoryTable('referral_relations') +
+      repositoryTable('referral_daily_counts'),
+  },
+  {
+    version: 7,
+    name: 'progression_repository',
+    up:
+      repositoryTable('player_progress') +
+      repositoryTable('xp_events') +
+      repositoryTable('xp_daily_tracking'),
+  },
+  {
+    version: 8,
+    name: 'challenges_repository',
+    up: repositoryTable('challenge_progress') + repositoryTable('challenge_claims'),
+  },
+  {
+    version: 9,
+    name: 'notifications_repository',
+    up: repositoryTable('notification_inboxes') + repositoryTable('notification_preferences'),
+  },
+  {
+    version: 10,
+    name: 'sessions_repository',
+    up: repositoryTable('user_sessions') + repositoryTable('user_devices'),
+  },
+  {
+    version: 11,
+    name: 'anticheat_repository',
+    up:
+      repositoryTable('anticheat_profiles') +
+      repositoryTable('anticheat_sanctions') +
+      repositoryTable('anticheat_fingerprints') +
+      repositoryTable('anticheat_baselines'),
+  },
+  {
+    version: 12,
+    name: 'rbac_repository',
+    up: repositoryTable('role_assignments'),
+  },
+
+  // Burn indexer: on-chain position and kind of each burn
+  {
+    version: 13,
+    name: 'burn_indexer',
+    up: `
+            ALTER TABLE burns ADD COLUMN IF NOT EXISTS slot BIGINT;
+            ALTER TABLE burns ADD COLUMN IF NOT EXISTS kind VARCHAR(20) DEFAULT 'burn';
+            ALTER TABLE burns ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'app';
+            CREATE INDEX IF NOT EXISTS idx_burns_slot ON burns(slot);
+        `,
+  },
+
+  // Burn analytics: pre-aggregated buckets per granularity
+  {
+    version: 14,
+    name: 'burn_series',
+    up: `
+            ALTER TABLE burns ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMP DEFAULT NOW();
+            CREATE INDEX IF NOT EXISTS idx_burns_indexed ON burns(indexed_at);
+
+            CREATE TABLE IF NOT EXISTS burn_series (
+                granularity VARCHAR(8) NOT NULL,
+                bucket TIMESTAMP NOT NULL,
+                burned DECIMAL(24, 6) DEFAULT 0,
+                incinerated DECIMAL(24, 6) DEFAULT 0,
+                burns INTEGER DEFAULT 0,
+                burners INTEGER DEFAULT 0,
+                new_burners INTEGER DEFAULT 0,
+                PRIMARY KEY (granularity, bucket)
+            );
+        `,
+  },
 ];
 
 /**
@@ -737,8 +845,19 @@ async function recordBurn(wallet, amount, signature) {
         [wallet, amount]
       );
 
-      // Update ranks
-      await client.query(`
+      await rankLeaderboard(client);
+
+      return { success: true };
+    });
+  });
+}
+
+/**
+ * Recompute leaderboard ranks
+ * @param {Object} [client] - Transaction client (defaults to the pool)
+ */
+async function rankLeaderboard(client = null) {
+  const sql = `
                 WITH ranked AS (
                     SELECT wallet, ROW_NUMBER() OVER (ORDER BY total_burned DESC) as new_rank
                     FROM leaderboard
@@ -747,13 +866,241 @@ async function recordBurn(wallet, amount, signature) {
                 SET rank = r.new_rank
                 FROM ranked r
                 WHERE l.wallet = r.wallet
-            `);
+            `;
 
-      return { success: true };
-    });
+  return client ? client.query(sql) : query(sql);
+}
+
+/**
+ * Write burns found on-chain, idempotently
+ * A signature is one row; replaying it overwrites the row. Leaderboard rows
+ * of the wallets involved are rebuilt from the burns table, so re-indexing
+ * never double counts. Ranks are left to rankLeaderboard().
+ * @param {Array<{signature, wallet, amount, slot, burnedAt, kind}>} burns
+ * @param {string} [source] - 'indexer' or 'webhook'
+ * @returns {Promise<{written: number, wallets: number}>}
+ */
+async function upsertBurns(burns, source = 'indexer') {
+  if (burns.length === 0) return { written: 0, wallets: 0 };
+
+  return writeWithInvalidation('leaderboard:burns:100', () =>
+    transaction(async client => {
+      const wallets = new Set();
+
+      for (const burn of burns) {
+        // A corrected burn may move away from a wallet: rebuild that one too
+        const previous = await client.query('SELECT wallet FROM burns WHERE signature = $1', [
+          burn.signature,
+        ]);
+        if (previous.rows[0]) wallets.add(previous.rows[0].wallet);
+        wallets.add(burn.wallet);
+
+        await client.query(
+          `
+                INSERT INTO burns (wallet, amount, signature, burned_at, slot, kind, source)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (signature) DO UPDATE SET
+                    wallet = EXCLUDED.wallet,
+                    amount = EXCLUDED.amount,
+                    burned_at = EXCLUDED.burned_at,
+                    slot = EXCLUDED.slot,
+                    kind = EXCLUDED.kind,
+                    indexed_at = NOW()
+            `,
+          [
+            burn.wallet,
+            burn.amount,
+            burn.signature,
+            new Date(burn.burnedAt),
+            burn.slot,
+            burn.kind || 'burn',
+            source,
+          ]
+        );
+      }
+
+      for (const wallet of wallets) {
+        await client.query('DELETE FROM leaderboard WHERE wallet = $1', [wallet]);
+        await client.query(
+          `
+                INSERT INTO leaderboard (wallet, total_burned, burn_count, first_burn, last_burn)
+                SELECT wallet, SUM(amount), COUNT(*), MIN(burned_at), MAX(burned_at)
+                FROM burns
+                WHERE wallet = $1
+                GROUP BY wallet
+            `,
+          [wallet]
+        );
+      }
+
+      return { written: burns.length, wallets: wallets.size };
+    })
+  );
+}
+
+/**
+ * Indexed burn totals per kind ('burn' reduces supply, 'incinerator' doesn't)
+ * @param {Object} [range] - { fromSlot, toSlot }, inclusive
+ * @returns {Promise<Array<{kind, burns, total, firstSlot, lastSlot}>>}
+ */
+async function getBurnTotals(range = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (range.fromSlot !== undefined && range.fromSlot !== null) {
+    params.push(range.fromSlot);
+    conditions.push(`slot >= $${params.length}`);
+  }
+  if (range.toSlot !== undefined && range.toSlot !== null) {
+    params.push(range.toSlot);
+    conditions.push(`slot <= $${params.length}`);
+  }
+
+  const result = await query(
+    `
+            SELECT COALESCE(kind, 'burn') AS kind, COUNT(*) AS burns,
+                   COALESCE(SUM(amount), 0) AS total,
+                   MIN(slot) AS first_slot, MAX(slot) AS last_slot
+            FROM burns
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            GROUP BY COALESCE(kind, 'burn')
+        `,
+    params
+  );
+
+  return result.rows.map(row => ({
+    kind: row.kind,
+    burns: Number(row.burns),
+    total: Number(row.total),
+    firstSlot: row.first_slot === null ? null : Number(row.first_slot),
+    lastSlot: row.last_slot === null ? null : Number(row.last_slot),
+  }));
+}
+
+// ============================================
+// BURN SERIES
+// ============================================
+
+const SERIES_GRANULARITIES = ['hour', 'day', 'week'];
+
+/**
+ * Burns written since a watermark
+ * @param {Date|null} watermark - indexed_at already aggregated
+ * @returns {Promise<{since: Date|null, mark: Date|null}>} Oldest burn time and newest write
+ */
+async function getBurnChanges(watermark) {
+  const result = await query(
+    'SELECT MIN(burned_at) AS since, MAX(indexed_at) AS mark FROM burns WHERE indexed_at > $1',
+    [watermark || new Date(0)]
+  );
+  const row = result.rows[0] || {};
+  return {
+    since: row.since ? new Date(row.since) : null,
+    mark: row.mark ? new Date(row.mark) : null,
+  };
+}
+
+/**
+ * Rebuild series buckets from a time on, for every granularity
+ * A bucket is recomputed whole from the burns table, so refreshing twice is
+ * harmless. New burners are counted in the bucket of their first burn.
+ * @param {Date} since - Oldest burn that changed
+ */
+async function refreshBurnSeries(since) {
+  return transaction(async client => {
+    for (const granularity of SERIES_GRANULARITIES) {
+      // Whitelisted above: safe to inline (date_trunc needs a literal unit)
+      const bucket = column => `date_trunc('${granularity}', ${column})`;
+
+      await client.query(
+        `DELETE FROM burn_series WHERE granularity = $1 AND bucket >= ${bucket('$2::timestamp')}`,
+        [granularity, since]
+      );
+      await client.query(
+        `
+                INSERT INTO burn_series (granularity, bucket, burned, incinerated, burns, burners, new_burners)
+                SELECT $1, b.bucket, b.burned, b.incinerated, b.burns, b.burners, COALESCE(n.new_burners, 0)
+                FROM (
+                    SELECT ${bucket('burned_at')} AS bucket,
+                           SUM(CASE WHEN COALESCE(kind, 'burn') = 'burn' THEN amount ELSE 0 END) AS burned,
+                           SUM(CASE WHEN kind = 'incinerator' THEN amount ELSE 0 END) AS incinerated,
+                           COUNT(*) AS burns,
+                           COUNT(DISTINCT wallet) AS burners
+                    FROM burns
+                    WHERE burned_at >= ${bucket('$2::timestamp')}
+                    GROUP BY ${bucket('burned_at')}
+                ) b
+                LEFT JOIN (
+                    SELECT ${bucket('first_burn')} AS bucket, COUNT(*) AS new_burners
+                    FROM (SELECT wallet, MIN(burned_at) AS first_burn FROM burns GROUP BY wallet) f
+                    WHERE first_burn >= ${bucket('$2::timestamp')}
+                    GROUP BY ${bucket('first_burn')}
+                ) n ON n.bucket = b.bucket
+            `,
+        [granularity, since]
+      );
+    }
   });
 }
 
+/**
+ * Series buckets in a range, plus the totals before it
+ * @param {string} granularity - 'hour' | 'day' | 'week'
+ * @param {Date} from - First bucket start (inclusive)
+ * @param {Date} to - Last bucket start (inclusive)
+ * @returns {Promise<{buckets: Object[], before: {burned: number, burners: number}}>}
+ */
+async function getBurnSeries(granularity, from, to) {
+  const [buckets, before] = await Promise.all([
+    query(
+      `
+            SELECT bucket, burned, incinerated, burns, burners, new_burners
+            FROM burn_series
+            WHERE granularity = $1 AND bucket >= $2 AND bucket <= $3
+            ORDER BY bucket ASC
+        `,
+      [granularity, from, to]
+    ),
+    query(
+      `
+            SELECT COALESCE(SUM(burned), 0) AS burned, COALESCE(SUM(new_burners), 0) AS burners
+            FROM burn_series
+            WHERE granularity = $1 AND bucket < $2
+        `,
+      [granularity, from]
+    ),
+  ]);
+
+  return {
+    buckets: buckets.rows.map(row => ({
+      bucket: new Date(row.bucket).getTime(),
+      burned: Number(row.burned),
+      incinerated: Number(row.incinerated),
+      burns: Number(row.burns),
+      burners: Number(row.burners),
+      newBurners: Number(row.new_burners),
+    })),
+    before: {
+      burned: Number(before.rows[0]?.burned || 0),
+      burners: Number(before.rows[0]?.burners || 0),
+    },
+  };
+}
+
+/**
+ * Signature of the oldest indexed burn above a slot (a place to start
+ * walking signature history from, newest first)
+ * @param {number} slot
+ * @returns {Promise<string|null>}
+ */
+async function getBurnSignatureAbove(slot) {
+  const result = await query(
+    'SELECT signature FROM burns WHERE slot > $1 ORDER BY slot ASC LIMIT 1',
+    [slot]
+  );
+  return result.rows[0]?.signature || null;
+}
+
 // ============================================
 // GAME OPERATIONS
 // ============================================
@@ -1402,6 +1749,18 @@ module.exports = {
   // Leaderboard
   getLeaderboard,
   recordBurn,
+  rankLeaderboard,
+
+  // Burn indexer
+  upsertBurns,
+  getBurnTotals,
+  getBurnSignatureAbove,
+
+  // Burn series
+  getBurnChanges,
+  refreshBurnSeries,
+  getBurnSeries,
+  SERIES_GRANULARITIES,
 
   // Games
   saveGameScore,
@@ -1428,6 +1787,10 @@ module.exports = {
   spendUserCurrency,
   recordShopPurchase,
 
+  // Migrations
+  runMigrations,
+  MIGRATIONS,
+
   // Config
   DB_CONFIG,
 };
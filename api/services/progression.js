@@ -22,6 +22,8 @@
 'use strict';
 
 const { logAudit } = require('./leaderboard');
+const { defineRepository } = require('./database');
+const { recordXP: recordSeasonXP } = require('./seasons');
 
 // ============================================
 // FIBONACCI CONSTANTS
@@ -145,6 +147,39 @@ const activeEvents = new Map();
 // Daily tracking
 const dailyTracking = new Map();
 
+// Stored forms (activity since startup was already written back, so it wins)
+const progressRepository = defineRepository('playerProgress', {
+    hydrate(entries) {
+        for (const [wallet, progress] of entries) {
+            if (!playerProgress.has(wallet)) {
+                playerProgress.set(wallet, progress);
+            }
+        }
+        updateGlobalStats();
+    }
+});
+
+const eventRepository = defineRepository('xpEvents', {
+    hydrate(entries) {
+        for (const [eventId, event] of entries) {
+            if (!activeEvents.has(eventId) && event.expiresAt > Date.now()) {
+                activeEvents.set(eventId, event);
+            }
+        }
+    }
+});
+
+// wallet:date -> daily bonus flags
+const dailyRepository = defineRepository('xpDailyTracking', {
+    hydrate(entries) {
+        for (const [key, daily] of entries) {
+            if (!dailyTracking.has(key)) {
+                dailyTracking.set(key, daily);
+            }
+        }
+    }
+});
+
 // Statistics
 const stats = {
     totalXPAwarded: 0,
@@ -259,6 +294,12 @@ function awardXP(wallet, source, context = {}) {
     stats.totalXPAwarded += xpAwarded;
     updateGlobalStats();
 
+    progressRepository.persist(wallet, progress);
+
+    recordSeasonXP(wallet, xpAwarded).catch(error =>
+        console.error('[Progression] Season XP not recorded:', error.message)
+    );
+
     return {
         xpAwarded,
         levelUp,
@@ -395,6 +436,7 @@ function updateStreak(wallet) {
     }
 
     const bonus = getStreakBonus(progress.streak);
+    progressRepository.persist(wallet, progress);
 
     if (bonus > 0) {
         awardXP(wallet, 'daily', { type: 'login' });
@@ -474,6 +516,7 @@ function prestige(wallet) {
     progress.tier = calculateTier(progress.level, progress.prestige);
 
     stats.totalPrestiges++;
+    progressRepository.persist(wallet, progress);
 
     logAudit('prestige', {
         wallet: wallet.slice(0, 8) + '...',
@@ -568,6 +611,8 @@ function checkDailyBonuses(wallet, source, context) {
             daily.fiveGamesAwarded = true;
             bonus += config.fiveGames;
         }
+
+        dailyRepository.persist(key, daily);
     }
 
     return bonus;
@@ -682,6 +727,7 @@ function startEvent(eventId, multiplier, durationMs) {
     };
 
     activeEvents.set(eventId, event);
+    eventRepository.persist(eventId, event);
 
     logAudit('xp_event_started', { eventId, multiplier, durationMs });
 
@@ -694,6 +740,7 @@ function startEvent(eventId, multiplier, durationMs) {
  */
 function endEvent(eventId) {
     activeEvents.delete(eventId);
+    eventRepository.discard(eventId);
     logAudit('xp_event_ended', { eventId });
 }
 
@@ -815,6 +862,7 @@ setInterval(() => {
     for (const key of dailyTracking.keys()) {
         if (!key.includes(today)) {
             dailyTracking.delete(key);
+            dailyRepository.discard(key);
         }
     }
 
@@ -822,6 +870,7 @@ setInterval(() => {
     for (const [id, event] of activeEvents.entries()) {
         if (event.expiresAt < Date.now()) {
             activeEvents.delete(id);
+            eventRepository.discard(id);
         }
     }
 }, 60 * 60 * 1000);  // Every hour
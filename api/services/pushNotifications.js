@@ -4,9 +4,9 @@
  * Multi-platform push notification support:
  * - Firebase Cloud Messaging (Android/iOS/Web)
  * - Apple Push Notification Service (iOS native)
- * - Web Push (Service Workers)
+ * - Web Push (Service Workers), delivered through ./webPush
  *
- * Prepared for future integration
+ * Firebase and APNs senders are prepared but not wired yet.
  *
  * @version 1.0.0
  *
@@ -14,14 +14,18 @@
  * - Token validation
  * - Rate limiting
  * - Payload sanitization
+ * - Expired subscriptions pruned on 404/410
+ * - Queued sends ride the durable job queue
  */
 
 'use strict';
 
 const crypto = require('crypto');
 const { getStorage } = require('./storage');
-const { getPushTokens, shouldSendNotification } = require('./notificationPreferences');
+const { getPushTokens, unregisterPushToken, shouldSendNotification } = require('./notificationPreferences');
+const webPush = require('./webPush');
 const { logAudit } = require('./leaderboard');
+const { registerHandler, enqueue } = require('./queue');
 
 // ============================================
 // CONFIGURATION
@@ -69,6 +73,9 @@ const PUSH_CONFIG = {
     maxBodyLength: 256
 };
 
+// Job type for queued sends
+const JOB_TYPE = 'push_delivery';
+
 // Notification categories for iOS
 const NOTIFICATION_CATEGORIES = {
     ACHIEVEMENT: 'achievement',
@@ -88,10 +95,6 @@ const rateLimits = {
     perWallet: new Map()
 };
 
-// Pending notifications queue
-const pendingQueue = [];
-let isProcessing = false;
-
 // Statistics
 const stats = {
     totalSent: 0,
@@ -101,6 +104,7 @@ const stats = {
         ios: { sent: 0, failed: 0 },
         web: { sent: 0, failed: 0 }
     },
+    pruned: 0,
     lastError: null
 };
 
@@ -144,12 +148,23 @@ async function sendPushNotification(wallet, notification, options = {}) {
     const succeeded = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
     const failed = results.length - succeeded;
 
+    // Push services answer 404/410 once a subscription is gone for good
+    const gone = tokens.filter((token, i) => results[i].status === 'fulfilled' && results[i].value.gone);
+    let pruned = 0;
+    for (const token of gone) {
+        if (await unregisterPushToken(wallet, token.deviceId)) {
+            pruned++;
+        }
+    }
+    stats.pruned += pruned;
+
     return {
         sent: succeeded > 0,
         results: {
             total: tokens.length,
             succeeded,
-            failed
+            failed,
+            pruned
         }
     };
 }
@@ -187,10 +202,10 @@ async function sendBulkPushNotification(wallets, notification) {
  * Queue notification for sending (async)
  * @param {string} wallet - Target wallet
  * @param {Object} notification - Notification data
+ * @returns {Promise<{jobId: string}>}
  */
-function queuePushNotification(wallet, notification) {
-    pendingQueue.push({ wallet, notification, timestamp: Date.now() });
-    processQueue();
+async function queuePushNotification(wallet, notification) {
+    return enqueue(JOB_TYPE, { wallet, notification });
 }
 
 // ============================================
@@ -320,9 +335,11 @@ async function sendViaFirebase(token, payload, platform, options = {}) {
 
 /**
  * Send via Web Push (VAPID)
- * @param {string} subscription - Web Push subscription
+ * The service worker (public/sw.js) shows the notification and opens
+ * data.url on click.
+ * @param {string} subscription - Web Push subscription (JSON)
  * @param {Object} payload - Notification payload
- * @param {Object} options - Options
+ * @param {Object} options - Options { ttl, urgency, topic }
  * @returns {Promise<Object>}
  */
 async function sendViaWebPush(subscription, payload, options = {}) {
@@ -330,6 +347,13 @@ async function sendViaWebPush(subscription, payload, options = {}) {
         return { success: false, error: 'Web Push not configured' };
     }
 
+    let parsed;
+    try {
+        parsed = JSON.parse(subscription);
+    } catch {
+        return { success: false, error: 'Invalid subscription' };
+    }
+
     const webPushPayload = JSON.stringify({
         title: payload.title,
         body: payload.body,
@@ -345,21 +369,15 @@ async function sendViaWebPush(subscription, payload, options = {}) {
         renotify: true
     });
 
-    // TODO: Actually send via web-push library when configured
-    // const webpush = require('web-push');
-    // webpush.setVapidDetails(
-    //     PUSH_CONFIG.webPush.subject,
-    //     PUSH_CONFIG.webPush.publicKey,
-    //     PUSH_CONFIG.webPush.privateKey
-    // );
-    // await webpush.sendNotification(JSON.parse(subscription), webPushPayload);
-
-    console.log('[Push] Web Push notification prepared:', {
-        title: payload.title
+    const result = await webPush.sendNotification(parsed, webPushPayload, {
+        vapid: PUSH_CONFIG.webPush,
+        ttl: options.ttl ?? PUSH_CONFIG.defaultTTL,
+        urgency: options.urgency || (payload.priority === 'high' ? 'high' : 'normal'),
+        topic: options.topic
     });
 
     return {
-        success: true,
+        ...result,
         platform: 'web'
     };
 }
@@ -631,27 +649,13 @@ function formatNumber(num) {
 }
 
 /**
- * Process pending queue
+ * Send a queued notification (job handler)
+ * Errors (e.g. storage down) make the queue retry with PUSH_CONFIG delays.
+ * @param {{wallet: string, notification: Object}} data - Job data
+ * @returns {Promise<Object>}
  */
-async function processQueue() {
-    if (isProcessing || pendingQueue.length === 0) return;
-
-    isProcessing = true;
-
-    while (pendingQueue.length > 0) {
-        const item = pendingQueue.shift();
-
-        try {
-            await sendPushNotification(item.wallet, item.notification);
-        } catch (error) {
-            console.error('[Push] Queue processing error:', error.message);
-        }
-
-        // Small delay between sends
-        await new Promise(r => setTimeout(r, 100));
-    }
-
-    isProcessing = false;
+async function deliverQueued({ wallet, notification }) {
+    return sendPushNotification(wallet, notification);
 }
 
 // ============================================
@@ -665,7 +669,6 @@ async function processQueue() {
 function getStats() {
     return {
         ...stats,
-        queueSize: pendingQueue.length,
         configured: {
             firebase: PUSH_CONFIG.firebase.enabled,
             apns: PUSH_CONFIG.apns.enabled,
@@ -682,6 +685,20 @@ function getVapidPublicKey() {
     return PUSH_CONFIG.webPush.publicKey || null;
 }
 
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Register the delivery job
+ */
+function initialize() {
+    registerHandler(JOB_TYPE, deliverQueued, {
+        maxRetries: PUSH_CONFIG.maxRetries,
+        retryDelays: PUSH_CONFIG.retryDelays
+    });
+}
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -692,6 +709,12 @@ module.exports = {
     sendBulkPushNotification,
     queuePushNotification,
 
+    // Payload (shared with the email digest)
+    buildPayload,
+
+    // Lifecycle
+    initialize,
+
     // Stats
     getStats,
     getVapidPublicKey,
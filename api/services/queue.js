@@ -5,18 +5,23 @@
  * - Priority-based job scheduling
  * - Retry with exponential backoff
  * - Job deduplication
- * - Dead letter queue
+ * - Dead letter queue (replayable)
+ * - Durable driver: jobs survive restarts and are shared by every worker
+ * - Visibility-timeout leases: stuck jobs return to the queue on their own
  *
  * Security by Design:
  * - Job data sanitization
  * - Execution timeout
  * - Rate limiting per job type
+ * - Lease tokens: a worker that lost its lease can't overwrite the job
  */
 
 'use strict';
 
 const crypto = require('crypto');
+const os = require('os');
 const { logAudit } = require('./leaderboard');
+const { getStorage, RedisAdapter, keys } = require('./storage');
 
 // ============================================
 // CONFIGURATION
@@ -35,9 +40,26 @@ const QUEUE_CONFIG = {
     defaultTimeout: 30000,
     maxTimeout: 300000,
 
+    // Leases: a claimed job is invisible to other workers until its lease
+    // expires (job timeout + grace), then recovery puts it back in the queue
+    claimLease: 30000,
+    leaseGrace: 5000,
+    recoveryInterval: 5000,
+    recoveryBatch: 100,
+
+    // A job of a type this worker has no handler for goes back to the queue,
+    // hidden from claims this long, for a worker that has one
+    unhandledDelay: 5000,
+
     // Dead letter
     deadLetterThreshold: 5,
 
+    // Shutdown: wait for running jobs, then hand them back to the queue
+    drainTimeout: 8000,
+
+    // Driver: 'auto' follows STORAGE_BACKEND, 'memory' keeps jobs in this process
+    driver: process.env.QUEUE_DRIVER || 'auto',
+
     // Cleanup
     completedRetention: 60 * 60 * 1000,  // 1 hour
     failedRetention: 24 * 60 * 60 * 1000  // 24 hours
@@ -51,6 +73,9 @@ const PRIORITY = {
     CRITICAL: 3
 };
 
+// Claim order
+const PRIORITY_ORDER = [PRIORITY.CRITICAL, PRIORITY.HIGH, PRIORITY.NORMAL, PRIORITY.LOW];
+
 // Job status
 const STATUS = {
     PENDING: 'pending',
@@ -61,26 +86,22 @@ const STATUS = {
 };
 
 // ============================================
-// STORAGE
+// STATE
 // ============================================
 
-// Job queues by priority
-const queues = {
-    [PRIORITY.CRITICAL]: [],
-    [PRIORITY.HIGH]: [],
-    [PRIORITY.NORMAL]: [],
-    [PRIORITY.LOW]: []
-};
-
-// Job registry
-const jobs = new Map();
-
 // Job handlers
 const handlers = new Map();
 
 // Processing state
 let activeJobs = 0;
 let isProcessing = false;
+let lastRecovery = 0;
+
+// Jobs this worker is running: jobId -> job
+const inFlight = new Map();
+
+// Worker identity (lease owner)
+const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
 
 // Stats
 const queueStats = {
@@ -89,9 +110,586 @@ const queueStats = {
     completed: 0,
     failed: 0,
     retried: 0,
-    deadLettered: 0
+    deadLettered: 0,
+    recovered: 0,
+    leasesLost: 0,
+    unhandledReleases: 0,
+    driverErrors: 0
 };
 
+// ============================================
+// MEMORY DRIVER
+// ============================================
+
+/**
+ * In-process driver (development, single node)
+ * Jobs are lost on restart.
+ */
+class MemoryQueueDriver {
+    constructor() {
+        this.name = 'memory';
+
+        // Job queues by priority (job IDs)
+        this.queues = {
+            [PRIORITY.CRITICAL]: [],
+            [PRIORITY.HIGH]: [],
+            [PRIORITY.NORMAL]: [],
+            [PRIORITY.LOW]: []
+        };
+
+        // Job registry
+        this.jobs = new Map();
+
+        // Leases: jobId -> { token, expires }
+        this.leases = new Map();
+    }
+
+    async add(job) {
+        if (job.dedupeKey) {
+            for (const existing of this.jobs.values()) {
+                if (existing.dedupeKey === job.dedupeKey &&
+                    (existing.status === STATUS.PENDING || existing.status === STATUS.PROCESSING)) {
+                    return { jobId: existing.id, deduplicated: true };
+                }
+            }
+        }
+
+        this.jobs.set(job.id, job);
+        const queue = this.queues[job.priority];
+        queue.push(job.id);
+
+        return { jobId: job.id, position: queue.length };
+    }
+
+    async claim(now, leaseUntil, token) {
+        for (const priority of PRIORITY_ORDER) {
+            const queue = this.queues[priority];
+
+            for (let i = 0; i < queue.length; i++) {
+                const job = this.jobs.get(queue[i]);
+
+                if (!job) {
+                    queue.splice(i, 1);
+                    i--;
+                    continue;
+                }
+
+                if (job.status === STATUS.PENDING && job.scheduledFor <= now) {
+                    queue.splice(i, 1);
+                    this.leases.set(job.id, { token, expires: leaseUntil, priority });
+                    return job;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async touch(job, token, leaseUntil) {
+        const lease = this.leases.get(job.id);
+        if (!lease || lease.token !== token) return false;
+        lease.expires = leaseUntil;
+        return true;
+    }
+
+    /**
+     * Settle a leased job: release the lease and file the job under its new status
+     * @param {Object} job - Job in its new state
+     * @param {string|null} token - Lease token (null = no lease check)
+     * @param {number|null} [expiredBy] - Only settle if the lease expired by then (recovery)
+     * @returns {Promise<boolean>} false if the lease was lost
+     */
+    async settle(job, token, expiredBy = null) {
+        const lease = this.leases.get(job.id);
+        if (token && (!lease || lease.token !== token)) return false;
+        if (expiredBy !== null && (!lease || lease.expires > expiredBy)) return false;
+
+        this.leases.delete(job.id);
+        this.jobs.set(job.id, job);
+        this.removeFromQueues(job.id);
+        if (job.status === STATUS.PENDING) {
+            this.queues[job.priority].push(job.id);
+        }
+
+        return true;
+    }
+
+    /**
+     * Leases that expired by now
+     * @returns {Promise<Array<{jobId: string, token: string}>>}
+     */
+    async expired(now, limit) {
+        const expired = [];
+
+        for (const [jobId, lease] of this.leases.entries()) {
+            if (lease.expires > now) continue;
+
+            expired.push({ jobId, token: lease.token });
+            if (expired.length >= limit) break;
+        }
+
+        return expired;
+    }
+
+    async get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    async save(job) {
+        this.jobs.set(job.id, job);
+    }
+
+    async list(status, limit) {
+        const results = [];
+        for (const job of this.jobs.values()) {
+            if (!status || job.status === status) {
+                results.push(job);
+                if (results.length >= limit) break;
+            }
+        }
+        return results;
+    }
+
+    async remove(jobId) {
+        this.removeFromQueues(jobId);
+        this.leases.delete(jobId);
+        return this.jobs.delete(jobId);
+    }
+
+    async cleanup(now) {
+        for (const [jobId, job] of this.jobs.entries()) {
+            const retention = job.status === STATUS.COMPLETED
+                ? QUEUE_CONFIG.completedRetention
+                : QUEUE_CONFIG.failedRetention;
+
+            if ((job.status === STATUS.COMPLETED || job.status === STATUS.DEAD || job.status === STATUS.FAILED) &&
+                job.completedAt && job.completedAt + retention <= now) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+
+    removeFromQueues(jobId) {
+        for (const queue of Object.values(this.queues)) {
+            const idx = queue.indexOf(jobId);
+            if (idx > -1) queue.splice(idx, 1);
+        }
+    }
+
+    get sizes() {
+        let dead = 0;
+        for (const job of this.jobs.values()) {
+            if (job.status === STATUS.DEAD || job.status === STATUS.FAILED) dead++;
+        }
+
+        return {
+            totalJobs: this.jobs.size,
+            queueSizes: {
+                critical: this.queues[PRIORITY.CRITICAL].length,
+                high: this.queues[PRIORITY.HIGH].length,
+                normal: this.queues[PRIORITY.NORMAL].length,
+                low: this.queues[PRIORITY.LOW].length
+            },
+            leased: this.leases.size,
+            deadLetter: dead
+        };
+    }
+}
+
+// ============================================
+// REDIS DRIVER
+// ============================================
+
+/**
+ * Lua scripts - claim, settle and recovery are atomic, so two workers can
+ * never hold the same job and a late worker can't resurrect a recovered one.
+ *
+ * Layout (under the storage prefix):
+ * - queue:job:<id>           job record (JSON)
+ * - queue:pending:<priority> zset, score = scheduledFor
+ * - queue:leases             zset, score = lease expiry
+ * - queue:leases:owners      hash, id -> "<token>|<pending slot>"
+ * - queue:completed / :dead  zsets, score = completedAt
+ * - queue:dedupe:<key>       id of the live job for a dedupe key
+ */
+const SCRIPTS = {
+    // KEYS: job, pending zset, dedupe (or job key when unused)
+    // ARGV: id, json, scheduledFor, useDedupe, dedupeTTL
+    // Returns: { added, position | existing id }
+    add: `
+        if ARGV[4] == '1' then
+            local existing = redis.call('GET', KEYS[3])
+            if existing then return {0, existing} end
+            redis.call('SET', KEYS[3], ARGV[1], 'PX', ARGV[5])
+        end
+        redis.call('SET', KEYS[1], ARGV[2])
+        redis.call('ZADD', KEYS[2], ARGV[3], ARGV[1])
+        return {1, redis.call('ZCARD', KEYS[2])}
+    `,
+
+    // KEYS: pending zsets (claim order), leases, owners
+    // ARGV: now, leaseUntil, token
+    // Returns: claimed id or nil
+    claim: `
+        for i = 1, 4 do
+            local ids = redis.call('ZRANGEBYSCORE', KEYS[i], '-inf', ARGV[1], 'LIMIT', 0, 1)
+            if ids[1] then
+                redis.call('ZREM', KEYS[i], ids[1])
+                redis.call('ZADD', KEYS[5], ARGV[2], ids[1])
+                redis.call('HSET', KEYS[6], ids[1], ARGV[3] .. '|' .. i)
+                return ids[1]
+            end
+        end
+        return nil
+    `,
+
+    // KEYS: leases, owners, job
+    // ARGV: id, token, leaseUntil, json
+    touch: `
+        local owner = redis.call('HGET', KEYS[2], ARGV[1])
+        if not owner or string.sub(owner, 1, #ARGV[2] + 1) ~= ARGV[2] .. '|' then return 0 end
+        redis.call('ZADD', KEYS[1], ARGV[3], ARGV[1])
+        redis.call('SET', KEYS[3], ARGV[4])
+        return 1
+    `,
+
+    // KEYS: leases, owners, job, target zset, dedupe (or job key), pending zsets x4, completed, dead
+    // ARGV: id, token ('' = no lease check), json, score, releaseDedupe, ttl (0 = keep),
+    //       expiredBy ('' = any lease; recovery only settles a lease still expired)
+    settle: `
+        local owner = redis.call('HGET', KEYS[2], ARGV[1])
+        if ARGV[2] ~= '' and (not owner or string.sub(owner, 1, #ARGV[2] + 1) ~= ARGV[2] .. '|') then
+            return 0
+        end
+        if ARGV[7] ~= '' then
+            local expires = tonumber(redis.call('ZSCORE', KEYS[1], ARGV[1]))
+            if not expires or expires > tonumber(ARGV[7]) then return 0 end
+        end
+        redis.call('ZREM', KEYS[1], ARGV[1])
+        redis.call('HDEL', KEYS[2], ARGV[1])
+        for i = 6, 11 do redis.call('ZREM', KEYS[i], ARGV[1]) end
+
+        if tonumber(ARGV[6]) > 0 then
+            redis.call('SET', KEYS[3], ARGV[3], 'PX', ARGV[6])
+        else
+            redis.call('SET', KEYS[3], ARGV[3])
+        end
+        redis.call('ZADD', KEYS[4], ARGV[4], ARGV[1])
+
+        if ARGV[5] == '1' and redis.call('GET', KEYS[5]) == ARGV[1] then
+            redis.call('DEL', KEYS[5])
+        end
+        return 1
+    `,
+
+    // KEYS: leases, owners
+    // ARGV: now, limit
+    // Returns: { expired ids, their owners }
+    expired: `
+        local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+        if #ids == 0 then return {ids, ids} end
+        return {ids, redis.call('HMGET', KEYS[2], unpack(ids))}
+    `,
+
+    // KEYS: job records
+    // Returns: json per key (nil if missing)
+    load: `
+        return redis.call('MGET', unpack(KEYS))
+    `,
+
+    // KEYS: job
+    // ARGV: json
+    save: `
+        if redis.call('EXISTS', KEYS[1]) == 0 then return 0 end
+        redis.call('SET', KEYS[1], ARGV[1], 'KEEPTTL')
+        return 1
+    `,
+
+    // KEYS: zset
+    // ARGV: limit
+    range: `
+        return redis.call('ZRANGE', KEYS[1], 0, tonumber(ARGV[1]) - 1)
+    `,
+
+    // KEYS: job, dedupe (or job key), pending zsets x4, leases, owners, completed, dead
+    // ARGV: id, releaseDedupe
+    remove: `
+        if ARGV[2] == '1' and redis.call('GET', KEYS[2]) == ARGV[1] then redis.call('DEL', KEYS[2]) end
+        for i = 3, 7 do redis.call('ZREM', KEYS[i], ARGV[1]) end
+        redis.call('HDEL', KEYS[8], ARGV[1])
+        redis.call('ZREM', KEYS[9], ARGV[1])
+        redis.call('ZREM', KEYS[10], ARGV[1])
+        return redis.call('DEL', KEYS[1])
+    `,
+
+    // KEYS: completed, dead
+    // ARGV: completed cutoff, dead cutoff
+    cleanup: `
+        redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+        redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', ARGV[2])
+        return 1
+    `,
+
+    // KEYS: pending zsets (claim order), leases, dead
+    sizes: `
+        return {
+            redis.call('ZCARD', KEYS[1]), redis.call('ZCARD', KEYS[2]),
+            redis.call('ZCARD', KEYS[3]), redis.call('ZCARD', KEYS[4]),
+            redis.call('ZCARD', KEYS[5]), redis.call('ZCARD', KEYS[6])
+        }
+    `
+};
+
+/**
+ * Redis-backed driver (production, multi-worker)
+ * Job records and indexes live in Redis, so restarts and deploys keep the
+ * queue, and any node can pick up work another node enqueued.
+ */
+class RedisQueueDriver {
+    /**
+     * @param {RedisAdapter} storage - Connected adapter (anything exposing eval())
+     */
+    constructor(storage) {
+        this.name = 'redis';
+        this.storage = storage;
+
+        // Refreshed by the processing loop so getQueueStats() stays synchronous
+        this.cachedSizes = {
+            totalJobs: null,
+            queueSizes: { critical: 0, high: 0, normal: 0, low: 0 },
+            leased: 0,
+            deadLetter: 0
+        };
+    }
+
+    pendingKeys() {
+        return PRIORITY_ORDER.map(priority => keys.queue.pending(priority));
+    }
+
+    statusKeys() {
+        return [...this.pendingKeys(), keys.queue.completed, keys.queue.dead];
+    }
+
+    targetKey(job) {
+        if (job.status === STATUS.PENDING) return keys.queue.pending(job.priority);
+        if (job.status === STATUS.COMPLETED) return keys.queue.completed;
+        return keys.queue.dead;
+    }
+
+    async add(job) {
+        const [added, value] = await this.storage.eval(
+            SCRIPTS.add,
+            [
+                keys.queue.job(job.id),
+                keys.queue.pending(job.priority),
+                job.dedupeKey ? keys.queue.dedupe(job.dedupeKey) : keys.queue.job(job.id)
+            ],
+            [job.id, JSON.stringify(job), job.scheduledFor, job.dedupeKey ? 1 : 0, QUEUE_CONFIG.failedRetention]
+        );
+
+        if (Number(added) === 0) {
+            return { jobId: value, deduplicated: true };
+        }
+        return { jobId: job.id, position: Number(value) };
+    }
+
+    async claim(now, leaseUntil, token) {
+        const jobId = await this.storage.eval(
+            SCRIPTS.claim,
+            [...this.pendingKeys(), keys.queue.leases, keys.queue.leaseOwners],
+            [now, leaseUntil, token]
+        );
+        if (!jobId) return null;
+
+        const job = await this.get(jobId);
+        if (!job) {
+            // Record expired or purged under us: drop the orphaned lease
+            await this.remove(jobId);
+            return null;
+        }
+        return job;
+    }
+
+    async touch(job, token, leaseUntil) {
+        const touched = await this.storage.eval(
+            SCRIPTS.touch,
+            [keys.queue.leases, keys.queue.leaseOwners, keys.queue.job(job.id)],
+            [job.id, token, leaseUntil, JSON.stringify(job)]
+        );
+        return Number(touched) === 1;
+    }
+
+    async settle(job, token, expiredBy = null) {
+        const terminal = job.status !== STATUS.PENDING;
+        const ttl = !terminal ? 0
+            : job.status === STATUS.COMPLETED ? QUEUE_CONFIG.completedRetention
+                : QUEUE_CONFIG.failedRetention;
+        const score = terminal ? job.completedAt : job.scheduledFor;
+
+        const settled = await this.storage.eval(
+            SCRIPTS.settle,
+            [
+                keys.queue.leases,
+                keys.queue.leaseOwners,
+                keys.queue.job(job.id),
+                this.targetKey(job),
+                job.dedupeKey ? keys.queue.dedupe(job.dedupeKey) : keys.queue.job(job.id),
+                ...this.statusKeys()
+            ],
+            [
+                job.id,
+                token || '',
+                JSON.stringify(job),
+                score,
+                terminal && job.dedupeKey ? 1 : 0,
+                ttl,
+                expiredBy === null ? '' : expiredBy
+            ]
+        );
+        return Number(settled) === 1;
+    }
+
+    async expired(now, limit) {
+        const [ids, owners] = await this.storage.eval(
+            SCRIPTS.expired,
+            [keys.queue.leases, keys.queue.leaseOwners],
+            [now, limit]
+        );
+
+        const expired = [];
+        ids.forEach((jobId, i) => {
+            const owner = owners[i];
+            if (owner) {
+                expired.push({ jobId, token: owner.slice(0, owner.lastIndexOf('|')) });
+            }
+        });
+        return expired;
+    }
+
+    async get(jobId) {
+        const [record] = await this.storage.eval(SCRIPTS.load, [keys.queue.job(jobId)], []);
+        return record ? JSON.parse(record) : null;
+    }
+
+    async save(job) {
+        await this.storage.eval(SCRIPTS.save, [keys.queue.job(job.id)], [JSON.stringify(job)]);
+    }
+
+    async list(status, limit) {
+        let indexKeys;
+        if (status === STATUS.PENDING) indexKeys = this.pendingKeys();
+        else if (status === STATUS.PROCESSING) indexKeys = [keys.queue.leases];
+        else if (status === STATUS.COMPLETED) indexKeys = [keys.queue.completed];
+        else if (status === STATUS.DEAD || status === STATUS.FAILED) indexKeys = [keys.queue.dead];
+        else indexKeys = [...this.pendingKeys(), keys.queue.leases, keys.queue.completed, keys.queue.dead];
+
+        const ids = [];
+        for (const key of indexKeys) {
+            if (ids.length >= limit) break;
+            ids.push(...await this.storage.eval(SCRIPTS.range, [key], [limit - ids.length]));
+        }
+        if (ids.length === 0) return [];
+
+        const records = await this.storage.eval(SCRIPTS.load, ids.map(id => keys.queue.job(id)), []);
+        return records
+            .filter(Boolean)
+            .map(record => JSON.parse(record))
+            .filter(job => !status || job.status === status);
+    }
+
+    async remove(jobId) {
+        const job = await this.get(jobId);
+        const removed = await this.storage.eval(
+            SCRIPTS.remove,
+            [
+                keys.queue.job(jobId),
+                job?.dedupeKey ? keys.queue.dedupe(job.dedupeKey) : keys.queue.job(jobId),
+                ...this.pendingKeys(),
+                keys.queue.leases,
+                keys.queue.leaseOwners,
+                keys.queue.completed,
+                keys.queue.dead
+            ],
+            [jobId, job?.dedupeKey ? 1 : 0]
+        );
+        return Number(removed) === 1;
+    }
+
+    async cleanup(now) {
+        // Terminal records expire through their key TTL; prune the indexes to match
+        await this.storage.eval(
+            SCRIPTS.cleanup,
+            [keys.queue.completed, keys.queue.dead],
+            [now - QUEUE_CONFIG.completedRetention, now - QUEUE_CONFIG.failedRetention]
+        );
+
+        const [critical, high, normal, low, leased, deadLetter] = (await this.storage.eval(
+            SCRIPTS.sizes,
+            [...this.pendingKeys(), keys.queue.leases, keys.queue.dead],
+            []
+        )).map(Number);
+
+        this.cachedSizes = {
+            totalJobs: null,
+            queueSizes: { critical, high, normal, low },
+            leased,
+            deadLetter
+        };
+    }
+
+    get sizes() {
+        return this.cachedSizes;
+    }
+}
+
+// ============================================
+// DRIVER SELECTION
+// ============================================
+
+const memoryDriver = new MemoryQueueDriver();
+let redisDriver = null;
+let driverOverride = null;
+
+/**
+ * Resolve the active driver
+ * Uses Redis once the shared storage adapter is connected; until then (or
+ * with QUEUE_DRIVER=memory) jobs stay in this process.
+ * @returns {MemoryQueueDriver|RedisQueueDriver}
+ */
+function getDriver() {
+    if (driverOverride) return driverOverride;
+    if (QUEUE_CONFIG.driver === 'memory') return memoryDriver;
+
+    const storage = getStorage();
+    if (!(storage instanceof RedisAdapter) || !storage.isConnected) {
+        return memoryDriver;
+    }
+
+    if (!redisDriver || redisDriver.storage !== storage) {
+        redisDriver = new RedisQueueDriver(storage);
+    }
+    return redisDriver;
+}
+
+/**
+ * Force a driver (tests, or a dedicated Redis for jobs)
+ * @param {Object|null} driver - Driver instance, or null to resume auto selection
+ */
+function setDriver(driver) {
+    driverOverride = driver;
+}
+
+/**
+ * Drivers to poll: the active one, plus the memory driver while it still
+ * holds jobs enqueued before Redis connected (or during a Redis outage)
+ * @returns {Object[]}
+ */
+function pollDrivers() {
+    const driver = getDriver();
+    if (driver === memoryDriver || memoryDriver.jobs.size === 0) return [driver];
+    return [driver, memoryDriver];
+}
+
 // ============================================
 // JOB REGISTRATION
 // ============================================
@@ -101,6 +699,9 @@ const queueStats = {
  * @param {string} jobType - Job type identifier
  * @param {Function} handler - Handler function
  * @param {Object} options - Handler options
+ * @param {number} [options.timeout] - Per-attempt timeout (ms)
+ * @param {number} [options.maxRetries] - Retries before dead-lettering
+ * @param {number[]} [options.retryDelays] - Backoff per retry (ms), last one repeats
  */
 function registerHandler(jobType, handler, options = {}) {
     if (typeof handler !== 'function') {
@@ -109,8 +710,9 @@ function registerHandler(jobType, handler, options = {}) {
 
     handlers.set(jobType, {
         fn: handler,
-        timeout: options.timeout || QUEUE_CONFIG.defaultTimeout,
+        timeout: Math.min(options.timeout || QUEUE_CONFIG.defaultTimeout, QUEUE_CONFIG.maxTimeout),
         maxRetries: options.maxRetries ?? QUEUE_CONFIG.maxRetries,
+        retryDelays: options.retryDelays || QUEUE_CONFIG.retryDelays,
         rateLimit: options.rateLimit || null
     });
 
@@ -134,9 +736,9 @@ function unregisterHandler(jobType) {
  * @param {string} jobType - Job type
  * @param {Object} data - Job data
  * @param {Object} options - Job options
- * @returns {{jobId: string, position: number}}
+ * @returns {Promise<{jobId: string, position: number, deduplicated?: boolean}>}
  */
-function enqueue(jobType, data = {}, options = {}) {
+async function enqueue(jobType, data = {}, options = {}) {
     const {
         priority = PRIORITY.NORMAL,
         delay = 0,
@@ -149,23 +751,15 @@ function enqueue(jobType, data = {}, options = {}) {
         throw new Error(`No handler registered for job type: ${jobType}`);
     }
 
-    // Check deduplication
-    if (dedupeKey) {
-        const existing = findByDedupeKey(dedupeKey);
-        if (existing) {
-            return { jobId: existing.id, position: -1, deduplicated: true };
-        }
-    }
-
     // Create job
     const job = {
         id: generateJobId(),
         type: jobType,
         data: sanitizeJobData(data),
-        priority,
+        priority: PRIORITY_ORDER.includes(priority) ? priority : PRIORITY.NORMAL,
         status: STATUS.PENDING,
         dedupeKey,
-        timeout: timeout || handlers.get(jobType).timeout,
+        timeout: Math.min(timeout || handlers.get(jobType).timeout, QUEUE_CONFIG.maxTimeout),
         retries: 0,
         maxRetries: handlers.get(jobType).maxRetries,
         createdAt: Date.now(),
@@ -177,19 +771,18 @@ function enqueue(jobType, data = {}, options = {}) {
         attempts: []
     };
 
-    // Add to registry
-    jobs.set(job.id, job);
+    const added = await runDriver(getDriver(), 'add', job);
 
-    // Add to queue
-    const queue = queues[priority] || queues[PRIORITY.NORMAL];
-    queue.push(job.id);
+    if (added.deduplicated) {
+        return { jobId: added.jobId, position: -1, deduplicated: true };
+    }
 
     queueStats.enqueued++;
 
     logAudit('job_enqueued', {
         jobId: job.id,
         type: jobType,
-        priority
+        priority: job.priority
     });
 
     // Start processing if not running
@@ -199,21 +792,21 @@ function enqueue(jobType, data = {}, options = {}) {
 
     return {
         jobId: job.id,
-        position: queue.length
+        position: added.position
     };
 }
 
 /**
- * Add multiple jobs atomically
+ * Add multiple jobs
  * @param {Array} jobSpecs - Array of {type, data, options}
- * @returns {Array} Job IDs
+ * @returns {Promise<Array>} Job IDs
  */
-function enqueueBatch(jobSpecs) {
+async function enqueueBatch(jobSpecs) {
     const results = [];
 
     for (const spec of jobSpecs) {
         try {
-            const result = enqueue(spec.type, spec.data, spec.options);
+            const result = await enqueue(spec.type, spec.data, spec.options);
             results.push(result);
         } catch (error) {
             results.push({ error: error.message });
@@ -255,154 +848,278 @@ async function processLoop() {
             continue;
         }
 
-        // Get next job
-        const job = getNextJob();
+        const claimed = await claimNext();
 
-        if (!job) {
+        if (!claimed) {
             await sleep(QUEUE_CONFIG.pollInterval);
             continue;
         }
 
         // Process job (don't await - run concurrently)
-        processJob(job).catch(err => {
-            console.error(`[Queue] Unhandled error processing job ${job.id}:`, err);
+        processJob(claimed).catch(err => {
+            console.error(`[Queue] Unhandled error processing job ${claimed.job.id}:`, err);
         });
     }
 }
 
 /**
- * Get next job to process
- * @returns {Object|null}
+ * Claim the next ready job, running lease recovery when due
+ * @returns {Promise<{job: Object, driver: Object, token: string}|null>}
  */
-function getNextJob() {
+async function claimNext() {
     const now = Date.now();
 
-    // Check queues in priority order
-    for (const priority of [PRIORITY.CRITICAL, PRIORITY.HIGH, PRIORITY.NORMAL, PRIORITY.LOW]) {
-        const queue = queues[priority];
-
-        for (let i = 0; i < queue.length; i++) {
-            const jobId = queue[i];
-            const job = jobs.get(jobId);
-
-            if (!job) {
-                queue.splice(i, 1);
-                i--;
-                continue;
-            }
+    try {
+        if (now - lastRecovery >= QUEUE_CONFIG.recoveryInterval) {
+            lastRecovery = now;
+            await recoverStuckJobs();
+        }
 
-            // Check if ready
-            if (job.status === STATUS.PENDING && job.scheduledFor <= now) {
-                queue.splice(i, 1);
-                return job;
-            }
+        for (const driver of pollDrivers()) {
+            const token = crypto.randomBytes(8).toString('hex');
+            const job = await driver.claim(now, now + QUEUE_CONFIG.claimLease, token);
+            if (job) return { job, driver, token };
         }
+    } catch (error) {
+        queueStats.driverErrors++;
+        console.error('[Queue] Claim failed:', error.message);
     }
 
     return null;
 }
 
+/**
+ * Run one ready job to completion on this worker
+ * Useful for tests and one-shot workers; the loop does the same concurrently.
+ * @returns {Promise<Object|null>} Settled job, or null if nothing was ready
+ */
+async function processNext() {
+    const claimed = await claimNext();
+    if (!claimed) return null;
+
+    await processJob(claimed);
+    return getJob(claimed.job.id);
+}
+
 /**
  * Process a single job
- * @param {Object} job - Job to process
+ * @param {{job: Object, driver: Object, token: string}} claimed - Claimed job and its lease
  */
-async function processJob(job) {
+async function processJob(claimed) {
+    const { job, driver, token } = claimed;
+
     activeJobs++;
-    job.status = STATUS.PROCESSING;
-    job.startedAt = Date.now();
+    inFlight.set(job.id, claimed);
+
+    try {
+        const handler = handlers.get(job.type);
+
+        if (!handler) {
+            // Not an attempt: another worker (or this one after a deploy) may run it
+            job.status = STATUS.PENDING;
+            job.scheduledFor = Date.now() + QUEUE_CONFIG.unhandledDelay;
+            if (await settleJob(claimed)) {
+                queueStats.unhandledReleases++;
+            }
+            return;
+        }
+
+        job.status = STATUS.PROCESSING;
+        job.startedAt = Date.now();
+        job.worker = workerId;
+
+        // Extend the claim lease to cover the job's own timeout
+        const leaseUntil = job.startedAt + job.timeout + QUEUE_CONFIG.leaseGrace;
+        if (!await driver.touch(job, token, leaseUntil)) {
+            queueStats.leasesLost++;
+            return;
+        }
+
+        const attempt = {
+            startedAt: Date.now(),
+            attempt: job.retries + 1,
+            worker: workerId
+        };
+
+        try {
+            // Execute with timeout
+            const result = await executeWithTimeout(
+                handler.fn,
+                job.data,
+                job.timeout
+            );
+
+            // Success
+            job.status = STATUS.COMPLETED;
+            job.completedAt = Date.now();
+            job.result = result === undefined ? null : result;
+
+            attempt.completedAt = Date.now();
+            attempt.success = true;
+            job.attempts.push(attempt);
 
-    const handler = handlers.get(job.type);
+            if (!await settleJob(claimed)) return;
 
-    if (!handler) {
-        job.status = STATUS.FAILED;
-        job.error = 'Handler not found';
+            queueStats.completed++;
+            queueStats.processed++;
+
+            logAudit('job_completed', {
+                jobId: job.id,
+                type: job.type,
+                duration: job.completedAt - job.startedAt
+            });
+
+        } catch (error) {
+            attempt.completedAt = Date.now();
+            attempt.success = false;
+            attempt.error = error.message;
+            job.attempts.push(attempt);
+
+            job.error = error.message;
+            job.retries++;
+
+            await failJob(claimed, error.message);
+        }
+    } catch (error) {
+        // Driver failure: leave the lease to expire so recovery re-runs the job
+        queueStats.driverErrors++;
+        console.error(`[Queue] Job ${job.id} bookkeeping failed:`, error.message);
+    } finally {
+        inFlight.delete(job.id);
         activeJobs--;
-        return;
     }
+}
 
-    const attempt = {
-        startedAt: Date.now(),
-        attempt: job.retries + 1
-    };
+/**
+ * Retry a failed attempt with backoff, or move the job to the dead letter queue
+ * @param {{job: Object, driver: Object, token: string|null}} claimed - Job and its lease
+ * @param {string} reason - Failure reason
+ */
+async function failJob(claimed, reason) {
+    const { job } = claimed;
 
-    try {
-        // Execute with timeout
-        const result = await executeWithTimeout(
-            handler.fn,
-            job.data,
-            job.timeout
-        );
+    queueStats.processed++;
+
+    if (job.retries < job.maxRetries) {
+        // Retry with backoff (the handler's own delays, else the defaults)
+        const delays = handlers.get(job.type)?.retryDelays || QUEUE_CONFIG.retryDelays;
+        const delay = delays[Math.min(job.retries, delays.length) - 1];
+        job.status = STATUS.PENDING;
+        job.scheduledFor = Date.now() + delay;
 
-        // Success
-        job.status = STATUS.COMPLETED;
+        if (!await settleJob(claimed)) return;
+
+        queueStats.retried++;
+
+        logAudit('job_retrying', {
+            jobId: job.id,
+            attempt: job.retries,
+            delay
+        });
+    } else {
+        // Move to dead letter
+        job.status = STATUS.DEAD;
         job.completedAt = Date.now();
-        job.result = result;
 
-        attempt.completedAt = Date.now();
-        attempt.success = true;
-        job.attempts.push(attempt);
+        if (!await settleJob(claimed)) return;
 
-        queueStats.completed++;
-        queueStats.processed++;
+        queueStats.failed++;
+        queueStats.deadLettered++;
 
-        logAudit('job_completed', {
+        logAudit('job_dead_lettered', {
             jobId: job.id,
             type: job.type,
-            duration: job.completedAt - job.startedAt
+            error: reason
         });
+    }
+}
 
-        // Schedule cleanup
-        scheduleCleanup(job.id, QUEUE_CONFIG.completedRetention);
-
-    } catch (error) {
-        attempt.completedAt = Date.now();
-        attempt.success = false;
-        attempt.error = error.message;
-        job.attempts.push(attempt);
+/**
+ * Write a job's new state if this worker still holds its lease
+ * @returns {Promise<boolean>}
+ */
+async function settleJob({ job, driver, token }) {
+    const settled = await driver.settle(job, token);
 
-        job.error = error.message;
-        job.retries++;
+    if (!settled) {
+        // Lease expired and another worker has the job now; its result wins
+        queueStats.leasesLost++;
+        console.warn(`[Queue] Lease lost for job ${job.id}, result discarded`);
+    }
 
-        queueStats.processed++;
+    return settled;
+}
 
-        // Check retry
-        if (job.retries < job.maxRetries) {
-            // Retry with backoff
-            const delay = QUEUE_CONFIG.retryDelays[job.retries - 1] || 8000;
-            job.status = STATUS.PENDING;
-            job.scheduledFor = Date.now() + delay;
+/**
+ * Return jobs with expired leases to the queue
+ * A worker that crashed or hung counts as a failed attempt. The updated
+ * record is written and the job re-queued (or dead-lettered) in one step,
+ * and only while the lease is still the expired one, so no worker can
+ * claim the job before its record is up to date.
+ * @returns {Promise<number>} Jobs recovered
+ */
+async function recoverStuckJobs() {
+    let recovered = 0;
 
-            // Re-queue
-            const queue = queues[job.priority];
-            queue.push(job.id);
+    for (const driver of pollDrivers()) {
+        const now = Date.now();
+        const expired = await driver.expired(now, QUEUE_CONFIG.recoveryBatch);
 
-            queueStats.retried++;
+        for (const { jobId, token } of expired) {
+            const job = await driver.get(jobId);
+            if (!job) {
+                // Record expired or purged under the lease
+                await driver.remove(jobId);
+                continue;
+            }
 
-            logAudit('job_retrying', {
-                jobId: job.id,
+            job.retries++;
+            job.error = 'Lease expired';
+            job.attempts.push({
+                startedAt: job.startedAt,
                 attempt: job.retries,
-                delay
+                worker: job.worker || null,
+                completedAt: now,
+                success: false,
+                error: 'Lease expired'
             });
-        } else {
-            // Move to dead letter
-            job.status = STATUS.DEAD;
-            job.completedAt = Date.now();
 
-            queueStats.failed++;
-            queueStats.deadLettered++;
+            const dead = job.retries >= job.maxRetries;
+            if (dead) {
+                job.status = STATUS.DEAD;
+                job.completedAt = now;
+            } else {
+                job.status = STATUS.PENDING;
+                job.scheduledFor = now;
+            }
 
-            logAudit('job_dead_lettered', {
+            // Lost to the worker renewing it or to another recovery
+            if (!await driver.settle(job, token, now)) continue;
+
+            recovered++;
+            queueStats.recovered++;
+            queueStats.processed++;
+
+            logAudit('job_recovered', {
                 jobId: job.id,
                 type: job.type,
-                error: error.message
+                worker: job.worker || null
             });
 
-            // Schedule cleanup
-            scheduleCleanup(job.id, QUEUE_CONFIG.failedRetention);
+            if (dead) {
+                queueStats.failed++;
+                queueStats.deadLettered++;
+
+                logAudit('job_dead_lettered', {
+                    jobId: job.id,
+                    type: job.type,
+                    error: 'Lease expired'
+                });
+            }
         }
     }
 
-    activeJobs--;
+    return recovered;
 }
 
 /**
@@ -437,78 +1154,68 @@ function executeWithTimeout(handler, data, timeout) {
 /**
  * Get job by ID
  * @param {string} jobId - Job ID
- * @returns {Object|null}
+ * @returns {Promise<Object|null>}
  */
-function getJob(jobId) {
-    const job = jobs.get(jobId);
-    if (!job) return null;
-
-    return {
-        id: job.id,
-        type: job.type,
-        status: job.status,
-        priority: job.priority,
-        retries: job.retries,
-        createdAt: job.createdAt,
-        startedAt: job.startedAt,
-        completedAt: job.completedAt,
-        result: job.result,
-        error: job.error,
-        attempts: job.attempts.length
-    };
+async function getJob(jobId) {
+    const { job } = await findJob(jobId);
+    return job ? formatJob(job) : null;
 }
 
 /**
  * Get jobs by status
  * @param {string} status - Job status
  * @param {number} limit - Max jobs
- * @returns {Object[]}
+ * @returns {Promise<Object[]>}
  */
-function getJobsByStatus(status, limit = 50) {
-    const results = [];
-
-    for (const job of jobs.values()) {
-        if (job.status === status) {
-            results.push(getJob(job.id));
-            if (results.length >= limit) break;
-        }
-    }
-
-    return results;
+async function getJobsByStatus(status, limit = 50) {
+    const jobs = await runDriver(getDriver(), 'list', status, limit);
+    return jobs.map(formatJob);
 }
 
 /**
  * Get jobs by type
  * @param {string} jobType - Job type
  * @param {number} limit - Max jobs
- * @returns {Object[]}
+ * @returns {Promise<Object[]>}
  */
-function getJobsByType(jobType, limit = 50) {
-    const results = [];
+async function getJobsByType(jobType, limit = 50) {
+    const jobs = await runDriver(getDriver(), 'list', null, QUEUE_CONFIG.recoveryBatch * 10);
+    return jobs.filter(job => job.type === jobType).slice(0, limit).map(formatJob);
+}
 
-    for (const job of jobs.values()) {
-        if (job.type === jobType) {
-            results.push(getJob(job.id));
-            if (results.length >= limit) break;
-        }
+/**
+ * Locate a job in the active driver, then the memory driver
+ * @param {string} jobId - Job ID
+ * @returns {Promise<{job: Object|null, driver: Object|null}>}
+ */
+async function findJob(jobId) {
+    for (const driver of new Set([getDriver(), memoryDriver])) {
+        const job = await runDriver(driver, 'get', jobId);
+        if (job) return { job, driver };
     }
-
-    return results;
+    return { job: null, driver: null };
 }
 
 /**
- * Find job by dedupe key
- * @param {string} dedupeKey - Dedupe key
- * @returns {Object|null}
+ * Public job view
+ * @param {Object} job - Job record
+ * @returns {Object}
  */
-function findByDedupeKey(dedupeKey) {
-    for (const job of jobs.values()) {
-        if (job.dedupeKey === dedupeKey &&
-            (job.status === STATUS.PENDING || job.status === STATUS.PROCESSING)) {
-            return job;
-        }
-    }
-    return null;
+function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        priority: job.priority,
+        retries: job.retries,
+        createdAt: job.createdAt,
+        scheduledFor: job.scheduledFor,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        result: job.result,
+        error: job.error,
+        attempts: job.attempts.length
+    };
 }
 
 // ============================================
@@ -518,23 +1225,16 @@ function findByDedupeKey(dedupeKey) {
 /**
  * Cancel a pending job
  * @param {string} jobId - Job ID
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function cancelJob(jobId) {
-    const job = jobs.get(jobId);
+async function cancelJob(jobId) {
+    const { job, driver } = await findJob(jobId);
 
     if (!job || job.status !== STATUS.PENDING) {
         return false;
     }
 
-    // Remove from queue
-    const queue = queues[job.priority];
-    const idx = queue.indexOf(jobId);
-    if (idx > -1) {
-        queue.splice(idx, 1);
-    }
-
-    jobs.delete(jobId);
+    await driver.remove(jobId);
 
     logAudit('job_cancelled', { jobId });
 
@@ -544,10 +1244,10 @@ function cancelJob(jobId) {
 /**
  * Retry a failed/dead job
  * @param {string} jobId - Job ID
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function retryJob(jobId) {
-    const job = jobs.get(jobId);
+async function retryJob(jobId) {
+    const { job, driver } = await findJob(jobId);
 
     if (!job || (job.status !== STATUS.FAILED && job.status !== STATUS.DEAD)) {
         return false;
@@ -556,19 +1256,92 @@ function retryJob(jobId) {
     job.status = STATUS.PENDING;
     job.retries = 0;
     job.scheduledFor = Date.now();
+    job.completedAt = null;
     job.error = null;
 
-    queues[job.priority].push(job.id);
+    await driver.settle(job, null);
 
     logAudit('job_manual_retry', { jobId });
 
+    if (!isProcessing) {
+        startProcessing();
+    }
+
     return true;
 }
 
+/**
+ * Delete a job that isn't running (cancels pending, drops finished/dead)
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>}
+ */
+async function purgeJob(jobId) {
+    const { job, driver } = await findJob(jobId);
+
+    if (!job || job.status === STATUS.PROCESSING) {
+        return false;
+    }
+
+    await driver.remove(jobId);
+
+    logAudit('job_purged', { jobId, type: job.type, status: job.status });
+
+    return true;
+}
+
+/**
+ * Requeue dead letter jobs in bulk
+ * @param {Object} options - { type: only this job type, limit: max jobs }
+ * @returns {Promise<{requeued: number, jobIds: string[]}>}
+ */
+async function requeueDeadLetters(options = {}) {
+    const { type = null, limit = 100 } = options;
+    const jobIds = [];
+
+    const dead = [
+        ...await runDriver(getDriver(), 'list', STATUS.DEAD, QUEUE_CONFIG.recoveryBatch * 10),
+        ...await runDriver(getDriver(), 'list', STATUS.FAILED, QUEUE_CONFIG.recoveryBatch * 10)
+    ];
+
+    for (const job of dead) {
+        if (jobIds.length >= limit) break;
+        if (type && job.type !== type) continue;
+
+        if (await retryJob(job.id)) {
+            jobIds.push(job.id);
+        }
+    }
+
+    return { requeued: jobIds.length, jobIds };
+}
+
 // ============================================
 // UTILITIES
 // ============================================
 
+/**
+ * Run a driver operation, falling back to memory if Redis fails
+ * Enqueueing locally beats dropping the job; reads fall back to what this
+ * process holds.
+ * @param {Object} driver - Driver
+ * @param {string} method - Driver method
+ * @param {...any} args - Method arguments
+ * @returns {Promise<any>}
+ */
+async function runDriver(driver, method, ...args) {
+    if (driver === memoryDriver) {
+        return memoryDriver[method](...args);
+    }
+
+    try {
+        return await driver[method](...args);
+    } catch (error) {
+        queueStats.driverErrors++;
+        console.error(`[Queue] ${driver.name} driver ${method} failed:`, error.message);
+        return memoryDriver[method](...args);
+    }
+}
+
 /**
  * Generate unique job ID
  * @returns {string}
@@ -600,23 +1373,69 @@ function sanitizeJobData(data) {
 }
 
 /**
- * Schedule job cleanup
- * @param {string} jobId - Job ID
- * @param {number} delay - Delay in ms
+ * Sleep helper (doesn't hold the process open)
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
  */
-function scheduleCleanup(jobId, delay) {
-    setTimeout(() => {
-        jobs.delete(jobId);
-    }, delay);
+function sleep(ms) {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        if (timer.unref) timer.unref();
+    });
 }
 
 /**
- * Sleep helper
- * @param {number} ms - Milliseconds
- * @returns {Promise<void>}
+ * Drop expired finished jobs and refresh cached sizes
  */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+async function cleanup() {
+    for (const driver of new Set([getDriver(), memoryDriver])) {
+        try {
+            await driver.cleanup(Date.now());
+        } catch (error) {
+            console.error(`[Queue] ${driver.name} cleanup failed:`, error.message);
+        }
+    }
+}
+
+const cleanupTimer = setInterval(cleanup, QUEUE_CONFIG.pollInterval * 60);
+if (cleanupTimer.unref) cleanupTimer.unref();
+
+// ============================================
+// SHUTDOWN
+// ============================================
+
+/**
+ * Stop claiming, let running jobs finish, hand the rest back to the queue
+ * @returns {Promise<{drained: number, released: number}>}
+ */
+async function shutdown() {
+    stopProcessing();
+
+    const running = inFlight.size;
+    const deadline = Date.now() + QUEUE_CONFIG.drainTimeout;
+    while (inFlight.size > 0 && Date.now() < deadline) {
+        await sleep(50);
+    }
+
+    // Jobs still running: release their leases so another worker starts them now
+    let released = 0;
+    for (const { job, driver, token } of inFlight.values()) {
+        job.status = STATUS.PENDING;
+        job.scheduledFor = Date.now();
+        try {
+            if (await driver.settle(job, token)) released++;
+        } catch (error) {
+            console.error(`[Queue] Release failed for job ${job.id}:`, error.message);
+        }
+    }
+
+    const memoryPending = memoryDriver.sizes;
+    const lost = Object.values(memoryPending.queueSizes).reduce((a, b) => a + b, 0);
+    if (lost > 0 && getDriver() === memoryDriver) {
+        console.warn(`[Queue] ${lost} pending job(s) held in memory will not survive restart`);
+    }
+
+    return { drained: running - inFlight.size, released };
 }
 
 // ============================================
@@ -625,22 +1444,23 @@ function sleep(ms) {
 
 /**
  * Get queue statistics
+ * Counters are per worker; sizes come from the active driver.
  * @returns {Object}
  */
 function getQueueStats() {
-    const queueSizes = {
-        critical: queues[PRIORITY.CRITICAL].length,
-        high: queues[PRIORITY.HIGH].length,
-        normal: queues[PRIORITY.NORMAL].length,
-        low: queues[PRIORITY.LOW].length
-    };
+    const driver = getDriver();
+    const sizes = driver.sizes;
 
     return {
         ...queueStats,
-        totalJobs: jobs.size,
+        driver: driver.name,
+        workerId,
+        totalJobs: sizes.totalJobs,
         activeJobs,
-        queueSizes,
-        totalQueued: Object.values(queueSizes).reduce((a, b) => a + b, 0),
+        queueSizes: sizes.queueSizes,
+        totalQueued: Object.values(sizes.queueSizes).reduce((a, b) => a + b, 0),
+        leased: sizes.leased,
+        deadLetter: sizes.deadLetter,
         registeredHandlers: handlers.size,
         isProcessing,
         config: {
@@ -653,9 +1473,9 @@ function getQueueStats() {
 /**
  * Get dead letter jobs
  * @param {number} limit - Max jobs
- * @returns {Object[]}
+ * @returns {Promise<Object[]>}
  */
-function getDeadLetterJobs(limit = 50) {
+async function getDeadLetterJobs(limit = 50) {
     return getJobsByStatus(STATUS.DEAD, limit);
 }
 
@@ -684,8 +1504,20 @@ module.exports = {
     // Management
     cancelJob,
     retryJob,
+    purgeJob,
+    requeueDeadLetters,
     startProcessing,
     stopProcessing,
+    processNext,
+    recoverStuckJobs,
+    shutdown,
+
+    // Drivers
+    getDriver,
+    setDriver,
+    cleanup,
+    MemoryQueueDriver,
+    RedisQueueDriver,
 
     // Metrics
     getQueueStats,
@@ -6,18 +6,20 @@
  * - Token bucket for burst handling
  * - Per-user, per-IP, per-endpoint limits
  * - Tiered rate limiting (free/premium)
- * - Redis-ready for distributed systems
+ * - Pluggable store: in-process maps (dev) or Redis (shared across nodes)
  *
  * Security by Design:
  * - IP spoofing protection
  * - Automatic ban escalation
  * - Rate limit bypass detection
+ * - Atomic check-and-record (Lua) so nodes can't race past a limit
  */
 
 'use strict';
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const { getStorage, RedisAdapter, keys } = require('./storage');
 
 // ============================================
 // CONFIGURATION
@@ -33,34 +35,47 @@ const RATELIMIT_CONFIG = {
     },
 
     // Default limits per tier
+    // monthlyQuota: requests per calendar month (UTC), enforced for API keys
     tiers: {
         anonymous: {
             perSecond: 5,
             perMinute: 60,
             perHour: 500,
             perDay: 5000,
-            burstSize: 10
+            burstSize: 10,
+            monthlyQuota: 50000
         },
         authenticated: {
             perSecond: 13,
             perMinute: 144,
             perHour: 1000,
             perDay: 10000,
-            burstSize: 21
+            burstSize: 21,
+            monthlyQuota: 100000
         },
         premium: {
             perSecond: 34,
             perMinute: 377,
             perHour: 3000,
             perDay: 30000,
-            burstSize: 55
+            burstSize: 55,
+            monthlyQuota: 500000
+        },
+        partner: {
+            perSecond: 55,
+            perMinute: 610,
+            perHour: 6000,
+            perDay: 60000,
+            burstSize: 89,
+            monthlyQuota: 1500000
         },
         admin: {
             perSecond: 89,
             perMinute: 987,
             perHour: 10000,
             perDay: 100000,
-            burstSize: 144
+            burstSize: 144,
+            monthlyQuota: 3000000
         }
     },
 
@@ -77,197 +92,813 @@ const RATELIMIT_CONFIG = {
         threshold: 10,          // Violations before temp ban
         tempBanDuration: 5 * 60 * 1000,   // 5 minutes
         permaBanThreshold: 50,  // Violations before permanent ban
-        decayRate: 1            // Violations decay per hour
+        decayRate: 1,           // Violations decay per hour
+        historySize: 100        // Violation timestamps kept per identifier
     },
 
+    // Store backend: 'auto' follows STORAGE_BACKEND, 'memory' keeps limits per process
+    store: process.env.RATELIMIT_STORE || 'auto',
+
     // Cleanup
     cleanupInterval: 60 * 1000,  // Every minute
     entryTTL: 24 * 60 * 60 * 1000  // 24 hours
 };
 
-// ============================================
-// STORAGE
-// ============================================
-
-// Rate limit counters: key -> { windows: {}, tokens: number, lastRefill: number }
-const limiters = new Map();
-
-// Violation tracking: identifier -> { count: number, lastViolation: number, banned: boolean, banExpires: number }
-const violations = new Map();
-
-// Permanent bans
-const permaBans = new Set();
-
-// Stats
+// Stats (per process, even with a shared store)
 const rateLimitStats = {
     allowed: 0,
     denied: 0,
     violations: 0,
     tempBans: 0,
-    permaBans: 0
+    permaBans: 0,
+    storeErrors: 0
 };
 
 // ============================================
-// SLIDING WINDOW RATE LIMITER
+// MEMORY STORE
 // ============================================
 
 /**
- * Check rate limit with sliding window
- * @param {string} identifier - Unique identifier (IP, user ID, etc.)
- * @param {string} tier - Rate limit tier
- * @param {string} endpoint - Optional endpoint for specific limits
- * @returns {{allowed: boolean, remaining: number, resetIn: number, retryAfter: number}}
+ * In-process store (development, single node)
+ * Limits, violations and bans are local to this process.
  */
-function checkLimit(identifier, tier = 'anonymous', endpoint = null) {
-    const key = buildKey(identifier, endpoint);
+class MemoryRateLimitStore {
+    constructor() {
+        this.name = 'memory';
+
+        // Rate limit counters: key -> { windows: {}, lastAccess: number }
+        this.limiters = new Map();
+
+        // Token buckets: identifier -> { tokens: number, lastRefill: number, maxTokens: number }
+        this.buckets = new Map();
+
+        // Violation tracking: identifier -> { count, lastViolation, banned, banExpires, history }
+        this.violations = new Map();
+
+        // Permanent bans
+        this.permaBans = new Set();
+    }
+
+    /**
+     * Check ban state and sliding windows, recording the request if allowed
+     * @param {string} key - Limiter key
+     * @param {string} identifier - Identifier (for bans)
+     * @param {Object[]} checks - [{ duration, limit }]
+     * @param {number} now - Timestamp
+     * @param {boolean} [record=true] - false to only check
+     * @returns {Promise<{status: string, remaining: number, resetIn: number}>}
+     */
+    async hit(key, identifier, checks, now, record = true) {
+        if (this.permaBans.has(identifier)) {
+            return { status: 'permanent_ban', remaining: 0, resetIn: -1 };
+        }
+
+        const violation = this.violations.get(identifier);
+        if (violation?.banned && now < violation.banExpires) {
+            return { status: 'temporary_ban', remaining: 0, resetIn: violation.banExpires - now };
+        }
+
+        let limiter = this.limiters.get(key);
+        if (!limiter) {
+            limiter = createLimiter();
+            this.limiters.set(key, limiter);
+        }
+
+        cleanWindowEntries(limiter, now);
+
+        let remaining = Infinity;
+        let resetIn = -1;
+
+        for (const check of checks) {
+            const windowStart = now - check.duration;
+            const count = countInWindow(limiter.windows[check.window], windowStart);
+
+            if (count >= check.limit) {
+                const oldestEntry = getOldestEntry(limiter.windows[check.window], windowStart);
+                resetIn = Math.max(resetIn, oldestEntry ? (oldestEntry + check.duration - now) : check.duration);
+            } else {
+                remaining = Math.min(remaining, check.limit - count - 1);
+            }
+        }
+
+        if (resetIn >= 0) {
+            return { status: 'limited', remaining: 0, resetIn };
+        }
+        if (!record) {
+            return { status: 'allowed', remaining, resetIn: 0 };
+        }
+
+        // Record request in all windows
+        for (const window of Object.keys(RATELIMIT_CONFIG.windows)) {
+            limiter.windows[window].push(now);
+        }
+        limiter.lastAccess = now;
+
+        return { status: 'allowed', remaining, resetIn: 0 };
+    }
+
+    /**
+     * Take tokens from a bucket
+     * @returns {Promise<{allowed: boolean, tokens: number}>}
+     */
+    async takeTokens(identifier, maxTokens, refillRate, cost, now) {
+        let bucket = this.buckets.get(identifier);
+
+        if (!bucket) {
+            bucket = { tokens: maxTokens, lastRefill: now, maxTokens };
+            this.buckets.set(identifier, bucket);
+        }
+
+        const tokensToAdd = Math.floor((now - bucket.lastRefill) / 1000) * refillRate;
+        if (tokensToAdd > 0) {
+            bucket.tokens = Math.min(bucket.maxTokens, bucket.tokens + tokensToAdd);
+            bucket.lastRefill = now;
+        }
+
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            return { allowed: true, tokens: bucket.tokens };
+        }
+
+        return { allowed: false, tokens: bucket.tokens };
+    }
+
+    /**
+     * Count a violation and escalate to bans
+     * @returns {Promise<{count: number, tempBanned: boolean, permaBanned: boolean}>}
+     */
+    async recordViolation(identifier, now) {
+        const { ban } = RATELIMIT_CONFIG;
+        let violation = this.violations.get(identifier);
+
+        if (!violation) {
+            violation = { count: 0, lastViolation: 0, banned: false, banExpires: 0, history: [] };
+            this.violations.set(identifier, violation);
+        }
+
+        violation.count++;
+        violation.lastViolation = now;
+        violation.history.push(now);
+
+        if (violation.history.length > ban.historySize) {
+            violation.history = violation.history.slice(-ban.historySize);
+        }
+
+        let tempBanned = false;
+        if (violation.count >= ban.threshold && !violation.banned) {
+            violation.banned = true;
+            violation.banExpires = now + ban.tempBanDuration;
+            tempBanned = true;
+        }
+
+        let permaBanned = false;
+        if (violation.count >= ban.permaBanThreshold && !this.permaBans.has(identifier)) {
+            this.permaBans.add(identifier);
+            permaBanned = true;
+        }
+
+        return { count: violation.count, tempBanned, permaBanned };
+    }
+
+    async clearViolations(identifier) {
+        this.violations.delete(identifier);
+    }
+
+    async removeBan(identifier) {
+        const wasBanned = this.permaBans.delete(identifier);
+        this.violations.delete(identifier);
+        return wasBanned;
+    }
 
-    // Check permanent ban
-    if (permaBans.has(identifier)) {
-        rateLimitStats.denied++;
+    /**
+     * @returns {Promise<{permanent: boolean, banExpires: number}>}
+     */
+    async banStatus(identifier) {
+        const violation = this.violations.get(identifier);
         return {
-            allowed: false,
-            remaining: 0,
-            resetIn: -1,
-            retryAfter: -1,
-            banned: true,
-            reason: 'permanent_ban'
+            permanent: this.permaBans.has(identifier),
+            banExpires: violation?.banned ? violation.banExpires : 0
         };
     }
 
-    // Check temporary ban
-    const violation = violations.get(identifier);
-    if (violation?.banned && Date.now() < violation.banExpires) {
-        rateLimitStats.denied++;
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getViolation(identifier) {
+        const violation = this.violations.get(identifier);
+        if (!violation) return null;
+
         return {
-            allowed: false,
-            remaining: 0,
-            resetIn: violation.banExpires - Date.now(),
-            retryAfter: Math.ceil((violation.banExpires - Date.now()) / 1000),
-            banned: true,
-            reason: 'temporary_ban'
+            count: violation.count,
+            lastViolation: violation.lastViolation,
+            banExpires: violation.banned ? violation.banExpires : 0,
+            history: violation.history.slice(-10)
         };
     }
 
-    // Get or create limiter
-    let limiter = limiters.get(key);
-    if (!limiter) {
-        limiter = createLimiter();
-        limiters.set(key, limiter);
+    /**
+     * @returns {Promise<{temporary: Object[], permanent: string[]}>}
+     */
+    async listBans(now) {
+        const temporary = [];
+        for (const [identifier, violation] of this.violations.entries()) {
+            if (violation.banned && now < violation.banExpires) {
+                temporary.push({ identifier, banExpires: violation.banExpires, violations: violation.count });
+            }
+        }
+        return { temporary, permanent: [...this.permaBans] };
     }
 
-    // Get applicable limits
-    const limits = getApplicableLimits(tier, endpoint);
-    const now = Date.now();
-
-    // Clean old window entries
-    cleanWindowEntries(limiter, now);
+    /**
+     * Drop idle limiters, decay violations, lift expired temp bans
+     */
+    async cleanup(now) {
+        const cutoff = now - RATELIMIT_CONFIG.entryTTL;
 
-    // Check each window
-    const checks = [
-        { window: 'second', limit: limits.perSecond, duration: RATELIMIT_CONFIG.windows.second },
-        { window: 'minute', limit: limits.perMinute, duration: RATELIMIT_CONFIG.windows.minute },
-        { window: 'hour', limit: limits.perHour, duration: RATELIMIT_CONFIG.windows.hour },
-        { window: 'day', limit: limits.perDay, duration: RATELIMIT_CONFIG.windows.day }
-    ];
-
-    let mostRestrictive = { remaining: Infinity, resetIn: 0, retryAfter: 0 };
-    let blocked = false;
+        for (const [key, limiter] of this.limiters.entries()) {
+            if (limiter.lastAccess < cutoff) {
+                this.limiters.delete(key);
+            }
+        }
 
-    for (const check of checks) {
-        if (!check.limit) continue;
+        for (const [identifier, bucket] of this.buckets.entries()) {
+            if (bucket.lastRefill < cutoff) {
+                this.buckets.delete(identifier);
+            }
+        }
 
-        const windowStart = now - check.duration;
-        const count = countInWindow(limiter.windows[check.window], windowStart);
+        for (const [identifier, violation] of this.violations.entries()) {
+            // Decay violations over time
+            const hoursSinceViolation = (now - violation.lastViolation) / (60 * 60 * 1000);
+            const decay = Math.floor(hoursSinceViolation * RATELIMIT_CONFIG.ban.decayRate);
 
-        if (count >= check.limit) {
-            blocked = true;
-            const oldestEntry = getOldestEntry(limiter.windows[check.window], windowStart);
-            const resetIn = oldestEntry ? (oldestEntry + check.duration - now) : check.duration;
+            if (decay > 0) {
+                violation.count = Math.max(0, violation.count - decay);
+            }
 
-            if (resetIn > mostRestrictive.retryAfter) {
-                mostRestrictive = {
-                    remaining: 0,
-                    resetIn,
-                    retryAfter: Math.ceil(resetIn / 1000)
-                };
+            // Clear expired temp bans
+            if (violation.banned && now >= violation.banExpires) {
+                violation.banned = false;
             }
-        } else {
-            const remaining = check.limit - count - 1;
-            if (remaining < mostRestrictive.remaining) {
-                mostRestrictive.remaining = remaining;
+
+            // Remove if no violations
+            if (violation.count === 0 && !violation.banned) {
+                this.violations.delete(identifier);
             }
         }
     }
 
-    if (blocked) {
-        recordViolation(identifier);
-        rateLimitStats.denied++;
-        rateLimitStats.violations++;
+    /**
+     * @returns {{activeLimiters: number, activeViolations: number, permanentBans: number}}
+     */
+    get sizes() {
+        return {
+            activeLimiters: this.limiters.size + this.buckets.size,
+            activeViolations: this.violations.size,
+            permanentBans: this.permaBans.size
+        };
+    }
+}
+
+// ============================================
+// REDIS STORE
+// ============================================
+
+/**
+ * Lua scripts - each runs atomically on the Redis server, so concurrent
+ * nodes see one consistent window, bucket and ban state.
+ */
+const SCRIPTS = {
+    // KEYS: window zset, permanent bans, temporary bans
+    // ARGV: now, member, identifier, ttl, record (1 or 0), then (duration, limit) pairs
+    // Returns: { state (1 allowed, 0 limited, -1 perma ban, -2 temp ban), remaining, resetIn }
+    hit: `
+        local now = tonumber(ARGV[1])
+        if redis.call('SISMEMBER', KEYS[2], ARGV[3]) == 1 then return {-1, 0, -1} end
+        local banExpires = tonumber(redis.call('ZSCORE', KEYS[3], ARGV[3]))
+        if banExpires and banExpires > now then return {-2, 0, banExpires - now} end
+
+        redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - tonumber(ARGV[4]))
+
+        local remaining = -1
+        local resetIn = -1
+        for i = 6, #ARGV, 2 do
+            local duration = tonumber(ARGV[i])
+            local limit = tonumber(ARGV[i + 1])
+            local windowStart = '(' .. (now - duration)
+            local count = redis.call('ZCOUNT', KEYS[1], windowStart, '+inf')
+            if count >= limit then
+                local oldest = redis.call('ZRANGEBYSCORE', KEYS[1], windowStart, '+inf', 'WITHSCORES', 'LIMIT', 0, 1)
+                local reset = duration
+                if oldest[2] then reset = tonumber(oldest[2]) + duration - now end
+                if reset > resetIn then resetIn = reset end
+            elseif remaining < 0 or limit - count - 1 < remaining then
+                remaining = limit - count - 1
+            end
+        end
+
+        if resetIn >= 0 then return {0, 0, resetIn} end
+        if ARGV[5] == '0' then return {1, remaining, 0} end
+
+        redis.call('ZADD', KEYS[1], now, ARGV[2])
+        redis.call('PEXPIRE', KEYS[1], ARGV[4])
+        return {1, remaining, 0}
+    `,
+
+    // KEYS: bucket hash
+    // ARGV: now, maxTokens, refillRate, cost, ttl
+    // Returns: { allowed, tokens (string, may be fractional) }
+    takeTokens: `
+        local now = tonumber(ARGV[1])
+        local maxTokens = tonumber(ARGV[2])
+        local cost = tonumber(ARGV[4])
+        local state = redis.call('HMGET', KEYS[1], 'tokens', 'lastRefill')
+        local tokens = tonumber(state[1]) or maxTokens
+        local lastRefill = tonumber(state[2]) or now
+
+        local toAdd = math.floor((now - lastRefill) / 1000) * tonumber(ARGV[3])
+        if toAdd > 0 then
+            tokens = math.min(maxTokens, tokens + toAdd)
+            lastRefill = now
+        end
+
+        local allowed = 0
+        if tokens >= cost then
+            tokens = tokens - cost
+            allowed = 1
+        end
+
+        redis.call('HMSET', KEYS[1], 'tokens', tostring(tokens), 'lastRefill', tostring(lastRefill))
+        redis.call('PEXPIRE', KEYS[1], ARGV[5])
+        return {allowed, tostring(tokens)}
+    `,
+
+    // KEYS: violation hash, history list, permanent bans, temporary bans
+    // ARGV: now, identifier, threshold, tempBanDuration, permaBanThreshold, decayRate, ttl, historySize
+    // Returns: { count, tempBanned, permaBanned }
+    recordViolation: `
+        local now = tonumber(ARGV[1])
+        local state = redis.call('HMGET', KEYS[1], 'count', 'lastViolation', 'banExpires')
+        local count = tonumber(state[1]) or 0
+        local last = tonumber(state[2]) or now
+        local banExpires = tonumber(state[3]) or 0
+
+        local decay = math.floor((now - last) / 3600000 * tonumber(ARGV[6]))
+        if decay > 0 then count = math.max(0, count - decay) end
+        count = count + 1
+
+        local tempBanned = 0
+        if count >= tonumber(ARGV[3]) and banExpires <= now then
+            banExpires = now + tonumber(ARGV[4])
+            redis.call('ZADD', KEYS[4], banExpires, ARGV[2])
+            tempBanned = 1
+        end
+
+        local permaBanned = 0
+        if count >= tonumber(ARGV[5]) then
+            permaBanned = redis.call('SADD', KEYS[3], ARGV[2])
+        end
+
+        redis.call('HMSET', KEYS[1], 'count', count, 'lastViolation', now, 'banExpires', banExpires)
+        redis.call('PEXPIRE', KEYS[1], ARGV[7])
+        redis.call('RPUSH', KEYS[2], now)
+        redis.call('LTRIM', KEYS[2], -tonumber(ARGV[8]), -1)
+        redis.call('PEXPIRE', KEYS[2], ARGV[7])
+        return {count, tempBanned, permaBanned}
+    `,
+
+    // KEYS: violation hash, history list, temporary bans
+    // ARGV: identifier
+    clearViolations: `
+        redis.call('DEL', KEYS[1], KEYS[2])
+        redis.call('ZREM', KEYS[3], ARGV[1])
+        return 1
+    `,
+
+    // KEYS: permanent bans, violation hash, history list, temporary bans
+    // ARGV: identifier
+    // Returns: 1 if a permanent ban was lifted
+    removeBan: `
+        local removed = redis.call('SREM', KEYS[1], ARGV[1])
+        redis.call('DEL', KEYS[2], KEYS[3])
+        redis.call('ZREM', KEYS[4], ARGV[1])
+        return removed
+    `,
+
+    // KEYS: permanent bans, temporary bans
+    // ARGV: identifier
+    // Returns: { permanent, banExpires }
+    banStatus: `
+        local permanent = redis.call('SISMEMBER', KEYS[1], ARGV[1])
+        local banExpires = redis.call('ZSCORE', KEYS[2], ARGV[1]) or '0'
+        return {permanent, banExpires}
+    `,
+
+    // KEYS: violation hash, history list
+    // Returns: { count, lastViolation, banExpires, history } or nil
+    getViolation: `
+        if redis.call('EXISTS', KEYS[1]) == 0 then return nil end
+        local state = redis.call('HMGET', KEYS[1], 'count', 'lastViolation', 'banExpires')
+        return {state[1], state[2], state[3], redis.call('LRANGE', KEYS[2], -10, -1)}
+    `,
+
+    // KEYS: permanent bans, temporary bans
+    // ARGV: now
+    // Returns: { temporary (flat member/score pairs), permanent members }
+    listBans: `
+        redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+        return {redis.call('ZRANGE', KEYS[2], 0, -1, 'WITHSCORES'), redis.call('SMEMBERS', KEYS[1])}
+    `,
+
+    // KEYS: violation hashes
+    // Returns: violation counts (same order)
+    violationCounts: `
+        local counts = {}
+        for i = 1, #KEYS do
+            counts[i] = redis.call('HGET', KEYS[i], 'count') or '0'
+        end
+        return counts
+    `,
+
+    // KEYS: permanent bans, temporary bans
+    // ARGV: now
+    // Returns: { permanentBans, temporaryBans }
+    sizes: `
+        redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+        return {redis.call('SCARD', KEYS[1]), redis.call('ZCARD', KEYS[2])}
+    `
+};
+
+/**
+ * Redis-backed store (production, multi-node)
+ * Windows, buckets, violations and bans are shared by every node using the
+ * same Redis; expiry is left to key TTLs.
+ */
+class RedisRateLimitStore {
+    /**
+     * @param {RedisAdapter} storage - Connected adapter (anything exposing eval())
+     */
+    constructor(storage) {
+        this.name = 'redis';
+        this.storage = storage;
+
+        // Refreshed on cleanup so getStats() stays synchronous
+        this.cachedSizes = { activeLimiters: null, activeViolations: null, permanentBans: 0, temporaryBans: 0 };
+    }
+
+    async hit(key, identifier, checks, now, record = true) {
+        const args = [
+            now,
+            `${now}:${crypto.randomBytes(6).toString('hex')}`,
+            identifier,
+            maxWindow(),
+            record ? 1 : 0
+        ];
+        for (const check of checks) {
+            args.push(check.duration, check.limit);
+        }
+
+        const [state, remaining, resetIn] = await this.storage.eval(
+            SCRIPTS.hit,
+            [keys.rateLimit.window(key), keys.rateLimit.permanentBans, keys.rateLimit.temporaryBans],
+            args
+        );
+
+        switch (Number(state)) {
+            case 1:
+                return { status: 'allowed', remaining: Number(remaining) < 0 ? Infinity : Number(remaining), resetIn: 0 };
+            case 0:
+                return { status: 'limited', remaining: 0, resetIn: Number(resetIn) };
+            case -1:
+                return { status: 'permanent_ban', remaining: 0, resetIn: -1 };
+            default:
+                return { status: 'temporary_ban', remaining: 0, resetIn: Number(resetIn) };
+        }
+    }
+
+    async takeTokens(identifier, maxTokens, refillRate, cost, now) {
+        const [allowed, tokens] = await this.storage.eval(
+            SCRIPTS.takeTokens,
+            [keys.rateLimit.bucket(identifier)],
+            [now, maxTokens, refillRate, cost, RATELIMIT_CONFIG.entryTTL]
+        );
+
+        return { allowed: Number(allowed) === 1, tokens: Number(tokens) };
+    }
+
+    async recordViolation(identifier, now) {
+        const { ban } = RATELIMIT_CONFIG;
+        const [count, tempBanned, permaBanned] = await this.storage.eval(
+            SCRIPTS.recordViolation,
+            [
+                keys.rateLimit.violation(identifier),
+                keys.rateLimit.violationHistory(identifier),
+                keys.rateLimit.permanentBans,
+                keys.rateLimit.temporaryBans
+            ],
+            [
+                now,
+                identifier,
+                ban.threshold,
+                ban.tempBanDuration,
+                ban.permaBanThreshold,
+                ban.decayRate,
+                RATELIMIT_CONFIG.entryTTL,
+                ban.historySize
+            ]
+        );
 
         return {
-            allowed: false,
-            ...mostRestrictive,
-            banned: false,
-            reason: 'rate_limit_exceeded'
+            count: Number(count),
+            tempBanned: Number(tempBanned) === 1,
+            permaBanned: Number(permaBanned) === 1
         };
     }
 
-    // Record request in all windows
-    for (const check of checks) {
-        if (!limiter.windows[check.window]) {
-            limiter.windows[check.window] = [];
+    async clearViolations(identifier) {
+        await this.storage.eval(
+            SCRIPTS.clearViolations,
+            [
+                keys.rateLimit.violation(identifier),
+                keys.rateLimit.violationHistory(identifier),
+                keys.rateLimit.temporaryBans
+            ],
+            [identifier]
+        );
+    }
+
+    async removeBan(identifier) {
+        const removed = await this.storage.eval(
+            SCRIPTS.removeBan,
+            [
+                keys.rateLimit.permanentBans,
+                keys.rateLimit.violation(identifier),
+                keys.rateLimit.violationHistory(identifier),
+                keys.rateLimit.temporaryBans
+            ],
+            [identifier]
+        );
+        return Number(removed) === 1;
+    }
+
+    async banStatus(identifier) {
+        const [permanent, banExpires] = await this.storage.eval(
+            SCRIPTS.banStatus,
+            [keys.rateLimit.permanentBans, keys.rateLimit.temporaryBans],
+            [identifier]
+        );
+        return { permanent: Number(permanent) === 1, banExpires: Number(banExpires) };
+    }
+
+    async getViolation(identifier) {
+        const result = await this.storage.eval(
+            SCRIPTS.getViolation,
+            [keys.rateLimit.violation(identifier), keys.rateLimit.violationHistory(identifier)],
+            []
+        );
+        if (!result) return null;
+
+        const [count, lastViolation, banExpires, history] = result;
+        return {
+            count: Number(count),
+            lastViolation: Number(lastViolation),
+            banExpires: Number(banExpires),
+            history: history.map(Number)
+        };
+    }
+
+    async listBans(now) {
+        const [pairs, permanent] = await this.storage.eval(
+            SCRIPTS.listBans,
+            [keys.rateLimit.permanentBans, keys.rateLimit.temporaryBans],
+            [now]
+        );
+
+        const temporary = [];
+        for (let i = 0; i < pairs.length; i += 2) {
+            temporary.push({ identifier: pairs[i], banExpires: Number(pairs[i + 1]), violations: 0 });
+        }
+
+        if (temporary.length > 0) {
+            const counts = await this.storage.eval(
+                SCRIPTS.violationCounts,
+                temporary.map(ban => keys.rateLimit.violation(ban.identifier)),
+                []
+            );
+            temporary.forEach((ban, i) => { ban.violations = Number(counts[i]); });
         }
-        limiter.windows[check.window].push(now);
+
+        return { temporary, permanent };
     }
 
-    limiter.lastAccess = now;
-    rateLimitStats.allowed++;
+    async cleanup(now) {
+        // Windows, buckets and violations expire through key TTLs
+        const [permanentBans, temporaryBans] = await this.storage.eval(
+            SCRIPTS.sizes,
+            [keys.rateLimit.permanentBans, keys.rateLimit.temporaryBans],
+            [now]
+        );
+
+        this.cachedSizes = {
+            ...this.cachedSizes,
+            permanentBans: Number(permanentBans),
+            temporaryBans: Number(temporaryBans)
+        };
+    }
 
-    return {
-        allowed: true,
-        remaining: Math.max(0, mostRestrictive.remaining),
-        resetIn: 0,
-        retryAfter: 0,
-        banned: false
-    };
+    get sizes() {
+        return this.cachedSizes;
+    }
 }
 
+// ============================================
+// STORE SELECTION
+// ============================================
+
+const memoryStore = new MemoryRateLimitStore();
+let redisStore = null;
+let storeOverride = null;
+
 /**
- * Token bucket rate limiter for burst handling
- * @param {string} identifier - Unique identifier
- * @param {string} tier - Rate limit tier
- * @param {number} cost - Token cost for this request
- * @returns {{allowed: boolean, tokens: number, refillIn: number}}
+ * Resolve the active store
+ * Uses Redis once the shared storage adapter is connected; until then (or
+ * with RATELIMIT_STORE=memory) limits stay in this process.
+ * @returns {MemoryRateLimitStore|RedisRateLimitStore}
  */
-function checkTokenBucket(identifier, tier = 'anonymous', cost = 1) {
-    const key = `bucket:${identifier}`;
-    const limits = RATELIMIT_CONFIG.tiers[tier] || RATELIMIT_CONFIG.tiers.anonymous;
-    const now = Date.now();
+function getStore() {
+    if (storeOverride) return storeOverride;
+    if (RATELIMIT_CONFIG.store === 'memory') return memoryStore;
 
-    let bucket = limiters.get(key);
+    const storage = getStorage();
+    if (!(storage instanceof RedisAdapter) || !storage.isConnected) {
+        return memoryStore;
+    }
 
-    if (!bucket) {
-        bucket = {
-            tokens: limits.burstSize,
-            lastRefill: now,
-            maxTokens: limits.burstSize
-        };
-        limiters.set(key, bucket);
+    if (!redisStore || redisStore.storage !== storage) {
+        redisStore = new RedisRateLimitStore(storage);
     }
+    return redisStore;
+}
+
+/**
+ * Force a store (tests, or a dedicated Redis for rate limiting)
+ * @param {Object|null} store - Store instance, or null to resume auto selection
+ */
+function setStore(store) {
+    storeOverride = store;
+}
+
+/**
+ * Run a store operation, falling back to the local store if Redis fails
+ * Failing open to per-process limits beats rejecting every request.
+ * @param {string} method - Store method
+ * @param {...any} args - Method arguments
+ * @returns {Promise<any>}
+ */
+async function runStore(method, ...args) {
+    const store = getStore();
+    if (store === memoryStore) {
+        return memoryStore[method](...args);
+    }
+
+    try {
+        return await store[method](...args);
+    } catch (error) {
+        rateLimitStats.storeErrors++;
+        console.error(`[RateLimit] ${store.name} store ${method} failed:`, error.message);
+        return memoryStore[method](...args);
+    }
+}
+
+// ============================================
+// SLIDING WINDOW RATE LIMITER
+// ============================================
+
+/**
+ * Check rate limit with sliding window
+ * @param {string} identifier - Unique identifier (IP, user ID, etc.)
+ * @param {string} tier - Rate limit tier
+ * @param {string} endpoint - Optional endpoint for specific limits
+ * @returns {Promise<{allowed: boolean, remaining: number, resetIn: number, retryAfter: number}>}
+ */
+async function checkLimit(identifier, tier = 'anonymous', endpoint = null) {
+    const key = buildKey(identifier, endpoint);
+    const limits = getApplicableLimits(tier, endpoint);
 
-    // Refill tokens (1 token per second for anonymous, scaled for other tiers)
-    const refillRate = limits.perSecond / 5;  // Refill rate is 1/5 of per-second limit
-    const elapsed = now - bucket.lastRefill;
-    const tokensToAdd = Math.floor(elapsed / 1000) * refillRate;
+    const checks = [
+        { window: 'second', limit: limits.perSecond, duration: RATELIMIT_CONFIG.windows.second },
+        { window: 'minute', limit: limits.perMinute, duration: RATELIMIT_CONFIG.windows.minute },
+        { window: 'hour', limit: limits.perHour, duration: RATELIMIT_CONFIG.windows.hour },
+        { window: 'day', limit: limits.perDay, duration: RATELIMIT_CONFIG.windows.day }
+    ].filter(check => check.limit);
+
+    return applyLimits(key, identifier, checks);
+}
 
-    if (tokensToAdd > 0) {
-        bucket.tokens = Math.min(bucket.maxTokens, bucket.tokens + tokensToAdd);
-        bucket.lastRefill = now;
+/**
+ * Check a single fixed limit (max requests per windowMs) under its own name
+ * @param {string} identifier - Unique identifier (IP, wallet, etc.)
+ * @param {string} name - Limiter name, keeps its window apart from other limiters
+ * @param {number} windowMs - Window duration
+ * @param {number} max - Requests allowed per window
+ * @param {Object} [options] - { record: false to check without counting the request }
+ * @returns {Promise<{allowed: boolean, remaining: number, resetIn: number, retryAfter: number}>}
+ */
+async function checkWindow(identifier, name, windowMs, max, options = {}) {
+    const { record = true } = options;
+    const checks = [{ window: windowFor(windowMs), limit: max, duration: windowMs }];
+
+    return applyLimits(buildKey(identifier, name), identifier, checks, record);
+}
+
+/**
+ * Count a request against a fixed limit without checking it
+ * Used once a response shows the request should count (e.g. rejected API keys).
+ * @param {string} identifier - Unique identifier
+ * @param {string} name - Limiter name
+ * @param {number} windowMs - Window duration
+ * @param {number} max - Requests allowed per window
+ * @returns {Promise<void>}
+ */
+async function recordHit(identifier, name, windowMs, max) {
+    const checks = [{ window: windowFor(windowMs), limit: max, duration: windowMs }];
+    await runStore('hit', buildKey(identifier, name), identifier, checks, Date.now());
+}
+
+/**
+ * Run the sliding window checks and map the store's answer
+ * @param {string} key - Limiter key
+ * @param {string} identifier - Identifier (for bans and violations)
+ * @param {Object[]} checks - [{ window, limit, duration }]
+ * @param {boolean} [record=true] - false to only check
+ * @returns {Promise<Object>}
+ */
+async function applyLimits(key, identifier, checks, record = true) {
+    const result = await runStore('hit', key, identifier, checks, Date.now(), record);
+
+    switch (result.status) {
+        case 'permanent_ban':
+            rateLimitStats.denied++;
+            return {
+                allowed: false,
+                remaining: 0,
+                resetIn: -1,
+                retryAfter: -1,
+                banned: true,
+                reason: 'permanent_ban'
+            };
+
+        case 'temporary_ban':
+            rateLimitStats.denied++;
+            return {
+                allowed: false,
+                remaining: 0,
+                resetIn: result.resetIn,
+                retryAfter: Math.ceil(result.resetIn / 1000),
+                banned: true,
+                reason: 'temporary_ban'
+            };
+
+        case 'limited':
+            await recordViolation(identifier);
+            rateLimitStats.denied++;
+            rateLimitStats.violations++;
+            return {
+                allowed: false,
+                remaining: 0,
+                resetIn: result.resetIn,
+                retryAfter: Math.ceil(result.resetIn / 1000),
+                banned: false,
+                reason: 'rate_limit_exceeded'
+            };
+
+        default:
+            rateLimitStats.allowed++;
+            return {
+                allowed: true,
+                remaining: Math.max(0, result.remaining),
+                resetIn: 0,
+                retryAfter: 0,
+                banned: false
+            };
     }
+}
 
-    // Check if we have enough tokens
-    if (bucket.tokens >= cost) {
-        bucket.tokens -= cost;
+/**
+ * Token bucket rate limiter for burst handling
+ * @param {string} identifier - Unique identifier
+ * @param {string} tier - Rate limit tier
+ * @param {number} cost - Token cost for this request
+ * @returns {Promise<{allowed: boolean, tokens: number, refillIn: number}>}
+ */
+async function checkTokenBucket(identifier, tier = 'anonymous', cost = 1) {
+    const limits = RATELIMIT_CONFIG.tiers[tier] || RATELIMIT_CONFIG.tiers.anonymous;
+
+    // Refill rate is 1/5 of per-second limit, added per whole second
+    const refillRate = limits.perSecond / 5;
+    const bucket = await runStore('takeTokens', identifier, limits.burstSize, refillRate, cost, Date.now());
+
+    if (bucket.allowed) {
         return {
             allowed: true,
             tokens: bucket.tokens,
@@ -292,74 +923,53 @@ function checkTokenBucket(identifier, tier = 'anonymous', cost = 1) {
 
 /**
  * Record a rate limit violation
+ * Escalates to a temporary ban, then a permanent one; with the Redis store
+ * the escalation is shared by every node.
  * @param {string} identifier - Violator identifier
+ * @returns {Promise<{count: number, tempBanned: boolean, permaBanned: boolean}>}
  */
-function recordViolation(identifier) {
-    let violation = violations.get(identifier);
-
-    if (!violation) {
-        violation = {
-            count: 0,
-            lastViolation: 0,
-            banned: false,
-            banExpires: 0,
-            history: []
-        };
-        violations.set(identifier, violation);
-    }
-
-    violation.count++;
-    violation.lastViolation = Date.now();
-    violation.history.push(Date.now());
-
-    // Keep only last 100 violations
-    if (violation.history.length > 100) {
-        violation.history = violation.history.slice(-100);
-    }
+async function recordViolation(identifier) {
+    const result = await runStore('recordViolation', identifier, Date.now());
 
-    // Check for temporary ban
-    if (violation.count >= RATELIMIT_CONFIG.ban.threshold && !violation.banned) {
-        violation.banned = true;
-        violation.banExpires = Date.now() + RATELIMIT_CONFIG.ban.tempBanDuration;
+    if (result.tempBanned) {
         rateLimitStats.tempBans++;
 
         logAudit('rate_limit_temp_ban', {
             identifier: hashIdentifier(identifier),
-            violations: violation.count,
+            violations: result.count,
             duration: RATELIMIT_CONFIG.ban.tempBanDuration
         });
     }
 
-    // Check for permanent ban
-    if (violation.count >= RATELIMIT_CONFIG.ban.permaBanThreshold) {
-        permaBans.add(identifier);
+    if (result.permaBanned) {
         rateLimitStats.permaBans++;
 
         logAudit('rate_limit_perma_ban', {
             identifier: hashIdentifier(identifier),
-            violations: violation.count
+            violations: result.count
         });
     }
+
+    return result;
 }
 
 /**
  * Clear violations for identifier
  * @param {string} identifier - Identifier to clear
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function clearViolations(identifier) {
-    violations.delete(identifier);
+async function clearViolations(identifier) {
+    await runStore('clearViolations', identifier);
     return true;
 }
 
 /**
  * Remove permanent ban
  * @param {string} identifier - Identifier to unban
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-function removeBan(identifier) {
-    const wasBanned = permaBans.delete(identifier);
-    violations.delete(identifier);
+async function removeBan(identifier) {
+    const wasBanned = await runStore('removeBan', identifier);
 
     if (wasBanned) {
         logAudit('rate_limit_unban', {
@@ -373,19 +983,21 @@ function removeBan(identifier) {
 /**
  * Check if identifier is banned
  * @param {string} identifier - Identifier to check
- * @returns {{banned: boolean, permanent: boolean, expiresIn: number}}
+ * @returns {Promise<{banned: boolean, permanent: boolean, expiresIn: number}>}
  */
-function isBanned(identifier) {
-    if (permaBans.has(identifier)) {
+async function isBanned(identifier) {
+    const status = await runStore('banStatus', identifier);
+    const now = Date.now();
+
+    if (status.permanent) {
         return { banned: true, permanent: true, expiresIn: -1 };
     }
 
-    const violation = violations.get(identifier);
-    if (violation?.banned && Date.now() < violation.banExpires) {
+    if (now < status.banExpires) {
         return {
             banned: true,
             permanent: false,
-            expiresIn: violation.banExpires - Date.now()
+            expiresIn: status.banExpires - now
         };
     }
 
@@ -459,6 +1071,26 @@ function hashIdentifier(identifier) {
 // UTILITIES
 // ============================================
 
+/**
+ * Longest configured window (sliding window entry lifetime)
+ * @returns {number}
+ */
+function maxWindow() {
+    return Math.max(...Object.values(RATELIMIT_CONFIG.windows));
+}
+
+/**
+ * Smallest named window holding entries for at least this duration
+ * @param {number} duration - Window duration
+ * @returns {string}
+ */
+function windowFor(duration) {
+    const [name] = Object.entries(RATELIMIT_CONFIG.windows)
+        .sort((a, b) => a[1] - b[1])
+        .find(([, length]) => length >= duration) || ['day'];
+    return name;
+}
+
 /**
  * Create new limiter instance
  * @returns {Object}
@@ -551,41 +1183,17 @@ function getOldestEntry(entries, windowStart) {
 /**
  * Cleanup old entries
  */
-function cleanup() {
-    const now = Date.now();
-    const cutoff = now - RATELIMIT_CONFIG.entryTTL;
-
-    // Clean old limiters
-    for (const [key, limiter] of limiters.entries()) {
-        if (limiter.lastAccess < cutoff) {
-            limiters.delete(key);
-        }
-    }
-
-    // Decay violations
-    for (const [identifier, violation] of violations.entries()) {
-        // Decay violations over time
-        const hoursSinceViolation = (now - violation.lastViolation) / (60 * 60 * 1000);
-        const decay = Math.floor(hoursSinceViolation * RATELIMIT_CONFIG.ban.decayRate);
-
-        if (decay > 0) {
-            violation.count = Math.max(0, violation.count - decay);
-        }
-
-        // Clear expired temp bans
-        if (violation.banned && now >= violation.banExpires) {
-            violation.banned = false;
-        }
-
-        // Remove if no violations
-        if (violation.count === 0 && !violation.banned) {
-            violations.delete(identifier);
-        }
+async function cleanup() {
+    try {
+        await runStore('cleanup', Date.now());
+    } catch (error) {
+        console.error('[RateLimit] Cleanup failed:', error.message);
     }
 }
 
-// Start cleanup interval
-setInterval(cleanup, RATELIMIT_CONFIG.cleanupInterval);
+// Start cleanup interval (don't hold the process open)
+const cleanupTimer = setInterval(cleanup, RATELIMIT_CONFIG.cleanupInterval);
+if (cleanupTimer.unref) cleanupTimer.unref();
 
 // ============================================
 // EXPRESS MIDDLEWARE
@@ -593,7 +1201,16 @@ setInterval(cleanup, RATELIMIT_CONFIG.cleanupInterval);
 
 /**
  * Create rate limit middleware
+ * Limits come from the caller's tier and the endpoint, or with `max` from a
+ * fixed window of its own (`name`, `windowMs`), shared by every node through
+ * the active store.
  * @param {Object} options - Middleware options
+ * @param {string} [options.name] - Limiter name (fixed window)
+ * @param {number} [options.windowMs] - Window duration (fixed window)
+ * @param {number} [options.max] - Requests per window (fixed window)
+ * @param {Object} [options.message] - 429 response body
+ * @param {boolean} [options.skipSuccessfulRequests] - Only count requests that fail
+ * @param {Function} [options.requestWasSuccessful] - (req, res) => boolean
  * @returns {Function}
  */
 function createMiddleware(options = {}) {
@@ -601,9 +1218,19 @@ function createMiddleware(options = {}) {
         getTier = () => 'anonymous',
         getIdentifier = (req) => extractIP(req),
         skip = () => false,
-        onLimited = null
+        onLimited = null,
+        name = null,
+        windowMs = RATELIMIT_CONFIG.windows.minute,
+        max = null,
+        message = null,
+        skipSuccessfulRequests = false,
+        requestWasSuccessful = (req, res) => res.statusCode < 400
     } = options;
 
+    if (max !== null && !name) {
+        throw new Error('A fixed window rate limiter needs a name');
+    }
+
     return async (req, res, next) => {
         // Skip if configured
         if (skip(req)) {
@@ -611,10 +1238,20 @@ function createMiddleware(options = {}) {
         }
 
         const identifier = getIdentifier(req);
-        const tier = await Promise.resolve(getTier(req));
-        const endpoint = req.path;
-
-        const result = checkLimit(identifier, tier, endpoint);
+        let result;
+
+        try {
+            if (max !== null) {
+                result = await checkWindow(identifier, name, windowMs, max, {
+                    record: !skipSuccessfulRequests
+                });
+            } else {
+                const tier = await Promise.resolve(getTier(req));
+                result = await checkLimit(identifier, tier, req.path);
+            }
+        } catch (error) {
+            return next(error);
+        }
 
         // Set rate limit headers
         res.setHeader('X-RateLimit-Remaining', result.remaining);
@@ -627,6 +1264,10 @@ function createMiddleware(options = {}) {
                 return onLimited(req, res, result);
             }
 
+            if (message) {
+                return res.status(429).json({ ...message, retryAfter: result.retryAfter });
+            }
+
             return res.status(429).json({
                 error: 'rate_limit_exceeded',
                 message: result.banned
@@ -637,6 +1278,15 @@ function createMiddleware(options = {}) {
             });
         }
 
+        if (skipSuccessfulRequests) {
+            res.on('finish', () => {
+                if (requestWasSuccessful(req, res)) return;
+                recordHit(identifier, name, windowMs, max).catch(error =>
+                    console.error(`[RateLimit] ${name} hit not recorded:`, error.message)
+                );
+            });
+        }
+
         next();
     };
 }
@@ -647,14 +1297,16 @@ function createMiddleware(options = {}) {
 
 /**
  * Get rate limit statistics
+ * Counters are per process; ban counts come from the active store.
  * @returns {Object}
  */
 function getStats() {
+    const store = getStore();
+
     return {
         ...rateLimitStats,
-        activeLimiters: limiters.size,
-        activeViolations: violations.size,
-        permanentBans: permaBans.size,
+        backend: store.name,
+        ...store.sizes,
         allowRate: rateLimitStats.allowed + rateLimitStats.denied > 0
             ? ((rateLimitStats.allowed / (rateLimitStats.allowed + rateLimitStats.denied)) * 100).toFixed(2) + '%'
             : '100%'
@@ -664,48 +1316,38 @@ function getStats() {
 /**
  * Get violation details for identifier
  * @param {string} identifier - Identifier to query
- * @returns {Object|null}
+ * @returns {Promise<Object|null>}
  */
-function getViolationDetails(identifier) {
-    const violation = violations.get(identifier);
+async function getViolationDetails(identifier) {
+    const violation = await runStore('getViolation', identifier);
     if (!violation) return null;
 
     return {
         count: violation.count,
         lastViolation: violation.lastViolation,
-        banned: violation.banned,
+        banned: Date.now() < violation.banExpires,
         banExpires: violation.banExpires,
-        recentViolations: violation.history.slice(-10)
+        recentViolations: violation.history
     };
 }
 
 /**
  * Get all banned identifiers (hashed)
- * @returns {Object}
+ * @returns {Promise<Object>}
  */
-function getBannedList() {
-    const tempBanned = [];
-    const permBanned = [];
-
-    for (const [identifier, violation] of violations.entries()) {
-        if (violation.banned && Date.now() < violation.banExpires) {
-            tempBanned.push({
-                hash: hashIdentifier(identifier),
-                expiresIn: violation.banExpires - Date.now(),
-                violations: violation.count
-            });
-        }
-    }
-
-    for (const identifier of permaBans) {
-        permBanned.push({
-            hash: hashIdentifier(identifier)
-        });
-    }
+async function getBannedList() {
+    const now = Date.now();
+    const bans = await runStore('listBans', now);
 
     return {
-        temporary: tempBanned,
-        permanent: permBanned
+        temporary: bans.temporary.map(ban => ({
+            hash: hashIdentifier(ban.identifier),
+            expiresIn: ban.banExpires - now,
+            violations: ban.violations
+        })),
+        permanent: bans.permanent.map(identifier => ({
+            hash: hashIdentifier(identifier)
+        }))
     };
 }
 
@@ -750,6 +1392,7 @@ function updateEndpointLimits(endpoint, limits) {
 module.exports = {
     // Core
     checkLimit,
+    checkWindow,
     checkTokenBucket,
 
     // Violations
@@ -770,6 +1413,13 @@ module.exports = {
     getViolationDetails,
     getBannedList,
 
+    // Stores
+    getStore,
+    setStore,
+    cleanup,
+    MemoryRateLimitStore,
+    RedisRateLimitStore,
+
     // Configuration
     updateTierLimits,
     updateEndpointLimits,
@@ -0,0 +1,532 @@
+/**
+ * ASDF API - Role-Based Access Control
+ *
+ * Fine-grained admin permissions:
+ * - Permissions named resource:action (flags:write, audit:read, ...)
+ * - Built-in roles bundle permissions for support, moderation, analytics, ops
+ * - Wallets get roles and/or direct permission grants
+ * - Assignments stored in a repository and applied on every instance
+ *
+ * Security by Design:
+ * - Deny by default: unknown permissions match nothing
+ * - ADMIN_WALLETS stay full admins and cannot be demoted at runtime
+ * - Nobody can grant a permission they do not hold
+ * - Every assignment change is audited by the caller
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { defineRepository } = require('./database');
+const { getStorage, keys } = require('./storage');
+const { isAdmin } = require('./security');
+const { logAudit } = require('./leaderboard');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RBAC_CONFIG = {
+  maxRolesPerWallet: 8,
+  maxPermissionsPerWallet: 34,
+  instanceId: crypto.randomUUID(),
+};
+
+// Solana address validation regex (base58, 32-44 chars)
+const SOLANA_ADDRESS_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// permission -> description
+const PERMISSIONS = {
+  'system:read': 'View metrics, health and infrastructure status',
+  'system:write': 'Invalidate caches, reconnect RPC and WebSocket, resync leaderboards',
+  'queue:read': 'View job queues',
+  'queue:write': 'Retry, requeue and purge jobs',
+  'analytics:read': 'View analytics, replay and notification stats',
+  'flags:read': 'View feature flags',
+  'flags:write': 'Create, toggle, roll out and schedule feature flags',
+  'config:read': 'View runtime configuration',
+  'config:write': 'Change and roll back runtime configuration',
+  'circuits:read': 'View circuit breakers',
+  'circuits:write': 'Force and reset circuit breakers',
+  'tracing:read': 'View traces',
+  'tracing:write': 'Change trace sampling',
+  'audit:read': 'Search, export and verify audit logs',
+  'anticheat:read': 'View anti-cheat detections',
+  'anticheat:review': 'Review detections and lift sanctions',
+  'ratelimit:read': 'View rate limit state',
+  'ratelimit:write': 'Unban rate-limited clients',
+  'webhooks:read': 'View webhooks',
+  'webhooks:write': 'Register webhooks',
+  'webhooks:subscribe': 'Receive ecosystem events on their own outbound webhook endpoints',
+  'apikeys:read': 'View partner API keys and their usage',
+  'apikeys:write': 'Issue, change, rotate and revoke partner API keys',
+  'apikeys:use': 'List, rotate and revoke their own API keys and read their usage',
+  'seasons:read': 'View leaderboard seasons and season service stats',
+  'seasons:write': 'Schedule, change, delete and end leaderboard seasons',
+  'tournaments:read': 'View arcade tournaments and tournament service stats',
+  'tournaments:write': 'Schedule, change and cancel arcade tournaments',
+  'achievements:grant': 'Grant achievements',
+  'progression:write': 'Emit progression events',
+  'notifications:send': 'Send notifications',
+  'shutdown:execute': 'Shut the server down',
+  'roles:read': 'View roles and assignments',
+  'roles:write': 'Assign roles and permissions',
+};
+
+// Permissions over the holder's own resources (partners): they don't make a wallet an admin
+const SELF_SERVICE_PERMISSIONS = new Set(['webhooks:subscribe', 'apikeys:use']);
+
+// Built-in roles
+const ROLES = {
+  admin: {
+    description: 'Everything',
+    permissions: ['*'],
+  },
+  operator: {
+    description: 'Runs the platform, short of shutdown and role management',
+    permissions: [
+      'system:*',
+      'queue:*',
+      'flags:*',
+      'config:*',
+      'circuits:*',
+      'tracing:*',
+      'webhooks:*',
+      'ratelimit:*',
+      'apikeys:read',
+      'apikeys:write',
+      'seasons:*',
+      'tournaments:*',
+      'analytics:read',
+      'audit:read',
+    ],
+  },
+  support: {
+    description: 'Helps players: status, bans and notifications',
+    permissions: ['system:read', 'ratelimit:*', 'anticheat:read', 'notifications:send'],
+  },
+  moderator: {
+    description: 'Reviews cheating and abuse',
+    permissions: ['anticheat:*', 'ratelimit:*', 'achievements:grant', 'audit:read'],
+  },
+  analyst: {
+    description: 'Reads analytics and experiments',
+    permissions: ['analytics:read', 'flags:read', 'audit:read'],
+  },
+  partner: {
+    description: 'Ecosystem project receiving outbound webhooks and using API keys',
+    permissions: ['webhooks:subscribe', 'apikeys:use'],
+  },
+};
+
+// ============================================
+// STORAGE
+// ============================================
+
+// wallet -> { wallet, roles, permissions, updatedAt, updatedBy }
+const assignments = new Map();
+
+const stats = {
+  checks: 0,
+  denied: 0,
+  changes: 0,
+  remoteChanges: 0,
+};
+
+// Set by initialize()
+let storageOverride = null;
+let unsubscribeChanges = null;
+
+// Stored assignments: changes made since startup were already written back, so they win
+const assignmentRepository = defineRepository('roleAssignments', {
+  owner: assignment => assignment.wallet,
+  hydrate(entries) {
+    for (const [wallet, assignment] of entries) {
+      if (!assignments.has(wallet)) {
+        assignments.set(wallet, assignment);
+      }
+    }
+  },
+});
+
+// ============================================
+// PERMISSION CHECKS
+// ============================================
+
+/**
+ * Check a grant against a permission
+ * '*' matches everything, 'flags:*' every flags permission.
+ * @param {string} grant - Granted permission or wildcard
+ * @param {string} permission - Required permission
+ * @returns {boolean}
+ */
+function grantMatches(grant, permission) {
+  if (grant === '*' || grant === permission) return true;
+  return grant.endsWith(':*') && permission.startsWith(grant.slice(0, -1));
+}
+
+/**
+ * Check that a grant names a known permission (or a wildcard over some)
+ * @param {string} grant - Permission or wildcard
+ * @returns {boolean}
+ */
+function isValidGrant(grant) {
+  if (typeof grant !== 'string') return false;
+  return Object.keys(PERMISSIONS).some(permission => grantMatches(grant, permission));
+}
+
+/**
+ * Everything a wallet was granted, roles expanded
+ * @param {string} wallet - Wallet address
+ * @returns {string[]} Grants (may contain wildcards)
+ */
+function getGrants(wallet) {
+  if (isAdmin(wallet)) return ['*'];
+
+  const assignment = assignments.get(wallet);
+  if (!assignment) return [];
+
+  const grants = new Set(assignment.permissions);
+  for (const role of assignment.roles) {
+    for (const grant of ROLES[role]?.permissions || []) {
+      grants.add(grant);
+    }
+  }
+  return Array.from(grants);
+}
+
+/**
+ * Check if a wallet holds a permission
+ * @param {string} wallet - Wallet address
+ * @param {string} permission - Permission
+ * @returns {boolean}
+ */
+function hasPermission(wallet, permission) {
+  if (!wallet || !PERMISSIONS[permission]) return false;
+  return getGrants(wallet).some(grant => grantMatches(grant, permission));
+}
+
+/**
+ * Concrete permissions a wallet holds
+ * @param {string} wallet - Wallet address
+ * @returns {string[]}
+ */
+function getPermissions(wallet) {
+  const grants = getGrants(wallet);
+  return Object.keys(PERMISSIONS).filter(permission =>
+    grants.some(grant => grantMatches(grant, permission))
+  );
+}
+
+/**
+ * Check that a permission administers the platform (not self-service)
+ * @param {string} permission - Permission
+ * @returns {boolean}
+ */
+function isAdminPermission(permission) {
+  return Boolean(PERMISSIONS[permission]) && !SELF_SERVICE_PERMISSIONS.has(permission);
+}
+
+/**
+ * Check if a wallet holds any admin permission
+ * @param {string} wallet - Wallet address
+ * @returns {boolean}
+ */
+function hasAdminAccess(wallet) {
+  return getPermissions(wallet).some(isAdminPermission);
+}
+
+/**
+ * Roles of a wallet (ADMIN_WALLETS report 'admin')
+ * @param {string} wallet - Wallet address
+ * @returns {string[]}
+ */
+function getRoles(wallet) {
+  if (isAdmin(wallet)) return ['admin'];
+  return assignments.get(wallet)?.roles.slice() || [];
+}
+
+/**
+ * Middleware: Require a permission
+ * Replaces requireAdmin; run after authMiddleware.
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    const wallet = req.user?.wallet;
+
+    if (!wallet) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    stats.checks++;
+
+    if (!hasPermission(wallet, permission)) {
+      stats.denied++;
+      logAudit('admin_access_denied', {
+        wallet: wallet.slice(0, 8) + '...',
+        permission,
+        path: req.path,
+      });
+      return res.status(403).json({ error: 'Permission required', permission });
+    }
+
+    if (isAdminPermission(permission)) {
+      req.isAdmin = true;
+    }
+    logAudit('admin_access', { wallet: wallet.slice(0, 8) + '...', permission, path: req.path });
+    next();
+  };
+}
+
+// ============================================
+// ASSIGNMENTS
+// ============================================
+
+/**
+ * Set a wallet's roles and direct permissions (replaces the previous assignment)
+ * @param {string} wallet - Wallet address
+ * @param {Object} assignment - { roles?: string[], permissions?: string[] }
+ * @param {Object} options - Options
+ * @param {string} options.actor - Wallet making the change
+ * @returns {{success: boolean, assignment?: Object, previous?: Object|null, error?: string}}
+ */
+function assign(wallet, { roles = [], permissions = [] } = {}, options = {}) {
+  if (typeof wallet !== 'string' || !SOLANA_ADDRESS_REGEX.test(wallet)) {
+    return { success: false, error: 'Invalid wallet address' };
+  }
+
+  if (!Array.isArray(roles) || !Array.isArray(permissions)) {
+    return { success: false, error: 'Roles and permissions must be arrays' };
+  }
+
+  if (roles.length > RBAC_CONFIG.maxRolesPerWallet) {
+    return { success: false, error: `At most ${RBAC_CONFIG.maxRolesPerWallet} roles` };
+  }
+
+  if (permissions.length > RBAC_CONFIG.maxPermissionsPerWallet) {
+    return {
+      success: false,
+      error: `At most ${RBAC_CONFIG.maxPermissionsPerWallet} permissions`,
+    };
+  }
+
+  const unknownRole = roles.find(role => typeof role !== 'string' || !ROLES[role]);
+  if (unknownRole !== undefined) {
+    return { success: false, error: `Unknown role: ${unknownRole}` };
+  }
+
+  const unknownPermission = permissions.find(grant => !isValidGrant(grant));
+  if (unknownPermission !== undefined) {
+    return { success: false, error: `Unknown permission: ${unknownPermission}` };
+  }
+
+  const check = checkChange(wallet, options.actor);
+  if (check) return check;
+
+  // No escalation: the actor must hold everything being granted
+  const actorGrants = getGrants(options.actor);
+  const granted = [...permissions, ...roles.flatMap(role => ROLES[role].permissions)];
+  const beyond = granted.find(grant => !actorGrants.some(held => grantMatches(held, grant)));
+  if (beyond !== undefined) {
+    return { success: false, error: `Cannot grant a permission you do not hold: ${beyond}` };
+  }
+
+  const previous = assignments.get(wallet) || null;
+  const assignment = {
+    wallet,
+    roles: Array.from(new Set(roles)).sort(),
+    permissions: Array.from(new Set(permissions)).sort(),
+    updatedAt: Date.now(),
+    updatedBy: options.actor,
+  };
+
+  assignments.set(wallet, assignment);
+  assignmentRepository.persist(wallet, assignment);
+  announce({ wallet, assignment });
+  stats.changes++;
+
+  return { success: true, assignment, previous };
+}
+
+/**
+ * Remove every role and permission of a wallet
+ * @param {string} wallet - Wallet address
+ * @param {Object} options - Options
+ * @param {string} options.actor - Wallet making the change
+ * @returns {{success: boolean, previous?: Object, error?: string}}
+ */
+function revoke(wallet, options = {}) {
+  const previous = assignments.get(wallet);
+  if (!previous) {
+    return { success: false, error: 'Assignment not found' };
+  }
+
+  const check = checkChange(wallet, options.actor);
+  if (check) return check;
+
+  assignments.delete(wallet);
+  assignmentRepository.discard(wallet);
+  announce({ wallet, assignment: null });
+  stats.changes++;
+
+  return { success: true, previous };
+}
+
+/**
+ * Changes nobody may make, whatever they hold
+ * @returns {{success: false, error: string}|null}
+ */
+function checkChange(wallet, actor) {
+  if (!actor) {
+    return { success: false, error: 'Actor required' };
+  }
+  if (isAdmin(wallet)) {
+    return { success: false, error: 'ADMIN_WALLETS are managed through the environment' };
+  }
+  if (wallet === actor) {
+    return { success: false, error: 'Cannot change your own roles' };
+  }
+  return null;
+}
+
+/**
+ * All runtime assignments
+ * @returns {Object[]}
+ */
+function listAssignments() {
+  return Array.from(assignments.values(), assignment => ({
+    ...assignment,
+    effectivePermissions: getPermissions(assignment.wallet),
+  }));
+}
+
+// ============================================
+// PROPAGATION
+// ============================================
+
+/**
+ * Storage adapter carrying assignment changes between instances
+ */
+function getRbacStorage() {
+  return storageOverride || getStorage();
+}
+
+/**
+ * Use a specific storage adapter (tests, or a dedicated Redis)
+ * @param {MemoryAdapter|RedisAdapter|null} adapter - Adapter, or null for getStorage()
+ */
+function setStorage(adapter) {
+  storageOverride = adapter;
+}
+
+/**
+ * Tell other instances about an assignment change
+ * @param {Object} change - { wallet, assignment|null }
+ */
+function announce(change) {
+  // Nothing to tell before initialize() joined the cluster
+  if (!unsubscribeChanges) return;
+
+  getRbacStorage()
+    .publish(keys.pubsub.roles, { origin: RBAC_CONFIG.instanceId, ...change })
+    .catch(error => {
+      console.error('[RBAC] Failed to announce assignment change:', error.message);
+    });
+}
+
+/**
+ * Apply an assignment change made on another instance
+ * @param {string} message - Serialized { origin, wallet, assignment }
+ */
+function handleRemoteChange(message) {
+  let change;
+  try {
+    change = typeof message === 'string' ? JSON.parse(message) : message;
+  } catch {
+    return;
+  }
+
+  if (typeof change?.wallet !== 'string' || change.origin === RBAC_CONFIG.instanceId) {
+    return;
+  }
+
+  stats.remoteChanges++;
+
+  if (change.assignment) {
+    assignments.set(change.wallet, change.assignment);
+  } else {
+    assignments.delete(change.wallet);
+  }
+}
+
+/**
+ * Follow assignment changes made on other instances
+ * @param {Object} options - Options
+ * @param {MemoryAdapter|RedisAdapter} [options.storage] - Storage adapter
+ */
+function initialize(options = {}) {
+  if (options.storage) {
+    setStorage(options.storage);
+  }
+
+  if (!unsubscribeChanges) {
+    unsubscribeChanges = getRbacStorage().subscribe(keys.pubsub.roles, handleRemoteChange);
+  }
+}
+
+/**
+ * Stop following other instances
+ */
+function shutdown() {
+  if (unsubscribeChanges) {
+    unsubscribeChanges();
+    unsubscribeChanges = null;
+  }
+}
+
+/**
+ * Get RBAC statistics
+ * @returns {Object}
+ */
+function getStats() {
+  return {
+    ...stats,
+    assignments: assignments.size,
+    roles: Object.keys(ROLES).length,
+    permissions: Object.keys(PERMISSIONS).length,
+    instanceId: RBAC_CONFIG.instanceId,
+    following: unsubscribeChanges !== null,
+  };
+}
+
+module.exports = {
+  // Checks
+  requirePermission,
+  hasPermission,
+  getPermissions,
+  getRoles,
+  isAdminPermission,
+  hasAdminAccess,
+
+  // Assignments
+  assign,
+  revoke,
+  listAssignments,
+
+  // Lifecycle
+  initialize,
+  setStorage,
+  shutdown,
+  getStats,
+
+  // Config
+  PERMISSIONS,
+  ROLES,
+  RBAC_CONFIG,
+};
@@ -8,23 +8,43 @@
  * - System events
  * - Personal notifications
  *
+ * Each instance only holds its own sockets. Every channel message is also
+ * published on the storage pub/sub (channel:realtime), and every instance
+ * delivers what the others publish to its own sockets, so a wallet connected
+ * to any node gets its notifications. Each node keeps a presence snapshot in
+ * storage for cluster-wide connection counts.
+ *
+ * Every channel message carries a per-channel sequence number (seq, with
+ * seqChannel) taken from storage, and the last messages of each channel are
+ * kept in a replay buffer. A reconnecting client sends its last seq per
+ * channel (resume); it gets the gap replayed, or a resync when the buffer no
+ * longer reaches back that far and it must reload over REST.
+ *
+ * Clients that cannot upgrade to WebSocket get the same channels as
+ * Server-Sent Events (openStream). Their event id is the per-channel cursor,
+ * so the browser's Last-Event-ID resumes like a resume message would, and
+ * their subscribe / unsubscribe / resume / ack messages arrive by POST
+ * (postToStream), forwarded to whichever node holds the stream.
+ *
  * Philosophy: Fibonacci reconnect backoff
  *
- * @version 1.0.0
+ * @version 1.3.0
  *
  * Security by Design:
  * - JWT authentication
  * - Rate limiting per connection
  * - Message size limits
  * - Heartbeat monitoring
+ * - Relayed messages go through the same channel subscriptions as local ones
  */
 
 'use strict';
 
 const WebSocket = require('ws');
 const crypto = require('crypto');
-const { getStorage, keys } = require('./storage');
+const { getStorage, RedisAdapter, keys } = require('./storage');
 const { logAudit } = require('./leaderboard');
+const { checkSessionRevoked, onSessionRevoked } = require('./sessionManager');
 
 // ============================================
 // CONFIGURATION
@@ -35,6 +55,12 @@ const WS_CONFIG = {
     path: '/ws/notifications',
     maxPayloadSize: 64 * 1024,  // 64KB
 
+    // Upgrade auth, never from the URL: the session cookie, or a token offered
+    // as a "bearer.<jwt>" subprotocol next to the protocol the server answers with
+    protocol: 'asdf-notifications-v1',
+    tokenProtocolPrefix: 'bearer.',
+    authCookie: 'asdf_auth',  // JWT_COOKIE_NAME in api/index.js
+
     // Connection limits
     maxConnectionsPerWallet: 3,
     maxTotalConnections: 10000,
@@ -50,6 +76,21 @@ const WS_CONFIG = {
     // Reconnect backoff (Fibonacci)
     reconnectBackoff: [1000, 1000, 2000, 3000, 5000, 8000, 13000],
 
+    // Cluster: presence snapshot refresh and expiry (a dead node drops out)
+    presenceInterval: 5000,
+    presenceTtl: 21000,
+
+    // This process in the cluster
+    instanceId: crypto.randomUUID(),
+
+    // Replay buffer per channel: last messages kept, and how long an idle one lives (seconds)
+    replayBufferSize: 89,
+    replayTtl: 3600,
+
+    // SSE: browser reconnect delay, and the longest Last-Event-ID cursor read
+    streamRetry: 3000,
+    maxCursorLength: 4096,
+
     // Message types
     messageTypes: {
         // Client -> Server
@@ -57,13 +98,16 @@ const WS_CONFIG = {
         UNSUBSCRIBE: 'unsubscribe',
         PING: 'ping',
         ACK: 'ack',
+        RESUME: 'resume',
 
         // Server -> Client
         NOTIFICATION: 'notification',
         PONG: 'pong',
         ERROR: 'error',
         SUBSCRIBED: 'subscribed',
-        UNSUBSCRIBED: 'unsubscribed'
+        UNSUBSCRIBED: 'unsubscribed',
+        RESUMED: 'resumed',
+        RESYNC: 'resync'
     }
 };
 
@@ -86,6 +130,8 @@ const NOTIFICATION_TYPES = {
     BURN_CONFIRMED: 'burn_confirmed',
     WHALE_BURN: 'whale_burn',          // Large burn (>1M)
     LEADERBOARD_UPDATE: 'leaderboard_update',
+    TOURNAMENT_UPDATE: 'tournament_update',  // Standings / bracket changed
+    TOURNAMENT_MATCH: 'tournament_match',    // Your bracket match is open
 
     // System
     MAINTENANCE: 'maintenance',
@@ -100,15 +146,40 @@ const CHANNELS = {
     GLOBAL: 'global',         // All users
     BURNS: 'burns',           // Burn feed
     LEADERBOARD: 'leaderboard', // Leaderboard changes
+    TOURNAMENT: 'tournament', // tournament:<id> live standings
     EVENTS: 'events'          // System events
 };
 
+// Transports
+const TRANSPORTS = {
+    WS: 'websocket',
+    SSE: 'sse'
+};
+
+// Client messages accepted by POST for an SSE stream
+const STREAM_MESSAGE_TYPES = new Set([
+    WS_CONFIG.messageTypes.SUBSCRIBE,
+    WS_CONFIG.messageTypes.UNSUBSCRIBE,
+    WS_CONFIG.messageTypes.ACK,
+    WS_CONFIG.messageTypes.RESUME
+]);
+
 // ============================================
 // STATE
 // ============================================
 
 // WebSocket server instance
 let wss = null;
+let heartbeatTimer = null;
+
+// Cluster membership
+let storageOverride = null;
+let unsubscribeCluster = null;
+let presenceTimer = null;
+let startedAt = null;
+
+// Set by initialize(): revoked sessions lose their open connections
+let unsubscribeRevocations = null;
 
 // Connected clients by wallet
 const clientsByWallet = new Map();
@@ -122,6 +193,9 @@ const subscriptions = new Map();  // connectionId -> Set<channel>
 // Rate limiting
 const rateLimits = new Map();  // connectionId -> {count, windowStart}
 
+// Pending sends per channel, so this node sends them in sequence order
+const sequenceTails = new Map();  // channel -> Promise
+
 // Statistics
 const stats = {
     totalConnections: 0,
@@ -129,6 +203,11 @@ const stats = {
     messagesReceived: 0,
     messagesSent: 0,
     notificationsSent: 0,
+    relayed: 0,
+    remoteMessages: 0,
+    remoteDelivered: 0,
+    replayed: 0,
+    resyncs: 0,
     errors: 0
 };
 
@@ -137,16 +216,19 @@ const stats = {
 // ============================================
 
 /**
- * Initialize WebSocket server
+ * Initialize WebSocket server and join the cluster
  * @param {Object} server - HTTP server instance
+ * @param {Object} options - Options
+ * @param {MemoryAdapter|RedisAdapter} [options.storage] - Storage adapter (pub/sub + presence)
  * @returns {WebSocket.Server}
  */
-function initialize(server) {
+function initialize(server, options = {}) {
     wss = new WebSocket.Server({
         server,
         path: WS_CONFIG.path,
         maxPayload: WS_CONFIG.maxPayloadSize,
-        verifyClient: verifyClient
+        verifyClient: verifyClient,
+        handleProtocols: selectProtocol
     });
 
     wss.on('connection', handleConnection);
@@ -156,7 +238,14 @@ function initialize(server) {
     });
 
     // Start heartbeat checker
-    setInterval(checkHeartbeats, WS_CONFIG.heartbeatInterval);
+    heartbeatTimer = setInterval(checkHeartbeats, WS_CONFIG.heartbeatInterval);
+    heartbeatTimer.unref?.();
+
+    joinCluster(options);
+
+    if (!unsubscribeRevocations) {
+        unsubscribeRevocations = onSessionRevoked(closeSessionConnections);
+    }
 
     console.log(`[WS] Notification server initialized on ${WS_CONFIG.path}`);
 
@@ -165,6 +254,8 @@ function initialize(server) {
 
 /**
  * Verify client connection
+ * Same auth as openStream: the session cookie, else a bearer subprotocol.
+ * A ?token= in the URL is ignored (it would end up in access logs).
  * @param {Object} info - Connection info
  * @param {Function} callback - Verification callback
  */
@@ -175,9 +266,8 @@ function verifyClient(info, callback) {
         return;
     }
 
-    // Extract token from query string
-    const url = new URL(info.req.url, 'http://localhost');
-    const token = url.searchParams.get('token');
+    const token = readCookie(info.req.headers.cookie, WS_CONFIG.authCookie)
+        || readProtocolToken(info.req.headers['sec-websocket-protocol']);
 
     if (!token) {
         // Allow anonymous connections for global feed
@@ -185,14 +275,58 @@ function verifyClient(info, callback) {
         return;
     }
 
-    // Verify JWT (simplified - should use auth service)
-    try {
-        const decoded = verifyToken(token);
-        info.req.wallet = decoded.wallet;
-        callback(true);
-    } catch (error) {
-        callback(false, 401, 'Invalid token');
+    verifyToken(token).then(
+        (decoded) => {
+            info.req.wallet = decoded.wallet;
+            info.req.sessionId = decoded.sid || null;
+            callback(true);
+        },
+        () => callback(false, 401, 'Invalid token')
+    );
+}
+
+/**
+ * Answer with the service protocol, never echo the token subprotocol
+ * @param {Set<string>} protocols - Subprotocols the client offered
+ * @returns {string|false}
+ */
+function selectProtocol(protocols) {
+    return protocols.has(WS_CONFIG.protocol) ? WS_CONFIG.protocol : false;
+}
+
+/**
+ * Read a cookie from a Cookie header (upgrade requests skip cookie-parser)
+ * @param {string|undefined} header - Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+function readCookie(header, name) {
+    if (!header) return null;
+
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=');
+        if (index > 0 && pair.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(pair.slice(index + 1).trim()) || null;
+            } catch {
+                return null;
+            }
+        }
     }
+    return null;
+}
+
+/**
+ * Read the token offered as a bearer subprotocol
+ * @param {string|undefined} header - Sec-WebSocket-Protocol header
+ * @returns {string|null}
+ */
+function readProtocolToken(header) {
+    if (!header) return null;
+
+    const offered = header.split(',').map(protocol => protocol.trim())
+        .find(protocol => protocol.startsWith(WS_CONFIG.tokenProtocolPrefix));
+    return offered ? offered.slice(WS_CONFIG.tokenProtocolPrefix.length) || null : null;
 }
 
 /**
@@ -201,28 +335,61 @@ function verifyClient(info, callback) {
  * @param {Object} req - HTTP request
  */
 function handleConnection(ws, req) {
-    const connectionId = generateConnectionId();
-    const wallet = req.wallet || null;
+    const connectionId = openConnection({
+        transport: TRANSPORTS.WS,
+        ws,
+        wallet: req.wallet || null,
+        sessionId: req.sessionId || null
+    });
 
-    stats.totalConnections++;
-    stats.currentConnections++;
+    if (!connectionId) {
+        ws.close(4000, 'Too many connections');
+        return;
+    }
+
+    // Set up event handlers
+    ws.on('message', (data) => handleMessage(connectionId, data));
+    ws.on('close', () => handleClose(connectionId));
+    ws.on('error', (error) => handleError(connectionId, error));
+    ws.on('pong', () => handlePong(connectionId));
+}
+
+/**
+ * Register a connection (either transport) and welcome it
+ * @param {Object} options - Options
+ * @param {string} options.transport - TRANSPORTS value
+ * @param {WebSocket} [options.ws] - Socket (WebSocket transport)
+ * @param {Object} [options.res] - HTTP response (SSE transport)
+ * @param {string|null} options.wallet - Authenticated wallet
+ * @param {string|null} [options.sessionId] - Session the wallet's token belongs to
+ * @param {string[]} [options.channels] - Extra channels to join before the welcome
+ * @returns {string|null} Connection ID, null if the wallet has too many connections
+ */
+function openConnection({ transport, ws = null, res = null, wallet, sessionId = null, channels = [] }) {
+    const connectionId = generateConnectionId();
 
     // Check per-wallet limit
     if (wallet) {
         const walletConnections = clientsByWallet.get(wallet) || new Set();
         if (walletConnections.size >= WS_CONFIG.maxConnectionsPerWallet) {
-            ws.close(4000, 'Too many connections');
-            return;
+            return null;
         }
         walletConnections.add(connectionId);
         clientsByWallet.set(wallet, walletConnections);
     }
 
+    stats.totalConnections++;
+    stats.currentConnections++;
+
     // Store connection
     const connection = {
         id: connectionId,
+        transport,
         ws,
+        res,
+        cursor: new Map(),  // SSE: last seq sent per channel (event id)
         wallet,
+        sessionId,
         subscriptions: new Set(),
         lastHeartbeat: Date.now(),
         connectedAt: Date.now(),
@@ -241,24 +408,31 @@ function handleConnection(ws, req) {
         subscribe(connectionId, `${CHANNELS.PERSONAL}:${wallet}`);
     }
 
-    // Set up event handlers
-    ws.on('message', (data) => handleMessage(connectionId, data));
-    ws.on('close', () => handleClose(connectionId));
-    ws.on('error', (error) => handleError(connectionId, error));
-    ws.on('pong', () => handlePong(connectionId));
+    // Channels asked for up front (SSE), with the same checks as a subscribe
+    for (const channel of channels) {
+        if (!checkSubscription(connectionId, channel)) {
+            subscribe(connectionId, channel);
+        }
+    }
 
     // Send welcome message
     sendToConnection(connectionId, {
         type: 'connected',
         connectionId,
+        transport,
         authenticated: !!wallet,
         channels: Array.from(subscriptions.get(connectionId))
     });
 
+    updatePresence();
+
     logAudit('ws_connected', {
         connectionId,
+        transport,
         wallet: wallet ? wallet.slice(0, 8) + '...' : 'anonymous'
     });
+
+    return connectionId;
 }
 
 /**
@@ -305,6 +479,10 @@ function handleMessage(connectionId, data) {
             handleAck(connectionId, message);
             break;
 
+        case WS_CONFIG.messageTypes.RESUME:
+            handleResume(connectionId, message);
+            break;
+
         default:
             sendError(connectionId, 'Unknown message type');
     }
@@ -317,35 +495,49 @@ function handleMessage(connectionId, data) {
  */
 function handleSubscribe(connectionId, message) {
     const { channel } = message;
-    const connection = connections.get(connectionId);
 
-    if (!channel) {
-        sendError(connectionId, 'Channel required');
+    const rejection = checkSubscription(connectionId, channel);
+    if (rejection) {
+        sendError(connectionId, rejection.error, rejection.code);
         return;
     }
 
+    subscribe(connectionId, channel);
+
+    sendToConnection(connectionId, {
+        type: WS_CONFIG.messageTypes.SUBSCRIBED,
+        channel
+    });
+}
+
+/**
+ * Check whether a connection may join a channel
+ * @param {string} connectionId - Connection ID
+ * @param {string} channel - Channel name
+ * @returns {{error: string, code: number}|null} Null if allowed
+ */
+function checkSubscription(connectionId, channel) {
+    const connection = connections.get(connectionId);
+
+    if (!channel || typeof channel !== 'string') {
+        return { error: 'Channel required', code: 400 };
+    }
+
     // Check subscription limit
     const subs = subscriptions.get(connectionId);
     if (subs.size >= WS_CONFIG.maxSubscriptionsPerConnection) {
-        sendError(connectionId, 'Subscription limit reached');
-        return;
+        return { error: 'Subscription limit reached', code: 400 };
     }
 
     // Validate channel access
     if (channel.startsWith(`${CHANNELS.PERSONAL}:`)) {
         const channelWallet = channel.split(':')[1];
         if (connection.wallet !== channelWallet) {
-            sendError(connectionId, 'Unauthorized channel', 403);
-            return;
+            return { error: 'Unauthorized channel', code: 403 };
         }
     }
 
-    subscribe(connectionId, channel);
-
-    sendToConnection(connectionId, {
-        type: WS_CONFIG.messageTypes.SUBSCRIBED,
-        channel
-    });
+    return null;
 }
 
 /**
@@ -384,6 +576,40 @@ function handleAck(connectionId, message) {
     }
 }
 
+/**
+ * Handle resume request (last seq seen per channel, after a reconnect)
+ * @param {string} connectionId - Connection ID
+ * @param {Object} message - Resume message { channels: { [channel]: seq } }
+ */
+function handleResume(connectionId, message) {
+    const { channels } = message;
+
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+        sendError(connectionId, 'Channels required');
+        return;
+    }
+
+    const subs = subscriptions.get(connectionId);
+    const entries = Object.entries(channels).slice(0, WS_CONFIG.maxSubscriptionsPerConnection);
+
+    for (const [channel, lastSeq] of entries) {
+        // Only channels this connection was allowed to subscribe to
+        if (!subs || !subs.has(channel)) {
+            sendError(connectionId, 'Not subscribed', 403);
+            continue;
+        }
+        if (!Number.isSafeInteger(lastSeq) || lastSeq < 0) {
+            sendError(connectionId, 'Invalid sequence');
+            continue;
+        }
+
+        replayChannel(connectionId, channel, lastSeq).catch(error => {
+            stats.errors++;
+            console.error('[WS] Failed to replay channel:', error.message);
+        });
+    }
+}
+
 /**
  * Handle connection close
  * @param {string} connectionId - Connection ID
@@ -410,12 +636,31 @@ function handleClose(connectionId) {
     rateLimits.delete(connectionId);
     connections.delete(connectionId);
 
+    updatePresence();
+
     logAudit('ws_disconnected', {
         connectionId,
         duration: Date.now() - connection.connectedAt
     });
 }
 
+/**
+ * Close the connections opened with a revoked session's tokens
+ * @param {string} sessionId - Session ID
+ */
+function closeSessionConnections(sessionId) {
+    for (const [connectionId, connection] of connections) {
+        if (connection.sessionId !== sessionId) continue;
+
+        if (connection.transport === TRANSPORTS.SSE) {
+            connection.res.end();
+        } else {
+            connection.ws.close(4001, 'Session revoked');
+        }
+        handleClose(connectionId);
+    }
+}
+
 /**
  * Handle connection error
  * @param {string} connectionId - Connection ID
@@ -482,15 +727,525 @@ function getChannelSubscribers(channel) {
     return subscribers;
 }
 
+// ============================================
+// SERVER-SENT EVENTS
+// ============================================
+
+/**
+ * Serve realtime channels as Server-Sent Events
+ * Same channel model, auth and limits as the WebSocket; resumes from the
+ * Last-Event-ID header (browser reconnect) or ?lastEventId= (new stream).
+ * @param {Object} req - HTTP request (?channels=a,b)
+ * @param {Object} res - HTTP response
+ * @param {Object} options - Options
+ * @param {string|null} [options.token] - JWT from the session cookie or an
+ *   Authorization header, never the URL (it would end up in access logs)
+ * @returns {Promise<string|null>} Connection ID, null if refused
+ */
+async function openStream(req, res, options = {}) {
+    if (connections.size >= WS_CONFIG.maxTotalConnections) {
+        res.status(503).json({ error: 'Server at capacity' });
+        return null;
+    }
+
+    let wallet = null;
+    let sessionId = null;
+    if (options.token) {
+        try {
+            const decoded = await verifyToken(options.token);
+            wallet = decoded.wallet || null;
+            sessionId = decoded.sid || null;
+        } catch {
+            res.status(401).json({ error: 'Invalid token' });
+            return null;
+        }
+
+        // Gone while the session was checked
+        if (res.destroyed) return null;
+    }
+
+    if (wallet && (clientsByWallet.get(wallet)?.size || 0) >= WS_CONFIG.maxConnectionsPerWallet) {
+        res.status(429).json({ error: 'Too many connections' });
+        return null;
+    }
+
+    // The stream stays open: no request timeout, nothing buffered on the way
+    req.setTimeout(0);
+    res.setTimeout(0);
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${WS_CONFIG.streamRetry}\n\n`);
+
+    const requested = typeof req.query?.channels === 'string'
+        ? req.query.channels.split(',').map(c => c.trim()).filter(Boolean)
+        : [];
+
+    const connectionId = openConnection({
+        transport: TRANSPORTS.SSE,
+        res,
+        wallet,
+        sessionId,
+        channels: requested.slice(0, WS_CONFIG.maxSubscriptionsPerConnection)
+    });
+
+    req.on('close', () => handleClose(connectionId));
+
+    // Replay what the previous stream missed on the channels joined again
+    const cursor = parseCursor(req.headers['last-event-id'] || req.query?.lastEventId);
+    const subs = subscriptions.get(connectionId);
+    const resume = Object.fromEntries(Array.from(cursor).filter(([channel]) => subs.has(channel)));
+    if (Object.keys(resume).length > 0) {
+        handleResume(connectionId, { channels: resume });
+    }
+
+    return connectionId;
+}
+
+/**
+ * Take a client message posted for an SSE stream
+ * @param {string} connectionId - Stream connection ID
+ * @param {Object} message - Same shape as over the WebSocket
+ * @param {string|null} wallet - Wallet authenticated on the POST
+ * @returns {boolean} False if the message type is not accepted
+ */
+function postToStream(connectionId, message, wallet = null) {
+    if (!message || typeof message !== 'object' || !STREAM_MESSAGE_TYPES.has(message.type)) {
+        return false;
+    }
+
+    const post = { connectionId, message, wallet };
+
+    // The stream may be held by another node
+    if (!applyStreamMessage(post) && unsubscribeCluster) {
+        getRealtimeStorage()
+            .publish(keys.pubsub.realtime, { origin: WS_CONFIG.instanceId, stream: post })
+            .catch(error => {
+                stats.errors++;
+                console.error('[WS] Failed to forward stream message:', error.message);
+            });
+    }
+
+    return true;
+}
+
+/**
+ * Apply a posted message if the stream is held here
+ * @param {Object} post - { connectionId, message, wallet }
+ * @returns {boolean} True if the stream is held here
+ */
+function applyStreamMessage({ connectionId, message, wallet }) {
+    const connection = connections.get(connectionId);
+    if (!connection || connection.transport !== TRANSPORTS.SSE) return false;
+
+    // An authenticated stream only takes messages from its own wallet
+    if (connection.wallet && connection.wallet !== wallet) return true;
+    if (!message || !STREAM_MESSAGE_TYPES.has(message.type)) return true;
+
+    handleMessage(connectionId, JSON.stringify(message));
+    return true;
+}
+
+/**
+ * Write one message to an SSE stream
+ * @param {Object} connection - SSE connection
+ * @param {Object} message - Message to send
+ * @returns {boolean}
+ */
+function writeEvent(connection, message) {
+    if (connection.res.writableEnded) return false;
+
+    // Sequenced messages (and resyncs) move the stream's cursor
+    const position = message.type === WS_CONFIG.messageTypes.RESYNC
+        ? [message.channel, message.seq]
+        : [message.seqChannel, message.seq];
+
+    let frame = '';
+    if (typeof position[0] === 'string' && Number.isSafeInteger(position[1])) {
+        connection.cursor.set(position[0], position[1]);
+        frame += `id: ${formatCursor(connection.cursor)}\n`;
+    }
+    frame += `data: ${JSON.stringify(message)}\n\n`;
+
+    connection.res.write(frame);
+    connection.res.flush?.();
+    return true;
+}
+
+/**
+ * Cursor (last seq per channel) as an event id
+ * @param {Map<string, number>} cursor - Channel -> seq
+ * @returns {string}
+ */
+function formatCursor(cursor) {
+    return new URLSearchParams(Array.from(cursor, ([channel, seq]) => [channel, String(seq)])).toString();
+}
+
+/**
+ * Read an event id back into a cursor (invalid entries are dropped)
+ * @param {string} value - Last-Event-ID
+ * @returns {Map<string, number>}
+ */
+function parseCursor(value) {
+    const cursor = new Map();
+    if (typeof value !== 'string' || value.length > WS_CONFIG.maxCursorLength) return cursor;
+
+    for (const [channel, raw] of new URLSearchParams(value)) {
+        const seq = Number(raw);
+        if (channel && /^\d+$/.test(raw) && Number.isSafeInteger(seq)) {
+            cursor.set(channel, seq);
+        }
+        if (cursor.size >= WS_CONFIG.maxSubscriptionsPerConnection) break;
+    }
+
+    return cursor;
+}
+
+// ============================================
+// CLUSTER
+// ============================================
+
+/**
+ * Storage for pub/sub, presence, sequences and replay buffers
+ * @returns {MemoryAdapter|RedisAdapter} The setStorage() adapter, else the shared one
+ */
+function getRealtimeStorage() {
+    return storageOverride || getStorage();
+}
+
+/**
+ * Use a specific storage adapter (tests, or a dedicated Redis)
+ * @param {MemoryAdapter|RedisAdapter|null} adapter - Adapter, or null for getStorage()
+ */
+function setStorage(adapter) {
+    storageOverride = adapter;
+}
+
+/**
+ * Hand a channel message to the other nodes
+ * @param {string} channel - Channel name
+ * @param {Object} message - Message to send
+ */
+function relay(channel, message) {
+    // Single node until initialize() joined the cluster
+    if (!unsubscribeCluster) return;
+
+    stats.relayed++;
+    getRealtimeStorage()
+        .publish(keys.pubsub.realtime, { origin: WS_CONFIG.instanceId, channel, message })
+        .catch(error => {
+            stats.errors++;
+            console.error('[WS] Failed to relay message:', error.message);
+        });
+}
+
+/**
+ * Deliver a message relayed by another node to this node's sockets
+ * @param {string} raw - Serialized { origin, channel, message }
+ */
+function handleRemoteMessage(raw) {
+    let envelope;
+    try {
+        envelope = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch {
+        return;
+    }
+
+    if (!envelope || envelope.origin === WS_CONFIG.instanceId) return;
+
+    // A stream message posted to another node, for a stream we may hold
+    if (envelope.stream && typeof envelope.stream === 'object') {
+        applyStreamMessage(envelope.stream);
+        return;
+    }
+
+    if (typeof envelope.channel !== 'string' || !envelope.message || typeof envelope.message !== 'object') {
+        return;
+    }
+
+    stats.remoteMessages++;
+    const sent = deliverLocal(envelope.channel, envelope.message);
+    stats.remoteDelivered += sent;
+}
+
+/**
+ * This node's connections, as stored for the rest of the cluster
+ * @returns {Object}
+ */
+function buildPresence() {
+    const wallets = {};
+    for (const [wallet, walletConnections] of clientsByWallet.entries()) {
+        wallets[wallet] = walletConnections.size;
+    }
+
+    return {
+        instanceId: WS_CONFIG.instanceId,
+        connections: connections.size,
+        authenticated: Array.from(connections.values()).filter(c => c.wallet).length,
+        uniqueWallets: clientsByWallet.size,
+        subscriptions: Array.from(subscriptions.values()).reduce((sum, subs) => sum + subs.size, 0),
+        wallets,
+        startedAt,
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Store this node's presence snapshot (refreshes its expiry)
+ * @returns {Promise<void>}
+ */
+async function writePresence() {
+    const storage = getRealtimeStorage();
+    await storage.set(keys.realtime.node(WS_CONFIG.instanceId), buildPresence(), {
+        ttl: WS_CONFIG.presenceTtl
+    });
+    await storage.sadd(keys.realtime.nodes, WS_CONFIG.instanceId);
+}
+
+/**
+ * Refresh presence after a connect / disconnect (never throws)
+ */
+function updatePresence() {
+    if (!unsubscribeCluster) return;
+
+    writePresence().catch(error => {
+        console.error('[WS] Failed to store presence:', error.message);
+    });
+}
+
+/**
+ * Follow messages from the other nodes and advertise this one
+ * @param {Object} options - Options
+ * @param {MemoryAdapter|RedisAdapter} [options.storage] - Storage adapter
+ */
+function joinCluster(options = {}) {
+    if (options.storage) {
+        setStorage(options.storage);
+    }
+    if (unsubscribeCluster) return;
+
+    startedAt = Date.now();
+    unsubscribeCluster = getRealtimeStorage().subscribe(keys.pubsub.realtime, handleRemoteMessage);
+
+    updatePresence();
+    presenceTimer = setInterval(updatePresence, WS_CONFIG.presenceInterval);
+    presenceTimer.unref?.();
+}
+
+/**
+ * Stop relaying and remove this node's presence
+ * @returns {Promise<void>}
+ */
+async function leaveCluster() {
+    if (!unsubscribeCluster) return;
+
+    clearInterval(presenceTimer);
+    presenceTimer = null;
+    unsubscribeCluster();
+    unsubscribeCluster = null;
+
+    const storage = getRealtimeStorage();
+    try {
+        await storage.del(keys.realtime.node(WS_CONFIG.instanceId));
+        await storage.srem(keys.realtime.nodes, WS_CONFIG.instanceId);
+    } catch (error) {
+        console.error('[WS] Failed to clear presence:', error.message);
+    }
+}
+
+/**
+ * Presence snapshots of every live node (expired nodes are pruned)
+ * @returns {Promise<Object[]>}
+ */
+async function loadNodes() {
+    const storage = getRealtimeStorage();
+    const members = new Set(await storage.smembers(keys.realtime.nodes));
+    const nodes = [];
+
+    // This node is counted live, even before its first snapshot lands
+    if (unsubscribeCluster) {
+        members.delete(WS_CONFIG.instanceId);
+        nodes.push(buildPresence());
+    }
+
+    for (const instanceId of members) {
+        const node = await storage.get(keys.realtime.node(instanceId));
+
+        if (node) {
+            nodes.push(node);
+        } else {
+            await storage.srem(keys.realtime.nodes, instanceId);
+        }
+    }
+
+    return nodes;
+}
+
+/**
+ * Connections across the cluster, per node and in total
+ * @returns {Promise<Object>}
+ */
+async function getClusterPresence() {
+    const nodes = await loadNodes();
+    const wallets = new Set();
+    const totals = { nodes: nodes.length, connections: 0, authenticated: 0, uniqueWallets: 0, subscriptions: 0 };
+
+    for (const node of nodes) {
+        totals.connections += node.connections;
+        totals.authenticated += node.authenticated;
+        totals.subscriptions += node.subscriptions;
+        Object.keys(node.wallets || {}).forEach(wallet => wallets.add(wallet));
+    }
+    totals.uniqueWallets = wallets.size;
+
+    return {
+        instanceId: WS_CONFIG.instanceId,
+        nodes: nodes
+            .map(({ wallets: _wallets, ...node }) => ({ ...node, local: node.instanceId === WS_CONFIG.instanceId }))
+            .sort((a, b) => a.startedAt - b.startedAt),
+        totals
+    };
+}
+
+/**
+ * Where a wallet is connected across the cluster
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<{online: boolean, connections: number, nodes: string[]}>}
+ */
+async function getWalletPresence(wallet) {
+    const result = { online: false, connections: 0, nodes: [] };
+
+    for (const node of await loadNodes()) {
+        const count = node.wallets?.[wallet] || 0;
+        if (count > 0) {
+            result.connections += count;
+            result.nodes.push(node.instanceId);
+        }
+    }
+    result.online = result.connections > 0;
+
+    return result;
+}
+
+// ============================================
+// SEQUENCING & REPLAY
+// ============================================
+
+/**
+ * Take the channel's seq and append to its replay buffer in one step, so
+ * two nodes sending on a channel can't leave the buffer out of seq order
+ * KEYS: sequence counter, replay buffer
+ * ARGV: serialized message without its closing brace, buffer size, ttl (s)
+ * Returns: seq
+ */
+const SEQUENCE_SCRIPT = `
+    local seq = redis.call('INCR', KEYS[1])
+    redis.call('RPUSH', KEYS[2], ARGV[1] .. ',"seq":' .. seq .. '}')
+    redis.call('LTRIM', KEYS[2], -tonumber(ARGV[2]), -1)
+    redis.call('EXPIRE', KEYS[2], ARGV[3])
+    return seq
+`;
+
+/**
+ * Take the channel's next seq and keep the message in its replay buffer
+ * @param {string} channel - Channel name
+ * @param {Object} message - Message to send
+ * @returns {Promise<Object>} Message with seq and seqChannel
+ */
+async function sequenceMessage(channel, message) {
+    const storage = getRealtimeStorage();
+    const sequenceKey = keys.realtime.sequence(channel);
+    const bufferKey = keys.realtime.replay(channel);
+
+    if (storage instanceof RedisAdapter && storage.isConnected) {
+        const body = { ...message, seqChannel: channel };
+        const seq = await storage.eval(
+            SEQUENCE_SCRIPT,
+            [sequenceKey, bufferKey],
+            ['j:' + JSON.stringify(body).slice(0, -1), WS_CONFIG.replayBufferSize, WS_CONFIG.replayTtl]
+        );
+        return { ...body, seq: Number(seq) };
+    }
+
+    // Memory storage: instances sharing it may interleave, replay re-sorts
+    const seq = await storage.incr(sequenceKey);
+    const stamped = { ...message, seq, seqChannel: channel };
+
+    await storage.rpush(bufferKey, stamped);
+    await storage.ltrim(bufferKey, -WS_CONFIG.replayBufferSize, -1);
+    await storage.expire(bufferKey, WS_CONFIG.replayTtl);
+
+    return stamped;
+}
+
+/**
+ * Buffered entries after lastSeq, in seq order with one entry per seq
+ * (buffers written before appends were atomic may hold them out of order)
+ * @param {Object[]} entries - Replay buffer contents
+ * @param {number} lastSeq - Last seq the client saw
+ * @returns {Object[]}
+ */
+function orderBySeq(entries, lastSeq) {
+    const bySeq = new Map();
+    for (const entry of entries) {
+        if (entry && entry.seq > lastSeq && !bySeq.has(entry.seq)) {
+            bySeq.set(entry.seq, entry);
+        }
+    }
+    return [...bySeq.values()].sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Send a connection what it missed on a channel since lastSeq, or a resync
+ * @param {string} connectionId - Connection ID
+ * @param {string} channel - Channel name
+ * @param {number} lastSeq - Last seq the client saw
+ * @returns {Promise<void>}
+ */
+async function replayChannel(connectionId, channel, lastSeq) {
+    const storage = getRealtimeStorage();
+    const current = (await storage.get(keys.realtime.sequence(channel))) || 0;
+
+    const missed = lastSeq < current
+        ? orderBySeq(await storage.lrange(keys.realtime.replay(channel), 0, -1), lastSeq)
+        : [];
+
+    // Ahead of the counter (storage reset), or the buffer no longer reaches back
+    if (lastSeq > current || (lastSeq < current && missed[0]?.seq !== lastSeq + 1)) {
+        stats.resyncs++;
+        sendToConnection(connectionId, {
+            type: WS_CONFIG.messageTypes.RESYNC,
+            channel,
+            seq: current
+        });
+        return;
+    }
+
+    for (const entry of missed) {
+        sendToConnection(connectionId, entry);
+    }
+    stats.replayed += missed.length;
+
+    sendToConnection(connectionId, {
+        type: WS_CONFIG.messageTypes.RESUMED,
+        channel,
+        seq: current,
+        replayed: missed.length
+    });
+}
+
 // ============================================
 // NOTIFICATION DISPATCH
 // ============================================
 
 /**
- * Send notification to a specific wallet
+ * Send notification to a specific wallet, on whichever node it is connected
  * @param {string} wallet - Target wallet
  * @param {Object} notification - Notification data
- * @returns {number} Number of connections notified
+ * @returns {Promise<number>} Number of connections notified on this node
  */
 function notifyWallet(wallet, notification) {
     const enrichedNotification = enrichNotification(notification);
@@ -507,12 +1262,53 @@ function notifyWallet(wallet, notification) {
 }
 
 /**
- * Broadcast to a channel
+ * Broadcast to a channel on every node, sequenced and kept for replay
  * @param {string} channel - Channel name
  * @param {Object} message - Message to send
- * @returns {number} Number of connections sent to
+ * @returns {Promise<number>} Number of connections sent to on this node
  */
 function broadcastToChannel(channel, message) {
+    const previous = sequenceTails.get(channel) || Promise.resolve();
+    const tail = previous.then(() => publishSequenced(channel, message));
+
+    sequenceTails.set(channel, tail);
+    tail.then(() => {
+        if (sequenceTails.get(channel) === tail) {
+            sequenceTails.delete(channel);
+        }
+    });
+
+    return tail;
+}
+
+/**
+ * Stamp, deliver and relay one message (never throws)
+ * @param {string} channel - Channel name
+ * @param {Object} message - Message to send
+ * @returns {Promise<number>} Number of connections sent to on this node
+ */
+async function publishSequenced(channel, message) {
+    let stamped = message;
+    try {
+        stamped = await sequenceMessage(channel, message);
+    } catch (error) {
+        // Still deliver live; clients resync when they notice the gap
+        stats.errors++;
+        console.error('[WS] Failed to sequence message:', error.message);
+    }
+
+    const sent = deliverLocal(channel, stamped);
+    relay(channel, stamped);
+    return sent;
+}
+
+/**
+ * Send to this node's subscribers of a channel
+ * @param {string} channel - Channel name
+ * @param {Object} message - Message to send
+ * @returns {number} Number of connections sent to
+ */
+function deliverLocal(channel, message) {
     const subscribers = getChannelSubscribers(channel);
     let sent = 0;
 
@@ -529,7 +1325,7 @@ function broadcastToChannel(channel, message) {
 /**
  * Broadcast to all connections
  * @param {Object} message - Message to send
- * @returns {number}
+ * @returns {Promise<number>}
  */
 function broadcastToAll(message) {
     return broadcastToChannel(CHANNELS.GLOBAL, message);
@@ -645,6 +1441,22 @@ function notifyLeaderboardUpdate(leaderboardType, topPlayers) {
     });
 }
 
+/**
+ * Send a tournament's live standings or bracket to its spectators
+ * @param {string} tournamentId - Tournament ID
+ * @param {Object} update - { kind: 'standings'|'match'|'status', ... }
+ * @returns {Promise<number>} Number of connections sent to on this node
+ */
+function notifyTournamentUpdate(tournamentId, update) {
+    return broadcastToChannel(`${CHANNELS.TOURNAMENT}:${tournamentId}`, {
+        type: WS_CONFIG.messageTypes.NOTIFICATION,
+        notification: enrichNotification({
+            type: NOTIFICATION_TYPES.TOURNAMENT_UPDATE,
+            data: { tournamentId, ...update }
+        })
+    });
+}
+
 /**
  * Send system announcement
  * @param {Object} announcement - Announcement data
@@ -670,7 +1482,7 @@ function notifyAnnouncement(announcement) {
  * @param {Object} notification - Notification data
  */
 async function storeNotification(wallet, notification) {
-    const storage = getStorage();
+    const storage = getRealtimeStorage();
     const listKey = keys.notificationList(wallet);
     const unreadKey = keys.notificationUnread(wallet);
 
@@ -695,7 +1507,7 @@ async function storeNotification(wallet, notification) {
  */
 async function getNotificationHistory(wallet, options = {}) {
     const { limit = 50, offset = 0 } = options;
-    const storage = getStorage();
+    const storage = getRealtimeStorage();
     const listKey = keys.notificationList(wallet);
     const unreadKey = keys.notificationUnread(wallet);
 
@@ -717,7 +1529,7 @@ async function getNotificationHistory(wallet, options = {}) {
  * @param {string} notificationId - Notification ID
  */
 async function markNotificationRead(wallet, notificationId) {
-    const storage = getStorage();
+    const storage = getRealtimeStorage();
     const unreadKey = keys.notificationUnread(wallet);
 
     const current = await storage.get(unreadKey) || 0;
@@ -731,7 +1543,7 @@ async function markNotificationRead(wallet, notificationId) {
  * @param {string} wallet - Wallet address
  */
 async function markAllRead(wallet) {
-    const storage = getStorage();
+    const storage = getRealtimeStorage();
     const unreadKey = keys.notificationUnread(wallet);
     await storage.set(unreadKey, 0);
 }
@@ -741,7 +1553,7 @@ async function markAllRead(wallet) {
  * @param {string} wallet - Wallet address
  */
 async function clearHistory(wallet) {
-    const storage = getStorage();
+    const storage = getRealtimeStorage();
     await storage.del(keys.notificationList(wallet));
     await storage.del(keys.notificationUnread(wallet));
 }
@@ -758,12 +1570,19 @@ async function clearHistory(wallet) {
  */
 function sendToConnection(connectionId, message) {
     const connection = connections.get(connectionId);
-    if (!connection || connection.ws.readyState !== WebSocket.OPEN) {
+    if (!connection) {
+        return false;
+    }
+    if (connection.transport === TRANSPORTS.WS && connection.ws.readyState !== WebSocket.OPEN) {
         return false;
     }
 
     try {
-        connection.ws.send(JSON.stringify(message));
+        if (connection.transport === TRANSPORTS.SSE) {
+            if (!writeEvent(connection, message)) return false;
+        } else {
+            connection.ws.send(JSON.stringify(message));
+        }
         connection.messagesSent++;
         stats.messagesSent++;
         return true;
@@ -818,18 +1637,24 @@ function generateNotificationId() {
 }
 
 /**
- * Verify JWT token (simplified)
+ * Verify JWT token, with the session checks auth.verifyAccessToken applies
  * @param {string} token - JWT token
- * @returns {Object}
+ * @returns {Promise<Object>} Payload
+ * @throws {Error} If invalid, expired or its session was revoked
  */
-function verifyToken(token) {
+async function verifyToken(token) {
     const jwt = require('jsonwebtoken');
     const secret = process.env.JWT_SECRET;
     if (!secret) {
         console.error('[RealtimeNotifications] CRITICAL: JWT_SECRET not configured');
         throw new Error('Authentication not configured');
     }
-    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+
+    const payload = jwt.verify(token, secret, { algorithms: ['HS256'] });
+    if (payload.sid && (await checkSessionRevoked(payload.sid))) {
+        throw new Error('Session has been revoked');
+    }
+    return payload;
 }
 
 /**
@@ -858,6 +1683,15 @@ function checkHeartbeats() {
     const timeout = WS_CONFIG.heartbeatTimeout;
 
     for (const [connectionId, connection] of connections.entries()) {
+        // SSE: a comment line keeps proxies from closing an idle stream
+        if (connection.transport === TRANSPORTS.SSE) {
+            if (!connection.res.writableEnded) {
+                connection.res.write(': ping\n\n');
+                connection.res.flush?.();
+            }
+            continue;
+        }
+
         if (now - connection.lastHeartbeat > timeout) {
             // Send ping
             if (connection.ws.readyState === WebSocket.OPEN) {
@@ -883,8 +1717,12 @@ function checkHeartbeats() {
 function getStats() {
     return {
         ...stats,
+        instanceId: WS_CONFIG.instanceId,
+        clustered: unsubscribeCluster !== null,
         activeConnections: connections.size,
         authenticatedConnections: Array.from(connections.values()).filter(c => c.wallet).length,
+        streamConnections: Array.from(connections.values())
+            .filter(c => c.transport === TRANSPORTS.SSE).length,
         uniqueWallets: clientsByWallet.size,
         totalSubscriptions: Array.from(subscriptions.values())
             .reduce((sum, subs) => sum + subs.size, 0)
@@ -921,16 +1759,35 @@ function getConnectionInfo(wallet) {
 }
 
 /**
- * Shutdown WebSocket server
+ * Shutdown WebSocket server and leave the cluster
+ * @returns {Promise<void>}
  */
-function shutdown() {
-    if (!wss) return;
+async function shutdown() {
+    if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+
+    if (unsubscribeRevocations) {
+        unsubscribeRevocations();
+        unsubscribeRevocations = null;
+    }
+
+    // Let sequenced sends in flight reach their buffers and the other nodes
+    await Promise.all(sequenceTails.values());
+    await leaveCluster();
 
     // Close all connections gracefully
     for (const connection of connections.values()) {
-        connection.ws.close(1001, 'Server shutting down');
+        if (connection.transport === TRANSPORTS.SSE) {
+            connection.res.end();
+        } else {
+            connection.ws.close(1001, 'Server shutting down');
+        }
     }
 
+    if (!wss) return;
+
     wss.close();
     wss = null;
 
@@ -953,12 +1810,22 @@ module.exports = {
     notifyLevelUp,
     notifyRankChange,
     notifyLeaderboardUpdate,
+    notifyTournamentUpdate,
     notifyAnnouncement,
 
     // Broadcast
     broadcastToChannel,
     broadcastToAll,
 
+    // Server-Sent Events
+    openStream,
+    postToStream,
+
+    // Cluster
+    setStorage,
+    getClusterPresence,
+    getWalletPresence,
+
     // History
     getNotificationHistory,
     markNotificationRead,
@@ -972,5 +1839,6 @@ module.exports = {
     // Types
     NOTIFICATION_TYPES,
     CHANNELS,
+    TRANSPORTS,
     WS_CONFIG
 };
@@ -18,6 +18,7 @@
 
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
+const { defineRepository } = require('./database');
 
 // ============================================
 // CONFIGURATION
@@ -70,6 +71,81 @@ const referralRelations = new Map();
 // Daily referral counts for anti-fraud
 const dailyReferralCounts = new Map();
 
+// Stored forms (activity since startup was already written back, so it wins)
+// Several instances update one wallet, so writes merge into the stored records
+const accountRepository = defineRepository('referralAccounts', {
+    hydrate(entries) {
+        for (const [wallet, data] of entries) {
+            if (referralData.has(wallet)) continue;
+            referralData.set(wallet, data);
+            codeToWallet.set(data.code, wallet);
+        }
+    },
+    merge: mergeAccount,
+    merged(wallet, stored, written) {
+        // Fold in other instances' referrals, keeping changes made during the write
+        const current = referralData.get(wallet);
+        const data = current ? mergeAccount(stored, written, current) : stored;
+        referralData.set(wallet, data);
+        codeToWallet.set(data.code, wallet);
+    }
+});
+
+// referee -> { referrer }: the first referral stored wins
+const relationRepository = defineRepository('referralRelations', {
+    owner: relation => relation.referrer,
+    hydrate(entries) {
+        for (const [referee, relation] of entries) {
+            if (!referralRelations.has(referee)) {
+                referralRelations.set(referee, relation.referrer);
+            }
+        }
+    },
+    merge: stored => stored,
+    merged(referee, stored) {
+        referralRelations.set(referee, stored.referrer);
+    }
+});
+
+// wallet:date -> { count }: every instance's referrals add up
+const dailyCountRepository = defineRepository('referralDailyCounts', {
+    hydrate(entries) {
+        for (const [key, { count }] of entries) {
+            if (!dailyReferralCounts.has(key)) {
+                dailyReferralCounts.set(key, count);
+            }
+        }
+    },
+    merge: (stored, base, record) => ({ count: stored.count + record.count - (base?.count || 0) }),
+    merged(key, stored, written) {
+        const count = dailyReferralCounts.get(key) || 0;
+        dailyReferralCounts.set(key, stored.count + count - written.count);
+    }
+});
+
+/**
+ * Fold the changes made to a referral account since base into the stored one
+ * The stored code stays, referrals and claimed milestones are united and
+ * totals add up.
+ * @param {Object} stored - Stored account
+ * @param {Object|null} base - Account the changes started from
+ * @param {Object} data - Changed account
+ * @returns {Object}
+ */
+function mergeAccount(stored, base, data) {
+    const since = base || { totalReferrals: 0, totalXPEarned: 0 };
+    const known = new Set(stored.referrals.map(referral => referral.wallet));
+
+    return {
+        ...stored,
+        referrals: [...stored.referrals, ...data.referrals.filter(referral => !known.has(referral.wallet))],
+        totalReferrals: stored.totalReferrals + data.totalReferrals - since.totalReferrals,
+        totalXPEarned: stored.totalXPEarned + data.totalXPEarned - since.totalXPEarned,
+        lastReferralAt: Math.max(stored.lastReferralAt || 0, data.lastReferralAt || 0) || null,
+        milestonesClaimed: Array.from(new Set([...stored.milestonesClaimed, ...data.milestonesClaimed]))
+    };
+}
+
 // ============================================
 // CODE MANAGEMENT
 // ============================================
@@ -103,6 +179,7 @@ function getOrCreateReferralCode(wallet) {
 
     referralData.set(wallet, data);
     codeToWallet.set(code, wallet);
+    accountRepository.persist(wallet, () => referralData.get(wallet));
 
     logAudit('referral_code_created', {
         wallet: wallet.slice(0, 8) + '...',
@@ -245,6 +322,8 @@ function processReferral(refereeWallet, code, options = {}) {
 
     // Record relation
     referralRelations.set(refereeWallet, referrerWallet);
+    accountRepository.persist(referrerWallet, () => referralData.get(referrerWallet));
+    relationRepository.persist(refereeWallet, { referrer: referrerWallet });
 
     // Update daily count
     incrementDailyCount(referrerWallet);
@@ -319,6 +398,7 @@ function incrementDailyCount(wallet) {
 
     const count = dailyReferralCounts.get(key) || 0;
     dailyReferralCounts.set(key, count + 1);
+    dailyCountRepository.persist(key, () => ({ count: dailyReferralCounts.get(key) || 0 }));
 }
 
 /**
@@ -462,6 +542,7 @@ setInterval(() => {
     for (const key of dailyReferralCounts.keys()) {
         if (!key.endsWith(today)) {
             dailyReferralCounts.delete(key);
+            dailyCountRepository.discard(key);
             cleaned++;
         }
     }
@@ -6,6 +6,9 @@
  * - Health monitoring and latency tracking
  * - Weighted load balancing
  * - Automatic recovery and circuit breaking
+ * - Hedged reads: a second endpoint joins after the first's p95 latency
+ * - Slot consistency: reads carry minContextSlot from the highest slot the
+ *   session has seen, endpoints lagging the cluster tip are skipped
  *
  * Helius Best Practices:
  * - Dedicated endpoints for different operations
@@ -21,6 +24,7 @@
 'use strict';
 
 const { logAudit } = require('./leaderboard');
+const { startSpan, endSpan, injectTraceHeaders } = require('./tracing');
 
 // ============================================
 // CONFIGURATION
@@ -52,7 +56,59 @@ const RPC_CONFIG = {
     // Retry settings
     maxRetries: 3,
     retryDelay: 1000,               // Base delay in ms
-    retryBackoffMultiplier: 2
+    retryBackoffMultiplier: 2,
+
+    // Hedged requests for latency-critical reads
+    hedging: {
+        enabled: true,
+        percentile: 0.95,           // Hedge after this latency percentile
+        minDelay: 50,
+        maxDelay: 2000,
+        defaultDelay: 300,          // Until enough samples
+        minSamples: 20,
+        sampleSize: 100,            // Latency window per endpoint
+        methods: [
+            'getAccountInfo',
+            'getBalance',
+            'getLatestBlockhash',
+            'getMultipleAccounts',
+            'getSignatureStatuses',
+            'getSlot',
+            'getTokenAccountBalance',
+            'getTokenAccountsByOwner'
+        ]
+    },
+
+    // Slot-consistent reads
+    consistency: {
+        slotTime: 400,              // ms per slot, to age observed slots
+        maxSlotLag: 20,             // Skip endpoints further behind the tip
+        slotLagPenalty: 10,         // Score ms per slot behind
+        sessionTtl: 10 * 60 * 1000, // Forget a session's slot after 10 minutes
+        maxSessions: 10000
+    }
+};
+
+// JSON-RPC error: the node hasn't reached the request's minContextSlot
+const MIN_CONTEXT_SLOT_ERROR = -32016;
+
+// Position of the config object in params, for methods accepting minContextSlot
+const CONTEXT_SLOT_PARAM = {
+    getBlockHeight: 0,
+    getEpochInfo: 0,
+    getLatestBlockhash: 0,
+    getSlot: 0,
+    getTransactionCount: 0,
+    getAccountInfo: 1,
+    getBalance: 1,
+    getMultipleAccounts: 1,
+    getProgramAccounts: 1,
+    getSignaturesForAddress: 1,
+    isBlockhashValid: 1,
+    sendTransaction: 1,
+    simulateTransaction: 1,
+    getTokenAccountsByDelegate: 2,
+    getTokenAccountsByOwner: 2
 };
 
 // Endpoint types for specialized routing
@@ -80,6 +136,9 @@ const endpointStats = new Map();
 // Current primary endpoint per type
 const primaryEndpoints = new Map();
 
+// Highest slot seen per session (wallet, request chain...) -> { slot, seenAt }
+const sessionSlots = new Map();
+
 // Global stats
 const failoverStats = {
     totalRequests: 0,
@@ -87,7 +146,11 @@ const failoverStats = {
     failedRequests: 0,
     failovers: 0,
     recoveries: 0,
-    retries: 0
+    retries: 0,
+    hedgedRequests: 0,
+    hedgeWins: 0,
+    laggingSkips: 0,
+    minContextSlotErrors: 0
 };
 
 // Health check timer
@@ -143,7 +206,9 @@ function registerEndpoint(id, config) {
         consecutiveFailures: 0,
         consecutiveSuccesses: 0,
         lastError: null,
-        degraded: false
+        degraded: false,
+        slot: null,
+        slotSeenAt: null
     });
 
     // Initialize stats
@@ -153,6 +218,7 @@ function registerEndpoint(id, config) {
         failures: 0,
         totalLatency: 0,
         avgLatency: 0,
+        latencies: [],
         rateLimitHits: 0,
         lastRequest: null
     });
@@ -221,11 +287,12 @@ function selectEndpoint(type = ENDPOINT_TYPES.STANDARD, options = {}) {
     const {
         excludeIds = [],
         requireHealthy = true,
-        preferStaked = false
+        preferStaked = false,
+        minContextSlot = 0
     } = options;
 
     // Get all endpoints of this type
-    const candidates = Array.from(endpoints.values())
+    let candidates = Array.from(endpoints.values())
         .filter(ep => {
             if (ep.type !== type) return false;
             if (excludeIds.includes(ep.id)) return false;
@@ -247,6 +314,14 @@ function selectEndpoint(type = ENDPOINT_TYPES.STANDARD, options = {}) {
         return fallback || null;
     }
 
+    // Skip endpoints behind the tip or the session, unless all of them are:
+    // the node then refuses reads below minContextSlot and we fail over
+    const current = candidates.filter(ep => !isLagging(ep.id, minContextSlot));
+    if (current.length > 0 && current.length < candidates.length) {
+        failoverStats.laggingSkips++;
+        candidates = current;
+    }
+
     // Sort by priority and health
     candidates.sort((a, b) => {
         // Prefer staked if requested
@@ -260,19 +335,39 @@ function selectEndpoint(type = ENDPOINT_TYPES.STANDARD, options = {}) {
             return b.priority - a.priority;
         }
 
-        // Then by latency
-        const healthA = healthStatus.get(a.id);
-        const healthB = healthStatus.get(b.id);
-        const latencyA = healthA?.latency || Infinity;
-        const latencyB = healthB?.latency || Infinity;
-
-        return latencyA - latencyB;
+        // Then by latency and slot lag
+        return getEndpointScore(a.id) - getEndpointScore(b.id);
     });
 
     // Weighted selection among top candidates
     return weightedSelect(candidates.slice(0, 3));
 }
 
+/**
+ * Endpoint score: latency plus a penalty per slot behind the tip (lower is better)
+ * @param {string} id - Endpoint ID
+ * @returns {number}
+ */
+function getEndpointScore(id) {
+    // Not measured yet: behind any endpoint answering in good time
+    const latency = healthStatus.get(id)?.latency ?? RPC_CONFIG.latencyThresholds.degraded;
+    return latency + (getSlotLag(id) ?? 0) * RPC_CONFIG.consistency.slotLagPenalty;
+}
+
+/**
+ * Whether an endpoint is too far behind to serve a read
+ * @param {string} id - Endpoint ID
+ * @param {number} minContextSlot - Slot the read must see
+ * @returns {boolean}
+ */
+function isLagging(id, minContextSlot = 0) {
+    const lag = getSlotLag(id);
+    if (lag !== null && lag > RPC_CONFIG.consistency.maxSlotLag) return true;
+
+    const slot = estimateSlot(id);
+    return minContextSlot > 0 && slot !== null && slot < minContextSlot;
+}
+
 /**
  * Weighted random selection
  * @param {Array} endpoints - Candidate endpoints
@@ -311,9 +406,14 @@ function selectNewPrimary(type) {
 
 /**
  * Execute RPC request with failover
+ * Reads in RPC_CONFIG.hedging.methods are hedged; pass a session to keep
+ * reads from going back in slots across endpoints.
  * @param {string} method - RPC method
  * @param {Array} params - Method parameters
  * @param {Object} options - Request options
+ * @param {string} [options.session] - Session key (e.g. wallet) for slot consistency
+ * @param {number} [options.minContextSlot] - Lowest slot the read may be served at
+ * @param {boolean} [options.hedge] - Override hedging for this request
  * @returns {Promise<Object>}
  */
 async function executeRequest(method, params = [], options = {}) {
@@ -321,47 +421,62 @@ async function executeRequest(method, params = [], options = {}) {
         type = ENDPOINT_TYPES.STANDARD,
         timeout = RPC_CONFIG.requestTimeout,
         retries = RPC_CONFIG.maxRetries,
-        preferStaked = false
+        preferStaked = false,
+        session = null
     } = options;
 
+    const hedge = RPC_CONFIG.hedging.enabled &&
+        (options.hedge ?? RPC_CONFIG.hedging.methods.includes(method));
+    const minContextSlot = Math.max(options.minContextSlot || 0, getSessionSlot(session) || 0);
+    const request = withMinContextSlot(method, params, minContextSlot);
+
     failoverStats.totalRequests++;
     const excludeIds = [];
     let lastError = null;
 
     for (let attempt = 0; attempt <= retries; attempt++) {
-        const endpoint = selectEndpoint(type, {
-            excludeIds,
-            requireHealthy: true,
-            preferStaked
-        });
+        const selection = { excludeIds, requireHealthy: true, preferStaked, minContextSlot };
+        const endpoint = selectEndpoint(type, selection);
 
         if (!endpoint) {
             throw new Error('No healthy RPC endpoints available');
         }
 
+        let backup = null;
+        if (hedge) {
+            backup = selectEndpoint(type, { ...selection, excludeIds: [...excludeIds, endpoint.id] });
+            if (backup?.type !== type) backup = null;
+        }
+
         try {
-            const result = await executeOnEndpoint(endpoint, method, params, timeout);
+            const { endpoint: winner, result } = await executeAttempt(
+                endpoint, backup, method, request, timeout, excludeIds
+            );
 
             // Record success
-            recordSuccess(endpoint.id);
+            recordSuccess(winner.id);
             failoverStats.successfulRequests++;
 
+            const slot = getResultSlot(method, result);
+            if (slot !== null) {
+                observeSlot(winner.id, slot);
+                recordSessionSlot(session, slot);
+            }
+
             return result;
 
         } catch (error) {
             lastError = error;
-            excludeIds.push(endpoint.id);
-
-            // Record failure
-            recordFailure(endpoint.id, error);
 
             // Check if we should retry
             if (attempt < retries) {
                 failoverStats.retries++;
 
-                // Exponential backoff
-                const delay = RPC_CONFIG.retryDelay * Math.pow(RPC_CONFIG.retryBackoffMultiplier, attempt);
-                await sleep(delay);
+                // Exponential backoff; a lagging endpoint is just skipped
+                if (error.code !== MIN_CONTEXT_SLOT_ERROR) {
+                    const delay = RPC_CONFIG.retryDelay * Math.pow(RPC_CONFIG.retryBackoffMultiplier, attempt);
+                    await sleep(delay);
+                }
 
                 console.warn(`[RPC] Retry ${attempt + 1}/${retries} after error: ${error.message}`);
             }
@@ -372,24 +487,120 @@ async function executeRequest(method, params = [], options = {}) {
     throw lastError || new Error('RPC request failed after all retries');
 }
 
+/**
+ * Run one attempt, hedged on a backup endpoint when given
+ * The backup fires after the primary's p95 latency, or as soon as the
+ * primary fails; the first answer wins and the other request is cancelled.
+ * Failed endpoints are recorded and added to excludeIds.
+ * @param {Object} primary - Endpoint config
+ * @param {Object|null} backup - Endpoint config for the hedge
+ * @param {string} method - RPC method
+ * @param {Array} params - Parameters
+ * @param {number} timeout - Timeout in ms
+ * @param {Array<string>} excludeIds - Endpoints to skip on retry
+ * @returns {Promise<{endpoint: Object, result: Object}>}
+ */
+function executeAttempt(primary, backup, method, params, timeout, excludeIds) {
+    return new Promise((resolve, reject) => {
+        const controllers = [];
+        let pending = 0;
+        let settled = false;
+        let hedged = false;
+        let hedgeTimer = null;
+
+        const launch = (endpoint) => {
+            const controller = new AbortController();
+            controllers.push(controller);
+            pending++;
+
+            executeOnEndpoint(endpoint, method, params, timeout, controller.signal).then(
+                (result) => {
+                    if (settled) return;
+                    settled = true;
+                    clearTimeout(hedgeTimer);
+                    controllers.forEach(other => other !== controller && other.abort());
+
+                    if (endpoint === backup) failoverStats.hedgeWins++;
+                    resolve({ endpoint, result });
+                },
+                (error) => {
+                    pending--;
+                    if (settled) return;
+
+                    excludeIds.push(endpoint.id);
+                    recordAttemptError(endpoint.id, error);
+
+                    if (backup && !hedged) {
+                        fireHedge();
+                    } else if (pending === 0) {
+                        settled = true;
+                        reject(error);
+                    }
+                }
+            );
+        };
+
+        const fireHedge = () => {
+            if (hedged || settled) return;
+            hedged = true;
+            clearTimeout(hedgeTimer);
+            failoverStats.hedgedRequests++;
+            launch(backup);
+        };
+
+        launch(primary);
+
+        if (backup) {
+            hedgeTimer = setTimeout(fireHedge, getHedgeDelay(primary.id));
+        }
+    });
+}
+
+/**
+ * Record a failed attempt: a node behind minContextSlot is lagging, not down
+ * @param {string} id - Endpoint ID
+ * @param {Error} error - Error that occurred
+ */
+function recordAttemptError(id, error) {
+    if (error.code !== MIN_CONTEXT_SLOT_ERROR) {
+        recordFailure(id, error);
+        return;
+    }
+
+    failoverStats.minContextSlotErrors++;
+    if (Number.isInteger(error.contextSlot)) {
+        observeSlot(id, error.contextSlot, { force: true });
+    }
+}
+
 /**
  * Execute request on specific endpoint
+ * Each attempt is a client span; the trace context goes out as traceparent.
  * @param {Object} endpoint - Endpoint config
  * @param {string} method - RPC method
  * @param {Array} params - Parameters
  * @param {number} timeout - Timeout in ms
+ * @param {AbortSignal} [signal] - Cancels the request (losing hedge)
  * @returns {Promise<Object>}
  */
-async function executeOnEndpoint(endpoint, method, params, timeout) {
+async function executeOnEndpoint(endpoint, method, params, timeout, signal = null) {
     const startTime = Date.now();
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    const span = startSpan(`rpc ${method}`, { kind: 'client' });
+    span?.setTags({
+        'rpc.system': 'jsonrpc',
+        'rpc.method': method,
+        'rpc.endpoint': endpoint.id
+    });
 
     try {
-        const headers = {
+        const headers = injectTraceHeaders({
             'Content-Type': 'application/json'
-        };
+        }, span);
 
         // Add API key header if present
         if (endpoint.apiKey) {
@@ -427,23 +638,30 @@ async function executeOnEndpoint(endpoint, method, params, timeout) {
 
         // Check for RPC error
         if (data.error) {
-            throw new Error(data.error.message || 'RPC error');
+            const rpcError = new Error(data.error.message || 'RPC error');
+            rpcError.code = data.error.code;
+            rpcError.contextSlot = data.error.data?.contextSlot;
+            throw rpcError;
         }
 
         // Record latency
         const latency = Date.now() - startTime;
         updateLatency(endpoint.id, latency);
 
+        endSpan(span);
         return data.result;
 
     } catch (error) {
         clearTimeout(timeoutId);
 
+        let failure = error;
         if (error.name === 'AbortError') {
-            throw new Error('Request timeout');
+            failure = new Error(signal?.aborted ? 'Request cancelled' : 'Request timeout');
         }
+        span?.setError(failure);
+        endSpan(span);
 
-        throw error;
+        throw failure;
     }
 }
 
@@ -475,12 +693,15 @@ async function executeEnhancedRequest(path, body = {}, options = {}) {
 
         const startTime = Date.now();
 
+        const span = startSpan(`enhanced ${path}`, { kind: 'client' });
+        span?.setTags({ 'http.method': 'POST', 'rpc.endpoint': endpoint.id });
+
         try {
             const url = new URL(path, endpoint.url);
 
-            const headers = {
+            const headers = injectTraceHeaders({
                 'Content-Type': 'application/json'
-            };
+            }, span);
 
             if (endpoint.apiKey) {
                 headers['Authorization'] = `Bearer ${endpoint.apiKey}`;
@@ -513,9 +734,13 @@ async function executeEnhancedRequest(path, body = {}, options = {}) {
             updateLatency(endpoint.id, latency);
             recordSuccess(endpoint.id);
 
+            endSpan(span);
             return data;
 
         } catch (error) {
+            span?.setError(error);
+            endSpan(span);
+
             lastError = error;
             excludeIds.push(endpoint.id);
             recordFailure(endpoint.id, error);
@@ -559,6 +784,10 @@ async function checkEndpointHealth(id) {
 
         const latency = Date.now() - startTime;
 
+        if (Number.isInteger(result)) {
+            observeSlot(id, result);
+        }
+
         // Update health status
         health.healthy = true;
         health.lastCheck = Date.now();
@@ -724,6 +953,11 @@ function updateLatency(id, latency) {
     if (stats) {
         stats.totalLatency += latency;
         stats.avgLatency = stats.totalLatency / stats.successes;
+
+        stats.latencies.push(latency);
+        if (stats.latencies.length > RPC_CONFIG.hedging.sampleSize) {
+            stats.latencies.shift();
+        }
     }
 
     const health = healthStatus.get(id);
@@ -732,6 +966,167 @@ function updateLatency(id, latency) {
     }
 }
 
+/**
+ * Latency percentile over the endpoint's recent requests
+ * @param {string} id - Endpoint ID
+ * @param {number} percentile - 0..1
+ * @returns {number|null} Null without samples
+ */
+function getLatencyPercentile(id, percentile) {
+    const samples = endpointStats.get(id)?.latencies;
+    if (!samples || samples.length === 0) return null;
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(percentile * sorted.length) - 1)];
+}
+
+/**
+ * Delay before hedging a request sent to an endpoint
+ * @param {string} id - Endpoint ID
+ * @returns {number} ms
+ */
+function getHedgeDelay(id) {
+    const { percentile, minDelay, maxDelay, defaultDelay, minSamples } = RPC_CONFIG.hedging;
+
+    if ((endpointStats.get(id)?.latencies.length ?? 0) < minSamples) {
+        return defaultDelay;
+    }
+
+    return Math.min(maxDelay, Math.max(minDelay, getLatencyPercentile(id, percentile)));
+}
+
+// ============================================
+// SLOT TRACKING
+// ============================================
+
+/**
+ * Record a slot an endpoint answered at
+ * @param {string} id - Endpoint ID
+ * @param {number} slot - Observed slot
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Take the slot even if lower (node says it's behind)
+ */
+function observeSlot(id, slot, { force = false } = {}) {
+    const health = healthStatus.get(id);
+    if (!health) return;
+
+    // A late answer doesn't move the endpoint back
+    if (!force && health.slot !== null && slot < health.slot) return;
+
+    health.slot = slot;
+    health.slotSeenAt = Date.now();
+}
+
+/**
+ * Endpoint's current slot, aged from its last observation
+ * @param {string} id - Endpoint ID
+ * @returns {number|null} Null if never observed
+ */
+function estimateSlot(id) {
+    const health = healthStatus.get(id);
+    if (!health || health.slot === null) return null;
+
+    return health.slot + Math.floor((Date.now() - health.slotSeenAt) / RPC_CONFIG.consistency.slotTime);
+}
+
+/**
+ * Highest estimated slot across endpoints
+ * @returns {number|null}
+ */
+function getTipSlot() {
+    let tip = null;
+    for (const id of endpoints.keys()) {
+        const slot = estimateSlot(id);
+        if (slot !== null && (tip === null || slot > tip)) tip = slot;
+    }
+    return tip;
+}
+
+/**
+ * Slots an endpoint is behind the tip
+ * @param {string} id - Endpoint ID
+ * @returns {number|null} Null if never observed
+ */
+function getSlotLag(id) {
+    const slot = estimateSlot(id);
+    return slot === null ? null : getTipSlot() - slot;
+}
+
+/**
+ * Slot a result was served at (RpcResponse context, or getSlot itself)
+ * @param {string} method - RPC method
+ * @param {*} result - RPC result
+ * @returns {number|null}
+ */
+function getResultSlot(method, result) {
+    if (method === 'getSlot' && Number.isInteger(result)) return result;
+    const slot = result?.context?.slot;
+    return Number.isInteger(slot) ? slot : null;
+}
+
+/**
+ * Params with minContextSlot set in the method's config object
+ * @param {string} method - RPC method
+ * @param {Array} params - Parameters
+ * @param {number} minContextSlot - Slot to require (0: none)
+ * @returns {Array}
+ */
+function withMinContextSlot(method, params, minContextSlot) {
+    const index = CONTEXT_SLOT_PARAM[method];
+    if (!minContextSlot || index === undefined || params.length < index) return params;
+
+    const config = params[index];
+    if (config !== undefined && (config === null || typeof config !== 'object' || Array.isArray(config))) {
+        return params;
+    }
+
+    const next = [...params];
+    next[index] = {
+        ...config,
+        minContextSlot: Math.max(config?.minContextSlot || 0, minContextSlot)
+    };
+    return next;
+}
+
+/**
+ * Highest slot a session has seen
+ * @param {string|null} session - Session key
+ * @returns {number|null}
+ */
+function getSessionSlot(session) {
+    if (!session) return null;
+
+    const entry = sessionSlots.get(session);
+    if (!entry) return null;
+
+    if (Date.now() - entry.seenAt > RPC_CONFIG.consistency.sessionTtl) {
+        sessionSlots.delete(session);
+        return null;
+    }
+
+    return entry.slot;
+}
+
+/**
+ * Raise a session's slot, e.g. to the slot a burn confirmed at, so its
+ * next reads can't be served from before it
+ * @param {string|null} session - Session key
+ * @param {number} slot - Slot seen
+ */
+function recordSessionSlot(session, slot) {
+    if (!session || !Number.isInteger(slot)) return;
+
+    const slotSeen = Math.max(getSessionSlot(session) || 0, slot);
+
+    // Re-insert to keep the map in least-recently-seen order
+    sessionSlots.delete(session);
+    sessionSlots.set(session, { slot: slotSeen, seenAt: Date.now() });
+
+    if (sessionSlots.size > RPC_CONFIG.consistency.maxSessions) {
+        sessionSlots.delete(sessionSlots.keys().next().value);
+    }
+}
+
 // ============================================
 // UTILITIES
 // ============================================
@@ -780,13 +1175,16 @@ function getEndpointStatus(id) {
             degraded: health?.degraded ?? false,
             latency: health?.latency,
             lastCheck: health?.lastCheck,
-            consecutiveFailures: health?.consecutiveFailures ?? 0
+            consecutiveFailures: health?.consecutiveFailures ?? 0,
+            slot: estimateSlot(id),
+            slotLag: getSlotLag(id)
         },
         stats: {
             requests: stats?.requests ?? 0,
             successes: stats?.successes ?? 0,
             failures: stats?.failures ?? 0,
             avgLatency: stats?.avgLatency ? `${stats.avgLatency.toFixed(0)}ms` : null,
+            p95Latency: getLatencyPercentile(id, 0.95),
             rateLimitHits: stats?.rateLimitHits ?? 0,
             successRate: stats?.requests > 0
                 ? ((stats.successes / stats.requests) * 100).toFixed(2) + '%'
@@ -820,6 +1218,8 @@ function getStats() {
             unhealthy: endpoints.size - healthyCount
         },
         primaryEndpoints: Object.fromEntries(primaryEndpoints),
+        tipSlot: getTipSlot(),
+        sessions: sessionSlots.size,
         successRate: failoverStats.totalRequests > 0
             ? ((failoverStats.successfulRequests / failoverStats.totalRequests) * 100).toFixed(2) + '%'
             : '100%',
@@ -836,7 +1236,9 @@ function getStats() {
 // Register default Helius endpoints from environment
 function initializeFromEnv() {
     const heliusApiKey = process.env.HELIUS_API_KEY;
-    const heliusRpcUrl = process.env.HELIUS_RPC_URL;
+    // Same default as helius.js, so wallet reads routed here keep using Helius
+    const heliusRpcUrl = process.env.HELIUS_RPC_URL ||
+        (heliusApiKey ? `https://mainnet.helius-rpc.com/?api-key=${heliusApiKey}` : null);
 
     if (heliusRpcUrl) {
         registerEndpoint('helius-primary', {
@@ -887,6 +1289,11 @@ module.exports = {
     // Selection
     selectEndpoint,
 
+    // Slot consistency
+    getSessionSlot,
+    recordSessionSlot,
+    getTipSlot,
+
     // Execution
     executeRequest,
     executeEnhancedRequest,
@@ -3,7 +3,10 @@
  *
  * Cron-like task scheduling:
  * - Interval-based scheduling
- * - Cron expression support
+ * - Cron expressions (5 or 6 fields, macros, L and # modifiers)
+ * - IANA timezones
+ * - One node per occurrence, claimed through the storage adapter
+ * - Missed-run catch-up (skip, run-once, run-all)
  * - Task history tracking
  * - Error handling with retries
  *
@@ -16,7 +19,9 @@
 'use strict';
 
 const crypto = require('crypto');
+const os = require('os');
 const { logAudit } = require('./leaderboard');
+const { getStorage, keys } = require('./storage');
 
 // ============================================
 // CONFIGURATION
@@ -35,115 +40,427 @@ const SCHEDULER_CONFIG = {
     historySize: 100,
 
     // Tick interval
-    tickInterval: 1000  // Check every second
+    tickInterval: 1000,  // Check every second
+
+    // Cron
+    defaultTimezone: process.env.SCHEDULER_TIMEZONE || null,  // null = server local time
+    searchHorizon: 5 * 366 * 24 * 60 * 60 * 1000,  // Long enough for Feb 29
+
+    // Missed runs
+    defaultCatchUp: 'skip',
+    misfireThreshold: 5000,                     // Later than this counts as missed
+    catchUpWindow: 7 * 24 * 60 * 60 * 1000,     // Older misses are forgotten
+    maxCatchUpRuns: 100,                        // Occurrences considered per catch-up
+
+    // Occurrence claims outlive any lagging node
+    lockTTL: 24 * 60 * 60 * 1000,
+
+    // Last occurrence updates (read, compare, write) are serialized per task
+    lastOccurrenceLockTTL: 5000,
+    lastOccurrenceLockRetries: 40,
+    lastOccurrenceLockRetryDelay: 25
 };
 
+// What to do with occurrences missed while down or stalled
+const CATCH_UP = {
+    SKIP: 'skip',           // Record them, run nothing
+    RUN_ONCE: 'run-once',   // Run the latest one
+    RUN_ALL: 'run-all'      // Run each, oldest first
+};
+
+// Identifies this process in occurrence claims
+const nodeId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
 // ============================================
 // CRON PARSING
 // ============================================
 
-// Simple cron field parser
 const CRON_FIELDS = {
+    second: { min: 0, max: 59 },
     minute: { min: 0, max: 59 },
     hour: { min: 0, max: 23 },
     dayOfMonth: { min: 1, max: 31 },
     month: { min: 1, max: 12 },
-    dayOfWeek: { min: 0, max: 6 }  // 0 = Sunday
+    dayOfWeek: { min: 0, max: 7 }  // 0 and 7 = Sunday
 };
 
+const CRON_MACROS = {
+    '@yearly': '0 0 0 1 1 *',
+    '@annually': '0 0 0 1 1 *',
+    '@monthly': '0 0 0 1 * *',
+    '@weekly': '0 0 0 * * 0',
+    '@daily': '0 0 0 * * *',
+    '@midnight': '0 0 0 * * *',
+    '@hourly': '0 0 * * * *'
+};
+
+const MONTH_NAMES = {
+    JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6,
+    JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12
+};
+
+const DAY_NAMES = { SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6 };
+
 /**
  * Parse cron expression
- * @param {string} expression - Cron expression (5 fields)
+ * Five fields (minute first) run at second 0; six fields start with seconds.
+ * Day of month accepts L (last day); day of week accepts 5L (last Friday)
+ * and 1#2 (second Monday).
+ * @param {string} expression - Cron expression or macro (@daily, @hourly...)
  * @returns {Object} Parsed cron
  */
 function parseCron(expression) {
-    const parts = expression.trim().split(/\s+/);
-
-    if (parts.length !== 5) {
-        throw new Error('Invalid cron expression: must have 5 fields');
+    if (typeof expression !== 'string') {
+        throw new Error('Invalid cron expression: must be a string');
     }
 
-    const fields = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'];
+    const source = expression.trim();
+    const parts = (CRON_MACROS[source.toLowerCase()] || source).split(/\s+/);
 
-    const parsed = {};
-    for (let i = 0; i < 5; i++) {
-        parsed[fields[i]] = parseField(parts[i], CRON_FIELDS[fields[i]]);
+    if (parts.length === 5) {
+        parts.unshift('0');
+    }
+    if (parts.length !== 6) {
+        throw new Error('Invalid cron expression: must have 5 or 6 fields');
     }
 
+    const [second, minute, hour, dayOfMonth, month, dayOfWeek] = parts;
+
+    const parsed = {
+        second: parseField(second, CRON_FIELDS.second),
+        minute: parseField(minute, CRON_FIELDS.minute),
+        hour: parseField(hour, CRON_FIELDS.hour),
+        dayOfMonth: null,
+        month: parseField(month, CRON_FIELDS.month, MONTH_NAMES),
+        dayOfWeek: null,
+        lastDayOfMonth: false,
+        lastWeekdays: [],   // 5L -> [5]
+        nthWeekdays: []     // 1#2 -> [{ day: 1, nth: 2 }]
+    };
+
+    parsed.dayOfMonth = parseDayOfMonth(dayOfMonth, parsed);
+    parsed.dayOfWeek = parseDayOfWeek(dayOfWeek, parsed);
+
     return parsed;
 }
 
 /**
  * Parse a single cron field
- * @param {string} field - Field value
+ * @param {string} field - Field value: *, 5, 1-5, 5/15, 10-40/10, JAN, MON-FRI; a star with a step runs every N
  * @param {{min: number, max: number}} range - Valid range
+ * @param {Object} [names] - Name -> value aliases
  * @returns {number[]|null} Matching values or null for any
  */
-function parseField(field, range) {
-    if (field === '*') {
+function parseField(field, range, names = null) {
+    if (field === '*' || field === '?') {
         return null;  // Any value
     }
 
     const values = new Set();
 
     // Handle comma-separated values
-    const parts = field.split(',');
-
-    for (const part of parts) {
-        // Handle ranges (e.g., 1-5)
-        if (part.includes('-')) {
-            const [start, end] = part.split('-').map(Number);
-            for (let i = start; i <= end; i++) {
-                if (i >= range.min && i <= range.max) {
-                    values.add(i);
-                }
-            }
+    for (const part of field.split(',')) {
+        const [body, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid cron step: ${part}`);
         }
-        // Handle step values (e.g., */5)
-        else if (part.includes('/')) {
-            const [base, step] = part.split('/');
-            const stepNum = parseInt(step);
-            const startVal = base === '*' ? range.min : parseInt(base);
-
-            for (let i = startVal; i <= range.max; i += stepNum) {
-                values.add(i);
-            }
+
+        let start;
+        let end;
+
+        // Handle ranges (e.g., 1-5) and steps over the whole range (e.g., */5)
+        if (body === '*') {
+            start = range.min;
+            end = range.max;
+        } else if (body.includes('-')) {
+            [start, end] = body.split('-').map(value => parseValue(value, range, names));
         }
-        // Single value
+        // Single value, or a start for steps (e.g., 5/15)
         else {
-            const num = parseInt(part);
-            if (num >= range.min && num <= range.max) {
-                values.add(num);
-            }
+            start = parseValue(body, range, names);
+            end = stepText === undefined ? start : range.max;
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid cron range: ${part}`);
+        }
+
+        for (let i = start; i <= end; i += step) {
+            values.add(i);
         }
     }
 
-    return values.size > 0 ? Array.from(values) : null;
+    return Array.from(values).sort((a, b) => a - b);
+}
+
+/**
+ * Parse one cron value (number or name)
+ * @param {string} text - Value
+ * @param {{min: number, max: number}} range - Valid range
+ * @param {Object} [names] - Name -> value aliases
+ * @returns {number}
+ */
+function parseValue(text, range, names) {
+    const upper = text.toUpperCase();
+    let value = NaN;
+
+    if (names && Object.prototype.hasOwnProperty.call(names, upper)) {
+        value = names[upper];
+    } else if (/^\d+$/.test(text)) {
+        value = Number(text);
+    }
+
+    if (!(value >= range.min && value <= range.max)) {
+        throw new Error(`Invalid cron value: ${text}`);
+    }
+
+    return value;
+}
+
+/**
+ * Parse the day-of-month field (numbers and L)
+ * @param {string} field - Field value
+ * @param {Object} parsed - Parsed cron (receives lastDayOfMonth)
+ * @returns {number[]|null}
+ */
+function parseDayOfMonth(field, parsed) {
+    if (field === '*' || field === '?') return null;
+
+    const plain = [];
+    for (const part of field.split(',')) {
+        if (part.toUpperCase() === 'L') {
+            parsed.lastDayOfMonth = true;
+        } else {
+            plain.push(part);
+        }
+    }
+
+    return plain.length > 0 ? parseField(plain.join(','), CRON_FIELDS.dayOfMonth) : [];
+}
+
+/**
+ * Parse the day-of-week field (numbers, names, 5L and 1#2)
+ * @param {string} field - Field value
+ * @param {Object} parsed - Parsed cron (receives lastWeekdays, nthWeekdays)
+ * @returns {number[]|null}
+ */
+function parseDayOfWeek(field, parsed) {
+    if (field === '*' || field === '?') return null;
+
+    const weekday = text => parseValue(text, CRON_FIELDS.dayOfWeek, DAY_NAMES) % 7;
+    const plain = [];
+
+    for (const part of field.split(',')) {
+        const last = /^(\w+)L$/i.exec(part);
+        const nth = /^(\w+)#([1-5])$/.exec(part);
+
+        if (last) {
+            parsed.lastWeekdays.push(weekday(last[1]));
+        } else if (nth) {
+            parsed.nthWeekdays.push({ day: weekday(nth[1]), nth: Number(nth[2]) });
+        } else {
+            plain.push(part);
+        }
+    }
+
+    if (plain.length === 0) return [];
+
+    const days = parseField(plain.join(','), CRON_FIELDS.dayOfWeek, DAY_NAMES).map(day => day % 7);
+    return Array.from(new Set(days)).sort((a, b) => a - b);
+}
+
+// ============================================
+// TIMEZONES
+// ============================================
+
+// timezone -> Intl.DateTimeFormat
+const zoneFormatters = new Map();
+
+/**
+ * Get a formatter that splits instants into wall-clock parts
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getZoneFormatter(timezone) {
+    if (!zoneFormatters.has(timezone)) {
+        zoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return zoneFormatters.get(timezone);
+}
+
+/**
+ * Validate an IANA timezone name
+ * @param {string|null} timezone - Timezone (null = server local time)
+ */
+function validateTimezone(timezone) {
+    if (timezone === null) return;
+
+    try {
+        getZoneFormatter(timezone);
+    } catch {
+        throw new Error(`Invalid timezone: ${timezone}`);
+    }
+}
+
+/**
+ * Wall-clock time of an instant
+ * @param {number} timestamp - Epoch ms
+ * @param {string|null} timezone - IANA timezone (null = server local time)
+ * @returns {Object} second, minute, hour, dayOfMonth, month, year, dayOfWeek
+ */
+function getZonedParts(timestamp, timezone) {
+    if (!timezone) {
+        const date = new Date(timestamp);
+        return {
+            second: date.getSeconds(),
+            minute: date.getMinutes(),
+            hour: date.getHours(),
+            dayOfMonth: date.getDate(),
+            month: date.getMonth() + 1,
+            year: date.getFullYear(),
+            dayOfWeek: date.getDay()
+        };
+    }
+
+    const parts = {};
+    for (const { type, value } of getZoneFormatter(timezone).formatToParts(timestamp)) {
+        parts[type] = value;
+    }
+
+    return {
+        second: Number(parts.second),
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        dayOfMonth: Number(parts.day),
+        month: Number(parts.month),
+        year: Number(parts.year),
+        dayOfWeek: DAY_NAMES[parts.weekday.toUpperCase()]
+    };
+}
+
+// ============================================
+// CRON MATCHING
+// ============================================
+
+/**
+ * Check a plain field
+ * @param {number[]|null} allowed - Allowed values (null = any)
+ * @param {number} value - Value
+ * @returns {boolean}
+ */
+function fieldMatches(allowed, value) {
+    return allowed === null || allowed.includes(value);
 }
 
 /**
- * Check if cron matches current time
+ * Check the day fields
+ * As in Vixie cron, when both day of month and day of week are restricted,
+ * either one matching is enough.
  * @param {Object} cron - Parsed cron
- * @param {Date} date - Date to check
+ * @param {Object} parts - Wall-clock parts
  * @returns {boolean}
  */
-function cronMatches(cron, date) {
-    const checks = [
-        { field: 'minute', value: date.getMinutes() },
-        { field: 'hour', value: date.getHours() },
-        { field: 'dayOfMonth', value: date.getDate() },
-        { field: 'month', value: date.getMonth() + 1 },
-        { field: 'dayOfWeek', value: date.getDay() }
-    ];
-
-    for (const check of checks) {
-        const allowed = cron[check.field];
-        if (allowed !== null && !allowed.includes(check.value)) {
-            return false;
+function dayMatches(cron, parts) {
+    const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+
+    const byMonthDay = fieldMatches(cron.dayOfMonth, parts.dayOfMonth) ||
+        (cron.lastDayOfMonth && parts.dayOfMonth === daysInMonth);
+
+    const byWeekDay = fieldMatches(cron.dayOfWeek, parts.dayOfWeek) ||
+        (cron.lastWeekdays.includes(parts.dayOfWeek) && parts.dayOfMonth + 7 > daysInMonth) ||
+        cron.nthWeekdays.some(({ day, nth }) =>
+            day === parts.dayOfWeek && Math.ceil(parts.dayOfMonth / 7) === nth
+        );
+
+    if (cron.dayOfMonth !== null && cron.dayOfWeek !== null) {
+        return byMonthDay || byWeekDay;
+    }
+    return byMonthDay && byWeekDay;
+}
+
+/**
+ * Find the next occurrence after an instant
+ * Non-matching days, hours and minutes are skipped whole. Wall-clock times that
+ * don't exist when clocks go forward are skipped; times repeated when clocks
+ * go back fire once, unless the hour field is a wildcard.
+ * @param {Object} cron - Parsed cron
+ * @param {number} after - Epoch ms (exclusive)
+ * @param {string|null} timezone - IANA timezone (null = server local time)
+ * @returns {number|null} Epoch ms, or null if nothing within searchHorizon
+ */
+function nextOccurrence(cron, after, timezone = null) {
+    const limit = after + SCHEDULER_CONFIG.searchHorizon;
+    let t = Math.floor(after / 1000) * 1000 + 1000;
+
+    while (t <= limit) {
+        const parts = getZonedParts(t, timezone);
+
+        const toNextHour = ((59 - parts.minute) * 60 + (60 - parts.second)) * 1000;
+
+        if (!fieldMatches(cron.month, parts.month) || !dayMatches(cron, parts)) {
+            // Towards the next day, stopping an hour short in case clocks go forward
+            t += Math.max(0, 22 - parts.hour) * 60 * 60 * 1000 + toNextHour;
+        } else if (!fieldMatches(cron.hour, parts.hour)) {
+            t += toNextHour;
+        } else if (!fieldMatches(cron.minute, parts.minute)) {
+            // Next minute
+            t += (60 - parts.second) * 1000;
+        } else if (!fieldMatches(cron.second, parts.second)) {
+            t += 1000;
+        } else if (cron.hour !== null && isRepeatedWallTime(t, parts, timezone)) {
+            t += toNextHour;
+        } else {
+            return t;
         }
     }
 
-    return true;
+    return null;
+}
+
+/**
+ * Check if an instant's wall-clock time already happened an hour earlier
+ * (the repeated hour when clocks go back)
+ * @param {number} t - Epoch ms
+ * @param {Object} parts - Wall-clock parts of t
+ * @param {string|null} timezone - IANA timezone
+ * @returns {boolean}
+ */
+function isRepeatedWallTime(t, parts, timezone) {
+    const earlier = getZonedParts(t - 60 * 60 * 1000, timezone);
+    return earlier.hour === parts.hour &&
+        earlier.minute === parts.minute &&
+        earlier.dayOfMonth === parts.dayOfMonth;
+}
+
+/**
+ * List occurrences in (from, to], oldest first, up to maxCatchUpRuns
+ * @param {Object} task - Cron task
+ * @param {number} from - Epoch ms (exclusive)
+ * @param {number} to - Epoch ms (inclusive)
+ * @returns {number[]}
+ */
+function occurrencesBetween(task, from, to) {
+    const occurrences = [];
+    let t = nextOccurrence(task.cron, from, task.timezone);
+
+    while (t !== null && t <= to && occurrences.length < SCHEDULER_CONFIG.maxCatchUpRuns) {
+        occurrences.push(t);
+        t = nextOccurrence(task.cron, t, task.timezone);
+    }
+
+    return occurrences;
 }
 
 // ============================================
@@ -163,37 +480,72 @@ const runningTasks = new Set();
 let isRunning = false;
 let tickTimer = null;
 
+// Storage adapter override (tests)
+let storageOverride = null;
+
+// Counters for runs decided outside executeTask
+const stats = {
+    lockSkips: 0,     // Occurrences another node claimed
+    lockErrors: 0,    // Occurrences not run because storage failed
+    missedRuns: 0,    // Occurrences missed while down or stalled
+    lastOccurrenceSkips: 0  // Last occurrence updates dropped on a busy lock
+};
+
 // ============================================
 // TASK MANAGEMENT
 // ============================================
 
 /**
  * Schedule a task with cron expression
- * @param {string} name - Task name
+ * The task name identifies it across nodes: each occurrence runs on one node
+ * only, and missed occurrences are found from the last one any node ran.
+ * @param {string} name - Task name (unique)
  * @param {string} cronExpression - Cron expression
  * @param {Function} handler - Task handler
  * @param {Object} options - Task options
- * @returns {{taskId: string}}
+ * @param {string} [options.timezone] - IANA timezone (default: SCHEDULER_TIMEZONE or server local time)
+ * @param {string} [options.catchUp] - CATCH_UP policy for missed occurrences
+ * @param {boolean} [options.distributed=true] - Claim occurrences through storage
+ * @returns {{taskId: string, restored: Promise<Object[]>}} restored settles once
+ *   occurrences missed while down were handled
  */
 function schedule(name, cronExpression, handler, options = {}) {
     if (typeof handler !== 'function') {
         throw new Error('Handler must be a function');
     }
 
-    const taskId = generateTaskId();
+    for (const existing of tasks.values()) {
+        if (existing.cron && existing.name === name) {
+            throw new Error(`Task already scheduled: ${name}`);
+        }
+    }
+
     const cron = parseCron(cronExpression);
 
+    const timezone = options.timezone || SCHEDULER_CONFIG.defaultTimezone;
+    validateTimezone(timezone);
+
+    const catchUp = options.catchUp || SCHEDULER_CONFIG.defaultCatchUp;
+    if (!Object.values(CATCH_UP).includes(catchUp)) {
+        throw new Error(`Invalid catch-up policy: ${catchUp}`);
+    }
+
+    const taskId = generateTaskId();
+
     const task = {
         id: taskId,
         name,
         cron,
         cronExpression,
+        timezone,
+        catchUp,
+        distributed: options.distributed !== false,
         handler,
         timeout: options.timeout || SCHEDULER_CONFIG.defaultTimeout,
         enabled: options.enabled !== false,
         runOnStart: options.runOnStart || false,
         lastRun: null,
-        nextRun: null,
+        nextRun: nextOccurrence(cron, Date.now(), timezone),
         runCount: 0,
         failCount: 0,
         createdAt: Date.now()
@@ -204,15 +556,22 @@ function schedule(name, cronExpression, handler, options = {}) {
     logAudit('task_scheduled', {
         taskId,
         name,
-        cron: cronExpression
+        cron: cronExpression,
+        timezone,
+        catchUp
     });
 
     // Run on start if configured
     if (task.runOnStart && task.enabled) {
-        setTimeout(() => executeTask(task), 100);
+        setTimeout(() => executeTask(task, { trigger: 'start' }), 100);
     }
 
-    return { taskId };
+    const restored = restoreTask(task).catch(error => {
+        console.error(`[Scheduler] Catch-up failed for ${name}:`, error.message);
+        return [];
+    });
+
+    return { taskId, restored };
 }
 
 /**
@@ -255,7 +614,7 @@ function scheduleInterval(name, intervalMs, handler, options = {}) {
 
     // Run on start if configured
     if (task.runOnStart && task.enabled) {
-        setTimeout(() => executeTask(task), 100);
+        setTimeout(() => executeTask(task, { trigger: 'start' }), 100);
     }
 
     return { taskId };
@@ -312,7 +671,7 @@ async function runNow(taskId) {
         return { success: false, error: 'Task not found' };
     }
 
-    return await executeTask(task);
+    return await executeTask(task, { trigger: 'manual' });
 }
 
 // ============================================
@@ -322,9 +681,13 @@ async function runNow(taskId) {
 /**
  * Execute a task
  * @param {Object} task - Task to execute
+ * @param {Object} context - Why it runs
+ * @param {string} context.trigger - schedule, catch-up, start or manual
+ * @param {number} [context.scheduledFor] - Occurrence (cron tasks)
+ * @param {number} [context.missed] - Occurrences missed (catch-up)
  * @returns {Promise<Object>}
  */
-async function executeTask(task) {
+async function executeTask(task, context = { trigger: 'schedule' }) {
     if (runningTasks.has(task.id)) {
         return { success: false, error: 'Task already running' };
     }
@@ -334,6 +697,8 @@ async function executeTask(task) {
     const execution = {
         taskId: task.id,
         taskName: task.name,
+        trigger: context.trigger,
+        scheduledFor: context.scheduledFor || null,
         startedAt: Date.now(),
         completedAt: null,
         success: false,
@@ -341,6 +706,10 @@ async function executeTask(task) {
         result: null
     };
 
+    if (context.missed) {
+        execution.missed = context.missed;
+    }
+
     try {
         // Execute with timeout
         const result = await executeWithTimeout(task.handler, task.timeout);
@@ -379,13 +748,237 @@ async function executeTask(task) {
 
     runningTasks.delete(task.id);
 
-    // Record in history
+    recordHistory(execution);
+
+    return execution;
+}
+
+/**
+ * Record an execution in history
+ * @param {Object} execution - Execution record
+ */
+function recordHistory(execution) {
     taskHistory.push(execution);
     if (taskHistory.length > SCHEDULER_CONFIG.historySize) {
         taskHistory.shift();
     }
+}
 
-    return execution;
+// ============================================
+// OCCURRENCES
+// ============================================
+
+/**
+ * Storage adapter holding occurrence claims and last occurrences
+ * @returns {MemoryAdapter|RedisAdapter}
+ */
+function getSchedulerStorage() {
+    return storageOverride || getStorage();
+}
+
+/**
+ * Use a specific storage adapter (tests, or a dedicated Redis)
+ * @param {MemoryAdapter|RedisAdapter|null} adapter - Adapter, or null for getStorage()
+ */
+function setStorage(adapter) {
+    storageOverride = adapter;
+}
+
+/**
+ * Last occurrence any node ran or skipped
+ * @param {Object} task - Cron task
+ * @returns {Promise<number|null>} Epoch ms
+ */
+async function getLastOccurrence(task) {
+    const value = await getSchedulerStorage().get(keys.scheduler.lastOccurrence(task.name));
+    return value === null ? null : Number(value);
+}
+
+/**
+ * Move the last occurrence forward (never back)
+ * Nodes claiming different occurrences at once would otherwise interleave
+ * their reads and writes and move it back, so this holds a per-task lock.
+ * When the lock stays busy the update is dropped: it only decides what
+ * counts as missed, and dropping it cannot move it back.
+ * @param {Object} task - Cron task
+ * @param {number} occurrence - Epoch ms
+ * @returns {Promise<boolean>} Whether the value was checked under the lock
+ */
+async function setLastOccurrence(task, occurrence) {
+    const storage = getSchedulerStorage();
+    const lock = keys.scheduler.lastOccurrenceLock(task.name);
+    const { lastOccurrenceLockTTL, lastOccurrenceLockRetries, lastOccurrenceLockRetryDelay } = SCHEDULER_CONFIG;
+
+    let attempts = 0;
+    while (!(await storage.acquireLock(lock, nodeId, lastOccurrenceLockTTL))) {
+        if (++attempts > lastOccurrenceLockRetries) {
+            stats.lastOccurrenceSkips++;
+            console.warn(`[Scheduler] Last occurrence of ${task.name} is locked, not updated`);
+            return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, lastOccurrenceLockRetryDelay));
+    }
+
+    try {
+        const last = await getLastOccurrence(task);
+        if (last === null || last < occurrence) {
+            await storage.set(keys.scheduler.lastOccurrence(task.name), occurrence);
+        }
+        return true;
+    } finally {
+        await storage.releaseLock(lock, nodeId);
+    }
+}
+
+/**
+ * Claim an occurrence so no other node runs it
+ * @param {Object} task - Cron task
+ * @param {number} occurrence - Epoch ms
+ * @returns {Promise<boolean>} True if this node should run it
+ */
+async function claimOccurrence(task, occurrence) {
+    try {
+        if (task.distributed) {
+            const claimed = await getSchedulerStorage().acquireLock(
+                keys.scheduler.occurrence(task.name, occurrence),
+                nodeId,
+                SCHEDULER_CONFIG.lockTTL
+            );
+
+            if (!claimed) {
+                stats.lockSkips++;
+                return false;
+            }
+        }
+
+        await setLastOccurrence(task, occurrence);
+        return true;
+    } catch (error) {
+        // Running unclaimed could run it on every node
+        stats.lockErrors++;
+        console.error(`[Scheduler] Could not claim ${task.name}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Run one occurrence of a cron task if this node claims it
+ * @param {Object} task - Cron task
+ * @param {number} occurrence - Epoch ms
+ * @param {Object} context - See executeTask
+ * @returns {Promise<Object|null>} Execution, or null if not run here
+ */
+async function runOccurrence(task, occurrence, context) {
+    if (!(await claimOccurrence(task, occurrence))) {
+        return null;
+    }
+
+    return executeTask(task, { ...context, scheduledFor: occurrence });
+}
+
+/**
+ * Apply the task's catch-up policy to missed occurrences
+ * Occurrences another node already ran are not missed.
+ * @param {Object} task - Cron task
+ * @param {number[]} occurrences - Missed occurrences, oldest first
+ * @returns {Promise<Object[]>} Executions run or skipped here
+ */
+async function catchUp(task, occurrences) {
+    if (occurrences.length === 0) return [];
+
+    const last = await getLastOccurrence(task);
+    const missed = occurrences.filter(occurrence => last === null || occurrence > last);
+    if (missed.length === 0) return [];
+
+    stats.missedRuns += missed.length;
+    const context = { trigger: 'catch-up', missed: missed.length };
+    const executions = [];
+
+    switch (task.catchUp) {
+        case CATCH_UP.RUN_ALL:
+            for (const occurrence of missed) {
+                executions.push(await runOccurrence(task, occurrence, context));
+            }
+            break;
+
+        case CATCH_UP.RUN_ONCE:
+            executions.push(await runOccurrence(task, missed[missed.length - 1], context));
+            break;
+
+        default: {
+            const latest = missed[missed.length - 1];
+            await setLastOccurrence(task, latest);
+
+            const now = Date.now();
+            const execution = {
+                taskId: task.id,
+                taskName: task.name,
+                trigger: 'catch-up',
+                scheduledFor: latest,
+                startedAt: now,
+                completedAt: now,
+                success: true,
+                error: null,
+                result: null,
+                skipped: true,
+                missed: missed.length
+            };
+
+            recordHistory(execution);
+            executions.push(execution);
+        }
+    }
+
+    logAudit('task_missed', {
+        taskId: task.id,
+        name: task.name,
+        missed: missed.length,
+        policy: task.catchUp
+    });
+
+    return executions.filter(Boolean);
+}
+
+/**
+ * Handle occurrences missed before this task was scheduled (e.g. while the
+ * whole cluster was down), within catchUpWindow
+ * @param {Object} task - Cron task
+ * @returns {Promise<Object[]>} Executions
+ */
+async function restoreTask(task) {
+    const last = await getLastOccurrence(task);
+    if (last === null) return [];
+
+    const now = Date.now();
+    const from = Math.max(last, now - SCHEDULER_CONFIG.catchUpWindow);
+
+    return catchUp(task, occurrencesBetween(task, from, now));
+}
+
+/**
+ * Run a cron task's due occurrences
+ * The latest one runs normally if it is on time; the rest are missed.
+ * @param {Object} task - Cron task
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object[]>} Executions
+ */
+async function runCronTask(task, now) {
+    const due = [task.nextRun, ...occurrencesBetween(task, task.nextRun, now)]
+        .slice(0, SCHEDULER_CONFIG.maxCatchUpRuns);
+    const latest = due[due.length - 1];
+
+    // Advance first so the next tick doesn't pick these up again
+    task.nextRun = nextOccurrence(task.cron, Math.max(now, latest), task.timezone);
+
+    const onTime = now - latest <= SCHEDULER_CONFIG.misfireThreshold;
+    const executions = await catchUp(task, onTime ? due.slice(0, -1) : due);
+
+    if (onTime) {
+        const execution = await runOccurrence(task, latest, { trigger: 'schedule' });
+        if (execution) executions.push(execution);
+    }
+
+    return executions;
 }
 
 /**
@@ -448,35 +1041,39 @@ function stop() {
 function tick() {
     if (!isRunning) return;
 
-    const now = new Date();
+    runDueTasks(Date.now()).catch(err => {
+        console.error('[Scheduler] Error running due tasks:', err);
+    });
+
+    // Schedule next tick
+    tickTimer = setTimeout(tick, SCHEDULER_CONFIG.tickInterval);
+}
+
+/**
+ * Run every task that is due
+ * @param {number} now - Epoch ms
+ * @returns {Promise<Object[]>} Executions started on this node
+ */
+async function runDueTasks(now = Date.now()) {
+    const runs = [];
 
     for (const task of tasks.values()) {
         if (!task.enabled) continue;
         if (runningTasks.has(task.id)) continue;
-
-        let shouldRun = false;
+        if (!task.nextRun || now < task.nextRun) continue;
 
         // Cron-based task
         if (task.cron) {
-            // Only check at the start of each minute
-            if (now.getSeconds() === 0) {
-                shouldRun = cronMatches(task.cron, now);
-            }
+            runs.push(runCronTask(task, now));
         }
         // Interval-based task
-        else if (task.interval && task.nextRun) {
-            shouldRun = Date.now() >= task.nextRun;
-        }
-
-        if (shouldRun) {
-            executeTask(task).catch(err => {
-                console.error(`[Scheduler] Error executing task ${task.name}:`, err);
-            });
+        else if (task.interval) {
+            runs.push(executeTask(task, { trigger: 'schedule' }).then(execution => [execution]));
         }
     }
 
-    // Schedule next tick
-    tickTimer = setTimeout(tick, SCHEDULER_CONFIG.tickInterval);
+    const executions = await Promise.all(runs);
+    return executions.flat();
 }
 
 // ============================================
@@ -496,6 +1093,9 @@ function getTask(taskId) {
         id: task.id,
         name: task.name,
         cronExpression: task.cronExpression || null,
+        timezone: task.timezone || null,
+        catchUp: task.catchUp || null,
+        distributed: Boolean(task.distributed),
         interval: task.interval || null,
         enabled: task.enabled,
         lastRun: task.lastRun,
@@ -572,6 +1172,11 @@ function getSchedulerMetrics() {
         historySize: taskHistory.length,
         totalRuns,
         totalFails,
+        missedRuns: stats.missedRuns,
+        nodeId,
+        lockSkips: stats.lockSkips,
+        lockErrors: stats.lockErrors,
+        lastOccurrenceSkips: stats.lastOccurrenceSkips,
         successRate: totalRuns > 0
             ? ((1 - totalFails / totalRuns) * 100).toFixed(2) + '%'
             : '100%'
@@ -591,7 +1196,11 @@ const SCHEDULES = {
     EVERY_DAY_MIDNIGHT: '0 0 * * *',
     EVERY_DAY_NOON: '0 12 * * *',
     EVERY_MONDAY: '0 0 * * 1',
-    EVERY_FIRST_OF_MONTH: '0 0 1 * *'
+    EVERY_FIRST_OF_MONTH: '0 0 1 * *',
+    EVERY_LAST_OF_MONTH: '0 0 L * *',
+    HOURLY: '@hourly',
+    DAILY: '@daily',
+    WEEKLY: '@weekly'
 };
 
 // Start scheduler on module load
@@ -606,8 +1215,14 @@ module.exports = {
     // Control
     setTaskEnabled,
     runNow,
+    runDueTasks,
     start,
     stop,
+    setStorage,
+
+    // Cron
+    parseCron,
+    nextOccurrence,
 
     // Queries
     getTask,
@@ -619,6 +1234,7 @@ module.exports = {
 
     // Predefined
     SCHEDULES,
+    CATCH_UP,
 
     // Config
     SCHEDULER_CONFIG
@@ -0,0 +1,948 @@
+/**
+ * ASDF API - Leaderboard Seasons
+ *
+ * Named seasons with start and end dates:
+ * - Burn, XP, referral and per-game leaderboards per season
+ * - Boards are sorted sets (ZINCRBY / ZADD GT / ZREVRANK), so ranking stays
+ *   O(log n) on Redis however many players there are
+ * - At season end the boards are frozen, the top of each is snapshotted and
+ *   rewards (achievement + in-game currency) are paid through the job queue
+ * - Past seasons stay queryable: snapshot, full boards and player ranks
+ *
+ * Season XP counts burned tokens 1:1 (like the all-time XP board) plus XP
+ * awarded by the progression system. Game boards keep each player's best score.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Only the active season records, and only between its start and end
+ * - Season end runs once across instances (storage lock)
+ * - Rewards deduplicated per season, board and wallet
+ * - Seasons cannot overlap; running seasons cannot be moved back in time
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { getStorage, keys } = require('./storage');
+const { registerHandler, enqueue, PRIORITY } = require('./queue');
+const { schedule, unschedule } = require('./scheduler');
+const { grantAchievement, ACHIEVEMENTS } = require('./achievements');
+const { earnCurrency } = require('./shopV2');
+const { logAudit } = require('./leaderboard');
+const { isSimulated } = require('./gameSimulation');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SEASON_CONFIG = {
+    maxNameLength: 64,
+    minDuration: DAY,
+    maxDuration: 366 * DAY,
+
+    // Entries kept per board in the end-of-season snapshot
+    snapshotSize: 100,
+
+    // Page size limits for board queries
+    defaultLimit: 20,
+    maxLimit: 100,
+
+    // Season start/end is checked every minute
+    checkCron: '* * * * *',
+
+    // Season end must finish within this
+    lockTtl: 5 * 60 * 1000,
+
+    instanceId: crypto.randomUUID()
+};
+
+const SEASON_STATUS = {
+    SCHEDULED: 'scheduled',
+    ACTIVE: 'active',
+    FINALIZING: 'finalizing',
+    ENDED: 'ended'
+};
+
+// Fixed boards; per-game boards are 'game:<gameId>'
+const BOARDS = {
+    burns: 'Tokens burned',
+    xp: 'XP earned',
+    referrals: 'Referrals completed'
+};
+
+// 'games' rewards every per-game board
+const REWARDABLE_BOARDS = [...Object.keys(BOARDS), 'games'];
+
+// Fibonacci rewards by final rank
+const DEFAULT_REWARDS = {
+    boards: ['burns', 'xp'],
+    tiers: [
+        { from: 1, to: 1, achievement: 'season_champion', currency: 6765 },
+        { from: 2, to: 3, achievement: 'season_podium', currency: 2584 },
+        { from: 4, to: 10, achievement: 'season_top_10', currency: 987 }
+    ]
+};
+
+const JOB_TYPE = 'season_reward';
+
+// ============================================
+// STATE
+// ============================================
+
+let checkTaskId = null;
+let initialized = false;
+
+const stats = {
+    recorded: 0,
+    seasonsStarted: 0,
+    seasonsEnded: 0,
+    rewardsQueued: 0,
+    rewardsPaid: 0
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Shorten a wallet for logs
+ * @param {string} wallet
+ * @returns {string}
+ */
+function maskWallet(wallet) {
+    return wallet.slice(0, 8) + '...';
+}
+
+/**
+ * Timestamp from a number or an ISO date
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+function toTimestamp(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string' && value.trim()) {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+}
+
+/**
+ * Whether a game has season boards
+ * Only simulated games: their scores are re-simulated server-side
+ * @param {string} gameId
+ * @returns {boolean}
+ */
+function isSeasonGame(gameId) {
+    return typeof gameId === 'string' && isSimulated(gameId);
+}
+
+/**
+ * Whether a board name exists ('burns', 'xp', 'referrals', 'game:<id>')
+ * @param {string} board
+ * @returns {boolean}
+ */
+function isBoard(board) {
+    if (typeof board !== 'string') return false;
+    if (BOARDS[board]) return true;
+    return board.startsWith('game:') && isSeasonGame(board.slice(5));
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return { valid: false, error: 'Name is required' };
+    }
+    if (name.trim().length > SEASON_CONFIG.maxNameLength) {
+        return { valid: false, error: `Name must be at most ${SEASON_CONFIG.maxNameLength} characters` };
+    }
+    return { valid: true, name: name.trim() };
+}
+
+function validateRewards(rewards) {
+    if (rewards === undefined) {
+        return { valid: true, rewards: DEFAULT_REWARDS };
+    }
+    if (!rewards || typeof rewards !== 'object') {
+        return { valid: false, error: 'Invalid rewards' };
+    }
+
+    const { boards = DEFAULT_REWARDS.boards, tiers = DEFAULT_REWARDS.tiers } = rewards;
+
+    if (!Array.isArray(boards) || boards.some(board => !REWARDABLE_BOARDS.includes(board))) {
+        return { valid: false, error: `Reward boards must be among: ${REWARDABLE_BOARDS.join(', ')}` };
+    }
+    if (!Array.isArray(tiers)) {
+        return { valid: false, error: 'Reward tiers must be an array' };
+    }
+
+    let previous = 0;
+    for (const tier of tiers) {
+        const { from, to, achievement = null, currency = 0 } = tier || {};
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from <= previous || to < from ||
+            to > SEASON_CONFIG.snapshotSize) {
+            return { valid: false, error: 'Reward tiers need increasing, non-overlapping ranks' };
+        }
+        if (achievement !== null && !ACHIEVEMENTS[achievement]) {
+            return { valid: false, error: `Unknown achievement: ${achievement}` };
+        }
+        if (!Number.isInteger(currency) || currency < 0) {
+            return { valid: false, error: 'Reward currency must be a non-negative integer' };
+        }
+        previous = to;
+    }
+
+    return {
+        valid: true,
+        rewards: {
+            boards: [...new Set(boards)],
+            tiers: tiers.map(({ from, to, achievement = null, currency = 0 }) => ({ from, to, achievement, currency }))
+        }
+    };
+}
+
+/**
+ * Check a season window against the others
+ * @param {number} startsAt
+ * @param {number} endsAt
+ * @param {string|null} ignoreId - Season being changed
+ * @returns {Promise<{valid: boolean, error?: string}>}
+ */
+async function validateWindow(startsAt, endsAt, ignoreId = null) {
+    if (startsAt === null || endsAt === null) {
+        return { valid: false, error: 'startsAt and endsAt must be timestamps or ISO dates' };
+    }
+
+    const duration = endsAt - startsAt;
+    if (duration < SEASON_CONFIG.minDuration || duration > SEASON_CONFIG.maxDuration) {
+        return { valid: false, error: 'A season must last between 1 and 366 days' };
+    }
+
+    for (const season of await loadAllSeasons()) {
+        if (season.id === ignoreId || season.status === SEASON_STATUS.ENDED) continue;
+        if (startsAt < season.endsAt && season.startsAt < endsAt) {
+            return { valid: false, error: `Overlaps ${season.name} (${season.id})` };
+        }
+    }
+
+    return { valid: true };
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+async function loadSeason(id) {
+    if (typeof id !== 'string') return null;
+    return getStorage().get(keys.seasons.season(id));
+}
+
+async function saveSeason(season) {
+    season.updatedAt = Date.now();
+    await getStorage().set(keys.seasons.season(season.id), season);
+}
+
+async function loadAllSeasons() {
+    const ids = await getStorage().smembers(keys.seasons.all);
+    const seasons = [];
+    for (const id of ids) {
+        const season = await loadSeason(id);
+        if (season) seasons.push(season);
+    }
+    return seasons.sort((a, b) => a.startsAt - b.startsAt);
+}
+
+/**
+ * Boards a season has entries on
+ * @param {string} id
+ * @returns {Promise<string[]>}
+ */
+async function listBoards(id) {
+    const games = (await getStorage().smembers(keys.seasons.games(id))).filter(isSeasonGame);
+    return [...Object.keys(BOARDS), ...games.sort().map(gameId => `game:${gameId}`)];
+}
+
+/**
+ * Public view of a season
+ */
+function formatSeason(season) {
+    return {
+        id: season.id,
+        number: season.number,
+        name: season.name,
+        status: season.status,
+        startsAt: season.startsAt,
+        endsAt: season.endsAt,
+        rewards: season.rewards,
+        startedAt: season.startedAt,
+        endedAt: season.endedAt,
+        endedBy: season.endedBy,
+        createdAt: season.createdAt
+    };
+}
+
+/**
+ * Ranked entries from a ZREVRANGE ... WITHSCORES reply
+ * @param {Array} reply - [member, score, ...]
+ * @param {number} offset - Rank of the first entry - 1
+ * @returns {Object[]}
+ */
+function toEntries(reply, offset = 0) {
+    const entries = [];
+    for (let i = 0; i < reply.length; i += 2) {
+        const wallet = reply[i];
+        entries.push({
+            rank: offset + i / 2 + 1,
+            wallet,
+            walletShort: `${wallet.slice(0, 4)}...${wallet.slice(-4)}`,
+            score: Number(reply[i + 1])
+        });
+    }
+    return entries;
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * The season recording at a given time, if any
+ * @param {number} at - When the activity happened
+ * @returns {Promise<Object|null>}
+ */
+async function getRecordingSeason(at = Date.now()) {
+    const id = await getStorage().get(keys.seasons.active);
+    const season = id ? await loadSeason(id) : null;
+
+    if (!season || season.status !== SEASON_STATUS.ACTIVE) return null;
+    if (at < season.startsAt || at >= season.endsAt) return null;
+    return season;
+}
+
+/**
+ * Add to a wallet's score on a season's boards
+ * @param {Object} season
+ * @param {string} wallet
+ * @param {Object} increments - board -> amount
+ */
+async function increment(season, wallet, increments) {
+    const storage = getStorage();
+    for (const [board, amount] of Object.entries(increments)) {
+        if (amount > 0) {
+            await storage.zincrby(keys.seasons.board(season.id, board), amount, wallet);
+        }
+    }
+    stats.recorded++;
+}
+
+/**
+ * Record a burn (burn board, and XP at 1:1 like the all-time board)
+ * Burns are counted once per signature: the startup sync replays recent burns.
+ * @param {string} wallet
+ * @param {number} amount - Tokens burned
+ * @param {Object} options - { signature?, timestamp? (ms, defaults to now) }
+ * @returns {Promise<boolean>} Whether a season recorded it
+ */
+async function recordBurn(wallet, amount, options = {}) {
+    if (typeof wallet !== 'string' || !(amount > 0)) return false;
+
+    const season = await getRecordingSeason(options.timestamp ?? Date.now());
+    if (!season) return false;
+
+    if (options.signature && !(await getStorage().sadd(keys.seasons.burns(season.id), options.signature))) {
+        return false;
+    }
+
+    await increment(season, wallet, { burns: amount, xp: amount });
+    return true;
+}
+
+/**
+ * Record XP awarded by the progression system
+ * @param {string} wallet
+ * @param {number} amount - XP awarded
+ * @returns {Promise<boolean>}
+ */
+async function recordXP(wallet, amount) {
+    if (typeof wallet !== 'string' || !(amount > 0)) return false;
+
+    const season = await getRecordingSeason();
+    if (!season) return false;
+
+    await increment(season, wallet, { xp: amount });
+    return true;
+}
+
+/**
+ * Record a completed referral for the referrer
+ * @param {string} wallet - Referrer
+ * @returns {Promise<boolean>}
+ */
+async function recordReferral(wallet) {
+    if (typeof wallet !== 'string') return false;
+
+    const season = await getRecordingSeason();
+    if (!season) return false;
+
+    await increment(season, wallet, { referrals: 1 });
+    return true;
+}
+
+/**
+ * Record a game score (the board keeps each player's best)
+ * Callers only pass scores of verified (re-simulated) sessions
+ * @param {string} wallet
+ * @param {string} gameId - Simulated game
+ * @param {number} score
+ * @returns {Promise<boolean>}
+ */
+async function recordGameScore(wallet, gameId, score) {
+    if (typeof wallet !== 'string' || !isSeasonGame(gameId) || !(score > 0)) return false;
+
+    const season = await getRecordingSeason();
+    if (!season) return false;
+
+    const storage = getStorage();
+    await storage.sadd(keys.seasons.games(season.id), gameId);
+    await storage.zaddgt(keys.seasons.board(season.id, `game:${gameId}`), score, wallet);
+
+    stats.recorded++;
+    return true;
+}
+
+// ============================================
+// SEASONS
+// ============================================
+
+/**
+ * Schedule a season
+ * @param {Object} input - { name, startsAt, endsAt, rewards? }
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function createSeason(input = {}, actor) {
+    const name = validateName(input.name);
+    if (!name.valid) return { success: false, error: name.error };
+
+    const startsAt = toTimestamp(input.startsAt);
+    const endsAt = toTimestamp(input.endsAt);
+    if (endsAt !== null && endsAt <= Date.now()) {
+        return { success: false, error: 'endsAt must be in the future' };
+    }
+
+    const window = await validateWindow(startsAt, endsAt);
+    if (!window.valid) return { success: false, error: window.error };
+
+    const rewards = validateRewards(input.rewards);
+    if (!rewards.valid) return { success: false, error: rewards.error };
+
+    const storage = getStorage();
+    const number = await storage.incr(keys.seasons.sequence);
+    const now = Date.now();
+    const season = {
+        id: `season-${number}`,
+        number,
+        name: name.name,
+        status: SEASON_STATUS.SCHEDULED,
+        startsAt,
+        endsAt,
+        rewards: rewards.rewards,
+        startedAt: null,
+        endedAt: null,
+        endedBy: null,
+        createdAt: now,
+        createdBy: actor,
+        updatedAt: now
+    };
+
+    await saveSeason(season);
+    await storage.sadd(keys.seasons.all, season.id);
+
+    logAudit('season_created', {
+        seasonId: season.id,
+        name: season.name,
+        startsAt,
+        endsAt,
+        admin: maskWallet(actor)
+    });
+
+    return { success: true, season: formatSeason(season) };
+}
+
+/**
+ * Change a season
+ * Scheduled seasons can change anything; an active season can be renamed,
+ * have its rewards changed or its end moved (not into the past).
+ * @param {string} id
+ * @param {Object} updates - { name?, startsAt?, endsAt?, rewards? }
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function updateSeason(id, updates = {}, actor) {
+    const season = await loadSeason(id);
+    if (!season) return { success: false, error: 'Season not found' };
+
+    if (season.status !== SEASON_STATUS.SCHEDULED && season.status !== SEASON_STATUS.ACTIVE) {
+        return { success: false, error: 'Season has ended' };
+    }
+
+    if (updates.name !== undefined) {
+        const name = validateName(updates.name);
+        if (!name.valid) return { success: false, error: name.error };
+        season.name = name.name;
+    }
+
+    if (updates.rewards !== undefined) {
+        const rewards = validateRewards(updates.rewards);
+        if (!rewards.valid) return { success: false, error: rewards.error };
+        season.rewards = rewards.rewards;
+    }
+
+    if (updates.startsAt !== undefined || updates.endsAt !== undefined) {
+        if (updates.startsAt !== undefined && season.status === SEASON_STATUS.ACTIVE) {
+            return { success: false, error: 'Cannot move the start of a running season' };
+        }
+
+        const startsAt = updates.startsAt !== undefined ? toTimestamp(updates.startsAt) : season.startsAt;
+        const endsAt = updates.endsAt !== undefined ? toTimestamp(updates.endsAt) : season.endsAt;
+        if (endsAt !== null && endsAt <= Date.now()) {
+            return { success: false, error: 'endsAt must be in the future' };
+        }
+
+        const window = await validateWindow(startsAt, endsAt, season.id);
+        if (!window.valid) return { success: false, error: window.error };
+
+        season.startsAt = startsAt;
+        season.endsAt = endsAt;
+    }
+
+    await saveSeason(season);
+
+    logAudit('season_updated', {
+        seasonId: season.id,
+        fields: Object.keys(updates),
+        admin: maskWallet(actor)
+    });
+
+    return { success: true, season: formatSeason(season) };
+}
+
+/**
+ * Delete a season that has not started
+ * @param {string} id
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function deleteSeason(id, actor) {
+    const season = await loadSeason(id);
+    if (!season) return { success: false, error: 'Season not found' };
+    if (season.status !== SEASON_STATUS.SCHEDULED) {
+        return { success: false, error: 'Only scheduled seasons can be deleted' };
+    }
+
+    const storage = getStorage();
+    await storage.srem(keys.seasons.all, season.id);
+    await storage.del(keys.seasons.season(season.id));
+
+    logAudit('season_deleted', { seasonId: season.id, admin: maskWallet(actor) });
+
+    return { success: true };
+}
+
+/**
+ * Start recording a season
+ * @param {Object} season
+ */
+async function startSeason(season) {
+    season.status = SEASON_STATUS.ACTIVE;
+    season.startedAt = Date.now();
+    await saveSeason(season);
+    await getStorage().set(keys.seasons.active, season.id);
+    stats.seasonsStarted++;
+
+    logAudit('season_started', { seasonId: season.id, name: season.name });
+}
+
+/**
+ * Freeze a season, snapshot its boards and queue its rewards
+ * Runs once across instances; a season left in 'finalizing' by a crash is
+ * picked up again by the next check (rewards are deduplicated).
+ * @param {string} id
+ * @param {string} endedBy - 'schedule' or the admin wallet
+ * @returns {Promise<Object>}
+ */
+async function finalizeSeason(id, endedBy = 'schedule') {
+    const storage = getStorage();
+    const lock = keys.seasons.lock(id);
+    if (!(await storage.acquireLock(lock, SEASON_CONFIG.instanceId, SEASON_CONFIG.lockTtl))) {
+        return { success: false, error: 'Season is already ending' };
+    }
+
+    try {
+        const season = await loadSeason(id);
+        if (!season) return { success: false, error: 'Season not found' };
+        if (season.status === SEASON_STATUS.ENDED) return { success: false, error: 'Season has ended' };
+        if (season.status === SEASON_STATUS.SCHEDULED) {
+            return { success: false, error: 'Season has not started' };
+        }
+
+        // Freeze: nothing records once the season is no longer active
+        if (season.status === SEASON_STATUS.ACTIVE) {
+            season.status = SEASON_STATUS.FINALIZING;
+            season.endsAt = Math.min(season.endsAt, Date.now());
+            season.endedBy = endedBy;
+            await saveSeason(season);
+        }
+        if (await storage.get(keys.seasons.active) === season.id) {
+            await storage.del(keys.seasons.active);
+        }
+
+        // Snapshot
+        const boards = {};
+        for (const board of await listBoards(season.id)) {
+            const key = keys.seasons.board(season.id, board);
+            boards[board] = {
+                total: await storage.zcard(key),
+                entries: toEntries(await storage.zrevrange(key, 0, SEASON_CONFIG.snapshotSize - 1, true))
+            };
+        }
+        const snapshot = { seasonId: season.id, takenAt: Date.now(), boards };
+        await storage.set(keys.seasons.snapshot(season.id), snapshot);
+        await storage.del(keys.seasons.burns(season.id));
+
+        // Rewards
+        const rewarded = Object.keys(boards).filter(board =>
+            season.rewards.boards.includes(board.startsWith('game:') ? 'games' : board)
+        );
+        let queued = 0;
+
+        for (const board of rewarded) {
+            for (const entry of boards[board].entries) {
+                const tier = season.rewards.tiers.find(t => entry.rank >= t.from && entry.rank <= t.to);
+                if (!tier || (!tier.achievement && !tier.currency)) continue;
+
+                await enqueue(JOB_TYPE, {
+                    seasonId: season.id,
+                    board,
+                    wallet: entry.wallet,
+                    rank: entry.rank,
+                    achievement: tier.achievement,
+                    currency: tier.currency
+                }, {
+                    priority: PRIORITY.NORMAL,
+                    dedupeKey: `season:${season.id}:${board}:${entry.wallet}`
+                });
+                queued++;
+            }
+        }
+
+        season.status = SEASON_STATUS.ENDED;
+        season.endedAt = Date.now();
+        await saveSeason(season);
+
+        stats.seasonsEnded++;
+        stats.rewardsQueued += queued;
+
+        logAudit('season_ended', {
+            seasonId: season.id,
+            endedBy: endedBy === 'schedule' ? endedBy : maskWallet(endedBy),
+            boards: Object.keys(boards).length,
+            rewardsQueued: queued
+        });
+
+        return { success: true, season: formatSeason(season), rewardsQueued: queued };
+    } finally {
+        await storage.releaseLock(lock, SEASON_CONFIG.instanceId);
+    }
+}
+
+/**
+ * End the active season now (admin)
+ * @param {string} id
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function endSeason(id, actor) {
+    const season = await loadSeason(id);
+    if (!season) return { success: false, error: 'Season not found' };
+    return finalizeSeason(season.id, actor);
+}
+
+/**
+ * Start and end seasons whose time has come
+ * Called every minute by the scheduler, on one instance.
+ * @returns {Promise<{started: string[], ended: string[]}>}
+ */
+async function checkSeasons() {
+    const now = Date.now();
+    const started = [];
+    const ended = [];
+
+    for (const season of await loadAllSeasons()) {
+        const due = season.status === SEASON_STATUS.FINALIZING ||
+            (season.status === SEASON_STATUS.ACTIVE && now >= season.endsAt);
+        if (due && (await finalizeSeason(season.id)).success) {
+            ended.push(season.id);
+        }
+    }
+
+    // Seasons don't overlap, so at most one is due to start
+    if (!(await getStorage().get(keys.seasons.active))) {
+        const next = (await loadAllSeasons()).find(season =>
+            season.status === SEASON_STATUS.SCHEDULED && season.startsAt <= now
+        );
+        if (next) {
+            await startSeason(next);
+            started.push(next.id);
+
+            // Missed entirely (server down the whole season)
+            if (now >= next.endsAt && (await finalizeSeason(next.id)).success) {
+                ended.push(next.id);
+            }
+        }
+    }
+
+    return { started, ended };
+}
+
+// ============================================
+// REWARDS
+// ============================================
+
+/**
+ * Pay one season reward (job handler)
+ * Throws so the queue retries when the currency ledger is unavailable.
+ * @param {Object} data - { seasonId, board, wallet, rank, achievement, currency }
+ * @returns {Promise<Object>}
+ */
+async function payReward(data) {
+    const { seasonId, board, wallet, rank, achievement, currency } = data;
+    const payouts = keys.seasons.payouts(seasonId);
+    const field = `${board}:${wallet}`;
+
+    if (await getStorage().hget(payouts, field)) {
+        return { skipped: true };
+    }
+
+    // Achievements are one-off: a second title in another board or season only pays currency
+    const granted = achievement ? grantAchievement(wallet, achievement).success : false;
+
+    if (currency > 0) {
+        await earnCurrency(wallet, currency, 'season_reward', `${seasonId}:${board}`);
+    }
+
+    await getStorage().hset(payouts, field, { rank, achievement, currency, paidAt: Date.now() });
+    stats.rewardsPaid++;
+
+    logAudit('season_reward_paid', {
+        seasonId,
+        board,
+        wallet: maskWallet(wallet),
+        rank,
+        achievement,
+        unlocked: granted,
+        currency
+    });
+
+    return { paid: true };
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * All seasons, newest first
+ * @returns {Promise<Object[]>}
+ */
+async function listSeasons() {
+    return (await loadAllSeasons()).reverse().map(formatSeason);
+}
+
+/**
+ * The active season, or null
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrentSeason() {
+    const id = await getStorage().get(keys.seasons.active);
+    const season = id ? await loadSeason(id) : null;
+    return season ? formatSeason(season) : null;
+}
+
+/**
+ * A season with its boards
+ * Ended seasons return their frozen snapshot; others the live top entries.
+ * @param {string} id
+ * @param {Object} options - { limit? } - live entries per board
+ * @returns {Promise<Object>}
+ */
+async function getSeason(id, options = {}) {
+    const season = await loadSeason(id);
+    if (!season) return { success: false, error: 'Season not found' };
+
+    if (season.status === SEASON_STATUS.ENDED) {
+        const snapshot = await getStorage().get(keys.seasons.snapshot(season.id));
+        return {
+            success: true,
+            season: formatSeason(season),
+            frozen: true,
+            snapshotAt: snapshot?.takenAt || null,
+            boards: snapshot?.boards || {}
+        };
+    }
+
+    const limit = clampLimit(options.limit ?? 10);
+    const boards = {};
+    if (season.status !== SEASON_STATUS.SCHEDULED) {
+        for (const board of await listBoards(season.id)) {
+            const result = await getSeasonBoard(season.id, board, { limit });
+            boards[board] = { total: result.total, entries: result.entries };
+        }
+    }
+
+    return { success: true, season: formatSeason(season), frozen: false, snapshotAt: null, boards };
+}
+
+function clampLimit(limit) {
+    const parsed = Number.parseInt(limit, 10);
+    if (!Number.isInteger(parsed) || parsed < 1) return SEASON_CONFIG.defaultLimit;
+    return Math.min(parsed, SEASON_CONFIG.maxLimit);
+}
+
+/**
+ * A page of one board (past or present)
+ * @param {string} id
+ * @param {string} board - 'burns', 'xp', 'referrals' or 'game:<gameId>'
+ * @param {Object} options - { limit?, offset? }
+ * @returns {Promise<Object>}
+ */
+async function getSeasonBoard(id, board, options = {}) {
+    if (!isBoard(board)) return { success: false, error: 'Board not found' };
+
+    const season = await loadSeason(id);
+    if (!season) return { success: false, error: 'Season not found' };
+
+    const limit = clampLimit(options.limit);
+    const offset = Math.max(0, Number.parseInt(options.offset, 10) || 0);
+    const key = keys.seasons.board(season.id, board);
+    const storage = getStorage();
+
+    return {
+        success: true,
+        seasonId: season.id,
+        board,
+        total: await storage.zcard(key),
+        entries: toEntries(await storage.zrevrange(key, offset, offset + limit - 1, true), offset)
+    };
+}
+
+/**
+ * A wallet's rank on every board of a season
+ * @param {string} id
+ * @param {string} wallet
+ * @returns {Promise<Object>} { success, seasonId, ranks: { board: { rank, score, total } } }
+ */
+async function getSeasonRank(id, wallet) {
+    const season = await loadSeason(id);
+    if (!season) return { success: false, error: 'Season not found' };
+
+    const storage = getStorage();
+    const ranks = {};
+
+    for (const board of await listBoards(season.id)) {
+        const key = keys.seasons.board(season.id, board);
+        const rank = await storage.zrevrank(key, wallet);
+        if (rank === null || rank === undefined) continue;
+
+        ranks[board] = {
+            rank: rank + 1,
+            score: Number(await storage.zscore(key, wallet)),
+            total: await storage.zcard(key)
+        };
+    }
+
+    const payouts = await storage.hgetall(keys.seasons.payouts(season.id));
+    const rewards = Object.entries(payouts || {})
+        .filter(([field]) => field.endsWith(`:${wallet}`))
+        .map(([field, payout]) => ({ board: field.slice(0, -wallet.length - 1), ...payout }));
+
+    return { success: true, seasonId: season.id, ranks, rewards };
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Register the reward handler and the minute check
+ */
+function initialize() {
+    if (initialized) return;
+
+    registerHandler(JOB_TYPE, payReward, { timeout: 30000, maxRetries: 5 });
+    ({ taskId: checkTaskId } = schedule('leaderboard-seasons', SEASON_CONFIG.checkCron, () => checkSeasons(), {
+        timezone: 'UTC',
+        catchUp: 'run-once'
+    }));
+
+    initialized = true;
+}
+
+/**
+ * Stop starting and ending seasons on this instance
+ */
+function shutdown() {
+    if (checkTaskId) {
+        unschedule(checkTaskId);
+        checkTaskId = null;
+    }
+    initialized = false;
+}
+
+/**
+ * Get season statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return { ...stats, initialized };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Recording
+    recordBurn,
+    recordXP,
+    recordReferral,
+    recordGameScore,
+
+    // Seasons
+    createSeason,
+    updateSeason,
+    deleteSeason,
+    endSeason,
+    checkSeasons,
+    payReward,
+
+    // Queries
+    listSeasons,
+    getCurrentSeason,
+    getSeason,
+    getSeasonBoard,
+    getSeasonRank,
+
+    // Lifecycle
+    initialize,
+    shutdown,
+    getStats,
+
+    // Constants
+    BOARDS,
+    DEFAULT_REWARDS,
+    SEASON_STATUS,
+    SEASON_CONFIG
+};
@@ -269,6 +269,7 @@ function requireSignedRequest(req, res, next) {
 
 /**
  * Middleware: Require admin role
+ * @deprecated Admin routes use rbac.requirePermission(); this only knows ADMIN_WALLETS
  */
 function requireAdmin(req, res, next) {
   const wallet = req.user?.wallet;
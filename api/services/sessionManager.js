@@ -1,10 +1,13 @@
 /**
  * Session Manager - Device Tracking & Multi-Session Management
  * Manages user sessions with device fingerprinting and security controls
- * Security by Design: Device verification, suspicious activity detection
+ * Security by Design: Device verification, suspicious activity detection,
+ * revocations applied on every instance (storage pub/sub)
  */
 
 const crypto = require('crypto');
+const { defineRepository } = require('./database');
+const { getStorage, keys } = require('./storage');
 
 // Configuration with Fibonacci-based values
 const SESSION_CONFIG = {
@@ -16,6 +19,9 @@ const SESSION_CONFIG = {
     lockoutDuration: 60 * 60 * 1000,       // 1 hour lockout
     suspiciousThreshold: 3,                 // Suspicious device count
     cleanupInterval: 15 * 60 * 1000,       // 15 minutes cleanup
+    accessTokenTTL: 15 * 60 * 1000,        // Access tokens issued for a session (15 minutes)
+    revokedRetention: 24 * 60 * 60 * 1000, // Outlives any access token issued for a session
+    instanceId: crypto.randomUUID(),
 
     // Device trust levels
     trustLevels: {
@@ -39,11 +45,17 @@ const SESSION_CONFIG = {
     }
 };
 
-// In-memory storage (use Redis in production)
+// In-memory cache, written through to the repositories below
 const sessions = new Map();
 const devices = new Map();
 const userSessions = new Map(); // userId -> Set of sessionIds
-const loginAttempts = new Map(); // deviceFingerprint -> attempts[]
+const loginAttempts = new Map(); // deviceFingerprint -> attempts[] (per process)
+const revokedSessions = new Map(); // sessionId -> revokedAt, so tokens for it are refused
+const revocationListeners = new Set(); // Called with (sessionId, reason) on every revocation
+
+// Set by initialize()
+let storageOverride = null;
+let unsubscribeEvents = null;
 
 // Statistics
 const stats = {
@@ -55,9 +67,91 @@ const stats = {
     suspiciousActivities: 0,
     blockedDevices: 0,
     sessionRefreshes: 0,
-    concurrentLimitHits: 0
+    concurrentLimitHits: 0,
+    remoteEvents: 0
 };
 
+// Stored sessions: activity since startup was already written back, so it wins
+const sessionRepository = defineRepository('sessions', {
+    owner: session => session.userId,
+    hydrate(entries) {
+        const now = Date.now();
+
+        for (const [sessionId, session] of entries) {
+            if (sessions.has(sessionId)) continue;
+            if (session.expiresAt < now) {
+                sessionRepository.discard(sessionId);
+                continue;
+            }
+
+            cacheSession(session);
+        }
+    }
+});
+
+// userId:fingerprint -> { userId, device }
+const deviceRepository = defineRepository('devices', {
+    owner: record => record.userId,
+    hydrate(entries) {
+        for (const [, { userId, device }] of entries) {
+            if (!devices.has(userId)) {
+                devices.set(userId, new Map());
+            }
+            const userDevices = devices.get(userId);
+            if (!userDevices.has(device.fingerprint)) {
+                userDevices.set(device.fingerprint, device);
+            }
+        }
+        stats.devicesTracked = countTotalDevices();
+    }
+});
+
+/**
+ * Write a device record through to the repository and other instances
+ */
+function persistDevice(userId, device) {
+    deviceRepository.persist(`${userId}:${device.fingerprint}`, { userId, device });
+    announce({ type: 'device', userId, device });
+}
+
+/**
+ * Add a session to the in-memory indexes (no-op once revoked)
+ */
+function cacheSession(session) {
+    if (revokedSessions.has(session.id)) return;
+
+    if (!sessions.has(session.id)) {
+        stats.activeSessions++;
+    }
+    sessions.set(session.id, session);
+
+    if (!userSessions.has(session.userId)) {
+        userSessions.set(session.userId, new Set());
+    }
+    userSessions.get(session.userId).add(session.id);
+}
+
+/**
+ * Remove a session from the in-memory indexes
+ * @returns {Object|null} The removed session
+ */
+function uncacheSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+
+    const userSessionSet = userSessions.get(session.userId);
+    if (userSessionSet) {
+        userSessionSet.delete(sessionId);
+        if (userSessionSet.size === 0) {
+            userSessions.delete(session.userId);
+        }
+    }
+
+    sessions.delete(sessionId);
+    stats.activeSessions--;
+    return session;
+}
+
 /**
  * Generate device fingerprint from request headers
  */
@@ -261,13 +355,9 @@ function createSession(userId, req, options = {}) {
         metadata: options.metadata || {}
     };
 
-    sessions.set(sessionId, session);
-
-    // Track user sessions
-    if (!userSessions.has(userId)) {
-        userSessions.set(userId, new Set());
-    }
-    userSessions.get(userId).add(sessionId);
+    cacheSession(session);
+    sessionRepository.persist(sessionId, session);
+    announce({ type: 'session', session });
 
     // Track device
     if (!devices.has(userId)) {
@@ -295,12 +385,12 @@ function createSession(userId, req, options = {}) {
     }
 
     devices.get(userId).set(deviceFingerprint, deviceRecord);
+    persistDevice(userId, deviceRecord);
 
     // Record successful login attempt
     recordLoginAttempt(deviceFingerprint, true);
 
     stats.totalSessions++;
-    stats.activeSessions++;
     stats.devicesTracked = countTotalDevices();
 
     return {
@@ -420,6 +510,8 @@ function refreshSession(sessionId) {
     session.expiresAt = Date.now() + SESSION_CONFIG.sessionTTL;
     session.refreshCount++;
     session.lastActiveAt = Date.now();
+    sessionRepository.persist(sessionId, session);
+    announce({ type: 'session', session });
 
     stats.sessionRefreshes++;
 
@@ -430,27 +522,107 @@ function refreshSession(sessionId) {
     };
 }
 
+/**
+ * Load a session that may not be cached on this instance yet
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Validated session, or null if gone
+ */
+async function loadSession(sessionId) {
+    if (revokedSessions.has(sessionId)) return null;
+
+    if (!sessions.has(sessionId)) {
+        const stored = await sessionRepository.get(sessionId);
+        if (!stored) return null;
+        cacheSession(stored);
+    }
+
+    const result = validateSession(sessionId);
+    return result.valid ? result.session : null;
+}
+
+/**
+ * Check if a session was revoked (access tokens carry its ID)
+ * Revocations this instance has seen; checkSessionRevoked() also asks storage.
+ * @param {string} sessionId - Session ID
+ * @returns {boolean}
+ */
+function isSessionRevoked(sessionId) {
+    return revokedSessions.has(sessionId);
+}
+
+/**
+ * Check if a session was revoked, asking storage on a cache miss
+ * Catches revocations announced before this instance subscribed (restarts,
+ * new nodes) or lost on the way.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+async function checkSessionRevoked(sessionId) {
+    if (revokedSessions.has(sessionId)) return true;
+
+    try {
+        if (await getSessionStorage().exists(keys.revokedSession(sessionId))) {
+            revokedSessions.set(sessionId, Date.now());
+            return true;
+        }
+    } catch (error) {
+        // Storage down: pub/sub still carried what it could
+        console.error('[SessionManager] Failed to check session revocation:', error.message);
+    }
+
+    return false;
+}
+
+/**
+ * Call a listener whenever a session is revoked, here or on another instance
+ * @param {Function} listener - (sessionId, reason) => void
+ * @returns {Function} Unsubscribe function
+ */
+function onSessionRevoked(listener) {
+    revocationListeners.add(listener);
+    return () => revocationListeners.delete(listener);
+}
+
+/**
+ * Tell listeners (open realtime connections, ...) a session is gone
+ */
+function notifyRevoked(sessionId, reason) {
+    for (const listener of revocationListeners) {
+        try {
+            listener(sessionId, reason);
+        } catch (error) {
+            console.error('[SessionManager] Revocation listener failed:', error.message);
+        }
+    }
+}
+
 /**
  * Revoke session
+ * Applied on every instance, including ones that never cached the session.
+ * @returns {boolean} True if the session was active here
  */
 function revokeSession(sessionId, reason = 'manual') {
-    const session = sessions.get(sessionId);
+    const session = uncacheSession(sessionId);
 
-    if (!session) {
-        return false;
+    revokedSessions.set(sessionId, Date.now());
+    sessionRepository.discard(sessionId);
+
+    // Every instance expires its own copy; an expired session has no live tokens
+    if (reason !== 'expired') {
+        getSessionStorage()
+            .set(keys.revokedSession(sessionId), Date.now(), { ttl: SESSION_CONFIG.accessTokenTTL })
+            .catch(error => {
+                console.error('[SessionManager] Failed to persist session revocation:', error.message);
+            });
+        announce({ type: 'revoked', sessionId, reason });
     }
 
-    // Remove from user sessions
-    const userSessionSet = userSessions.get(session.userId);
-    if (userSessionSet) {
-        userSessionSet.delete(sessionId);
-        if (userSessionSet.size === 0) {
-            userSessions.delete(session.userId);
-        }
+    notifyRevoked(sessionId, reason);
+
+    if (!session) {
+        return false;
     }
 
-    sessions.delete(sessionId);
-    stats.activeSessions--;
     stats.revokedSessions++;
 
     console.log(`[SessionManager] Session revoked: ${sessionId.substring(0, 8)}... Reason: ${reason}`);
@@ -516,13 +688,20 @@ function getUserDevices(userId) {
         return [];
     }
 
+    const active = new Map();
+    for (const sessionId of userSessions.get(userId) || []) {
+        const fingerprint = sessions.get(sessionId)?.deviceFingerprint;
+        active.set(fingerprint, (active.get(fingerprint) || 0) + 1);
+    }
+
     return Array.from(userDevices.values()).map(device => ({
         fingerprint: device.fingerprint.substring(0, 8) + '...',
         info: device.info,
         trustLevel: device.trustLevel,
         firstSeen: device.firstSeen,
         lastSeen: device.lastSeen,
-        sessionCount: device.sessionCount
+        sessionCount: device.sessionCount,
+        activeSessions: active.get(device.fingerprint) || 0
     }));
 }
 
@@ -542,6 +721,7 @@ function blockDevice(userId, deviceFingerprint) {
     }
 
     device.trustLevel = SESSION_CONFIG.trustLevels.BLOCKED;
+    persistDevice(userId, device);
     stats.blockedDevices++;
 
     // Revoke all sessions for this device
@@ -574,6 +754,7 @@ function trustDevice(userId, deviceFingerprint) {
     }
 
     device.trustLevel = SESSION_CONFIG.trustLevels.TRUSTED;
+    persistDevice(userId, device);
     return true;
 }
 
@@ -603,6 +784,13 @@ function cleanup() {
         }
     }
 
+    // Forget revocations older than any token that could carry them
+    for (const [sessionId, revokedAt] of revokedSessions.entries()) {
+        if (revokedAt < now - SESSION_CONFIG.revokedRetention) {
+            revokedSessions.delete(sessionId);
+        }
+    }
+
     // Cleanup old login attempts
     for (const [fingerprint, attempts] of loginAttempts.entries()) {
         const recent = attempts.filter(a => a.timestamp > now - 24 * 60 * 60 * 1000);
@@ -618,6 +806,100 @@ function cleanup() {
     }
 }
 
+// ============================================
+// PROPAGATION
+// ============================================
+
+/**
+ * Storage adapter carrying session events between instances
+ */
+function getSessionStorage() {
+    return storageOverride || getStorage();
+}
+
+/**
+ * Use a specific storage adapter (tests, or a dedicated Redis)
+ * @param {MemoryAdapter|RedisAdapter|null} adapter - Adapter, or null for getStorage()
+ */
+function setStorage(adapter) {
+    storageOverride = adapter;
+}
+
+/**
+ * Tell other instances about a session or device change
+ * @param {Object} event - { type: 'session'|'revoked'|'device', ... }
+ */
+function announce(event) {
+    // Nothing to tell before initialize() joined the cluster
+    if (!unsubscribeEvents) return;
+
+    getSessionStorage()
+        .publish(keys.pubsub.sessions, { origin: SESSION_CONFIG.instanceId, ...event })
+        .catch(error => {
+            console.error('[SessionManager] Failed to announce session event:', error.message);
+        });
+}
+
+/**
+ * Apply a change made on another instance
+ * @param {string} message - Serialized { origin, type, ... }
+ */
+function handleRemoteEvent(message) {
+    let event;
+    try {
+        event = typeof message === 'string' ? JSON.parse(message) : message;
+    } catch {
+        return;
+    }
+
+    if (!event?.type || event.origin === SESSION_CONFIG.instanceId) {
+        return;
+    }
+
+    stats.remoteEvents++;
+
+    switch (event.type) {
+        case 'session':
+            if (event.session?.id && event.session.userId) {
+                cacheSession(event.session);
+            }
+            break;
+
+        case 'revoked':
+            if (typeof event.sessionId === 'string') {
+                uncacheSession(event.sessionId);
+                revokedSessions.set(event.sessionId, Date.now());
+                notifyRevoked(event.sessionId, event.reason);
+            }
+            break;
+
+        case 'device':
+            if (event.userId && event.device?.fingerprint) {
+                if (!devices.has(event.userId)) {
+                    devices.set(event.userId, new Map());
+                }
+                devices.get(event.userId).set(event.device.fingerprint, event.device);
+                stats.devicesTracked = countTotalDevices();
+            }
+            break;
+    }
+}
+
+/**
+ * Follow session changes made on other instances
+ * @param {Object} options - Options
+ * @param {MemoryAdapter|RedisAdapter} [options.storage] - Storage adapter
+ */
+function initialize(options = {}) {
+    if (options.storage) {
+        setStorage(options.storage);
+    }
+
+    if (!unsubscribeEvents) {
+        unsubscribeEvents = getSessionStorage().subscribe(keys.pubsub.sessions, handleRemoteEvent);
+    }
+}
+
 /**
  * Get statistics
  */
@@ -628,8 +910,11 @@ function getStats() {
             sessions: sessions.size,
             devices: countTotalDevices(),
             userSessions: userSessions.size,
-            loginAttempts: loginAttempts.size
+            loginAttempts: loginAttempts.size,
+            revokedSessions: revokedSessions.size
         },
+        instanceId: SESSION_CONFIG.instanceId,
+        following: unsubscribeEvents !== null,
         config: {
             maxSessionsPerUser: SESSION_CONFIG.maxSessionsPerUser,
             sessionTTL: SESSION_CONFIG.sessionTTL,
@@ -640,23 +925,33 @@ function getStats() {
 
 // Start cleanup interval
 const cleanupTimer = setInterval(cleanup, SESSION_CONFIG.cleanupInterval);
-cleanupTimer.unref();
+if (cleanupTimer.unref) cleanupTimer.unref();
 
 // Graceful shutdown
 function shutdown() {
     clearInterval(cleanupTimer);
+    if (unsubscribeEvents) {
+        unsubscribeEvents();
+        unsubscribeEvents = null;
+    }
     sessions.clear();
     devices.clear();
     userSessions.clear();
     loginAttempts.clear();
+    revokedSessions.clear();
+    revocationListeners.clear();
     console.log('[SessionManager] Service shut down');
 }
 
 module.exports = {
     createSession,
     validateSession,
+    loadSession,
     refreshSession,
     revokeSession,
+    isSessionRevoked,
+    checkSessionRevoked,
+    onSessionRevoked,
     revokeAllUserSessions,
     getUserSessions,
     getUserDevices,
@@ -665,6 +960,8 @@ module.exports = {
     generateDeviceFingerprint,
     recordLoginAttempt,
     getStats,
+    initialize,
+    setStorage,
     shutdown,
     SESSION_CONFIG
 };
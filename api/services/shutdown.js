@@ -493,6 +493,16 @@ registerCleanup('queue', async () => {
     }
 }, { priority: 40 });
 
+// Repository write-behind (after the queue, whose jobs may still write)
+registerCleanup('database', async () => {
+    try {
+        const database = require('./database');
+        await database.flushRepositories();
+    } catch {
+        // Database may not be loaded
+    }
+}, { priority: 35 });
+
 // Scheduler cleanup
 registerCleanup('scheduler', async () => {
     try {
@@ -517,6 +527,28 @@ registerCleanup('healthcheck', async () => {
     }
 }, { priority: 20 });
 
+// Trace export (after the work that produces spans)
+registerCleanup('tracing', async () => {
+    try {
+        const tracing = require('./tracing');
+        await tracing.shutdown();
+    } catch {
+        // Tracing may not be loaded
+    }
+}, { priority: 15 });
+
+// Audit trail (runs last so shutdown events are chained)
+registerCleanup('audit', async () => {
+    try {
+        const audit = require('./audit');
+        if (audit.shutdown) {
+            await audit.shutdown();
+        }
+    } catch {
+        // Audit may not be loaded
+    }
+}, { priority: 10 });
+
 module.exports = {
     // Constants
     STATES,
@@ -0,0 +1,418 @@
+/**
+ * ASDF API - SMTP Client
+ *
+ * Minimal mail submission (RFC 5321 / RFC 6409):
+ * - Implicit TLS (465) or STARTTLS upgrade (587)
+ * - AUTH PLAIN / LOGIN
+ * - multipart/alternative messages (text + HTML)
+ *
+ * One connection per message: digests are sent a handful at a time.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Credentials never sent over cleartext (except to loopback)
+ * - Header injection rejected (no CR/LF in header values)
+ * - Connection and reply timeouts
+ * - Permanent failures (5xx) reported separately from transient ones
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const SMTP_CONFIG = {
+    enabled: !!process.env.SMTP_HOST,
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+
+    // Implicit TLS (port 465); otherwise STARTTLS when offered
+    secure: process.env.SMTP_SECURE === 'true',
+    requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+
+    from: process.env.SMTP_FROM || 'ASDF Games <no-reply@asdf.games>',
+    clientName: os.hostname(),
+
+    timeout: 30000
+};
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+// ============================================
+// STATE
+// ============================================
+
+const stats = {
+    sent: 0,
+    rejected: 0,
+    failed: 0,
+    lastError: null
+};
+
+// ============================================
+// SMTP SESSION
+// ============================================
+
+/**
+ * Error carrying the SMTP reply code
+ */
+class SmtpError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = code;
+        this.permanent = code !== null && code >= 500;
+    }
+}
+
+/**
+ * Reads replies off a socket and sends commands
+ */
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.replies = [];
+        this.waiting = [];
+        this.lines = [];
+        this.buffer = '';
+        this.failure = null;
+        this.attach(socket);
+    }
+
+    /**
+     * (Re)bind to a socket, e.g. after STARTTLS
+     * @param {net.Socket} socket
+     */
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        socket.setTimeout(this.timeout, () => socket.destroy(new SmtpError('SMTP timeout')));
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new SmtpError('Connection closed')));
+    }
+
+    onData(chunk) {
+        this.buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line.slice(4));
+
+            // "250-..." continues a multi-line reply, "250 ..." ends it
+            if (line[3] !== '-') {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines };
+                this.lines = [];
+                const waiter = this.waiting.shift();
+                if (waiter) waiter.resolve(reply);
+                else this.replies.push(reply);
+            }
+        }
+    }
+
+    fail(error) {
+        if (this.failure) return;
+        this.failure = error;
+        this.waiting.splice(0).forEach(waiter => waiter.reject(error));
+    }
+
+    /**
+     * Next reply, checked against the expected code
+     * @param {number} expected - e.g. 250, 354
+     * @returns {Promise<Object>}
+     */
+    async read(expected) {
+        const reply = this.replies.length > 0
+            ? this.replies.shift()
+            : await new Promise((resolve, reject) => {
+                if (this.failure) return reject(this.failure);
+                this.waiting.push({ resolve, reject });
+            });
+
+        if (reply.code !== expected) {
+            throw new SmtpError(`${reply.code} ${reply.lines.join(' ')}`.trim(), reply.code);
+        }
+        return reply;
+    }
+
+    /**
+     * Send a command and read its reply
+     * @param {string} line - Command (without CRLF)
+     * @param {number} expected - Expected reply code
+     * @returns {Promise<Object>}
+     */
+    command(line, expected) {
+        this.socket.write(`${line}\r\n`);
+        return this.read(expected);
+    }
+
+    close() {
+        this.failure = this.failure || new SmtpError('Session closed');
+        this.socket.destroy();
+    }
+}
+
+/**
+ * Open a connection and read the greeting
+ * @param {Object} config
+ * @returns {Promise<SmtpSession>}
+ */
+function connect(config) {
+    return new Promise((resolve, reject) => {
+        const options = { host: config.host, port: config.port, servername: config.host };
+        const socket = config.secure ? tls.connect(options) : net.connect(options);
+        const session = new SmtpSession(socket, config.timeout);
+
+        session.read(220).then(() => resolve(session), error => {
+            session.close();
+            reject(error);
+        });
+    });
+}
+
+/**
+ * EHLO and collect the advertised extensions
+ * @returns {Promise<Set<string>>}
+ */
+async function hello(session, clientName) {
+    const reply = await session.command(`EHLO ${clientName}`, 250);
+    return new Set(reply.lines.slice(1).map(line => line.toUpperCase()));
+}
+
+/**
+ * Upgrade the session to TLS
+ */
+async function startTls(session, config) {
+    await session.command('STARTTLS', 220);
+
+    const plain = session.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+
+    const secure = await new Promise((resolve, reject) => {
+        const socket = tls.connect({ socket: plain, servername: config.host }, () => resolve(socket));
+        socket.once('error', reject);
+    });
+    session.attach(secure);
+}
+
+/**
+ * Authenticate with the best mechanism offered
+ */
+async function authenticate(session, extensions, config) {
+    const mechanisms = [...extensions]
+        .filter(line => line.startsWith('AUTH'))
+        .flatMap(line => line.slice(5).split(' '));
+
+    if (mechanisms.includes('PLAIN')) {
+        const credentials = Buffer.from(`\0${config.user}\0${config.pass}`).toString('base64');
+        await session.command(`AUTH PLAIN ${credentials}`, 235);
+        return;
+    }
+
+    if (mechanisms.includes('LOGIN')) {
+        await session.command('AUTH LOGIN', 334);
+        await session.command(Buffer.from(config.user).toString('base64'), 334);
+        await session.command(Buffer.from(config.pass).toString('base64'), 235);
+        return;
+    }
+
+    throw new SmtpError('No supported AUTH mechanism');
+}
+
+// ============================================
+// MESSAGE BUILDING
+// ============================================
+
+/**
+ * Reject values that could inject headers or commands
+ * @param {string} value
+ * @param {string} name - For the error message
+ * @returns {string}
+ */
+function headerValue(value, name) {
+    const text = String(value);
+    if (/[\r\n]/.test(text)) {
+        throw new SmtpError(`Invalid ${name}`);
+    }
+    return text;
+}
+
+/**
+ * RFC 2047 encoded-word for non-ASCII header text
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeHeader(text) {
+    // eslint-disable-next-line no-control-regex
+    return /^[\x20-\x7e]*$/.test(text)
+        ? text
+        : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Address part of "Name <addr>" or a bare address
+ * @param {string} mailbox
+ * @returns {string}
+ */
+function extractAddress(mailbox) {
+    const match = /<([^<>]+)>\s*$/.exec(mailbox);
+    return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * base64 body wrapped at 76 characters
+ * @param {string} text
+ * @returns {string}
+ */
+function base64Body(text) {
+    return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Build the RFC 5322 message
+ * @param {Object} message - { from, to, subject, text, html, headers }
+ * @returns {{data: string, messageId: string}}
+ */
+function buildMessage(message) {
+    const from = headerValue(message.from, 'from');
+    const to = headerValue(message.to, 'recipient');
+    const domain = extractAddress(from).split('@')[1] || 'localhost';
+    const messageId = `<${crypto.randomBytes(16).toString('hex')}@${domain}>`;
+    const boundary = `asdf-${crypto.randomBytes(12).toString('hex')}`;
+
+    const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(headerValue(message.subject, 'subject'))}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0'
+    ];
+    for (const [name, value] of Object.entries(message.headers || {})) {
+        headers.push(`${headerValue(name, 'header name')}: ${headerValue(value, name)}`);
+    }
+
+    const parts = [['text/plain', message.text], ['text/html', message.html]]
+        .filter(([, body]) => body)
+        .map(([type, body]) => [
+            `--${boundary}`,
+            `Content-Type: ${type}; charset=utf-8`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Body(body)
+        ].join('\r\n'));
+
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+
+    const data = [...headers, '', ...parts, `--${boundary}--`, ''].join('\r\n');
+    return { data, messageId };
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * Send one message
+ * @param {Object} message - { to, subject, text, html, headers, from? }
+ * @param {Object} overrides - Connection settings (tests, alternative relays)
+ * @returns {Promise<Object>} { success, messageId } or { success: false, error, code, permanent }
+ */
+async function sendMail(message, overrides = {}) {
+    const config = { ...SMTP_CONFIG, ...overrides };
+
+    if (!config.host) {
+        return { success: false, error: 'SMTP not configured' };
+    }
+
+    let session;
+    try {
+        const { data, messageId } = buildMessage({ from: config.from, ...message });
+
+        session = await connect(config);
+        let extensions = await hello(session, config.clientName);
+
+        if (!config.secure && extensions.has('STARTTLS')) {
+            await startTls(session, config);
+            extensions = await hello(session, config.clientName);
+        } else if (!config.secure && config.requireTLS) {
+            throw new SmtpError('Server does not offer STARTTLS');
+        }
+
+        if (config.user) {
+            const encrypted = config.secure || session.socket instanceof tls.TLSSocket;
+            if (!encrypted && !LOOPBACK_HOSTS.includes(config.host)) {
+                throw new SmtpError('Refusing to authenticate without TLS');
+            }
+            await authenticate(session, extensions, config);
+        }
+
+        await session.command(`MAIL FROM:<${extractAddress(config.from)}>`, 250);
+        await session.command(`RCPT TO:<${extractAddress(message.to)}>`, 250);
+        await session.command('DATA', 354);
+
+        // Dot-stuffing (RFC 5321 §4.5.2); data ends with CRLF, then "."
+        const stuffed = data.replace(/^\./gm, '..');
+        const reply = await session.command(`${stuffed}.`, 250);
+
+        await session.command('QUIT', 221).catch(() => {});
+
+        stats.sent++;
+        return { success: true, messageId, response: reply.lines.join(' ') };
+
+    } catch (error) {
+        if (error.permanent) stats.rejected++;
+        else stats.failed++;
+        stats.lastError = error.message;
+
+        return {
+            success: false,
+            error: error.message,
+            code: error.code || null,
+            permanent: !!error.permanent
+        };
+    } finally {
+        if (session) session.close();
+    }
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Get SMTP statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return {
+        ...stats,
+        configured: SMTP_CONFIG.enabled
+    };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    sendMail,
+    buildMessage,
+    getStats,
+    SmtpError,
+    SMTP_CONFIG
+};
@@ -60,6 +60,7 @@ class MemoryAdapter extends EventEmitter {
         super();
         this.data = new Map();
         this.ttls = new Map();
+        this.pinned = new Set(); // Keys never evicted to make room
         this.channels = new Map();
         this.stats = {
             gets: 0,
@@ -86,6 +87,7 @@ class MemoryAdapter extends EventEmitter {
         if (ttlInfo && Date.now() > ttlInfo.expiresAt) {
             this.data.delete(key);
             this.ttls.delete(key);
+            this.pinned.delete(key);
             this.stats.misses++;
             return null;
         }
@@ -104,7 +106,8 @@ class MemoryAdapter extends EventEmitter {
      * Set a value
      * @param {string} key - Key
      * @param {any} value - Value
-     * @param {Object} options - Options
+     * @param {Object} options - Options ({ttl} ms or {ex} s; {pinned} to never
+     *   evict it when the key limit is hit, e.g. audit chain entries)
      * @returns {Promise<boolean>}
      */
     async set(key, value, options = {}) {
@@ -124,8 +127,14 @@ class MemoryAdapter extends EventEmitter {
 
         this.data.set(key, serialized);
 
+        if (options.pinned) {
+            this.pinned.add(key);
+        } else {
+            this.pinned.delete(key);
+        }
+
         // Set TTL
-        const ttl = options.ttl || options.ex ? options.ex * 1000 : null;
+        const ttl = options.ttl || (options.ex ? options.ex * 1000 : null);
         if (ttl) {
             this.ttls.set(key, {
                 expiresAt: Date.now() + ttl,
@@ -148,6 +157,7 @@ class MemoryAdapter extends EventEmitter {
         const existed = this.data.has(key);
         this.data.delete(key);
         this.ttls.delete(key);
+        this.pinned.delete(key);
         return existed;
     }
 
@@ -161,6 +171,7 @@ class MemoryAdapter extends EventEmitter {
         if (ttlInfo && Date.now() > ttlInfo.expiresAt) {
             this.data.delete(key);
             this.ttls.delete(key);
+            this.pinned.delete(key);
             return false;
         }
         return this.data.has(key);
@@ -210,6 +221,35 @@ class MemoryAdapter extends EventEmitter {
         return newValue;
     }
 
+    /**
+     * Take a lock if nobody holds it
+     * @param {string} key - Lock key
+     * @param {string} owner - Holder ID
+     * @param {number} ttlMs - Lock lifetime in ms
+     * @returns {Promise<boolean>} True if acquired
+     */
+    async acquireLock(key, owner, ttlMs) {
+        // Check and take without yielding, so concurrent callers cannot both win
+        const ttlInfo = this.ttls.get(key);
+        const held = this.data.has(key) && !(ttlInfo && Date.now() > ttlInfo.expiresAt);
+        if (held) return false;
+
+        await this.set(key, owner, { ttl: ttlMs });
+        return true;
+    }
+
+    /**
+     * Release a lock held by owner
+     * @param {string} key - Lock key
+     * @param {string} owner - Holder ID
+     * @returns {Promise<boolean>} True if released
+     */
+    async releaseLock(key, owner) {
+        if (await this.get(key) !== owner) return false;
+
+        return this.del(key);
+    }
+
     /**
      * Get multiple keys
      * @param {string[]} keys - Keys
@@ -375,6 +415,8 @@ class MemoryAdapter extends EventEmitter {
 
     /**
      * Sorted set operations
+     * Kept in Redis order: score, then member for equal scores. Ranges are
+     * inclusive of stop, like ZRANGE.
      */
     async zadd(key, ...args) {
         // args: [score1, member1, score2, member2, ...]
@@ -394,16 +436,59 @@ class MemoryAdapter extends EventEmitter {
             }
         }
 
-        // Sort by score
-        zset.sort((a, b) => a.score - b.score);
+        sortZset(zset);
         await this.set(key, zset);
         return added;
     }
 
+    /**
+     * Set a member's score only if it is higher (ZADD GT), adding it if missing
+     * @returns {Promise<number>} 1 if the member was added
+     */
+    async zaddgt(key, score, member) {
+        const zset = await this.get(key) || [];
+        const existing = zset.find(item => item.member === member);
+
+        if (existing) {
+            if (score <= existing.score) return 0;
+            existing.score = score;
+        } else {
+            zset.push({ score, member });
+        }
+
+        sortZset(zset);
+        await this.set(key, zset);
+        return existing ? 0 : 1;
+    }
+
+    async zincrby(key, increment, member) {
+        const zset = await this.get(key) || [];
+        let item = zset.find(i => i.member === member);
+
+        if (item) {
+            item.score += increment;
+        } else {
+            item = { score: increment, member };
+            zset.push(item);
+        }
+
+        sortZset(zset);
+        await this.set(key, zset);
+        return item.score;
+    }
+
+    async zrem(key, ...members) {
+        const zset = await this.get(key);
+        if (!zset) return 0;
+
+        const remaining = zset.filter(item => !members.includes(item.member));
+        await this.set(key, remaining);
+        return zset.length - remaining.length;
+    }
+
     async zrange(key, start, stop, withScores = false) {
         const zset = await this.get(key) || [];
-        if (stop < 0) stop = zset.length + stop + 1;
-        const slice = zset.slice(start, stop);
+        const slice = zset.slice(start, stop < 0 ? zset.length + stop + 1 : stop + 1);
 
         if (withScores) {
             return slice.flatMap(item => [item.member, item.score]);
@@ -414,8 +499,7 @@ class MemoryAdapter extends EventEmitter {
     async zrevrange(key, start, stop, withScores = false) {
         const zset = await this.get(key) || [];
         const reversed = [...zset].reverse();
-        if (stop < 0) stop = reversed.length + stop + 1;
-        const slice = reversed.slice(start, stop);
+        const slice = reversed.slice(start, stop < 0 ? reversed.length + stop + 1 : stop + 1);
 
         if (withScores) {
             return slice.flatMap(item => [item.member, item.score]);
@@ -435,6 +519,12 @@ class MemoryAdapter extends EventEmitter {
         return index >= 0 ? index : null;
     }
 
+    async zrevrank(key, member) {
+        const zset = await this.get(key) || [];
+        const index = zset.findIndex(i => i.member === member);
+        return index >= 0 ? zset.length - 1 - index : null;
+    }
+
     async zcard(key) {
         const zset = await this.get(key);
         return zset ? zset.length : 0;
@@ -499,19 +589,22 @@ class MemoryAdapter extends EventEmitter {
             if (now > ttlInfo.expiresAt) {
                 this.data.delete(key);
                 this.ttls.delete(key);
+                this.pinned.delete(key);
             }
         }
     }
 
     /**
-     * Evict oldest entry
+     * Evict oldest entry that isn't pinned
      */
     evictOldest() {
         // Simple FIFO eviction
-        const firstKey = this.data.keys().next().value;
-        if (firstKey) {
-            this.data.delete(firstKey);
-            this.ttls.delete(firstKey);
+        for (const key of this.data.keys()) {
+            if (this.pinned.has(key)) continue;
+
+            this.data.delete(key);
+            this.ttls.delete(key);
+            return;
         }
     }
 
@@ -521,6 +614,7 @@ class MemoryAdapter extends EventEmitter {
     async flushall() {
         this.data.clear();
         this.ttls.clear();
+        this.pinned.clear();
         return true;
     }
 
@@ -841,6 +935,39 @@ class RedisAdapter extends EventEmitter {
         return await this.client.incrBy(this._key(key), amount);
     }
 
+    /**
+     * Take a lock if nobody holds it (SET NX PX)
+     * Values go through serialize() so get() reads the owner back.
+     * @param {string} key - Lock key
+     * @param {string} owner - Holder ID
+     * @param {number} ttlMs - Lock lifetime in ms
+     * @returns {Promise<boolean>} True if acquired
+     */
+    async acquireLock(key, owner, ttlMs) {
+        validateKey(key);
+        const reply = await this.eval(
+            "return redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2])",
+            [key],
+            [serialize(owner), Math.max(1, Math.ceil(ttlMs))]
+        );
+        return reply === 'OK';
+    }
+
+    /**
+     * Release a lock held by owner (compare and delete)
+     * @param {string} key - Lock key
+     * @param {string} owner - Holder ID
+     * @returns {Promise<boolean>} True if released
+     */
+    async releaseLock(key, owner) {
+        const reply = await this.eval(
+            "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end return 0",
+            [key],
+            [serialize(owner)]
+        );
+        return reply === 1;
+    }
+
     /**
      * Get multiple keys
      * @param {string[]} keys - Keys
@@ -999,6 +1126,18 @@ class RedisAdapter extends EventEmitter {
         return await this.client.zRange(this._key(key), start, stop, { REV: true });
     }
 
+    async zaddgt(key, score, member) {
+        return await this.client.zAdd(this._key(key), { score, value: member }, { GT: true });
+    }
+
+    async zincrby(key, increment, member) {
+        return await this.client.zIncrBy(this._key(key), increment, member);
+    }
+
+    async zrem(key, ...members) {
+        return await this.client.zRem(this._key(key), members);
+    }
+
     async zscore(key, member) {
         return await this.client.zScore(this._key(key), member);
     }
@@ -1007,10 +1146,29 @@ class RedisAdapter extends EventEmitter {
         return await this.client.zRank(this._key(key), member);
     }
 
+    async zrevrank(key, member) {
+        return await this.client.zRevRank(this._key(key), member);
+    }
+
     async zcard(key) {
         return await this.client.zCard(this._key(key));
     }
 
+    /**
+     * Run a Lua script atomically
+     * Keys are prefixed like every other command; arguments are sent as strings.
+     * @param {string} script - Lua source
+     * @param {string[]} scriptKeys - Unprefixed keys (KEYS[])
+     * @param {Array<string|number>} args - Arguments (ARGV[])
+     * @returns {Promise<any>} Raw script reply
+     */
+    async eval(script, scriptKeys = [], args = []) {
+        return await this.client.eval(script, {
+            keys: scriptKeys.map(k => this._key(k)),
+            arguments: args.map(String)
+        });
+    }
+
     /**
      * Pub/Sub - Subscribe
      */
@@ -1229,6 +1387,14 @@ function validateKey(key) {
     }
 }
 
+/**
+ * Order a memory sorted set like Redis: by score, then by member
+ * @param {Array<{score: number, member: string}>} zset
+ */
+function sortZset(zset) {
+    zset.sort((a, b) => a.score - b.score || (a.member < b.member ? -1 : a.member > b.member ? 1 : 0));
+}
+
 /**
  * Serialize value for storage
  * @param {any} value - Value to serialize
@@ -1283,18 +1449,126 @@ const keys = {
     notificationList: (wallet) => `notif:list:${wallet}`,
     notificationPrefs: (wallet) => `notif:prefs:${wallet}`,
     notificationUnread: (wallet) => `notif:unread:${wallet}`,
+    realtime: {
+        nodes: 'realtime:nodes',
+        node: (instanceId) => `realtime:node:${instanceId}`,
+        sequence: (channel) => `realtime:seq:${channel}`,
+        replay: (channel) => `realtime:replay:${channel}`
+    },
     session: (id) => `session:${id}`,
+    revokedSession: (id) => `session:revoked:${id}`,
     user: (wallet) => `user:${wallet}`,
     leaderboard: (type) => `lb:${type}`,
     gameSession: (id) => `game:session:${id}`,
     replay: (id) => `replay:${id}`,
     progress: (wallet) => `progress:${wallet}`,
     achievement: (wallet) => `achievement:${wallet}`,
+    rateLimit: {
+        window: (key) => `ratelimit:win:${key}`,
+        bucket: (id) => `ratelimit:bucket:${id}`,
+        violation: (id) => `ratelimit:violation:${id}`,
+        violationHistory: (id) => `ratelimit:violation:${id}:history`,
+        permanentBans: 'ratelimit:bans:permanent',
+        temporaryBans: 'ratelimit:bans:temporary'
+    },
+    queue: {
+        job: (id) => `queue:job:${id}`,
+        pending: (priority) => `queue:pending:${priority}`,
+        leases: 'queue:leases',
+        leaseOwners: 'queue:leases:owners',
+        completed: 'queue:completed',
+        dead: 'queue:dead',
+        dedupe: (key) => `queue:dedupe:${key}`
+    },
+    scheduler: {
+        occurrence: (name, at) => `scheduler:lock:${name}:${at}`,
+        lastOccurrence: (name) => `scheduler:last:${name}`,
+        lastOccurrenceLock: (name) => `scheduler:lock:${name}:last`
+    },
+    config: {
+        overrides: 'config:overrides',
+        history: 'config:history'
+    },
+    digest: {
+        subscribers: 'notif:digest:subscribers',
+        lastSent: (wallet) => `notif:digest:last:${wallet}`
+    },
+    email: {
+        record: (wallet) => `email:${wallet}`,
+        verification: (hash) => `email:verify:${hash}`,
+        owners: (hash) => `email:owners:${hash}`,
+        suppressed: (hash) => `email:suppressed:${hash}`
+    },
+    webhooks: {
+        endpoint: (id) => `webhooks:endpoint:${id}`,
+        owner: (wallet) => `webhooks:owner:${wallet}`,
+        topic: (topic) => `webhooks:topic:${topic}`,
+        delivery: (id) => `webhooks:delivery:${id}`,
+        deliveries: (endpointId) => `webhooks:deliveries:${endpointId}`
+    },
+    dataExport: {
+        request: (id) => `dataexport:request:${id}`,
+        wallet: (wallet) => `dataexport:wallet:${wallet}`,
+        download: (token) => `dataexport:download:${token}`
+    },
+    seasons: {
+        season: (id) => `seasons:season:${id}`,
+        all: 'seasons:all',
+        sequence: 'seasons:sequence',
+        active: 'seasons:active',
+        board: (id, board) => `seasons:board:${id}:${board}`,
+        games: (id) => `seasons:games:${id}`,
+        burns: (id) => `seasons:burns:${id}`,
+        snapshot: (id) => `seasons:snapshot:${id}`,
+        payouts: (id) => `seasons:payouts:${id}`,
+        lock: (id) => `seasons:lock:${id}`
+    },
+    tournaments: {
+        tournament: (id) => `tournaments:tournament:${id}`,
+        all: 'tournaments:all',
+        sequence: 'tournaments:sequence',
+        players: (id) => `tournaments:players:${id}`,
+        registrations: (id) => `tournaments:registrations:${id}`,
+        entrySignatures: 'tournaments:entry_signatures',
+        attempts: (id) => `tournaments:attempts:${id}`,
+        standings: (id) => `tournaments:standings:${id}`,
+        bestAt: (id) => `tournaments:best_at:${id}`,
+        bracket: (id) => `tournaments:bracket:${id}`,
+        scores: (id) => `tournaments:scores:${id}`,
+        results: (id) => `tournaments:results:${id}`,
+        payouts: (id) => `tournaments:payouts:${id}`,
+        lock: (id) => `tournaments:lock:${id}`
+    },
+    burnIndexer: {
+        run: (mode) => `burnindexer:run:${mode}`,
+        head: 'burnindexer:head',
+        lock: 'burnindexer:lock'
+    },
+    burnAnalytics: {
+        watermark: 'burnanalytics:watermark',
+        lock: 'burnanalytics:lock'
+    },
+    apiKeys: {
+        record: (id) => `apikeys:key:${id}`,
+        owner: (wallet) => `apikeys:owner:${wallet}`,
+        all: 'apikeys:all',
+        lastUsed: (id) => `apikeys:lastused:${id}`,
+        usage: (id, month) => `apikeys:usage:${id}:${month}`
+    },
+    auth: {
+        refreshToken: (hash) => `auth:refresh:${hash}`,
+        refreshClaim: (hash) => `auth:refresh:claim:${hash}`,
+        family: (id) => `auth:family:${id}`
+    },
     pubsub: {
         notifications: (wallet) => `channel:notif:${wallet}`,
         global: 'channel:global',
         leaderboard: 'channel:leaderboard',
-        burns: 'channel:burns'
+        burns: 'channel:burns',
+        config: 'channel:config',
+        sessions: 'channel:sessions',
+        roles: 'channel:roles',
+        realtime: 'channel:realtime'
     }
 };
 
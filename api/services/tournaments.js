@@ -0,0 +1,1345 @@
+/**
+ * ASDF API - Arcade Tournaments
+ *
+ * Time-boxed competitions on one arcade game:
+ * - best_of: every player gets N attempts inside the window, best score counts
+ * - bracket: single elimination, each round a head-to-head on one seed
+ * - Optional entry by burning tokens (verified on-chain, one burn per entry)
+ * - Live standings and bracket updates on the tournament:<id> realtime channel
+ * - Final ranking paid out through the job queue (currency + achievement)
+ *
+ * Only re-simulated games (js/games/sim) can host tournaments: every run is
+ * played on a server-issued seed and checked by gameValidation, so all
+ * players of an attempt (best_of) or a round (bracket) face the same game.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Seeds stay server-side until a session is opened
+ * - One session per attempt / match, claimed atomically before it starts
+ * - Entry burns bound to the wallet, the tournament's lifetime and a single use
+ * - Bracket scores hidden until both players of a match have played
+ * - Start, advance and finish run under a per-tournament lock
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { getStorage, keys } = require('./storage');
+const { registerHandler, enqueue, PRIORITY } = require('./queue');
+const { schedule, unschedule } = require('./scheduler');
+const { startGameSession } = require('./gameValidation');
+const { isSimulated } = require('./gameSimulation');
+const { verifyBurnTransaction } = require('./helius');
+const { Signatures } = require('./database');
+const { grantAchievement, ACHIEVEMENTS } = require('./achievements');
+const { earnCurrency } = require('./shopV2');
+const { notifyWallet, notifyTournamentUpdate, NOTIFICATION_TYPES } = require('./realtimeNotifications');
+const { logAudit } = require('./leaderboard');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const TOURNAMENT_CONFIG = {
+    maxNameLength: 64,
+
+    // best_of: attempts per player
+    attempts: { min: 1, max: 13, default: 3 },
+
+    // Registration cap (brackets are capped lower: 6 rounds)
+    players: { min: 2, max: 256, bracketMax: 64, default: 32 },
+
+    // best_of window
+    duration: { min: HOUR, max: 30 * DAY },
+
+    // bracket round length
+    roundDuration: { min: HOUR, max: 7 * DAY, default: DAY },
+
+    // Entry burn bounds (tokens)
+    maxEntryBurn: 1_000_000_000,
+
+    // Live standings pushed after each score
+    liveStandings: 10,
+
+    // Start / advance / finish check
+    checkCron: '* * * * *',
+    lockTtl: 60 * 1000,
+
+    instanceId: crypto.randomUUID()
+};
+
+const FORMATS = {
+    BEST_OF: 'best_of',
+    BRACKET: 'bracket'
+};
+
+const TOURNAMENT_STATUS = {
+    SCHEDULED: 'scheduled',
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+const MATCH_STATUS = {
+    PENDING: 'pending',
+    OPEN: 'open',
+    DECIDED: 'decided'
+};
+
+// Fibonacci prizes by final rank
+const DEFAULT_PRIZES = [
+    { from: 1, to: 1, achievement: 'tournament_champion', currency: 1597 },
+    { from: 2, to: 2, achievement: null, currency: 987 },
+    { from: 3, to: 4, achievement: null, currency: 610 }
+];
+
+const JOB_TYPE = 'tournament_prize';
+const SIGNATURE = /^[1-9A-HJ-NP-Za-km-z]{64,128}$/;
+
+// ============================================
+// STATE
+// ============================================
+
+let checkTaskId = null;
+let initialized = false;
+
+const stats = {
+    created: 0,
+    registrations: 0,
+    sessionsStarted: 0,
+    scoresRecorded: 0,
+    completed: 0,
+    cancelled: 0,
+    prizesQueued: 0,
+    prizesPaid: 0
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+function maskWallet(wallet) {
+    return wallet.slice(0, 8) + '...';
+}
+
+function shortWallet(wallet) {
+    return `${wallet.slice(0, 4)}...${wallet.slice(-4)}`;
+}
+
+/**
+ * Timestamp from a number or an ISO date
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+function toTimestamp(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string' && value.trim()) {
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+}
+
+function randomSeed() {
+    return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+function inRange(value, { min, max }) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check and normalise tournament settings
+ * Used as-is for creation and on the merged record for updates.
+ * @param {Object} input
+ * @returns {{valid: boolean, fields?: Object, error?: string}}
+ */
+function validateSettings(input) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { valid: false, error: 'Name is required' };
+    if (name.length > TOURNAMENT_CONFIG.maxNameLength) {
+        return { valid: false, error: `Name must be at most ${TOURNAMENT_CONFIG.maxNameLength} characters` };
+    }
+
+    if (typeof input.gameId !== 'string' || !isSimulated(input.gameId)) {
+        return { valid: false, error: 'Tournaments need a replay-validated arcade game' };
+    }
+
+    const format = input.format || FORMATS.BEST_OF;
+    if (!Object.values(FORMATS).includes(format)) {
+        return { valid: false, error: `Format must be one of: ${Object.values(FORMATS).join(', ')}` };
+    }
+
+    const startsAt = toTimestamp(input.startsAt);
+    if (startsAt === null) return { valid: false, error: 'startsAt must be a timestamp or ISO date' };
+    if (startsAt <= Date.now()) return { valid: false, error: 'startsAt must be in the future' };
+
+    const limits = TOURNAMENT_CONFIG.players;
+    const maxPlayers = input.maxPlayers ?? limits.default;
+    const playerCap = format === FORMATS.BRACKET ? limits.bracketMax : limits.max;
+    if (!inRange(maxPlayers, { min: limits.min, max: playerCap })) {
+        return { valid: false, error: `maxPlayers must be between ${limits.min} and ${playerCap}` };
+    }
+
+    const entryBurn = input.entryBurn ?? 0;
+    if (typeof entryBurn !== 'number' || !Number.isFinite(entryBurn) || entryBurn < 0 ||
+        entryBurn > TOURNAMENT_CONFIG.maxEntryBurn) {
+        return { valid: false, error: 'entryBurn must be 0 (free) or a token amount' };
+    }
+
+    const fields = { name, gameId: input.gameId, format, startsAt, maxPlayers, entryBurn };
+
+    if (format === FORMATS.BEST_OF) {
+        const endsAt = toTimestamp(input.endsAt);
+        const { min, max } = TOURNAMENT_CONFIG.duration;
+        if (endsAt === null || endsAt - startsAt < min || endsAt - startsAt > max) {
+            return { valid: false, error: 'A best_of tournament must last between 1 hour and 30 days' };
+        }
+
+        const attempts = input.attempts ?? TOURNAMENT_CONFIG.attempts.default;
+        if (!inRange(attempts, TOURNAMENT_CONFIG.attempts)) {
+            return { valid: false, error: 'attempts must be between 1 and 13' };
+        }
+
+        Object.assign(fields, { endsAt, attempts, roundDuration: null });
+    } else {
+        const roundDuration = input.roundDuration ?? TOURNAMENT_CONFIG.roundDuration.default;
+        if (!inRange(roundDuration, TOURNAMENT_CONFIG.roundDuration)) {
+            return { valid: false, error: 'roundDuration must be between 1 hour and 7 days' };
+        }
+
+        // Known once the bracket is drawn; worst case until then
+        const rounds = Math.ceil(Math.log2(maxPlayers));
+        Object.assign(fields, { endsAt: startsAt + rounds * roundDuration, attempts: 1, roundDuration });
+    }
+
+    const prizes = validatePrizes(input.prizes, maxPlayers);
+    if (!prizes.valid) return prizes;
+    fields.prizes = prizes.prizes;
+
+    return { valid: true, fields };
+}
+
+function validatePrizes(prizes, maxPlayers) {
+    if (prizes === undefined) return { valid: true, prizes: DEFAULT_PRIZES };
+    if (!Array.isArray(prizes)) return { valid: false, error: 'Prizes must be an array' };
+
+    let previous = 0;
+    for (const tier of prizes) {
+        const { from, to, achievement = null, currency = 0 } = tier || {};
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from <= previous || to < from || to > maxPlayers) {
+            return { valid: false, error: 'Prize tiers need increasing, non-overlapping ranks within maxPlayers' };
+        }
+        if (achievement !== null && !ACHIEVEMENTS[achievement]) {
+            return { valid: false, error: `Unknown achievement: ${achievement}` };
+        }
+        if (!Number.isInteger(currency) || currency < 0) {
+            return { valid: false, error: 'Prize currency must be a non-negative integer' };
+        }
+        previous = to;
+    }
+
+    return {
+        valid: true,
+        prizes: prizes.map(({ from, to, achievement = null, currency = 0 }) => ({ from, to, achievement, currency }))
+    };
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+async function loadTournament(id) {
+    if (typeof id !== 'string') return null;
+    return getStorage().get(keys.tournaments.tournament(id));
+}
+
+async function saveTournament(tournament) {
+    tournament.updatedAt = Date.now();
+    await getStorage().set(keys.tournaments.tournament(tournament.id), tournament);
+}
+
+async function loadAllTournaments() {
+    const ids = await getStorage().smembers(keys.tournaments.all);
+    const tournaments = [];
+    for (const id of ids) {
+        const tournament = await loadTournament(id);
+        if (tournament) tournaments.push(tournament);
+    }
+    return tournaments.sort((a, b) => a.startsAt - b.startsAt);
+}
+
+/**
+ * Run fn while holding the tournament lock
+ * @returns {Promise<*>} fn's result, or null when another instance holds it
+ */
+async function withLock(id, fn) {
+    const storage = getStorage();
+    const lock = keys.tournaments.lock(id);
+    if (!(await storage.acquireLock(lock, TOURNAMENT_CONFIG.instanceId, TOURNAMENT_CONFIG.lockTtl))) {
+        return null;
+    }
+    try {
+        return await fn();
+    } finally {
+        await storage.releaseLock(lock, TOURNAMENT_CONFIG.instanceId);
+    }
+}
+
+/**
+ * Public view of a tournament (no seeds)
+ */
+function formatTournament(tournament, playerCount) {
+    return {
+        id: tournament.id,
+        number: tournament.number,
+        name: tournament.name,
+        gameId: tournament.gameId,
+        format: tournament.format,
+        status: tournament.status,
+        attempts: tournament.attempts,
+        maxPlayers: tournament.maxPlayers,
+        playerCount,
+        entryBurn: tournament.entryBurn,
+        startsAt: tournament.startsAt,
+        endsAt: tournament.endsAt,
+        roundDuration: tournament.roundDuration,
+        rounds: tournament.rounds,
+        prizes: tournament.prizes,
+        startedAt: tournament.startedAt,
+        completedAt: tournament.completedAt,
+        cancelledAt: tournament.cancelledAt,
+        cancelReason: tournament.cancelReason,
+        createdAt: tournament.createdAt
+    };
+}
+
+async function countPlayers(id) {
+    return getStorage().scard(keys.tournaments.players(id));
+}
+
+// ============================================
+// LIVE UPDATES
+// ============================================
+
+/**
+ * Push an update to the tournament channel (never throws)
+ */
+function publish(tournamentId, update) {
+    try {
+        notifyTournamentUpdate(tournamentId, update);
+    } catch (error) {
+        console.error('[Tournaments] Live update failed:', error.message);
+    }
+}
+
+/**
+ * Live top of a best_of tournament
+ * Equal scores are not ordered by time here; the final ranking settles them.
+ */
+async function topStandings(tournament, limit = TOURNAMENT_CONFIG.liveStandings, offset = 0) {
+    const storage = getStorage();
+    const reply = await storage.zrevrange(keys.tournaments.standings(tournament.id), offset, offset + limit - 1, true);
+    const entries = [];
+    for (let i = 0; i < reply.length; i += 2) {
+        entries.push({
+            rank: offset + i / 2 + 1,
+            wallet: reply[i],
+            walletShort: shortWallet(reply[i]),
+            score: Number(reply[i + 1])
+        });
+    }
+    return entries;
+}
+
+// ============================================
+// TOURNAMENTS
+// ============================================
+
+/**
+ * Schedule a tournament (registration opens immediately)
+ * @param {Object} input - { name, gameId, format, startsAt, endsAt | roundDuration, attempts?,
+ *                           maxPlayers?, entryBurn?, prizes? }
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function createTournament(input = {}, actor) {
+    const check = validateSettings(input);
+    if (!check.valid) return { success: false, error: check.error };
+
+    const storage = getStorage();
+    const number = await storage.incr(keys.tournaments.sequence);
+    const now = Date.now();
+    const tournament = {
+        id: `tournament-${number}`,
+        number,
+        ...check.fields,
+        status: TOURNAMENT_STATUS.SCHEDULED,
+        seeds: [],
+        rounds: null,
+        startedAt: null,
+        completedAt: null,
+        cancelledAt: null,
+        cancelReason: null,
+        createdAt: now,
+        createdBy: actor,
+        updatedAt: now
+    };
+
+    await saveTournament(tournament);
+    await storage.sadd(keys.tournaments.all, tournament.id);
+    stats.created++;
+
+    logAudit('tournament_created', {
+        tournamentId: tournament.id,
+        gameId: tournament.gameId,
+        format: tournament.format,
+        startsAt: tournament.startsAt,
+        entryBurn: tournament.entryBurn,
+        admin: maskWallet(actor)
+    });
+
+    return { success: true, tournament: formatTournament(tournament, 0) };
+}
+
+/**
+ * Change a tournament that has not started
+ * Game, format and entry burn are fixed once created (players registered for them).
+ * @param {string} id
+ * @param {Object} updates - { name?, startsAt?, endsAt?, roundDuration?, attempts?, maxPlayers?, prizes? }
+ * @param {string} actor - Admin wallet
+ * @returns {Promise<Object>}
+ */
+async function updateTournament(id, updates = {}, actor) {
+    const tournament = await loadTournament(id);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (tournament.status !== TOURNAMENT_STATUS.SCHEDULED) {
+        return { success: false, error: 'Only scheduled tournaments can be changed' };
+    }
+
+    const changes = {};
+    for (const field of ['name', 'startsAt', 'endsAt', 'roundDuration', 'attempts', 'maxPlayers', 'prizes']) {
+        if (updates[field] !== undefined) changes[field] = updates[field];
+    }
+
+    const check = validateSettings({ ...tournament, ...changes });
+    if (!check.valid) return { success: false, error: check.error };
+
+    const playerCount = await countPlayers(tournament.id);
+    if (check.fields.maxPlayers < playerCount) {
+        return { success: false, error: `${playerCount} players are already registered` };
+    }
+
+    Object.assign(tournament, check.fields);
+    await saveTournament(tournament);
+
+    logAudit('tournament_updated', {
+        tournamentId: tournament.id,
+        fields: Object.keys(changes),
+        admin: maskWallet(actor)
+    });
+
+    return { success: true, tournament: formatTournament(tournament, playerCount) };
+}
+
+/**
+ * Cancel a tournament before it completes (no prizes; burns are not refundable)
+ * @param {string} id
+ * @param {string} actor - Admin wallet, or 'system'
+ * @param {string} reason
+ * @returns {Promise<Object>}
+ */
+async function cancelTournament(id, actor, reason = 'Cancelled by an admin') {
+    const tournament = await loadTournament(id);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+
+    const result = await withLock(tournament.id, () => cancelLocked(tournament.id, actor, reason));
+    return result || { success: false, error: 'Tournament is busy, try again' };
+}
+
+async function cancelLocked(id, actor, reason) {
+    const tournament = await loadTournament(id);
+    if (tournament.status === TOURNAMENT_STATUS.COMPLETED || tournament.status === TOURNAMENT_STATUS.CANCELLED) {
+        return { success: false, error: `Tournament is ${tournament.status}` };
+    }
+
+    tournament.status = TOURNAMENT_STATUS.CANCELLED;
+    tournament.cancelledAt = Date.now();
+    tournament.cancelReason = typeof reason === 'string' ? reason.slice(0, 200) : null;
+    await saveTournament(tournament);
+    stats.cancelled++;
+
+    logAudit('tournament_cancelled', {
+        tournamentId: tournament.id,
+        reason: tournament.cancelReason,
+        actor: actor === 'system' ? actor : maskWallet(actor)
+    });
+    publish(tournament.id, { kind: 'status', status: tournament.status, reason: tournament.cancelReason });
+
+    return { success: true, tournament: formatTournament(tournament, await countPlayers(tournament.id)) };
+}
+
+// ============================================
+// REGISTRATION
+// ============================================
+
+/**
+ * Register a wallet for a scheduled tournament
+ * Paid tournaments need the signature of a burn of entryBurn tokens, made by
+ * this wallet after the tournament was announced. verifyBurnTransaction
+ * matches the amount to within 0.000001 tokens: burning more is rejected too.
+ * The seat is reserved before the burn is checked and released if the check
+ * fails, so a full tournament never looks up (or claims) a burn.
+ * @param {string} id
+ * @param {string} wallet
+ * @param {Object} options - { signature? }
+ * @returns {Promise<Object>}
+ */
+async function register(id, wallet, options = {}) {
+    const tournament = await loadTournament(id);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (!isRegistrationOpen(tournament)) {
+        return { success: false, error: 'Registration is closed' };
+    }
+
+    const paid = tournament.entryBurn > 0;
+    if (paid && (typeof options.signature !== 'string' || !SIGNATURE.test(options.signature))) {
+        return { success: false, error: `Entry requires burning ${tournament.entryBurn} tokens (signature)` };
+    }
+
+    const storage = getStorage();
+    const players = keys.tournaments.players(tournament.id);
+
+    // Reserve a seat: SADD tells concurrent requests from one wallet apart,
+    // the count after it tells who got the last seat
+    if (!(await storage.sadd(players, wallet))) {
+        return { success: false, error: 'Already registered' };
+    }
+    if (await storage.scard(players) > tournament.maxPlayers) {
+        await storage.srem(players, wallet);
+        return { success: false, error: 'Tournament is full' };
+    }
+
+    let signature = null;
+    if (paid) {
+        const entry = await verifyEntryBurn(tournament, wallet, options.signature);
+        if (!entry.valid) {
+            await storage.srem(players, wallet);
+            return { success: false, error: entry.error };
+        }
+        signature = options.signature;
+
+        // The lookup can outlast registration
+        const current = await loadTournament(tournament.id);
+        if (!current || !isRegistrationOpen(current)) {
+            await storage.srem(players, wallet);
+            await storage.srem(keys.tournaments.entrySignatures, signature);
+            return { success: false, error: 'Registration is closed' };
+        }
+    }
+
+    const registration = { registeredAt: Date.now(), entrySignature: signature };
+    await storage.hset(keys.tournaments.registrations(tournament.id), wallet, registration);
+    if (signature) {
+        await Signatures.markUsed(signature, wallet, 'tournament_entry');
+    }
+    stats.registrations++;
+
+    const playerCount = await storage.scard(players);
+    logAudit('tournament_registered', {
+        tournamentId: tournament.id,
+        wallet: maskWallet(wallet),
+        paid: Boolean(signature)
+    });
+    publish(tournament.id, { kind: 'players', playerCount });
+
+    return { success: true, registration, playerCount };
+}
+
+/**
+ * Whether a tournament still takes registrations
+ * @param {Object} tournament
+ * @returns {boolean}
+ */
+function isRegistrationOpen(tournament) {
+    return tournament.status === TOURNAMENT_STATUS.SCHEDULED && Date.now() < tournament.startsAt;
+}
+
+/**
+ * Check an entry burn and claim its signature
+ * @returns {Promise<{valid: boolean, error?: string}>}
+ */
+async function verifyEntryBurn(tournament, wallet, signature) {
+    const storage = getStorage();
+    if (await Signatures.isUsed(signature) || await storage.sismember(keys.tournaments.entrySignatures, signature)) {
+        return { valid: false, error: 'Burn already used' };
+    }
+
+    let burn;
+    try {
+        burn = await verifyBurnTransaction(signature, wallet, tournament.entryBurn);
+    } catch (error) {
+        console.warn('[Tournaments] Entry burn lookup failed:', error.message);
+        return { valid: false, error: 'Burn not confirmed yet, try again shortly' };
+    }
+
+    if (!burn.valid) {
+        return { valid: false, error: `Entry burn rejected: ${burn.error}` };
+    }
+    if (!burn.blockTime || burn.blockTime * 1000 < tournament.createdAt) {
+        return { valid: false, error: 'Entry burn predates the tournament' };
+    }
+
+    if (!(await storage.sadd(keys.tournaments.entrySignatures, signature))) {
+        return { valid: false, error: 'Burn already used' };
+    }
+    return { valid: true };
+}
+
+// ============================================
+// PLAY
+// ============================================
+
+/**
+ * Open a game session for the player's next attempt or current match
+ * The session is seeded with the tournament seed and carries the tournament
+ * context, so /api/game/submit hands the validated score back to recordResult.
+ * @param {string} id
+ * @param {string} wallet
+ * @returns {Promise<Object>} { success, session, attempt? , matchId? }
+ */
+async function startSession(id, wallet) {
+    const tournament = await loadTournament(id);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (tournament.status !== TOURNAMENT_STATUS.ACTIVE) {
+        return { success: false, error: 'Tournament is not running' };
+    }
+
+    const storage = getStorage();
+    if (!(await storage.sismember(keys.tournaments.players(tournament.id), wallet))) {
+        return { success: false, error: 'Not registered' };
+    }
+
+    const now = Date.now();
+    const attempts = keys.tournaments.attempts(tournament.id);
+    let seed;
+    let context;
+
+    if (tournament.format === FORMATS.BEST_OF) {
+        if (now >= tournament.endsAt) return { success: false, error: 'Tournament is over' };
+
+        const attempt = await storage.hincrby(attempts, wallet, 1);
+        if (attempt > tournament.attempts) {
+            await storage.hincrby(attempts, wallet, -1);
+            return { success: false, error: 'No attempts left' };
+        }
+        seed = tournament.seeds[attempt - 1];
+        context = { tournamentId: tournament.id, attempt };
+    } else {
+        const bracket = await storage.get(keys.tournaments.bracket(tournament.id));
+        const match = findOpenMatch(bracket, wallet);
+        if (!match) return { success: false, error: 'No match to play' };
+        if (now >= match.closesAt) return { success: false, error: 'Match is closed' };
+
+        if (await storage.hincrby(attempts, `${match.id}:${wallet}`, 1) > 1) {
+            return { success: false, error: 'Match already played' };
+        }
+        seed = tournament.seeds[match.round - 1];
+        context = { tournamentId: tournament.id, matchId: match.id };
+    }
+
+    const session = startGameSession(wallet, tournament.gameId, { seed, context });
+    stats.sessionsStarted++;
+
+    logAudit('tournament_session', {
+        tournamentId: tournament.id,
+        wallet: maskWallet(wallet),
+        attempt: context.attempt,
+        matchId: context.matchId
+    });
+
+    return {
+        success: true,
+        session: {
+            sessionId: session.sessionId,
+            token: session.token,
+            gameType: session.gameType,
+            startTime: session.startTime,
+            seed: session.seed,
+            rulesVersion: session.rulesVersion
+        },
+        attempt: context.attempt,
+        matchId: context.matchId
+    };
+}
+
+/**
+ * Record a validated score from a tournament session
+ * @param {string} wallet
+ * @param {Object} context - Session context: { tournamentId, attempt } or { tournamentId, matchId }
+ * @param {number} score - Validated score
+ * @returns {Promise<Object>}
+ */
+async function recordResult(wallet, context, score) {
+    const tournament = await loadTournament(context?.tournamentId);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (tournament.status !== TOURNAMENT_STATUS.ACTIVE) {
+        return { success: false, error: 'Tournament is not running' };
+    }
+
+    const storage = getStorage();
+    stats.scoresRecorded++;
+
+    if (tournament.format === FORMATS.BEST_OF) {
+        const standings = keys.tournaments.standings(tournament.id);
+        const previous = await storage.zscore(standings, wallet);
+        const improved = previous === null || previous === undefined || score > Number(previous);
+
+        if (improved) {
+            await storage.zaddgt(standings, score, wallet);
+            await storage.hset(keys.tournaments.bestAt(tournament.id), wallet, Date.now());
+            publish(tournament.id, { kind: 'standings', standings: await topStandings(tournament) });
+        }
+
+        const rank = await storage.zrevrank(standings, wallet);
+        return {
+            success: true,
+            tournamentId: tournament.id,
+            attempt: context.attempt,
+            attemptsLeft: tournament.attempts - Number(await storage.hget(keys.tournaments.attempts(tournament.id), wallet) || 0),
+            bestScore: improved ? score : Number(previous),
+            rank: rank === null ? null : rank + 1
+        };
+    }
+
+    const bracket = await storage.get(keys.tournaments.bracket(tournament.id));
+    const match = findMatch(bracket, context.matchId);
+    if (!match || match.status !== MATCH_STATUS.OPEN || !match.players.includes(wallet)) {
+        return { success: false, error: 'Match is closed' };
+    }
+
+    await storage.hset(keys.tournaments.scores(tournament.id), `${match.id}:${wallet}`, { score, at: Date.now() });
+
+    // Decide the match now if the opponent has played; otherwise the check will
+    await withLock(tournament.id, () => advanceLocked(tournament.id));
+
+    return { success: true, tournamentId: tournament.id, matchId: match.id };
+}
+
+// ============================================
+// BRACKETS
+// ============================================
+
+function findMatch(bracket, matchId) {
+    if (!bracket) return null;
+    for (const round of bracket.rounds) {
+        const match = round.find(m => m.id === matchId);
+        if (match) return match;
+    }
+    return null;
+}
+
+function findOpenMatch(bracket, wallet) {
+    if (!bracket) return null;
+    for (const round of bracket.rounds) {
+        const match = round.find(m => m.status === MATCH_STATUS.OPEN && m.players.includes(wallet));
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Draw a single-elimination bracket
+ * Players are shuffled; byes (up to the next power of two) go to the first
+ * slots so every first-round match has at least one player.
+ * @param {string[]} wallets
+ * @returns {Object[][]} rounds of matches
+ */
+function drawBracket(wallets) {
+    const players = [...wallets];
+    for (let i = players.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [players[i], players[j]] = [players[j], players[i]];
+    }
+
+    const size = 2 ** Math.ceil(Math.log2(players.length));
+    const slots = [...players, ...new Array(size - players.length).fill(null)];
+    const rounds = [];
+
+    for (let round = 1, count = size / 2; count >= 1; round++, count /= 2) {
+        rounds.push(Array.from({ length: count }, (_, index) => ({
+            id: `r${round}m${index + 1}`,
+            round,
+            index,
+            players: round === 1 ? [slots[index], slots[size - 1 - index]] : [null, null],
+            status: MATCH_STATUS.PENDING,
+            winner: null,
+            decidedBy: null,
+            opensAt: null,
+            closesAt: null
+        })));
+    }
+
+    return rounds;
+}
+
+/**
+ * Decide a match from the submitted scores (or the deadline)
+ * Higher score wins; a tie goes to whoever finished first; a player who did not
+ * play loses; if nobody played the first-listed player goes through.
+ */
+function decideMatch(match, scores) {
+    const [a, b] = match.players;
+    const sa = scores[`${match.id}:${a}`];
+    const sb = scores[`${match.id}:${b}`];
+
+    if (sa && sb) {
+        if (sa.score !== sb.score) {
+            return { winner: sa.score > sb.score ? a : b, decidedBy: 'score' };
+        }
+        return { winner: sa.at <= sb.at ? a : b, decidedBy: 'tiebreak' };
+    }
+    if (sa || sb) return { winner: sa ? a : b, decidedBy: 'forfeit' };
+    return { winner: a, decidedBy: 'no_show' };
+}
+
+/**
+ * Move a bracket forward: decide matches, fill and open the next round,
+ * and finish the tournament once the final is decided. Lock held by caller.
+ * @param {string} id
+ * @returns {Promise<boolean>} Whether anything changed
+ */
+async function advanceLocked(id) {
+    const tournament = await loadTournament(id);
+    if (!tournament || tournament.status !== TOURNAMENT_STATUS.ACTIVE || tournament.format !== FORMATS.BRACKET) {
+        return false;
+    }
+
+    const storage = getStorage();
+    const bracket = await storage.get(keys.tournaments.bracket(id));
+    const scores = await storage.hgetall(keys.tournaments.scores(id));
+    const now = Date.now();
+    const roundEnd = round => tournament.startsAt + round * tournament.roundDuration;
+    const opened = [];
+    const decided = [];
+    let changed = true;
+    let any = false;
+
+    while (changed) {
+        changed = false;
+
+        for (const round of bracket.rounds) {
+            for (const match of round) {
+                const [a, b] = match.players;
+
+                // Open once both players are known (byes are decided straight away)
+                if (match.status === MATCH_STATUS.PENDING) {
+                    if (match.round === 1 && (!a || !b)) {
+                        Object.assign(match, { status: MATCH_STATUS.DECIDED, winner: a || b, decidedBy: 'bye' });
+                    } else if (a && b) {
+                        match.status = MATCH_STATUS.OPEN;
+                        match.opensAt = now;
+                        match.closesAt = roundEnd(match.round);
+                        opened.push(match);
+                        changed = true;
+                        any = true;
+                        continue;
+                    } else {
+                        continue;
+                    }
+                } else if (match.status === MATCH_STATUS.OPEN) {
+                    const played = scores[`${match.id}:${a}`] && scores[`${match.id}:${b}`];
+                    if (!played && now < match.closesAt) continue;
+                    Object.assign(match, { status: MATCH_STATUS.DECIDED }, decideMatch(match, scores));
+                    decided.push(match);
+                } else {
+                    continue;
+                }
+
+                changed = true;
+                any = true;
+
+                const next = bracket.rounds[match.round]?.[Math.floor(match.index / 2)];
+                if (next) next.players[match.index % 2] = match.winner;
+            }
+        }
+    }
+
+    if (!any) return false;
+
+    await storage.set(keys.tournaments.bracket(id), bracket);
+
+    for (const match of opened) {
+        for (const wallet of match.players) {
+            const opponent = match.players.find(p => p !== wallet);
+            try {
+                notifyWallet(wallet, {
+                    type: NOTIFICATION_TYPES.TOURNAMENT_MATCH,
+                    data: {
+                        tournamentId: id,
+                        name: tournament.name,
+                        matchId: match.id,
+                        round: match.round,
+                        opponent: shortWallet(opponent),
+                        closesAt: match.closesAt
+                    }
+                });
+            } catch (error) {
+                console.error('[Tournaments] Match notification failed:', error.message);
+            }
+        }
+    }
+    for (const match of [...decided, ...opened]) {
+        publish(id, { kind: 'match', match: formatMatch(match, scores) });
+    }
+
+    const final = bracket.rounds[bracket.rounds.length - 1][0];
+    if (final.status === MATCH_STATUS.DECIDED) {
+        await finishLocked(tournament, bracketRanking(bracket, scores));
+    }
+
+    return true;
+}
+
+/**
+ * Final ranking of a bracket: champion 1, finalist 2, semi-finalists 3,
+ * quarter-finalists 5, ... (players knocked out in the same round share a rank)
+ */
+function bracketRanking(bracket, scores) {
+    const totalRounds = bracket.rounds.length;
+    const final = bracket.rounds[totalRounds - 1][0];
+    const ranking = [{ rank: 1, wallet: final.winner, eliminatedIn: null }];
+
+    for (let round = totalRounds; round >= 1; round--) {
+        for (const match of bracket.rounds[round - 1]) {
+            const loser = match.players.find(p => p && p !== match.winner);
+            if (!loser) continue;
+            ranking.push({
+                rank: 2 ** (totalRounds - round) + 1,
+                wallet: loser,
+                eliminatedIn: round,
+                score: scores[`${match.id}:${loser}`]?.score ?? null
+            });
+        }
+    }
+
+    return ranking.map(entry => ({ ...entry, walletShort: shortWallet(entry.wallet) }));
+}
+
+/**
+ * Public view of a match (scores hidden until it is decided)
+ */
+function formatMatch(match, scores) {
+    const decided = match.status === MATCH_STATUS.DECIDED;
+    return {
+        id: match.id,
+        round: match.round,
+        status: match.status,
+        players: match.players.map(wallet => {
+            if (!wallet) return null;
+            const entry = scores[`${match.id}:${wallet}`];
+            return {
+                wallet,
+                walletShort: shortWallet(wallet),
+                played: Boolean(entry),
+                score: decided && entry ? entry.score : null
+            };
+        }),
+        winner: match.winner,
+        decidedBy: match.decidedBy,
+        opensAt: match.opensAt,
+        closesAt: match.closesAt
+    };
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Close registration and start (or cancel when too few players). Lock held.
+ */
+async function startLocked(id) {
+    const tournament = await loadTournament(id);
+    if (!tournament || tournament.status !== TOURNAMENT_STATUS.SCHEDULED) return false;
+
+    const storage = getStorage();
+    // Seats still waiting on a burn lookup don't play
+    const registered = await storage.hgetall(keys.tournaments.registrations(id));
+    const players = (await storage.smembers(keys.tournaments.players(id)))
+        .filter(wallet => wallet in registered);
+
+    if (players.length < TOURNAMENT_CONFIG.players.min) {
+        await cancelLocked(id, 'system', 'Not enough players');
+        return true;
+    }
+
+    tournament.status = TOURNAMENT_STATUS.ACTIVE;
+    tournament.startedAt = Date.now();
+
+    if (tournament.format === FORMATS.BEST_OF) {
+        tournament.seeds = Array.from({ length: tournament.attempts }, randomSeed);
+        await saveTournament(tournament);
+    } else {
+        const rounds = drawBracket(players);
+        tournament.rounds = rounds.length;
+        tournament.seeds = Array.from({ length: rounds.length }, randomSeed);
+        tournament.endsAt = tournament.startsAt + rounds.length * tournament.roundDuration;
+        await storage.set(keys.tournaments.bracket(id), { rounds });
+        await saveTournament(tournament);
+    }
+
+    logAudit('tournament_started', { tournamentId: id, players: players.length });
+    publish(id, { kind: 'status', status: tournament.status, playerCount: players.length });
+
+    if (tournament.format === FORMATS.BRACKET) {
+        await advanceLocked(id);
+    }
+    return true;
+}
+
+/**
+ * Store the final ranking and queue prizes. Lock held.
+ * @param {Object} tournament
+ * @param {Object[]} ranking - [{ rank, wallet, walletShort, score? }]
+ */
+async function finishLocked(tournament, ranking) {
+    const storage = getStorage();
+    const completedAt = Date.now();
+    await storage.set(keys.tournaments.results(tournament.id), { ranking, completedAt });
+
+    let queued = 0;
+    for (const entry of ranking) {
+        const tier = tournament.prizes.find(t => entry.rank >= t.from && entry.rank <= t.to);
+        if (!tier || (!tier.achievement && !tier.currency)) continue;
+
+        await enqueue(JOB_TYPE, {
+            tournamentId: tournament.id,
+            wallet: entry.wallet,
+            rank: entry.rank,
+            achievement: tier.achievement,
+            currency: tier.currency
+        }, {
+            priority: PRIORITY.NORMAL,
+            dedupeKey: `tournament:${tournament.id}:${entry.wallet}`
+        });
+        queued++;
+    }
+
+    const current = await loadTournament(tournament.id);
+    current.status = TOURNAMENT_STATUS.COMPLETED;
+    current.completedAt = completedAt;
+    await saveTournament(current);
+
+    stats.completed++;
+    stats.prizesQueued += queued;
+
+    logAudit('tournament_completed', {
+        tournamentId: tournament.id,
+        players: ranking.length,
+        winner: ranking[0] ? maskWallet(ranking[0].wallet) : null,
+        prizesQueued: queued
+    });
+    publish(tournament.id, { kind: 'status', status: current.status, podium: ranking.slice(0, 3) });
+}
+
+/**
+ * Rank a finished best_of tournament (ties: whoever reached the score first). Lock held.
+ */
+async function finishBestOfLocked(id) {
+    const tournament = await loadTournament(id);
+    if (!tournament || tournament.status !== TOURNAMENT_STATUS.ACTIVE) return false;
+
+    const storage = getStorage();
+    const reply = await storage.zrevrange(keys.tournaments.standings(id), 0, -1, true);
+    const bestAt = await storage.hgetall(keys.tournaments.bestAt(id));
+
+    const entries = [];
+    for (let i = 0; i < reply.length; i += 2) {
+        entries.push({ wallet: reply[i], score: Number(reply[i + 1]), at: Number(bestAt[reply[i]] || 0) });
+    }
+    entries.sort((x, y) => y.score - x.score || x.at - y.at);
+
+    const ranking = entries.map((entry, i) => ({
+        rank: i + 1,
+        wallet: entry.wallet,
+        walletShort: shortWallet(entry.wallet),
+        score: entry.score
+    }));
+
+    await finishLocked(tournament, ranking);
+    return true;
+}
+
+/**
+ * Start, advance and finish tournaments whose time has come
+ * Called every minute by the scheduler.
+ * @returns {Promise<{started: string[], advanced: string[], completed: string[]}>}
+ */
+async function checkTournaments() {
+    const now = Date.now();
+    const report = { started: [], advanced: [], completed: [] };
+
+    for (const tournament of await loadAllTournaments()) {
+        const { id, status, format } = tournament;
+
+        if (status === TOURNAMENT_STATUS.SCHEDULED && now >= tournament.startsAt) {
+            if (await withLock(id, () => startLocked(id))) report.started.push(id);
+        } else if (status === TOURNAMENT_STATUS.ACTIVE && format === FORMATS.BEST_OF && now >= tournament.endsAt) {
+            if (await withLock(id, () => finishBestOfLocked(id))) report.completed.push(id);
+        } else if (status === TOURNAMENT_STATUS.ACTIVE && format === FORMATS.BRACKET) {
+            if (await withLock(id, () => advanceLocked(id))) report.advanced.push(id);
+        } else {
+            continue;
+        }
+
+        if ((await loadTournament(id))?.status === TOURNAMENT_STATUS.COMPLETED && !report.completed.includes(id)) {
+            report.completed.push(id);
+        }
+    }
+
+    return report;
+}
+
+// ============================================
+// PRIZES
+// ============================================
+
+/**
+ * Pay one tournament prize (job handler)
+ * Throws so the queue retries when the currency ledger is unavailable.
+ * @param {Object} data - { tournamentId, wallet, rank, achievement, currency }
+ * @returns {Promise<Object>}
+ */
+async function payPrize(data) {
+    const { tournamentId, wallet, rank, achievement, currency } = data;
+    const payouts = keys.tournaments.payouts(tournamentId);
+
+    if (await getStorage().hget(payouts, wallet)) {
+        return { skipped: true };
+    }
+
+    const unlocked = achievement ? grantAchievement(wallet, achievement).success : false;
+
+    if (currency > 0) {
+        await earnCurrency(wallet, currency, 'tournament_prize', tournamentId);
+    }
+
+    await getStorage().hset(payouts, wallet, { rank, achievement, currency, paidAt: Date.now() });
+    stats.prizesPaid++;
+
+    logAudit('tournament_prize_paid', {
+        tournamentId,
+        wallet: maskWallet(wallet),
+        rank,
+        achievement,
+        unlocked,
+        currency
+    });
+
+    return { paid: true };
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Tournaments by start time
+ * @param {Object} options - { status? }
+ * @returns {Promise<Object[]>}
+ */
+async function listTournaments(options = {}) {
+    const tournaments = (await loadAllTournaments())
+        .filter(t => !options.status || t.status === options.status);
+
+    const result = [];
+    for (const tournament of tournaments) {
+        result.push(formatTournament(tournament, await countPlayers(tournament.id)));
+    }
+    return result;
+}
+
+/**
+ * A tournament with its standings or bracket, and final results once completed
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getTournament(id) {
+    const tournament = await loadTournament(id);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+
+    const storage = getStorage();
+    const result = {
+        success: true,
+        tournament: formatTournament(tournament, await countPlayers(tournament.id)),
+        standings: null,
+        bracket: null,
+        results: null
+    };
+
+    if (tournament.format === FORMATS.BEST_OF && tournament.status !== TOURNAMENT_STATUS.SCHEDULED) {
+        result.standings = await topStandings(tournament, 100);
+    }
+
+    if (tournament.format === FORMATS.BRACKET) {
+        const bracket = await storage.get(keys.tournaments.bracket(tournament.id));
+        if (bracket) {
+            const scores = await storage.hgetall(keys.tournaments.scores(tournament.id));
+            result.bracket = bracket.rounds.map(round => round.map(match => formatMatch(match, scores)));
+        }
+    }
+
+    if (tournament.status === TOURNAMENT_STATUS.COMPLETED) {
+        result.results = await storage.get(keys.tournaments.results(tournament.id));
+    }
+
+    return result;
+}
+
+/**
+ * A page of best_of standings
+ * @param {string} id
+ * @param {Object} options - { limit?, offset? }
+ * @returns {Promise<Object>}
+ */
+async function getStandings(id, options = {}) {
+    const tournament = await loadTournament(id);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+    if (tournament.format !== FORMATS.BEST_OF) {
+        return { success: false, error: 'Bracket tournaments have no standings' };
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(options.limit, 10) || 20, 1), 100);
+    const offset = Math.max(Number.parseInt(options.offset, 10) || 0, 0);
+
+    return {
+        success: true,
+        tournamentId: tournament.id,
+        total: await getStorage().zcard(keys.tournaments.standings(tournament.id)),
+        entries: await topStandings(tournament, limit, offset)
+    };
+}
+
+/**
+ * A player's registration, attempts, current match and prize
+ * @param {string} id
+ * @param {string} wallet
+ * @returns {Promise<Object>}
+ */
+async function getPlayerStatus(id, wallet) {
+    const tournament = await loadTournament(id);
+    if (!tournament) return { success: false, error: 'Tournament not found' };
+
+    const storage = getStorage();
+    const registration = await storage.hget(keys.tournaments.registrations(tournament.id), wallet);
+    const status = {
+        success: true,
+        tournamentId: tournament.id,
+        registered: Boolean(registration),
+        registeredAt: registration?.registeredAt || null,
+        prize: await storage.hget(keys.tournaments.payouts(tournament.id), wallet)
+    };
+
+    if (tournament.format === FORMATS.BEST_OF) {
+        const used = Number(await storage.hget(keys.tournaments.attempts(tournament.id), wallet) || 0);
+        const standings = keys.tournaments.standings(tournament.id);
+        const rank = await storage.zrevrank(standings, wallet);
+        const best = await storage.zscore(standings, wallet);
+        Object.assign(status, {
+            attemptsUsed: used,
+            attemptsLeft: Math.max(tournament.attempts - used, 0),
+            bestScore: best === null || best === undefined ? null : Number(best),
+            rank: rank === null || rank === undefined ? null : rank + 1
+        });
+    } else {
+        const bracket = await storage.get(keys.tournaments.bracket(tournament.id));
+        const match = findOpenMatch(bracket, wallet);
+        if (match) {
+            const scores = await storage.hgetall(keys.tournaments.scores(tournament.id));
+            status.match = { ...formatMatch(match, scores), played: Boolean(scores[`${match.id}:${wallet}`]) };
+        } else {
+            status.match = null;
+        }
+    }
+
+    return status;
+}
+
+// ============================================
+// SERVICE LIFECYCLE
+// ============================================
+
+/**
+ * Register the prize handler and the minute check
+ */
+function initialize() {
+    if (initialized) return;
+
+    registerHandler(JOB_TYPE, payPrize, { timeout: 30000, maxRetries: 5 });
+    ({ taskId: checkTaskId } = schedule('arcade-tournaments', TOURNAMENT_CONFIG.checkCron, () => checkTournaments(), {
+        timezone: 'UTC',
+        catchUp: 'run-once'
+    }));
+
+    initialized = true;
+}
+
+/**
+ * Stop starting, advancing and finishing tournaments on this instance
+ */
+function shutdown() {
+    if (checkTaskId) {
+        unschedule(checkTaskId);
+        checkTaskId = null;
+    }
+    initialized = false;
+}
+
+/**
+ * Get tournament statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return { ...stats, initialized };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Tournaments
+    createTournament,
+    updateTournament,
+    cancelTournament,
+    checkTournaments,
+
+    // Players
+    register,
+    startSession,
+    recordResult,
+    payPrize,
+
+    // Queries
+    listTournaments,
+    getTournament,
+    getStandings,
+    getPlayerStatus,
+
+    // Lifecycle
+    initialize,
+    shutdown,
+    getStats,
+
+    // Constants
+    FORMATS,
+    TOURNAMENT_STATUS,
+    MATCH_STATUS,
+    DEFAULT_PRIZES,
+    TOURNAMENT_CONFIG
+};
@@ -2,20 +2,22 @@
  * ASDF API - Request Tracing Service
  *
  * Distributed tracing for debugging:
- * - Trace ID propagation
+ * - W3C traceparent/tracestate propagation (in and out)
  * - Span creation and nesting
  * - Context management
  * - Performance profiling
+ * - OTLP/HTTP JSON and file export
  *
  * Security by Design:
  * - PII redaction in traces
  * - Sensitive header filtering
- * - Configurable sampling
+ * - Configurable sampling (errors and slow traces always kept)
  */
 
 'use strict';
 
 const crypto = require('crypto');
+const fs = require('fs');
 const { AsyncLocalStorage } = require('async_hooks');
 
 // ============================================
@@ -26,6 +28,8 @@ const TRACING_CONFIG = {
     // Sampling
     sampleRate: 1.0,  // 100% in dev, reduce in production
     alwaysSampleErrors: true,
+    alwaysSampleSlow: true,
+    slowTraceThreshold: 1000,  // ms; slower traces are kept whatever the sample rate
 
     // Retention
     maxTraces: 10000,
@@ -35,12 +39,28 @@ const TRACING_CONFIG = {
     maxSpansPerTrace: 100,
     maxSpanTags: 50,
 
-    // Headers
+    // Headers (W3C Trace Context first, legacy x-* headers still read)
+    traceparentHeader: 'traceparent',
+    tracestateHeader: 'tracestate',
+    maxTracestateLength: 512,
     traceIdHeader: 'x-trace-id',
     spanIdHeader: 'x-span-id',
     parentSpanHeader: 'x-parent-span-id',
     sampledHeader: 'x-trace-sampled',
 
+    // Export: 'otlp', 'file' or 'none'
+    serviceName: process.env.OTEL_SERVICE_NAME || 'asdf-api',
+    exporter: process.env.OTEL_TRACES_EXPORTER ||
+        (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? 'otlp' : 'none'),
+    otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+        `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '')}/v1/traces`,
+    otlpHeaders: process.env.OTEL_EXPORTER_OTLP_HEADERS || '',  // k1=v1,k2=v2
+    exportFile: process.env.TRACING_EXPORT_FILE || 'traces.otlp.jsonl',
+    exportInterval: 5000,
+    exportBatchSize: 100,     // Traces per request
+    maxExportQueue: 2000,     // Oldest traces dropped beyond this
+    exportTimeout: 10000,
+
     // Sensitive headers to redact
     sensitiveHeaders: [
         'authorization',
@@ -73,12 +93,27 @@ const traces = new Map();
 // Completed traces (for querying)
 const completedTraces = [];
 
+// Kept traces waiting for export (OTLP-ready snapshots)
+const exportQueue = [];
+
 // Stats
 const tracingStats = {
     tracesCreated: 0,
     spansCreated: 0,
     tracesSampled: 0,
-    tracesDropped: 0
+    tracesDropped: 0,
+    keptErrors: 0,
+    keptSlow: 0,
+    tracesExported: 0,
+    exportErrors: 0,
+    exportDropped: 0
+};
+
+// Span kinds (OTLP numbering)
+const SPAN_KINDS = {
+    internal: 1,
+    server: 2,
+    client: 3
 };
 
 // ============================================
@@ -94,6 +129,7 @@ class Trace {
     constructor(traceId, options = {}) {
         this.id = traceId;
         this.sampled = options.sampled ?? shouldSample();
+        this.traceState = options.traceState || null;
         this.startTime = Date.now();
         this.endTime = null;
         this.rootSpan = null;
@@ -164,15 +200,43 @@ class Trace {
         return this;
     }
 
+    /**
+     * Check if the trace or any of its spans failed
+     * @returns {boolean}
+     */
+    hasError() {
+        if (this.error) return true;
+
+        for (const span of this.spans.values()) {
+            if (span.error) return true;
+            if (span.tags['http.status_code'] >= 500) return true;
+        }
+        return false;
+    }
+
     /**
      * End the trace
+     * Tail sampling: errors and slow traces are kept even when the
+     * head decision (sample rate, parent flag) dropped them.
      */
     finish() {
         this.endTime = Date.now();
 
-        // Store if sampled
-        if (this.sampled || (TRACING_CONFIG.alwaysSampleErrors && this.error)) {
+        let keep = this.sampled;
+        if (!keep && TRACING_CONFIG.alwaysSampleErrors && this.hasError()) {
+            keep = true;
+            tracingStats.keptErrors++;
+        } else if (!keep && TRACING_CONFIG.alwaysSampleSlow &&
+            this.getDuration() >= TRACING_CONFIG.slowTraceThreshold) {
+            keep = true;
+            tracingStats.keptSlow++;
+        }
+
+        if (keep) {
             storeCompletedTrace(this);
+            queueExport(this);
+        } else {
+            tracingStats.tracesDropped++;
         }
 
         // Remove from active traces
@@ -198,6 +262,7 @@ class Trace {
             serviceName: this.serviceName,
             operationName: this.operationName,
             sampled: this.sampled,
+            traceState: this.traceState,
             startTime: this.startTime,
             endTime: this.endTime,
             duration: this.getDuration(),
@@ -226,6 +291,7 @@ class Span {
         this.trace = trace;
         this.operationName = operationName;
         this.parentSpanId = options.parentSpanId || null;
+        this.kind = options.kind || 'internal';
         this.startTime = Date.now();
         this.endTime = null;
         this.tags = {};
@@ -301,10 +367,12 @@ class Span {
     /**
      * Create a child span
      * @param {string} operationName - Child operation name
+     * @param {Object} options - Span options (kind)
      * @returns {Span}
      */
-    createChild(operationName) {
+    createChild(operationName, options = {}) {
         const child = new Span(this.trace, operationName, {
+            ...options,
             parentSpanId: this.id
         });
         this.children.push(child.id);
@@ -337,6 +405,7 @@ class Span {
             traceId: this.traceId,
             operationName: this.operationName,
             parentSpanId: this.parentSpanId,
+            kind: this.kind,
             startTime: this.startTime,
             endTime: this.endTime,
             duration: this.getDuration(),
@@ -409,8 +478,11 @@ function startTrace(operationName, options = {}) {
 
     traces.set(traceId, trace);
 
-    // Create root span
-    const rootSpan = new Span(trace, operationName);
+    // Create root span (child of the caller's span when continuing a trace)
+    const rootSpan = new Span(trace, operationName, {
+        parentSpanId: options.parentSpanId,
+        kind: options.kind
+    });
 
     return {
         trace,
@@ -423,9 +495,10 @@ function startTrace(operationName, options = {}) {
 /**
  * Start a new span in current trace
  * @param {string} operationName - Span operation name
+ * @param {Object} options - Span options (kind)
  * @returns {Span|null}
  */
-function startSpan(operationName) {
+function startSpan(operationName, options = {}) {
     const context = getContext();
     if (!context?.trace) {
         return null;
@@ -433,12 +506,138 @@ function startSpan(operationName) {
 
     const parentSpan = context.span;
     const span = parentSpan
-        ? parentSpan.createChild(operationName)
-        : new Span(context.trace, operationName);
+        ? parentSpan.createChild(operationName, options)
+        : new Span(context.trace, operationName, options);
 
     return span;
 }
 
+/**
+ * Run a function inside a child span of the current trace
+ * The span is current while fn runs, so nested spans and outgoing
+ * headers (injectTraceHeaders) hang off it. Without a trace, fn just runs.
+ * @param {string} operationName - Span operation name
+ * @param {Function} fn - Receives the span (or null)
+ * @param {Object} options - kind, tags
+ * @returns {Promise<any>} fn's result
+ */
+async function withSpan(operationName, fn, options = {}) {
+    const context = getContext();
+    const span = startSpan(operationName, { kind: options.kind });
+    if (!span) {
+        return fn(null);
+    }
+
+    if (options.tags) {
+        span.setTags(options.tags);
+    }
+
+    try {
+        return await runWithContext({ ...context, span, spanId: span.id }, () => fn(span));
+    } catch (error) {
+        span.setError(error);
+        throw error;
+    } finally {
+        span.finish();
+    }
+}
+
+// ============================================
+// W3C TRACE CONTEXT
+// ============================================
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const TRACE_ID_PATTERN = /^[0-9a-f]{32}$/;
+const SPAN_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+/**
+ * Parse a traceparent header
+ * @param {string} header - e.g. 00-<32 hex trace id>-<16 hex span id>-01
+ * @returns {{traceId: string, parentSpanId: string, sampled: boolean}|null}
+ */
+function parseTraceparent(header) {
+    if (typeof header !== 'string') return null;
+
+    const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+    if (!match) return null;
+
+    const [, version, traceId, parentSpanId, flags, rest] = match;
+
+    // Version ff is invalid; version 00 has no trailing fields
+    if (version === 'ff' || (version === '00' && rest)) return null;
+    if (/^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) return null;
+
+    return {
+        traceId,
+        parentSpanId,
+        sampled: (parseInt(flags, 16) & 1) === 1
+    };
+}
+
+/**
+ * Parse the legacy x-trace-id / x-parent-span-id / x-trace-sampled headers
+ * Anything but W3C-shaped ids is ignored: they end up in response headers,
+ * logs and exported spans.
+ * @param {Object} headers - Request headers
+ * @returns {{traceId: string, parentSpanId: string|null, sampled: boolean|undefined}|null}
+ */
+function parseLegacyTraceHeaders(headers) {
+    const traceId = headers[TRACING_CONFIG.traceIdHeader];
+    if (typeof traceId !== 'string' || !TRACE_ID_PATTERN.test(traceId) || /^0+$/.test(traceId)) {
+        return null;
+    }
+
+    const parentSpanId = headers[TRACING_CONFIG.parentSpanHeader];
+    const sampled = headers[TRACING_CONFIG.sampledHeader];
+
+    return {
+        traceId,
+        parentSpanId: typeof parentSpanId === 'string' && SPAN_ID_PATTERN.test(parentSpanId) ? parentSpanId : null,
+        sampled: sampled === undefined ? undefined : sampled !== '0'
+    };
+}
+
+/**
+ * Format a traceparent header
+ * @param {string} traceId - 32 hex chars
+ * @param {string} spanId - 16 hex chars
+ * @param {boolean} sampled - Sampled flag
+ * @returns {string}
+ */
+function formatTraceparent(traceId, spanId, sampled) {
+    return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+}
+
+/**
+ * Keep a tracestate header only if it is within W3C limits
+ * @param {string} header - tracestate
+ * @returns {string|null}
+ */
+function sanitizeTracestate(header) {
+    if (typeof header !== 'string') return null;
+
+    const value = header.trim();
+    if (!value || value.length > TRACING_CONFIG.maxTracestateLength) return null;
+
+    return value;
+}
+
+/**
+ * Add trace context headers for an outgoing request
+ * @param {Object} headers - Headers to extend
+ * @param {Span} [span] - Span making the call (default: current span)
+ * @returns {Object} headers
+ */
+function injectTraceHeaders(headers = {}, span = getCurrentSpan()) {
+    if (!span) return headers;
+
+    headers[TRACING_CONFIG.traceparentHeader] = formatTraceparent(span.traceId, span.id, span.trace.sampled);
+    if (span.trace.traceState) {
+        headers[TRACING_CONFIG.tracestateHeader] = span.trace.traceState;
+    }
+    return headers;
+}
+
 /**
  * End current span
  * @param {Span} span - Span to end
@@ -488,16 +687,22 @@ function createMiddleware(options = {}) {
             return next();
         }
 
-        // Extract or generate trace ID
-        const traceId = req.headers[TRACING_CONFIG.traceIdHeader] || generateTraceId();
-        const parentSpanId = req.headers[TRACING_CONFIG.parentSpanHeader] || null;
-        const sampled = req.headers[TRACING_CONFIG.sampledHeader] !== '0';
+        // Continue the caller's trace (traceparent, then legacy headers) or start one
+        const parent = parseTraceparent(req.headers[TRACING_CONFIG.traceparentHeader]);
+        const legacy = parent ? null : parseLegacyTraceHeaders(req.headers);
+
+        const traceId = parent?.traceId || legacy?.traceId || generateTraceId();
+        const parentSpanId = parent?.parentSpanId || legacy?.parentSpanId || null;
+        const sampled = parent ? parent.sampled : legacy?.sampled;
 
         // Start trace
         const context = startTrace(`${req.method} ${req.path}`, {
             traceId,
+            parentSpanId,
             sampled,
-            serviceName
+            serviceName,
+            kind: 'server',
+            traceState: parent ? sanitizeTracestate(req.headers[TRACING_CONFIG.tracestateHeader]) : null
         });
 
         const { trace, span } = context;
@@ -653,6 +858,330 @@ function getRecentTraces(limit = 50) {
     return completedTraces.slice(-limit).reverse();
 }
 
+// ============================================
+// EXPORT (OpenTelemetry)
+// ============================================
+
+/**
+ * Convert tags to OTLP attributes
+ * @param {Object} tags - key -> value
+ * @returns {Object[]}
+ */
+function toOtlpAttributes(tags = {}) {
+    const attributes = [];
+
+    for (const [key, value] of Object.entries(tags)) {
+        if (value === null || value === undefined) continue;
+
+        let otlpValue;
+        if (typeof value === 'boolean') {
+            otlpValue = { boolValue: value };
+        } else if (Number.isInteger(value)) {
+            otlpValue = { intValue: String(value) };
+        } else if (typeof value === 'number') {
+            otlpValue = { doubleValue: value };
+        } else if (typeof value === 'string') {
+            otlpValue = { stringValue: value };
+        } else {
+            otlpValue = { stringValue: JSON.stringify(value) };
+        }
+
+        attributes.push({ key, value: otlpValue });
+    }
+
+    return attributes;
+}
+
+/**
+ * Epoch ms as OTLP nanoseconds
+ * @param {number} ms - Epoch ms
+ * @returns {string}
+ */
+function toUnixNano(ms) {
+    return `${ms}000000`;
+}
+
+/**
+ * Convert one stored span to an OTLP span
+ * @param {Object} span - Span.toJSON()
+ * @param {Object} trace - Trace.toJSON()
+ * @returns {Object}
+ */
+function toOtlpSpan(span, trace) {
+    const isRoot = !span.parentSpanId || !trace.spans.some(s => s.spanId === span.parentSpanId);
+    const tags = isRoot ? { ...trace.tags, ...span.tags } : span.tags;
+    const error = span.error || (isRoot ? trace.error : null);
+
+    const otlpSpan = {
+        traceId: span.traceId,
+        spanId: span.spanId,
+        name: span.operationName,
+        kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+        startTimeUnixNano: toUnixNano(span.startTime),
+        endTimeUnixNano: toUnixNano(span.endTime || trace.endTime || span.startTime),
+        attributes: toOtlpAttributes(tags),
+        events: span.logs.map(({ timestamp, event, message, ...fields }) => ({
+            timeUnixNano: toUnixNano(timestamp),
+            name: event || message || 'log',
+            attributes: toOtlpAttributes(fields)
+        })),
+        status: error
+            ? { code: 2, message: error.message }
+            : { code: 0 }
+    };
+
+    if (span.parentSpanId) {
+        otlpSpan.parentSpanId = span.parentSpanId;
+    }
+    if (trace.traceState) {
+        otlpSpan.traceState = trace.traceState;
+    }
+
+    return otlpSpan;
+}
+
+/**
+ * Build an OTLP/HTTP JSON export request
+ * @param {Object[]} traceData - Trace.toJSON() snapshots
+ * @returns {Object} ExportTraceServiceRequest
+ */
+function toOtlp(traceData) {
+    const byService = new Map();
+
+    for (const trace of traceData) {
+        if (!byService.has(trace.serviceName)) {
+            byService.set(trace.serviceName, []);
+        }
+        const spans = byService.get(trace.serviceName);
+        for (const span of trace.spans) {
+            spans.push(toOtlpSpan(span, trace));
+        }
+    }
+
+    return {
+        resourceSpans: Array.from(byService, ([serviceName, spans]) => ({
+            resource: {
+                attributes: toOtlpAttributes({
+                    'service.name': serviceName,
+                    'telemetry.sdk.name': 'asdf-tracing',
+                    'telemetry.sdk.language': 'nodejs'
+                })
+            },
+            scopeSpans: [{
+                scope: { name: 'asdf-api/tracing' },
+                spans
+            }]
+        }))
+    };
+}
+
+/**
+ * Sends traces to an OTLP/HTTP collector (JSON encoding)
+ */
+class OtlpHttpExporter {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Traces endpoint (.../v1/traces)
+     * @param {Object|string} [options.headers] - Extra headers, or "k1=v1,k2=v2"
+     * @param {number} [options.timeout] - Request timeout in ms
+     */
+    constructor(options = {}) {
+        this.name = 'otlp';
+        this.url = options.url || TRACING_CONFIG.otlpEndpoint;
+        this.headers = typeof options.headers === 'string'
+            ? parseHeaderList(options.headers)
+            : options.headers || {};
+        this.timeout = options.timeout || TRACING_CONFIG.exportTimeout;
+    }
+
+    /**
+     * @param {Object[]} traceData - Trace.toJSON() snapshots
+     */
+    async export(traceData) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: 'POST',
+                headers: { ...this.headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify(toOtlp(traceData)),
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        if (!response.ok) {
+            throw new Error(`OTLP export failed: HTTP ${response.status}`);
+        }
+    }
+}
+
+/**
+ * Appends OTLP JSON requests to a file, one per line (local debugging)
+ */
+class FileExporter {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - Output file
+     */
+    constructor(options = {}) {
+        this.name = 'file';
+        this.path = options.path || TRACING_CONFIG.exportFile;
+    }
+
+    /**
+     * @param {Object[]} traceData - Trace.toJSON() snapshots
+     */
+    async export(traceData) {
+        await fs.promises.appendFile(this.path, JSON.stringify(toOtlp(traceData)) + '\n');
+    }
+}
+
+/**
+ * Parse "k1=v1,k2=v2" (OTEL_EXPORTER_OTLP_HEADERS)
+ * @param {string} list - Header list
+ * @returns {Object}
+ */
+function parseHeaderList(list) {
+    const headers = {};
+
+    for (const pair of list.split(',')) {
+        const index = pair.indexOf('=');
+        if (index <= 0) continue;
+        headers[decodeURIComponent(pair.slice(0, index).trim())] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+
+    return headers;
+}
+
+/**
+ * Exporter named by TRACING_CONFIG.exporter
+ * @returns {OtlpHttpExporter|FileExporter|null}
+ */
+function createConfiguredExporter() {
+    switch (TRACING_CONFIG.exporter) {
+        case 'otlp':
+            return new OtlpHttpExporter({ headers: TRACING_CONFIG.otlpHeaders });
+        case 'file':
+            return new FileExporter();
+        default:
+            return null;
+    }
+}
+
+let exporter = createConfiguredExporter();
+let exportTimer = null;
+let exportInFlight = null;
+
+/**
+ * Replace the exporter (null disables export)
+ * @param {Object|null} next - Object with async export(traceData)
+ */
+function setExporter(next) {
+    exporter = next;
+    exportQueue.length = 0;
+    scheduleExports();
+}
+
+/**
+ * Get the active exporter
+ * @returns {Object|null}
+ */
+function getExporter() {
+    return exporter;
+}
+
+/**
+ * Queue a kept trace for export
+ * @param {Trace} trace - Finished trace
+ */
+function queueExport(trace) {
+    if (!exporter) return;
+
+    exportQueue.push(trace.toJSON());
+
+    while (exportQueue.length > TRACING_CONFIG.maxExportQueue) {
+        exportQueue.shift();
+        tracingStats.exportDropped++;
+    }
+
+    if (exportQueue.length >= TRACING_CONFIG.exportBatchSize) {
+        flushExports().catch(() => {});
+    }
+}
+
+/**
+ * Export queued traces in batches
+ * Failed batches are dropped (counted in exportErrors/exportDropped).
+ * @returns {Promise<number>} Traces exported
+ */
+async function flushExports() {
+    // One flush at a time; later callers wait for it, then flush the rest
+    while (exportInFlight) {
+        await exportInFlight;
+    }
+    if (!exporter || exportQueue.length === 0) return 0;
+
+    const run = async () => {
+        let exported = 0;
+
+        while (exportQueue.length > 0) {
+            const batch = exportQueue.splice(0, TRACING_CONFIG.exportBatchSize);
+            try {
+                await exporter.export(batch);
+                exported += batch.length;
+                tracingStats.tracesExported += batch.length;
+            } catch (error) {
+                tracingStats.exportErrors++;
+                tracingStats.exportDropped += batch.length;
+                console.error('[Tracing] Export failed:', error.message);
+            }
+        }
+
+        return exported;
+    };
+
+    exportInFlight = run();
+    try {
+        return await exportInFlight;
+    } finally {
+        exportInFlight = null;
+    }
+}
+
+/**
+ * Start or stop the export timer to match the exporter
+ */
+function scheduleExports() {
+    if (exporter && !exportTimer) {
+        exportTimer = setInterval(() => {
+            flushExports().catch(() => {});
+        }, TRACING_CONFIG.exportInterval);
+        if (exportTimer.unref) exportTimer.unref();
+    } else if (!exporter && exportTimer) {
+        clearInterval(exportTimer);
+        exportTimer = null;
+    }
+}
+
+/**
+ * Flush pending exports and stop the timer
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+    await flushExports();
+
+    if (exportTimer) {
+        clearInterval(exportTimer);
+        exportTimer = null;
+    }
+}
+
+scheduleExports();
+
 // ============================================
 // UTILITIES
 // ============================================
@@ -758,6 +1287,9 @@ function getStats() {
         activeTraces: traces.size,
         storedTraces: completedTraces.length,
         sampleRate: TRACING_CONFIG.sampleRate,
+        slowTraceThreshold: TRACING_CONFIG.slowTraceThreshold,
+        exporter: exporter ? exporter.name || 'custom' : 'none',
+        exportQueue: exportQueue.length,
         percentiles: {
             p50,
             p95,
@@ -793,10 +1325,25 @@ module.exports = {
     startSpan,
     endSpan,
     endTrace,
+    withSpan,
+
+    // Propagation
+    parseTraceparent,
+    formatTraceparent,
+    injectTraceHeaders,
 
     // Middleware
     createMiddleware,
 
+    // Export
+    OtlpHttpExporter,
+    FileExporter,
+    toOtlp,
+    setExporter,
+    getExporter,
+    flushExports,
+    shutdown,
+
     // Querying
     getTrace,
     searchTraces,
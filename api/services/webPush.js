@@ -0,0 +1,434 @@
+/**
+ * ASDF API - Web Push Protocol
+ *
+ * Delivers messages to browser push services (RFC 8030):
+ * - VAPID application server authentication (RFC 8292, ES256 JWT)
+ * - Payload encryption with aes128gcm (RFC 8291 / RFC 8188)
+ * - TTL, Urgency and Topic headers
+ *
+ * Node's crypto only, no web-push dependency.
+ *
+ * @version 1.0.0
+ *
+ * Security by Design:
+ * - Endpoints restricted to known push services (no SSRF)
+ * - Subscription keys validated before use
+ * - Fresh ephemeral key and salt for every message
+ * - Short-lived VAPID tokens, cached per push service
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const WEB_PUSH_CONFIG = {
+    // Push services browsers hand out subscriptions for
+    allowedHosts: [
+        'fcm.googleapis.com',
+        'updates.push.services.mozilla.com',
+        'web.push.apple.com',
+        '.notify.windows.com'
+    ],
+
+    // Plain http to loopback is only accepted outside production (local stand-ins)
+    allowLoopback: process.env.NODE_ENV !== 'production',
+
+    // VAPID tokens are valid for 12h (RFC 8292 caps them at 24h)
+    vapidTokenTTL: 12 * 60 * 60,
+    vapidRenewBefore: 60 * 60,
+
+    // aes128gcm record size; a push message is a single record
+    recordSize: 4096,
+
+    // Push services must accept at least 4096 bytes of body (RFC 8030 §7.2)
+    maxBodySize: 4096,
+
+    // Request timeout
+    timeout: 10000,
+
+    maxEndpointLength: 1024
+};
+
+const URGENCIES = ['very-low', 'low', 'normal', 'high'];
+
+// base64url alphabet, at most 32 characters (RFC 8030 §5.4)
+const TOPIC_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// salt (16) + rs (4) + idlen (1) + keyid (65-byte P-256 point)
+const HEADER_SIZE = 86;
+
+// AES-GCM tag (16) + padding delimiter (1)
+const RECORD_OVERHEAD = 17;
+
+// ============================================
+// STATE
+// ============================================
+
+// VAPID tokens per push service origin
+const vapidTokens = new Map();
+
+const stats = {
+    sent: 0,
+    gone: 0,
+    failed: 0
+};
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Decode base64url (padding optional)
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function fromBase64Url(value) {
+    return Buffer.from(String(value).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Check that an endpoint points at a push service we deliver to
+ * @param {string} endpoint - Subscription endpoint
+ * @returns {boolean}
+ */
+function isAllowedEndpoint(endpoint) {
+    if (typeof endpoint !== 'string' || endpoint.length > WEB_PUSH_CONFIG.maxEndpointLength) {
+        return false;
+    }
+
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch {
+        return false;
+    }
+
+    if (url.username || url.password) {
+        return false;
+    }
+
+    if (url.protocol === 'http:') {
+        return WEB_PUSH_CONFIG.allowLoopback && ['127.0.0.1', '[::1]', 'localhost'].includes(url.hostname);
+    }
+
+    if (url.protocol !== 'https:') {
+        return false;
+    }
+
+    return WEB_PUSH_CONFIG.allowedHosts.some(host =>
+        host.startsWith('.') ? url.hostname.endsWith(host) : url.hostname === host
+    );
+}
+
+/**
+ * Validate a PushSubscription (as serialized by PushSubscription.toJSON())
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @returns {{valid: boolean, error?: string, subscription?: Object}}
+ */
+function validateSubscription(subscription) {
+    if (!subscription || typeof subscription !== 'object') {
+        return { valid: false, error: 'Subscription required' };
+    }
+
+    const { endpoint, keys } = subscription;
+
+    if (!isAllowedEndpoint(endpoint)) {
+        return { valid: false, error: 'Unsupported push service endpoint' };
+    }
+
+    if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+        return { valid: false, error: 'Subscription keys required' };
+    }
+
+    const publicKey = fromBase64Url(keys.p256dh);
+    if (publicKey.length !== 65 || publicKey[0] !== 0x04) {
+        return { valid: false, error: 'Invalid p256dh key' };
+    }
+
+    if (fromBase64Url(keys.auth).length !== 16) {
+        return { valid: false, error: 'Invalid auth secret' };
+    }
+
+    return {
+        valid: true,
+        subscription: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }
+    };
+}
+
+// ============================================
+// VAPID (RFC 8292)
+// ============================================
+
+/**
+ * Build the VAPID signing key from the configured key pair
+ * @param {string} publicKey - base64url uncompressed P-256 point
+ * @param {string} privateKey - base64url 32-byte scalar
+ * @returns {crypto.KeyObject}
+ */
+function createVapidKey(publicKey, privateKey) {
+    const point = fromBase64Url(publicKey);
+    const scalar = fromBase64Url(privateKey);
+
+    if (point.length !== 65 || point[0] !== 0x04 || scalar.length !== 32) {
+        throw new Error('Invalid VAPID key pair');
+    }
+
+    return crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            x: point.subarray(1, 33).toString('base64url'),
+            y: point.subarray(33).toString('base64url'),
+            d: scalar.toString('base64url')
+        },
+        format: 'jwk'
+    });
+}
+
+/**
+ * Authorization header for a push service
+ * Tokens are reused per origin until close to expiry.
+ * @param {string} endpoint - Subscription endpoint
+ * @param {Object} vapid - { publicKey, privateKey, subject }
+ * @returns {string}
+ */
+function getVapidAuthorization(endpoint, vapid) {
+    const audience = new URL(endpoint).origin;
+    const now = Math.floor(Date.now() / 1000);
+
+    const cached = vapidTokens.get(audience);
+    if (cached && cached.publicKey === vapid.publicKey && cached.expiresAt - now > WEB_PUSH_CONFIG.vapidRenewBefore) {
+        return cached.authorization;
+    }
+
+    const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+    const claims = Buffer.from(JSON.stringify({
+        aud: audience,
+        exp: now + WEB_PUSH_CONFIG.vapidTokenTTL,
+        sub: vapid.subject
+    })).toString('base64url');
+
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key: createVapidKey(vapid.publicKey, vapid.privateKey),
+        dsaEncoding: 'ieee-p1363'
+    }).toString('base64url');
+
+    const authorization = `vapid t=${header}.${claims}.${signature}, k=${vapid.publicKey}`;
+    vapidTokens.set(audience, {
+        authorization,
+        publicKey: vapid.publicKey,
+        expiresAt: now + WEB_PUSH_CONFIG.vapidTokenTTL
+    });
+
+    return authorization;
+}
+
+// ============================================
+// ENCRYPTION (RFC 8291 / RFC 8188)
+// ============================================
+
+/**
+ * HKDF-SHA256 (extract and expand)
+ * @returns {Buffer}
+ */
+function hkdf(ikm, salt, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Encrypt a payload for a subscription as a single aes128gcm record
+ * @param {Object} keys - Subscription keys { p256dh, auth }
+ * @param {Buffer|string} payload - Plaintext
+ * @returns {Buffer} Request body (header + record)
+ */
+function encryptPayload(keys, payload) {
+    const plaintext = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+
+    if (HEADER_SIZE + plaintext.length + RECORD_OVERHEAD > WEB_PUSH_CONFIG.maxBodySize) {
+        throw new Error('Payload too large');
+    }
+
+    const userAgentPublicKey = fromBase64Url(keys.p256dh);
+    const authSecret = fromBase64Url(keys.auth);
+
+    // Ephemeral application server key, never reused
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+
+    // RFC 8291 §3.4: mix the auth secret and both public keys into the IKM
+    const keyInfo = Buffer.concat([
+        Buffer.from('WebPush: info\0', 'utf8'),
+        userAgentPublicKey,
+        serverPublicKey
+    ]);
+    const ikm = hkdf(sharedSecret, authSecret, keyInfo, 32);
+
+    // RFC 8188 §2.2: content encryption key and nonce
+    const salt = crypto.randomBytes(16);
+    const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0', 'utf8'), 16);
+    const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0', 'utf8'), 12);
+
+    // Last (and only) record: plaintext followed by the 0x02 delimiter
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const record = Buffer.concat([
+        cipher.update(Buffer.concat([plaintext, Buffer.from([0x02])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(WEB_PUSH_CONFIG.recordSize, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, record]);
+}
+
+// ============================================
+// DELIVERY
+// ============================================
+
+/**
+ * Send a push message to a subscription
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string|Buffer|null} payload - Message (null sends a tickle without body)
+ * @param {Object} options
+ * @param {Object} options.vapid - { publicKey, privateKey, subject }
+ * @param {number} options.ttl - Seconds the push service may hold the message
+ * @param {string} options.urgency - very-low | low | normal | high
+ * @param {string} options.topic - Replaces an undelivered message with the same topic
+ * @returns {Promise<Object>} { success, status, gone?, error?, retryAfter? }
+ */
+async function sendNotification(subscription, payload, options = {}) {
+    const { vapid, ttl = 0, urgency = 'normal', topic } = options;
+
+    const check = validateSubscription(subscription);
+    if (!check.valid) {
+        return { success: false, error: check.error };
+    }
+
+    if (!vapid || !vapid.publicKey || !vapid.privateKey || !vapid.subject) {
+        return { success: false, error: 'VAPID keys not configured' };
+    }
+
+    if (!URGENCIES.includes(urgency)) {
+        return { success: false, error: 'Invalid urgency' };
+    }
+
+    if (topic !== undefined && !TOPIC_PATTERN.test(topic)) {
+        return { success: false, error: 'Invalid topic' };
+    }
+
+    const headers = {
+        'Authorization': getVapidAuthorization(subscription.endpoint, vapid),
+        'TTL': String(Math.max(0, Math.floor(ttl))),
+        'Urgency': urgency
+    };
+    if (topic) {
+        headers['Topic'] = topic;
+    }
+
+    let body;
+    if (payload !== null && payload !== undefined) {
+        try {
+            body = encryptPayload(subscription.keys, payload);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        headers['Content-Encoding'] = 'aes128gcm';
+        headers['Content-Type'] = 'application/octet-stream';
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), WEB_PUSH_CONFIG.timeout);
+
+    let response;
+    try {
+        response = await fetch(subscription.endpoint, {
+            method: 'POST',
+            headers,
+            body,
+            redirect: 'error',
+            signal: controller.signal
+        });
+    } catch (error) {
+        stats.failed++;
+        return { success: false, error: error.name === 'AbortError' ? 'Push service timeout' : error.message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const { status } = response;
+
+    if (status >= 200 && status < 300) {
+        stats.sent++;
+        return { success: true, status };
+    }
+
+    // The subscription expired or was unsubscribed: stop sending to it
+    if (status === 404 || status === 410) {
+        stats.gone++;
+        return { success: false, status, gone: true, error: 'Subscription expired' };
+    }
+
+    stats.failed++;
+
+    if (status === 413) {
+        return { success: false, status, error: 'Payload too large' };
+    }
+
+    if (status === 429) {
+        return {
+            success: false,
+            status,
+            error: 'Rate limited by push service',
+            retryAfter: parseInt(response.headers.get('retry-after'), 10) || null
+        };
+    }
+
+    return { success: false, status, error: `Push service responded ${status}` };
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Get delivery statistics
+ * @returns {Object}
+ */
+function getStats() {
+    return {
+        ...stats,
+        cachedVapidTokens: vapidTokens.size
+    };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+    // Delivery
+    sendNotification,
+
+    // Subscriptions
+    validateSubscription,
+    isAllowedEndpoint,
+
+    // Protocol
+    encryptPayload,
+    getVapidAuthorization,
+
+    // Stats
+    getStats,
+
+    // Config
+    WEB_PUSH_CONFIG,
+    URGENCIES
+};
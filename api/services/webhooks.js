@@ -5,7 +5,7 @@
  * - Webhook signature verification
  * - Burn transaction processing
  * - Token transfer tracking
- * - Event queue with retry logic
+ * - Failed events retried through the durable job queue
  *
  * Security by Design:
  * - HMAC signature verification on all webhooks
@@ -18,7 +18,9 @@
 const crypto = require('crypto');
 const { logAudit } = require('./leaderboard');
 const { recordBurn } = require('./leaderboard');
+const { emitBurnConfirmed } = require('./eventBus');
 const { Signatures, Burns, Users } = require('./database');
+const { registerHandler, enqueue } = require('./queue');
 
 // ============================================
 // CONFIGURATION
@@ -43,14 +45,18 @@ const WEBHOOK_CONFIG = {
     maxEventsPerMinute: 100
 };
 
-// Event queue for processing
-const eventQueue = [];
+// Job type for failed events
+const JOB_TYPE = 'webhook_event';
+
 const processedEvents = new Map();  // eventId -> timestamp
 
 // Rate limiting
 let eventsThisMinute = 0;
 let minuteStart = Date.now();
 
+// Failed events handed to the job queue
+let retriesQueued = 0;
+
 // ============================================
 // WEBHOOK SIGNATURE VERIFICATION
 // ============================================
@@ -144,7 +150,7 @@ async function processWebhookEvent(event) {
         });
 
         // Queue for retry
-        queueForRetry(event, eventId);
+        await queueForRetry(event, eventId);
 
         return { processed: false, eventId, error: error.message };
     }
@@ -257,6 +263,7 @@ async function handleBurnEvent(event) {
 
     // Add to leaderboard
     recordBurn(burnDetails.wallet, burnDetails.amount, signature);
+    emitBurnConfirmed(burnDetails.wallet, burnDetails.amount, signature);
 
     logAudit('webhook_burn_processed', {
         wallet: burnDetails.wallet.slice(0, 8) + '...',
@@ -371,46 +378,40 @@ async function handleSwapEvent(event) {
 
 /**
  * Queue event for retry
+ * Retries ride the job queue so a failed burn survives a deploy.
  * @param {Object} event - Event to retry
  * @param {string} eventId - Event ID
  */
-function queueForRetry(event, eventId) {
-    const retryCount = (event._retryCount || 0) + 1;
-
-    if (retryCount > WEBHOOK_CONFIG.maxRetries) {
-        logAudit('webhook_max_retries', { eventId });
-        return;
+async function queueForRetry(event, eventId) {
+    try {
+        const queued = await enqueue(JOB_TYPE, { event, eventId }, {
+            delay: WEBHOOK_CONFIG.retryDelayMs,
+            dedupeKey: `webhook:${eventId}`
+        });
+        if (!queued.deduplicated) {
+            retriesQueued++;
+        }
+    } catch (error) {
+        logAudit('webhook_retry_not_queued', { eventId, error: error.message });
     }
-
-    eventQueue.push({
-        event: { ...event, _retryCount: retryCount },
-        eventId,
-        scheduledFor: Date.now() + (WEBHOOK_CONFIG.retryDelayMs * retryCount)
-    });
 }
 
 /**
- * Process retry queue
+ * Retry a failed event (job handler)
+ * Throws so the queue backs off, then dead-letters the event.
+ * @param {{event: Object, eventId: string}} data - Job data
+ * @returns {Promise<Object>}
  */
-async function processRetryQueue() {
-    const now = Date.now();
-    const toProcess = [];
-
-    // Find events ready to process
-    for (let i = eventQueue.length - 1; i >= 0; i--) {
-        if (eventQueue[i].scheduledFor <= now) {
-            toProcess.push(eventQueue.splice(i, 1)[0]);
-        }
+async function retryEvent({ event, eventId }) {
+    if (processedEvents.has(eventId)) {
+        return { eventId, duplicate: true };
     }
 
-    // Process each
-    for (const item of toProcess) {
-        await processWebhookEvent(item.event);
-    }
-}
+    const result = await routeEvent(event);
+    processedEvents.set(eventId, Date.now());
 
-// Process retry queue every 5 seconds
-setInterval(processRetryQueue, 5000);
+    return { eventId, ...result };
+}
 
 // ============================================
 // CLEANUP
@@ -448,7 +449,7 @@ setInterval(cleanupProcessedEvents, 60 * 60 * 1000);
  */
 function getWebhookMetrics() {
     return {
-        queueSize: eventQueue.length,
+        retriesQueued,
         processedCount: processedEvents.size,
         eventsThisMinute,
         config: {
@@ -519,6 +520,21 @@ async function listWebhooks() {
     return response.json();
 }
 
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Register the retry job
+ */
+function initialize() {
+    registerHandler(JOB_TYPE, retryEvent, {
+        // The first attempt ran inline, these are the retries
+        maxRetries: WEBHOOK_CONFIG.maxRetries,
+        retryDelays: [2, 3].map(n => WEBHOOK_CONFIG.retryDelayMs * n)
+    });
+}
+
 module.exports = {
     // Verification
     verifyWebhookSignature,
@@ -531,6 +547,9 @@ module.exports = {
     listWebhooks,
     getWebhookMetrics,
 
+    // Lifecycle
+    initialize,
+
     // Config
     WEBHOOK_CONFIG
 };
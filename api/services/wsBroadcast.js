@@ -6,6 +6,8 @@
  *
  * Architecture:
  *   eventBus.publish() -> wsBroadcast -> realtimeNotifications -> Clients
+ *                                              |
+ *                                              +-> storage pub/sub -> other nodes -> their Clients
  *
  * Philosophy: Fibonacci timing for batching, phi ratios for backpressure
  *
@@ -91,7 +93,8 @@ const CHANNEL_MAPPINGS = {
     // Global channel (system-wide)
     global: [
         EVENTS.WEBHOOK_RECEIVED,
-        EVENTS.ERROR_OCCURRED
+        EVENTS.ERROR_OCCURRED,
+        EVENTS.FLAG_CHANGED
     ],
 
     // Events channel (achievements, streaks)
@@ -518,9 +521,9 @@ function broadcast(channel, payload) {
  *
  * @param {string} channel - Channel name
  * @param {Object} payload - Data to broadcast
- * @returns {number} Number of clients reached
+ * @returns {Promise<number>} Number of clients reached on this node
  */
-function broadcastImmediate(channel, payload) {
+async function broadcastImmediate(channel, payload) {
     if (!initialized) {
         console.warn('[wsBroadcast] Not initialized');
         return 0;
@@ -529,7 +532,7 @@ function broadcastImmediate(channel, payload) {
     const notificationChannel = mapToNotificationChannel(channel);
 
     try {
-        const sent = notifications.broadcastToChannel(notificationChannel, {
+        const sent = await notifications.broadcastToChannel(notificationChannel, {
             type: 'broadcast',
             channel,
             payload: sanitizeData(payload),
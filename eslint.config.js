@@ -80,6 +80,17 @@ export default [
     },
   },
 
+  // Service worker
+  {
+    files: ['public/sw.js'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: {
+        ...globals.serviceworker,
+      },
+    },
+  },
+
   // Test files
   {
     files: ['tests/**/*.js', '**/*.test.js'],
@@ -70,6 +70,20 @@ async function fetchRecentBurns() {
     }
 }
 
+
+async function fetchBurnSeries({ interval, from, to }) {
+    try {
+        const params = new URLSearchParams({ interval, from: String(from), to: String(to) });
+        const response = await fetch(`${API_BASE}/ecosystem/burns/series?${params}`);
+        const data = await response.json();
+        if (!response.ok) return { error: data.error || 'Failed to fetch burn history' };
+        return { series: data };
+    } catch (error) {
+        console.error('[Burns] Error fetching burn history:', error);
+        return { error: 'Burn history is not available' };
+    }
+}
+
 // ============================================
 // UI UPDATES
 // ============================================
@@ -226,6 +240,337 @@ async function updateRecentBurns() {
     `).join('');
 }
 
+// ============================================
+// HISTORY CHARTS
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 13, right: 13, bottom: 34, left: 55 };
+
+const CHART_METRICS = {
+    burned: { label: 'Burned', bars: true },
+    supply: { label: 'Supply', bars: false },
+    uniqueBurners: { label: 'Unique burners', bars: false }
+};
+
+const chartState = {
+    metric: 'burned',
+    interval: 'day',
+    // Days back from now; null for a custom range
+    rangeDays: 90,
+    from: null,
+    to: null,
+    series: null
+};
+
+/**
+ * Start of the bucket holding a time (UTC, weeks start Monday, as the API)
+ */
+function bucketStart(time, interval) {
+    if (interval === 'hour') return Math.floor(time / 3600000) * 3600000;
+
+    const day = Math.floor(time / DAY_MS) * DAY_MS;
+    if (interval === 'day') return day;
+    return day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS;
+}
+
+function formatBucket(time, interval) {
+    const iso = new Date(time).toISOString();
+    return interval === 'hour' ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+function setChartMessage(message) {
+    const chartEl = document.getElementById('burn-chart');
+    if (chartEl) chartEl.innerHTML = `<div class="chart-empty">${escapeHtml(message)}</div>`;
+}
+
+async function updateBurnHistory() {
+    const to = chartState.rangeDays ? Date.now() : chartState.to;
+    const from = chartState.rangeDays ? to - chartState.rangeDays * DAY_MS : chartState.from;
+
+    const result = await fetchBurnSeries({ interval: chartState.interval, from, to });
+    const downloadEl = document.getElementById('chart-download');
+
+    if (result.error) {
+        chartState.series = null;
+        if (downloadEl) downloadEl.disabled = true;
+        updateChartSummary();
+        setChartMessage(result.error);
+        return;
+    }
+
+    chartState.series = result.series;
+    if (downloadEl) downloadEl.disabled = false;
+    renderChart();
+}
+
+function updateChartSummary() {
+    const summaryEl = document.getElementById('chart-summary');
+    if (!summaryEl) return;
+
+    const series = chartState.series;
+    if (!series) {
+        summaryEl.textContent = '';
+        return;
+    }
+
+    summaryEl.innerHTML = `
+        <span><strong>${escapeHtml(formatNumber(series.totals.burned))}</strong> ASDF burned</span>
+        <span><strong>${escapeHtml(series.totals.burns.toLocaleString())}</strong> burns</span>
+        <span><strong>${escapeHtml(series.totals.newBurners.toLocaleString())}</strong> new burners</span>
+    `;
+}
+
+function renderChart() {
+    const chartEl = document.getElementById('burn-chart');
+    const series = chartState.series;
+    if (!chartEl || !series) return;
+
+    updateChartSummary();
+
+    const points = series.points;
+    if (points.length === 0) {
+        setChartMessage('No burns in this range');
+        return;
+    }
+
+    const metric = CHART_METRICS[chartState.metric];
+    const values = points.map(point => point[chartState.metric]);
+    const width = Math.max(chartEl.clientWidth, 320);
+    const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    // Bars grow from zero; lines zoom in on their own range
+    let min = metric.bars ? 0 : Math.min(...values);
+    let max = Math.max(...values);
+    if (max === min) {
+        max += 1;
+        if (!metric.bars) min -= 1;
+    }
+
+    const step = plotWidth / points.length;
+    const x = index => CHART_PADDING.left + step * (index + 0.5);
+    const y = value => CHART_PADDING.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+    const ticks = [0, 1, 2, 3].map(i => min + ((max - min) * i) / 3);
+    const grid = ticks.map(tick => `
+        <line class="chart-grid" x1="${CHART_PADDING.left}" x2="${width - CHART_PADDING.right}" y1="${y(tick)}" y2="${y(tick)}"></line>
+        <text class="chart-label" x="${CHART_PADDING.left - 8}" y="${y(tick) + 4}" text-anchor="end">${escapeHtml(formatNumber(Math.round(tick)))}</text>
+    `).join('');
+
+    const labelIndexes = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])];
+    const labels = labelIndexes.map(index => `
+        <text class="chart-label" x="${x(index)}" y="${CHART_HEIGHT - 10}" text-anchor="middle">${escapeHtml(formatBucket(points[index].t, series.interval))}</text>
+    `).join('');
+
+    let plot;
+    if (metric.bars) {
+        const barWidth = Math.max(step * 0.7, 1);
+        plot = values.map((value, index) => value > 0
+            ? `<rect class="chart-bar" x="${x(index) - barWidth / 2}" y="${y(value)}" width="${barWidth}" height="${y(min) - y(value)}"></rect>`
+            : ''
+        ).join('');
+    } else {
+        const path = values.map((value, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(value)}`).join(' ');
+        plot = `<path class="chart-line" d="${path}"></path>`;
+    }
+
+    chartEl.innerHTML = `
+        <svg class="chart-svg" viewBox="0 0 ${width} ${CHART_HEIGHT}" width="${width}" height="${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(metric.label)} per ${escapeHtml(series.interval)}">
+            ${grid}
+            ${plot}
+            ${labels}
+            <line class="chart-cursor" id="chart-cursor" y1="${CHART_PADDING.top}" y2="${CHART_PADDING.top + plotHeight}" visibility="hidden"></line>
+        </svg>
+    `;
+
+    const svg = chartEl.querySelector('svg');
+    svg.addEventListener('mousemove', event => {
+        const offset = event.clientX - svg.getBoundingClientRect().left;
+        const index = Math.min(points.length - 1, Math.max(0, Math.floor((offset - CHART_PADDING.left) / step)));
+        showChartTooltip(index, x(index), y(values[index]));
+    });
+    svg.addEventListener('mouseleave', hideChartTooltip);
+}
+
+function showChartTooltip(index, cursorX, cursorY) {
+    const series = chartState.series;
+    const tooltipEl = document.getElementById('chart-tooltip');
+    const cursorEl = document.getElementById('chart-cursor');
+    if (!series || !tooltipEl) return;
+
+    const point = series.points[index];
+    if (cursorEl) {
+        cursorEl.setAttribute('x1', cursorX);
+        cursorEl.setAttribute('x2', cursorX);
+        cursorEl.setAttribute('visibility', 'visible');
+    }
+
+    tooltipEl.innerHTML = `
+        <div class="tooltip-date">${escapeHtml(formatBucket(point.t, series.interval))}</div>
+        <div>Burned: ${escapeHtml(formatNumber(point.burned))} ASDF (${escapeHtml(point.burns.toLocaleString())} burns)</div>
+        <div>Supply: ${escapeHtml(formatNumber(point.supply))}</div>
+        <div>Burners: ${escapeHtml(point.burners.toLocaleString())} (${escapeHtml(point.uniqueBurners.toLocaleString())} to date)</div>
+    `;
+    tooltipEl.style.left = `${cursorX}px`;
+    tooltipEl.style.top = `${Math.max(cursorY - 13, 0)}px`;
+    tooltipEl.hidden = false;
+}
+
+function hideChartTooltip() {
+    const tooltipEl = document.getElementById('chart-tooltip');
+    const cursorEl = document.getElementById('chart-cursor');
+    if (tooltipEl) tooltipEl.hidden = true;
+    if (cursorEl) cursorEl.setAttribute('visibility', 'hidden');
+}
+
+function downloadCsv() {
+    const series = chartState.series;
+    if (!series) return;
+
+    const header = 'bucket,burned,incinerated,burns,burners,new_burners,total_burned,supply,unique_burners';
+    const rows = series.points.map(point => [
+        new Date(point.t).toISOString(),
+        point.burned,
+        point.incinerated,
+        point.burns,
+        point.burners,
+        point.newBurners,
+        point.totalBurned,
+        point.supply,
+        point.uniqueBurners
+    ].join(','));
+
+    const blob = new Blob([[header, ...rows].join('\n') + '\n'], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `asdf-burns-${series.interval}-${formatBucket(series.from, 'day')}-${formatBucket(series.to, 'day')}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Add a confirmed burn to the chart while it shows a range ending now
+ * (unique burners catch up on the next fetch: live wallets are masked)
+ */
+function appendLiveBurn(data, timestamp) {
+    const series = chartState.series;
+    const amount = Number(data && data.amount);
+    if (!series || !chartState.rangeDays || !(amount > 0)) return;
+
+    const t = bucketStart(timestamp || Date.now(), series.interval);
+    let last = series.points[series.points.length - 1];
+    if (!last || t < last.t) return;
+
+    // Open empty buckets up to the burn's
+    while (last.t < t) {
+        last = {
+            t: last.t + series.bucketMs,
+            burned: 0,
+            incinerated: 0,
+            burns: 0,
+            burners: 0,
+            newBurners: 0,
+            totalBurned: last.totalBurned,
+            supply: last.supply,
+            uniqueBurners: last.uniqueBurners
+        };
+        series.points.push(last);
+    }
+
+    last.burned += amount;
+    last.burns += 1;
+    last.totalBurned += amount;
+    last.supply -= amount;
+    series.to = t;
+    series.totals.burned += amount;
+    series.totals.burns += 1;
+
+    renderChart();
+}
+
+function setupChartListeners() {
+    const activate = (groupId, button) => {
+        document.querySelectorAll(`#${groupId} .chart-tab`).forEach(tab => tab.classList.remove('active'));
+        if (button) button.classList.add('active');
+    };
+
+    document.querySelectorAll('#chart-metric .chart-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            activate('chart-metric', tab);
+            chartState.metric = tab.dataset.metric;
+            renderChart();
+        });
+    });
+
+    document.querySelectorAll('#chart-interval .chart-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            activate('chart-interval', tab);
+            chartState.interval = tab.dataset.interval;
+            updateBurnHistory();
+        });
+    });
+
+    document.querySelectorAll('#chart-range .chart-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            activate('chart-range', tab);
+            chartState.rangeDays = Number(tab.dataset.range);
+            updateBurnHistory();
+        });
+    });
+
+    const datesEl = document.getElementById('chart-dates');
+    if (datesEl) {
+        datesEl.addEventListener('submit', event => {
+            event.preventDefault();
+            const from = Date.parse(document.getElementById('chart-from').value);
+            const to = Date.parse(document.getElementById('chart-to').value);
+            if (!Number.isFinite(from) || !Number.isFinite(to)) return;
+
+            activate('chart-range', null);
+            chartState.rangeDays = null;
+            chartState.from = from;
+            // Through the end of the last day
+            chartState.to = to + DAY_MS - 1;
+            updateBurnHistory();
+        });
+    }
+
+    const downloadEl = document.getElementById('chart-download');
+    if (downloadEl) downloadEl.addEventListener('click', downloadCsv);
+
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(renderChart, 200);
+    });
+}
+
+/**
+ * Live-append burns from the realtime burns channel (js/realtime/client.js)
+ */
+function setupLiveUpdates() {
+    const realtime = window.ASDF && window.ASDF.realtime;
+    if (!realtime) return;
+
+    realtime.on('ws:ready', ({ channels }) => {
+        if (!channels.includes('burns')) realtime.subscribe('burns');
+    });
+    realtime.on('ws:broadcast', message => {
+        if (message.channel === 'burns' && message.event === 'burn:confirmed') {
+            appendLiveBurn(message.data, message.timestamp);
+        }
+    });
+
+    realtime.connect().catch(error => {
+        console.error('[Burns] Live updates unavailable:', error);
+    });
+}
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -254,17 +599,25 @@ async function init() {
 
     // Setup event listeners
     setupTabListeners();
+    setupChartListeners();
 
     // Load initial data
     await Promise.all([
         updateStats(),
         updateLeaderboard('all'),
-        updateRecentBurns()
+        updateRecentBurns(),
+        updateBurnHistory()
     ]);
 
+    // Live points in between; refetch to pick up what they can't carry
+    setupLiveUpdates();
+
     // Refresh data periodically
     setInterval(updateStats, 30000);
     setInterval(updateRecentBurns, 15000);
+    setInterval(() => {
+        if (chartState.rangeDays) updateBurnHistory();
+    }, 300000);
 
     console.log('[Burns] Initialized');
 }
@@ -244,6 +244,8 @@ export const EVENTS = {
   WS_ERROR: 'ws:error',
   WS_FAILED: 'ws:failed',
   WS_NOTIFICATION: 'ws:notification',
+  WS_BROADCAST: 'ws:broadcast',
+  WS_RESYNC: 'ws:resync', // Missed messages can't be replayed: reload over REST
 
   // Realtime notification events
   ACHIEVEMENT_UNLOCKED: 'realtime:achievement',
@@ -253,6 +255,11 @@ export const EVENTS = {
   LEADERBOARD_UPDATE: 'realtime:leaderboard',
   RANK_CHANGED: 'realtime:rank',
   ANNOUNCEMENT: 'realtime:announcement',
+  FLAG_UPDATED: 'realtime:flag',
+
+  // Feature flag events
+  FLAGS_READY: 'flags:ready',
+  FLAG_CHANGED: 'flag:changed',
 
   // Quest events
   QUEST_UNLOCKED: 'quest:unlocked',
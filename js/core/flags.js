@@ -0,0 +1,626 @@
+/**
+ * ASDF-Web Feature Flags SDK
+ * Bootstraps every flag for the current wallet in one request, caches them in
+ * localStorage and applies live changes pushed over the realtime WebSocket
+ *
+ * Buckets match the server's getBucket(), so percentage rollouts and A/B
+ * variants re-evaluated here agree with what the API would answer.
+ *
+ * @example
+ * import { flags } from './core/flags.js';
+ *
+ * await flags.init();
+ *
+ * if (flags.isEnabled('new_game_engine')) startNewEngine();
+ *
+ * // React to live changes without a reload
+ * flags.onChange('shop_theme', ({ value }) => applyTheme(value));
+ *
+ * @module core/flags
+ */
+
+import { eventBus, EVENTS } from './event-bus.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const DEFAULT_CONFIG = {
+  // Bootstrap endpoint
+  endpoint: '/api/flags/bootstrap',
+
+  // localStorage keys
+  storageKey: 'asdf_flags',
+  anonymousIdKey: 'asdf_anonymous_id',
+
+  // Cached flags older than this are ignored on startup
+  maxCacheAge: 24 * 60 * 60 * 1000, // 24 hours
+
+  // Coalesce bursts of server-evaluated changes into one re-fetch (Fibonacci)
+  refetchDelay: 377,
+
+  // Debug mode
+  debug: false
+};
+
+// ============================================
+// BUCKETING (parity with api/services/featureflags.js)
+// ============================================
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) =>
+  Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0
+);
+
+/**
+ * MD5 hex digest of a UTF-8 string
+ * Only used for bucketing, never for anything security related.
+ * @param {string} input
+ * @returns {string}
+ */
+function md5(input) {
+  const bytes = new TextEncoder().encode(input);
+  const length = bytes.length;
+  const blockCount = ((length + 8) >>> 6) + 1;
+  const words = new Uint32Array(blockCount * 16);
+
+  for (let i = 0; i < length; i++) {
+    words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+  }
+  words[length >> 2] |= 0x80 << ((length % 4) * 8);
+  words[blockCount * 16 - 2] = (length * 8) >>> 0;
+  words[blockCount * 16 - 1] = Math.floor(length / 0x20000000);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89;
+  let c0 = 0x98badcfe;
+  let d0 = 0x10325476;
+
+  for (let block = 0; block < words.length; block += 16) {
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      const sum = (a + f + MD5_CONSTANTS[i] + words[block + g]) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+
+    a0 = (a0 + a) | 0;
+    b0 = (b0 + b) | 0;
+    c0 = (c0 + c) | 0;
+    d0 = (d0 + d) | 0;
+  }
+
+  return [a0, b0, c0, d0]
+    .map((word) => {
+      let hex = '';
+      for (let i = 0; i < 4; i++) {
+        hex += ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0');
+      }
+      return hex;
+    })
+    .join('');
+}
+
+/**
+ * Deterministic bucket for a user (0-99), identical to the server's
+ * @param {string} flagKey - Flag key
+ * @param {string} userId - Wallet or anonymous ID
+ * @returns {number}
+ */
+export function getBucket(flagKey, userId) {
+  return parseInt(md5(`${flagKey}:${userId}`).slice(0, 8), 16) % 100;
+}
+
+/**
+ * Evaluate a flag from its public definition
+ * Mirrors the rollout and variant steps of the server's evaluate().
+ * @param {Object} flag - Client flag from the bootstrap or a live update
+ * @param {string} userId - Bucketing ID
+ * @returns {any}
+ */
+export function evaluateLocally(flag, userId) {
+  if (!flag.active) {
+    return flag.defaultValue;
+  }
+
+  if (flag.percentage < 100 && getBucket(flag.key, userId) > flag.percentage) {
+    return flag.defaultValue;
+  }
+
+  if (flag.variants && flag.variants.length > 0) {
+    const bucket = getBucket(`${flag.key}:variant`, userId);
+    let cumulative = 0;
+    for (const variant of flag.variants) {
+      cumulative += variant.weight || 100 / flag.variants.length;
+      if (bucket <= cumulative) {
+        return variant.value;
+      }
+    }
+    return flag.variants[0].value;
+  }
+
+  return flag.type === 'boolean' ? true : flag.defaultValue;
+}
+
+// ============================================
+// FLAG CLIENT CLASS
+// ============================================
+
+/**
+ * FlagClient keeps evaluated flags in sync with the server
+ */
+class FlagClient {
+  constructor(config = {}) {
+    /** @type {Object} Configuration */
+    this.config = { ...DEFAULT_CONFIG, ...config };
+
+    /** @type {Map<string, Object>} key -> client flag (with value) */
+    this.flags = new Map();
+
+    /** @type {string|null} Connected wallet */
+    this.wallet = null;
+
+    /** @type {boolean} */
+    this.ready = false;
+
+    /** @type {Promise<boolean>|null} In-flight bootstrap */
+    this.pending = null;
+
+    /** @type {number|null} */
+    this.refetchTimer = null;
+
+    /** @type {Function[]} Event bus unsubscribers */
+    this.unsubscribers = [];
+
+    /** @type {Object} Stats */
+    this.stats = {
+      bootstraps: 0,
+      bootstrapErrors: 0,
+      liveUpdates: 0,
+      localEvaluations: 0,
+      changes: 0
+    };
+  }
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+
+  /**
+   * Load cached flags, then bootstrap from the server and follow live changes
+   * @param {Object} options
+   * @param {string|null} options.wallet - Connected wallet, if any
+   * @returns {Promise<boolean>} Whether the server answered
+   */
+  async init(options = {}) {
+    if (this.unsubscribers.length === 0) {
+      this._listen();
+    }
+
+    this.wallet = options.wallet || null;
+    this._loadCache();
+
+    return this.refresh();
+  }
+
+  /**
+   * Switch wallet context (connect/disconnect) and re-bootstrap
+   * @param {string|null} wallet
+   * @returns {Promise<boolean>}
+   */
+  async setWallet(wallet) {
+    if ((wallet || null) === this.wallet) {
+      return true;
+    }
+
+    this.wallet = wallet || null;
+    this._loadCache();
+
+    return this.refresh();
+  }
+
+  /**
+   * Fetch every flag for the current context
+   * Concurrent calls share one request.
+   * @returns {Promise<boolean>}
+   */
+  refresh() {
+    if (!this.pending) {
+      this.pending = this._bootstrap().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Stop following live changes
+   */
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.refetchTimer) {
+      clearTimeout(this.refetchTimer);
+      this.refetchTimer = null;
+    }
+  }
+
+  // ============================================
+  // READING FLAGS
+  // ============================================
+
+  /**
+   * Check if a boolean flag is on
+   * @param {string} key - Flag key
+   * @param {boolean} defaultValue - Used until the flag is known
+   * @returns {boolean}
+   */
+  isEnabled(key, defaultValue = false) {
+    return Boolean(this.getValue(key, defaultValue));
+  }
+
+  /**
+   * Get a flag's value
+   * @param {string} key - Flag key
+   * @param {any} defaultValue - Used until the flag is known
+   * @returns {any}
+   */
+  getValue(key, defaultValue = null) {
+    const flag = this.flags.get(key);
+    return flag && flag.value !== undefined ? flag.value : defaultValue;
+  }
+
+  /**
+   * Get all flag values
+   * @returns {Object} key -> value
+   */
+  getAll() {
+    const values = {};
+    for (const [key, flag] of this.flags) {
+      values[key] = flag.value;
+    }
+    return values;
+  }
+
+  /**
+   * Subscribe to changes of one flag
+   * @param {string} key - Flag key
+   * @param {Function} callback - Receives { key, value, previous, source }
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(key, callback) {
+    return eventBus.on(EVENTS.FLAG_CHANGED, (change) => {
+      if (change.key === key) {
+        callback(change);
+      }
+    });
+  }
+
+  /**
+   * ID the server buckets this visitor by
+   * @returns {string}
+   */
+  getBucketingId() {
+    return this.wallet || this._getAnonymousId();
+  }
+
+  // ============================================
+  // SERVER SYNC
+  // ============================================
+
+  /**
+   * Request the bootstrap payload
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _bootstrap() {
+    const wallet = this.wallet;
+    let url = this.config.endpoint;
+    if (!wallet) {
+      url += `?anonymousId=${encodeURIComponent(this._getAnonymousId())}`;
+    }
+
+    try {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      // The wallet changed while this request was in flight
+      if (wallet !== this.wallet) {
+        return false;
+      }
+
+      this.stats.bootstraps++;
+      this._replaceFlags(data.flags || {}, 'bootstrap');
+      this._saveCache();
+
+      if (!this.ready) {
+        this.ready = true;
+        eventBus.emit(EVENTS.FLAGS_READY, { source: 'bootstrap', count: this.flags.size });
+      }
+
+      return true;
+    } catch (error) {
+      this.stats.bootstrapErrors++;
+      this._debug('Bootstrap failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Follow realtime flag updates, wallet changes and reconnects
+   * @private
+   */
+  _listen() {
+    this.unsubscribers.push(
+      eventBus.on(EVENTS.FLAG_UPDATED, (update) => this._handleUpdate(update)),
+      eventBus.on(EVENTS.WALLET_CONNECTED, (data) => this.setWallet(data?.address)),
+      eventBus.on(EVENTS.WALLET_DISCONNECTED, () => this.setWallet(null)),
+      // Changes may have been missed while the socket was down
+      eventBus.on(EVENTS.WS_READY, () => this.ready && this.refresh())
+    );
+  }
+
+  /**
+   * Apply a live flag change from the server
+   * @param {Object} update - Public flag definition, or { key, deleted }
+   * @private
+   */
+  _handleUpdate(update) {
+    if (!update || !update.key) return;
+    this.stats.liveUpdates++;
+
+    const current = this.flags.get(update.key);
+    if (current && update.version !== undefined && update.version < current.version) {
+      return;
+    }
+
+    if (update.deleted) {
+      this.flags.delete(update.key);
+      this._emitChange(update.key, undefined, current?.value, 'realtime');
+      this._saveCache();
+      return;
+    }
+
+    // Targeting rules and overrides only exist server side
+    if (update.evaluation !== 'local' || current?.evaluation === 'server') {
+      this._scheduleRefetch();
+      return;
+    }
+
+    const { action: _action, ...definition } = update;
+    const value = evaluateLocally(definition, this.getBucketingId());
+    this.stats.localEvaluations++;
+
+    this.flags.set(update.key, { ...definition, value });
+    this._emitChange(update.key, value, current?.value, 'realtime');
+    this._saveCache();
+  }
+
+  /**
+   * Re-bootstrap shortly, once per burst of changes
+   * @private
+   */
+  _scheduleRefetch() {
+    if (this.refetchTimer) return;
+
+    this.refetchTimer = setTimeout(() => {
+      this.refetchTimer = null;
+      this.refresh();
+    }, this.config.refetchDelay);
+  }
+
+  /**
+   * Replace all flags, emitting changes
+   * @param {Object} nextFlags - key -> client flag
+   * @param {string} source - 'bootstrap' | 'cache'
+   * @private
+   */
+  _replaceFlags(nextFlags, source) {
+    const previous = this.flags;
+    this.flags = new Map(Object.entries(nextFlags));
+
+    for (const [key, flag] of this.flags) {
+      this._emitChange(key, flag.value, previous.get(key)?.value, source);
+    }
+    for (const [key, flag] of previous) {
+      if (!this.flags.has(key)) {
+        this._emitChange(key, undefined, flag.value, source);
+      }
+    }
+  }
+
+  /**
+   * Emit flag:changed when a value actually changed
+   * @private
+   */
+  _emitChange(key, value, previous, source) {
+    if (JSON.stringify(value) === JSON.stringify(previous)) return;
+
+    this.stats.changes++;
+    eventBus.emit(EVENTS.FLAG_CHANGED, { key, value, previous, source });
+  }
+
+  // ============================================
+  // CACHE
+  // ============================================
+
+  /**
+   * localStorage key for the current wallet
+   * @returns {string}
+   * @private
+   */
+  _cacheKey() {
+    return `${this.config.storageKey}:${this.wallet || 'anonymous'}`;
+  }
+
+  /**
+   * Restore cached flags for the current wallet
+   * @private
+   */
+  _loadCache() {
+    let cached = null;
+    try {
+      cached = JSON.parse(localStorage.getItem(this._cacheKey()) || 'null');
+    } catch (error) {
+      this._debug('Cache read failed:', error.message);
+    }
+
+    const fresh = cached && Date.now() - cached.savedAt < this.config.maxCacheAge;
+    this._replaceFlags(fresh ? cached.flags : {}, 'cache');
+
+    if (fresh && !this.ready) {
+      this.ready = true;
+      eventBus.emit(EVENTS.FLAGS_READY, { source: 'cache', count: this.flags.size });
+    }
+  }
+
+  /**
+   * Persist flags for the current wallet
+   * @private
+   */
+  _saveCache() {
+    try {
+      localStorage.setItem(
+        this._cacheKey(),
+        JSON.stringify({ flags: Object.fromEntries(this.flags), savedAt: Date.now() })
+      );
+    } catch (error) {
+      this._debug('Cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Stable random ID for visitors without a wallet
+   * @returns {string}
+   * @private
+   */
+  _getAnonymousId() {
+    let id = null;
+    try {
+      id = localStorage.getItem(this.config.anonymousIdKey);
+    } catch {
+      // localStorage not available
+    }
+
+    if (!id) {
+      const bytes = new Uint8Array(16);
+      crypto.getRandomValues(bytes);
+      id = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+      try {
+        localStorage.setItem(this.config.anonymousIdKey, id);
+      } catch {
+        // Bucketing stays stable for this page view only
+      }
+    }
+
+    return id;
+  }
+
+  /**
+   * Debug logging
+   * @param  {...any} args
+   * @private
+   */
+  _debug(...args) {
+    if (this.config.debug) {
+      console.log('[Flags]', ...args);
+    }
+  }
+
+  // ============================================
+  // PUBLIC API
+  // ============================================
+
+  /**
+   * Get statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      ready: this.ready,
+      flags: this.flags.size,
+      wallet: this.wallet
+    };
+  }
+}
+
+// ============================================
+// SINGLETON INSTANCE
+// ============================================
+
+/** @type {FlagClient} */
+export const flags = new FlagClient();
+
+// Export class for testing
+export { FlagClient };
+
+// ============================================
+// CONVENIENCE FUNCTIONS
+// ============================================
+
+/**
+ * Bootstrap flags
+ * @param {Object} [options] - { wallet }
+ * @returns {Promise<boolean>}
+ */
+export async function initFlags(options) {
+  return flags.init(options);
+}
+
+/**
+ * Check if a boolean flag is on
+ * @param {string} key
+ * @param {boolean} [defaultValue]
+ * @returns {boolean}
+ */
+export function isFlagEnabled(key, defaultValue) {
+  return flags.isEnabled(key, defaultValue);
+}
+
+/**
+ * Get a flag's value
+ * @param {string} key
+ * @param {any} [defaultValue]
+ * @returns {any}
+ */
+export function getFlagValue(key, defaultValue) {
+  return flags.getValue(key, defaultValue);
+}
+
+// ============================================
+// GLOBAL ACCESS
+// ============================================
+
+if (typeof window !== 'undefined') {
+  window.ASDF = window.ASDF || {};
+  window.ASDF.flags = flags;
+}
@@ -13,6 +13,7 @@
  * import { errors, getError } from './core/index.js';
  * import { getConfig, setConfig } from './core/index.js';
  * import { debug, debugWarn, debugError } from './core/index.js';
+ * import { flags, isFlagEnabled } from './core/index.js';
  */
 
 // Event Bus
@@ -59,6 +60,9 @@ export {
 // Redis client
 export { redis, REDIS_EVENTS } from './redis-client.js';
 
+// Feature flags
+export { flags, initFlags, isFlagEnabled, getFlagValue } from './flags.js';
+
 /**
  * Initialize core modules
  * Call this on app startup
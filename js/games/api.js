@@ -13,6 +13,9 @@ const ApiClient = {
     // Track authentication state (cookie is managed by server)
     _isAuthenticated: false,
 
+    // In-flight refresh, shared by concurrent callers
+    _refreshing: null,
+
     /**
      * Generate cryptographically secure nonce
      */
@@ -99,8 +102,10 @@ const ApiClient = {
     /**
      * Make an API request
      * Uses httpOnly cookies for authentication (credentials: 'include')
+     * An expired access token is refreshed once and the request retried
      */
-    async request(endpoint, options = {}) {
+    async request(endpoint, requestOptions = {}) {
+        const { retryAuth = true, ...options } = requestOptions;
         const url = `${CONFIG.API_BASE}${endpoint}`;
 
         if (!RateLimiter.canMakeCall(endpoint)) {
@@ -133,6 +138,10 @@ const ApiClient = {
             if (!response.ok) {
                 // Handle auth errors - update state
                 if (response.status === 401) {
+                    if (retryAuth && this._isAuthenticated && !endpoint.startsWith('/auth/')) {
+                        await this.refreshAuth();
+                        return this.request(endpoint, { ...options, retryAuth: false });
+                    }
                     this._isAuthenticated = false;
                 }
                 throw new Error(data.message || data.error || 'API request failed');
@@ -156,6 +165,54 @@ const ApiClient = {
         });
     },
 
+    // Seeded game session (server-side replay validation)
+    async startGameSession(gameType) {
+        return this.request('/game/start', {
+            method: 'POST',
+            body: JSON.stringify({ gameType })
+        });
+    },
+
+    async submitGameSession(session, score, replay) {
+        return this.request('/game/submit', {
+            method: 'POST',
+            body: JSON.stringify({
+                sessionId: session.sessionId,
+                token: session.token,
+                score,
+                replay
+            })
+        });
+    },
+
+    // Tournament endpoints
+    async getTournaments(status = null) {
+        const query = status ? `?status=${encodeURIComponent(status)}` : '';
+        return this.request(`/tournaments${query}`, { auth: false });
+    },
+
+    async getTournament(tournamentId) {
+        return this.request(`/tournaments/${encodeURIComponent(tournamentId)}`, { auth: false });
+    },
+
+    async getMyTournament(tournamentId) {
+        return this.request(`/tournaments/${encodeURIComponent(tournamentId)}/me`);
+    },
+
+    async registerTournament(tournamentId, signature = null) {
+        return this.request(`/tournaments/${encodeURIComponent(tournamentId)}/register`, {
+            method: 'POST',
+            body: JSON.stringify({ signature })
+        });
+    },
+
+    // Opens a seeded session like startGameSession; scores go through submitGameSession
+    async startTournamentSession(tournamentId) {
+        return this.request(`/tournaments/${encodeURIComponent(tournamentId)}/play`, {
+            method: 'POST'
+        });
+    },
+
     async getBestScore(gameId) {
         return this.request(`/scores/best/${gameId}`);
     },
@@ -204,11 +261,12 @@ const ApiClient = {
     /**
      * Verify wallet signature and authenticate
      * Server will set httpOnly cookie on success
+     * @param {string} message - Signed SIWS text, when the wallet formatted it (solana:signIn)
      */
-    async verifyAndLogin(wallet, signature) {
+    async verifyAndLogin(wallet, signature, message) {
         const result = await this.request('/auth/verify', {
             method: 'POST',
-            body: JSON.stringify({ wallet, signature })
+            body: JSON.stringify({ wallet, signature, message })
         });
 
         if (result.success) {
@@ -220,19 +278,29 @@ const ApiClient = {
 
     /**
      * Refresh authentication
-     * Server will update httpOnly cookie with new token
+     * Server rotates the refresh token and updates both httpOnly cookies.
+     * Concurrent callers share one request: presenting the same refresh
+     * token twice is treated as theft and ends the session.
      */
     async refreshAuth() {
-        try {
-            const result = await this.request('/auth/refresh');
-            if (result.success) {
-                this._isAuthenticated = true;
-            }
-            return result;
-        } catch (error) {
-            this._isAuthenticated = false;
-            throw error;
+        if (!this._refreshing) {
+            this._refreshing = this.request('/auth/refresh', { method: 'POST' })
+                .then(result => {
+                    if (result.success) {
+                        this._isAuthenticated = true;
+                    }
+                    return result;
+                })
+                .catch(error => {
+                    this._isAuthenticated = false;
+                    throw error;
+                })
+                .finally(() => {
+                    this._refreshing = null;
+                });
         }
+
+        return this._refreshing;
     },
 
     /**
@@ -10,13 +10,15 @@
 'use strict';
 
 const BurnRunner = {
-  version: '1.2.0', // Parallax backgrounds + dust particles
+  version: '1.3.0', // Deterministic sim rules (server replay validation)
   gameId: 'burnrunner',
   state: null,
   canvas: null,
   ctx: null,
   timing: null,
   juice: null, // GameJuice integration
+  sim: null,
+  world: null,
 
   // Deadly obstacles
   obstacleTypes: [
@@ -106,27 +108,10 @@ const BurnRunner = {
     const arena = document.getElementById(`arena-${gameId}`);
     if (!arena) return;
 
-    // Initialize state with Fibonacci-based values
+    // Rules state (player, obstacles, distance, tokens) lives in BurnRunnerSim;
+    // this.state only keeps cosmetic layers and particles
     this.state = {
-      score: 0,
-      distance: 0,
-      tokens: 0,
-      speed: 5, // fib[4]
-      baseSpeed: 5, // fib[4]
-      maxSpeed: 13, // fib[6]
-      gravity: 0.382, // PHI_INVERSE * 0.618
-      jumpForce: -8, // fib[5]
-      jumpsLeft: 2,
-      maxJumps: 2,
-      isJumping: false,
       gameOver: false,
-      player: { x: 89, y: 0, vy: 0, width: 34, height: 55 }, // fib[10], fib[8], fib[9]
-      ground: 0,
-      obstacles: [],
-      platforms: [],
-      collectibles: [],
-      bonusItems: [],
-      malusItems: [],
       particles: [],
       dustParticles: [], // Landing dust effects
       clouds: [],
@@ -137,44 +122,8 @@ const BurnRunner = {
         mid: [], // 0.5x speed - buildings
         near: [], // 0.8x speed - foreground elements
       },
-      lastObstacle: 0,
-      lastPlatform: 0,
-      lastAerialPlatform: 0,
-      lastBrickStructure: 0,
-      lastCollectible: 0,
-      lastBonus: 0,
-      lastMalus: 0,
       frameCount: 0,
-      // Phi-based difficulty
-      difficultyLevel: 0,
-      PHI: 1.618033988749895,
-      dash: {
-        active: false,
-        endTime: 0,
-        lastUsed: 0,
-        cooldown: 3400, // fib[8] * 100
-        duration: 300, // fib[3] * 100
-        speed: 13, // fib[6]
-      },
-      abilityShield: {
-        active: false,
-        endTime: 0,
-        lastUsed: 0,
-        cooldown: 8900, // fib[10] * 100 (approx)
-        duration: 1300, // fib[6] * 100
-      },
-      effects: {
-        shield: false,
-        shieldEnd: 0,
-        slow: false,
-        slowEnd: 0,
-        speedBoost: false,
-        speedBoostEnd: 0,
-        freeze: false,
-        freezeEnd: 0,
-      },
     };
-
     this.createArena(arena);
     this.canvas = document.getElementById('br-canvas');
     this.ctx = this.canvas.getContext('2d');
@@ -198,6 +147,19 @@ const BurnRunner = {
     }
 
     this.resizeCanvas();
+
+    // Seeded rules session; the canvas size is part of the replay
+    this.sim = GameLifecycle.createSimSession(gameId, {
+      width: this.canvas.width,
+      height: this.canvas.height,
+    });
+    this.world = this.sim.state;
+    if (this.canvas.width !== this.world.width || this.canvas.height !== this.world.height) {
+      this.canvas.width = this.world.width;
+      this.canvas.height = this.world.height;
+      this.initBackground();
+    }
+
     this.setupInput();
     this.preloadSprites();
     this.gameLoop();
@@ -287,8 +249,6 @@ const BurnRunner = {
     const rect = this.canvas.parentElement.getBoundingClientRect();
     this.canvas.width = rect.width;
     this.canvas.height = rect.height;
-    this.state.ground = this.canvas.height - 80;
-    this.state.player.y = this.state.ground - this.state.player.height;
     this.initBackground();
   },
 
@@ -387,39 +347,38 @@ const BurnRunner = {
   },
 
   /**
-   * Jump action
+   * Jump action (queued for the next simulation tick)
    */
   jump() {
     if (this.state.gameOver) return;
-    if (this.state.jumpsLeft > 0) {
-      this.state.player.vy = this.state.jumpForce;
-      this.state.isJumping = true;
-      this.state.jumpsLeft--;
-      this.updateJumpsDisplay();
-      if (this.state.jumpsLeft === 0) {
-        this.addJumpParticles(
-          this.state.player.x + this.state.player.width / 2,
-          this.state.player.y + this.state.player.height
-        );
-      }
-    }
+    this.sim.input('jump');
   },
 
   /**
    * Activate dash ability
    */
   activateDash() {
-    const now = Date.now();
-    if (now - this.state.dash.lastUsed < this.state.dash.cooldown) return false;
+    if (this.state.gameOver) return;
+    this.sim.input('dash');
+  },
 
-    this.state.dash.active = true;
-    this.state.dash.endTime = now + this.state.dash.duration;
-    this.state.dash.lastUsed = now;
+  /**
+   * Activate shield ability
+   */
+  activateShield() {
+    if (this.state.gameOver) return;
+    this.sim.input('shield');
+  },
 
+  /**
+   * Dash burst particles
+   */
+  addDashParticles() {
+    const player = this.world.player;
     for (let i = 0; i < 10; i++) {
       this.state.particles.push({
-        x: this.state.player.x,
-        y: this.state.player.y + this.state.player.height / 2,
+        x: player.x,
+        y: player.y + player.height / 2,
         vx: -3 - Math.random() * 3,
         vy: (Math.random() - 0.5) * 2,
         life: 25,
@@ -427,25 +386,18 @@ const BurnRunner = {
         size: 20,
       });
     }
-    return true;
   },
 
   /**
-   * Activate shield ability
+   * Shield ring particles
    */
-  activateShield() {
-    const now = Date.now();
-    if (now - this.state.abilityShield.lastUsed < this.state.abilityShield.cooldown) return false;
-
-    this.state.abilityShield.active = true;
-    this.state.abilityShield.endTime = now + this.state.abilityShield.duration;
-    this.state.abilityShield.lastUsed = now;
-
+  addShieldParticles() {
+    const player = this.world.player;
     for (let i = 0; i < 8; i++) {
       const angle = (i / 8) * Math.PI * 2;
       this.state.particles.push({
-        x: this.state.player.x + this.state.player.width / 2 + Math.cos(angle) * 30,
-        y: this.state.player.y + this.state.player.height / 2 + Math.sin(angle) * 30,
+        x: player.x + player.width / 2 + Math.cos(angle) * 30,
+        y: player.y + player.height / 2 + Math.sin(angle) * 30,
         vx: Math.cos(angle) * 2,
         vy: Math.sin(angle) * 2,
         life: 30,
@@ -453,7 +405,6 @@ const BurnRunner = {
         size: 16,
       });
     }
-    return true;
   },
 
   /**
@@ -463,10 +414,9 @@ const BurnRunner = {
     const jumpsEl = this.dom.jumps;
     if (jumpsEl) {
       jumpsEl.innerHTML =
-        '⬆️'.repeat(this.state.jumpsLeft) + '⬛'.repeat(this.state.maxJumps - this.state.jumpsLeft);
+        '⬆️'.repeat(this.world.jumpsLeft) + '⬛'.repeat(this.world.maxJumps - this.world.jumpsLeft);
     }
   },
-
   /**
    * Add jump particles
    */
@@ -490,8 +440,8 @@ const BurnRunner = {
   addEffectParticles(x, y, icon) {
     for (let i = 0; i < 6; i++) {
       this.state.particles.push({
-        x: x + this.state.player.width / 2,
-        y: y + this.state.player.height / 2,
+        x: x + this.world.player.width / 2,
+        y: y + this.world.player.height / 2,
         vx: (Math.random() - 0.5) * 8,
         vy: -Math.random() * 5 - 2,
         life: 40,
@@ -542,196 +492,68 @@ const BurnRunner = {
    * Add speed trail particles
    */
   addTrailParticle() {
-    if (this.state.speed < 7 && !this.state.dash.active) return;
+    if (this.world.speed < 7 && !this.world.dash.active) return;
 
-    const intensity = this.state.dash.active ? 1 : (this.state.speed - 7) / 6;
+    const intensity = this.world.dash.active ? 1 : (this.world.speed - 7) / 6;
     if (Math.random() > 0.3 * intensity) return;
 
     this.state.particles.push({
-      x: this.state.player.x - 5,
-      y: this.state.player.y + this.state.player.height / 2 + (Math.random() - 0.5) * 20,
+      x: this.world.player.x - 5,
+      y: this.world.player.y + this.world.player.height / 2 + (Math.random() - 0.5) * 20,
       vx: -2 - Math.random() * 2,
       vy: (Math.random() - 0.5) * 1,
       life: 15 + Math.random() * 10,
-      icon: this.state.dash.active ? '💨' : '✦',
-      size: this.state.dash.active ? 16 : 10,
-    });
-  },
-
-  /**
-   * Spawn obstacle
-   */
-  spawnObstacle() {
-    const type = this.obstacleTypes[Math.floor(Math.random() * this.obstacleTypes.length)];
-    this.state.obstacles.push({
-      x: this.canvas.width + 50,
-      y: this.state.ground - type.height,
-      ...type,
-    });
-  },
-
-  /**
-   * Spawn platform
-   */
-  spawnPlatform() {
-    const type = this.platformTypes[Math.floor(Math.random() * this.platformTypes.length)];
-    this.state.platforms.push({
-      x: this.canvas.width + 50,
-      y: this.state.ground - type.height,
-      scored: false,
-      collected: false,
-      ...type,
-    });
-  },
-
-  /**
-   * Spawn aerial platform
-   */
-  spawnAerialPlatform() {
-    const type =
-      this.aerialPlatformTypes[Math.floor(Math.random() * this.aerialPlatformTypes.length)];
-    const minHeight = this.state.ground * 0.25;
-    const maxHeight = this.state.ground * 0.6;
-    const y = minHeight + Math.random() * (maxHeight - minHeight);
-
-    this.state.platforms.push({
-      x: this.canvas.width + 50,
-      y: y,
-      scored: false,
-      collected: false,
-      bobOffset: Math.random() * Math.PI * 2,
-      ...type,
-    });
-  },
-
-  /**
-   * Spawn collectible
-   */
-  spawnCollectible() {
-    const height = 40 + Math.random() * 70;
-    this.state.collectibles.push({
-      x: this.canvas.width + 50,
-      y: this.state.ground - height - 25,
-      width: 25,
-      height: 25,
-      icon: '🪙',
+      icon: this.world.dash.active ? '💨' : '✦',
+      size: this.world.dash.active ? 16 : 10,
     });
   },
 
   /**
-   * Check collision
-   */
-  checkCollision(a, b) {
-    const padding = 5;
-    return (
-      a.x + padding < b.x + b.width - padding &&
-      a.x + a.width - padding > b.x + padding &&
-      a.y + padding < b.y + b.height &&
-      a.y + a.height > b.y + padding
-    );
-  },
-
-  /**
-   * Apply effect
-   */
-  applyEffect(effect, duration) {
-    const now = Date.now();
-    switch (effect) {
-      case 'shield':
-        this.state.effects.shield = true;
-        this.state.effects.shieldEnd = now + 3000;
-        this.addEffectParticles(this.state.player.x, this.state.player.y, '🛡️');
-        break;
-      case 'speed':
-        this.state.effects.speedBoost = true;
-        this.state.effects.speedBoostEnd = now + 3000;
-        this.addEffectParticles(this.state.player.x, this.state.player.y, '⚡');
-        break;
-      case 'slow':
-        this.state.effects.slow = true;
-        this.state.effects.slowEnd = now + duration;
-        break;
-      case 'freeze':
-        this.state.effects.freeze = true;
-        this.state.effects.freezeEnd = now + duration;
-        break;
-      case 'pushback':
-        this.state.player.vy = -5;
-        this.addEffectParticles(this.state.player.x, this.state.player.y, '💨');
-        break;
-    }
-  },
-
-  /**
-   * Update effects
-   */
-  updateEffects() {
-    const now = Date.now();
-    if (this.state.effects.shield && now > this.state.effects.shieldEnd) {
-      this.state.effects.shield = false;
-    }
-    if (this.state.effects.speedBoost && now > this.state.effects.speedBoostEnd) {
-      this.state.effects.speedBoost = false;
-    }
-    if (this.state.effects.slow && now > this.state.effects.slowEnd) {
-      this.state.effects.slow = false;
-    }
-    if (this.state.effects.freeze && now > this.state.effects.freezeEnd) {
-      this.state.effects.freeze = false;
-    }
-  },
-
-  /**
-   * Update abilities
+   * Get the sprite for a platform
    */
-  updateAbilities() {
-    const now = Date.now();
-    if (this.state.dash.active && now > this.state.dash.endTime) {
-      this.state.dash.active = false;
-    }
-    if (this.state.abilityShield.active && now > this.state.abilityShield.endTime) {
-      this.state.abilityShield.active = false;
-    }
+  getPlatformIcon(plat) {
+    const types = plat.floating ? this.aerialPlatformTypes : this.platformTypes;
+    return types[plat.typeIndex].icon;
   },
 
   /**
    * Update ability cooldowns display
    */
   updateAbilityCooldowns() {
-    const now = Date.now();
     const dashCdEl = this.dom.dashCd;
     const shieldCdEl = this.dom.shieldCd;
     const dashAbilityEl = this.dom.dashAbility;
     const shieldAbilityEl = this.dom.shieldAbility;
+    const frame = this.world.frame;
 
     if (dashCdEl && dashAbilityEl) {
-      const dashRemaining = Math.max(
-        0,
-        this.state.dash.cooldown - (now - this.state.dash.lastUsed)
-      );
+      const dashRemaining =
+        Math.max(0, BurnRunnerSim.dash.cooldown - (frame - this.world.dash.lastUsed)) *
+        GameSim.TICK_MS;
       if (dashRemaining > 0) {
         dashCdEl.textContent = (dashRemaining / 1000).toFixed(1) + 's';
         dashCdEl.style.color = '#ef4444';
         dashAbilityEl.style.opacity = '0.6';
       } else {
-        dashCdEl.textContent = this.state.dash.active ? 'ACTIVE' : 'READY';
-        dashCdEl.style.color = this.state.dash.active ? '#3b82f6' : '#22c55e';
+        dashCdEl.textContent = this.world.dash.active ? 'ACTIVE' : 'READY';
+        dashCdEl.style.color = this.world.dash.active ? '#3b82f6' : '#22c55e';
         dashAbilityEl.style.opacity = '1';
       }
     }
 
     if (shieldCdEl && shieldAbilityEl) {
-      const shieldRemaining = Math.max(
-        0,
-        this.state.abilityShield.cooldown - (now - this.state.abilityShield.lastUsed)
-      );
+      const shieldRemaining =
+        Math.max(
+          0,
+          BurnRunnerSim.abilityShield.cooldown - (frame - this.world.abilityShield.lastUsed)
+        ) * GameSim.TICK_MS;
       if (shieldRemaining > 0) {
         shieldCdEl.textContent = (shieldRemaining / 1000).toFixed(1) + 's';
         shieldCdEl.style.color = '#ef4444';
         shieldAbilityEl.style.opacity = '0.6';
       } else {
-        shieldCdEl.textContent = this.state.abilityShield.active ? 'ACTIVE' : 'READY';
-        shieldCdEl.style.color = this.state.abilityShield.active ? '#a855f7' : '#22c55e';
+        shieldCdEl.textContent = this.world.abilityShield.active ? 'ACTIVE' : 'READY';
+        shieldCdEl.style.color = this.world.abilityShield.active ? '#a855f7' : '#22c55e';
         shieldAbilityEl.style.opacity = '1';
       }
     }
@@ -744,58 +566,10 @@ const BurnRunner = {
   update(dt) {
     if (this.state.gameOver) return;
 
-    if (this.state.effects.freeze) {
-      this.updateEffects();
-      this.updateAbilityCooldowns();
-      return;
-    }
-
     this.state.frameCount += dt;
-    this.updateEffects();
-    this.updateAbilities();
+    this.handleSimEvents(this.sim.advance(dt * GameSim.TICK_MS));
     this.updateAbilityCooldowns();
 
-    // Calculate effective speed using phi-based difficulty curve
-    // Speed increases using inverse phi for smooth ramp: base + (maxSpeed - base) * (1 - e^(-distance/500))
-    const PHI_INV = 0.618;
-    const distanceFactor = 1 - Math.pow(PHI_INV, this.state.distance / 500);
-    let effectiveSpeed =
-      this.state.baseSpeed + (this.state.maxSpeed - this.state.baseSpeed) * distanceFactor;
-
-    // Update difficulty level at Fibonacci milestones: 89m, 144m, 233m, 377m
-    if (this.state.distance >= 377) this.state.difficultyLevel = 4;
-    else if (this.state.distance >= 233) this.state.difficultyLevel = 3;
-    else if (this.state.distance >= 144) this.state.difficultyLevel = 2;
-    else if (this.state.distance >= 89) this.state.difficultyLevel = 1;
-
-    if (this.state.effects.slow) effectiveSpeed *= PHI_INV;
-    if (this.state.effects.speedBoost) effectiveSpeed *= this.state.PHI;
-    if (this.state.dash.active) effectiveSpeed = this.state.dash.speed;
-    this.state.speed = effectiveSpeed;
-
-    this.state.distance += this.state.speed * 0.1 * dt;
-
-    // Player physics (frame-independent)
-    this.state.player.vy += this.state.gravity * dt;
-    this.state.player.y += this.state.player.vy * dt;
-
-    if (this.state.player.y >= this.state.ground - this.state.player.height) {
-      // Spawn dust on landing (intensity based on fall velocity)
-      if (this.state.isJumping && this.state.player.vy > 2) {
-        const intensity = Math.min(2, this.state.player.vy / 5);
-        this.addDustParticles(
-          this.state.player.x + this.state.player.width / 2,
-          this.state.ground,
-          intensity
-        );
-      }
-      this.state.player.y = this.state.ground - this.state.player.height;
-      this.state.player.vy = 0;
-      this.state.isJumping = false;
-      this.state.jumpsLeft = this.state.maxJumps;
-      this.updateJumpsDisplay();
-    }
-
     // Spawn trail particles when moving fast
     this.addTrailParticle();
 
@@ -808,113 +582,6 @@ const BurnRunner = {
       }
     });
 
-    // Spawn obstacles (Fibonacci intervals, density increases with difficulty)
-    const obstacleDensity = 89 - this.state.difficultyLevel * 13; // fib[10] - level * fib[6]
-    if (this.state.distance - this.state.lastObstacle > obstacleDensity + Math.random() * 55) {
-      this.spawnObstacle();
-      this.state.lastObstacle = this.state.distance;
-    }
-
-    // Spawn platforms (fib[9] base interval)
-    if (this.state.distance - this.state.lastPlatform > 55 + Math.random() * 34) {
-      this.spawnPlatform();
-      this.state.lastPlatform = this.state.distance;
-    }
-
-    // Spawn aerial platforms (fib[10] base interval)
-    if (this.state.distance - this.state.lastAerialPlatform > 89 + Math.random() * 55) {
-      this.spawnAerialPlatform();
-      this.state.lastAerialPlatform = this.state.distance;
-    }
-
-    // Spawn collectibles (fib[8] base interval)
-    if (this.state.distance - this.state.lastCollectible > 34 + Math.random() * 21) {
-      this.spawnCollectible();
-      this.state.lastCollectible = this.state.distance;
-    }
-
-    const self = this;
-
-    // Update platforms (frame-independent)
-    this.state.platforms = this.state.platforms.filter(plat => {
-      plat.x -= self.state.speed * dt;
-
-      if (plat.floating && plat.bobOffset !== undefined) {
-        plat.bobOffset += 0.05 * dt;
-        plat.renderY = plat.y + Math.sin(plat.bobOffset) * 8;
-      } else {
-        plat.renderY = plat.y;
-      }
-
-      const platY = plat.renderY || plat.y;
-      const playerBottom = self.state.player.y + self.state.player.height;
-      const playerCenterX = self.state.player.x + self.state.player.width / 2;
-      const platRight = plat.x + plat.width;
-
-      const onTopOf =
-        playerBottom >= platY - 5 &&
-        playerBottom <= platY + 15 &&
-        playerCenterX > plat.x &&
-        playerCenterX < platRight &&
-        self.state.player.vy >= 0;
-
-      if (onTopOf) {
-        // Spawn dust on platform landing
-        if (self.state.isJumping) {
-          self.addDustParticles(self.state.player.x + self.state.player.width / 2, platY, 0.8);
-        }
-        self.state.player.y = platY - self.state.player.height;
-        self.state.player.vy = 0;
-        self.state.isJumping = false;
-        self.state.jumpsLeft = self.state.maxJumps;
-        self.updateJumpsDisplay();
-
-        if (!plat.scored) {
-          plat.scored = true;
-          const pointMultiplier = plat.floating ? 2 : 1;
-          self.state.tokens += Math.ceil(plat.points / 10) * pointMultiplier;
-          self.addBurnParticles(plat.x + plat.width / 2, platY);
-        }
-      }
-
-      return plat.x > -60;
-    });
-
-    // Update obstacles (frame-independent)
-    this.state.obstacles = this.state.obstacles.filter(obs => {
-      obs.x -= self.state.speed * dt;
-
-      if (self.checkCollision(self.state.player, obs)) {
-        if (self.state.effects.shield || self.state.abilityShield.active) {
-          if (self.state.effects.shield) self.state.effects.shield = false;
-          self.addEffectParticles(obs.x, obs.y, '💥');
-          return false;
-        } else if (self.state.dash.active) {
-          self.addEffectParticles(obs.x, obs.y, '💨');
-          return false;
-        } else {
-          self.state.gameOver = true;
-          const finalScore = Math.floor(self.state.distance) + self.state.tokens * 10;
-          endGame(self.gameId, finalScore);
-        }
-      }
-
-      return obs.x > -50;
-    });
-
-    // Update collectibles (frame-independent)
-    this.state.collectibles = this.state.collectibles.filter(col => {
-      col.x -= self.state.speed * dt;
-
-      if (self.checkCollision(self.state.player, col)) {
-        self.state.tokens++;
-        self.addBurnParticles(col.x, col.y);
-        return false;
-      }
-
-      return col.x > -50;
-    });
-
     // Update particles (frame-independent)
     this.state.particles = this.state.particles.filter(p => {
       p.x += p.vx * dt;
@@ -938,12 +605,65 @@ const BurnRunner = {
     // Update UI (using cached DOM references)
     const distanceEl = this.dom.distance;
     const tokensEl = this.dom.tokens;
-    if (distanceEl) distanceEl.textContent = Math.floor(this.state.distance) + 'm';
-    if (tokensEl) tokensEl.textContent = this.state.tokens + ' 🔥';
-    this.state.score = Math.floor(this.state.distance) + this.state.tokens * 10;
-    updateScore(this.gameId, this.state.score);
+    if (distanceEl) distanceEl.textContent = Math.floor(this.world.distance) + 'm';
+    if (tokensEl) tokensEl.textContent = this.world.tokens + ' 🔥';
+    updateScore(this.gameId, this.world.score);
   },
 
+  /**
+   * Turn rule events into particles and UI updates
+   * @param {Object[]} events - Events from BurnRunnerSim
+   */
+  handleSimEvents(events) {
+    for (const event of events) {
+      switch (event.type) {
+        case 'jump':
+          this.updateJumpsDisplay();
+          if (event.jumpsLeft === 0) {
+            const player = this.world.player;
+            this.addJumpParticles(player.x + player.width / 2, player.y + player.height);
+          }
+          break;
+
+        case 'land':
+          this.addDustParticles(event.x, event.y, event.intensity);
+          this.updateJumpsDisplay();
+          break;
+
+        case 'dash':
+          this.addDashParticles();
+          break;
+
+        case 'shield':
+          this.addShieldParticles();
+          break;
+
+        case 'platform':
+          this.addBurnParticles(event.x, event.y);
+          this.updateJumpsDisplay();
+          break;
+
+        case 'collect':
+          this.addBurnParticles(event.x, event.y);
+          break;
+
+        case 'blocked':
+          this.addEffectParticles(event.x, event.y, '💥');
+          break;
+
+        case 'dashed':
+          this.addEffectParticles(event.x, event.y, '💨');
+          break;
+
+        case 'gameover': {
+          this.state.gameOver = true;
+          const finalScore = this.world.score;
+          setTimeout(() => endGame(this.gameId, finalScore), 0);
+          break;
+        }
+      }
+    }
+  },
   /**
    * Draw game
    */
@@ -972,24 +692,24 @@ const BurnRunner = {
 
     // FAR LAYER: Distant mountains (slowest parallax - 0.2x)
     this.state.parallax.far.forEach(m => {
-      const mx = (m.x - this.state.distance * m.speed) % (this.canvas.width + m.width);
+      const mx = (m.x - this.world.distance * m.speed) % (this.canvas.width + m.width);
       const adjustedX = mx < -m.width ? mx + this.canvas.width + m.width : mx;
 
       // Draw mountain silhouette
       ctx.fillStyle = m.color;
       ctx.beginPath();
-      ctx.moveTo(adjustedX, this.state.ground);
-      ctx.lineTo(adjustedX + m.width / 2, this.state.ground - m.height);
-      ctx.lineTo(adjustedX + m.width, this.state.ground);
+      ctx.moveTo(adjustedX, this.world.ground);
+      ctx.lineTo(adjustedX + m.width / 2, this.world.ground - m.height);
+      ctx.lineTo(adjustedX + m.width, this.world.ground);
       ctx.closePath();
       ctx.fill();
 
       // Mountain highlight
       ctx.fillStyle = 'rgba(139, 92, 246, 0.1)';
       ctx.beginPath();
-      ctx.moveTo(adjustedX + m.width / 2, this.state.ground - m.height);
-      ctx.lineTo(adjustedX + m.width / 2 + 20, this.state.ground - m.height + 30);
-      ctx.lineTo(adjustedX + m.width / 2, this.state.ground - m.height + 30);
+      ctx.moveTo(adjustedX + m.width / 2, this.world.ground - m.height);
+      ctx.lineTo(adjustedX + m.width / 2 + 20, this.world.ground - m.height + 30);
+      ctx.lineTo(adjustedX + m.width / 2, this.world.ground - m.height + 30);
       ctx.closePath();
       ctx.fill();
     });
@@ -1006,15 +726,15 @@ const BurnRunner = {
 
     // MID LAYER: Buildings (medium parallax - 0.5x)
     this.state.parallax.mid.forEach(b => {
-      const bx = (b.x - this.state.distance * b.speed) % (this.canvas.width + b.width);
+      const bx = (b.x - this.world.distance * b.speed) % (this.canvas.width + b.width);
       const adjustedX = bx < -b.width ? bx + this.canvas.width + b.width : bx;
       ctx.fillStyle = b.color;
-      ctx.fillRect(adjustedX, this.state.ground - b.height, b.width, b.height);
+      ctx.fillRect(adjustedX, this.world.ground - b.height, b.width, b.height);
 
       // Windows (only render some for performance)
       if (b.windows) {
         ctx.fillStyle = 'rgba(251, 191, 36, 0.3)';
-        for (let wy = this.state.ground - b.height + 10; wy < this.state.ground - 20; wy += 20) {
+        for (let wy = this.world.ground - b.height + 10; wy < this.world.ground - 20; wy += 20) {
           for (let wx = adjustedX + 8; wx < adjustedX + b.width - 8; wx += 15) {
             if (Math.random() > 0.4) ctx.fillRect(wx, wy, 6, 8);
           }
@@ -1023,20 +743,20 @@ const BurnRunner = {
     });
 
     // Ground
-    const groundGrad = ctx.createLinearGradient(0, this.state.ground, 0, this.canvas.height);
+    const groundGrad = ctx.createLinearGradient(0, this.world.ground, 0, this.canvas.height);
     groundGrad.addColorStop(0, '#4a3070');
     groundGrad.addColorStop(1, '#2a1a40');
     ctx.fillStyle = groundGrad;
-    ctx.fillRect(0, this.state.ground, this.canvas.width, 50);
+    ctx.fillRect(0, this.world.ground, this.canvas.width, 50);
 
     // Ground lines
     ctx.strokeStyle = '#6b4d9a';
     ctx.lineWidth = 2;
-    const offset = (this.state.distance * 5) % 60;
+    const offset = (this.world.distance * 5) % 60;
     for (let x = -offset; x < this.canvas.width + 60; x += 60) {
       ctx.beginPath();
-      ctx.moveTo(x, this.state.ground);
-      ctx.lineTo(x + 30, this.state.ground + 50);
+      ctx.moveTo(x, this.world.ground);
+      ctx.lineTo(x + 30, this.world.ground + 50);
       ctx.stroke();
     }
 
@@ -1044,11 +764,11 @@ const BurnRunner = {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'bottom';
     this.state.parallax.near.forEach(e => {
-      const ex = (e.x - this.state.distance * e.speed) % (this.canvas.width + 100);
+      const ex = (e.x - this.world.distance * e.speed) % (this.canvas.width + 100);
       const adjustedX = ex < -50 ? ex + this.canvas.width + 100 : ex;
       ctx.globalAlpha = e.opacity * 0.5; // Semi-transparent foreground
       ctx.font = `${e.size}px Arial`;
-      ctx.fillText(e.icon, adjustedX, this.state.ground - 5);
+      ctx.fillText(e.icon, adjustedX, this.world.ground - 5);
     });
     ctx.globalAlpha = 1;
 
@@ -1063,26 +783,32 @@ const BurnRunner = {
     ctx.globalAlpha = 1;
 
     // Platforms (using SpriteCache)
-    this.state.platforms.forEach(plat => {
+    this.world.platforms.forEach(plat => {
       const platY = plat.renderY || plat.y;
       const size = plat.floating ? 38 : 36;
-      SpriteCache.draw(ctx, plat.icon, plat.x + plat.width / 2, platY + plat.height / 2, size);
+      SpriteCache.draw(
+        ctx,
+        this.getPlatformIcon(plat),
+        plat.x + plat.width / 2,
+        platY + plat.height / 2,
+        size
+      );
     });
 
     // Player
-    const playerCenterX = this.state.player.x + this.state.player.width / 2;
-    const playerCenterY = this.state.player.y + this.state.player.height / 2;
+    const playerCenterX = this.world.player.x + this.world.player.width / 2;
+    const playerCenterY = this.world.player.y + this.world.player.height / 2;
 
     // Player shadow
     const shadowScale = Math.max(
       0.3,
-      1 - (this.state.ground - this.state.player.y - this.state.player.height) / 150
+      1 - (this.world.ground - this.world.player.y - this.world.player.height) / 150
     );
     ctx.fillStyle = 'rgba(0,0,0,0.4)';
     ctx.beginPath();
     ctx.ellipse(
       playerCenterX,
-      this.state.ground + 5,
+      this.world.ground + 5,
       18 * shadowScale,
       6 * shadowScale,
       0,
@@ -1092,25 +818,25 @@ const BurnRunner = {
     ctx.fill();
 
     // Draw player (using SpriteCache)
-    const bounce = this.state.isJumping ? 0 : Math.sin(this.state.distance * 0.4) * 2;
-    const tilt = this.state.isJumping
-      ? this.state.player.vy * 0.02
-      : Math.sin(this.state.distance * 0.4) * 0.1;
+    const bounce = this.world.isJumping ? 0 : Math.sin(this.world.distance * 0.4) * 2;
+    const tilt = this.world.isJumping
+      ? this.world.player.vy * 0.02
+      : Math.sin(this.world.distance * 0.4) * 0.1;
     SpriteCache.drawTransformed(ctx, '🐕', playerCenterX, playerCenterY + bounce, 38, {
       rotation: tilt,
       scaleX: -1,
     });
 
     // Trail effect
-    if (this.state.speed > 7 || this.state.dash.active) {
+    if (this.world.speed > 7 || this.world.dash.active) {
       SpriteCache.drawTransformed(ctx, '🐕', playerCenterX - 18, playerCenterY + bounce, 38, {
         scaleX: -1,
-        alpha: this.state.dash.active ? 0.4 : 0.25,
+        alpha: this.world.dash.active ? 0.4 : 0.25,
       });
     }
 
     // Dash effect (no shadowBlur for performance)
-    if (this.state.dash.active) {
+    if (this.world.dash.active) {
       ctx.strokeStyle = '#3b82f6';
       ctx.lineWidth = 3;
       ctx.beginPath();
@@ -1119,7 +845,7 @@ const BurnRunner = {
     }
 
     // Shield effect (no shadowBlur for performance)
-    if (this.state.abilityShield.active) {
+    if (this.world.abilityShield.active) {
       const shieldPulse = Math.sin(Date.now() * 0.01) * 0.15 + 0.85;
       ctx.strokeStyle = '#a855f7';
       ctx.lineWidth = 4;
@@ -1129,14 +855,20 @@ const BurnRunner = {
     }
 
     // Obstacles (using SpriteCache)
-    this.state.obstacles.forEach(obs => {
-      SpriteCache.draw(ctx, obs.icon, obs.x + obs.width / 2, obs.y + obs.height / 2, 32);
+    this.world.obstacles.forEach(obs => {
+      SpriteCache.draw(
+        ctx,
+        this.obstacleTypes[obs.typeIndex].icon,
+        obs.x + obs.width / 2,
+        obs.y + obs.height / 2,
+        32
+      );
     });
 
     // Collectibles (using SpriteCache)
-    this.state.collectibles.forEach(col => {
+    this.world.collectibles.forEach(col => {
       const float = Math.sin(Date.now() * 0.005 + col.x) * 4;
-      SpriteCache.draw(ctx, col.icon, col.x + col.width / 2, col.y + col.height / 2 + float, 24);
+      SpriteCache.draw(ctx, '🪙', col.x + col.width / 2, col.y + col.height / 2 + float, 24);
     });
 
     // Particles (using SpriteCache)
@@ -1193,6 +925,8 @@ const BurnRunner = {
     this.canvas = null;
     this.ctx = null;
     this.state = null;
+    this.sim = null;
+    this.world = null;
     this.timing = null;
   },
 };
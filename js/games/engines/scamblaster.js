@@ -10,56 +10,33 @@
 'use strict';
 
 const ScamBlaster = {
-  version: '1.2.0', // Boss waves + weapons + combo system
+  version: '1.3.0', // Deterministic sim rules (server replay validation)
   gameId: 'scamblaster',
   state: null,
   canvas: null,
   ctx: null,
   timing: null,
   juice: null,
+  sim: null,
+  world: null,
 
-  // Enemy types with Fibonacci-based points: 8, 13, 21, 34, 55
+  // Sprites for ScamBlasterSim.enemyTypes (same order)
   enemyTypes: [
-    { icon: '🪙', name: 'SCAM COIN', points: 8, speed: 1, size: 34 }, // fib[5], fib[8]
-    { icon: '🔴', name: 'RUG TOKEN', points: 13, speed: 1.2, size: 40 }, // fib[6]
-    { icon: '💀', name: 'HONEYPOT', points: 21, speed: 1.4, size: 45 }, // fib[7]
-    { icon: '🦠', name: 'MALWARE', points: 34, speed: 1.6, size: 34 }, // fib[8]
-    { icon: '👤', name: 'FAKE DEV', points: 55, speed: 1.3, size: 55 }, // fib[9]
-    // Shielded enemies (need 2 hits)
-    { icon: '🛡️', name: 'SHIELDED', points: 89, speed: 0.8, size: 50, shield: true, hp: 2 },
-    // Splitter enemies (split on hit)
-    { icon: '🧬', name: 'SPLITTER', points: 34, speed: 1.1, size: 45, splitter: true },
+    { icon: '🪙', name: 'SCAM COIN' },
+    { icon: '🔴', name: 'RUG TOKEN' },
+    { icon: '💀', name: 'HONEYPOT' },
+    { icon: '🦠', name: 'MALWARE' },
+    { icon: '👤', name: 'FAKE DEV' },
+    { icon: '🛡️', name: 'SHIELDED' },
+    { icon: '🧬', name: 'SPLITTER' },
   ],
+  splitIcon: '🔴',
 
-  // Boss types (every 5th wave)
+  // Sprites for ScamBlasterSim.bossTypes (every 5th wave)
   bossTypes: [
-    {
-      icon: '👹',
-      name: 'RUG LORD',
-      points: 233,
-      speed: 0.5,
-      size: 80,
-      hp: 5,
-      patterns: ['zigzag'],
-    },
-    {
-      icon: '🐙',
-      name: 'KRAKEN',
-      points: 377,
-      speed: 0.4,
-      size: 90,
-      hp: 8,
-      patterns: ['spiral', 'spawn'],
-    },
-    {
-      icon: '🤖',
-      name: 'BOT KING',
-      points: 610,
-      speed: 0.3,
-      size: 100,
-      hp: 13,
-      patterns: ['laser', 'shield'],
-    },
+    { icon: '👹', name: 'RUG LORD', patterns: ['zigzag'] },
+    { icon: '🐙', name: 'KRAKEN', patterns: ['spiral', 'spawn'] },
+    { icon: '🤖', name: 'BOT KING', patterns: ['laser', 'shield'] },
   ],
 
   // Weapon types
@@ -78,13 +55,13 @@ const ScamBlaster = {
     },
   },
 
-  // Power-up types (dropped by enemies)
+  // Sprites for ScamBlasterSim.powerUpTypes (same order)
   powerUpTypes: [
-    { icon: '❤️', name: 'LIFE', effect: 'life', chance: 0.05 },
-    { icon: '🌟', name: 'SPREAD', effect: 'spread', chance: 0.08, duration: 300 },
-    { icon: '⚡', name: 'PIERCE', effect: 'pierce', chance: 0.08, duration: 300 },
-    { icon: '❄️', name: 'FREEZE', effect: 'slow', chance: 0.06, duration: 200 },
-    { icon: '💰', name: 'BONUS', effect: 'score', chance: 0.1 },
+    { icon: '❤️', name: 'LIFE' },
+    { icon: '🌟', name: 'SPREAD' },
+    { icon: '⚡', name: 'PIERCE' },
+    { icon: '❄️', name: 'FREEZE' },
+    { icon: '💰', name: 'BONUS' },
   ],
 
   /**
@@ -95,42 +72,13 @@ const ScamBlaster = {
     const arena = document.getElementById(`arena-${gameId}`);
     if (!arena) return;
 
+    // Rules state (mode, enemies, boss, lives, score) lives in ScamBlasterSim;
+    // this.state only keeps the crosshair and visual effects
     this.state = {
-      score: 0,
-      lives: 3,
-      wave: 1,
       gameOver: false,
-      phase: 'select',
-      countdown: 3,
-      gameMode: null,
       crosshair: { x: 0, y: 0 },
-      enemies: [],
       explosions: [],
-      powerUps: [],
-      spawnTimer: 0,
-      spawnRate: 89, // fib[10]
-      baseSpeed: 1.618, // PHI
-      enemySpeed: 1.618,
       frameCount: 0,
-      // Wave difficulty scaling
-      difficultyLevel: 0,
-      // Boss system
-      boss: null,
-      bossPhase: false,
-      bossDefeated: 0,
-      // Weapon system
-      weapon: 'normal',
-      weaponTimer: 0,
-      activeEffects: {
-        spread: { active: false, endFrame: 0 },
-        pierce: { active: false, endFrame: 0 },
-        slow: { active: false, endFrame: 0 },
-      },
-      // Combo system (Fibonacci multipliers: 1, 1, 2, 3, 5)
-      combo: 0,
-      comboTimer: 0,
-      maxComboTime: 89, // fib[10] frames to maintain combo
-      lastKillFrame: 0,
     };
 
     this.createArena(arena);
@@ -138,6 +86,15 @@ const ScamBlaster = {
     this.ctx = this.canvas.getContext('2d');
     this.resizeCanvas();
 
+    // Seeded rules session; the canvas size is part of the replay
+    this.sim = GameLifecycle.createSimSession(gameId, {
+      width: this.canvas.width,
+      height: this.canvas.height,
+    });
+    this.world = this.sim.state;
+    this.canvas.width = this.world.width;
+    this.canvas.height = this.world.height;
+
     // Initialize timing for frame-independent movement
     this.timing = GameTiming.create();
 
@@ -219,9 +176,12 @@ const ScamBlaster = {
   preloadSprites() {
     const sprites = [
       // Enemies
-      ...this.enemyTypes.map(e => ({ emoji: e.icon, size: e.size || 40 })),
+      ...this.enemyTypes.map((e, i) => ({
+        emoji: e.icon,
+        size: ScamBlasterSim.enemyTypes[i].size,
+      })),
       // Bosses
-      ...this.bossTypes.map(b => ({ emoji: b.icon, size: b.size || 80 })),
+      ...this.bossTypes.map((b, i) => ({ emoji: b.icon, size: ScamBlasterSim.bossTypes[i].size })),
       // Power-ups
       ...this.powerUpTypes.map(p => ({ emoji: p.icon, size: 24 })),
       // Explosion
@@ -237,7 +197,6 @@ const ScamBlaster = {
     const rect = this.canvas.parentElement.getBoundingClientRect();
     this.canvas.width = rect.width;
     this.canvas.height = rect.height;
-    this.walletZone = { y: this.canvas.height - 90, height: 50 };
   },
 
   /**
@@ -250,25 +209,15 @@ const ScamBlaster = {
   },
 
   /**
-   * Select game mode
+   * Select game mode (recorded: the mode is part of the replay)
    */
   selectMode(mode) {
-    this.state.gameMode = mode;
-    document.getElementById('sb-mode-select').style.display = 'none';
-    document.getElementById('sb-hud').style.display = 'block';
-    document.getElementById('sb-countdown').style.display = 'block';
-
-    if (mode === 'fall') {
-      document.getElementById('sb-wallet').style.display = 'flex';
-    }
-
-    this.state.phase = 'countdown';
-    this.state.countdown = 3;
-    document.getElementById('sb-countdown').textContent = '3';
+    this.sim.input('mode', { mode });
   },
 
   /**
    * Setup input handlers
+   * Rule-affecting input goes through the sim so it is recorded for replay
    */
   setupInput() {
     const self = this;
@@ -277,13 +226,19 @@ const ScamBlaster = {
       const rect = self.canvas.getBoundingClientRect();
       const x = (e.touches ? e.touches[0].clientX : e.clientX) - rect.left;
       const y = (e.touches ? e.touches[0].clientY : e.clientY) - rect.top;
-      self.state.crosshair.x = x * (self.canvas.width / rect.width);
-      self.state.crosshair.y = y * (self.canvas.height / rect.height);
+      self.state.crosshair.x = Math.round(x * (self.canvas.width / rect.width));
+      self.state.crosshair.y = Math.round(y * (self.canvas.height / rect.height));
+
+      // Power-ups are collected by hovering: only send the crosshair when it
+      // matters, so plain mouse movement doesn't flood the action stream
+      if (self.isNearPowerUp(self.state.crosshair)) {
+        self.sim.input('aim', { x: self.state.crosshair.x, y: self.state.crosshair.y });
+      }
     };
 
     this.handleClick = e => {
       self.handleMove(e);
-      self.shoot(self.state.crosshair.x, self.state.crosshair.y);
+      self.sim.input('shoot', { x: self.state.crosshair.x, y: self.state.crosshair.y });
     };
 
     this.canvas.addEventListener('mousemove', this.handleMove);
@@ -293,287 +248,60 @@ const ScamBlaster = {
   },
 
   /**
-   * Spawn enemy
+   * Check if a point is within pickup range of a falling power-up
    */
-  spawnEnemy() {
-    // Limit regular enemies - skip if too many (Fib-based limit)
-    const maxEnemies = 13 + this.state.wave * 2;
-    if (this.state.enemies.length >= maxEnemies) return;
-
-    // Choose enemy type based on wave (higher waves unlock harder enemies)
-    const maxTypeIndex = Math.min(this.state.wave + 2, this.enemyTypes.length - 1);
-    const type = this.enemyTypes[Math.floor(Math.random() * (maxTypeIndex + 1))];
-
-    const enemy = {
-      ...type,
-      hp: type.hp || 1,
-      maxHp: type.hp || 1,
-    };
-
-    if (this.state.gameMode === 'fall') {
-      enemy.x = Math.random() * (this.canvas.width - 80) + 40;
-      enemy.y = -50;
-      enemy.vy = type.speed * this.state.enemySpeed;
-      this.state.enemies.push(enemy);
-    } else {
-      enemy.x = 60 + Math.random() * (this.canvas.width - 120);
-      enemy.y = 60 + Math.random() * (this.canvas.height - 180);
-      enemy.vy = 0;
-      enemy.lifespan = 90 + Math.random() * 60;
-      enemy.maxLife = enemy.lifespan;
-      this.state.enemies.push(enemy);
-    }
+  isNearPowerUp(point) {
+    return this.world.powerUps.some(powerUp => {
+      const dx = point.x - powerUp.x;
+      const dy = point.y - powerUp.y;
+      return dx * dx + dy * dy < 48 * 48;
+    });
   },
 
   /**
-   * Spawn boss (every 5th wave)
+   * Get the sprite for an enemy
    */
-  spawnBoss() {
-    const bossIndex = Math.min(Math.floor(this.state.wave / 5) - 1, this.bossTypes.length - 1);
-    const bossType = this.bossTypes[bossIndex];
-
-    this.state.boss = {
-      ...bossType,
-      x: this.canvas.width / 2,
-      y: this.state.gameMode === 'fall' ? -80 : this.canvas.height / 3,
-      hp: bossType.hp,
-      maxHp: bossType.hp,
-      phase: 0,
-      patternTimer: 0,
-      angle: 0,
-    };
-
-    this.state.bossPhase = true;
-
-    // Show boss HUD
-    const bossHud = document.getElementById('sb-boss-hud');
-    const bossName = document.getElementById('sb-boss-name');
-    if (bossHud) bossHud.style.display = 'block';
-    if (bossName) bossName.textContent = `👹 ${bossType.name}`;
+  getEnemyIcon(enemy) {
+    return enemy.typeIndex < 0 ? this.splitIcon : this.enemyTypes[enemy.typeIndex].icon;
   },
 
   /**
    * Calculate combo multiplier (Fibonacci sequence)
    */
   getComboMultiplier() {
-    const fib = [1, 1, 2, 3, 5, 8, 13];
-    return fib[Math.min(this.state.combo, fib.length - 1)];
+    return ScamBlasterSim.getComboMultiplier(this.world.combo);
   },
 
   /**
-   * Update combo state
+   * Refresh combo display
    */
-  updateCombo(killed) {
-    if (killed) {
-      this.state.combo++;
-      this.state.lastKillFrame = this.state.frameCount;
-      // Update combo display
-      const comboEl = document.getElementById('sb-combo');
-      if (comboEl) {
-        const mult = this.getComboMultiplier();
-        comboEl.textContent = mult > 1 ? `x${mult}` : '-';
-        comboEl.style.color = mult >= 5 ? '#ef4444' : mult >= 3 ? '#f97316' : '#fbbf24';
-      }
-    } else if (this.state.combo > 0) {
-      // Check if combo expired
-      if (this.state.frameCount - this.state.lastKillFrame > this.state.maxComboTime) {
-        this.state.combo = 0;
-        const comboEl = document.getElementById('sb-combo');
-        if (comboEl) comboEl.textContent = '-';
-      }
-    }
+  updateComboDisplay() {
+    const comboEl = document.getElementById('sb-combo');
+    if (!comboEl) return;
+    const mult = this.getComboMultiplier();
+    comboEl.textContent = mult > 1 ? `x${mult}` : '-';
+    comboEl.style.color = mult >= 5 ? '#ef4444' : mult >= 3 ? '#f97316' : '#fbbf24';
   },
 
   /**
-   * Maybe drop power-up from killed enemy
+   * Refresh weapon display from active effects
    */
-  maybeDropPowerUp(x, y) {
-    for (const powerUp of this.powerUpTypes) {
-      if (Math.random() < powerUp.chance) {
-        this.state.powerUps.push({
-          x,
-          y,
-          vy: 1,
-          ...powerUp,
-          life: 300, // Fib[13] frames to collect
-        });
-        return; // Only one power-up per kill
-      }
-    }
+  updateWeaponDisplay() {
+    const weaponEl = document.getElementById('sb-weapon');
+    if (!weaponEl) return;
+    const effects = this.world.activeEffects;
+    let icon = '🔫';
+    if (effects.spread.active) icon = '🌟';
+    else if (effects.pierce.active) icon = '⚡';
+    else if (effects.slow.active) icon = '❄️';
+    weaponEl.innerHTML = `<span style="font-size:16px;">${icon}</span>`;
   },
 
   /**
-   * Collect power-up
+   * Add an explosion sprite
    */
-  collectPowerUp(powerUp) {
-    switch (powerUp.effect) {
-      case 'life':
-        this.state.lives = Math.min(this.state.lives + 1, 5);
-        document.getElementById('sb-lives').innerHTML = '❤️'.repeat(this.state.lives);
-        break;
-      case 'spread':
-      case 'pierce':
-      case 'slow':
-        this.state.activeEffects[powerUp.effect] = {
-          active: true,
-          endFrame: this.state.frameCount + powerUp.duration,
-        };
-        break;
-      case 'score':
-        this.state.score += 50 * this.getComboMultiplier();
-        break;
-    }
-    this.state.explosions.push({ x: powerUp.x, y: powerUp.y, life: 20, icon: powerUp.icon });
-  },
-
-  /**
-   * Spawn split enemies (from splitter type)
-   */
-  spawnSplitEnemies(x, y) {
-    for (let i = 0; i < 2; i++) {
-      const smallEnemy = {
-        icon: '🔴',
-        name: 'SPLIT',
-        points: 8,
-        speed: 1.5,
-        size: 24,
-        hp: 1,
-        maxHp: 1,
-        x: x + (i === 0 ? -20 : 20),
-        y: y,
-        vy: this.state.gameMode === 'fall' ? 2 : 0,
-      };
-      if (this.state.gameMode === 'pop') {
-        smallEnemy.lifespan = 60;
-        smallEnemy.maxLife = 60;
-      }
-      this.state.enemies.push(smallEnemy);
-    }
-  },
-
-  /**
-   * Shoot at position
-   */
-  shoot(x, y) {
-    if (this.state.gameOver || this.state.phase !== 'playing') return;
-
-    // Check for active weapon effects
-    const hasSpread = this.state.activeEffects.spread.active;
-    const hasPierce = this.state.activeEffects.pierce.active;
-    const hasSlow = this.state.activeEffects.slow.active;
-
-    // Generate hit points (spread = multiple points)
-    const hitPoints = [{ x, y }];
-    if (hasSpread) {
-      // Add spread shots in a fan pattern
-      const spreadAngle = Math.PI / 8;
-      for (let i = 1; i <= 2; i++) {
-        hitPoints.push(
-          { x: x + Math.cos(spreadAngle * i) * 40, y: y + Math.sin(spreadAngle * i) * 40 },
-          { x: x + Math.cos(-spreadAngle * i) * 40, y: y + Math.sin(-spreadAngle * i) * 40 }
-        );
-      }
-    }
-
-    let totalHits = 0;
-    const self = this;
-
-    // Check boss hit first
-    if (this.state.boss && !this.state.boss.defeated) {
-      for (const point of hitPoints) {
-        const dx = point.x - this.state.boss.x;
-        const dy = point.y - this.state.boss.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist < this.state.boss.size) {
-          this.state.boss.hp--;
-          totalHits++;
-          this.state.explosions.push({
-            x: this.state.boss.x,
-            y: this.state.boss.y,
-            life: 15,
-            icon: '💥',
-          });
-
-          // Update boss HP bar
-          const bossHpEl = document.getElementById('sb-boss-hp');
-          if (bossHpEl) {
-            bossHpEl.style.width = `${(this.state.boss.hp / this.state.boss.maxHp) * 100}%`;
-          }
-
-          // Check boss death
-          if (this.state.boss.hp <= 0) {
-            this.state.score += this.state.boss.points * this.getComboMultiplier();
-            this.state.explosions.push({
-              x: this.state.boss.x,
-              y: this.state.boss.y,
-              life: 40,
-              icon: '🎆',
-            });
-            this.state.bossDefeated++;
-            this.state.boss = null;
-            this.state.bossPhase = false;
-            // Reset boss HP bar before hiding to prevent stale data on next boss
-            const bossHpBar = document.getElementById('sb-boss-hp');
-            if (bossHpBar) bossHpBar.style.width = '100%';
-            document.getElementById('sb-boss-hud').style.display = 'none';
-          }
-
-          if (!hasPierce) break;
-        }
-      }
-    }
-
-    // Check enemy hits
-    this.state.enemies = this.state.enemies.filter(enemy => {
-      for (const point of hitPoints) {
-        const dx = point.x - enemy.x;
-        const dy = point.y - enemy.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-
-        if (dist < enemy.size) {
-          // Apply slow effect
-          if (hasSlow && !enemy.slowed) {
-            enemy.slowed = true;
-            enemy.vy *= 0.5;
-            if (enemy.lifespan) enemy.lifespan *= 1.5;
-          }
-
-          enemy.hp--;
-          totalHits++;
-
-          if (enemy.hp <= 0) {
-            // Enemy killed
-            const comboMult = self.getComboMultiplier();
-            self.state.score += enemy.points * comboMult;
-            self.state.explosions.push({ x: enemy.x, y: enemy.y, life: 20, icon: '💥' });
-
-            // Handle splitter
-            if (enemy.splitter) {
-              self.spawnSplitEnemies(enemy.x, enemy.y);
-            }
-
-            // Maybe drop power-up
-            self.maybeDropPowerUp(enemy.x, enemy.y);
-
-            // Update combo
-            self.updateCombo(true);
-
-            if (!hasPierce) return false;
-            return false; // Remove enemy
-          } else {
-            // Enemy damaged but not killed
-            self.state.explosions.push({ x: enemy.x, y: enemy.y, life: 10, icon: '✨' });
-            if (!hasPierce) return true;
-          }
-        }
-      }
-      return true;
-    });
-
-    if (totalHits === 0) {
-      this.state.explosions.push({ x, y, life: 10, icon: '💨' });
-    }
+  addExplosion(x, y, icon, life) {
+    this.state.explosions.push({ x, y, life, icon });
   },
 
   /**
@@ -582,159 +310,125 @@ const ScamBlaster = {
    */
   update(dt) {
     if (this.state.gameOver) return;
-    if (this.state.phase === 'select') return;
-
-    if (this.state.phase === 'countdown') {
-      this.state.frameCount += dt;
-      if (this.state.frameCount >= 60) {
-        this.state.countdown--;
-        this.state.frameCount = 0;
-        if (this.state.countdown <= 0) {
-          this.state.phase = 'playing';
-          document.getElementById('sb-countdown').style.display = 'none';
-        } else {
-          document.getElementById('sb-countdown').textContent = this.state.countdown;
-        }
-      }
-      return;
-    }
 
     this.state.frameCount += dt;
+    this.handleSimEvents(this.sim.advance(dt * GameSim.TICK_MS));
 
-    const timeBonus = this.state.frameCount * 0.00003;
-    this.state.enemySpeed = this.state.baseSpeed + this.state.wave * 0.4 + timeBonus;
-
-    // Update combo timer
-    this.updateCombo(false);
-
-    // Update weapon effects expiration
-    for (const effect of Object.keys(this.state.activeEffects)) {
-      if (
-        this.state.activeEffects[effect].active &&
-        this.state.frameCount > this.state.activeEffects[effect].endFrame
-      ) {
-        this.state.activeEffects[effect].active = false;
-      }
-    }
-
-    // Update weapon display
-    const weaponEl = document.getElementById('sb-weapon');
-    if (weaponEl) {
-      let icon = '🔫';
-      if (this.state.activeEffects.spread.active) icon = '🌟';
-      else if (this.state.activeEffects.pierce.active) icon = '⚡';
-      else if (this.state.activeEffects.slow.active) icon = '❄️';
-      weaponEl.innerHTML = `<span style="font-size:16px;">${icon}</span>`;
-    }
+    this.state.explosions = this.state.explosions.filter(exp => {
+      exp.life -= dt;
+      return exp.life > 0;
+    });
+  },
 
-    // Check for boss wave (every 5th wave)
-    if (this.state.wave % 5 === 0 && !this.state.bossPhase && !this.state.boss) {
-      // Clear remaining enemies before boss
-      if (this.state.enemies.length === 0) {
-        this.spawnBoss();
-      }
-    }
+  /**
+   * Turn rule events into HUD updates and explosions
+   * @param {Object[]} events - Events from ScamBlasterSim
+   */
+  handleSimEvents(events) {
+    if (events.length === 0) return;
+    let scoreChanged = false;
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'mode':
+          document.getElementById('sb-mode-select').style.display = 'none';
+          document.getElementById('sb-hud').style.display = 'block';
+          if (event.mode === 'fall') {
+            document.getElementById('sb-wallet').style.display = 'flex';
+          }
+          document.getElementById('sb-countdown').style.display = 'block';
+          document.getElementById('sb-countdown').textContent = event.countdown;
+          break;
 
-    // Update boss
-    if (this.state.boss) {
-      // Boss movement patterns
-      this.state.boss.patternTimer += dt;
-      this.state.boss.angle += 0.02 * dt;
+        case 'countdown':
+          document.getElementById('sb-countdown').textContent = event.value;
+          break;
 
-      if (this.state.gameMode === 'fall') {
-        // Move down slowly, zigzag
-        if (this.state.boss.y < 100) {
-          this.state.boss.y += 0.5 * dt;
+        case 'start':
+          document.getElementById('sb-countdown').style.display = 'none';
+          break;
+
+        case 'boss': {
+          const bossHud = document.getElementById('sb-boss-hud');
+          const bossName = document.getElementById('sb-boss-name');
+          const bossHp = document.getElementById('sb-boss-hp');
+          if (bossHp) bossHp.style.width = '100%';
+          if (bossHud) bossHud.style.display = 'block';
+          if (bossName) bossName.textContent = `👹 ${this.bossTypes[event.bossIndex].name}`;
+          break;
         }
-        this.state.boss.x = this.canvas.width / 2 + Math.sin(this.state.boss.angle) * 100;
-      } else {
-        // Move around in pop mode
-        this.state.boss.x = this.canvas.width / 2 + Math.sin(this.state.boss.angle) * 80;
-        this.state.boss.y = this.canvas.height / 3 + Math.cos(this.state.boss.angle * 0.7) * 50;
-      }
-    }
 
-    // Spawn enemies (not during boss phase)
-    if (!this.state.bossPhase) {
-      this.state.spawnTimer += dt;
-      const dynamicSpawnRate = Math.max(
-        25,
-        this.state.spawnRate - this.state.wave * 8 - this.state.frameCount * 0.01
-      );
-      if (this.state.spawnTimer >= dynamicSpawnRate) {
-        this.spawnEnemy();
-        this.state.spawnTimer = 0;
-      }
-    }
-
-    const livesEl = document.getElementById('sb-lives');
-    const scoreEl = document.getElementById('sb-score');
-    const waveEl = document.getElementById('sb-wave');
-    const self = this;
+        case 'boss_hit': {
+          this.addExplosion(event.x, event.y, '💥', 15);
+          const bossHpEl = document.getElementById('sb-boss-hp');
+          if (bossHpEl) bossHpEl.style.width = `${(Math.max(0, event.hp) / event.maxHp) * 100}%`;
+          break;
+        }
 
-    this.state.enemies = this.state.enemies.filter(enemy => {
-      if (self.state.gameMode === 'fall') {
-        enemy.y += enemy.vy * self.state.enemySpeed * dt;
+        case 'boss_kill':
+          this.addExplosion(event.x, event.y, '🎆', 40);
+          document.getElementById('sb-boss-hud').style.display = 'none';
+          scoreChanged = true;
+          break;
+
+        case 'kill':
+          this.addExplosion(event.x, event.y, '💥', 20);
+          scoreChanged = true;
+          break;
+
+        case 'damage':
+          this.addExplosion(event.x, event.y, '✨', 10);
+          break;
+
+        case 'whiff':
+          this.addExplosion(event.x, event.y, '💨', 10);
+          break;
+
+        case 'combo':
+        case 'combo_reset':
+          this.updateComboDisplay();
+          break;
+
+        case 'effect_end':
+          this.updateWeaponDisplay();
+          break;
+
+        case 'wave': {
+          const waveEl = document.getElementById('sb-wave');
+          if (waveEl) waveEl.textContent = event.wave;
+          break;
+        }
 
-        if (enemy.y > self.walletZone.y) {
-          self.state.lives--;
-          self.state.explosions.push({ x: enemy.x, y: enemy.y, life: 25, icon: '💔' });
-          if (livesEl) livesEl.innerHTML = '❤️'.repeat(Math.max(0, self.state.lives));
+        case 'leak': {
+          this.addExplosion(event.x, event.y, '💔', 25);
+          const livesEl = document.getElementById('sb-lives');
+          if (livesEl) livesEl.innerHTML = '❤️'.repeat(event.lives);
+          break;
+        }
 
-          if (self.state.lives <= 0) {
-            self.state.gameOver = true;
-            endGame(self.gameId, self.state.score);
-          }
-          return false;
+        case 'powerup': {
+          this.addExplosion(event.x, event.y, this.powerUpTypes[event.typeIndex].icon, 20);
+          document.getElementById('sb-lives').innerHTML = '❤️'.repeat(event.lives);
+          this.updateWeaponDisplay();
+          if (event.points > 0) scoreChanged = true;
+          break;
         }
-      } else {
-        enemy.lifespan -= self.state.enemySpeed * 0.5 * dt;
-        if (enemy.lifespan <= 0) {
-          self.state.lives--;
-          self.state.explosions.push({ x: enemy.x, y: enemy.y, life: 25, icon: '💔' });
-          if (livesEl) livesEl.innerHTML = '❤️'.repeat(Math.max(0, self.state.lives));
-
-          if (self.state.lives <= 0) {
-            self.state.gameOver = true;
-            endGame(self.gameId, self.state.score);
-          }
-          return false;
+
+        case 'gameover': {
+          this.state.gameOver = true;
+          // End outside the frame callback: endGame() tears the engine down
+          const finalScore = this.world.score;
+          setTimeout(() => endGame(this.gameId, finalScore), 0);
+          break;
         }
       }
-      return true;
-    });
-
-    if (this.state.score >= this.state.wave * 300) {
-      this.state.wave++;
-      if (waveEl) waveEl.textContent = this.state.wave;
-      this.state.baseSpeed += 0.3;
     }
 
-    this.state.explosions = this.state.explosions.filter(exp => {
-      exp.life -= dt;
-      return exp.life > 0;
-    });
-
-    // Update power-ups
-    const crosshair = this.state.crosshair;
-    this.state.powerUps = this.state.powerUps.filter(powerUp => {
-      powerUp.y += powerUp.vy * dt;
-      powerUp.life -= dt;
-
-      // Check collection (click near power-up)
-      const dx = crosshair.x - powerUp.x;
-      const dy = crosshair.y - powerUp.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      if (dist < 40) {
-        self.collectPowerUp(powerUp);
-        return false;
-      }
-
-      return powerUp.life > 0 && powerUp.y < this.canvas.height;
-    });
-
-    if (scoreEl) scoreEl.textContent = this.state.score;
-    updateScore(this.gameId, this.state.score);
+    if (scoreChanged) {
+      const scoreEl = document.getElementById('sb-score');
+      if (scoreEl) scoreEl.textContent = this.world.score;
+      updateScore(this.gameId, this.world.score);
+    }
   },
 
   /**
@@ -769,9 +463,9 @@ const ScamBlaster = {
     ctx.textBaseline = 'middle';
 
     // Draw enemies
-    this.state.enemies.forEach(enemy => {
+    this.world.enemies.forEach(enemy => {
       // Pop mode timer ring
-      if (this.state.gameMode === 'pop' && enemy.lifespan !== undefined) {
+      if (this.world.gameMode === 'pop' && enemy.lifespan !== undefined) {
         const progress = enemy.lifespan / enemy.maxLife;
         const radius = enemy.size + 8;
 
@@ -812,12 +506,12 @@ const ScamBlaster = {
         ctx.fill();
       }
 
-      SpriteCache.draw(ctx, enemy.icon, enemy.x, enemy.y, enemy.size);
+      SpriteCache.draw(ctx, this.getEnemyIcon(enemy), enemy.x, enemy.y, enemy.size);
     });
 
     // Draw boss (using SpriteCache)
-    if (this.state.boss) {
-      const boss = this.state.boss;
+    if (this.world.boss) {
+      const boss = this.world.boss;
 
       ctx.strokeStyle = '#ef4444';
       ctx.lineWidth = 4;
@@ -826,16 +520,23 @@ const ScamBlaster = {
       ctx.stroke();
 
       // Boss icon
-      SpriteCache.draw(ctx, boss.icon, boss.x, boss.y, boss.size);
+      SpriteCache.draw(ctx, this.bossTypes[boss.bossIndex].icon, boss.x, boss.y, boss.size);
     }
 
     // Draw power-ups (using SpriteCache)
-    this.state.powerUps.forEach(powerUp => {
+    this.world.powerUps.forEach(powerUp => {
       const pulse = Math.sin(this.state.frameCount * 0.1) * 0.2 + 1;
-      SpriteCache.drawTransformed(ctx, powerUp.icon, powerUp.x, powerUp.y, 24, {
-        scaleX: pulse,
-        scaleY: pulse,
-      });
+      SpriteCache.drawTransformed(
+        ctx,
+        this.powerUpTypes[powerUp.typeIndex].icon,
+        powerUp.x,
+        powerUp.y,
+        24,
+        {
+          scaleX: pulse,
+          scaleY: pulse,
+        }
+      );
     });
 
     // Explosions (using SpriteCache)
@@ -889,7 +590,7 @@ const ScamBlaster = {
    * Stop the game
    */
   stop() {
-    this.state.gameOver = true;
+    if (this.state) this.state.gameOver = true;
 
     if (this.canvas) {
       this.canvas.removeEventListener('mousemove', this.handleMove);
@@ -901,6 +602,8 @@ const ScamBlaster = {
     this.canvas = null;
     this.ctx = null;
     this.state = null;
+    this.sim = null;
+    this.world = null;
   },
 };
 
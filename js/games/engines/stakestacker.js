@@ -11,16 +11,15 @@
 'use strict';
 
 const StakeStacker = {
-    version: '1.2.0', // Physics wobble + wind + near-miss feedback
+    version: '1.3.0', // Deterministic sim rules (server replay validation)
     gameId: 'stakestacker',
     state: null,
     canvas: null,
     ctx: null,
     timing: null,
     juice: null,
-
-    // Block visual varieties
-    blockPatterns: ['solid', 'gradient', 'striped', 'glow'],
+    sim: null,
+    world: null,
 
     /**
      * Start the game
@@ -30,20 +29,14 @@ const StakeStacker = {
         const arena = document.getElementById(`arena-${gameId}`);
         if (!arena) return;
 
+        // Rules state (blocks, score, wind) lives in the deterministic sim,
+        // created in initGame() once the canvas has its final size
+        this.sim = null;
+        this.world = null;
+
+        // Visual-only state
         this.state = {
-            score: 0,
-            level: 1,
             gameOver: false,
-            blocks: [],
-            currentBlock: null,
-            baseWidth: 233,       // fib[11]
-            blockHeight: 34,      // fib[8]
-            direction: 1,
-            speed: 5,             // fib[4]
-            perfectStreak: 0,
-            cameraOffset: 0,
-            // Perfect streak bonus: Fibonacci scaling
-            streakMultiplier: 1,
             // Physics wobble
             wobble: {
                 angle: 0,
@@ -52,19 +45,9 @@ const StakeStacker = {
                 stiffness: 0.03,
                 maxAngle: 0.05 // Max wobble angle in radians
             },
-            // Wind system (increases with height)
-            wind: {
-                strength: 0,
-                direction: 1,
-                changeTimer: 0,
-                gustTimer: 0,
-                gustStrength: 0
-            },
             // Visual effects
             particles: [],
-            perfectGlow: 0,
-            lastDropOffset: 0, // For near-miss feedback
-            frameCount: 0
+            perfectGlow: 0
         };
 
         this.createArena(arena);
@@ -133,36 +116,25 @@ const StakeStacker = {
      * Initialize game
      */
     initGame() {
-        this.state.blocks = [];
-        this.state.level = 0;
-        this.state.score = 0;
-        this.state.gameOver = false;
-        this.state.perfectStreak = 0;
-
         if (this.canvas.width === 0 || this.canvas.height === 0) {
             this.resizeCanvas();
         }
 
-        // Base block (centered at bottom)
-        const baseX = (this.canvas.width - this.state.baseWidth) / 2;
-        const baseY = this.canvas.height - 60;
-
-        this.state.blocks.push({
-            x: baseX,
-            y: baseY,
-            width: this.state.baseWidth,
-            height: this.state.blockHeight,
-            color: this.getBlockColor(0),
-            pattern: 'solid',
-            perfect: false
-        });
+        // Seeded rules session; the canvas size is part of the replay
+        const options = { width: this.canvas.width, height: this.canvas.height };
+        this.sim = typeof GameLifecycle !== 'undefined'
+            ? GameLifecycle.createSimSession(this.gameId, options)
+            : GameSim.createSession(this.gameId, GameSim.randomSeed(), options);
+        this.world = this.sim.state;
+
+        // Render at the simulated size even if the container changed meanwhile
+        this.canvas.width = this.world.width;
+        this.canvas.height = this.world.height;
 
         document.getElementById('ss-score').textContent = '0';
-        document.getElementById('ss-level').textContent = '0';
+        document.getElementById('ss-level').textContent = this.world.level;
         document.getElementById('ss-streak').style.display = 'none';
         document.getElementById('ss-wind').style.display = 'none';
-
-        this.spawnBlock();
     },
 
     /**
@@ -196,42 +168,14 @@ const StakeStacker = {
     },
 
     /**
-     * Update wind system
+     * Update wind indicator (wind itself is simulated in sim/stakestacker.js)
      */
-    updateWind(dt) {
-        const wind = this.state.wind;
-
-        // Wind only starts at level 5
-        if (this.state.level < 5) {
-            wind.strength = 0;
-            return;
-        }
+    updateWindDisplay() {
+        const wind = this.world.wind;
+        if (this.world.level < 5) return;
 
-        // Show wind indicator
         document.getElementById('ss-wind').style.display = 'block';
 
-        // Base wind strength increases with height (max at level 15)
-        const heightFactor = Math.min((this.state.level - 5) / 10, 1);
-        const baseStrength = heightFactor * 2;
-
-        // Change wind direction periodically
-        wind.changeTimer += dt;
-        if (wind.changeTimer > 180) { // Every 3 seconds at 60fps
-            wind.changeTimer = 0;
-            wind.direction = Math.random() > 0.5 ? 1 : -1;
-        }
-
-        // Random gusts
-        wind.gustTimer += dt;
-        if (wind.gustTimer > 60 && Math.random() < 0.02) {
-            wind.gustStrength = (Math.random() * 1.5) * heightFactor;
-            wind.gustTimer = 0;
-        }
-        wind.gustStrength *= 0.95; // Decay
-
-        wind.strength = (baseStrength + wind.gustStrength) * wind.direction;
-
-        // Update UI
         const dirEl = document.getElementById('ss-wind-dir');
         const strEl = document.getElementById('ss-wind-strength');
         if (dirEl) dirEl.textContent = wind.direction > 0 ? '→' : '←';
@@ -247,140 +191,82 @@ const StakeStacker = {
     },
 
     /**
-     * Spawn a new block
+     * Drop the current block (queued for the next simulation tick)
      */
-    spawnBlock() {
-        const lastBlock = this.state.blocks[this.state.blocks.length - 1];
-        this.state.level++;
-
-        // Pick block pattern based on streak
-        const pattern = this.state.perfectStreak >= 3 ? 'glow' :
-                       this.blockPatterns[this.state.level % this.blockPatterns.length];
-
-        this.state.currentBlock = {
-            x: 0,
-            y: lastBlock.y - this.state.blockHeight - 5,
-            width: lastBlock.width,
-            height: this.state.blockHeight,
-            color: this.getBlockColor(this.state.level),
-            pattern: pattern,
-            perfect: false
-        };
-
-        this.state.direction = 1;
-        this.state.speed = Math.min(12, 5 + this.state.level * 0.5);
-
-        document.getElementById('ss-level').textContent = this.state.level;
-
-        // From the 7th block, progressively scroll camera up
-        if (this.state.level >= 7) {
-            const targetOffset = (this.state.level - 6) * (this.state.blockHeight + 5);
-            this.state.cameraOffset = targetOffset;
-        }
+    dropBlock() {
+        if (!this.sim || this.state.gameOver) return;
+        this.sim.input('drop');
     },
 
     /**
-     * Drop the current block
+     * React to rule events with feedback, particles and wobble
+     * @param {Object[]} events - Events from the simulation
      */
-    dropBlock() {
-        if (!this.state.currentBlock || this.state.gameOver) return;
-
-        const current = this.state.currentBlock;
-        const last = this.state.blocks[this.state.blocks.length - 1];
-
-        // Calculate overlap
-        const overlapStart = Math.max(current.x, last.x);
-        const overlapEnd = Math.min(current.x + current.width, last.x + last.width);
-        const overlapWidth = overlapEnd - overlapStart;
-        const offset = Math.abs(current.x - last.x);
-
-        this.state.lastDropOffset = offset;
-
-        if (overlapWidth <= 0) {
-            // Missed completely
-            this.showFeedback('MISS!', '#ef4444');
-            this.state.gameOver = true;
-
-            // Add wobble on miss
-            this.state.wobble.velocity = 0.1 * (current.x < last.x ? 1 : -1);
-
-            endGame(this.gameId, this.state.score);
-            return;
-        }
-
-        // Determine precision level
-        const isPerfect = offset < 3;
-        const isGreat = !isPerfect && offset < 10;
-        const isGood = !isPerfect && !isGreat && offset < 20;
-
-        // Update streak display
+    handleSimEvents(events) {
         const streakEl = document.getElementById('ss-streak');
         const streakCountEl = document.getElementById('ss-streak-count');
 
-        if (isPerfect) {
-            this.state.perfectStreak++;
-            const fibBonus = [1, 1, 2, 3, 5, 8, 13][Math.min(this.state.perfectStreak, 6)];
-            this.state.score += 50 + fibBonus * 10;
-            current.x = last.x;
-            current.width = last.width;
-            current.perfect = true;
-
-            // Feedback
-            if (this.state.perfectStreak >= 3) {
-                this.showFeedback(`🔥 PERFECT x${this.state.perfectStreak}!`, '#fbbf24');
-            } else {
-                this.showFeedback('✨ PERFECT!', '#22c55e');
-            }
-
-            // Particles
-            this.spawnParticles(current.x + current.width / 2, current.y, '#fbbf24', 12);
-            this.state.perfectGlow = 30;
-
-            // Update streak UI
-            if (this.state.perfectStreak >= 2) {
-                streakEl.style.display = 'block';
-                streakCountEl.textContent = this.state.perfectStreak;
-            }
-
-            // Minimal wobble on perfect
-            this.state.wobble.velocity += 0.01;
-        } else {
-            this.state.perfectStreak = 0;
-            streakEl.style.display = 'none';
-
-            const baseScore = Math.floor(overlapWidth / 2);
-            this.state.score += baseScore;
-            current.x = overlapStart;
-            current.width = overlapWidth;
-            current.perfect = false;
-
-            // Feedback based on precision
-            if (isGreat) {
-                this.showFeedback('GREAT!', '#3b82f6');
-                this.spawnParticles(current.x + current.width / 2, current.y, '#3b82f6', 6);
-            } else if (isGood) {
-                this.showFeedback('GOOD', '#a855f7');
-            } else {
-                this.showFeedback(`${Math.floor(overlapWidth)}px`, '#9ca3af');
+        for (const event of events) {
+            switch (event.type) {
+                case 'drop':
+                    if (event.result === 'perfect') {
+                        if (event.streak >= 3) {
+                            this.showFeedback(`🔥 PERFECT x${event.streak}!`, '#fbbf24');
+                        } else {
+                            this.showFeedback('✨ PERFECT!', '#22c55e');
+                        }
+                        this.spawnParticles(event.x, event.y, '#fbbf24', 12);
+                        this.state.perfectGlow = 30;
+
+                        if (event.streak >= 2) {
+                            streakEl.style.display = 'block';
+                            streakCountEl.textContent = event.streak;
+                        }
+
+                        // Minimal wobble on perfect
+                        this.state.wobble.velocity += 0.01;
+                    } else {
+                        streakEl.style.display = 'none';
+
+                        if (event.result === 'great') {
+                            this.showFeedback('GREAT!', '#3b82f6');
+                            this.spawnParticles(event.x, event.y, '#3b82f6', 6);
+                        } else if (event.result === 'good') {
+                            this.showFeedback('GOOD', '#a855f7');
+                        } else {
+                            this.showFeedback(`${Math.floor(event.overlap)}px`, '#9ca3af');
+                        }
+
+                        // Add wobble based on how off-center the drop was
+                        const wobbleStrength = Math.min(event.offset / 100, 0.08);
+                        this.state.wobble.velocity += wobbleStrength * event.side;
+                    }
+
+                    document.getElementById('ss-score').textContent = this.world.score;
+                    updateScore(this.gameId, this.world.score);
+                    break;
+
+                case 'miss':
+                    this.showFeedback('MISS!', '#ef4444');
+                    this.state.wobble.velocity = 0.1 * event.side;
+                    break;
+
+                case 'spawn':
+                    document.getElementById('ss-level').textContent = event.level;
+                    break;
+
+                case 'gameover': {
+                    if (event.reason === 'too_small') {
+                        this.showFeedback('TOO SMALL!', '#ef4444');
+                    }
+                    this.state.gameOver = true;
+                    // End outside the frame callback: endGame() tears the engine down
+                    const finalScore = this.world.score;
+                    setTimeout(() => endGame(this.gameId, finalScore), 0);
+                    return;
+                }
             }
-
-            // Add wobble based on how off-center the drop was
-            const wobbleStrength = Math.min(offset / 100, 0.08);
-            this.state.wobble.velocity += wobbleStrength * (current.x < last.x ? 1 : -1);
         }
-
-        this.state.blocks.push({ ...current });
-        document.getElementById('ss-score').textContent = this.state.score;
-        updateScore(this.gameId, this.state.score);
-
-        if (current.width < 10) {
-            this.showFeedback('TOO SMALL!', '#ef4444');
-            this.state.gameOver = true;
-            endGame(this.gameId, this.state.score);
-            return;
-        }
-
-        this.spawnBlock();
     },
 
     /**
@@ -388,25 +274,12 @@ const StakeStacker = {
      * @param {number} dt - Delta time normalized to 60fps
      */
     update(dt) {
-        if (this.state.gameOver || !this.state.currentBlock) return;
-
-        this.state.frameCount += dt;
+        if (this.state.gameOver || !this.sim) return;
 
-        // Update wind system
-        this.updateWind(dt);
+        this.handleSimEvents(this.sim.advance(dt * GameSim.TICK_MS));
+        if (this.state.gameOver) return;
 
-        // Apply wind to current block movement
-        const windEffect = this.state.wind.strength * 0.3;
-        this.state.currentBlock.x += (this.state.speed * this.state.direction + windEffect) * dt;
-
-        // Bounce off edges
-        if (this.state.currentBlock.x + this.state.currentBlock.width > this.canvas.width) {
-            this.state.direction = -1;
-            this.state.currentBlock.x = this.canvas.width - this.state.currentBlock.width;
-        } else if (this.state.currentBlock.x < 0) {
-            this.state.direction = 1;
-            this.state.currentBlock.x = 0;
-        }
+        this.updateWindDisplay();
 
         // Update wobble physics (spring simulation)
         const wobble = this.state.wobble;
@@ -438,7 +311,8 @@ const StakeStacker = {
      */
     drawBlock(block, index) {
         const ctx = this.ctx;
-        const { x, y, width, height, color, pattern, perfect } = block;
+        const { x, y, width, height, pattern } = block;
+        const color = this.getBlockColor(block.level);
 
         // Draw based on pattern
         switch (pattern) {
@@ -511,11 +385,11 @@ const StakeStacker = {
 
         // Apply camera offset (scroll up from 7th block)
         ctx.save();
-        ctx.translate(0, this.state.cameraOffset);
+        ctx.translate(0, this.world.cameraOffset);
 
         // Apply wobble rotation (pivot at tower base)
-        if (this.state.blocks.length > 0) {
-            const baseBlock = this.state.blocks[0];
+        if (this.world.blocks.length > 0) {
+            const baseBlock = this.world.blocks[0];
             const pivotX = baseBlock.x + baseBlock.width / 2;
             const pivotY = baseBlock.y + baseBlock.height;
             ctx.translate(pivotX, pivotY);
@@ -524,19 +398,19 @@ const StakeStacker = {
         }
 
         // Draw stacked blocks with patterns
-        this.state.blocks.forEach((block, i) => {
+        this.world.blocks.forEach((block, i) => {
             this.drawBlock(block, i);
         });
 
         // Draw current block (no wobble applied)
         ctx.restore();
         ctx.save();
-        ctx.translate(0, this.state.cameraOffset);
+        ctx.translate(0, this.world.cameraOffset);
 
-        if (this.state.currentBlock) {
-            const curr = this.state.currentBlock;
+        if (this.world.currentBlock) {
+            const curr = this.world.currentBlock;
 
-            ctx.fillStyle = curr.color;
+            ctx.fillStyle = this.getBlockColor(curr.level);
             ctx.globalAlpha = 0.85;
             ctx.fillRect(curr.x, curr.y, curr.width, curr.height);
             ctx.globalAlpha = 1;
@@ -546,11 +420,11 @@ const StakeStacker = {
             ctx.strokeRect(curr.x, curr.y, curr.width, curr.height);
 
             // Wind indicator on block
-            if (this.state.wind.strength !== 0) {
+            if (this.world.wind.strength !== 0) {
                 ctx.fillStyle = '#60a5fa';
                 ctx.font = '16px Arial';
                 ctx.textAlign = 'center';
-                const windArrow = this.state.wind.direction > 0 ? '→' : '←';
+                const windArrow = this.world.wind.direction > 0 ? '→' : '←';
                 ctx.fillText(windArrow, curr.x + curr.width / 2, curr.y - 5);
             }
         }
@@ -559,7 +433,7 @@ const StakeStacker = {
 
         // Draw particles (screen space, no camera offset)
         ctx.save();
-        ctx.translate(0, this.state.cameraOffset);
+        ctx.translate(0, this.world.cameraOffset);
         this.state.particles.forEach(p => {
             ctx.beginPath();
             ctx.fillStyle = p.color;
@@ -571,11 +445,11 @@ const StakeStacker = {
         ctx.restore();
 
         // Height indicator (fixed position)
-        if (this.state.level >= 7) {
+        if (this.world.level >= 7) {
             ctx.fillStyle = 'rgba(255,255,255,0.6)';
             ctx.font = '12px Arial';
             ctx.textAlign = 'center';
-            ctx.fillText(`Tower Height: ${this.state.level} blocks`, this.canvas.width / 2, this.canvas.height - 40);
+            ctx.fillText(`Tower Height: ${this.world.level} blocks`, this.canvas.width / 2, this.canvas.height - 40);
         }
     },
 
@@ -622,6 +496,8 @@ const StakeStacker = {
         this.canvas = null;
         this.ctx = null;
         this.state = null;
+        this.sim = null;
+        this.world = null;
     }
 };
 
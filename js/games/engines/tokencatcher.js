@@ -10,7 +10,7 @@
 'use strict';
 
 const TokenCatcher = {
-  version: '1.3.0', // Power-ups added
+  version: '1.4.0', // Deterministic sim rules (server replay validation)
   gameId: 'tokencatcher',
   state: null,
   canvas: null,
@@ -19,6 +19,8 @@ const TokenCatcher = {
   input: null,
   timing: null,
   juice: null,
+  sim: null,
+  world: null,
 
   // Game constants
   goodTokens: ['🔥', '💰', '⭐', '💎', '🪙'],
@@ -33,10 +35,11 @@ const TokenCatcher = {
     shield: { icon: '🛡️', duration: 233, color: '#22c55e', name: 'SHIELD' }, // ~3.9s
   },
 
+  // Sprites for TokenCatcherSim.enemyTypes (same order)
   enemyTypes: [
-    { icon: '👾', name: 'INVADER', hp: 3, points: 50, speed: 1.5 },
-    { icon: '🤖', name: 'BOT', hp: 3, points: 40, speed: 1.8 },
-    { icon: '👹', name: 'DEMON', hp: 3, points: 60, speed: 1.2 },
+    { icon: '👾', name: 'INVADER' },
+    { icon: '🤖', name: 'BOT' },
+    { icon: '👹', name: 'DEMON' },
   ],
 
   /**
@@ -52,48 +55,14 @@ const TokenCatcher = {
       return;
     }
 
-    // Initialize game state with Fibonacci-based values
+    // Rules state (basket, tokens, score, timer) lives in TokenCatcherSim;
+    // this.state only keeps input and legacy effect state
     this.state = {
-      score: 0,
-      timeLeft: 34, // fib[8] seconds
       gameOver: false,
-      basketPos: 50,
-      basketLane: 1,
-      moveDirection: 0,
-      moveSpeed: 5, // fib[4]
-      moveAccel: 0,
-      maxAccel: 13, // fib[6]
-      tokens: [],
-      projectiles: [],
-      enemies: [],
       effects: [],
       keys: { left: false, right: false, up: false, down: false },
-      lastShot: 0,
-      shootCooldown: 233, // fib[11] ms
       mouseX: 0,
       mouseY: 0,
-      basketWidth: 89, // fib[10]
-      basketHeight: 55, // fib[9]
-      laneHeight: 0,
-      lanePositions: [],
-      // Combo system
-      combo: 0,
-      comboTimer: 0,
-      comboTimeout: 1300, // fib[6] * 100 ms - time to lose combo
-      maxCombo: 0,
-      // Speed ramping (Fibonacci-based difficulty curve)
-      difficultyLevel: 0,
-      spawnRate: 500, // Base spawn rate (ms)
-      tokenSpeedBase: 3,
-      tokenSpeedVariance: 2,
-      // Power-ups state
-      activePowerUps: {
-        magnet: 0, // Remaining frames
-        slowmo: 0,
-        double: 0,
-        shield: 0,
-      },
-      powerUpTokens: [], // Falling power-up tokens
     };
 
     // Create arena HTML
@@ -113,6 +82,15 @@ const TokenCatcher = {
 
     this.resizeCanvas();
 
+    // Seeded rules session; the canvas size is part of the replay
+    this.sim = GameLifecycle.createSimSession(gameId, {
+      width: this.canvas.width,
+      height: this.canvas.height,
+    });
+    this.world = this.sim.state;
+    this.canvas.width = this.world.width;
+    this.canvas.height = this.world.height;
+
     // Initialize timing for frame-independent movement
     this.timing = GameTiming.create();
 
@@ -121,15 +99,9 @@ const TokenCatcher = {
       this.juice = GameJuice.create(this.canvas, this.ctx);
     }
 
-    // Initialize basket position
-    this.state.basketPos = this.canvas.width / 2;
-
     // Setup input handlers
     this.setupInput();
 
-    // Setup intervals
-    this.setupIntervals();
-
     // Preload sprites for performance
     this.preloadSprites();
 
@@ -202,19 +174,11 @@ const TokenCatcher = {
     const rect = this.canvas.parentElement.getBoundingClientRect();
     this.canvas.width = rect.width;
     this.canvas.height = rect.height;
-
-    // Calculate 3 lane positions
-    this.state.laneHeight = 50;
-    const bottomMargin = 40;
-    this.state.lanePositions = [
-      this.canvas.height - bottomMargin - this.state.laneHeight * 2.5,
-      this.canvas.height - bottomMargin - this.state.laneHeight * 1.5,
-      this.canvas.height - bottomMargin - this.state.laneHeight * 0.5,
-    ];
   },
 
   /**
    * Setup input handlers
+   * Rule-affecting input goes through the sim so it is recorded for replay
    */
   setupInput() {
     const self = this;
@@ -225,31 +189,27 @@ const TokenCatcher = {
 
       if (key === 'q' || key === 'arrowleft') {
         self.state.keys.left = true;
+        self.syncMove();
         e.preventDefault();
       } else if (key === 'd' || key === 'arrowright') {
         self.state.keys.right = true;
+        self.syncMove();
         e.preventDefault();
       }
 
       if (key === 'z' || key === 'arrowup') {
-        if (self.state.basketLane > 0) {
-          self.state.basketLane--;
-          recordGameAction(self.gameId, 'lane_change', { lane: self.state.basketLane });
-        }
+        self.changeLane(-1);
         e.preventDefault();
       } else if (key === 's' || key === 'arrowdown') {
-        if (self.state.basketLane < 2) {
-          self.state.basketLane++;
-          recordGameAction(self.gameId, 'lane_change', { lane: self.state.basketLane });
-        }
+        self.changeLane(1);
         e.preventDefault();
       }
 
       if (key === ' ' || key === 'space') {
-        self.shoot(self.state.mouseX, self.state.mouseY);
+        self.sim.input('shoot', { x: self.state.mouseX, y: self.state.mouseY });
         recordGameAction(self.gameId, 'shoot', {
-          x: self.state.basketPos,
-          lane: self.state.basketLane,
+          x: self.world.basketPos,
+          lane: self.world.basketLane,
           targetX: self.state.mouseX,
           targetY: self.state.mouseY,
         });
@@ -258,11 +218,14 @@ const TokenCatcher = {
     };
 
     this.handleKeyUp = function (e) {
+      if (self.state.gameOver) return;
       const key = e.key.toLowerCase();
       if (key === 'q' || key === 'arrowleft') {
         self.state.keys.left = false;
+        self.syncMove();
       } else if (key === 'd' || key === 'arrowright') {
         self.state.keys.right = false;
+        self.syncMove();
       }
     };
 
@@ -277,11 +240,8 @@ const TokenCatcher = {
       e.preventDefault();
       const rect = self.canvas.getBoundingClientRect();
       const touch = e.touches[0];
-      self.state.basketPos = (touch.clientX - rect.left) * (self.canvas.width / rect.width);
-      self.state.basketPos = Math.max(
-        self.state.basketWidth / 2,
-        Math.min(self.canvas.width - self.state.basketWidth / 2, self.state.basketPos)
-      );
+      const x = (touch.clientX - rect.left) * (self.canvas.width / rect.width);
+      self.sim.input('point', { x: Math.round(x) });
     };
 
     this.handleClick = function (e) {
@@ -289,10 +249,10 @@ const TokenCatcher = {
       const rect = self.canvas.getBoundingClientRect();
       const clickX = (e.clientX - rect.left) * (self.canvas.width / rect.width);
       const clickY = (e.clientY - rect.top) * (self.canvas.height / rect.height);
-      self.shoot(clickX, clickY);
+      self.sim.input('shoot', { x: Math.round(clickX), y: Math.round(clickY) });
       recordGameAction(self.gameId, 'shoot_click', {
-        x: self.state.basketPos,
-        lane: self.state.basketLane,
+        x: self.world.basketPos,
+        lane: self.world.basketLane,
         targetX: clickX,
         targetY: clickY,
       });
@@ -307,137 +267,46 @@ const TokenCatcher = {
   },
 
   /**
-   * Setup game intervals
+   * Send the held movement direction to the sim
    */
-  setupIntervals() {
-    const self = this;
-
-    // Token spawn interval
-    this.spawnInterval = setInterval(() => {
-      if (!self.state.gameOver) {
-        self.spawnToken();
-        self.spawnPowerUp(); // Chance to spawn power-up
-      }
-    }, 500);
-
-    // Timer countdown with difficulty progression
-    this.timerInterval = setInterval(() => {
-      if (self.state.gameOver) return;
-      self.state.timeLeft--;
-      if (self.dom.time) self.dom.time.textContent = self.state.timeLeft;
-
-      // Update difficulty curve
-      self.updateDifficulty();
-
-      if (self.state.timeLeft <= 0) {
-        self.state.gameOver = true;
-        endGame(self.gameId, self.state.score);
-      }
-    }, 1000);
-
-    // Enemy spawn interval
-    this.enemySpawnInterval = setInterval(() => {
-      if (!self.state.gameOver && Math.random() < 0.6) self.spawnEnemy();
-    }, 3000);
+  syncMove() {
+    const dir = (this.state.keys.right ? 1 : 0) - (this.state.keys.left ? 1 : 0);
+    if (dir === this.world.moveDir) return;
+    this.sim.input('move', { dir });
   },
 
   /**
-   * Spawn a token
+   * Move the basket one lane up (-1) or down (+1)
    */
-  spawnToken() {
-    if (this.state.gameOver) return;
-    const roll = Math.random();
-    const baseSpeed = this.state.tokenSpeedBase;
-    const variance = this.state.tokenSpeedVariance;
-
-    if (roll < 0.1) {
-      // Skull tokens - deadly, moderate speed
-      this.state.tokens.push({
-        x: 30 + Math.random() * (this.canvas.width - 60),
-        y: -30,
-        icon: this.skullToken,
-        isSkull: true,
-        isScam: false,
-        speed: baseSpeed + Math.random() * variance,
-      });
-    } else if (roll < 0.25) {
-      // Scam tokens - faster, penalty on catch
-      this.state.tokens.push({
-        x: 30 + Math.random() * (this.canvas.width - 60),
-        y: -30,
-        icon: this.scamTokens[Math.floor(Math.random() * this.scamTokens.length)],
-        isSkull: false,
-        isScam: true,
-        speed: baseSpeed * 1.2 + Math.random() * variance,
-      });
-    } else {
-      // Good tokens - reward on catch
-      this.state.tokens.push({
-        x: 30 + Math.random() * (this.canvas.width - 60),
-        y: -30,
-        icon: this.goodTokens[Math.floor(Math.random() * this.goodTokens.length)],
-        isSkull: false,
-        isScam: false,
-        speed: baseSpeed + Math.random() * variance,
-      });
-    }
-  },
-
-  /**
-   * Spawn an enemy
-   */
-  spawnEnemy() {
-    if (this.state.gameOver) return;
-    const type = this.enemyTypes[Math.floor(Math.random() * this.enemyTypes.length)];
-    this.state.enemies.push({
-      x: 30 + Math.random() * (this.canvas.width - 60),
-      y: -40,
-      ...type,
-      currentHp: type.hp,
-      speed: type.speed + Math.random() * 0.5,
-    });
+  changeLane(delta) {
+    const lane = this.world.basketLane + delta;
+    if (lane < 0 || lane > 2) return;
+    this.sim.input('lane', { lane });
+    recordGameAction(this.gameId, 'lane_change', { lane });
   },
 
   /**
-   * Spawn a power-up token (rare, ~5% chance per spawn cycle)
+   * Get the sprite for a falling token
    */
-  spawnPowerUp() {
-    if (this.state.gameOver) return;
-    if (Math.random() > 0.05) return; // 5% chance
-
-    const types = Object.keys(this.powerUps);
-    const type = types[Math.floor(Math.random() * types.length)];
-    const powerUp = this.powerUps[type];
-
-    this.state.powerUpTokens.push({
-      x: 50 + Math.random() * (this.canvas.width - 100),
-      y: -30,
-      type: type,
-      icon: powerUp.icon,
-      color: powerUp.color,
-      speed: 2 + Math.random(), // Slower than regular tokens
-    });
+  getTokenIcon(token) {
+    if (token.kind === 'skull') return this.skullToken;
+    if (token.kind === 'scam') return this.scamTokens[token.variant];
+    return this.goodTokens[token.variant];
   },
 
   /**
-   * Activate a power-up
+   * Power-up pickup feedback
    */
   activatePowerUp(type) {
     const powerUp = this.powerUps[type];
-    this.state.activePowerUps[type] = powerUp.duration;
+    const basketY = this.world.lanePositions[this.world.basketLane];
 
     // Visual feedback
-    this.addEffect(
-      this.state.basketPos,
-      this.state.lanePositions[this.state.basketLane] - 50,
-      powerUp.name,
-      powerUp.color,
-      { size: 20 }
-    );
+    this.addEffect(this.world.basketPos, basketY - 50, powerUp.name, powerUp.color, { size: 20 });
 
     if (this.juice) {
       this.juice.triggerFlash(powerUp.color, 200);
-      this.juice.burst(this.state.basketPos, this.state.lanePositions[this.state.basketLane], {
+      this.juice.burst(this.world.basketPos, basketY, {
         icon: powerUp.icon,
         count: 8,
         spread: 5,
@@ -452,103 +321,10 @@ const TokenCatcher = {
   },
 
   /**
-   * Check if a power-up is active
-   */
-  isPowerUpActive(type) {
-    return this.state.activePowerUps[type] > 0;
-  },
-
-  /**
-   * Update power-up timers
-   */
-  updatePowerUps(dt) {
-    for (const type in this.state.activePowerUps) {
-      if (this.state.activePowerUps[type] > 0) {
-        this.state.activePowerUps[type] -= dt;
-        if (this.state.activePowerUps[type] <= 0) {
-          this.state.activePowerUps[type] = 0;
-        }
-      }
-    }
-  },
-
-  /**
-   * Shoot a projectile
-   */
-  shoot(targetX, targetY) {
-    const now = Date.now();
-    if (now - this.state.lastShot < this.state.shootCooldown) return;
-    this.state.lastShot = now;
-
-    const basketY = this.state.lanePositions[this.state.basketLane];
-    const startX = this.state.basketPos;
-    const startY = basketY - 30;
-
-    const dx = targetX - startX;
-    const dy = targetY - startY;
-    const dist = Math.hypot(dx, dy);
-
-    const speed = 20; // Increased from 14 for snappier feel
-    const vx = dist > 0 ? (dx / dist) * speed : 0;
-    const vy = dist > 0 ? (dy / dist) * speed : -speed;
-
-    this.state.projectiles.push({ x: startX, y: startY, vx: vx, vy: vy });
-    this.addEffect(startX, startY, '•', '#fbbf24');
-  },
-
-  /**
-   * Move the basket
-   * @param {number} dt - Delta time normalized to 60fps
-   */
-  moveBasket(dt) {
-    if (this.state.keys.left || this.state.keys.right) {
-      this.state.moveAccel = Math.min(this.state.moveAccel + 0.6 * dt, this.state.maxAccel);
-      const step = (this.state.moveSpeed + this.state.moveAccel) * dt;
-      if (this.state.keys.left) this.state.basketPos -= step;
-      if (this.state.keys.right) this.state.basketPos += step;
-      this.state.basketPos = Math.max(
-        this.state.basketWidth / 2,
-        Math.min(this.canvas.width - this.state.basketWidth / 2, this.state.basketPos)
-      );
-    } else {
-      this.state.moveAccel = Math.max(0, this.state.moveAccel - 1.5 * dt);
-    }
-  },
-
-  /**
-   * Increment combo and get multiplier
-   * Fibonacci-based multiplier: 1x, 1x, 2x, 3x, 5x, 8x...
-   */
-  incrementCombo() {
-    this.state.combo++;
-    this.state.comboTimer = this.state.comboTimeout;
-    if (this.state.combo > this.state.maxCombo) {
-      this.state.maxCombo = this.state.combo;
-    }
-    this.updateComboDisplay();
-    return this.getComboMultiplier();
-  },
-
-  /**
-   * Get current combo multiplier (Fibonacci-based)
+   * Get current combo multiplier (Fibonacci-based, see TokenCatcherSim)
    */
   getComboMultiplier() {
-    // Fibonacci multiplier: combo 0-2 = 1x, 3-4 = 2x, 5-7 = 3x, 8-12 = 5x, 13+ = 8x
-    const combo = this.state.combo;
-    if (combo < 3) return 1;
-    if (combo < 5) return 2;
-    if (combo < 8) return 3;
-    if (combo < 13) return 5;
-    return 8;
-  },
-
-  /**
-   * Reset combo on damage
-   */
-  resetCombo() {
-    this.state.combo = 0;
-    this.state.comboTimer = 0;
-    this.updateComboDisplay();
+    return TokenCatcherSim.getComboMultiplier(this.world.combo);
   },
 
   /**
@@ -559,7 +335,7 @@ const TokenCatcher = {
     const containerEl = this.dom.comboContainer;
     if (comboEl) {
       const multiplier = this.getComboMultiplier();
-      comboEl.innerHTML = `${this.state.combo}<span style="font-size:12px;color:${multiplier > 1 ? '#fbbf24' : 'var(--text-muted)'};">x${multiplier}</span>`;
+      comboEl.innerHTML = `${this.world.combo}<span style="font-size:12px;color:${multiplier > 1 ? '#fbbf24' : 'var(--text-muted)'};">x${multiplier}</span>`;
 
       // Visual feedback for high combos
       if (containerEl) {
@@ -576,37 +352,6 @@ const TokenCatcher = {
       }
     }
   },
-
-  /**
-   * Update difficulty (Fibonacci-based progression)
-   * Called each second, increases spawn rate and token speed
-   */
-  updateDifficulty() {
-    const elapsed = 34 - this.state.timeLeft;
-    // Difficulty increases at fib intervals: 5s, 8s, 13s, 21s
-    if (elapsed >= 21) {
-      this.state.difficultyLevel = 4;
-    } else if (elapsed >= 13) {
-      this.state.difficultyLevel = 3;
-    } else if (elapsed >= 8) {
-      this.state.difficultyLevel = 2;
-    } else if (elapsed >= 5) {
-      this.state.difficultyLevel = 1;
-    }
-
-    // Adjust spawn rate: faster spawns at higher difficulty
-    // Base 500ms, decreases by phi factor per level
-    const PHI_INV = 0.618;
-    this.state.spawnRate = Math.max(
-      200,
-      Math.floor(500 * Math.pow(PHI_INV, this.state.difficultyLevel * 0.5))
-    );
-
-    // Adjust token speed: base 3, increases with difficulty
-    this.state.tokenSpeedBase = 3 + this.state.difficultyLevel;
-    this.state.tokenSpeedVariance = 2 + this.state.difficultyLevel * 0.5;
-  },
-
   /**
    * Add a visual effect (uses juice system if available)
    */
@@ -665,287 +410,146 @@ const TokenCatcher = {
   update(dt) {
     if (this.state.gameOver) return;
 
-    // Update combo timer (decay)
-    if (this.state.comboTimer > 0) {
-      this.state.comboTimer -= dt * 16.67; // Convert to ms
-      if (this.state.comboTimer <= 0) {
-        this.resetCombo();
-      }
-    }
-
-    // Update power-up timers
-    this.updatePowerUps(dt);
-
-    // Calculate speed modifier from slow-mo
-    const speedMod = this.isPowerUpActive('slowmo') ? 0.4 : 1.0;
+    this.handleSimEvents(this.sim.advance(dt * GameSim.TICK_MS));
 
-    this.moveBasket(dt);
-
-    const basketX = this.state.basketPos;
-    const basketY = this.state.lanePositions[this.state.basketLane];
-    const self = this;
-
-    // Update power-up tokens
-    this.state.powerUpTokens = this.state.powerUpTokens.filter(pu => {
-      pu.y += pu.speed * dt * speedMod;
-
-      // Check collision with basket
-      if (
-        pu.y + 15 >= basketY - self.state.basketHeight / 2 &&
-        pu.y - 15 <= basketY + self.state.basketHeight / 2 &&
-        pu.x >= basketX - self.state.basketWidth / 2 &&
-        pu.x <= basketX + self.state.basketWidth / 2
-      ) {
-        self.activatePowerUp(pu.type);
-        return false;
-      }
-
-      return pu.y < self.canvas.height + 30;
+    // Update effects (legacy fallback)
+    this.state.effects = this.state.effects.filter(e => {
+      e.y += e.vy * dt;
+      e.life -= dt;
+      return e.life > 0;
     });
 
-    // Update projectiles
-    this.state.projectiles = this.state.projectiles.filter(proj => {
-      const prevX = proj.x;
-      const prevY = proj.y;
-      proj.x += proj.vx * dt;
-      proj.y += proj.vy * dt;
-
-      // Check collision with all tokens (swept collision to prevent tunneling)
-      const hitRadius = 30; // Token collision radius
-      for (let i = self.state.tokens.length - 1; i >= 0; i--) {
-        const token = self.state.tokens[i];
-
-        // Check both previous and current position, plus midpoint for fast projectiles
-        const checkPoints = [
-          { x: prevX, y: prevY },
-          { x: (prevX + proj.x) / 2, y: (prevY + proj.y) / 2 },
-          { x: proj.x, y: proj.y },
-        ];
-
-        let hit = false;
-        for (const pt of checkPoints) {
-          const dist = Math.hypot(pt.x - token.x, pt.y - token.y);
-          if (dist < hitRadius) {
-            hit = true;
-            break;
-          }
-        }
-
-        if (hit) {
-          self.state.tokens.splice(i, 1);
-
-          // Different rewards based on token type
-          let points, color, effectType;
-          if (token.isSkull) {
-            points = 25;
-            color = '#ef4444';
-            effectType = 'enemy_kill';
-          } else if (token.isScam) {
-            points = 15;
-            color = '#a855f7';
-            effectType = 'catch';
-          } else {
-            points = 5;
-            color = '#22c55e';
-            effectType = 'catch';
-          }
-
-          self.state.score += points;
-          self.addEffect(token.x, token.y, `+${points}`, color);
-          self.triggerImpact(token.x, token.y, effectType);
-          self.dom.score.textContent = self.state.score;
-          updateScore(self.gameId, self.state.score);
-          recordGameAction(self.gameId, 'shoot_token', {
-            type: token.isSkull ? 'skull' : token.isScam ? 'scam' : 'good',
-            points: points,
-          });
-          return false;
-        }
-      }
-
-      // Check collision with enemies (swept collision)
-      const enemyHitRadius = 35;
-      for (let i = self.state.enemies.length - 1; i >= 0; i--) {
-        const enemy = self.state.enemies[i];
-
-        // Check trajectory points
-        let hit = false;
-        const checkPoints = [
-          { x: prevX, y: prevY },
-          { x: (prevX + proj.x) / 2, y: (prevY + proj.y) / 2 },
-          { x: proj.x, y: proj.y },
-        ];
-        for (const pt of checkPoints) {
-          const dist = Math.hypot(pt.x - enemy.x, pt.y - enemy.y);
-          if (dist < enemyHitRadius) {
-            hit = true;
-            break;
-          }
-        }
-
-        if (hit) {
-          enemy.currentHp--;
-          self.addEffect(
-            enemy.x,
-            enemy.y,
-            `-${enemy.currentHp > 0 ? '1' : enemy.points}`,
-            enemy.currentHp > 0 ? '#f59e0b' : '#22c55e'
-          );
-          if (enemy.currentHp <= 0) {
-            self.state.enemies.splice(i, 1);
-            self.state.score += enemy.points;
-            self.addEffect(enemy.x, enemy.y - 20, `+${enemy.points}`, '#22c55e');
-            self.triggerImpact(enemy.x, enemy.y, 'enemy_kill');
-            self.dom.score.textContent = self.state.score;
-            updateScore(self.gameId, self.state.score);
-          }
-          return false;
-        }
-      }
-
-      return (
-        proj.y > -10 &&
-        proj.y < self.canvas.height + 10 &&
-        proj.x > -10 &&
-        proj.x < self.canvas.width + 10
-      );
-    });
+    // Update juice system
+    if (this.juice) {
+      this.juice.update(dt, dt * 16.67);
+    }
+  },
 
-    // Update tokens
-    this.state.tokens = this.state.tokens.filter(token => {
-      // Apply slow-mo effect
-      token.y += token.speed * dt * speedMod;
-
-      // Magnet effect: attract good tokens toward basket
-      if (self.isPowerUpActive('magnet') && !token.isSkull && !token.isScam) {
-        const dx = basketX - token.x;
-        const dy = basketY - token.y;
-        const dist = Math.hypot(dx, dy);
-        if (dist < 200 && dist > 0) {
-          const magnetStrength = 3 * dt;
-          token.x += (dx / dist) * magnetStrength;
-          token.y += (dy / dist) * magnetStrength * 0.5;
+  /**
+   * Turn rule events into score display, effects and anti-cheat records
+   * @param {Object[]} events - Events from TokenCatcherSim
+   */
+  handleSimEvents(events) {
+    if (events.length === 0) return;
+    let scoreChanged = false;
+
+    for (const event of events) {
+      switch (event.type) {
+        case 'shot':
+          this.addEffect(event.x, event.y, '•', '#fbbf24');
+          break;
+
+        case 'powerup':
+          this.activatePowerUp(event.powerUp);
+          break;
+
+        case 'shoot_token': {
+          const color =
+            event.kind === 'skull' ? '#ef4444' : event.kind === 'scam' ? '#a855f7' : '#22c55e';
+          this.addEffect(event.x, event.y, `+${event.points}`, color);
+          this.triggerImpact(event.x, event.y, event.kind === 'skull' ? 'enemy_kill' : 'catch');
+          recordGameAction(this.gameId, 'shoot_token', { type: event.kind, points: event.points });
+          scoreChanged = true;
+          break;
         }
-      }
 
-      // Check collision with basket
-      if (
-        token.y + 15 >= basketY - self.state.basketHeight / 2 &&
-        token.y - 15 <= basketY + self.state.basketHeight / 2 &&
-        token.x >= basketX - self.state.basketWidth / 2 &&
-        token.x <= basketX + self.state.basketWidth / 2
-      ) {
-        if (token.isSkull) {
-          // Shield blocks skull death
-          if (self.isPowerUpActive('shield')) {
-            self.state.activePowerUps.shield = 0; // Consume shield
-            self.addEffect(token.x, token.y, 'BLOCKED!', '#22c55e');
-            self.triggerImpact(token.x, token.y, 'catch');
-            recordGameAction(self.gameId, 'shield_block', { blocked: 'skull' });
-          } else {
-            self.addEffect(token.x, token.y, 'GAME OVER!', '#ef4444');
-            self.triggerImpact(token.x, token.y, 'death');
-            self.resetCombo();
-            recordGameAction(self.gameId, 'catch_skull', { score: self.state.score });
-            self.state.gameOver = true;
-            setTimeout(() => endGame(self.gameId, self.state.score), 500);
+        case 'enemy_hit':
+          this.addEffect(event.x, event.y, '-1', '#f59e0b');
+          break;
+
+        case 'enemy_kill':
+          this.addEffect(event.x, event.y, `-${event.points}`, '#22c55e');
+          this.addEffect(event.x, event.y - 20, `+${event.points}`, '#22c55e');
+          this.triggerImpact(event.x, event.y, 'enemy_kill');
+          scoreChanged = true;
+          break;
+
+        case 'enemy_collide':
+          this.addEffect(event.x, event.y, `${event.points}`, '#ef4444');
+          this.triggerImpact(event.x, event.y, 'damage');
+          scoreChanged = true;
+          break;
+
+        case 'blocked':
+          this.addEffect(event.x, event.y, 'BLOCKED!', '#22c55e');
+          this.triggerImpact(event.x, event.y, 'catch');
+          if (event.kind === 'skull') {
+            recordGameAction(this.gameId, 'shield_block', { blocked: 'skull' });
           }
-          return false;
-        } else if (token.isScam) {
-          // Shield blocks scam damage
-          if (self.isPowerUpActive('shield')) {
-            self.addEffect(token.x, token.y, 'BLOCKED!', '#22c55e');
-            self.triggerImpact(token.x, token.y, 'catch');
-          } else {
-            // Scam breaks combo and deals damage
-            const penalty = 21; // fib[7]
-            self.state.score = Math.max(0, self.state.score - penalty);
-            self.addEffect(token.x, token.y, `-${penalty}`, '#ef4444');
-            self.triggerImpact(token.x, token.y, 'damage');
-            self.resetCombo();
-            recordGameAction(self.gameId, 'catch_scam', {
-              score: self.state.score,
+          break;
+
+        case 'catch':
+          if (event.kind === 'skull') {
+            this.addEffect(event.x, event.y, 'GAME OVER!', '#ef4444');
+            this.triggerImpact(event.x, event.y, 'death');
+            recordGameAction(this.gameId, 'catch_skull', { score: this.world.score });
+          } else if (event.kind === 'scam') {
+            this.addEffect(event.x, event.y, `${event.points}`, '#ef4444');
+            this.triggerImpact(event.x, event.y, 'damage');
+            recordGameAction(this.gameId, 'catch_scam', {
+              score: this.world.score,
               comboLost: true,
             });
+            recordScoreUpdate(this.gameId, this.world.score, -21);
+            scoreChanged = true;
+          } else {
+            if (event.multiplier > 1 || event.doubleBonus > 1) {
+              this.addEffect(
+                event.x,
+                event.y - 20,
+                `x${event.multiplier * event.doubleBonus}`,
+                '#a855f7',
+                { size: 16 }
+              );
+            }
+            this.addEffect(event.x, event.y, `+${event.points}`, '#22c55e');
+            this.triggerImpact(event.x, event.y, event.multiplier >= 3 ? 'enemy_kill' : 'catch');
+            recordGameAction(this.gameId, 'catch_token', {
+              score: this.world.score,
+              combo: event.combo,
+              multiplier: event.multiplier,
+              doubleBonus: event.doubleBonus,
+            });
+            recordScoreUpdate(this.gameId, this.world.score, 13);
+            this.updateComboDisplay();
+            scoreChanged = true;
           }
-        } else {
-          // Good token - apply combo multiplier!
-          const multiplier = self.incrementCombo();
-          const basePoints = 13; // fib[6]
-          // Double score power-up
-          const doubleBonus = self.isPowerUpActive('double') ? 2 : 1;
-          const points = basePoints * multiplier * doubleBonus;
-          self.state.score += points;
-
-          // Show combo feedback
-          if (multiplier > 1 || doubleBonus > 1) {
-            const bonusText = doubleBonus > 1 ? `x${multiplier * 2}` : `x${multiplier}`;
-            self.addEffect(token.x, token.y - 20, bonusText, '#a855f7', { size: 16 });
-          }
-          self.addEffect(token.x, token.y, `+${points}`, '#22c55e');
-          self.triggerImpact(token.x, token.y, multiplier >= 3 ? 'enemy_kill' : 'catch');
-          recordGameAction(self.gameId, 'catch_token', {
-            score: self.state.score,
-            combo: self.state.combo,
-            multiplier,
-            doubleBonus,
-          });
+          break;
+
+        case 'combo_reset':
+          this.updateComboDisplay();
+          break;
+
+        case 'timer':
+          if (this.dom.time) this.dom.time.textContent = event.timeLeft;
+          break;
+
+        case 'gameover': {
+          this.state.gameOver = true;
+          const finalScore = this.world.score;
+          // Let the death effect play before the game over screen
+          const delay = event.reason === 'skull' ? 500 : 0;
+          setTimeout(() => endGame(this.gameId, finalScore), delay);
+          break;
         }
-        recordScoreUpdate(self.gameId, self.state.score, token.isScam ? -21 : 13);
-        self.dom.score.textContent = self.state.score;
-        updateScore(self.gameId, self.state.score);
-        return false;
-      }
-
-      return token.y < self.canvas.height + 30;
-    });
-
-    // Update enemies
-    this.state.enemies = this.state.enemies.filter(enemy => {
-      enemy.y += enemy.speed * dt;
-
-      if (
-        enemy.y + 20 >= basketY - self.state.basketHeight / 2 &&
-        enemy.y - 20 <= basketY + self.state.basketHeight / 2 &&
-        enemy.x >= basketX - self.state.basketWidth / 2 &&
-        enemy.x <= basketX + self.state.basketWidth / 2
-      ) {
-        const penalty = 34; // fib[8]
-        self.state.score = Math.max(0, self.state.score - penalty);
-        self.addEffect(enemy.x, enemy.y, `-${penalty}`, '#ef4444');
-        self.triggerImpact(enemy.x, enemy.y, 'damage');
-        self.resetCombo(); // Enemy hit resets combo
-        self.dom.score.textContent = self.state.score;
-        updateScore(self.gameId, self.state.score);
-        return false;
       }
+    }
 
-      return enemy.y < self.canvas.height + 40;
-    });
-
-    // Update effects (legacy fallback)
-    this.state.effects = this.state.effects.filter(e => {
-      e.y += e.vy * dt;
-      e.life -= dt;
-      return e.life > 0;
-    });
-
-    // Update juice system
-    if (this.juice) {
-      this.juice.update(dt, dt * 16.67);
+    if (scoreChanged) {
+      this.dom.score.textContent = this.world.score;
+      updateScore(this.gameId, this.world.score);
     }
   },
-
   /**
    * Draw active power-up indicators on the right side
    */
   drawPowerUpIndicators(ctx) {
     const activeList = [];
-    for (const type in this.state.activePowerUps) {
-      if (this.state.activePowerUps[type] > 0) {
+    for (const type in this.world.activePowerUps) {
+      if (this.world.activePowerUps[type] > 0) {
         const pu = this.powerUps[type];
         const duration = pu.duration;
-        const remaining = this.state.activePowerUps[type];
+        const remaining = this.world.activePowerUps[type];
         activeList.push({
           type,
           icon: pu.icon,
@@ -1000,19 +604,19 @@ const TokenCatcher = {
     // Draw lane indicators
     ctx.strokeStyle = 'rgba(255,255,255,0.1)';
     ctx.lineWidth = 1;
-    this.state.lanePositions.forEach((y, i) => {
+    this.world.lanePositions.forEach((y, i) => {
       ctx.beginPath();
       ctx.moveTo(0, y);
       ctx.lineTo(this.canvas.width, y);
       ctx.stroke();
       ctx.fillStyle =
-        i === this.state.basketLane ? 'rgba(251,191,36,0.3)' : 'rgba(255,255,255,0.1)';
-      ctx.fillRect(0, y - this.state.laneHeight / 2, 5, this.state.laneHeight);
+        i === this.world.basketLane ? 'rgba(251,191,36,0.3)' : 'rgba(255,255,255,0.1)';
+      ctx.fillRect(0, y - this.world.laneHeight / 2, 5, this.world.laneHeight);
     });
 
     // Draw projectiles
     ctx.fillStyle = '#fbbf24';
-    this.state.projectiles.forEach(proj => {
+    this.world.projectiles.forEach(proj => {
       ctx.beginPath();
       ctx.arc(proj.x, proj.y, 5, 0, Math.PI * 2);
       ctx.fill();
@@ -1024,21 +628,21 @@ const TokenCatcher = {
     });
 
     // Draw power-up tokens (using SpriteCache)
-    this.state.powerUpTokens.forEach(pu => {
-      SpriteCache.draw(ctx, pu.icon, pu.x, pu.y, 28);
+    this.world.powerUpTokens.forEach(pu => {
+      SpriteCache.draw(ctx, this.powerUps[pu.type].icon, pu.x, pu.y, 28);
     });
 
     // Draw falling tokens (using SpriteCache)
-    this.state.tokens.forEach(token => {
-      SpriteCache.draw(ctx, token.icon, token.x, token.y, 30);
+    this.world.tokens.forEach(token => {
+      SpriteCache.draw(ctx, this.getTokenIcon(token), token.x, token.y, 30);
     });
 
     // Draw active power-up indicators
     this.drawPowerUpIndicators(ctx);
 
     // Draw enemies with HP indicator (using SpriteCache)
-    this.state.enemies.forEach(enemy => {
-      SpriteCache.draw(ctx, enemy.icon, enemy.x, enemy.y, 35);
+    this.world.enemies.forEach(enemy => {
+      SpriteCache.draw(ctx, this.enemyTypes[enemy.typeIndex].icon, enemy.x, enemy.y, 35);
       const barWidth = 30;
       const barHeight = 4;
       const hpRatio = enemy.currentHp / enemy.hp;
@@ -1053,17 +657,17 @@ const TokenCatcher = {
     });
 
     // Draw basket (using SpriteCache)
-    const basketX = this.state.basketPos;
-    const basketY = this.state.lanePositions[this.state.basketLane];
+    const basketX = this.world.basketPos;
+    const basketY = this.world.lanePositions[this.world.basketLane];
     SpriteCache.draw(ctx, '🧺', basketX, basketY, 60);
 
     // Draw lane highlight
     ctx.fillStyle = 'rgba(251,191,36,0.15)';
     ctx.fillRect(
-      basketX - this.state.basketWidth / 2,
-      basketY - this.state.laneHeight / 2,
-      this.state.basketWidth,
-      this.state.laneHeight
+      basketX - this.world.basketWidth / 2,
+      basketY - this.world.laneHeight / 2,
+      this.world.basketWidth,
+      this.world.laneHeight
     );
 
     // Draw aiming line
@@ -1129,15 +733,6 @@ const TokenCatcher = {
   stop() {
     if (this.state) this.state.gameOver = true;
 
-    // Clear intervals (safe even if undefined)
-    try {
-      if (this.spawnInterval) clearInterval(this.spawnInterval);
-      if (this.timerInterval) clearInterval(this.timerInterval);
-      if (this.enemySpawnInterval) clearInterval(this.enemySpawnInterval);
-    } catch (e) {
-      console.warn('[TokenCatcher] Interval cleanup error:', e);
-    }
-
     // Remove event listeners (protected)
     try {
       document.removeEventListener('keydown', this.handleKeyDown);
@@ -1166,9 +761,8 @@ const TokenCatcher = {
     this.canvas = null;
     this.ctx = null;
     this.state = null;
-    this.spawnInterval = null;
-    this.timerInterval = null;
-    this.enemySpawnInterval = null;
+    this.sim = null;
+    this.world = null;
   },
 };
 
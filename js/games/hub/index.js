@@ -20,6 +20,7 @@ const Hub = {
     VIEWS: {
         HUB: 'hub',
         GAMES: 'games',
+        TOURNAMENTS: 'tournaments',
         SHOP: 'shop',
         PROFILE: 'profile',
         SETTINGS: 'settings'
@@ -81,6 +82,7 @@ const Hub = {
         this.sections = {
             hub: document.getElementById('hub-section'),
             games: document.getElementById('games-section'),
+            tournaments: document.getElementById('tournaments-section'),
             shop: document.getElementById('shop-section'),
             profile: document.getElementById('profile-section'),
             settings: document.getElementById('settings-section'),
@@ -244,6 +246,11 @@ const Hub = {
                     window.ShopV2.init();
                 }
                 break;
+            case 'tournaments':
+                if (window.HubTournaments) {
+                    window.HubTournaments.refresh();
+                }
+                break;
             case 'profile':
                 if (window.Profile) {
                     window.Profile.refresh();
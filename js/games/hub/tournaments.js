@@ -0,0 +1,549 @@
+/**
+ * ASDF Hub - Tournaments Module
+ *
+ * Schedule, registration, live standings and brackets of arcade tournaments
+ *
+ * @version 1.0.0
+ * @security XSS protection (all server text escaped), runs opened server-side
+ */
+
+'use strict';
+
+// escapeHtml provided by utils.js (loaded first)
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const TOURNAMENT_FORMAT_LABELS = {
+  best_of: 'Best of',
+  bracket: 'Bracket',
+};
+
+const MATCH_DECISION_LABELS = {
+  score: 'score',
+  tiebreak: 'tiebreak (first to finish)',
+  forfeit: 'forfeit',
+  no_show: 'no show',
+  bye: 'bye',
+};
+
+// ============================================
+// TOURNAMENTS MANAGER
+// ============================================
+
+const HubTournaments = {
+  // Status filter of the list
+  status: 'scheduled',
+
+  // Listed tournaments
+  tournaments: [],
+
+  // Selected tournament: { tournament, standings, bracket, results } and the player's status
+  selectedId: null,
+  detail: null,
+  me: null,
+
+  // Realtime channel currently followed
+  channel: null,
+
+  // DOM elements
+  elements: {},
+
+  initialized: false,
+
+  // ============================================
+  // INITIALIZATION
+  // ============================================
+
+  /**
+   * Initialize tournaments module
+   */
+  init() {
+    if (this.initialized) return;
+
+    this.elements = {
+      filters: document.getElementById('tournament-filters'),
+      list: document.getElementById('tournaments-list'),
+      detail: document.getElementById('tournament-detail'),
+    };
+    if (!this.elements.list) return;
+
+    this.setupEvents();
+    this.initialized = true;
+  },
+
+  /**
+   * Setup event listeners
+   */
+  setupEvents() {
+    if (this.elements.filters) {
+      this.elements.filters.addEventListener('click', e => {
+        const btn = e.target.closest('[data-status]');
+        if (!btn) return;
+
+        this.elements.filters.querySelectorAll('[data-status]').forEach(b => {
+          const active = b === btn;
+          b.classList.toggle('active', active);
+          b.setAttribute('aria-selected', String(active));
+        });
+        this.status = btn.dataset.status;
+        this.refresh();
+      });
+    }
+
+    this.elements.list.addEventListener('click', e => {
+      const card = e.target.closest('[data-tournament-id]');
+      if (card) this.select(card.dataset.tournamentId);
+    });
+
+    if (this.elements.detail) {
+      this.elements.detail.addEventListener('click', e => {
+        const action = e.target.closest('[data-tournament-action]');
+        if (!action) return;
+
+        if (action.dataset.tournamentAction === 'register') this.register();
+        if (action.dataset.tournamentAction === 'play') this.play();
+        if (action.dataset.tournamentAction === 'close') this.select(null);
+      });
+    }
+
+    // Live updates (realtime client is an ES module, it may load after us)
+    const events = window.ASDF?.events;
+    const EVENTS = window.ASDF?.EVENTS;
+    if (events && EVENTS) {
+      events.on(EVENTS.WS_NOTIFICATION, notification => this.handleNotification(notification));
+      events.on(EVENTS.WS_READY, () => this.follow(this.selectedId, true));
+      events.on(EVENTS.WS_RESYNC, ({ channel }) => channel === this.channel && this.loadDetail());
+    }
+  },
+
+  // ============================================
+  // DATA
+  // ============================================
+
+  /**
+   * Reload the list (and the selected tournament)
+   */
+  async refresh() {
+    if (!this.initialized) this.init();
+    if (!this.initialized || typeof ApiClient === 'undefined') return;
+
+    try {
+      const result = await ApiClient.getTournaments(this.status);
+      this.tournaments = result.tournaments || [];
+    } catch (error) {
+      console.warn('[Tournaments] Could not load tournaments:', error.message);
+      this.tournaments = [];
+    }
+    this.renderList();
+
+    if (this.selectedId) await this.loadDetail();
+  },
+
+  /**
+   * Select a tournament (null closes the detail panel)
+   * @param {string|null} tournamentId
+   */
+  async select(tournamentId) {
+    this.selectedId = tournamentId;
+    this.detail = null;
+    this.me = null;
+    this.follow(tournamentId);
+
+    if (!tournamentId) {
+      this.renderDetail();
+      return;
+    }
+    await this.loadDetail();
+  },
+
+  /**
+   * Load the selected tournament and the player's status in it
+   */
+  async loadDetail() {
+    const id = this.selectedId;
+    try {
+      const detail = await ApiClient.getTournament(id);
+      const me = this.hasWallet() ? await ApiClient.getMyTournament(id).catch(() => null) : null;
+      if (id !== this.selectedId) return;
+
+      this.detail = detail;
+      this.me = me;
+    } catch (error) {
+      console.warn('[Tournaments] Could not load tournament:', error.message);
+      this.detail = null;
+    }
+    this.renderDetail();
+  },
+
+  hasWallet() {
+    return typeof appState !== 'undefined' && !!appState.wallet;
+  },
+
+  // ============================================
+  // ACTIONS
+  // ============================================
+
+  /**
+   * Register for the selected tournament (with the entry burn signature when paid)
+   */
+  async register() {
+    const tournament = this.detail?.tournament;
+    if (!tournament) return;
+
+    let signature = null;
+    if (tournament.entryBurn > 0) {
+      const input = document.getElementById('tournament-burn-signature');
+      signature = input ? input.value.trim() : '';
+      if (!signature) {
+        this.showMessage('Paste the signature of your entry burn first.');
+        return;
+      }
+    }
+
+    try {
+      await ApiClient.registerTournament(tournament.id, signature);
+      this.showMessage('Registered! Good luck.');
+      await this.loadDetail();
+    } catch (error) {
+      this.showMessage(error.message);
+    }
+  },
+
+  /**
+   * Play the next attempt / current match in the tournament's game
+   */
+  play() {
+    const tournament = this.detail?.tournament;
+    if (!tournament || typeof GameLifecycle === 'undefined' || typeof openGame !== 'function') {
+      return;
+    }
+
+    GameLifecycle.armTournament(tournament.gameId, tournament.id);
+    openGame(tournament.gameId);
+  },
+
+  /**
+   * Called by GameLifecycle once a tournament run was submitted
+   * @param {string} tournamentId
+   * @param {Object|null} result - Tournament part of the submit response
+   * @param {string|null} error - Submit error
+   */
+  onRunSubmitted(tournamentId, result, error) {
+    if (error) {
+      console.warn('[Tournaments] Run not recorded:', error);
+    } else if (result && !result.success) {
+      console.warn('[Tournaments] Run not recorded:', result.error);
+    }
+    if (tournamentId === this.selectedId) this.loadDetail();
+  },
+
+  // ============================================
+  // LIVE UPDATES
+  // ============================================
+
+  /**
+   * Follow the realtime channel of a tournament (one at a time)
+   * @param {string|null} tournamentId
+   * @param {boolean} force - Subscribe again (after a reconnect)
+   */
+  follow(tournamentId, force = false) {
+    const realtime = window.ASDF?.realtime;
+    if (!realtime) return;
+
+    const channel = tournamentId ? `tournament:${tournamentId}` : null;
+    if (channel === this.channel && !force) return;
+
+    if (this.channel && this.channel !== channel) realtime.unsubscribe(this.channel);
+    this.channel = channel;
+    if (!channel) return;
+
+    if (realtime.isConnected()) {
+      realtime.subscribe(channel);
+    } else {
+      // WS_READY subscribes once connected
+      realtime.connect();
+    }
+  },
+
+  /**
+   * Apply a realtime notification to the selected tournament
+   * @param {Object} notification - { type, data }
+   */
+  handleNotification(notification) {
+    if (!notification || !notification.data) return;
+
+    if (notification.type === 'tournament_match') {
+      if (notification.data.tournamentId === this.selectedId) this.loadDetail();
+      return;
+    }
+    if (notification.type !== 'tournament_update') return;
+
+    const update = notification.data;
+    if (update.tournamentId !== this.selectedId || !this.detail) return;
+
+    if (update.kind === 'standings') {
+      // Live top only; keep the rest of the loaded standings
+      const top = update.standings || [];
+      const rest = (this.detail.standings || []).filter(
+        entry => !top.some(t => t.wallet === entry.wallet) && entry.rank > top.length
+      );
+      this.detail.standings = [...top, ...rest];
+      this.renderDetail();
+    } else if (update.kind === 'match' && this.detail.bracket) {
+      this.detail.bracket = this.detail.bracket.map(round =>
+        round.map(match => (match.id === update.match.id ? update.match : match))
+      );
+      this.renderDetail();
+      if (this.me) this.loadDetail();
+    } else {
+      // Status or player count changes: reload everything
+      this.loadDetail();
+    }
+  },
+
+  // ============================================
+  // RENDERING
+  // ============================================
+
+  /**
+   * Render the tournament list
+   */
+  renderList() {
+    const list = this.elements.list;
+    if (!list) return;
+
+    if (this.tournaments.length === 0) {
+      list.innerHTML = '<div class="tournament-empty">No tournaments here yet.</div>';
+      return;
+    }
+
+    list.innerHTML = this.tournaments
+      .map(
+        t => `
+          <button class="tournament-card ${t.id === this.selectedId ? 'selected' : ''}" data-tournament-id="${escapeHtml(t.id)}">
+            <span class="tournament-card-game">${escapeHtml(this.gameLabel(t.gameId))}</span>
+            <span class="tournament-card-name">${escapeHtml(t.name)}</span>
+            <span class="tournament-card-meta">
+              ${escapeHtml(this.formatLabel(t))} · ${t.playerCount}/${t.maxPlayers} players · ${escapeHtml(this.entryLabel(t))}
+            </span>
+            <span class="tournament-card-meta">${escapeHtml(this.whenLabel(t))}</span>
+          </button>
+        `
+      )
+      .join('');
+  },
+
+  /**
+   * Render the selected tournament
+   */
+  renderDetail() {
+    const panel = this.elements.detail;
+    if (!panel) return;
+
+    if (!this.detail) {
+      panel.hidden = true;
+      panel.innerHTML = '';
+      return;
+    }
+
+    const { tournament, standings, bracket, results } = this.detail;
+    panel.hidden = false;
+    panel.innerHTML = `
+      <div class="profile-panel-header">
+        <h3 class="profile-panel-title">
+          <span>${tournament.format === 'bracket' ? '🗡️' : '🎯'}</span>
+          ${escapeHtml(tournament.name)}
+        </h3>
+        <button class="btn-valhalla-secondary btn-sm" data-tournament-action="close" aria-label="Close tournament">✕</button>
+      </div>
+      <div class="profile-panel-body">
+        <p class="tournament-info">
+          ${escapeHtml(this.gameLabel(tournament.gameId))} · ${escapeHtml(this.formatLabel(tournament))} ·
+          ${escapeHtml(this.entryLabel(tournament))} · ${escapeHtml(tournament.status)}
+        </p>
+        <p class="tournament-info">${escapeHtml(this.whenLabel(tournament))}</p>
+        ${tournament.cancelReason ? `<p class="tournament-info">Cancelled: ${escapeHtml(tournament.cancelReason)}</p>` : ''}
+        ${this.renderPrizes(tournament)}
+        <div class="tournament-actions" id="tournament-actions">${this.renderActions(tournament)}</div>
+        <div class="tournament-message" id="tournament-message" role="status" aria-live="polite"></div>
+        ${results ? this.renderRanking(results.ranking, 'Final ranking') : ''}
+        ${!results && standings ? this.renderRanking(standings, 'Live standings') : ''}
+        ${bracket ? this.renderBracket(bracket) : ''}
+      </div>
+    `;
+  },
+
+  renderPrizes(tournament) {
+    const tiers = tournament.prizes || [];
+    if (tiers.length === 0) return '';
+
+    const items = tiers
+      .map(tier => {
+        const ranks = tier.from === tier.to ? `#${tier.from}` : `#${tier.from}-${tier.to}`;
+        const parts = [];
+        if (tier.currency) parts.push(`🪙 ${tier.currency.toLocaleString()}`);
+        if (tier.achievement) parts.push('🏆');
+        return `<li>${escapeHtml(ranks)}: ${escapeHtml(parts.join(' + '))}</li>`;
+      })
+      .join('');
+    return `<ul class="tournament-prizes">${items}</ul>`;
+  },
+
+  /**
+   * Registration / play controls for the current player
+   */
+  renderActions(tournament) {
+    if (!this.hasWallet()) {
+      return '<span class="tournament-info">Connect your wallet to take part.</span>';
+    }
+
+    const me = this.me;
+    if (tournament.status === 'scheduled') {
+      if (me?.registered) return '<span class="tournament-info">✅ Registered</span>';
+      if (tournament.playerCount >= tournament.maxPlayers) {
+        return '<span class="tournament-info">Tournament is full</span>';
+      }
+
+      const burnInput =
+        tournament.entryBurn > 0
+          ? `<input class="tournament-signature" id="tournament-burn-signature" type="text"
+               placeholder="Signature of your ${escapeHtml(String(tournament.entryBurn))} token burn"
+               aria-label="Entry burn transaction signature" autocomplete="off">`
+          : '';
+      return `${burnInput}<button class="btn-valhalla btn-sm" data-tournament-action="register">Register</button>`;
+    }
+
+    if (tournament.status !== 'active' || !me?.registered) return '';
+
+    if (tournament.format === 'best_of') {
+      const best =
+        me.bestScore === null ? '' : ` · best ${me.bestScore.toLocaleString()} (#${me.rank})`;
+      if (me.attemptsLeft === 0) {
+        return `<span class="tournament-info">No attempts left${escapeHtml(best)}</span>`;
+      }
+      return `
+        <button class="btn-valhalla btn-sm" data-tournament-action="play">Play</button>
+        <span class="tournament-info">${me.attemptsLeft}/${tournament.attempts} attempts left${escapeHtml(best)}</span>
+      `;
+    }
+
+    const match = me.match;
+    if (!match) return '<span class="tournament-info">Waiting for your next match</span>';
+
+    const opponent = match.players.find(p => p && p.wallet !== appState.wallet);
+    const vs = `Round ${match.round} vs ${opponent ? opponent.walletShort : '?'}`;
+    if (match.played) {
+      return `<span class="tournament-info">${escapeHtml(vs)}: played, waiting for your opponent</span>`;
+    }
+    return `
+      <button class="btn-valhalla btn-sm" data-tournament-action="play">Play match</button>
+      <span class="tournament-info">${escapeHtml(vs)} · closes ${escapeHtml(this.formatDate(match.closesAt))}</span>
+    `;
+  },
+
+  renderRanking(entries, title) {
+    if (!entries || entries.length === 0) return '';
+
+    const rows = entries
+      .map(
+        entry => `
+          <tr class="${this.hasWallet() && entry.wallet === appState.wallet ? 'me' : ''}">
+            <td>#${entry.rank}</td>
+            <td>${escapeHtml(entry.walletShort)}</td>
+            <td>${entry.score === null || entry.score === undefined ? '-' : entry.score.toLocaleString()}</td>
+          </tr>
+        `
+      )
+      .join('');
+
+    return `
+      <h4 class="tournament-subtitle">${escapeHtml(title)}</h4>
+      <table class="history-table tournament-standings">
+        <thead><tr><th scope="col">Rank</th><th scope="col">Player</th><th scope="col">Score</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  },
+
+  renderBracket(rounds) {
+    const columns = rounds
+      .map((round, i) => {
+        const label = i === rounds.length - 1 ? 'Final' : `Round ${i + 1}`;
+        const matches = round.map(match => this.renderMatch(match)).join('');
+        return `<div class="bracket-round"><h5>${label}</h5>${matches}</div>`;
+      })
+      .join('');
+    return `<h4 class="tournament-subtitle">Bracket</h4><div class="tournament-bracket">${columns}</div>`;
+  },
+
+  renderMatch(match) {
+    const players = match.players
+      .map(player => {
+        if (!player) return '<div class="bracket-player empty">-</div>';
+        const won = match.winner === player.wallet;
+        const score =
+          player.score !== null ? player.score.toLocaleString() : player.played ? '✔' : '';
+        return `
+          <div class="bracket-player ${won ? 'winner' : ''}">
+            <span>${escapeHtml(player.walletShort)}</span><span>${escapeHtml(score)}</span>
+          </div>
+        `;
+      })
+      .join('');
+
+    const decided = match.decidedBy
+      ? MATCH_DECISION_LABELS[match.decidedBy] || match.decidedBy
+      : '';
+    return `
+      <div class="bracket-match ${escapeHtml(match.status)}" title="${escapeHtml(decided)}">${players}</div>
+    `;
+  },
+
+  showMessage(text) {
+    const el = document.getElementById('tournament-message');
+    if (el) el.textContent = text;
+  },
+
+  // ============================================
+  // LABELS
+  // ============================================
+
+  gameLabel(gameId) {
+    const game = typeof GAMES !== 'undefined' ? GAMES.find(g => g.id === gameId) : null;
+    return game ? `${game.icon} ${game.name}` : gameId;
+  },
+
+  formatLabel(tournament) {
+    const label = TOURNAMENT_FORMAT_LABELS[tournament.format] || tournament.format;
+    return tournament.format === 'best_of' ? `${label} ${tournament.attempts}` : label;
+  },
+
+  entryLabel(tournament) {
+    return tournament.entryBurn > 0
+      ? `🔥 ${tournament.entryBurn.toLocaleString()} entry`
+      : 'Free entry';
+  },
+
+  whenLabel(tournament) {
+    return `${this.formatDate(tournament.startsAt)} → ${this.formatDate(tournament.endsAt)}`;
+  },
+
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '-';
+  },
+};
+
+// ============================================
+// AUTO INIT
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  HubTournaments.init();
+});
+
+// Global export
+if (typeof window !== 'undefined') {
+  window.HubTournaments = HubTournaments;
+}
@@ -8,6 +8,31 @@
 'use strict';
 
 const GameLifecycle = {
+  // Server game sessions (seed + token) for competitive replay validation
+  serverSessions: {},
+
+  // Live GameSim sessions, keyed by game ID, whose actions are submitted at the end
+  simSessions: {},
+
+  // Tournament the next run of a game is played for (game ID -> tournament ID)
+  tournamentRuns: {},
+
+  /**
+   * Play the next run of a game for a tournament
+   * The run is opened through the tournament (its seed, one attempt or match)
+   * instead of a regular competitive session.
+   * @param {string} gameId - The game ID
+   * @param {string|null} tournamentId - Tournament ID, or null to disarm
+   */
+  armTournament(gameId, tournamentId) {
+    if (!isValidGameId(gameId)) return;
+    if (tournamentId) {
+      this.tournamentRuns[gameId] = tournamentId;
+    } else {
+      delete this.tournamentRuns[gameId];
+    }
+  },
+
   /**
    * Start a game session
    * @param {string} gameId - The game ID to start
@@ -22,19 +47,15 @@ const GameLifecycle = {
     if (isCompetitive) {
       // Verify we can still play competitive and start session
       if (typeof canPlayCompetitive === 'function' && !canPlayCompetitive(gameId)) {
-        alert('Mode competitif non disponible. Basculement vers le mode entrainement.');
-        activeGameModes[gameId] = 'practice';
-        const competitiveBtn = document.getElementById(`competitive-btn-${gameId}`);
-        const practiceBtn = document.getElementById(`practice-btn-${gameId}`);
-        if (competitiveBtn) competitiveBtn.classList.remove('active');
-        if (practiceBtn) practiceBtn.classList.add('active');
+        this.switchToPractice(
+          gameId,
+          'Mode competitif non disponible. Basculement vers le mode entrainement.'
+        );
       } else if (typeof startCompetitiveSession === 'function' && !startCompetitiveSession()) {
-        alert("Temps competitif epuise pour aujourd'hui! Basculement vers le mode entrainement.");
-        activeGameModes[gameId] = 'practice';
-        const competitiveBtn = document.getElementById(`competitive-btn-${gameId}`);
-        const practiceBtn = document.getElementById(`practice-btn-${gameId}`);
-        if (competitiveBtn) competitiveBtn.classList.remove('active');
-        if (practiceBtn) practiceBtn.classList.add('active');
+        this.switchToPractice(
+          gameId,
+          "Temps competitif epuise pour aujourd'hui! Basculement vers le mode entrainement."
+        );
       }
     }
 
@@ -49,15 +70,110 @@ const GameLifecycle = {
     const overlay = document.getElementById(`overlay-${gameId}`);
     if (overlay) overlay.classList.add('hidden');
 
-    requestAnimationFrame(() => {
-      // Delegate to GameEngines coordinator if available
-      if (typeof GameEngines !== 'undefined' && GameEngines.initialized) {
-        GameEngines.start(gameId);
-      } else if (typeof initializeGame === 'function') {
-        // Fallback to legacy function
-        initializeGame(gameId);
+    const launch = () => {
+      requestAnimationFrame(() => {
+        // Delegate to GameEngines coordinator if available
+        if (typeof GameEngines !== 'undefined' && GameEngines.initialized) {
+          GameEngines.start(gameId);
+        } else if (typeof initializeGame === 'function') {
+          // Fallback to legacy function
+          initializeGame(gameId);
+        }
+      });
+    };
+
+    delete this.serverSessions[gameId];
+
+    // Competitive and tournament runs of simulated games are seeded by the
+    // server so the submitted action stream can be re-simulated on submit
+    const stillCompetitive =
+      typeof activeGameModes !== 'undefined' && activeGameModes[gameId] === 'competitive';
+    if ((stillCompetitive || this.tournamentRuns[gameId]) && this.isReplayValidated(gameId)) {
+      const tournamentRun = !!this.tournamentRuns[gameId];
+      this.openServerSession(gameId).then(session => {
+        // Unseeded runs are never submitted: play this one as practice
+        if (!session && stillCompetitive) {
+          this.switchToPractice(
+            gameId,
+            tournamentRun
+              ? null
+              : 'Session competitive non disponible. Partie en mode entrainement.'
+          );
+        }
+        launch();
+      });
+    } else {
+      launch();
+    }
+  },
+
+  /**
+   * Switch a game to practice mode
+   * @param {string} gameId - The game ID
+   * @param {string|null} message - Alert shown to the player, if any
+   */
+  switchToPractice(gameId, message) {
+    if (message) alert(message);
+    activeGameModes[gameId] = 'practice';
+    const competitiveBtn = document.getElementById(`competitive-btn-${gameId}`);
+    const practiceBtn = document.getElementById(`practice-btn-${gameId}`);
+    if (competitiveBtn) competitiveBtn.classList.remove('active');
+    if (practiceBtn) practiceBtn.classList.add('active');
+  },
+
+  /**
+   * Check if a game's scores are validated by server-side re-simulation
+   * @param {string} gameId - The game ID
+   * @returns {boolean}
+   */
+  isReplayValidated(gameId) {
+    return (
+      typeof GameSim !== 'undefined' &&
+      GameSim.has(gameId) &&
+      typeof appState !== 'undefined' &&
+      !!appState.wallet &&
+      typeof ApiClient !== 'undefined'
+    );
+  },
+
+  /**
+   * Open a seeded server game session (through the armed tournament, if any)
+   * Never rejects: on failure the game runs with a local seed as a practice
+   * run, whose score is only kept locally.
+   * @param {string} gameId - The game ID
+   * @returns {Promise<Object|null>} Server session or null
+   */
+  async openServerSession(gameId) {
+    const tournamentId = this.tournamentRuns[gameId];
+    try {
+      const session = tournamentId
+        ? await ApiClient.startTournamentSession(tournamentId)
+        : await ApiClient.startGameSession(gameId);
+      this.serverSessions[gameId] = session;
+      return session;
+    } catch (error) {
+      console.warn(`Could not open server session for ${gameId}:`, error.message);
+      if (tournamentId) {
+        delete this.tournamentRuns[gameId];
+        alert(`Tournoi: ${error.message}. Partie en mode entrainement.`);
       }
-    });
+      return null;
+    }
+  },
+
+  /**
+   * Create the deterministic rules session for an engine
+   * Uses the server seed when a competitive session is open.
+   * @param {string} gameId - The game ID
+   * @param {Object} options - Sim options ({ width, height })
+   * @returns {Object} GameSim session
+   */
+  createSimSession(gameId, options = {}) {
+    const server = this.serverSessions[gameId];
+    const seed = server && Number.isInteger(server.seed) ? server.seed : GameSim.randomSeed();
+    const sim = GameSim.createSession(gameId, seed, options);
+    this.simSessions[gameId] = sim;
+    return sim;
   },
 
   /**
@@ -126,10 +242,28 @@ const GameLifecycle = {
     let apiResult = null;
     let submitError = null;
 
-    if (typeof appState !== 'undefined' && appState.wallet) {
+    // Replay of the rules session, re-simulated server-side when seeded by the server
+    const sim = this.simSessions[gameId];
+    const serverSession = this.serverSessions[gameId];
+    const tournamentId = serverSession ? this.tournamentRuns[gameId] : null;
+    delete this.simSessions[gameId];
+    delete this.serverSessions[gameId];
+    delete this.tournamentRuns[gameId];
+
+    // Simulated games only score through a seeded session, never the plain endpoint
+    const unverified =
+      typeof GameSim !== 'undefined' && GameSim.has(gameId) && !(serverSession && sim);
+    if (unverified && isCompetitive) {
+      submitError = 'Session de jeu non verifiee, score non soumis';
+    }
+
+    if (typeof appState !== 'undefined' && appState.wallet && !unverified) {
       try {
         if (typeof ApiClient !== 'undefined') {
-          apiResult = await ApiClient.submitScore(gameId, safeScore, isCompetitive, sessionData);
+          apiResult =
+            serverSession && sim
+              ? await ApiClient.submitGameSession(serverSession, safeScore, sim.toReplay())
+              : await ApiClient.submitScore(gameId, safeScore, isCompetitive, sessionData);
           if (apiResult.isNewBest) {
             appState.practiceScores[gameId] = apiResult.bestScore;
             if (typeof saveState === 'function') saveState();
@@ -152,6 +286,10 @@ const GameLifecycle = {
       }
     }
 
+    if (tournamentId && typeof HubTournaments !== 'undefined') {
+      HubTournaments.onRunSubmitted(tournamentId, apiResult?.tournament || null, submitError);
+    }
+
     // Render game over UI
     this.renderGameOver(gameId, safeScore, xpResult, apiResult, submitError, isCompetitive);
   },
@@ -0,0 +1,387 @@
+/**
+ * ASDF Games - Burn Runner Rules (deterministic)
+ *
+ * Endless runner: double jump over obstacles, land on platforms for tokens,
+ * dash and shield abilities on cooldown. Score = distance + tokens * 10.
+ *
+ * DOM-free: driven by sim/core.js in the browser engine and the API validator
+ */
+
+'use strict';
+
+const BurnRunnerSim = {
+  id: 'burnrunner',
+  version: 1,
+  actions: ['jump', 'dash', 'shield'],
+  maxTicks: 60 * 60 * 21, // 21 minutes hard stop
+  world: {
+    width: 800,
+    height: 500,
+    minWidth: 320,
+    maxWidth: 2560,
+    minHeight: 240,
+    maxHeight: 1440,
+  },
+
+  // Ability timings in ticks @ 60 Hz
+  dash: { cooldown: 204, duration: 18, speed: 13 }, // 3400ms / 300ms, fib[6]
+  abilityShield: { cooldown: 534, duration: 78 }, // 8900ms / 1300ms
+
+  // Hitboxes only; sprites live in the engine (same order)
+  obstacleTypes: [
+    { width: 35, height: 40 },
+    { width: 35, height: 35 },
+    { width: 35, height: 35 },
+    { width: 30, height: 35 },
+    { width: 32, height: 38 },
+    { width: 35, height: 35 },
+    { width: 32, height: 34 },
+    { width: 28, height: 40 },
+    { width: 45, height: 20 },
+    { width: 30, height: 45 },
+    { width: 35, height: 35 },
+    { width: 38, height: 38 },
+    { width: 40, height: 30 },
+    { width: 40, height: 30 },
+    { width: 35, height: 28 },
+    { width: 32, height: 32 },
+  ],
+
+  platformTypes: [
+    { width: 45, height: 35, points: 15 },
+    { width: 50, height: 30, points: 10 },
+    { width: 40, height: 40, points: 25 },
+    { width: 50, height: 45, points: 20 },
+    { width: 55, height: 35, points: 12 },
+    { width: 60, height: 25, points: 18 },
+    { width: 45, height: 30, points: 14 },
+    { width: 40, height: 50, points: 22 },
+    { width: 45, height: 35, points: 16 },
+    { width: 40, height: 45, points: 20 },
+    { width: 35, height: 40, points: 12 },
+    { width: 40, height: 40, points: 15 },
+  ],
+
+  aerialPlatformTypes: [
+    { width: 70, height: 25, points: 30 },
+    { width: 45, height: 35, points: 25 },
+    { width: 55, height: 25, points: 35 },
+    { width: 50, height: 30, points: 40 },
+    { width: 45, height: 30, points: 35 },
+    { width: 50, height: 30, points: 28 },
+    { width: 60, height: 30, points: 32 },
+    { width: 55, height: 35, points: 30 },
+    { width: 40, height: 35, points: 45 },
+    { width: 80, height: 20, points: 50 },
+  ],
+
+  /**
+   * Build the initial state
+   * @param {Object} rng - Seeded rng
+   * @param {Object} options - { width, height }
+   * @returns {Object} State
+   */
+  init(rng, options) {
+    const ground = options.height - 80;
+    const player = { x: 89, y: 0, vy: 0, width: 34, height: 55 }; // fib[10], fib[8], fib[9]
+    player.y = ground - player.height;
+
+    return {
+      width: options.width,
+      height: options.height,
+      frame: 0,
+      score: 0,
+      distance: 0,
+      tokens: 0,
+      speed: 5, // fib[4]
+      baseSpeed: 5, // fib[4]
+      maxSpeed: 13, // fib[6]
+      gravity: 0.382, // PHI_INVERSE * 0.618
+      jumpForce: -8, // fib[5]
+      jumpsLeft: 2,
+      maxJumps: 2,
+      isJumping: false,
+      gameOver: false,
+      player,
+      ground,
+      obstacles: [],
+      platforms: [],
+      collectibles: [],
+      lastObstacle: 0,
+      lastPlatform: 0,
+      lastAerialPlatform: 0,
+      lastCollectible: 0,
+      difficultyLevel: 0,
+      dash: { active: false, endFrame: 0, lastUsed: -this.dash.cooldown },
+      abilityShield: { active: false, endFrame: 0, lastUsed: -this.abilityShield.cooldown },
+    };
+  },
+
+  /**
+   * Apply a player action
+   * @returns {Object[]} Events
+   */
+  input(state, action) {
+    const player = state.player;
+
+    switch (action) {
+      case 'jump':
+        if (state.jumpsLeft <= 0) return null;
+        player.vy = state.jumpForce;
+        state.isJumping = true;
+        state.jumpsLeft--;
+        return [{ type: 'jump', jumpsLeft: state.jumpsLeft }];
+
+      case 'dash':
+        if (state.frame - state.dash.lastUsed < this.dash.cooldown) return null;
+        state.dash.active = true;
+        state.dash.endFrame = state.frame + this.dash.duration;
+        state.dash.lastUsed = state.frame;
+        return [{ type: 'dash' }];
+
+      case 'shield':
+        if (state.frame - state.abilityShield.lastUsed < this.abilityShield.cooldown) return null;
+        state.abilityShield.active = true;
+        state.abilityShield.endFrame = state.frame + this.abilityShield.duration;
+        state.abilityShield.lastUsed = state.frame;
+        return [{ type: 'shield' }];
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Advance one tick
+   * @returns {Object[]} Events
+   */
+  step(state, rng) {
+    const events = [];
+    const player = state.player;
+    state.frame++;
+
+    if (state.dash.active && state.frame > state.dash.endFrame) state.dash.active = false;
+    if (state.abilityShield.active && state.frame > state.abilityShield.endFrame) {
+      state.abilityShield.active = false;
+    }
+
+    // Phi-style speed ramp: 38.2% of the way to max speed at 500m.
+    // Rational form instead of PHI_INV^(d/500) so every runtime agrees bit for bit.
+    const distanceFactor = state.distance / (state.distance + 809);
+    state.speed = state.dash.active
+      ? this.dash.speed
+      : state.baseSpeed + (state.maxSpeed - state.baseSpeed) * distanceFactor;
+
+    // Difficulty at Fibonacci milestones: 89m, 144m, 233m, 377m
+    if (state.distance >= 377) state.difficultyLevel = 4;
+    else if (state.distance >= 233) state.difficultyLevel = 3;
+    else if (state.distance >= 144) state.difficultyLevel = 2;
+    else if (state.distance >= 89) state.difficultyLevel = 1;
+
+    state.distance += state.speed * 0.1;
+
+    // Player physics
+    player.vy += state.gravity;
+    player.y += player.vy;
+
+    if (player.y >= state.ground - player.height) {
+      if (state.isJumping && player.vy > 2) {
+        events.push({
+          type: 'land',
+          intensity: Math.min(2, player.vy / 5),
+          x: player.x + player.width / 2,
+          y: state.ground,
+        });
+      }
+      player.y = state.ground - player.height;
+      player.vy = 0;
+      state.isJumping = false;
+      state.jumpsLeft = state.maxJumps;
+    }
+
+    this.spawn(state, rng);
+    this.updatePlatforms(state, events);
+    this.updateObstacles(state, events);
+    if (state.gameOver) return events;
+    this.updateCollectibles(state, events);
+
+    state.score = Math.floor(state.distance) + state.tokens * 10;
+    return events;
+  },
+
+  /**
+   * Spawn by distance travelled (Fibonacci intervals)
+   */
+  spawn(state, rng) {
+    const obstacleDensity = 89 - state.difficultyLevel * 13; // fib[10] - level * fib[6]
+    if (state.distance - state.lastObstacle > obstacleDensity + rng.next() * 55) {
+      const typeIndex = rng.int(this.obstacleTypes.length);
+      const type = this.obstacleTypes[typeIndex];
+      state.obstacles.push({
+        typeIndex,
+        x: state.width + 50,
+        y: state.ground - type.height,
+        width: type.width,
+        height: type.height,
+      });
+      state.lastObstacle = state.distance;
+    }
+
+    if (state.distance - state.lastPlatform > 55 + rng.next() * 34) {
+      const typeIndex = rng.int(this.platformTypes.length);
+      const type = this.platformTypes[typeIndex];
+      state.platforms.push({
+        typeIndex,
+        floating: false,
+        x: state.width + 50,
+        y: state.ground - type.height,
+        renderY: state.ground - type.height,
+        width: type.width,
+        height: type.height,
+        points: type.points,
+        scored: false,
+      });
+      state.lastPlatform = state.distance;
+    }
+
+    if (state.distance - state.lastAerialPlatform > 89 + rng.next() * 55) {
+      const typeIndex = rng.int(this.aerialPlatformTypes.length);
+      const type = this.aerialPlatformTypes[typeIndex];
+      const minHeight = state.ground * 0.25;
+      const maxHeight = state.ground * 0.6;
+      const y = minHeight + rng.next() * (maxHeight - minHeight);
+      state.platforms.push({
+        typeIndex,
+        floating: true,
+        x: state.width + 50,
+        y,
+        renderY: y,
+        bobPhase: rng.next(),
+        width: type.width,
+        height: type.height,
+        points: type.points,
+        scored: false,
+      });
+      state.lastAerialPlatform = state.distance;
+    }
+
+    if (state.distance - state.lastCollectible > 34 + rng.next() * 21) {
+      const height = 40 + rng.next() * 70;
+      state.collectibles.push({
+        x: state.width + 50,
+        y: state.ground - height - 25,
+        width: 25,
+        height: 25,
+      });
+      state.lastCollectible = state.distance;
+    }
+  },
+
+  /**
+   * Parabolic sine approximation over one cycle (phase in [0, 1))
+   */
+  wave(phase) {
+    return phase < 0.5 ? 16 * phase * (0.5 - phase) : -16 * (phase - 0.5) * (1 - phase);
+  },
+
+  updatePlatforms(state, events) {
+    const player = state.player;
+
+    state.platforms = state.platforms.filter(plat => {
+      plat.x -= state.speed;
+
+      if (plat.floating) {
+        plat.bobPhase = (plat.bobPhase + 0.008) % 1; // ~0.05 rad per tick
+        plat.renderY = plat.y + this.wave(plat.bobPhase) * 8;
+      }
+
+      const platY = plat.renderY;
+      const playerBottom = player.y + player.height;
+      const playerCenterX = player.x + player.width / 2;
+
+      const onTopOf =
+        playerBottom >= platY - 5 &&
+        playerBottom <= platY + 15 &&
+        playerCenterX > plat.x &&
+        playerCenterX < plat.x + plat.width &&
+        player.vy >= 0;
+
+      if (onTopOf) {
+        if (state.isJumping) {
+          events.push({ type: 'land', intensity: 0.8, x: playerCenterX, y: platY });
+        }
+        player.y = platY - player.height;
+        player.vy = 0;
+        state.isJumping = false;
+        state.jumpsLeft = state.maxJumps;
+
+        if (!plat.scored) {
+          plat.scored = true;
+          const tokens = Math.ceil(plat.points / 10) * (plat.floating ? 2 : 1);
+          state.tokens += tokens;
+          events.push({ type: 'platform', tokens, x: plat.x + plat.width / 2, y: platY });
+        }
+      }
+
+      return plat.x > -60;
+    });
+  },
+
+  /**
+   * Padded AABB overlap
+   */
+  checkCollision(a, b) {
+    const padding = 5;
+    return (
+      a.x + padding < b.x + b.width - padding &&
+      a.x + a.width - padding > b.x + padding &&
+      a.y + padding < b.y + b.height &&
+      a.y + a.height > b.y + padding
+    );
+  },
+
+  updateObstacles(state, events) {
+    state.obstacles = state.obstacles.filter(obs => {
+      if (state.gameOver) return true;
+      obs.x -= state.speed;
+
+      if (this.checkCollision(state.player, obs)) {
+        if (state.abilityShield.active) {
+          events.push({ type: 'blocked', x: obs.x, y: obs.y });
+          return false;
+        }
+        if (state.dash.active) {
+          events.push({ type: 'dashed', x: obs.x, y: obs.y });
+          return false;
+        }
+        state.gameOver = true;
+        state.score = Math.floor(state.distance) + state.tokens * 10;
+        events.push({ type: 'gameover', reason: 'obstacle', x: obs.x, y: obs.y });
+      }
+
+      return obs.x > -50;
+    });
+  },
+
+  updateCollectibles(state, events) {
+    state.collectibles = state.collectibles.filter(col => {
+      col.x -= state.speed;
+
+      if (this.checkCollision(state.player, col)) {
+        state.tokens++;
+        events.push({ type: 'collect', x: col.x, y: col.y });
+        return false;
+      }
+      return col.x > -50;
+    });
+  },
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BurnRunnerSim;
+}
+if (typeof window !== 'undefined') {
+  window.BurnRunnerSim = BurnRunnerSim;
+  if (window.GameSim) window.GameSim.register(BurnRunnerSim);
+}
@@ -0,0 +1,379 @@
+/**
+ * ASDF Games - Deterministic Simulation Core
+ *
+ * Seeded, DOM-free fixed-step runner shared by the browser engines and the
+ * API replay validator (api/services/gameSimulation.js)
+ *
+ * Game rules live in sim/[gamename].js and advance one 60 Hz tick at a time.
+ * Player input is recorded as a frame-indexed action stream ({ f, a, d }),
+ * so the same seed + options + actions always produce the same score.
+ *
+ * Rules must stay deterministic across JS runtimes:
+ * - randomness only through the session rng (never Math.random)
+ * - no Date / performance clocks, only the tick counter
+ * - arithmetic limited to + - * /, Math.sqrt, floor/round/min/max/abs
+ *   (transcendental functions are not guaranteed bit-identical)
+ *
+ * Usage:
+ *   const sim = GameSim.createSession('stakestacker', seed, { width, height });
+ *
+ *   onClick() { sim.input('drop'); }
+ *   gameLoop(timestamp) {
+ *       const events = sim.advance(elapsedMs);
+ *       render(sim.state, events);
+ *   }
+ */
+
+'use strict';
+
+const GameSim = {
+  version: 1,
+  TICK_MS: 1000 / 60,
+  MAX_CATCHUP_TICKS: 8, // Cap per advance() to avoid spiral of death after tab switch
+  MAX_ACTIONS: 6765, // fib[20]
+
+  // Registered rule sets keyed by game id
+  rules: {},
+
+  /**
+   * Register a game rule set
+   * @param {Object} rules - { id, version, actions, coalesce, maxTicks, world, init, input, step }
+   * @returns {Object} The registered rules
+   */
+  register(rules) {
+    if (!rules || !rules.id || typeof rules.step !== 'function') {
+      throw new Error('GameSim.register: invalid rule set');
+    }
+    this.rules[rules.id] = rules;
+    return rules;
+  },
+
+  /**
+   * Check if a game has deterministic rules
+   * @param {string} gameId - Game ID
+   * @returns {boolean}
+   */
+  has(gameId) {
+    return Object.prototype.hasOwnProperty.call(this.rules, gameId);
+  },
+
+  /**
+   * Get registered rules for a game
+   * @param {string} gameId - Game ID
+   * @returns {Object|null}
+   */
+  get(gameId) {
+    return this.has(gameId) ? this.rules[gameId] : null;
+  },
+
+  /**
+   * Hash any string/number into an unsigned 32-bit seed (FNV-1a)
+   * @param {string|number} input - Seed material
+   * @returns {number} uint32 seed
+   */
+  hashSeed(input) {
+    const str = String(input);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+
+  /**
+   * Generate a fresh seed for offline/practice sessions
+   * @returns {number} uint32 seed
+   */
+  randomSeed() {
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      return crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  },
+
+  /**
+   * Create a seeded PRNG (mulberry32)
+   * @param {number|string} seed - Seed (strings are hashed)
+   * @returns {Object} rng with next(), range(), int(), chance(), pick()
+   */
+  createRng(seed) {
+    let a = (typeof seed === 'number' ? seed : this.hashSeed(seed)) >>> 0;
+
+    return {
+      /**
+       * @returns {number} Float in [0, 1)
+       */
+      next() {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      },
+
+      /**
+       * @returns {number} Float in [min, max)
+       */
+      range(min, max) {
+        return min + this.next() * (max - min);
+      },
+
+      /**
+       * @returns {number} Integer in [0, n)
+       */
+      int(n) {
+        return Math.floor(this.next() * n);
+      },
+
+      /**
+       * @returns {boolean} True with probability p
+       */
+      chance(p) {
+        return this.next() < p;
+      },
+
+      /**
+       * @returns {*} Random element of list
+       */
+      pick(list) {
+        return list[Math.floor(this.next() * list.length)];
+      },
+    };
+  },
+
+  /**
+   * Normalize session options against the rule set's bounds
+   * World size is part of the replay: the client's canvas size at start
+   * is reused server-side, clamped so no one can pick an exotic arena.
+   * @param {Object} rules - Rule set
+   * @param {Object} options - Raw options
+   * @returns {Object} Normalized options
+   */
+  normalizeOptions(rules, options = {}) {
+    const world = rules.world || {};
+    const clamp = (value, min, max, fallback) => {
+      const n = Number(value);
+      if (!Number.isFinite(n)) return fallback;
+      return Math.max(min, Math.min(max, Math.round(n)));
+    };
+
+    return {
+      width: clamp(
+        options.width,
+        world.minWidth || 320,
+        world.maxWidth || 1920,
+        world.width || 800
+      ),
+      height: clamp(
+        options.height,
+        world.minHeight || 240,
+        world.maxHeight || 1080,
+        world.height || 600
+      ),
+    };
+  },
+
+  /**
+   * Create a live simulation session
+   * @param {string} gameId - Game ID
+   * @param {number} seed - uint32 seed
+   * @param {Object} options - { width, height }
+   * @returns {Object} Session with input(), step(), advance(), isOver()
+   */
+  createSession(gameId, seed, options = {}) {
+    const rules = this.get(gameId);
+    if (!rules) {
+      throw new Error(`GameSim: no rules registered for ${gameId}`);
+    }
+
+    const core = this;
+    const normalized = this.normalizeOptions(rules, options);
+    const rng = this.createRng(seed >>> 0);
+
+    return {
+      gameId,
+      seed: seed >>> 0,
+      options: normalized,
+      rulesVersion: rules.version || 1,
+      tick: 0,
+      accumulator: 0,
+      state: rules.init(rng, normalized),
+      actions: [],
+      pending: [],
+
+      /**
+       * Queue a player action for the next tick and record it
+       * @param {string} type - Action name (must be in rules.actions)
+       * @param {Object} [data] - Action payload
+       * @returns {boolean} True if accepted
+       */
+      input(type, data) {
+        if (this.state.gameOver) return false;
+        if (!rules.actions.includes(type)) return false;
+
+        // Continuous inputs (pointer/move) keep only the last value per tick
+        const last = this.pending[this.pending.length - 1];
+        if (last && last.a === type && (rules.coalesce || []).includes(type)) {
+          if (data !== undefined) last.d = data;
+          return true;
+        }
+        if (this.actions.length >= core.MAX_ACTIONS) return false;
+
+        const action = { f: this.tick, a: type };
+        if (data !== undefined) action.d = data;
+        this.actions.push(action);
+        this.pending.push(action);
+        return true;
+      },
+
+      /**
+       * Run a single fixed tick
+       * @returns {Object[]} Events emitted by the rules
+       */
+      step() {
+        const events = [];
+        if (this.state.gameOver) return events;
+
+        for (const action of this.pending) {
+          const out = rules.input(this.state, action.a, action.d || {}, rng);
+          if (out) events.push(...out);
+        }
+        this.pending.length = 0;
+
+        if (!this.state.gameOver) {
+          const out = rules.step(this.state, rng);
+          if (out) events.push(...out);
+        }
+        this.tick++;
+
+        if (rules.maxTicks && this.tick >= rules.maxTicks && !this.state.gameOver) {
+          this.state.gameOver = true;
+          events.push({ type: 'gameover', reason: 'timeout' });
+        }
+        return events;
+      },
+
+      /**
+       * Advance by wall-clock milliseconds using a fixed-step accumulator
+       * @param {number} ms - Elapsed milliseconds since last call
+       * @returns {Object[]} Events emitted during the advanced ticks
+       */
+      advance(ms) {
+        const events = [];
+        let ticks = 0;
+        this.accumulator += Math.max(0, ms);
+        while (
+          this.accumulator >= core.TICK_MS &&
+          ticks < core.MAX_CATCHUP_TICKS &&
+          !this.state.gameOver
+        ) {
+          this.accumulator -= core.TICK_MS;
+          events.push(...this.step());
+          ticks++;
+        }
+        // Drop the backlog after a stall instead of fast-forwarding later
+        if (ticks === core.MAX_CATCHUP_TICKS) {
+          this.accumulator = Math.min(this.accumulator, core.TICK_MS);
+        }
+        return events;
+      },
+
+      /**
+       * @returns {boolean} True once the rules ended the game
+       */
+      isOver() {
+        return !!this.state.gameOver;
+      },
+
+      /**
+       * Serializable replay payload for /api/game/submit
+       * @returns {Object}
+       */
+      toReplay() {
+        return {
+          seed: this.seed,
+          rulesVersion: this.rulesVersion,
+          options: this.options,
+          ticks: this.tick,
+          actions: this.actions.slice(),
+        };
+      },
+    };
+  },
+
+  /**
+   * Re-run a recorded action stream from scratch
+   * Actions are applied on their recorded frame; anything out of order,
+   * unknown, or scheduled after the game ended is rejected.
+   * @param {string} gameId - Game ID
+   * @param {number} seed - uint32 seed
+   * @param {Object[]} actions - [{ f, a, d }]
+   * @param {Object} options - { width, height, maxTicks }
+   * @returns {Object} { valid, score, ticks, gameOver, error? }
+   */
+  replay(gameId, seed, actions, options = {}) {
+    const rules = this.get(gameId);
+    if (!rules) {
+      return { valid: false, error: 'unknown_game', score: 0, ticks: 0, gameOver: false };
+    }
+    if (!Array.isArray(actions) || actions.length > this.MAX_ACTIONS) {
+      return { valid: false, error: 'invalid_actions', score: 0, ticks: 0, gameOver: false };
+    }
+
+    const session = this.createSession(gameId, seed, options);
+    const maxTicks = Math.min(options.maxTicks || Infinity, rules.maxTicks || Infinity);
+    const tickLimit = Number.isFinite(maxTicks) ? maxTicks : 60 * 60 * 60; // 1h hard stop
+    let lastFrame = 0;
+
+    for (let i = 0; i < actions.length; i++) {
+      const action = actions[i];
+      const frame = action && action.f;
+
+      if (!Number.isInteger(frame) || frame < lastFrame || frame > tickLimit) {
+        return this.replayResult(session, false, `bad_frame_at_${i}`);
+      }
+      if (!rules.actions.includes(action.a)) {
+        return this.replayResult(session, false, `bad_action_at_${i}`);
+      }
+
+      while (session.tick < frame && !session.isOver()) {
+        session.step();
+      }
+      if (session.isOver()) {
+        return this.replayResult(session, false, `action_after_end_at_${i}`);
+      }
+
+      session.input(action.a, action.d && typeof action.d === 'object' ? action.d : undefined);
+      lastFrame = frame;
+    }
+
+    while (!session.isOver() && session.tick < tickLimit) {
+      session.step();
+    }
+
+    return this.replayResult(session, true);
+  },
+
+  /**
+   * @private
+   */
+  replayResult(session, valid, error) {
+    const result = {
+      valid,
+      score: session.state.score,
+      ticks: session.tick,
+      gameOver: session.isOver(),
+    };
+    if (error) result.error = error;
+    return result;
+  },
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameSim;
+}
+if (typeof window !== 'undefined') {
+  window.GameSim = GameSim;
+}
@@ -0,0 +1,507 @@
+/**
+ * ASDF Games - Scam Blaster Rules (deterministic)
+ *
+ * Shooter: pick a mode, then shoot scam tokens before they hit the wallet
+ * (fall) or vanish (pop). Boss every 5th wave, weapon power-ups and a
+ * Fibonacci combo multiplier. Three lives, game over at zero.
+ *
+ * DOM-free: driven by sim/core.js in the browser engine and the API validator
+ */
+
+'use strict';
+
+const ScamBlasterSim = {
+  id: 'scamblaster',
+  version: 1,
+  actions: ['mode', 'aim', 'shoot'],
+  coalesce: ['aim'],
+  maxTicks: 60 * 60 * 34, // 34 minutes hard stop
+  world: {
+    width: 800,
+    height: 600,
+    minWidth: 320,
+    maxWidth: 2560,
+    minHeight: 240,
+    maxHeight: 1440,
+  },
+
+  modes: ['fall', 'pop'],
+  countdownTicks: 60,
+  comboFib: [1, 1, 2, 3, 5, 8, 13],
+  maxComboTime: 89, // fib[10] ticks to maintain combo
+
+  // Enemy rules; sprites live in the engine (same order)
+  enemyTypes: [
+    { points: 8, speed: 1, size: 34 }, // fib[5], fib[8]
+    { points: 13, speed: 1.2, size: 40 }, // fib[6]
+    { points: 21, speed: 1.4, size: 45 }, // fib[7]
+    { points: 34, speed: 1.6, size: 34 }, // fib[8]
+    { points: 55, speed: 1.3, size: 55 }, // fib[9]
+    { points: 89, speed: 0.8, size: 50, shield: true, hp: 2 },
+    { points: 34, speed: 1.1, size: 45, splitter: true },
+  ],
+
+  // Halves spawned by a splitter
+  splitEnemy: { points: 8, speed: 1.5, size: 24 },
+
+  bossTypes: [
+    { points: 233, size: 80, hp: 5 },
+    { points: 377, size: 90, hp: 8 },
+    { points: 610, size: 100, hp: 13 },
+  ],
+
+  // Drop chances are rolled in order, at most one drop per kill
+  powerUpTypes: [
+    { effect: 'life', chance: 0.05 },
+    { effect: 'spread', chance: 0.08, duration: 300 },
+    { effect: 'pierce', chance: 0.08, duration: 300 },
+    { effect: 'slow', chance: 0.06, duration: 200 },
+    { effect: 'score', chance: 0.1 },
+  ],
+
+  // Spread fan at +/- PI/8 and PI/4, radius 40 (precomputed, no trig at runtime)
+  spreadOffsets: [
+    { x: 36.95518130045147, y: 15.307337294603592 },
+    { x: 36.95518130045147, y: -15.307337294603592 },
+    { x: 28.284271247461902, y: 28.284271247461902 },
+    { x: 28.284271247461902, y: -28.284271247461902 },
+  ],
+
+  /**
+   * Build the initial state
+   * @param {Object} rng - Seeded rng
+   * @param {Object} options - { width, height }
+   * @returns {Object} State
+   */
+  init(rng, options) {
+    return {
+      width: options.width,
+      height: options.height,
+      walletY: options.height - 90,
+      phase: 'select',
+      gameMode: null,
+      countdown: 3,
+      countdownTimer: 0,
+      frame: 0,
+      score: 0,
+      lives: 3,
+      wave: 1,
+      gameOver: false,
+      crosshair: { x: 0, y: 0 },
+      enemies: [],
+      powerUps: [],
+      spawnTimer: 0,
+      spawnRate: 89, // fib[10]
+      baseSpeed: 1.618, // PHI
+      enemySpeed: 1.618,
+      boss: null,
+      bossPhase: false,
+      bossDefeated: 0,
+      activeEffects: {
+        spread: { active: false, endFrame: 0 },
+        pierce: { active: false, endFrame: 0 },
+        slow: { active: false, endFrame: 0 },
+      },
+      combo: 0,
+      lastKillFrame: 0,
+    };
+  },
+
+  /**
+   * Read a finite { x, y } pair from action data
+   * @returns {Object|null}
+   */
+  readPoint(data) {
+    const x = Number(data.x);
+    const y = Number(data.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    return { x, y };
+  },
+
+  /**
+   * Apply a player action
+   * @returns {Object[]} Events
+   */
+  input(state, action, data, rng) {
+    switch (action) {
+      case 'mode':
+        if (state.phase !== 'select' || !this.modes.includes(data.mode)) return null;
+        state.gameMode = data.mode;
+        state.phase = 'countdown';
+        return [{ type: 'mode', mode: data.mode, countdown: state.countdown }];
+
+      case 'aim': {
+        const point = this.readPoint(data);
+        if (!point) return null;
+        state.crosshair = point;
+        return null;
+      }
+
+      case 'shoot': {
+        const point = this.readPoint(data);
+        if (!point) return null;
+        state.crosshair = point;
+        if (state.phase !== 'playing') return null;
+        return this.shoot(state, point, rng);
+      }
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * @param {number} combo - Current combo
+   * @returns {number} Fibonacci multiplier
+   */
+  getComboMultiplier(combo) {
+    return this.comboFib[Math.min(combo, this.comboFib.length - 1)];
+  },
+
+  /**
+   * Resolve a shot at a point (spread adds a fan of extra hit points)
+   */
+  shoot(state, point, rng) {
+    const events = [];
+    const effects = state.activeEffects;
+    const hasPierce = effects.pierce.active;
+    const hasSlow = effects.slow.active;
+
+    const hitPoints = [point];
+    if (effects.spread.active) {
+      for (const offset of this.spreadOffsets) {
+        hitPoints.push({ x: point.x + offset.x, y: point.y + offset.y });
+      }
+    }
+
+    let totalHits = 0;
+
+    // Boss first
+    const boss = state.boss;
+    if (boss) {
+      for (const p of hitPoints) {
+        const dx = p.x - boss.x;
+        const dy = p.y - boss.y;
+        if (Math.sqrt(dx * dx + dy * dy) >= boss.size) continue;
+
+        boss.hp--;
+        totalHits++;
+        events.push({ type: 'boss_hit', hp: boss.hp, maxHp: boss.maxHp, x: boss.x, y: boss.y });
+
+        if (boss.hp <= 0) {
+          const points = boss.points * this.getComboMultiplier(state.combo);
+          state.score += points;
+          state.bossDefeated++;
+          state.boss = null;
+          state.bossPhase = false;
+          events.push({ type: 'boss_kill', points, x: boss.x, y: boss.y });
+          break;
+        }
+        if (!hasPierce) break;
+      }
+    }
+
+    const spawned = [];
+    state.enemies = state.enemies.filter(enemy => {
+      for (const p of hitPoints) {
+        const dx = p.x - enemy.x;
+        const dy = p.y - enemy.y;
+        if (Math.sqrt(dx * dx + dy * dy) >= enemy.size) continue;
+
+        if (hasSlow && !enemy.slowed) {
+          enemy.slowed = true;
+          enemy.vy *= 0.5;
+          if (enemy.lifespan) enemy.lifespan *= 1.5;
+        }
+
+        enemy.hp--;
+        totalHits++;
+
+        if (enemy.hp <= 0) {
+          const points = enemy.points * this.getComboMultiplier(state.combo);
+          state.score += points;
+          events.push({ type: 'kill', points, x: enemy.x, y: enemy.y });
+
+          if (enemy.splitter) spawned.push(...this.splitEnemies(state, enemy.x, enemy.y));
+          this.maybeDropPowerUp(state, enemy.x, enemy.y, rng);
+
+          state.combo++;
+          state.lastKillFrame = state.frame;
+          events.push({
+            type: 'combo',
+            combo: state.combo,
+            multiplier: this.getComboMultiplier(state.combo),
+          });
+          return false;
+        }
+
+        events.push({ type: 'damage', x: enemy.x, y: enemy.y });
+        if (!hasPierce) return true;
+      }
+      return true;
+    });
+    state.enemies.push(...spawned);
+
+    if (totalHits === 0) {
+      events.push({ type: 'whiff', x: point.x, y: point.y });
+    }
+    return events;
+  },
+
+  /**
+   * Two small enemies left behind by a splitter
+   */
+  splitEnemies(state, x, y) {
+    const halves = [];
+    for (let i = 0; i < 2; i++) {
+      const half = {
+        typeIndex: -1,
+        points: this.splitEnemy.points,
+        size: this.splitEnemy.size,
+        hp: 1,
+        maxHp: 1,
+        x: x + (i === 0 ? -20 : 20),
+        y,
+        vy: state.gameMode === 'fall' ? 2 : 0,
+      };
+      if (state.gameMode === 'pop') {
+        half.lifespan = 60;
+        half.maxLife = 60;
+      }
+      halves.push(half);
+    }
+    return halves;
+  },
+
+  maybeDropPowerUp(state, x, y, rng) {
+    for (let i = 0; i < this.powerUpTypes.length; i++) {
+      if (rng.chance(this.powerUpTypes[i].chance)) {
+        state.powerUps.push({ typeIndex: i, x, y, vy: 1, life: 300 });
+        return;
+      }
+    }
+  },
+
+  /**
+   * Apply a collected power-up
+   * @returns {number} Points awarded
+   */
+  collectPowerUp(state, powerUp) {
+    const type = this.powerUpTypes[powerUp.typeIndex];
+    switch (type.effect) {
+      case 'life':
+        state.lives = Math.min(state.lives + 1, 5);
+        return 0;
+      case 'spread':
+      case 'pierce':
+      case 'slow':
+        state.activeEffects[type.effect] = { active: true, endFrame: state.frame + type.duration };
+        return 0;
+      case 'score': {
+        const points = 50 * this.getComboMultiplier(state.combo);
+        state.score += points;
+        return points;
+      }
+      default:
+        return 0;
+    }
+  },
+
+  /**
+   * Advance one tick
+   * @returns {Object[]} Events
+   */
+  step(state, rng) {
+    if (state.phase === 'select') return null;
+    if (state.phase === 'countdown') return this.stepCountdown(state);
+
+    const events = [];
+    state.frame++;
+    state.enemySpeed = state.baseSpeed + state.wave * 0.4 + state.frame * 0.00003;
+
+    if (state.combo > 0 && state.frame - state.lastKillFrame > this.maxComboTime) {
+      state.combo = 0;
+      events.push({ type: 'combo_reset' });
+    }
+
+    for (const name of Object.keys(state.activeEffects)) {
+      const effect = state.activeEffects[name];
+      if (effect.active && state.frame > effect.endFrame) {
+        effect.active = false;
+        events.push({ type: 'effect_end', effect: name });
+      }
+    }
+
+    // Boss wave: every 5th wave once the field is clear
+    if (state.wave % 5 === 0 && !state.bossPhase && !state.boss && state.enemies.length === 0) {
+      this.spawnBoss(state, events);
+    }
+    if (state.boss) this.moveBoss(state);
+
+    if (!state.bossPhase) {
+      state.spawnTimer++;
+      const spawnRate = Math.max(25, state.spawnRate - state.wave * 8 - state.frame * 0.01);
+      if (state.spawnTimer >= spawnRate) {
+        this.spawnEnemy(state, rng);
+        state.spawnTimer = 0;
+      }
+    }
+
+    this.updateEnemies(state, events);
+    if (state.gameOver) return events;
+
+    if (state.score >= state.wave * 300) {
+      state.wave++;
+      state.baseSpeed += 0.3;
+      events.push({ type: 'wave', wave: state.wave });
+    }
+
+    this.updatePowerUps(state, events);
+    return events;
+  },
+
+  /**
+   * 3-2-1 countdown after mode selection
+   */
+  stepCountdown(state) {
+    state.countdownTimer++;
+    if (state.countdownTimer < this.countdownTicks) return null;
+
+    state.countdownTimer = 0;
+    state.countdown--;
+    if (state.countdown > 0) return [{ type: 'countdown', value: state.countdown }];
+
+    state.phase = 'playing';
+    return [{ type: 'start' }];
+  },
+
+  spawnEnemy(state, rng) {
+    const maxEnemies = 13 + state.wave * 2;
+    if (state.enemies.length >= maxEnemies) return;
+
+    // Higher waves unlock harder enemies
+    const maxTypeIndex = Math.min(state.wave + 2, this.enemyTypes.length - 1);
+    const typeIndex = rng.int(maxTypeIndex + 1);
+    const type = this.enemyTypes[typeIndex];
+
+    const enemy = {
+      typeIndex,
+      points: type.points,
+      size: type.size,
+      hp: type.hp || 1,
+      maxHp: type.hp || 1,
+      splitter: !!type.splitter,
+    };
+
+    if (state.gameMode === 'fall') {
+      enemy.x = rng.next() * (state.width - 80) + 40;
+      enemy.y = -50;
+      enemy.vy = type.speed * state.enemySpeed;
+    } else {
+      enemy.x = 60 + rng.next() * (state.width - 120);
+      enemy.y = 60 + rng.next() * (state.height - 180);
+      enemy.vy = 0;
+      enemy.lifespan = 90 + rng.next() * 60;
+      enemy.maxLife = enemy.lifespan;
+    }
+    state.enemies.push(enemy);
+  },
+
+  spawnBoss(state, events) {
+    const bossIndex = Math.min(Math.floor(state.wave / 5) - 1, this.bossTypes.length - 1);
+    const type = this.bossTypes[bossIndex];
+
+    state.boss = {
+      bossIndex,
+      points: type.points,
+      size: type.size,
+      hp: type.hp,
+      maxHp: type.hp,
+      x: state.width / 2,
+      y: state.gameMode === 'fall' ? -80 : state.height / 3,
+      turn: 0,
+      sway: 0.25, // cos = sin shifted a quarter turn
+    };
+    state.bossPhase = true;
+    events.push({ type: 'boss', bossIndex });
+  },
+
+  /**
+   * Parabolic sine approximation over one cycle (phase in [0, 1))
+   */
+  oscillate(phase) {
+    return phase < 0.5 ? 16 * phase * (0.5 - phase) : -16 * (phase - 0.5) * (1 - phase);
+  },
+
+  moveBoss(state) {
+    const boss = state.boss;
+    boss.turn = (boss.turn + 0.0032) % 1; // ~0.02 rad per tick
+    boss.sway = (boss.sway + 0.00224) % 1; // 0.7x
+
+    if (state.gameMode === 'fall') {
+      if (boss.y < 100) boss.y += 0.5;
+      boss.x = state.width / 2 + this.oscillate(boss.turn) * 100;
+    } else {
+      boss.x = state.width / 2 + this.oscillate(boss.turn) * 80;
+      boss.y = state.height / 3 + this.oscillate(boss.sway) * 50;
+    }
+  },
+
+  updateEnemies(state, events) {
+    state.enemies = state.enemies.filter(enemy => {
+      if (state.gameMode === 'fall') {
+        enemy.y += enemy.vy * state.enemySpeed;
+        if (enemy.y <= state.walletY) return true;
+      } else {
+        enemy.lifespan -= state.enemySpeed * 0.5;
+        if (enemy.lifespan > 0) return true;
+      }
+
+      state.lives--;
+      events.push({ type: 'leak', lives: Math.max(0, state.lives), x: enemy.x, y: enemy.y });
+
+      if (state.lives <= 0 && !state.gameOver) {
+        state.gameOver = true;
+        events.push({ type: 'gameover', reason: 'lives' });
+      }
+      return false;
+    });
+  },
+
+  /**
+   * Power-ups drift down and are collected by hovering the crosshair
+   */
+  updatePowerUps(state, events) {
+    const crosshair = state.crosshair;
+    state.powerUps = state.powerUps.filter(powerUp => {
+      powerUp.y += powerUp.vy;
+      powerUp.life--;
+
+      const dx = crosshair.x - powerUp.x;
+      const dy = crosshair.y - powerUp.y;
+      if (Math.sqrt(dx * dx + dy * dy) < 40) {
+        const points = this.collectPowerUp(state, powerUp);
+        events.push({
+          type: 'powerup',
+          typeIndex: powerUp.typeIndex,
+          lives: state.lives,
+          points,
+          x: powerUp.x,
+          y: powerUp.y,
+        });
+        return false;
+      }
+
+      return powerUp.life > 0 && powerUp.y < state.height;
+    });
+  },
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScamBlasterSim;
+}
+if (typeof window !== 'undefined') {
+  window.ScamBlasterSim = ScamBlasterSim;
+  if (window.GameSim) window.GameSim.register(ScamBlasterSim);
+}
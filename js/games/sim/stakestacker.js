@@ -0,0 +1,242 @@
+/**
+ * ASDF Games - StakeStacker Rules (deterministic)
+ *
+ * Block stacking: drop the sliding block onto the tower, overlap is kept,
+ * perfect drops (offset < 3px) keep full width and build a Fibonacci streak.
+ * Wind pushes the sliding block from level 5.
+ *
+ * DOM-free: driven by sim/core.js in the browser engine and the API validator
+ */
+
+'use strict';
+
+const StakeStackerSim = {
+  id: 'stakestacker',
+  version: 1,
+  actions: ['drop'],
+  maxTicks: 60 * 60 * 13, // 13 minutes hard stop
+  world: {
+    width: 800,
+    height: 600,
+    minWidth: 320,
+    maxWidth: 2560,
+    minHeight: 240,
+    maxHeight: 1440,
+  },
+
+  baseWidth: 233, // fib[11]
+  blockHeight: 34, // fib[8]
+  blockGap: 5,
+  blockPatterns: ['solid', 'gradient', 'striped', 'glow'],
+  streakBonus: [1, 1, 2, 3, 5, 8, 13],
+
+  /**
+   * Build the initial state
+   * @param {Object} rng - Seeded rng
+   * @param {Object} options - { width, height }
+   * @returns {Object} State
+   */
+  init(rng, options) {
+    const state = {
+      width: options.width,
+      height: options.height,
+      score: 0,
+      level: 0,
+      gameOver: false,
+      blocks: [],
+      currentBlock: null,
+      direction: 1,
+      speed: 5, // fib[4]
+      perfectStreak: 0,
+      cameraOffset: 0,
+      lastDropOffset: 0,
+      wind: {
+        strength: 0,
+        direction: 1,
+        changeTimer: 0,
+        gustTimer: 0,
+        gustStrength: 0,
+      },
+    };
+
+    state.blocks.push({
+      x: (state.width - this.baseWidth) / 2,
+      y: state.height - 60,
+      width: this.baseWidth,
+      height: this.blockHeight,
+      level: 0,
+      pattern: 'solid',
+      perfect: false,
+    });
+
+    this.spawnBlock(state);
+    return state;
+  },
+
+  /**
+   * Spawn the next sliding block above the tower
+   * @param {Object} state - State
+   */
+  spawnBlock(state) {
+    const lastBlock = state.blocks[state.blocks.length - 1];
+    state.level++;
+
+    state.currentBlock = {
+      x: 0,
+      y: lastBlock.y - this.blockHeight - this.blockGap,
+      width: lastBlock.width,
+      height: this.blockHeight,
+      level: state.level,
+      pattern:
+        state.perfectStreak >= 3
+          ? 'glow'
+          : this.blockPatterns[state.level % this.blockPatterns.length],
+      perfect: false,
+    };
+
+    state.direction = 1;
+    state.speed = Math.min(12, 5 + state.level * 0.5);
+
+    // From the 7th block, scroll camera up
+    if (state.level >= 7) {
+      state.cameraOffset = (state.level - 6) * (this.blockHeight + this.blockGap);
+    }
+  },
+
+  /**
+   * Apply a player action
+   * @returns {Object[]} Events
+   */
+  input(state, action) {
+    if (action !== 'drop' || !state.currentBlock) return [];
+
+    const current = state.currentBlock;
+    const last = state.blocks[state.blocks.length - 1];
+
+    const overlapStart = Math.max(current.x, last.x);
+    const overlapEnd = Math.min(current.x + current.width, last.x + last.width);
+    const overlapWidth = overlapEnd - overlapStart;
+    const offset = Math.abs(current.x - last.x);
+    const side = current.x < last.x ? 1 : -1;
+
+    state.lastDropOffset = offset;
+
+    if (overlapWidth <= 0) {
+      state.gameOver = true;
+      return [
+        { type: 'miss', offset, side },
+        { type: 'gameover', reason: 'miss' },
+      ];
+    }
+
+    const events = [];
+    let result;
+    let points;
+
+    if (offset < 3) {
+      state.perfectStreak++;
+      points = 50 + this.streakBonus[Math.min(state.perfectStreak, 6)] * 10;
+      current.x = last.x;
+      current.width = last.width;
+      current.perfect = true;
+      result = 'perfect';
+    } else {
+      state.perfectStreak = 0;
+      points = Math.floor(overlapWidth / 2);
+      current.x = overlapStart;
+      current.width = overlapWidth;
+      current.perfect = false;
+      result = offset < 10 ? 'great' : offset < 20 ? 'good' : 'partial';
+    }
+
+    state.score += points;
+    state.blocks.push({ ...current });
+    events.push({
+      type: 'drop',
+      result,
+      points,
+      offset,
+      side,
+      overlap: overlapWidth,
+      streak: state.perfectStreak,
+      x: current.x + current.width / 2,
+      y: current.y,
+    });
+
+    if (current.width < 10) {
+      state.gameOver = true;
+      events.push({ type: 'gameover', reason: 'too_small' });
+      return events;
+    }
+
+    this.spawnBlock(state);
+    events.push({ type: 'spawn', level: state.level });
+    return events;
+  },
+
+  /**
+   * Advance one tick
+   * @returns {Object[]} Events
+   */
+  step(state, rng) {
+    if (!state.currentBlock) return [];
+
+    this.updateWind(state, rng);
+
+    const block = state.currentBlock;
+    block.x += state.speed * state.direction + state.wind.strength * 0.3;
+
+    // Bounce off edges
+    if (block.x + block.width > state.width) {
+      state.direction = -1;
+      block.x = state.width - block.width;
+    } else if (block.x < 0) {
+      state.direction = 1;
+      block.x = 0;
+    }
+    return null;
+  },
+
+  /**
+   * Wind: starts at level 5, strength grows until level 15, random gusts
+   * @param {Object} state - State
+   * @param {Object} rng - Seeded rng
+   */
+  updateWind(state, rng) {
+    const wind = state.wind;
+
+    if (state.level < 5) {
+      wind.strength = 0;
+      return;
+    }
+
+    const heightFactor = Math.min((state.level - 5) / 10, 1);
+    const baseStrength = heightFactor * 2;
+
+    // Change direction every 3 seconds
+    wind.changeTimer++;
+    if (wind.changeTimer > 180) {
+      wind.changeTimer = 0;
+      wind.direction = rng.next() > 0.5 ? 1 : -1;
+    }
+
+    // Random gusts
+    wind.gustTimer++;
+    if (wind.gustTimer > 60 && rng.chance(0.02)) {
+      wind.gustStrength = rng.next() * 1.5 * heightFactor;
+      wind.gustTimer = 0;
+    }
+    wind.gustStrength *= 0.95;
+
+    wind.strength = (baseStrength + wind.gustStrength) * wind.direction;
+  },
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StakeStackerSim;
+}
+if (typeof window !== 'undefined') {
+  window.StakeStackerSim = StakeStackerSim;
+  if (window.GameSim) window.GameSim.register(StakeStackerSim);
+}
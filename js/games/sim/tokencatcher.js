@@ -0,0 +1,484 @@
+/**
+ * ASDF Games - Token Catcher Rules (deterministic)
+ *
+ * Catch falling tokens in a 3-lane basket, shoot scams/skulls/enemies,
+ * Fibonacci combo multipliers and power-ups. 34 second rounds.
+ *
+ * DOM-free: driven by sim/core.js in the browser engine and the API validator
+ */
+
+'use strict';
+
+const TokenCatcherSim = {
+  id: 'tokencatcher',
+  version: 1,
+  actions: ['move', 'lane', 'shoot', 'point'],
+  coalesce: ['move', 'point'],
+  maxTicks: 60 * 40, // 34s round + margin
+  world: {
+    width: 800,
+    height: 600,
+    minWidth: 320,
+    maxWidth: 2560,
+    minHeight: 240,
+    maxHeight: 1440,
+  },
+
+  // Timings in ticks @ 60 Hz (engine used setInterval in ms)
+  roundSeconds: 34, // fib[8]
+  spawnEvery: 30, // 500ms
+  enemySpawnEvery: 180, // 3000ms
+  shootCooldown: 14, // 233ms (fib[11])
+  comboTimeout: 78, // 1300ms
+
+  goodVariants: 5,
+  scamVariants: 3,
+
+  // Power-up durations in ticks (Fibonacci)
+  powerUps: {
+    magnet: 233,
+    slowmo: 144,
+    double: 377,
+    shield: 233,
+  },
+
+  enemyTypes: [
+    { hp: 3, points: 50, speed: 1.5 },
+    { hp: 3, points: 40, speed: 1.8 },
+    { hp: 3, points: 60, speed: 1.2 },
+  ],
+
+  /**
+   * Build the initial state
+   * @param {Object} rng - Seeded rng
+   * @param {Object} options - { width, height }
+   * @returns {Object} State
+   */
+  init(rng, options) {
+    const laneHeight = 50;
+    const bottomMargin = 40;
+
+    return {
+      width: options.width,
+      height: options.height,
+      frame: 0,
+      score: 0,
+      timeLeft: this.roundSeconds,
+      gameOver: false,
+      basketPos: options.width / 2,
+      basketLane: 1,
+      moveDir: 0,
+      moveSpeed: 5, // fib[4]
+      moveAccel: 0,
+      maxAccel: 13, // fib[6]
+      basketWidth: 89, // fib[10]
+      basketHeight: 55, // fib[9]
+      laneHeight,
+      lanePositions: [
+        options.height - bottomMargin - laneHeight * 2.5,
+        options.height - bottomMargin - laneHeight * 1.5,
+        options.height - bottomMargin - laneHeight * 0.5,
+      ],
+      lastShotFrame: -this.shootCooldown,
+      tokens: [],
+      projectiles: [],
+      enemies: [],
+      powerUpTokens: [],
+      activePowerUps: { magnet: 0, slowmo: 0, double: 0, shield: 0 },
+      combo: 0,
+      comboTimer: 0,
+      maxCombo: 0,
+      difficultyLevel: 0,
+      tokenSpeedBase: 3,
+      tokenSpeedVariance: 2,
+    };
+  },
+
+  /**
+   * Apply a player action
+   * @returns {Object[]} Events
+   */
+  input(state, action, data) {
+    switch (action) {
+      case 'move': {
+        const dir = Number(data.dir);
+        state.moveDir = dir > 0 ? 1 : dir < 0 ? -1 : 0;
+        return null;
+      }
+      case 'lane': {
+        const lane = Number(data.lane);
+        if (Number.isInteger(lane) && lane >= 0 && lane <= 2) {
+          state.basketLane = lane;
+        }
+        return null;
+      }
+      case 'point': {
+        const x = Number(data.x);
+        if (Number.isFinite(x)) state.basketPos = this.clampBasket(state, x);
+        return null;
+      }
+      case 'shoot':
+        return this.shoot(state, Number(data.x), Number(data.y));
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Fire a projectile from the basket toward a target point
+   * @returns {Object[]} Events
+   */
+  shoot(state, targetX, targetY) {
+    if (!Number.isFinite(targetX) || !Number.isFinite(targetY)) return null;
+    if (state.frame - state.lastShotFrame < this.shootCooldown) return null;
+    state.lastShotFrame = state.frame;
+
+    const startX = state.basketPos;
+    const startY = state.lanePositions[state.basketLane] - 30;
+    const dx = targetX - startX;
+    const dy = targetY - startY;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    const speed = 20;
+    state.projectiles.push({
+      x: startX,
+      y: startY,
+      vx: dist > 0 ? (dx / dist) * speed : 0,
+      vy: dist > 0 ? (dy / dist) * speed : -speed,
+    });
+    return [{ type: 'shot', x: startX, y: startY }];
+  },
+
+  /**
+   * Advance one tick
+   * @returns {Object[]} Events
+   */
+  step(state, rng) {
+    const events = [];
+    state.frame++;
+
+    // Combo decay
+    if (state.comboTimer > 0) {
+      state.comboTimer--;
+      if (state.comboTimer <= 0) this.resetCombo(state, events);
+    }
+
+    // Power-up timers
+    for (const type in state.activePowerUps) {
+      if (state.activePowerUps[type] > 0) state.activePowerUps[type]--;
+    }
+
+    const speedMod = state.activePowerUps.slowmo > 0 ? 0.4 : 1.0;
+
+    this.moveBasket(state);
+    this.updatePowerUpTokens(state, speedMod, events);
+    this.updateProjectiles(state, events);
+    this.updateTokens(state, speedMod, events);
+    if (state.gameOver) return events;
+    this.updateEnemies(state, events);
+
+    // Spawning and round timer (formerly setInterval)
+    if (state.frame % this.spawnEvery === 0) {
+      this.spawnToken(state, rng);
+      this.spawnPowerUp(state, rng);
+    }
+    if (state.frame % this.enemySpawnEvery === 0 && rng.chance(0.6)) {
+      this.spawnEnemy(state, rng);
+    }
+    if (state.frame % 60 === 0) {
+      state.timeLeft--;
+      this.updateDifficulty(state);
+      events.push({ type: 'timer', timeLeft: state.timeLeft });
+      if (state.timeLeft <= 0) {
+        state.gameOver = true;
+        events.push({ type: 'gameover', reason: 'time' });
+      }
+    }
+
+    return events;
+  },
+
+  clampBasket(state, x) {
+    return Math.max(state.basketWidth / 2, Math.min(state.width - state.basketWidth / 2, x));
+  },
+
+  moveBasket(state) {
+    if (state.moveDir !== 0) {
+      state.moveAccel = Math.min(state.moveAccel + 0.6, state.maxAccel);
+      state.basketPos = this.clampBasket(
+        state,
+        state.basketPos + (state.moveSpeed + state.moveAccel) * state.moveDir
+      );
+    } else {
+      state.moveAccel = Math.max(0, state.moveAccel - 1.5);
+    }
+  },
+
+  /**
+   * Check if an object overlaps the basket
+   * @param {number} halfHeight - Half height of the falling object
+   */
+  hitsBasket(state, obj, halfHeight) {
+    const basketX = state.basketPos;
+    const basketY = state.lanePositions[state.basketLane];
+    return (
+      obj.y + halfHeight >= basketY - state.basketHeight / 2 &&
+      obj.y - halfHeight <= basketY + state.basketHeight / 2 &&
+      obj.x >= basketX - state.basketWidth / 2 &&
+      obj.x <= basketX + state.basketWidth / 2
+    );
+  },
+
+  updatePowerUpTokens(state, speedMod, events) {
+    state.powerUpTokens = state.powerUpTokens.filter(pu => {
+      pu.y += pu.speed * speedMod;
+
+      if (this.hitsBasket(state, pu, 15)) {
+        state.activePowerUps[pu.type] = this.powerUps[pu.type];
+        events.push({ type: 'powerup', powerUp: pu.type, x: pu.x, y: pu.y });
+        return false;
+      }
+      return pu.y < state.height + 30;
+    });
+  },
+
+  /**
+   * Swept hit test: previous, mid and current projectile positions
+   */
+  sweptHit(prevX, prevY, proj, target, radius) {
+    const points = [
+      [prevX, prevY],
+      [(prevX + proj.x) / 2, (prevY + proj.y) / 2],
+      [proj.x, proj.y],
+    ];
+    for (const [x, y] of points) {
+      const dx = x - target.x;
+      const dy = y - target.y;
+      if (Math.sqrt(dx * dx + dy * dy) < radius) return true;
+    }
+    return false;
+  },
+
+  updateProjectiles(state, events) {
+    state.projectiles = state.projectiles.filter(proj => {
+      const prevX = proj.x;
+      const prevY = proj.y;
+      proj.x += proj.vx;
+      proj.y += proj.vy;
+
+      for (let i = state.tokens.length - 1; i >= 0; i--) {
+        const token = state.tokens[i];
+        if (!this.sweptHit(prevX, prevY, proj, token, 30)) continue;
+
+        state.tokens.splice(i, 1);
+        const points = token.kind === 'skull' ? 25 : token.kind === 'scam' ? 15 : 5;
+        state.score += points;
+        events.push({ type: 'shoot_token', kind: token.kind, points, x: token.x, y: token.y });
+        return false;
+      }
+
+      for (let i = state.enemies.length - 1; i >= 0; i--) {
+        const enemy = state.enemies[i];
+        if (!this.sweptHit(prevX, prevY, proj, enemy, 35)) continue;
+
+        enemy.currentHp--;
+        if (enemy.currentHp <= 0) {
+          state.enemies.splice(i, 1);
+          state.score += enemy.points;
+          events.push({ type: 'enemy_kill', points: enemy.points, x: enemy.x, y: enemy.y });
+        } else {
+          events.push({ type: 'enemy_hit', hp: enemy.currentHp, x: enemy.x, y: enemy.y });
+        }
+        return false;
+      }
+
+      return (
+        proj.y > -10 && proj.y < state.height + 10 && proj.x > -10 && proj.x < state.width + 10
+      );
+    });
+  },
+
+  updateTokens(state, speedMod, events) {
+    const basketX = state.basketPos;
+    const basketY = state.lanePositions[state.basketLane];
+
+    state.tokens = state.tokens.filter(token => {
+      if (state.gameOver) return true;
+      token.y += token.speed * speedMod;
+
+      // Magnet: attract good tokens toward basket
+      if (state.activePowerUps.magnet > 0 && token.kind === 'good') {
+        const dx = basketX - token.x;
+        const dy = basketY - token.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist < 200 && dist > 0) {
+          token.x += (dx / dist) * 3;
+          token.y += (dy / dist) * 3 * 0.5;
+        }
+      }
+
+      if (!this.hitsBasket(state, token, 15)) {
+        return token.y < state.height + 30;
+      }
+
+      if (token.kind === 'skull') {
+        if (state.activePowerUps.shield > 0) {
+          state.activePowerUps.shield = 0; // Consume shield
+          events.push({ type: 'blocked', kind: 'skull', x: token.x, y: token.y });
+        } else {
+          this.resetCombo(state, events);
+          state.gameOver = true;
+          events.push({ type: 'catch', kind: 'skull', x: token.x, y: token.y });
+          events.push({ type: 'gameover', reason: 'skull' });
+        }
+      } else if (token.kind === 'scam') {
+        if (state.activePowerUps.shield > 0) {
+          events.push({ type: 'blocked', kind: 'scam', x: token.x, y: token.y });
+        } else {
+          const penalty = 21; // fib[7]
+          state.score = Math.max(0, state.score - penalty);
+          this.resetCombo(state, events);
+          events.push({ type: 'catch', kind: 'scam', points: -penalty, x: token.x, y: token.y });
+        }
+      } else {
+        const multiplier = this.incrementCombo(state);
+        const doubleBonus = state.activePowerUps.double > 0 ? 2 : 1;
+        const points = 13 * multiplier * doubleBonus; // fib[6] base
+        state.score += points;
+        events.push({
+          type: 'catch',
+          kind: 'good',
+          points,
+          multiplier,
+          doubleBonus,
+          combo: state.combo,
+          x: token.x,
+          y: token.y,
+        });
+      }
+      return false;
+    });
+  },
+
+  updateEnemies(state, events) {
+    state.enemies = state.enemies.filter(enemy => {
+      enemy.y += enemy.speed;
+
+      if (this.hitsBasket(state, enemy, 20)) {
+        const penalty = 34; // fib[8]
+        state.score = Math.max(0, state.score - penalty);
+        this.resetCombo(state, events);
+        events.push({ type: 'enemy_collide', points: -penalty, x: enemy.x, y: enemy.y });
+        return false;
+      }
+      return enemy.y < state.height + 40;
+    });
+  },
+
+  spawnToken(state, rng) {
+    const roll = rng.next();
+    const x = 30 + rng.next() * (state.width - 60);
+    const base = state.tokenSpeedBase;
+    const variance = state.tokenSpeedVariance;
+
+    if (roll < 0.1) {
+      state.tokens.push({
+        x,
+        y: -30,
+        kind: 'skull',
+        variant: 0,
+        speed: base + rng.next() * variance,
+      });
+    } else if (roll < 0.25) {
+      const variant = rng.int(this.scamVariants);
+      state.tokens.push({
+        x,
+        y: -30,
+        kind: 'scam',
+        variant,
+        speed: base * 1.2 + rng.next() * variance,
+      });
+    } else {
+      const variant = rng.int(this.goodVariants);
+      state.tokens.push({ x, y: -30, kind: 'good', variant, speed: base + rng.next() * variance });
+    }
+  },
+
+  spawnEnemy(state, rng) {
+    const typeIndex = rng.int(this.enemyTypes.length);
+    const type = this.enemyTypes[typeIndex];
+    state.enemies.push({
+      x: 30 + rng.next() * (state.width - 60),
+      y: -40,
+      typeIndex,
+      hp: type.hp,
+      currentHp: type.hp,
+      points: type.points,
+      speed: type.speed + rng.next() * 0.5,
+    });
+  },
+
+  spawnPowerUp(state, rng) {
+    if (rng.next() > 0.05) return; // 5% chance
+
+    const types = Object.keys(this.powerUps);
+    state.powerUpTokens.push({
+      type: types[rng.int(types.length)],
+      x: 50 + rng.next() * (state.width - 100),
+      y: -30,
+      speed: 2 + rng.next(), // Slower than regular tokens
+    });
+  },
+
+  /**
+   * Fibonacci multiplier: combo 0-2 = 1x, 3-4 = 2x, 5-7 = 3x, 8-12 = 5x, 13+ = 8x
+   */
+  getComboMultiplier(combo) {
+    if (combo < 3) return 1;
+    if (combo < 5) return 2;
+    if (combo < 8) return 3;
+    if (combo < 13) return 5;
+    return 8;
+  },
+
+  incrementCombo(state) {
+    state.combo++;
+    state.comboTimer = this.comboTimeout;
+    if (state.combo > state.maxCombo) state.maxCombo = state.combo;
+    return this.getComboMultiplier(state.combo);
+  },
+
+  resetCombo(state, events) {
+    if (state.combo === 0 && state.comboTimer === 0) return;
+    state.combo = 0;
+    state.comboTimer = 0;
+    events.push({ type: 'combo_reset' });
+  },
+
+  /**
+   * Difficulty steps at Fibonacci seconds: 5, 8, 13, 21
+   */
+  updateDifficulty(state) {
+    const elapsed = this.roundSeconds - state.timeLeft;
+    if (elapsed >= 21) {
+      state.difficultyLevel = 4;
+    } else if (elapsed >= 13) {
+      state.difficultyLevel = 3;
+    } else if (elapsed >= 8) {
+      state.difficultyLevel = 2;
+    } else if (elapsed >= 5) {
+      state.difficultyLevel = 1;
+    }
+    state.tokenSpeedBase = 3 + state.difficultyLevel;
+    state.tokenSpeedVariance = 2 + state.difficultyLevel * 0.5;
+  },
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TokenCatcherSim;
+}
+if (typeof window !== 'undefined') {
+  window.TokenCatcherSim = TokenCatcherSim;
+  if (window.GameSim) window.GameSim.register(TokenCatcherSim);
+}
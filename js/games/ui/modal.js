@@ -205,6 +205,11 @@ const ModalUI = {
       if (timerStat) timerStat.style.display = 'none';
     }
 
+    // A tournament run not played yet stays unplayed
+    if (typeof GameLifecycle !== 'undefined') {
+      GameLifecycle.armTournament(gameId, null);
+    }
+
     stopGame(gameId);
   },
 
@@ -5,6 +5,17 @@
  * Connects to backend /ws/notifications endpoint
  * Integrates with frontend event-bus
  *
+ * Channel messages carry a per-channel sequence number (seq). After a
+ * reconnect, or when a gap shows up, the client resumes from the last seq
+ * it saw; the server replays what was missed or asks for a resync, which
+ * is emitted as WS_RESYNC so views can reload that data over REST.
+ *
+ * When the WebSocket upgrade is blocked (corporate proxies, some mobile
+ * carriers), the client falls back to Server-Sent Events on
+ * /api/realtime/stream and sends subscriptions over POST. Same channels,
+ * same messages, same subscribe/on API; the stream resumes through
+ * Last-Event-ID.
+ *
  * Philosophy: Fibonacci backoff for reconnection, fire-and-forget
  *
  * @module realtime/client
@@ -23,6 +34,17 @@ const DEFAULT_CONFIG = {
   // WebSocket endpoint (relative to current host)
   endpoint: '/ws/notifications',
 
+  // Subprotocol the server answers with; a token rides next to it as "bearer.<token>"
+  protocol: 'asdf-notifications-v1',
+
+  // Server-Sent Events endpoint, used when WebSocket can't connect
+  streamEndpoint: '/api/realtime/stream',
+
+  // Fall back to the stream if no socket has opened yet
+  fallback: {
+    enabled: true
+  },
+
   // Reconnection settings (Fibonacci backoff)
   reconnect: {
     enabled: true,
@@ -36,6 +58,12 @@ const DEFAULT_CONFIG = {
     timeout: 13000
   },
 
+  // Gap recovery: wait for late messages, then ask for a replay
+  replay: {
+    gapWait: 1000,
+    maxGap: 89 // Beyond this, resync instead of replaying
+  },
+
   // Debug mode
   debug: false
 };
@@ -52,6 +80,15 @@ const CONNECTION_STATE = {
   FAILED: 'failed'
 };
 
+// ============================================
+// TRANSPORTS (match backend)
+// ============================================
+
+const TRANSPORT = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse'
+};
+
 // ============================================
 // MESSAGE TYPES (match backend)
 // ============================================
@@ -62,14 +99,19 @@ const MESSAGE_TYPES = {
   UNSUBSCRIBE: 'unsubscribe',
   PING: 'ping',
   ACK: 'ack',
+  RESUME: 'resume',
 
   // Server -> Client
   NOTIFICATION: 'notification',
+  BROADCAST: 'broadcast',
+  BROADCAST_BATCH: 'broadcast_batch',
   PONG: 'pong',
   ERROR: 'error',
   SUBSCRIBED: 'subscribed',
   UNSUBSCRIBED: 'unsubscribed',
-  CONNECTED: 'connected'
+  CONNECTED: 'connected',
+  RESUMED: 'resumed',
+  RESYNC: 'resync'
 };
 
 // ============================================
@@ -99,6 +141,15 @@ class RealtimeClient {
     /** @type {WebSocket|null} */
     this.ws = null;
 
+    /** @type {EventSource|null} Fallback stream */
+    this.source = null;
+
+    /** @type {string} Transport in use */
+    this.transport = TRANSPORT.WEBSOCKET;
+
+    /** @type {boolean} A socket opened once, so WebSocket isn't blocked */
+    this.socketOpened = false;
+
     /** @type {string} */
     this.state = CONNECTION_STATE.DISCONNECTED;
 
@@ -108,6 +159,12 @@ class RealtimeClient {
     /** @type {Set<string>} */
     this.subscriptions = new Set();
 
+    /** @type {Map<string, {last: number, missing: Set<number>}>} Seq seen per channel */
+    this.sequences = new Map();
+
+    /** @type {Map<string, number>} Pending gap replays per channel */
+    this.gapTimers = new Map();
+
     /** @type {number} */
     this.reconnectAttempts = 0;
 
@@ -130,7 +187,10 @@ class RealtimeClient {
       messagesReceived: 0,
       messagesSent: 0,
       errors: 0,
-      reconnections: 0
+      reconnections: 0,
+      duplicates: 0,
+      replayed: 0,
+      resyncs: 0
     };
 
     // Bind methods
@@ -145,7 +205,7 @@ class RealtimeClient {
   // ============================================
 
   /**
-   * Connect to WebSocket server
+   * Connect to server (WebSocket first, Server-Sent Events if that fails)
    * @param {string} [token] - Optional auth token
    * @returns {Promise<boolean>}
    */
@@ -158,36 +218,164 @@ class RealtimeClient {
       return false;
     }
 
+    // The browser is already reopening the stream
+    if (this.source && this.state === CONNECTION_STATE.RECONNECTING) {
+      return false;
+    }
+
     this.token = token;
     this.state = CONNECTION_STATE.CONNECTING;
 
+    if (this.transport === TRANSPORT.SSE || typeof WebSocket === 'undefined') {
+      return this._openStream();
+    }
+
+    if (await this._openSocket()) {
+      return true;
+    }
+
+    // Upgrade blocked by a proxy or carrier: event streams still get through
+    if (this._canFallBack()) {
+      this._debug('WebSocket unavailable, falling back to Server-Sent Events');
+      this.state = CONNECTION_STATE.CONNECTING;
+      return this._openStream();
+    }
+
+    return false;
+  }
+
+  /**
+   * Open the WebSocket
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  _openSocket() {
     return new Promise((resolve) => {
+      let ws;
       try {
         const url = this._buildUrl();
         this._debug('Connecting to', url);
+        ws = new WebSocket(url, this._buildProtocols());
+      } catch (error) {
+        this._debug('Connection error:', error.message);
+        this.state = CONNECTION_STATE.FAILED;
+        resolve(false);
+        return;
+      }
 
-        this.ws = new WebSocket(url);
-        this.ws.onopen = () => {
-          this._onOpen();
-          resolve(true);
-        };
-        this.ws.onclose = this._onClose;
-        this.ws.onerror = (e) => {
-          this._onError(e);
-          if (this.state === CONNECTION_STATE.CONNECTING) {
-            resolve(false);
-          }
-        };
-        this.ws.onmessage = this._onMessage;
+      // Drop a socket that never opened, so its close can't end a fallback
+      const fail = () => {
+        ws.onopen = ws.onclose = ws.onerror = ws.onmessage = null;
+        if (this.ws === ws) {
+          this.ws = null;
+        }
+        this.state = CONNECTION_STATE.DISCONNECTED;
+        resolve(false);
+      };
+
+      this.ws = ws;
+      ws.onopen = () => {
+        this.socketOpened = true;
+        this._onOpen();
+        resolve(true);
+      };
+      ws.onclose = (event) => {
+        if (this.state === CONNECTION_STATE.CONNECTING) {
+          fail();
+          return;
+        }
+        this._onClose(event);
+      };
+      ws.onerror = (e) => {
+        this._onError(e);
+        if (this.state === CONNECTION_STATE.CONNECTING) {
+          fail();
+        }
+      };
+      ws.onmessage = this._onMessage;
+    });
+  }
 
+  /**
+   * Open the Server-Sent Events stream
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  _openStream() {
+    return new Promise((resolve) => {
+      let source;
+      try {
+        const url = this._buildStreamUrl();
+        this._debug('Streaming from', url);
+        source = new EventSource(url, { withCredentials: true });
       } catch (error) {
-        this._debug('Connection error:', error.message);
+        this._debug('Stream error:', error.message);
         this.state = CONNECTION_STATE.FAILED;
         resolve(false);
+        return;
       }
+
+      let opened = false;
+      const drop = () => {
+        source.onopen = source.onerror = source.onmessage = null;
+        source.close();
+        if (this.source === source) {
+          this.source = null;
+        }
+      };
+
+      this.source = source;
+      source.onopen = () => {
+        opened = true;
+        this.transport = TRANSPORT.SSE;
+        this._onOpen();
+        resolve(true);
+      };
+      source.onmessage = this._onMessage;
+      source.onerror = (e) => {
+        this._onError(e);
+
+        // Never opened: leave retrying to the reconnect backoff
+        if (!opened) {
+          drop();
+          this.state = CONNECTION_STATE.DISCONNECTED;
+          resolve(false);
+          return;
+        }
+
+        if (source.readyState === EventSource.CLOSED) {
+          drop();
+          this._onClose({ code: 0, reason: 'Stream closed' });
+          return;
+        }
+
+        // The browser reopens the stream itself, resuming from Last-Event-ID
+        if (this.state === CONNECTION_STATE.CONNECTED) {
+          this.state = CONNECTION_STATE.RECONNECTING;
+          this.connectionId = null;
+          this.stats.disconnected++;
+          eventBus.emit(EVENTS.WS_DISCONNECTED, {
+            reason: 'Stream interrupted',
+            wasConnected: true
+          });
+        }
+      };
     });
   }
 
+  /**
+   * Whether a failed socket should hand over to the stream
+   * @returns {boolean}
+   * @private
+   */
+  _canFallBack() {
+    return (
+      this.config.fallback.enabled &&
+      !this.socketOpened &&
+      typeof EventSource !== 'undefined'
+    );
+  }
+
   /**
    * Disconnect from server
    */
@@ -200,9 +388,17 @@ class RealtimeClient {
       this.ws = null;
     }
 
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+
+    // Next connect tries WebSocket first again
+    this.transport = TRANSPORT.WEBSOCKET;
     this.state = CONNECTION_STATE.DISCONNECTED;
     this.connectionId = null;
     this.subscriptions.clear();
+    this.sequences.clear();
 
     eventBus.emit(EVENTS.WS_DISCONNECTED, { reason: 'client' });
   }
@@ -215,13 +411,52 @@ class RealtimeClient {
   _buildUrl() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const host = window.location.host;
-    let url = `${protocol}//${host}${this.config.endpoint}`;
+    return `${protocol}//${host}${this.config.endpoint}`;
+  }
+
+  /**
+   * Build the WebSocket subprotocols
+   * No token in the URL: the upgrade sends the session cookie, and an
+   * explicit token is offered as a subprotocol (never logged with the URL)
+   * @returns {string[]}
+   * @private
+   */
+  _buildProtocols() {
+    const protocols = [this.config.protocol];
 
     if (this.token) {
-      url += `?token=${encodeURIComponent(this.token)}`;
+      protocols.push(`bearer.${this.token}`);
     }
 
-    return url;
+    return protocols;
+  }
+
+  /**
+   * Build the event stream URL, with the channels to join and where to resume
+   * @returns {string}
+   * @private
+   */
+  _buildStreamUrl() {
+    const params = new URLSearchParams();
+
+    if (this.subscriptions.size > 0) {
+      params.set('channels', Array.from(this.subscriptions).join(','));
+    }
+
+    // No token here: the stream authenticates with the session cookie
+    // (withCredentials), a URL would leak it into proxy and access logs
+
+    // Same format as the event ids the server sends (channel=seq&...)
+    const cursor = new URLSearchParams();
+    this.sequences.forEach((state, channel) => {
+      cursor.set(channel, this._resumePoint(state));
+    });
+    if (cursor.toString()) {
+      params.set('lastEventId', cursor.toString());
+    }
+
+    const query = params.toString();
+    return query ? `${this.config.streamEndpoint}?${query}` : this.config.streamEndpoint;
   }
 
   // ============================================
@@ -239,8 +474,10 @@ class RealtimeClient {
     this.stats.connected++;
     this.lastPong = Date.now();
 
-    // Start heartbeat
-    this._startHeartbeat();
+    // Streams get server pings and reopen by themselves
+    if (this.transport === TRANSPORT.WEBSOCKET) {
+      this._startHeartbeat();
+    }
 
     eventBus.emit(EVENTS.WS_CONNECTED, {
       timestamp: Date.now()
@@ -257,7 +494,10 @@ class RealtimeClient {
     this._clearTimers();
     this.stats.disconnected++;
 
-    const wasConnected = this.state === CONNECTION_STATE.CONNECTED;
+    // RECONNECTING: a stream the browser was still reopening
+    const wasConnected =
+      this.state === CONNECTION_STATE.CONNECTED ||
+      this.state === CONNECTION_STATE.RECONNECTING;
     this.state = CONNECTION_STATE.DISCONNECTED;
     this.connectionId = null;
 
@@ -306,6 +546,11 @@ class RealtimeClient {
 
     this._debug('Received:', message.type);
 
+    // Replays and late relays may repeat what was already handled
+    if (typeof message.seq === 'number' && message.seqChannel) {
+      if (!this._trackSequence(message.seqChannel, message.seq)) return;
+    }
+
     switch (message.type) {
       case MESSAGE_TYPES.CONNECTED:
         this._handleConnected(message);
@@ -315,6 +560,16 @@ class RealtimeClient {
         this._handleNotification(message);
         break;
 
+      case MESSAGE_TYPES.BROADCAST:
+        this._handleBroadcast(message.channel, message.payload);
+        break;
+
+      case MESSAGE_TYPES.BROADCAST_BATCH:
+        (message.payloads || []).forEach((payload) =>
+          this._handleBroadcast(message.channel, payload)
+        );
+        break;
+
       case MESSAGE_TYPES.PONG:
         this._handlePong();
         break;
@@ -331,6 +586,14 @@ class RealtimeClient {
         this._handleError(message);
         break;
 
+      case MESSAGE_TYPES.RESUMED:
+        this._handleResumed(message);
+        break;
+
+      case MESSAGE_TYPES.RESYNC:
+        this._resync(message.channel, message.seq);
+        break;
+
       default:
         this._debug('Unknown message type:', message.type);
     }
@@ -347,12 +610,24 @@ class RealtimeClient {
    */
   _handleConnected(message) {
     this.connectionId = message.connectionId;
+    const previous = Array.from(this.subscriptions);
 
     // Store initial subscriptions
     if (message.channels) {
       this.subscriptions = new Set(message.channels);
     }
 
+    if (this.transport === TRANSPORT.SSE) {
+      // The stream already resumed its channels; a stream the browser
+      // reopened keeps its first URL, so rejoin channels added since
+      previous
+        .filter((channel) => !this.subscriptions.has(channel))
+        .forEach((channel) => this.subscribe(channel));
+    } else {
+      // Catch up on what was sent while we were away
+      this._resume(Array.from(this.subscriptions));
+    }
+
     eventBus.emit(EVENTS.WS_READY, {
       connectionId: this.connectionId,
       authenticated: message.authenticated,
@@ -398,6 +673,37 @@ class RealtimeClient {
     return mapping[notificationType] || null;
   }
 
+  /**
+   * Handle a server event broadcast to a channel
+   * @param {string} channel
+   * @param {Object} payload - { event, data, timestamp, id }
+   * @private
+   */
+  _handleBroadcast(channel, payload) {
+    if (!payload) return;
+
+    eventBus.emit(EVENTS.WS_BROADCAST, { channel, ...payload });
+
+    const eventType = this._mapBroadcastToEvent(payload.event);
+    if (eventType) {
+      eventBus.emit(eventType, payload.data);
+    }
+  }
+
+  /**
+   * Map server event type to event bus event
+   * @param {string} serverEvent
+   * @returns {string|null}
+   * @private
+   */
+  _mapBroadcastToEvent(serverEvent) {
+    const mapping = {
+      'flag:changed': EVENTS.FLAG_UPDATED
+    };
+
+    return mapping[serverEvent] || null;
+  }
+
   /**
    * Handle pong message
    * @private
@@ -414,6 +720,8 @@ class RealtimeClient {
   _handleSubscribed(message) {
     this.subscriptions.add(message.channel);
     this._debug('Subscribed to:', message.channel);
+
+    this._resume([message.channel]);
   }
 
   /**
@@ -439,6 +747,136 @@ class RealtimeClient {
     });
   }
 
+  // ============================================
+  // SEQUENCING
+  // ============================================
+
+  /**
+   * Record a channel seq
+   * @param {string} channel
+   * @param {number} seq
+   * @returns {boolean} False if the message was already handled
+   * @private
+   */
+  _trackSequence(channel, seq) {
+    const state = this.sequences.get(channel);
+
+    if (!state) {
+      this.sequences.set(channel, { last: seq, missing: new Set() });
+      return true;
+    }
+
+    if (seq <= state.last) {
+      // Late or replayed: only wanted if it fills a gap
+      if (state.missing.delete(seq)) {
+        return true;
+      }
+      this.stats.duplicates++;
+      return false;
+    }
+
+    if (seq - state.last - 1 + state.missing.size > this.config.replay.maxGap) {
+      this._resync(channel, seq);
+      return true;
+    }
+
+    for (let missed = state.last + 1; missed < seq; missed++) {
+      state.missing.add(missed);
+    }
+    state.last = seq;
+
+    if (state.missing.size > 0) {
+      this._scheduleGapFill(channel);
+    }
+    return true;
+  }
+
+  /**
+   * Ask the server for what was missed on channels we have seen before
+   * @param {string[]} channels
+   * @returns {boolean}
+   * @private
+   */
+  _resume(channels) {
+    const resume = {};
+
+    for (const channel of channels) {
+      const state = this.sequences.get(channel);
+      if (state) {
+        resume[channel] = this._resumePoint(state);
+      }
+    }
+
+    if (Object.keys(resume).length === 0) {
+      return false;
+    }
+
+    return this._send({
+      type: MESSAGE_TYPES.RESUME,
+      channels: resume
+    });
+  }
+
+  /**
+   * Last seq to resume from: the oldest hole, duplicates are dropped on arrival
+   * @param {{last: number, missing: Set<number>}} state
+   * @returns {number}
+   * @private
+   */
+  _resumePoint(state) {
+    return state.missing.size > 0 ? Math.min(...state.missing) - 1 : state.last;
+  }
+
+  /**
+   * Request a replay if a gap is still open after a short wait
+   * @param {string} channel
+   * @private
+   */
+  _scheduleGapFill(channel) {
+    if (this.gapTimers.has(channel)) {
+      return;
+    }
+
+    this.gapTimers.set(
+      channel,
+      setTimeout(() => {
+        this.gapTimers.delete(channel);
+        if (this.sequences.get(channel)?.missing.size > 0) {
+          this._resume([channel]);
+        }
+      }, this.config.replay.gapWait)
+    );
+  }
+
+  /**
+   * Handle the end of a replay
+   * @param {Object} message - { channel, seq, replayed }
+   * @private
+   */
+  _handleResumed(message) {
+    this.stats.replayed += message.replayed || 0;
+
+    // Anything the server had up to its seq has been sent; the rest is lost
+    const state = this.sequences.get(message.channel);
+    if (state && Array.from(state.missing).some((seq) => seq <= message.seq)) {
+      this._resync(message.channel, Math.max(state.last, message.seq));
+    }
+  }
+
+  /**
+   * Start over from seq and tell views to reload the channel's data
+   * @param {string} channel
+   * @param {number} seq
+   * @private
+   */
+  _resync(channel, seq) {
+    this.sequences.set(channel, { last: seq, missing: new Set() });
+    this.stats.resyncs++;
+    this._debug('Resync:', channel);
+
+    eventBus.emit(EVENTS.WS_RESYNC, { channel, seq });
+  }
+
   // ============================================
   // SUBSCRIPTIONS
   // ============================================
@@ -598,6 +1036,12 @@ class RealtimeClient {
       return false;
     }
 
+    if (this.transport === TRANSPORT.SSE) {
+      this._post(message);
+      this.stats.messagesSent++;
+      return true;
+    }
+
     try {
       this.ws.send(JSON.stringify(message));
       this.stats.messagesSent++;
@@ -614,9 +1058,36 @@ class RealtimeClient {
    * @private
    */
   _isConnected() {
+    if (this.transport === TRANSPORT.SSE) {
+      return (
+        !!this.source && this.source.readyState === EventSource.OPEN && !!this.connectionId
+      );
+    }
     return this.ws && this.ws.readyState === WebSocket.OPEN;
   }
 
+  /**
+   * Send a message for the stream over POST (fire-and-forget)
+   * @param {Object} message
+   * @private
+   */
+  _post(message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    fetch(`${this.config.streamEndpoint}/${encodeURIComponent(this.connectionId)}`, {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+      body: JSON.stringify(message)
+    }).catch((error) => {
+      this.stats.errors++;
+      this._debug('Send error:', error.message);
+    });
+  }
+
   /**
    * Clear all timers
    * @private
@@ -624,6 +1095,10 @@ class RealtimeClient {
   _clearTimers() {
     this._stopHeartbeat();
 
+    // Reconnecting resumes every channel anyway
+    this.gapTimers.forEach((timer) => clearTimeout(timer));
+    this.gapTimers.clear();
+
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
       this.reconnectTimer = null;
@@ -661,6 +1136,24 @@ class RealtimeClient {
     return this.state === CONNECTION_STATE.CONNECTED;
   }
 
+  /**
+   * Get transport in use
+   * @returns {string} TRANSPORT value
+   */
+  getTransport() {
+    return this.transport;
+  }
+
+  /**
+   * Listen to a realtime event, whichever transport carries it
+   * @param {string} event - EVENTS value (e.g. EVENTS.WS_NOTIFICATION)
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    return eventBus.on(event, handler);
+  }
+
   /**
    * Get statistics
    * @returns {Object}
@@ -669,6 +1162,7 @@ class RealtimeClient {
     return {
       ...this.stats,
       state: this.state,
+      transport: this.transport,
       connectionId: this.connectionId,
       subscriptions: this.subscriptions.size,
       reconnectAttempts: this.reconnectAttempts
@@ -695,7 +1189,7 @@ export const realtime = new RealtimeClient();
 export { RealtimeClient };
 
 // Export constants
-export { CONNECTION_STATE, MESSAGE_TYPES, CHANNELS };
+export { CONNECTION_STATE, MESSAGE_TYPES, CHANNELS, TRANSPORT };
 
 // ============================================
 // CONVENIENCE FUNCTIONS
@@ -735,6 +1229,16 @@ export function unsubscribe(channel) {
   return realtime.unsubscribe(channel);
 }
 
+/**
+ * Listen to a realtime event
+ * @param {string} event
+ * @param {Function} handler
+ * @returns {Function} Unsubscribe function
+ */
+export function on(event, handler) {
+  return realtime.on(event, handler);
+}
+
 /**
  * Check if connected
  * @returns {boolean}
@@ -32,6 +32,9 @@ export {
   CHANNELS
 } from './client.js';
 
+// Web Push
+export { isPushSupported, enablePush, disablePush, getPushSubscription } from './push.js';
+
 /**
  * Initialize realtime connection
  * Auto-connects with optional token
@@ -0,0 +1,142 @@
+/**
+ * ASDF-Web Push Subscriptions
+ * Registers the service worker (/sw.js), subscribes with the server's VAPID
+ * key and hands the subscription to the API
+ *
+ * @example
+ * import { enablePush } from './realtime/push.js';
+ *
+ * // From a user gesture (browsers refuse permission prompts otherwise)
+ * button.addEventListener('click', () => enablePush());
+ *
+ * @module realtime/push
+ */
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const DEFAULT_CONFIG = {
+  serviceWorker: '/sw.js',
+  vapidKeyEndpoint: '/api/notifications/push/vapid-key',
+  registerEndpoint: '/api/notifications/push/register',
+  unregisterEndpoint: '/api/notifications/push/token'
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Whether this browser can receive Web Push
+ * @returns {boolean}
+ */
+export function isPushSupported() {
+  return (
+    typeof window !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    'PushManager' in window &&
+    'Notification' in window
+  );
+}
+
+/**
+ * Decode a base64url VAPID key for pushManager.subscribe()
+ * @param {string} value
+ * @returns {Uint8Array}
+ */
+function decodeKey(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+/**
+ * Call the API with the session cookie
+ * @param {string} url
+ * @param {Object} options
+ * @returns {Promise<Object>}
+ */
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+// ============================================
+// SUBSCRIPTIONS
+// ============================================
+
+/**
+ * Current push subscription, if any
+ * @returns {Promise<PushSubscription|null>}
+ */
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+
+  const registration = await navigator.serviceWorker.getRegistration(DEFAULT_CONFIG.serviceWorker);
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+/**
+ * Ask for permission, subscribe and register the subscription
+ * Requires a signed-in session.
+ * @returns {Promise<{enabled: boolean, reason?: string, deviceId?: string}>}
+ */
+export async function enablePush() {
+  if (!isPushSupported()) {
+    return { enabled: false, reason: 'unsupported' };
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    return { enabled: false, reason: permission };
+  }
+
+  const registration = await navigator.serviceWorker.register(DEFAULT_CONFIG.serviceWorker);
+  await navigator.serviceWorker.ready;
+
+  const { publicKey } = await request(DEFAULT_CONFIG.vapidKeyEndpoint, { method: 'GET' });
+
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: decodeKey(publicKey)
+    }));
+
+  const { deviceId } = await request(DEFAULT_CONFIG.registerEndpoint, {
+    method: 'POST',
+    body: JSON.stringify({ platform: 'web', subscription: subscription.toJSON() })
+  });
+
+  return { enabled: true, deviceId };
+}
+
+/**
+ * Unsubscribe this browser and forget it server-side
+ * @param {string} deviceId - As returned by enablePush()
+ * @returns {Promise<boolean>}
+ */
+export async function disablePush(deviceId) {
+  const subscription = await getPushSubscription();
+  if (subscription) {
+    await subscription.unsubscribe();
+  }
+
+  if (deviceId) {
+    await request(DEFAULT_CONFIG.unregisterEndpoint, {
+      method: 'DELETE',
+      body: JSON.stringify({ deviceId })
+    }).catch(() => {});
+  }
+
+  return !!subscription;
+}
@@ -9,7 +9,7 @@
 
 'use strict';
 
-import { address } from 'https://esm.sh/@solana/kit@5';
+import { address, getBase58Decoder } from 'https://esm.sh/@solana/kit@5';
 
 // ============================================
 // WALLET STANDARD FEATURE DETECTION
@@ -20,10 +20,18 @@ const WALLET_STANDARD_FEATURES = {
   DISCONNECT: 'standard:disconnect',
   EVENTS: 'standard:events',
   SIGN_MESSAGE: 'solana:signMessage',
+  SIGN_IN: 'solana:signIn',
   SIGN_TRANSACTION: 'solana:signTransaction',
   SIGN_AND_SEND: 'solana:signAndSendTransaction'
 };
 
+// Sign-In With Solana endpoints (relative to apiBase)
+const SIGN_IN_CONFIG = {
+  apiBase: '/api',
+  challengePath: '/auth/challenge',
+  verifyPath: '/auth/verify'
+};
+
 // ============================================
 // WALLET MANAGER
 // ============================================
@@ -178,7 +186,23 @@ const WalletManager = {
           signMessage: async (message) => {
             return await provider.signMessage(message);
           }
-        }
+        },
+        // Native sign-in UI (e.g. Phantom's provider.signIn)
+        ...(typeof provider.signIn === 'function' && {
+          [WALLET_STANDARD_FEATURES.SIGN_IN]: {
+            signIn: async (...inputs) => Promise.all(inputs.map(async (input) => {
+              const output = await provider.signIn(input);
+              return {
+                account: {
+                  address: output.address.toString(),
+                  publicKey: output.address
+                },
+                signedMessage: output.signedMessage,
+                signature: output.signature
+              };
+            }))
+          }
+        })
       },
       accounts: provider.publicKey ? [{
         address: provider.publicKey.toString(),
@@ -292,15 +316,7 @@ const WalletManager = {
         throw new Error('No accounts returned from wallet');
       }
 
-      this.connectedWallet = wallet;
-      this.connectedAccount = accounts[0];
-
-      // Save for auto-reconnect
-      localStorage.setItem('asdf_connected_wallet', walletName);
-
-      this._emit('connect', this.connectedAccount);
-
-      console.log(`[WalletManager] Connected to ${walletName}: ${this.connectedAccount.address}`);
+      this._setConnected(walletName, wallet, accounts[0]);
 
       return {
         address: this.connectedAccount.address,
@@ -315,6 +331,22 @@ const WalletManager = {
     }
   },
 
+  /**
+   * Record a connected wallet and account
+   * @private
+   */
+  _setConnected(walletName, wallet, account) {
+    this.connectedWallet = wallet;
+    this.connectedAccount = account;
+
+    // Save for auto-reconnect
+    localStorage.setItem('asdf_connected_wallet', walletName);
+
+    this._emit('connect', this.connectedAccount);
+
+    console.log(`[WalletManager] Connected to ${walletName}: ${this.connectedAccount.address}`);
+  },
+
   /**
    * Disconnect current wallet
    * @returns {Promise<void>}
@@ -434,6 +466,120 @@ const WalletManager = {
     throw new Error('Wallet does not support message signing');
   },
 
+  /**
+   * One-click Sign-In With Solana
+   * Uses the wallet's native sign-in UI (solana:signIn) when it has one, which
+   * connects and signs in a single prompt; otherwise connects and signs the
+   * SIWS message with signMessage. The server sets the auth cookie.
+   * @param {string} [walletName] - Wallet to use (defaults to the connected one)
+   * @param {Object} [options]
+   * @param {string} [options.apiBase='/api'] - API base URL
+   * @returns {Promise<{address: string, wallet: string, user: Object}>}
+   */
+  async signIn(walletName, options = {}) {
+    const name = walletName || this.connectedWallet?.name;
+    const wallet = name ? this.wallets.get(name) : null;
+    if (!wallet) {
+      throw new Error(walletName ? `Wallet "${walletName}" not found` : 'No wallet selected');
+    }
+
+    const apiBase = options.apiBase || SIGN_IN_CONFIG.apiBase;
+    const nativeSignIn = wallet.features?.[WALLET_STANDARD_FEATURES.SIGN_IN];
+
+    let account;
+    let message;
+    let signature;
+
+    try {
+      if (nativeSignIn) {
+        // The wallet fills in the address and shows its own sign-in screen
+        const known = this.connectedWallet === wallet ? this.getAddress() : null;
+        const { input } = await this._requestSignInChallenge(apiBase, known);
+
+        const [output] = await nativeSignIn.signIn(input);
+        account = output.account;
+        message = new TextDecoder().decode(output.signedMessage);
+        signature = output.signature;
+      } else {
+        if (this.connectedWallet !== wallet) {
+          await this.connect(name);
+        }
+        account = this.connectedAccount;
+
+        const { challenge } = await this._requestSignInChallenge(apiBase, account.address);
+        const signed = await this.signMessage(new TextEncoder().encode(challenge));
+
+        message = challenge;
+        signature = this._extractSignature(signed);
+      }
+    } catch (error) {
+      if (error.message?.includes('User rejected')) {
+        throw new Error('Sign-in rejected by user');
+      }
+      throw error;
+    }
+
+    const response = await fetch(`${apiBase}${SIGN_IN_CONFIG.verifyPath}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        wallet: account.address,
+        signature: getBase58Decoder().decode(signature),
+        message
+      })
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Sign-in failed (${response.status})`);
+    }
+
+    if (this.connectedWallet !== wallet || this.getAddress() !== account.address) {
+      this._setConnected(name, wallet, account);
+    }
+
+    return {
+      address: account.address,
+      wallet: name,
+      user: result.user
+    };
+  },
+
+  /**
+   * Ask the API for a SIWS challenge
+   * @private
+   */
+  async _requestSignInChallenge(apiBase, walletAddress) {
+    const response = await fetch(`${apiBase}${SIGN_IN_CONFIG.challengePath}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(walletAddress ? { wallet: walletAddress } : {})
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Sign-in challenge failed (${response.status})`);
+    }
+
+    return result;
+  },
+
+  /**
+   * Signature bytes from any signMessage result shape
+   * (legacy { signature }, Wallet Standard [{ signedMessage, signature }], raw bytes)
+   * @private
+   */
+  _extractSignature(signed) {
+    const output = Array.isArray(signed) ? signed[0] : signed;
+    const signature = output instanceof Uint8Array ? output : output?.signature;
+    if (!(signature instanceof Uint8Array)) {
+      throw new Error('Wallet returned no signature');
+    }
+    return signature;
+  },
+
   /**
    * Add event listener
    * @param {string} event - Event name ('connect', 'disconnect', 'walletsChanged')
@@ -475,5 +621,5 @@ const WalletManager = {
 // EXPORTS
 // ============================================
 
-export { WalletManager, WALLET_STANDARD_FEATURES };
+export { WalletManager, WALLET_STANDARD_FEATURES, SIGN_IN_CONFIG };
 export default WalletManager;
@@ -0,0 +1,148 @@
+/**
+ * ASDF-Web Service Worker
+ * Shows Web Push notifications sent by api/services/pushNotifications.js
+ * and opens their clickAction (data.url) when clicked
+ *
+ * Served from /sw.js so its scope covers the whole site.
+ *
+ * This is fine.
+ */
+
+'use strict';
+
+const DEFAULT_ICON = '/icons/icon-192x192.png';
+const REGISTER_ENDPOINT = '/api/notifications/push/register';
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(self.clients.claim());
+});
+
+// ============================================
+// PUSH
+// ============================================
+
+/**
+ * Read the push message
+ * @param {PushEvent} event
+ * @returns {Object}
+ */
+function readPayload(event) {
+  if (!event.data) return {};
+
+  try {
+    return event.data.json();
+  } catch {
+    return { body: event.data.text() };
+  }
+}
+
+self.addEventListener('push', event => {
+  const payload = readPayload(event);
+
+  const options = {
+    body: payload.body || '',
+    icon: payload.icon || DEFAULT_ICON,
+    badge: payload.badge,
+    data: payload.data || {},
+    actions: Array.isArray(payload.actions) ? payload.actions : [],
+    requireInteraction: !!payload.requireInteraction,
+  };
+
+  // renotify is only allowed together with a tag
+  if (payload.tag) {
+    options.tag = payload.tag;
+    options.renotify = !!payload.renotify;
+  }
+
+  event.waitUntil(self.registration.showNotification(payload.title || 'ASDF Games', options));
+});
+
+// ============================================
+// CLICKS
+// ============================================
+
+/**
+ * Resolve a clickAction to a same-origin URL
+ * Anything pointing off-site falls back to the home page.
+ * @param {string} clickAction
+ * @returns {string}
+ */
+function resolveClickUrl(clickAction) {
+  try {
+    const url = new URL(clickAction || '/', self.location.origin);
+    if (url.origin === self.location.origin) {
+      return url.href;
+    }
+  } catch {
+    // Malformed clickAction
+  }
+  return new URL('/', self.location.origin).href;
+}
+
+/**
+ * Focus an open tab on the URL, reuse another tab of the site, or open one
+ * @param {string} url
+ * @returns {Promise<void>}
+ */
+async function openClickUrl(url) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  const existing = windows.find(client => client.url === url);
+  if (existing) {
+    await existing.focus();
+    return;
+  }
+
+  const sameSite = windows.find(client => 'navigate' in client);
+  if (sameSite) {
+    await sameSite.navigate(url);
+    await sameSite.focus();
+    return;
+  }
+
+  await self.clients.openWindow(url);
+}
+
+self.addEventListener('notificationclick', event => {
+  const { notification, action } = event;
+  notification.close();
+
+  // Actions (view, share, ...) open the same destination as the body
+  const url = new URL(resolveClickUrl(notification.data?.url));
+  if (action) {
+    url.searchParams.set('action', action);
+  }
+
+  event.waitUntil(openClickUrl(url.href));
+});
+
+// ============================================
+// SUBSCRIPTION RENEWAL
+// ============================================
+
+self.addEventListener('pushsubscriptionchange', event => {
+  const previous = event.oldSubscription;
+  if (!previous) return;
+
+  event.waitUntil(
+    self.registration.pushManager
+      .subscribe(previous.options)
+      .then(subscription =>
+        fetch(REGISTER_ENDPOINT, {
+          method: 'POST',
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ platform: 'web', subscription: subscription.toJSON() }),
+        })
+      )
+      .catch(error => console.warn('[SW] Push subscription renewal failed:', error.message))
+  );
+});
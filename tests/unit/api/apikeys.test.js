@@ -0,0 +1,397 @@
+/**
+ * ASDF API - Partner API Key Tests
+ * Tests issuing, scoping, rotating and revoking keys, the X-API-Key
+ * middleware (tier limits, monthly quotas, metering) and usage reports
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const { EventEmitter } = require('events');
+
+const ADMIN = 'AdminWa11et1111111111111111111111111111111111';
+const PARTNER = 'Partner1111111111111111111111111111111111111';
+const STRANGER = 'Stranger111111111111111111111111111111111111';
+const MINT = '9zB5wRarXMj86MymwLumSKA1Dx35zPqqKfcZtK1Spump';
+
+const HOUR = 60 * 60 * 1000;
+
+let services;
+let now;
+
+/**
+ * Fresh copy of the services over a fresh memory storage
+ */
+function loadServices() {
+  jest.isolateModules(() => {
+    services = {
+      apiKeys: require('../../../api/services/apiKeys'),
+      audit: require('../../../api/services/audit'),
+      ratelimit: require('../../../api/services/ratelimit'),
+      storage: require('../../../api/services/storage').getStorage(),
+    };
+  });
+  jest.spyOn(services.audit, 'logSecurity');
+  return services;
+}
+
+/**
+ * Issue a key to the partner
+ */
+async function issue(input = {}) {
+  const result = await services.apiKeys.issueKey(
+    { owner: PARTNER, name: 'Burn dashboard', tier: 'partner', scopes: ['token'], ...input },
+    ADMIN
+  );
+  expect(result.success).toBe(true);
+  return result;
+}
+
+/**
+ * Run a request through the X-API-Key middleware
+ * A request that gets through is answered 200 by the "route".
+ * @param {string} url - e.g. /api/token/<mint>/price
+ * @param {string|null} apiKey
+ * @returns {Promise<{req: Object, res: Object, passed: boolean}>}
+ */
+async function request(url, apiKey, options = {}) {
+  const [, , group] = url.split('/');
+  const baseUrl = `/api/${group}`;
+  const req = {
+    baseUrl,
+    path: url.slice(baseUrl.length),
+    originalUrl: url,
+    ip: '203.0.113.7',
+    headers: apiKey ? { 'x-api-key': apiKey } : {},
+  };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.emit('finish');
+      return this;
+    },
+  });
+
+  let passed = false;
+  await services.apiKeys.createMiddleware(options)(req, res, () => {
+    passed = true;
+  });
+  if (passed) {
+    res.status(options.routeStatus || 200).json({ ok: true });
+  }
+  await new Promise(resolve => setTimeout(resolve, 0));
+  return { req, res, passed };
+}
+
+/**
+ * Audit events of a type
+ */
+function audited(type) {
+  return services.audit.logSecurity.mock.calls.filter(([eventType]) => eventType === type);
+}
+
+beforeEach(() => {
+  now = Date.UTC(2026, 0, 31, 23, 0, 0);
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  loadServices();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('keys', () => {
+  it('should return the key once and only store its hash', async () => {
+    const { key, apiKey } = await issue();
+
+    expect(apiKey).toMatch(/^asdf_ak_[0-9a-f]{24}_[\w-]{43}$/);
+    expect(apiKey).toContain(key.id);
+    expect(key).toMatchObject({
+      owner: PARTNER,
+      name: 'Burn dashboard',
+      tier: 'partner',
+      scopes: ['token'],
+      status: 'active',
+      monthlyQuota: services.ratelimit.RATELIMIT_CONFIG.tiers.partner.monthlyQuota,
+      createdBy: ADMIN,
+    });
+    expect(key).not.toHaveProperty('hash');
+
+    const stored = await services.storage.get(`apikeys:key:${key.id}`);
+    expect(stored.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(stored)).not.toContain(apiKey.split('_').pop());
+
+    const [event] = audited('security.apikey.issued');
+    expect(event[1]).toMatchObject({ keyId: key.id, tier: 'partner', scopes: ['token'] });
+    expect(event[2].actor).toEqual({ id: ADMIN, type: 'admin' });
+
+    expect(await services.apiKeys.listKeys({ owner: PARTNER })).toEqual([key]);
+    expect(await services.apiKeys.listKeys({ owner: STRANGER })).toEqual([]);
+  });
+
+  it('should refuse owners, tiers and scopes it cannot issue', async () => {
+    const attempt = input =>
+      services.apiKeys
+        .issueKey({ owner: PARTNER, name: 'Dash', scopes: ['token'], ...input }, ADMIN)
+        .then(result => result.error);
+
+    expect(await attempt({ owner: 'not-a-wallet' })).toBe('Invalid owner wallet');
+    expect(await attempt({ name: '  ' })).toBe('Name is required');
+    expect(await attempt({ tier: 'admin' })).toBe(
+      'Tier must be one of: authenticated, premium, partner'
+    );
+    expect(await attempt({ scopes: ['shop'] })).toBe('Unknown scope: shop');
+    expect(await attempt({ scopes: [] })).toBe('At least one scope is required');
+
+    const { key } = await services.apiKeys.issueKey(
+      { owner: PARTNER, name: 'Dash', scopes: ['token', 'token'] },
+      ADMIN
+    );
+    expect(key).toMatchObject({ tier: 'authenticated', scopes: ['token'] });
+  });
+});
+
+describe('middleware', () => {
+  it('should leave requests without a key to the per-IP limiter', async () => {
+    const { req, passed } = await request(`/api/token/${MINT}/price`, null);
+
+    expect(passed).toBe(true);
+    expect(req.apiKey).toBeUndefined();
+  });
+
+  it('should let a key through the route groups it is scoped to', async () => {
+    const { key, apiKey } = await issue({ scopes: ['token', 'leaderboard'] });
+
+    const token = await request(`/api/token/${MINT}/price`, apiKey);
+    expect(token.passed).toBe(true);
+    expect(token.req.apiKey).toEqual({
+      id: key.id,
+      owner: PARTNER,
+      tier: 'partner',
+      scopes: ['token', 'leaderboard'],
+    });
+    expect(token.res.headers['x-quota-limit']).toBe(key.monthlyQuota);
+    expect(token.res.headers['x-quota-remaining']).toBe(key.monthlyQuota - 1);
+    expect(token.res.headers['x-quota-reset']).toBe(Date.UTC(2026, 1, 1) / 1000);
+
+    expect((await request('/api/leaderboard/burns', apiKey)).passed).toBe(true);
+
+    const ecosystem = await request('/api/ecosystem/stats', apiKey);
+    expect(ecosystem.passed).toBe(false);
+    expect(ecosystem.res.statusCode).toBe(403);
+    expect(ecosystem.res.body.scopes).toEqual(['token', 'leaderboard']);
+
+    expect((await services.apiKeys.getKey(key.id)).key.lastUsedAt).toBe(now);
+  });
+
+  it('should reject bad keys and audit the tampered ones', async () => {
+    const { key, apiKey } = await issue();
+    const tampered = apiKey.slice(0, -4) + (apiKey.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+
+    for (const presented of ['asdf_nope', tampered]) {
+      const { res, passed } = await request(`/api/token/${MINT}/price`, presented);
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error).toBe('Invalid API key');
+    }
+
+    // Malformed headers are counted, not audited
+    const rejected = audited('security.apikey.rejected').map(([, data]) => data);
+    expect(rejected).toEqual([
+      { keyId: key.id, reason: 'mismatch', path: `/api/token/${MINT}/price` },
+    ]);
+    expect(services.apiKeys.getStats().rejected).toBe(2);
+  });
+
+  it('should apply the tier rate limit per key', async () => {
+    services.ratelimit.updateTierLimits('authenticated', { perSecond: 2 });
+    const { apiKey } = await issue({ tier: 'authenticated' });
+
+    expect((await request(`/api/token/${MINT}/price`, apiKey)).passed).toBe(true);
+    expect((await request(`/api/token/${MINT}/price`, apiKey)).passed).toBe(true);
+
+    const limited = await request(`/api/token/${MINT}/price`, apiKey);
+    expect(limited.res.statusCode).toBe(429);
+    expect(limited.res.body.error).toBe('rate_limit_exceeded');
+    expect(limited.res.headers['retry-after']).toBeGreaterThan(0);
+
+    // Another key on the same tier has its own window
+    const other = await issue({ tier: 'authenticated', name: 'Second dashboard' });
+    expect((await request(`/api/token/${MINT}/price`, other.apiKey)).passed).toBe(true);
+  });
+
+  it('should stop at the monthly quota and start over next month', async () => {
+    services.ratelimit.updateTierLimits('premium', { monthlyQuota: 2 });
+    const { key, apiKey } = await issue({ tier: 'premium' });
+
+    expect((await request(`/api/token/${MINT}/price`, apiKey)).passed).toBe(true);
+    now += 1000;
+    expect((await request(`/api/token/${MINT}/burns`, apiKey)).passed).toBe(true);
+    now += 1000;
+
+    const over = await request(`/api/token/${MINT}/price`, apiKey);
+    expect(over.res.statusCode).toBe(429);
+    expect(over.res.body).toMatchObject({
+      error: 'monthly_quota_exceeded',
+      resetAt: Date.UTC(2026, 1, 1),
+    });
+    expect(over.res.headers['x-quota-remaining']).toBe(0);
+
+    const { usage } = await services.apiKeys.getUsage(key.id);
+    expect(usage[0]).toMatchObject({ month: '2026-01', total: 2, remaining: 0, quotaExceeded: 1 });
+
+    now = Date.UTC(2026, 1, 1, 0, 5);
+    const next = await request(`/api/token/${MINT}/price`, apiKey);
+    expect(next.passed).toBe(true);
+    expect(next.res.headers['x-quota-remaining']).toBe(1);
+  });
+});
+
+describe('rotation and revocation', () => {
+  it('should keep the old key working through the grace period', async () => {
+    const { key, apiKey: oldKey } = await issue();
+    const rotated = await services.apiKeys.rotateKey(key.id, PARTNER, { owner: PARTNER });
+
+    expect(rotated.success).toBe(true);
+    expect(rotated.apiKey).not.toBe(oldKey);
+    expect(rotated.apiKey).toContain(key.id);
+    expect(rotated.key.previousKeyExpiresAt).toBe(now + 24 * HOUR);
+
+    const grace = await request(`/api/token/${MINT}/price`, oldKey);
+    expect(grace.passed).toBe(true);
+    expect(grace.res.headers['x-api-key-deprecated']).toBe('rotated');
+    expect((await request(`/api/token/${MINT}/price`, rotated.apiKey)).passed).toBe(true);
+
+    now += 24 * HOUR + 1;
+    expect((await request(`/api/token/${MINT}/price`, oldKey)).res.statusCode).toBe(401);
+    expect((await request(`/api/token/${MINT}/price`, rotated.apiKey)).passed).toBe(true);
+
+    const [event] = audited('security.apikey.rotated');
+    expect(event[1]).toMatchObject({ keyId: key.id, immediate: false });
+    expect(event[2].actor).toEqual({ id: PARTNER, type: 'user' });
+  });
+
+  it('should cut the old key off at once on an immediate rotation', async () => {
+    const { key, apiKey: oldKey } = await issue();
+    const { apiKey } = await services.apiKeys.rotateKey(key.id, ADMIN, { immediate: true });
+
+    expect((await request(`/api/token/${MINT}/price`, oldKey)).res.statusCode).toBe(401);
+    expect((await request(`/api/token/${MINT}/price`, apiKey)).passed).toBe(true);
+  });
+
+  it('should only let owners rotate and revoke their own keys', async () => {
+    const { key } = await issue();
+
+    expect(await services.apiKeys.rotateKey(key.id, STRANGER, { owner: STRANGER })).toEqual({
+      success: false,
+      error: 'API key not found',
+    });
+    expect(await services.apiKeys.revokeKey(key.id, STRANGER, { owner: STRANGER })).toEqual({
+      success: false,
+      error: 'API key not found',
+    });
+  });
+
+  it('should refuse revoked keys but keep them on record', async () => {
+    const { key, apiKey } = await issue();
+    const revoked = await services.apiKeys.revokeKey(key.id, ADMIN, { reason: 'Contract ended' });
+
+    expect(revoked.key).toMatchObject({
+      status: 'revoked',
+      revokedAt: now,
+      revokedBy: ADMIN,
+      revokeReason: 'Contract ended',
+    });
+
+    const { res } = await request(`/api/token/${MINT}/price`, apiKey);
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('API key revoked');
+
+    expect(await services.apiKeys.listKeys({ status: 'revoked' })).toHaveLength(1);
+    expect((await services.apiKeys.rotateKey(key.id, ADMIN)).error).toBe('API key is revoked');
+    expect((await services.apiKeys.revokeKey(key.id, ADMIN)).error).toBe(
+      'API key is already revoked'
+    );
+    expect(audited('security.apikey.revoked')).toHaveLength(1);
+  });
+
+  it('should move a key between tiers and scopes', async () => {
+    const { key, apiKey } = await issue();
+    const updated = await services.apiKeys.updateKey(
+      key.id,
+      { tier: 'premium', scopes: ['ecosystem'] },
+      ADMIN
+    );
+
+    expect(updated.key).toMatchObject({ tier: 'premium', scopes: ['ecosystem'] });
+    expect((await request(`/api/token/${MINT}/price`, apiKey)).res.statusCode).toBe(403);
+    expect((await request('/api/ecosystem/burns', apiKey)).passed).toBe(true);
+
+    const [event] = audited('security.apikey.updated');
+    expect(event[1].changes.tier).toEqual({ from: 'partner', to: 'premium' });
+  });
+});
+
+describe('usage', () => {
+  it('should meter requests by route group, day and status', async () => {
+    const { key, apiKey } = await issue({ scopes: ['token', 'ecosystem'] });
+
+    await request(`/api/token/${MINT}/price`, apiKey);
+    await request(`/api/token/${MINT}/transfers`, apiKey, { routeStatus: 404 });
+    await request('/api/ecosystem/stats', apiKey);
+    now += 2 * HOUR;
+    await request('/api/ecosystem/burns', apiKey);
+
+    const { usage } = await services.apiKeys.getUsage(key.id, { months: 3 });
+
+    expect(usage).toHaveLength(2);
+    expect(usage[0]).toMatchObject({
+      month: '2026-02',
+      total: 1,
+      byScope: { ecosystem: 1 },
+      byDay: { '2026-02-01': 1 },
+      byStatus: { '2xx': 1 },
+    });
+    expect(usage[1]).toMatchObject({
+      month: '2026-01',
+      total: 3,
+      byScope: { token: 2, ecosystem: 1 },
+      byDay: { '2026-01-31': 3 },
+      byStatus: { '2xx': 2, '4xx': 1 },
+      rateLimited: 0,
+      quotaExceeded: 0,
+    });
+  });
+
+  it('should authenticate unmetered usage reads with the key', async () => {
+    const { key, apiKey } = await issue();
+    const { req, passed } = await request('/api/partner/usage', apiKey, { metered: false });
+
+    expect(passed).toBe(true);
+    expect(req.apiKey.id).toBe(key.id);
+
+    const { usage } = await services.apiKeys.getUsage(key.id, { owner: PARTNER });
+    expect(usage[0].total).toBe(0);
+
+    expect((await services.apiKeys.getUsage(key.id, { owner: STRANGER })).error).toBe(
+      'API key not found'
+    );
+    expect((await services.apiKeys.getUsage(key.id, { month: '2026-13' })).error).toBe(
+      'month must be YYYY-MM'
+    );
+    expect((await services.apiKeys.getUsage(key.id, { months: 40 })).error).toBe(
+      'months must be between 1 and 12'
+    );
+  });
+});
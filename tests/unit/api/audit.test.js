@@ -0,0 +1,322 @@
+/**
+ * ASDF API - Audit Hash Chain Tests
+ * Tests linking events into the persistent chain, appends from several
+ * instances sharing one storage, chain verification (tampered, missing and
+ * evicted events), signed checkpoints and the proofs attached to exports
+ *
+ * This is fine.
+ */
+
+const { MemoryAdapter, STORAGE_CONFIG } = require('../../../api/services/storage');
+
+let storage;
+
+/**
+ * Load an independent audit service (one per simulated instance)
+ */
+async function loadInstance({ initialize = true } = {}) {
+  let audit;
+  jest.isolateModules(() => {
+    audit = require('../../../api/services/audit');
+  });
+  if (initialize) {
+    await audit.initialize({ storage });
+  } else {
+    audit.setStorage(storage);
+  }
+  return audit;
+}
+
+/**
+ * Log n events and wait until they are chained
+ */
+async function append(audit, n, type = 'user.updated') {
+  for (let i = 0; i < n; i++) {
+    audit.log(type, { index: i }, { actor: { id: `wallet-${i}`, type: 'user' } });
+  }
+  audit.flush();
+  await audit.verifyChain();
+}
+
+async function stored(sequence) {
+  return storage.get(`audit:chain:evt:${sequence}`);
+}
+
+beforeEach(() => {
+  storage = new MemoryAdapter();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await storage.close();
+  jest.restoreAllMocks();
+});
+
+describe('append', () => {
+  it('should link events in order onto the genesis hash', async () => {
+    const audit = await loadInstance();
+    await append(audit, 3);
+
+    const first = await stored(1);
+    const second = await stored(2);
+
+    expect(first).toMatchObject({ sequence: 1, prevHash: audit.AUDIT_CONFIG.chain.genesisHash });
+    expect(second.prevHash).toBe(first.hash);
+    expect(second.hash).toBe(audit.computeChainHash(second));
+    expect(await storage.get('audit:chain:head')).toMatchObject({ sequence: 3 });
+    expect(audit.getChainHead()).toMatchObject({ sequence: 3, pending: 0 });
+  });
+
+  it('should keep one contiguous chain across instances', async () => {
+    const first = await loadInstance();
+    const second = await loadInstance();
+
+    await append(first, 2);
+    await append(second, 2);
+    await append(first, 1);
+
+    const sequences = [];
+    for (let seq = 1; seq <= 5; seq++) {
+      sequences.push((await stored(seq)).sequence);
+    }
+    expect(sequences).toEqual([1, 2, 3, 4, 5]);
+    expect(await first.verifyChain()).toMatchObject({ valid: true, eventsChecked: 5 });
+    expect(await second.verifyChain()).toMatchObject({ valid: true, headSequence: 5 });
+  });
+
+  it('should not interleave concurrent appends', async () => {
+    const first = await loadInstance();
+    const second = await loadInstance();
+
+    for (let i = 0; i < 50; i++) {
+      first.log('user.updated', { from: 'first', i });
+      second.log('user.updated', { from: 'second', i });
+    }
+    first.flush();
+    second.flush();
+
+    const [a, b] = await Promise.all([first.verifyChain(), second.verifyChain()]);
+    const result = await first.verifyChain();
+
+    expect(a.valid && b.valid).toBe(true);
+    expect(result).toMatchObject({ valid: true, headSequence: 100, eventsChecked: 100 });
+  });
+
+  it('should retry once another instance releases the lock', async () => {
+    const audit = await loadInstance();
+    await storage.acquireLock('audit:chain:lock', 'other-instance', 60000);
+    audit.AUDIT_CONFIG.chain.lockWait = 50;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await append(audit, 2);
+    expect(audit.getChainHead()).toMatchObject({ sequence: 0, pending: 2 });
+    expect(audit.getStats().persistErrors).toBeGreaterThan(0);
+
+    await storage.releaseLock('audit:chain:lock', 'other-instance');
+    audit.flush();
+    expect(await audit.verifyChain()).toMatchObject({ valid: true, headSequence: 2 });
+  });
+
+  it('should bound the events waiting for initialize()', async () => {
+    const audit = await loadInstance({ initialize: false });
+    audit.AUDIT_CONFIG.chain.maxQueued = 5;
+
+    for (let i = 0; i < 8; i++) {
+      audit.log('user.updated', { i });
+    }
+    audit.flush();
+
+    expect(audit.getChainHead()).toMatchObject({ restored: false, pending: 5 });
+    expect(audit.getStats().unchainedEvents).toBe(3);
+
+    await audit.initialize();
+    expect(await audit.verifyChain()).toMatchObject({ valid: true, headSequence: 5 });
+  });
+});
+
+describe('verifyChain', () => {
+  it('should report a modified event', async () => {
+    const audit = await loadInstance();
+    await append(audit, 4);
+
+    const event = await stored(3);
+    event.data = { index: 99 };
+    await storage.set('audit:chain:evt:3', event);
+
+    expect((await audit.verifyChain()).brokenLink).toMatchObject({
+      sequence: 3,
+      reason: 'checksum_mismatch',
+    });
+  });
+
+  it('should report changes to any logged field', async () => {
+    const audit = await loadInstance();
+    audit.log(
+      'user.updated',
+      {},
+      {
+        actor: { id: 'wallet-0', type: 'user' },
+        target: 'profile-1',
+        ip: '203.0.113.7',
+        userAgent: 'jest',
+        requestId: 'req-1',
+        metadata: { source: 'api' },
+      }
+    );
+    audit.flush();
+    await audit.verifyChain();
+    const original = await stored(1);
+
+    const edits = [
+      { target: { id: 'profile-2', type: 'resource', name: null } },
+      { ip: 'f'.repeat(16) },
+      { userAgent: 'curl' },
+      { requestId: 'req-2' },
+      { metadata: { source: 'admin' } },
+      { isoTimestamp: new Date(0).toISOString() },
+    ];
+    for (const edit of edits) {
+      await storage.set('audit:chain:evt:1', { ...original, ...edit });
+      expect((await audit.verifyChain()).brokenLink).toMatchObject({
+        sequence: 1,
+        reason: 'checksum_mismatch',
+      });
+    }
+
+    // Re-checksummed, the chain hash still catches it
+    const event = { ...original, metadata: { source: 'admin' } };
+    event.checksum = audit.generateChecksum(event);
+    await storage.set('audit:chain:evt:1', event);
+    expect((await audit.verifyChain()).brokenLink.reason).toBe('hash_mismatch');
+  });
+
+  it('should report a re-hashed event through the next link', async () => {
+    const audit = await loadInstance();
+    await append(audit, 4);
+
+    const event = await stored(2);
+    event.severity = 'debug';
+    event.checksum = audit.generateChecksum(event);
+    event.hash = audit.computeChainHash(event);
+    await storage.set('audit:chain:evt:2', event);
+
+    expect((await audit.verifyChain()).brokenLink).toMatchObject({
+      sequence: 3,
+      reason: 'prev_hash_mismatch',
+    });
+  });
+
+  it('should report a deleted event', async () => {
+    const audit = await loadInstance();
+    await append(audit, 4);
+
+    await storage.del('audit:chain:evt:2');
+
+    expect(await audit.verifyChain()).toMatchObject({
+      valid: false,
+      brokenLink: { sequence: 2, reason: 'missing_event' },
+    });
+  });
+
+  it('should not lose chain events to memory eviction', async () => {
+    const audit = await loadInstance();
+    const maxKeys = STORAGE_CONFIG.maxKeys;
+    STORAGE_CONFIG.maxKeys = 20;
+
+    try {
+      await append(audit, 5);
+      for (let i = 0; i < 40; i++) {
+        await storage.set(`cache:${i}`, i);
+      }
+
+      expect(await storage.exists('cache:0')).toBe(false);
+      expect(await audit.verifyChain()).toMatchObject({ valid: true, eventsChecked: 5 });
+    } finally {
+      STORAGE_CONFIG.maxKeys = maxKeys;
+    }
+  });
+});
+
+describe('checkpoints', () => {
+  it('should sign the head once checkpointEvery events are chained', async () => {
+    const audit = await loadInstance();
+    audit.AUDIT_CONFIG.chain.checkpointEvery = 3;
+
+    // Checked after each persistence pass
+    await append(audit, 3);
+    await append(audit, 2);
+    await append(audit, 1);
+    await append(audit, 1);
+
+    const checkpoints = audit.getCheckpoints();
+    expect(checkpoints.map(cp => cp.sequence)).toEqual([3, 6]);
+    expect(checkpoints[1].hash).toBe((await stored(6)).hash);
+    expect(checkpoints.every(cp => audit.verifyCheckpoint(cp))).toBe(true);
+    expect(await audit.verifyChain()).toMatchObject({ valid: true, checkpointsVerified: 2 });
+  });
+
+  it('should reject forged checkpoints', async () => {
+    const audit = await loadInstance();
+    audit.AUDIT_CONFIG.chain.checkpointEvery = 3;
+    await append(audit, 3);
+
+    const [checkpoint] = audit.getCheckpoints();
+    expect(audit.verifyCheckpoint({ ...checkpoint, sequence: 4 })).toBe(false);
+
+    // A rewritten chain no longer matches the signed head
+    const event = await stored(3);
+    event.prevHash = 'f'.repeat(64);
+    event.hash = audit.computeChainHash(event);
+    await storage.set('audit:chain:evt:3', event);
+
+    expect((await audit.verifyChain()).brokenLink.reason).toBe('prev_hash_mismatch');
+  });
+
+  it('should restore checkpoints and the head on a new instance', async () => {
+    const first = await loadInstance();
+    first.AUDIT_CONFIG.chain.checkpointEvery = 2;
+    await append(first, 2);
+
+    const second = await loadInstance();
+    expect(second.getChainHead()).toMatchObject({ sequence: 2, checkpoints: 1 });
+    // Signed with the first instance's ephemeral key
+    expect(second.verifyCheckpoint(second.getCheckpoints()[0])).toBe(false);
+  });
+});
+
+describe('export proofs', () => {
+  it('should attach the checkpoints bracketing the exported range', async () => {
+    const audit = await loadInstance();
+    audit.AUDIT_CONFIG.chain.checkpointEvery = 3;
+    await append(audit, 3, 'security.ip.blocked');
+    await append(audit, 3, 'security.ip.blocked');
+    await append(audit, 1, 'security.ip.blocked');
+
+    const exported = audit.exportLogs({ category: 'security' });
+
+    expect(exported.events).toHaveLength(7);
+    expect(exported.chain).toMatchObject({
+      firstSequence: 1,
+      lastSequence: 7,
+      unchainedEvents: 0,
+      head: { sequence: 7 },
+      signatureAlgorithm: 'ed25519',
+    });
+    expect(exported.chain.checkpoints.map(cp => cp.sequence)).toEqual([3, 6]);
+
+    // Offline: the proof's key verifies its checkpoints
+    const [checkpoint] = exported.chain.checkpoints;
+    expect(audit.verifyCheckpoint(checkpoint, exported.chain.publicKey)).toBe(true);
+  });
+
+  it('should count events exported before they were chained', async () => {
+    const audit = await loadInstance();
+    await append(audit, 2, 'security.ip.blocked');
+    audit.log('security.ip.blocked', { late: true });
+
+    const exported = audit.exportLogs({ category: 'security' });
+
+    expect(exported.chain).toMatchObject({ firstSequence: 1, lastSequence: 2 });
+    expect(exported.chain.unchainedEvents).toBe(1);
+  });
+});
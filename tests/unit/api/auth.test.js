@@ -0,0 +1,511 @@
+/**
+ * ASDF API - Sign-In With Solana & Session Token Tests
+ * Tests SIWS message formatting and parsing, the signMessage and one-click
+ * solana:signIn flows, domain binding against phishing relays, rejection
+ * of edited, expired or replayed challenges, and refresh token rotation with
+ * reuse detection and revocations applied on every instance
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+jest.mock('../../../api/services/helius', () => ({
+  isValidAddress: jest.fn(address => /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)),
+  getTokenBalance: jest.fn(async () => ({ balance: 1000, isHolder: true })),
+}));
+
+const crypto = require('crypto');
+// jsdom lacks it; signature checks encode the message with it (in this realm's Uint8Array)
+global.TextEncoder = class {
+  encode(text) {
+    return new Uint8Array(Buffer.from(text, 'utf8'));
+  }
+};
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-'.padEnd(48, 'x');
+// Requests without an Origin sign in for the site
+process.env.SIWS_APP_DOMAIN = 'alonisthe.dev';
+
+const auth = require('../../../api/services/auth');
+const { MemoryAdapter } = require('../../../api/services/storage');
+
+const ORIGIN = 'https://alonisthe.dev';
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Base58 encode bytes (Solana addresses and signatures)
+ */
+function base58(bytes) {
+  let value = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+  return encoded;
+}
+
+/**
+ * Ed25519 keypair standing in for a wallet
+ */
+function createWallet() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  return {
+    address: base58(raw),
+    sign: message => base58(crypto.sign(null, Buffer.from(message, 'utf8'), privateKey)),
+  };
+}
+
+/**
+ * Load an independent auth + session manager (one per simulated instance)
+ * Every instance shares one storage adapter, like nodes on the same Redis.
+ */
+function loadInstance(storage) {
+  let instance;
+  jest.isolateModules(() => {
+    instance = {
+      auth: require('../../../api/services/auth'),
+      sessions: require('../../../api/services/sessionManager'),
+      audit: require('../../../api/services/audit'),
+    };
+  });
+  instance.auth.setStorage(storage);
+  instance.sessions.initialize({ storage });
+  instances.push(instance);
+  return instance;
+}
+
+/**
+ * Request from a browser
+ */
+function browser(userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Firefox/126.0') {
+  return { headers: { 'user-agent': userAgent, 'accept-language': 'en' }, ip: '203.0.113.7' };
+}
+
+/**
+ * Sign in through the signMessage flow
+ */
+async function signIn(instance, req = browser()) {
+  const { challenge } = instance.auth.generateChallenge(wallet.address, { origin: ORIGIN });
+  return instance.auth.verifyAndAuthenticate(wallet.address, wallet.sign(challenge), { req });
+}
+
+let now;
+let wallet;
+let instances = [];
+
+beforeEach(() => {
+  now = Date.parse('2024-06-01T12:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  wallet = createWallet();
+});
+
+afterEach(() => {
+  instances.forEach(instance => instance.sessions.shutdown());
+  instances = [];
+  jest.restoreAllMocks();
+});
+
+describe('SIWS messages', () => {
+  const input = {
+    domain: 'alonisthe.dev',
+    address: 'Wa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+    statement: 'Sign in to ASDF',
+    uri: 'https://alonisthe.dev',
+    version: '1',
+    chainId: 'mainnet',
+    nonce: 'abc123def456',
+    issuedAt: '2024-06-01T12:00:00.000Z',
+    expirationTime: '2024-06-01T12:05:00.000Z',
+    requestId: 'req-1',
+    resources: ['https://alonisthe.dev/terms', 'ipfs://bafy'],
+  };
+
+  it('should follow the SIWS layout', () => {
+    expect(auth.formatSignInMessage(input)).toBe(
+      [
+        'alonisthe.dev wants you to sign in with your Solana account:',
+        'Wa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+        '',
+        'Sign in to ASDF',
+        '',
+        'URI: https://alonisthe.dev',
+        'Version: 1',
+        'Chain ID: mainnet',
+        'Nonce: abc123def456',
+        'Issued At: 2024-06-01T12:00:00.000Z',
+        'Expiration Time: 2024-06-01T12:05:00.000Z',
+        'Request ID: req-1',
+        'Resources:',
+        '- https://alonisthe.dev/terms',
+        '- ipfs://bafy',
+      ].join('\n')
+    );
+  });
+
+  it('should parse what it formats, with or without a statement', () => {
+    expect(auth.parseSignInMessage(auth.formatSignInMessage(input))).toEqual(input);
+
+    const { statement: _statement, resources: _resources, ...minimal } = input;
+    expect(auth.parseSignInMessage(auth.formatSignInMessage(minimal))).toEqual(minimal);
+  });
+
+  it('should reject messages that are not SIWS', () => {
+    expect(auth.parseSignInMessage('ASDF Authentication\n\nWallet: abc')).toBeNull();
+    expect(auth.parseSignInMessage(`${auth.formatSignInMessage(input)}\nNonce: again`)).toBeNull();
+    expect(auth.parseSignInMessage(`${auth.formatSignInMessage(input)}\nEvil: field`)).toBeNull();
+    expect(auth.parseSignInMessage(null)).toBeNull();
+  });
+});
+
+describe('signMessage flow', () => {
+  it('should issue a bound challenge and authenticate its signature once', async () => {
+    const { challenge, input, expiresAt } = auth.generateChallenge(wallet.address, {
+      origin: ORIGIN,
+    });
+
+    expect(challenge.split('\n')[0]).toBe(
+      'alonisthe.dev wants you to sign in with your Solana account:'
+    );
+    expect(input).toMatchObject({
+      domain: 'alonisthe.dev',
+      address: wallet.address,
+      uri: ORIGIN,
+      version: '1',
+      chainId: 'mainnet',
+      issuedAt: '2024-06-01T12:00:00.000Z',
+      expirationTime: new Date(expiresAt).toISOString(),
+    });
+    expect(input.nonce).toMatch(/^[a-f0-9]{32}$/);
+
+    const { token, user } = await auth.verifyAndAuthenticate(
+      wallet.address,
+      wallet.sign(challenge)
+    );
+    expect(user).toMatchObject({ wallet: wallet.address, isHolder: true });
+    expect(auth.verifyToken(token).valid).toBe(true);
+
+    // Replay
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(challenge))
+    ).rejects.toThrow('No challenge found');
+  });
+
+  it('should keep only the latest challenge per wallet', async () => {
+    const first = auth.generateChallenge(wallet.address, { origin: ORIGIN });
+    const second = auth.generateChallenge(wallet.address, { origin: ORIGIN });
+
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(first.challenge), {
+        message: first.challenge,
+      })
+    ).rejects.toThrow('No challenge found');
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(second.challenge))
+    ).resolves.toHaveProperty('token');
+  });
+
+  it('should reject bad signatures and expired challenges', async () => {
+    const { challenge } = auth.generateChallenge(wallet.address, { origin: ORIGIN });
+    const other = createWallet();
+
+    await expect(auth.verifyAndAuthenticate(wallet.address, other.sign(challenge))).rejects.toThrow(
+      'Invalid signature'
+    );
+
+    now += 5 * 60 * 1000 + 1;
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(challenge))
+    ).rejects.toThrow('Challenge expired');
+  });
+});
+
+describe('one-click solana:signIn flow', () => {
+  it('should let the wallet fill in its address', async () => {
+    const { challenge, input } = auth.generateChallenge(null, { origin: ORIGIN });
+    expect(challenge).toBeNull();
+    expect(input.address).toBeUndefined();
+
+    // What a Wallet Standard wallet signs for this input
+    const message = auth.formatSignInMessage({ ...input, address: wallet.address });
+    const result = await auth.verifyAndAuthenticate(wallet.address, wallet.sign(message), {
+      message,
+      origin: ORIGIN,
+    });
+
+    expect(result.user.wallet).toBe(wallet.address);
+  });
+
+  it.each([
+    ['statement', { statement: 'Free airdrop' }, 'Sign-in statement mismatch'],
+    [
+      'expiration',
+      { expirationTime: '2030-01-01T00:00:00.000Z' },
+      'Sign-in expirationTime mismatch',
+    ],
+    ['chain', { chainId: 'devnet' }, 'Sign-in chainId mismatch'],
+    ['resources', { resources: ['https://evil.example'] }, 'Sign-in resources mismatch'],
+  ])('should reject an edited %s', async (label, edit, error) => {
+    const { input } = auth.generateChallenge(null, { origin: ORIGIN });
+    const message = auth.formatSignInMessage({ ...input, address: wallet.address, ...edit });
+
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(message), { message })
+    ).rejects.toThrow(error);
+  });
+
+  it('should reject a message signed for another wallet', async () => {
+    const { input } = auth.generateChallenge(null, { origin: ORIGIN });
+    const other = createWallet();
+    const message = auth.formatSignInMessage({ ...input, address: other.address });
+
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, other.sign(message), { message })
+    ).rejects.toThrow('Wallet does not match the sign-in message');
+  });
+});
+
+describe('domain binding', () => {
+  it('should refuse challenges for origins it does not serve', () => {
+    expect(() =>
+      auth.generateChallenge(wallet.address, { origin: 'https://alonisthe.dev.evil.example' })
+    ).toThrow('Domain not allowed');
+    expect(() => auth.generateChallenge(null, { origin: 'not a url' })).toThrow(
+      'Domain not allowed'
+    );
+  });
+
+  it('should reject a relayed challenge re-labelled for a phishing domain', async () => {
+    const { input } = auth.generateChallenge(null, { origin: ORIGIN });
+    const message = auth.formatSignInMessage({
+      ...input,
+      address: wallet.address,
+      domain: 'alonisthe-dev.evil.example',
+    });
+
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(message), { message })
+    ).rejects.toThrow('Sign-in domain mismatch');
+  });
+
+  it('should reject verification from a page on another domain', async () => {
+    const { challenge } = auth.generateChallenge(wallet.address, { origin: ORIGIN });
+
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(challenge), {
+        origin: 'https://evil.example',
+      })
+    ).rejects.toThrow('Sign-in domain mismatch');
+  });
+
+  it('should default to the app domain for requests without an origin', () => {
+    const { input } = auth.generateChallenge(wallet.address);
+    expect(input.domain).toBe('alonisthe.dev');
+    expect(input.uri).toBe('https://alonisthe.dev');
+  });
+
+  it('should only complete app domain challenges without an origin', async () => {
+    const { challenge } = auth.generateChallenge(wallet.address, {
+      origin: 'http://localhost:5173',
+    });
+
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(challenge))
+    ).rejects.toThrow('Sign-in domain mismatch');
+    await expect(
+      auth.verifyAndAuthenticate(wallet.address, wallet.sign(challenge), {
+        origin: 'http://localhost:5173',
+      })
+    ).resolves.toHaveProperty('token');
+  });
+});
+
+describe('refresh token rotation', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryAdapter();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should issue short-lived access tokens bound to a session', async () => {
+    const { auth, sessions } = loadInstance(storage);
+    const { token, refreshToken, sessionId } = await signIn({ auth });
+
+    const { payload } = auth.verifyToken(token);
+    expect(payload).toMatchObject({ wallet: wallet.address, sid: sessionId });
+    expect((payload.exp - payload.iat) * 1000).toBe(auth.TOKEN_CONFIG.accessTokenTTL);
+    expect(refreshToken).toMatch(/^[\w-]{43}$/);
+
+    // Only the hash is stored
+    expect(JSON.stringify(Object.fromEntries(storage.data))).not.toContain(refreshToken);
+    expect(sessions.getUserSessions(wallet.address).map(s => s.id)).toEqual([sessionId]);
+  });
+
+  it('should rotate the refresh token on every use', async () => {
+    const { auth } = loadInstance(storage);
+    const first = await signIn({ auth });
+
+    now += 20 * 60 * 1000;
+    expect(auth.verifyToken(first.token).error).toBe('Token expired');
+
+    const second = await auth.refreshToken(first.refreshToken, { req: browser() });
+    expect(second.sessionId).toBe(first.sessionId);
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(auth.verifyToken(second.token).valid).toBe(true);
+
+    const third = await auth.refreshToken(second.refreshToken, { req: browser() });
+    expect(third.sessionId).toBe(first.sessionId);
+  });
+
+  it('should revoke the family and session when a spent token is reused', async () => {
+    const { auth, audit } = loadInstance(storage);
+    const logSecurity = jest.spyOn(audit, 'logSecurity');
+    const stolen = await signIn({ auth });
+    const rotated = await auth.refreshToken(stolen.refreshToken, { req: browser() });
+
+    await expect(auth.refreshToken(stolen.refreshToken, { req: browser() })).rejects.toThrow(
+      'Refresh token reuse detected'
+    );
+    expect(logSecurity).toHaveBeenCalledWith(
+      'security.token.reused',
+      expect.objectContaining({ sessionId: expect.any(String) }),
+      expect.objectContaining({
+        severity: 'critical',
+        actor: { id: wallet.address, type: 'user' },
+      })
+    );
+
+    // The legitimate holder's tokens die with it
+    expect(auth.verifyToken(rotated.token).error).toBe('Session has been revoked');
+    await expect(auth.refreshToken(rotated.refreshToken, { req: browser() })).rejects.toThrow(
+      'Session has been revoked'
+    );
+  });
+
+  it('should let only one of two concurrent uses through', async () => {
+    const { auth } = loadInstance(storage);
+    const { refreshToken } = await signIn({ auth });
+
+    const results = await Promise.allSettled([
+      auth.refreshToken(refreshToken, { req: browser() }),
+      auth.refreshToken(refreshToken, { req: browser() }),
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason.message).toBe(
+      'Refresh token reuse detected'
+    );
+  });
+
+  it('should refuse a refresh token presented from another device', async () => {
+    const { auth, sessions } = loadInstance(storage);
+    const { refreshToken, token } = await signIn({ auth });
+
+    await expect(auth.refreshToken(refreshToken, { req: browser('curl/8.5.0') })).rejects.toThrow(
+      'Refresh token used from another device'
+    );
+    expect(auth.verifyToken(token).valid).toBe(false);
+    expect(sessions.getUserSessions(wallet.address)).toEqual([]);
+  });
+
+  it('should reject unknown and malformed refresh tokens', async () => {
+    const { auth } = loadInstance(storage);
+
+    await expect(auth.refreshToken('not-a-token')).rejects.toThrow('Invalid refresh token');
+    await expect(auth.refreshToken('x'.repeat(500))).rejects.toThrow('Invalid refresh token');
+    await expect(auth.refreshToken(undefined)).rejects.toThrow('Invalid refresh token');
+  });
+});
+
+describe('revocations across instances', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new MemoryAdapter();
+  });
+
+  afterEach(async () => {
+    await storage.close();
+  });
+
+  it('should list sessions and devices created on another instance', async () => {
+    const first = loadInstance(storage);
+    const second = loadInstance(storage);
+    const { sessionId } = await signIn(first);
+
+    expect(second.sessions.getUserSessions(wallet.address).map(s => s.id)).toEqual([sessionId]);
+    expect(second.sessions.getUserDevices(wallet.address)).toEqual([
+      expect.objectContaining({ sessionCount: 1, activeSessions: 1 }),
+    ]);
+  });
+
+  it('should apply a session revoked on one instance everywhere', async () => {
+    const first = loadInstance(storage);
+    const second = loadInstance(storage);
+    const { token, refreshToken, sessionId } = await signIn(first);
+
+    second.sessions.revokeSession(sessionId, 'user_revoked');
+
+    expect(first.auth.verifyToken(token).error).toBe('Session has been revoked');
+    expect(first.sessions.getUserSessions(wallet.address)).toEqual([]);
+    expect(first.sessions.getUserDevices(wallet.address)[0].activeSessions).toBe(0);
+    await expect(first.auth.refreshToken(refreshToken, { req: browser() })).rejects.toThrow(
+      'Session has been revoked'
+    );
+  });
+
+  it('should detect reuse across instances and revoke on both', async () => {
+    const first = loadInstance(storage);
+    const second = loadInstance(storage);
+    const stolen = await signIn(first);
+
+    const rotated = await second.auth.refreshToken(stolen.refreshToken, { req: browser() });
+    await expect(first.auth.refreshToken(stolen.refreshToken, { req: browser() })).rejects.toThrow(
+      'Refresh token reuse detected'
+    );
+
+    expect(second.auth.verifyToken(rotated.token).error).toBe('Session has been revoked');
+    expect(second.sessions.getUserSessions(wallet.address)).toEqual([]);
+  });
+
+  it('should read revocations an instance missed from storage', async () => {
+    const first = loadInstance(storage);
+    const { token, sessionId } = await signIn(first);
+    first.sessions.revokeSession(sessionId, 'user_revoked');
+
+    // Started after the announcement (restart, new node)
+    const second = loadInstance(storage);
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+
+    await second.auth.authMiddleware({ cookies: { asdf_auth: token }, headers: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Session has been revoked' });
+    expect(second.sessions.isSessionRevoked(sessionId)).toBe(true);
+  });
+
+  it('should keep revocations in storage as long as access tokens live', async () => {
+    const first = loadInstance(storage);
+    first.sessions.revokeSession('sess_1', 'user_revoked');
+    await Promise.resolve();
+
+    now += first.sessions.SESSION_CONFIG.accessTokenTTL - 1;
+    expect(await storage.exists('session:revoked:sess_1')).toBe(true);
+
+    now += 2;
+    expect(await storage.exists('session:revoked:sess_1')).toBe(false);
+    expect(auth.TOKEN_CONFIG.accessTokenTTL).toBe(first.sessions.SESSION_CONFIG.accessTokenTTL);
+  });
+});
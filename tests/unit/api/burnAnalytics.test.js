@@ -0,0 +1,272 @@
+/**
+ * ASDF API - Burn Analytics Tests
+ * Tests the pre-aggregated burn series (pg-mem stand-in): incremental bucket
+ * refresh, empty-bucket filling, cumulative supply from the reconciled
+ * starting supply and unique burners, and range validation
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+jest.mock('../../../api/services/scheduler', () => ({
+  schedule: jest.fn(() => ({ taskId: 'task_burn_series' })),
+  unschedule: jest.fn(() => true),
+}));
+jest.mock('../../../api/services/heliusEnhanced', () => ({
+  parseTransaction: jest.fn(),
+  parseTransactions: jest.fn(),
+  callRpcMethod: jest.fn(),
+}));
+jest.mock('../../../api/services/helius', () => ({
+  getTokenSupply: jest.fn(),
+  ASDF_TOKEN_MINT: 'ASDFMint11111111111111111111111111111111111',
+}));
+
+const { newDb, DataType } = require('pg-mem');
+
+const ALICE = 'A1ice11111111111111111111111111111111111111';
+const BOB = 'Bob1111111111111111111111111111111111111111';
+const CAROL = 'Caro1111111111111111111111111111111111111111';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MONDAY = Date.UTC(2026, 0, 5); // 2026-01-05
+const WALL_CLOCK = Date.now();
+
+let services;
+let now;
+
+/**
+ * Fresh in-memory Postgres with date_trunc (not built into pg-mem)
+ * @returns {Object} pg-compatible pool
+ */
+function createPostgresStandIn() {
+  const db = newDb({ noAstCoverageCheck: true });
+  db.public.registerFunction({
+    name: 'date_trunc',
+    args: [DataType.text, DataType.timestamp],
+    returns: DataType.timestamp,
+    implementation: (unit, value) => {
+      const time = new Date(value).getTime();
+      const { bucketStart } = require('../../../api/services/burnAnalytics');
+      return new Date(bucketStart(time, unit));
+    },
+  });
+  const { Pool } = db.adapters.createPg();
+  return new Pool();
+}
+
+async function loadServices() {
+  jest.isolateModules(() => {
+    services = {
+      postgres: require('../../../api/services/postgres'),
+      analytics: require('../../../api/services/burnAnalytics'),
+      scheduler: require('../../../api/services/scheduler'),
+      helius: require('../../../api/services/helius'),
+    };
+  });
+  await services.postgres.initialize({ pool: createPostgresStandIn() });
+  // On chain: 1,000,000,000 minus the 175 burned below
+  services.helius.getTokenSupply.mockResolvedValue({ current: 999999825, burned: 175 });
+}
+
+/**
+ * Write burns the way the indexer does
+ */
+async function burn(signature, wallet, amount, burnedAt, kind = 'burn') {
+  await services.postgres.upsertBurns([{ signature, wallet, amount, burnedAt, slot: 1, kind }]);
+}
+
+async function series(options) {
+  const result = await services.analytics.getSeries(options);
+  expect(result.success).toBe(true);
+  return result.series;
+}
+
+beforeEach(async () => {
+  now = MONDAY + 3 * DAY;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await loadServices();
+});
+
+afterEach(async () => {
+  services.analytics.shutdown();
+  await services.postgres.close();
+  jest.restoreAllMocks();
+});
+
+describe('buckets', () => {
+  it('should start buckets on UTC hours, days and Mondays', () => {
+    const time = MONDAY + 2 * DAY + 5 * HOUR + 1234;
+
+    expect(services.analytics.bucketStart(time, 'hour')).toBe(MONDAY + 2 * DAY + 5 * HOUR);
+    expect(services.analytics.bucketStart(time, 'day')).toBe(MONDAY + 2 * DAY);
+    expect(services.analytics.bucketStart(time, 'week')).toBe(MONDAY);
+    expect(services.analytics.bucketStart(MONDAY - 1, 'week')).toBe(MONDAY - 7 * DAY);
+  });
+});
+
+describe('series', () => {
+  beforeEach(async () => {
+    await burn('sig-1', ALICE, 100, MONDAY + HOUR);
+    await burn('sig-2', BOB, 50, MONDAY + 2 * HOUR);
+    await burn('sig-3', ALICE, 25, MONDAY + 2 * DAY + HOUR);
+    await burn('sig-4', CAROL, 10, MONDAY + 2 * DAY + 2 * HOUR, 'incinerator');
+    await services.analytics.refreshSeries();
+  });
+
+  it('should fill empty buckets and accumulate supply and burners', async () => {
+    const daily = await series({ interval: 'day', from: MONDAY, to: MONDAY + 2 * DAY });
+
+    expect(daily.points).toEqual([
+      {
+        t: MONDAY,
+        burned: 150,
+        incinerated: 0,
+        burns: 2,
+        burners: 2,
+        newBurners: 2,
+        totalBurned: 150,
+        supply: 999999850,
+        uniqueBurners: 2,
+      },
+      expect.objectContaining({ t: MONDAY + DAY, burns: 0, totalBurned: 150, uniqueBurners: 2 }),
+      expect.objectContaining({
+        t: MONDAY + 2 * DAY,
+        burned: 25,
+        incinerated: 10,
+        burns: 2,
+        burners: 2,
+        newBurners: 1,
+        totalBurned: 175,
+        supply: 999999825,
+        uniqueBurners: 3,
+      }),
+    ]);
+    expect(daily.totals).toEqual({ burned: 175, incinerated: 10, burns: 4, newBurners: 3 });
+  });
+
+  it('should carry totals from before the range', async () => {
+    const hourly = await series({
+      interval: 'hour',
+      from: new Date(MONDAY + 2 * DAY).toISOString(),
+      to: new Date(MONDAY + 2 * DAY + 3 * HOUR).toISOString(),
+    });
+
+    expect(hourly.points).toHaveLength(4);
+    expect(hourly.points[0]).toMatchObject({ burns: 0, totalBurned: 150, uniqueBurners: 2 });
+    expect(hourly.points[1]).toMatchObject({ burned: 25, totalBurned: 175 });
+    expect(hourly.points[3]).toMatchObject({ totalBurned: 175, uniqueBurners: 3 });
+  });
+
+  it('should aggregate weeks', async () => {
+    const weekly = await series({ interval: 'week', from: MONDAY, to: MONDAY });
+
+    expect(weekly.points).toEqual([
+      expect.objectContaining({ t: MONDAY, burned: 175, burns: 4, burners: 3, newBurners: 3 }),
+    ]);
+  });
+
+  it('should rebuild only what changed since the last refresh', async () => {
+    now += 2 * 60 * 1000;
+    await burn('sig-5', BOB, 5, MONDAY + 2 * DAY + HOUR);
+    // Overwritten by a re-index: counted once
+    await burn('sig-1', ALICE, 100, MONDAY + HOUR);
+
+    const refreshed = await services.analytics.refreshSeries();
+    expect(refreshed).toEqual({ refreshed: true, since: MONDAY + HOUR });
+
+    const daily = await series({ interval: 'day', from: MONDAY, to: MONDAY + 2 * DAY });
+    expect(daily.points.map(point => point.burned)).toEqual([150, 0, 30]);
+    expect(daily.points[2]).toMatchObject({ burners: 3, newBurners: 1, uniqueBurners: 3 });
+  });
+
+  it('should re-read recent writes until they fall behind the lag', async () => {
+    // indexed_at comes from the database clock, not the mocked one
+    now = WALL_CLOCK + 30 * 1000;
+    expect(await services.analytics.refreshSeries()).toEqual({
+      refreshed: true,
+      since: MONDAY + HOUR,
+    });
+
+    now = WALL_CLOCK + 10 * 60 * 1000;
+    expect((await services.analytics.refreshSeries()).refreshed).toBe(true);
+    expect(await services.analytics.refreshSeries()).toEqual({ refreshed: false });
+  });
+
+  it('should start the supply from the reconciled supply and reuse it for a while', async () => {
+    services.helius.getTokenSupply.mockResolvedValue({ current: 899999825, burned: 100000175 });
+
+    const daily = await series({ interval: 'day', from: MONDAY, to: MONDAY + 2 * DAY });
+    expect(daily.initialSupply).toBe(900000000);
+    expect(daily.points.map(point => point.supply)).toEqual([899999850, 899999850, 899999825]);
+
+    services.helius.getTokenSupply.mockResolvedValue({ current: 1, burned: 1 });
+    expect((await series({ interval: 'week', from: MONDAY, to: MONDAY })).initialSupply).toBe(
+      900000000
+    );
+    expect(services.helius.getTokenSupply).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the last reconciled supply while the token supply is unavailable', async () => {
+    expect((await series({ interval: 'week', from: MONDAY, to: MONDAY })).initialSupply).toBe(
+      1000000000
+    );
+
+    now += services.analytics.SERIES_CONFIG.supplyTtl;
+    services.helius.getTokenSupply.mockRejectedValue(new Error('RPC down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const weekly = await series({ interval: 'week', from: MONDAY, to: MONDAY });
+    expect(weekly.initialSupply).toBe(1000000000);
+    expect(weekly.points[0].supply).toBe(999999825);
+  });
+
+  it('should default to the interval span ending now', async () => {
+    const daily = await series({});
+
+    expect(daily.interval).toBe('day');
+    expect(daily.to).toBe(MONDAY + 3 * DAY);
+    expect(daily.points).toHaveLength(91);
+  });
+});
+
+describe('validation', () => {
+  it('should reject bad intervals, ranges and oversized queries', async () => {
+    expect(await services.analytics.getSeries({ interval: 'minute' })).toEqual({
+      success: false,
+      error: 'interval must be hour, day or week',
+    });
+    expect((await services.analytics.getSeries({ from: 'yesterday' })).success).toBe(false);
+    expect((await services.analytics.getSeries({ from: MONDAY, to: MONDAY - DAY })).success).toBe(
+      false
+    );
+    expect(await services.analytics.getSeries({ interval: 'hour', from: 0, to: MONDAY })).toEqual({
+      success: false,
+      error: 'Too many hour buckets: narrow the range or use a longer interval',
+    });
+  });
+
+  it('should report when Postgres is not configured', async () => {
+    await services.postgres.close();
+
+    expect(await services.analytics.getSeries({})).toEqual({
+      success: false,
+      error: 'Burn history is not available',
+    });
+  });
+});
+
+describe('lifecycle', () => {
+  it('should refresh every minute once initialized', () => {
+    services.analytics.initialize();
+
+    expect(services.scheduler.schedule).toHaveBeenCalledWith(
+      'burn-series',
+      '* * * * *',
+      expect.any(Function),
+      expect.objectContaining({ timezone: 'UTC' })
+    );
+  });
+});
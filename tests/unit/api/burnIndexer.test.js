@@ -0,0 +1,374 @@
+/**
+ * ASDF API - Burn Indexer Tests
+ * Tests the resumable backfill into Postgres (pg-mem stand-in), pause and
+ * resume, re-indexing a slot range, live webhook ingestion and the supply
+ * reconciliation report
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+jest.mock('../../../api/services/heliusEnhanced', () => ({
+  parseTransaction: jest.fn(),
+  parseTransactions: jest.fn(),
+  callRpcMethod: jest.fn(),
+}));
+jest.mock('../../../api/services/helius', () => ({
+  getTokenSupply: jest.fn(),
+  ASDF_TOKEN_MINT: 'ASDFMint11111111111111111111111111111111111',
+}));
+
+const { newDb } = require('pg-mem');
+
+const MINT = 'ASDFMint11111111111111111111111111111111111';
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+const ADMIN = 'AdminWa11et1111111111111111111111111111111111';
+const ALICE = 'A1ice11111111111111111111111111111111111111';
+const BOB = 'Bob1111111111111111111111111111111111111111';
+
+let services;
+let chain;
+let parsed;
+let now;
+
+/**
+ * Fresh services over a fresh memory storage and a fresh pg-mem database
+ * The queue's background loop is parked so tests drive it with processNext().
+ */
+async function loadServices() {
+  jest.isolateModules(() => {
+    services = {
+      queue: require('../../../api/services/queue'),
+      postgres: require('../../../api/services/postgres'),
+      indexer: require('../../../api/services/burnIndexer'),
+      heliusEnhanced: require('../../../api/services/heliusEnhanced'),
+      helius: require('../../../api/services/helius'),
+    };
+  });
+  services.queue.QUEUE_CONFIG.maxConcurrent = 0;
+  services.queue.stopProcessing();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const { Pool } = newDb({ noAstCoverageCheck: true }).adapters.createPg();
+  await services.postgres.initialize({ pool: new Pool() });
+
+  services.indexer.INDEXER_CONFIG.pageSize = 2;
+  services.indexer.INDEXER_CONFIG.pageDelay = 0;
+  services.indexer.initialize();
+}
+
+/**
+ * A transaction on the mint: burn (SPL burn), incinerator transfer or plain transfer
+ */
+function addTx(signature, slot, { wallet = ALICE, amount = 100, kind = 'burn', err = null } = {}) {
+  const toUserAccount = { burn: '', incinerator: INCINERATOR, transfer: BOB }[kind];
+  chain.unshift({ signature, slot, err });
+  parsed.set(signature, {
+    signature,
+    slot,
+    timestamp: 1767225600 + slot,
+    type: kind === 'burn' ? 'BURN' : 'TRANSFER',
+    feePayer: wallet,
+    tokenTransfers: [{ mint: MINT, fromUserAccount: wallet, toUserAccount, tokenAmount: amount }],
+  });
+}
+
+/**
+ * getSignaturesForAddress over the fake chain (newest first)
+ */
+function getSignatures(address, { before, until, limit }) {
+  let start = 0;
+  if (before) start = chain.findIndex(entry => entry.signature === before) + 1;
+  let end = chain.length;
+  if (until) end = chain.findIndex(entry => entry.signature === until);
+  return chain.slice(start, end).slice(0, limit);
+}
+
+/**
+ * Run every queued job, moving the clock past retry delays
+ */
+async function drainQueue() {
+  for (let i = 0; i < 50; i++) {
+    const job = await services.queue.processNext();
+    if (!job) {
+      now += 10000;
+      if (!(await services.queue.processNext())) return;
+    }
+  }
+}
+
+async function rows(sql) {
+  return (await services.postgres.query(sql)).rows;
+}
+
+async function leaderboardOf(wallet) {
+  const [row] = (
+    await services.postgres.query('SELECT * FROM leaderboard WHERE wallet = $1', [wallet])
+  ).rows;
+  return row ? { total: Number(row.total_burned), count: Number(row.burn_count) } : null;
+}
+
+beforeEach(async () => {
+  now = 1767225600000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  chain = [];
+  parsed = new Map();
+  await loadServices();
+
+  services.heliusEnhanced.callRpcMethod.mockImplementation(async (method, [address, options]) => {
+    expect(method).toBe('getSignaturesForAddress');
+    expect(address).toBe(MINT);
+    return getSignatures(address, options);
+  });
+  services.heliusEnhanced.parseTransactions.mockImplementation(async signatures =>
+    signatures.map(signature => parsed.get(signature)).filter(Boolean)
+  );
+  services.heliusEnhanced.parseTransaction.mockImplementation(
+    async signature => parsed.get(signature) || null
+  );
+});
+
+afterEach(async () => {
+  services.queue.stopProcessing();
+  await services.postgres.close();
+  jest.restoreAllMocks();
+});
+
+describe('extractBurn', () => {
+  it('should tell SPL burns from incinerator transfers and skip other transfers', () => {
+    addTx('sig-burn', 10, { amount: 50 });
+    addTx('sig-incinerator', 11, { kind: 'incinerator', amount: 20 });
+    addTx('sig-transfer', 12, { kind: 'transfer' });
+
+    expect(services.indexer.extractBurn(parsed.get('sig-burn'))).toMatchObject({
+      signature: 'sig-burn',
+      wallet: ALICE,
+      amount: 50,
+      slot: 10,
+      kind: 'burn',
+    });
+    expect(services.indexer.extractBurn(parsed.get('sig-incinerator')).kind).toBe('incinerator');
+    expect(services.indexer.extractBurn(parsed.get('sig-transfer'))).toBeNull();
+    expect(
+      services.indexer.extractBurn({ ...parsed.get('sig-burn'), transactionError: 'failed' })
+    ).toBeNull();
+  });
+});
+
+describe('backfill', () => {
+  beforeEach(() => {
+    addTx('sig-1', 1, { amount: 100 });
+    addTx('sig-2', 2, { kind: 'transfer' });
+    addTx('sig-3', 3, { wallet: BOB, amount: 40 });
+    addTx('sig-4', 4, { amount: 60, err: { InstructionError: [0, 'Custom'] } });
+    addTx('sig-5', 5, { kind: 'incinerator', amount: 7 });
+  });
+
+  it('should walk the history to genesis page by page and write every burn once', async () => {
+    const started = await services.indexer.startBackfill(ADMIN);
+    expect(started).toMatchObject({ success: true, resumed: false });
+
+    await drainQueue();
+
+    const { backfill, head } = await services.indexer.getStatus();
+    expect(backfill).toMatchObject({ status: 'completed', pages: 3, signatures: 5, burns: 3 });
+    expect(head).toBe('sig-5');
+
+    const burns = await rows('SELECT signature, kind, source FROM burns ORDER BY slot');
+    expect(burns.map(burn => burn.signature)).toEqual(['sig-1', 'sig-3', 'sig-5']);
+    expect(burns.every(burn => burn.source === 'indexer')).toBe(true);
+    expect(await leaderboardOf(ALICE)).toEqual({ total: 107, count: 2 });
+    expect(await leaderboardOf(BOB)).toEqual({ total: 40, count: 1 });
+  });
+
+  it('should pause between pages and resume from the cursor', async () => {
+    await services.indexer.startBackfill(ADMIN);
+    await services.queue.processNext();
+
+    const paused = await services.indexer.pause(ADMIN);
+    expect(paused.run).toMatchObject({ status: 'paused', pages: 1, before: 'sig-4' });
+
+    // The queued page sees the pause and stops the chain
+    await drainQueue();
+    expect((await services.indexer.getStatus()).backfill.pages).toBe(1);
+
+    const resumed = await services.indexer.startBackfill(ADMIN);
+    expect(resumed).toMatchObject({ success: true, resumed: true });
+    await drainQueue();
+
+    expect((await services.indexer.getStatus()).backfill).toMatchObject({
+      status: 'completed',
+      pages: 3,
+      signatures: 5,
+    });
+    const getSignaturesCalls = services.heliusEnhanced.callRpcMethod.mock.calls.map(
+      ([, [, options]]) => options.before || null
+    );
+    expect(getSignaturesCalls).toEqual([null, 'sig-4', 'sig-2']);
+  });
+
+  it('should allow one run at a time', async () => {
+    await services.indexer.startBackfill(ADMIN);
+
+    expect(await services.indexer.startBackfill(ADMIN)).toEqual({
+      success: false,
+      error: 'Indexer is already running',
+    });
+    expect(await services.indexer.reindexRange({ fromSlot: 1, toSlot: 2 }, ADMIN)).toEqual({
+      success: false,
+      error: 'Indexer is already running',
+    });
+  });
+
+  it('should keep the cursor on a transaction it cannot parse, then fail the run', async () => {
+    const tx = parsed.get('sig-3');
+    parsed.delete('sig-3');
+    await services.indexer.startBackfill(ADMIN);
+
+    await drainQueue();
+
+    const { backfill } = await services.indexer.getStatus();
+    expect(backfill).toMatchObject({ status: 'failed', pages: 1, before: 'sig-4' });
+    expect(backfill.lastError).toMatch(/Could not parse transaction sig-3/);
+
+    // Parses again: resuming picks the page up where it stopped
+    parsed.set('sig-3', tx);
+
+    expect((await services.indexer.startBackfill(ADMIN)).resumed).toBe(true);
+    await drainQueue();
+    expect((await services.indexer.getStatus()).backfill.status).toBe('completed');
+    expect(await leaderboardOf(ALICE)).toEqual({ total: 107, count: 2 });
+    expect(await leaderboardOf(BOB)).toEqual({ total: 40, count: 1 });
+  });
+
+  it('should only walk down to the previous head on the next backfill', async () => {
+    await services.indexer.startBackfill(ADMIN);
+    await drainQueue();
+
+    addTx('sig-6', 6, { amount: 5 });
+    addTx('sig-7', 7, { wallet: BOB, amount: 1 });
+    services.heliusEnhanced.callRpcMethod.mockClear();
+
+    const started = await services.indexer.startBackfill(ADMIN);
+    expect(started.run.until).toBe('sig-5');
+    await drainQueue();
+
+    const { backfill, head } = await services.indexer.getStatus();
+    expect(backfill).toMatchObject({ status: 'completed', signatures: 2, burns: 2 });
+    expect(head).toBe('sig-7');
+    expect(await leaderboardOf(BOB)).toEqual({ total: 41, count: 2 });
+  });
+
+  it('should refuse to start without Postgres', async () => {
+    await services.postgres.close();
+
+    expect(await services.indexer.startBackfill(ADMIN)).toEqual({
+      success: false,
+      error: 'Postgres is not configured',
+    });
+  });
+});
+
+describe('re-index', () => {
+  beforeEach(async () => {
+    addTx('sig-1', 1, { amount: 100 });
+    addTx('sig-2', 2, { amount: 10 });
+    addTx('sig-3', 3, { wallet: BOB, amount: 40 });
+    addTx('sig-4', 4, { amount: 60 });
+    await services.indexer.startBackfill(ADMIN);
+    await drainQueue();
+  });
+
+  it('should validate the slot range', async () => {
+    for (const range of [{}, { fromSlot: 5, toSlot: 4 }, { fromSlot: -1, toSlot: 2 }]) {
+      expect((await services.indexer.reindexRange(range, ADMIN)).success).toBe(false);
+    }
+  });
+
+  it('should overwrite burns in the range without double counting', async () => {
+    // Amount and wallet corrected on-chain parse for slot 2
+    parsed.set('sig-2', { ...parsed.get('sig-2'), feePayer: BOB });
+    parsed.get('sig-2').tokenTransfers = [
+      { mint: MINT, fromUserAccount: BOB, toUserAccount: '', tokenAmount: 12 },
+    ];
+    services.heliusEnhanced.parseTransactions.mockClear();
+
+    const started = await services.indexer.reindexRange({ fromSlot: 2, toSlot: 3 }, ADMIN);
+    expect(started.run).toMatchObject({ mode: 'reindex', before: 'sig-4' });
+    await drainQueue();
+
+    const { reindex, backfill } = await services.indexer.getStatus();
+    expect(reindex).toMatchObject({ status: 'completed', burns: 2 });
+    expect(backfill.status).toBe('completed');
+
+    const reparsed = services.heliusEnhanced.parseTransactions.mock.calls.flat(2);
+    expect(reparsed.sort()).toEqual(['sig-2', 'sig-3']);
+
+    expect(await rows('SELECT COUNT(*) AS count FROM burns')).toEqual([{ count: 4 }]);
+    expect(await leaderboardOf(ALICE)).toEqual({ total: 160, count: 2 });
+    expect(await leaderboardOf(BOB)).toEqual({ total: 52, count: 2 });
+  });
+});
+
+describe('live webhook', () => {
+  it('should index webhook burns idempotently', async () => {
+    addTx('sig-1', 1, { amount: 100 });
+    addTx('sig-2', 2, { kind: 'transfer' });
+    const events = [parsed.get('sig-1'), parsed.get('sig-2')];
+
+    expect(await services.indexer.ingest(events)).toEqual({ written: 1, wallets: 1 });
+    await services.indexer.ingest(events);
+
+    expect(await rows('SELECT signature, source FROM burns')).toEqual([
+      { signature: 'sig-1', source: 'webhook' },
+    ]);
+    expect(await leaderboardOf(ALICE)).toEqual({ total: 100, count: 1 });
+    expect(services.indexer.getStats()).toMatchObject({ live: 2, lastLiveSlot: 1 });
+  });
+});
+
+describe('reconciliation', () => {
+  beforeEach(async () => {
+    addTx('sig-1', 1, { amount: 100 });
+    addTx('sig-2', 2, { kind: 'incinerator', amount: 30 });
+    await services.indexer.startBackfill(ADMIN);
+    await drainQueue();
+  });
+
+  it('should balance SPL burns against the burned supply', async () => {
+    services.helius.getTokenSupply.mockResolvedValue({ current: 999999900, burned: 100 });
+
+    const { success, report } = await services.indexer.getReconciliation();
+
+    expect(success).toBe(true);
+    expect(report).toMatchObject({
+      status: 'balanced',
+      supply: { burned: 100 },
+      indexed: { burned: 100, incinerated: 30, burns: 2 },
+      difference: 0,
+      backfill: { status: 'completed', lastSlot: 1 },
+    });
+  });
+
+  it('should report missing and excess burns', async () => {
+    services.helius.getTokenSupply.mockResolvedValueOnce({ current: 999999000, burned: 1000 });
+    const missing = (await services.indexer.getReconciliation()).report;
+    expect(missing).toMatchObject({ status: 'missing_burns', difference: 900 });
+
+    services.helius.getTokenSupply.mockResolvedValueOnce({ current: 999999950, burned: 50 });
+    const excess = (await services.indexer.getReconciliation()).report;
+    expect(excess).toMatchObject({ status: 'excess_burns', difference: -50 });
+  });
+
+  it('should report when the supply is unavailable', async () => {
+    services.helius.getTokenSupply.mockRejectedValue(new Error('RPC down'));
+
+    expect(await services.indexer.getReconciliation()).toEqual({
+      success: false,
+      error: 'Token supply is unavailable',
+    });
+  });
+});
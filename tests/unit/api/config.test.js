@@ -0,0 +1,296 @@
+/**
+ * ASDF API - Config Service Tests
+ * Tests layered resolution (defaults < env < file < runtime), runtime
+ * overrides persisted through the storage adapter and propagated to every
+ * instance over pub/sub, dry runs, and rollback to history entries
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryAdapter } = require('../../../api/services/storage');
+
+let storage;
+let now;
+let tmpDir;
+
+/**
+ * Load an independent copy of the service (one per simulated instance)
+ * Every instance shares one storage adapter, like nodes on the same Redis.
+ */
+async function loadInstance() {
+  let config;
+  jest.isolateModules(() => {
+    config = require('../../../api/services/config');
+  });
+  // Schemas allow deployment environments; configure as production
+  config.CONFIG_CONFIG.environment = 'production';
+  config.setStorage(storage);
+  await config.initialize();
+  return config;
+}
+
+/**
+ * Write a JSON config file
+ */
+function writeConfigFile(contents) {
+  const file = path.join(tmpDir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(contents));
+  return file;
+}
+
+beforeEach(() => {
+  now = 1700000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now++);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  process.env.CONFIG_ENCRYPTION_KEY = 'a'.repeat(64);
+  storage = new MemoryAdapter();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asdf-config-'));
+});
+
+afterEach(async () => {
+  await storage.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  delete process.env.CONFIG_ENCRYPTION_KEY;
+  delete process.env.TEST_RATE_LIMIT;
+  jest.restoreAllMocks();
+});
+
+describe('layered resolution', () => {
+  it('should resolve defaults < env < file < runtime', async () => {
+    const config = await loadInstance();
+    const key = 'api.rateLimit.maxRequests';
+    expect(config.get(key)).toBe(60);
+
+    process.env.TEST_RATE_LIMIT = '80';
+    config.loadFromEnv({ TEST_RATE_LIMIT: key });
+    expect(config.get(key)).toBe(80);
+
+    const file = writeConfigFile({ api: { rateLimit: { maxRequests: 90 } } });
+    expect(config.loadFromFile(file)).toEqual({ loaded: 1, errors: [] });
+    expect(config.get(key)).toBe(90);
+
+    config.set(key, 100, { source: 'admin' });
+    expect(config.get(key)).toBe(100);
+    expect(config.getAll({ includeMetadata: true })[key]).toMatchObject({
+      value: 100,
+      source: 'admin',
+      layer: 'runtime',
+      layers: ['default', 'environment', 'file', 'runtime'],
+    });
+
+    expect(config.del(key)).toBe(true);
+    expect(config.get(key)).toBe(90);
+
+    // Reloading a file without the key falls back to the environment
+    config.loadFromFile(writeConfigFile({}));
+    expect(config.get(key)).toBe(80);
+  });
+
+  it('should only notify when the resolved value changes', async () => {
+    const config = await loadInstance();
+    const key = 'cache.defaultTTL';
+    const listener = jest.fn();
+    config.onChange(key, listener);
+
+    config.set(key, 60000, { source: 'admin' });
+    expect(listener).toHaveBeenLastCalledWith(60000, 300000, key);
+
+    // Shadowed by the runtime override
+    config.set(key, 120000, { source: 'file' });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(config.set(key, 1, { source: 'file', dryRun: true })).toMatchObject({
+      success: false,
+    });
+    expect(config.set(key, 1000, { source: 'file', dryRun: true }).effective).toBe(false);
+
+    config.del(key);
+    expect(listener).toHaveBeenLastCalledWith(120000, 60000, key);
+  });
+
+  it('should report invalid file values and keep the rest', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const config = await loadInstance();
+
+    const file = writeConfigFile({
+      'features.maintenance': true,
+      'api.port': 'not a number',
+      unknown: { key: 1 },
+    });
+
+    const result = config.loadFromFile(file);
+    expect(result.loaded).toBe(1);
+    expect(result.errors).toEqual([
+      'api.port: Expected number, got string',
+      'unknown.key: No schema defined for key',
+    ]);
+    expect(config.get('features.maintenance')).toBe(true);
+    expect(config.get('api.port')).toBe(3001);
+  });
+});
+
+describe('persistence and propagation', () => {
+  it('should restore runtime overrides and history after a restart', async () => {
+    const before = await loadInstance();
+    before.set('features.maintenance', true, { source: 'admin', updatedBy: 'admin-wallet' });
+    before.set('api.rateLimit.maxRequests', 120, { source: 'admin' });
+    before.del('api.rateLimit.maxRequests');
+    await before.flush();
+    await before.shutdown();
+
+    const after = await loadInstance();
+    expect(after.get('features.maintenance')).toBe(true);
+    expect(after.get('api.rateLimit.maxRequests')).toBe(60);
+    expect(after.getHistory('features.maintenance')[0]).toMatchObject({
+      newValue: true,
+      updatedBy: 'admin-wallet',
+      layer: 'runtime',
+    });
+    expect(after.getStats()).toMatchObject({ runtimeOverrides: 1 });
+  });
+
+  it('should propagate changes to every instance and fire their listeners', async () => {
+    const first = await loadInstance();
+    const second = await loadInstance();
+    const listener = jest.fn();
+    second.onChange('features.newGameEngine', listener);
+
+    first.set('features.newGameEngine', true, { source: 'admin' });
+    await first.flush();
+
+    expect(second.get('features.newGameEngine')).toBe(true);
+    expect(listener).toHaveBeenCalledWith(true, false, 'features.newGameEngine');
+    expect(second.getHistory('features.newGameEngine')[0].id).toBe(
+      first.getHistory('features.newGameEngine')[0].id
+    );
+
+    first.del('features.newGameEngine');
+    await first.flush();
+
+    expect(second.get('features.newGameEngine')).toBe(false);
+    expect(listener).toHaveBeenLastCalledWith(false, true, 'features.newGameEngine');
+    expect(first.getStats().remoteChanges).toBe(0);
+    expect(second.getStats().remoteChanges).toBe(2);
+  });
+
+  it('should keep environment and file layers local to an instance', async () => {
+    const first = await loadInstance();
+    const second = await loadInstance();
+
+    first.loadFromFile(writeConfigFile({ 'features.maintenance': true }));
+    await first.flush();
+
+    expect(first.get('features.maintenance')).toBe(true);
+    expect(second.get('features.maintenance')).toBe(false);
+    expect(await storage.hgetall('config:overrides')).toEqual({});
+  });
+
+  it('should store sensitive values encrypted and keep them out of history', async () => {
+    const first = await loadInstance();
+    const second = await loadInstance();
+
+    first.set('security.jwtSecret', 'super-secret-value', { source: 'admin' });
+    await first.flush();
+
+    const stored = await storage.hgetall('config:overrides');
+    expect(stored['security.jwtSecret'].encrypted).toBe(true);
+    expect(JSON.stringify(stored)).not.toContain('super-secret-value');
+
+    expect(second.get('security.jwtSecret')).toBe('super-secret-value');
+    const [change] = second.getHistory('security.jwtSecret');
+    expect(change.newValue).toBe('[SENSITIVE]');
+    expect(change.sealed).toBeUndefined();
+  });
+});
+
+describe('dry run and rollback', () => {
+  it('should validate a dry run without applying or persisting it', async () => {
+    const config = await loadInstance();
+
+    expect(config.set('api.port', 8080, { source: 'admin', dryRun: true })).toEqual({
+      success: true,
+      dryRun: true,
+      layer: 'runtime',
+      effective: true,
+      oldValue: 3001,
+      newValue: 8080,
+    });
+    expect(config.set('api.port', 70000, { source: 'admin', dryRun: true })).toEqual({
+      success: false,
+      error: 'Value must be <= 65535',
+    });
+
+    await config.flush();
+    expect(config.get('api.port')).toBe(3001);
+    expect(config.getHistory('api.port')).toEqual([]);
+    expect(await storage.hgetall('config:overrides')).toEqual({});
+  });
+
+  it('should roll back to any history entry on every instance', async () => {
+    const first = await loadInstance();
+    const second = await loadInstance();
+    const key = 'api.rateLimit.maxRequests';
+
+    first.set(key, 100, { source: 'admin' });
+    first.set(key, 200, { source: 'admin' });
+    first.del(key);
+    const [removed, , hundred] = first.getHistory(key);
+
+    expect(first.rollback(key, hundred.id, { source: 'admin', dryRun: true })).toMatchObject({
+      dryRun: true,
+      oldValue: 60,
+      newValue: 100,
+    });
+    expect(first.get(key)).toBe(60);
+
+    expect(first.rollback(key, hundred.id, { source: 'admin', updatedBy: 'ops' })).toEqual({
+      success: true,
+    });
+    await first.flush();
+
+    expect(second.get(key)).toBe(100);
+    expect(second.getHistory(key)[0]).toMatchObject({
+      action: 'rollback',
+      rollbackOf: hundred.id,
+      oldValue: 60,
+      newValue: 100,
+      updatedBy: 'ops',
+    });
+
+    // Rolling back to a removal removes the override again
+    expect(first.rollback(key, removed.id).success).toBe(true);
+    await first.flush();
+    expect(second.get(key)).toBe(60);
+    expect(first.getStats().rollbacks).toBe(2);
+  });
+
+  it('should restore sensitive values', async () => {
+    const config = await loadInstance();
+
+    config.set('security.jwtSecret', 'first-secret', { source: 'admin' });
+    config.set('security.jwtSecret', 'second-secret', { source: 'admin' });
+    const [, first] = config.getHistory('security.jwtSecret');
+
+    config.rollback('security.jwtSecret', first.id);
+    expect(config.get('security.jwtSecret')).toBe('first-secret');
+  });
+
+  it('should reject unknown entries and entries for another key', async () => {
+    const config = await loadInstance();
+    config.set('api.port', 8080, { source: 'admin' });
+    const [change] = config.getHistory('api.port');
+
+    expect(config.rollback('api.port', 'missing')).toEqual({
+      success: false,
+      error: 'History entry not found',
+    });
+    expect(config.rollback('cache.defaultTTL', change.id)).toEqual({
+      success: false,
+      error: 'History entry is for another key',
+    });
+  });
+});
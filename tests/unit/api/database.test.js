@@ -0,0 +1,310 @@
+/**
+ * ASDF API - Repository Tests
+ * Tests domain repositories on the memory backend and on PostgreSQL (pg-mem
+ * stand-in), the per-domain migrations, and that service state survives a
+ * restart once it lives in Postgres
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const { newDb } = require('pg-mem');
+
+const SERVICES = {
+  achievements: 'achievements',
+  referrals: 'referrals',
+  progression: 'progression',
+  challenges: 'challenges',
+  notifications: 'notifications',
+  sessions: 'sessionManager',
+  antiCheat: 'antiCheat',
+};
+
+/**
+ * Fresh in-memory Postgres, shared by every process booted on it
+ * @returns {Object} pg-compatible pool
+ */
+function createPostgresStandIn() {
+  const db = newDb({ noAstCoverageCheck: true });
+  const { Pool } = db.adapters.createPg();
+  return new Pool();
+}
+
+/**
+ * Boot an independent copy of the API services (one per simulated process)
+ * @param {Object|null} pool - Postgres pool, or null for the memory backend
+ */
+async function boot(pool) {
+  const modules = {};
+  jest.isolateModules(() => {
+    modules.postgres = require('../../../api/services/postgres');
+    modules.database = require('../../../api/services/database');
+    for (const [name, file] of Object.entries(SERVICES)) {
+      modules[name] = require(`../../../api/services/${file}`);
+    }
+  });
+
+  if (pool) await modules.postgres.initialize({ pool });
+  await modules.database.hydrateRepositories();
+  return modules;
+}
+
+const BACKENDS = {
+  memory: () => null,
+  postgres: createPostgresStandIn,
+};
+
+const WALLET = 'Wa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const OTHER = 'Wa11etBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const REQUEST = {
+  headers: { 'user-agent': 'Mozilla/5.0 (X11; Linux) Firefox/120' },
+  ip: '10.0.0.1',
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each(Object.keys(BACKENDS))('%s repositories', backend => {
+  let services;
+  let repository;
+
+  beforeEach(async () => {
+    services = await boot(BACKENDS[backend]());
+    repository = services.database.getRepository('sessions');
+  });
+
+  it('should select the backend', () => {
+    expect(repository.backend.name).toBe(backend);
+  });
+
+  it('should save, read and remove copies of records', async () => {
+    const record = { userId: WALLET, expiresAt: 1, nested: { list: [1, 2] } };
+    await repository.save('s1', record);
+    record.nested.list.push(3);
+
+    expect(await repository.get('s1')).toEqual({
+      userId: WALLET,
+      expiresAt: 1,
+      nested: { list: [1, 2] },
+    });
+    expect(await repository.count()).toBe(1);
+
+    expect(await repository.remove('s1')).toBe(true);
+    expect(await repository.remove('s1')).toBe(false);
+    expect(await repository.get('s1')).toBeNull();
+  });
+
+  it('should find records by owner', async () => {
+    await repository.save('s1', { userId: WALLET });
+    await repository.save('s2', { userId: OTHER });
+    await repository.save('s3', { userId: WALLET });
+
+    const owned = await repository.findByOwner(WALLET);
+    expect(owned.map(([id]) => id)).toEqual(['s1', 's3']);
+  });
+
+  it('should coalesce background writes and keep the last one', async () => {
+    const record = { userId: WALLET, refreshCount: 0 };
+    for (let i = 1; i <= 5; i++) {
+      record.refreshCount = i;
+      repository.persist('s1', { ...record });
+    }
+    repository.discard('s2');
+
+    await services.database.flushRepositories();
+
+    expect(await repository.get('s1')).toEqual({ userId: WALLET, refreshCount: 5 });
+    expect(repository.stats.coalesced).toBeGreaterThan(0);
+    expect(repository.pending.size).toBe(0);
+  });
+
+  it('should count failed background writes', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(repository.backend, 'save').mockRejectedValue(new Error('disk full'));
+
+    repository.persist('s1', { userId: WALLET });
+    await repository.flush();
+
+    expect(repository.stats.errors).toBe(1);
+    expect(services.database.getRepositoryStats().sessions).toMatchObject({ backend, errors: 1 });
+  });
+
+  it('should hydrate repositories defined after startup', async () => {
+    await services.database.getRepository('xpEvents').save('late', { id: 'late' });
+
+    const hydrate = jest.fn();
+    services.database.defineRepository('xpEvents', { hydrate });
+    await services.database.flushRepositories();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(hydrate).toHaveBeenCalledWith([['late', { id: 'late' }]]);
+  });
+
+  it('should reject unknown repositories', () => {
+    expect(() => services.database.defineRepository('nope')).toThrow('Unknown repository: nope');
+  });
+});
+
+describe('postgres migrations', () => {
+  it('should create a table for every repository, once', async () => {
+    const pool = createPostgresStandIn();
+    const { postgres, database } = await boot(pool);
+
+    const applied = await postgres.query('SELECT version, name FROM migrations ORDER BY version');
+    expect(applied.rows.map(row => row.version)).toEqual(postgres.MIGRATIONS.map(m => m.version));
+    expect(applied.rows.map(row => row.name)).toContain('sessions_repository');
+
+    for (const table of Object.values(database.REPOSITORY_TABLES)) {
+      const result = await postgres.query(`SELECT COUNT(*) AS count FROM ${table}`);
+      expect(Number(result.rows[0].count)).toBe(0);
+    }
+
+    // A second process on the same database finds nothing to run
+    await boot(pool);
+    const again = await postgres.query('SELECT COUNT(*) AS count FROM migrations');
+    expect(Number(again.rows[0].count)).toBe(postgres.MIGRATIONS.length);
+  });
+});
+
+describe('service state across a restart', () => {
+  /**
+   * Exercise every service, then describe what a user would see
+   */
+  function write(s) {
+    s.achievements.recordBurnForAchievements(WALLET, 100);
+
+    const { code } = s.referrals.getOrCreateReferralCode(WALLET);
+    s.referrals.processReferral(OTHER, code);
+
+    s.progression.awardXP(WALLET, 'game', { score: 500 });
+    s.progression.startEvent('double_xp', 2, 60 * 60 * 1000);
+
+    s.challenges.updateProgress(WALLET, { gameId: 'burnrunner', score: 100 });
+    const [first] = s.challenges.getActiveChallenges(WALLET);
+
+    s.notifications.createNotification(WALLET, { type: 'system', title: 'Hi', message: 'Welcome' });
+    s.notifications.updatePreferences(OTHER, { emailEnabled: true });
+
+    const { sessionId } = s.sessions.createSession(WALLET, REQUEST);
+    const revoked = s.sessions.createSession(OTHER, REQUEST).sessionId;
+    s.sessions.revokeSession(revoked);
+
+    s.antiCheat.analyzeSession({
+      wallet: WALLET,
+      sessionId,
+      gameType: 'burnrunner',
+      score: 10,
+      duration: 60000,
+    });
+    s.antiCheat.applySanction(OTHER, {
+      type: s.antiCheat.SANCTION_TYPES.TEMPORARY_BAN,
+      reason: 'test',
+      duration: 60 * 60 * 1000,
+    });
+
+    return { code, sessionId, challengeId: first.id };
+  }
+
+  function read(s, { code, sessionId, challengeId }) {
+    return {
+      achievements: s.achievements.getUnlockedAchievements(WALLET),
+      referralCode: s.referrals.validateCode(code).valid,
+      referrer: s.referrals.getReferrer(OTHER),
+      referrals: s.referrals.getReferralStats(WALLET).totalReferrals,
+      xp: s.progression.getProgress(WALLET)?.totalXP,
+      events: s.progression.getStats().activeEvents,
+      challenge: s.challenges.getActiveChallenges(WALLET).find(c => c.id === challengeId).progress,
+      inbox: s.notifications.getNotifications(WALLET).total,
+      emailEnabled: s.notifications.getPreferences(OTHER).emailEnabled,
+      session: s.sessions.validateSession(sessionId).valid,
+      otherSessions: s.sessions.getUserSessions(OTHER).length,
+      devices: s.sessions.getUserDevices(WALLET).length,
+      trustProfile: s.antiCheat.getProfile(WALLET).found,
+      banned: s.antiCheat.checkBan(OTHER).banned,
+    };
+  }
+
+  it('should restore every service from postgres', async () => {
+    const pool = createPostgresStandIn();
+
+    const before = await boot(pool);
+    const ids = write(before);
+    const expected = read(before, ids);
+    await before.database.flushRepositories();
+
+    const after = await boot(pool);
+    expect(read(after, ids)).toEqual(expected);
+    expect(expected).toMatchObject({
+      achievements: ['burn_first'],
+      referralCode: true,
+      referrer: WALLET,
+      session: true,
+      otherSessions: 0,
+      banned: true,
+    });
+  });
+
+  it('should start empty on the memory backend', async () => {
+    const before = await boot(null);
+    const ids = write(before);
+    await before.database.flushRepositories();
+
+    const after = await boot(null);
+    expect(after.achievements.getUnlockedAchievements(WALLET)).toEqual([]);
+    expect(after.sessions.validateSession(ids.sessionId).valid).toBe(false);
+  });
+});
+
+describe('several instances on one database', () => {
+  const THIRD = 'Wa11etCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+
+  it('should merge achievement progress instead of overwriting it', async () => {
+    const pool = createPostgresStandIn();
+    const first = await boot(pool);
+    const second = await boot(pool);
+
+    // The second instance still holds the record as it was at startup
+    for (let i = 0; i < 3; i++) first.achievements.recordBurnForAchievements(WALLET, 100);
+    await first.database.flushRepositories();
+    second.achievements.recordBurnForAchievements(WALLET, 100);
+    second.achievements.recordGameForAchievements(WALLET, 50);
+    await second.database.flushRepositories();
+
+    const after = await boot(pool);
+    expect(after.achievements.getUnlockedAchievements(WALLET).sort()).toEqual([
+      'burn_first',
+      'game_first',
+    ]);
+
+    // Four burns between both instances, the fifth unlocks burn_5
+    const unlocks = after.achievements.recordBurnForAchievements(WALLET, 100);
+    expect(unlocks.map(achievement => achievement.id)).toEqual(['burn_5']);
+  });
+
+  it('should merge referral counters instead of overwriting them', async () => {
+    const pool = createPostgresStandIn();
+    const first = await boot(pool);
+    const { code } = first.referrals.getOrCreateReferralCode(WALLET);
+    await first.database.flushRepositories();
+
+    const second = await boot(pool);
+    expect(first.referrals.processReferral(OTHER, code).success).toBe(true);
+    await first.database.flushRepositories();
+    expect(second.referrals.processReferral(THIRD, code).success).toBe(true);
+    await second.database.flushRepositories();
+
+    // The instance that wrote last sees both referrals right away
+    expect(second.referrals.getReferralStats(WALLET).totalReferrals).toBe(2);
+
+    const after = await boot(pool);
+    expect(after.referrals.getReferralStats(WALLET).totalReferrals).toBe(2);
+    expect(after.referrals.getReferrer(OTHER)).toBe(WALLET);
+    expect(after.referrals.getReferrer(THIRD)).toBe(WALLET);
+  });
+});
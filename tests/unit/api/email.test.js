@@ -0,0 +1,370 @@
+/**
+ * ASDF API - Email Channel Tests
+ * Tests double opt-in, digest rendering and delivery through a local SMTP
+ * sink, per-timezone digest slots, signed unsubscribe links, and bounce and
+ * complaint handling
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+jest.mock('../../../api/services/scheduler', () => ({
+  schedule: jest.fn(() => ({ taskId: 'task_digests' })),
+  unschedule: jest.fn(),
+}));
+
+const { createSmtpSink } = require('./helpers/smtpSink');
+
+const WALLET = 'Ema1lWa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const OTHER = 'Ema1lWa11etBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+
+// Thursday 2026-01-15 08:05 UTC (09:05 in Paris)
+const NOW = Date.UTC(2026, 0, 15, 8, 5);
+
+let sink;
+let services;
+
+/**
+ * Fresh copy of the services over a fresh memory storage, sending to the sink
+ */
+function loadServices() {
+  jest.isolateModules(() => {
+    services = {
+      email: require('../../../api/services/emailNotifications'),
+      preferences: require('../../../api/services/notificationPreferences'),
+      smtp: require('../../../api/services/smtp'),
+      scheduler: require('../../../api/services/scheduler'),
+      storage: require('../../../api/services/storage').getStorage(),
+    };
+  });
+  Object.assign(services.smtp.SMTP_CONFIG, { host: sink.host, port: sink.port, timeout: 5000 });
+  return services;
+}
+
+/**
+ * Register and confirm an address
+ */
+async function subscribe(wallet, address) {
+  await services.email.registerEmail(wallet, address);
+  const token = /token=([\w-]+)/.exec(sink.messages.at(-1).text)[1];
+  return services.email.verifyEmail(token);
+}
+
+/**
+ * Put a notification in the wallet's history
+ */
+function notify(wallet, type, data, timestamp = NOW - 60 * 60 * 1000) {
+  return services.storage.lpush(`notif:list:${wallet}`, { type, data, timestamp });
+}
+
+beforeAll(async () => {
+  sink = await createSmtpSink();
+});
+
+afterAll(async () => {
+  await sink.close();
+});
+
+beforeEach(() => {
+  process.env.EMAIL_SECRET = 'email-secret-for-tests';
+  process.env.PUSH_TOKEN_SECRET = 'push-token-secret-for-tests';
+  process.env.PUBLIC_API_URL = 'https://api.asdf.test';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sink.messages.length = 0;
+  loadServices();
+});
+
+afterEach(() => {
+  delete process.env.EMAIL_SECRET;
+  delete process.env.PUSH_TOKEN_SECRET;
+  delete process.env.PUBLIC_API_URL;
+  jest.restoreAllMocks();
+});
+
+describe('double opt-in', () => {
+  it('should only enable the channel once the address is confirmed', async () => {
+    const { email, preferences, storage } = services;
+
+    expect(await email.registerEmail(WALLET, ' Player@Example.com ')).toEqual({
+      success: true,
+      status: 'pending',
+    });
+
+    const [confirmation] = sink.messages;
+    expect(confirmation.to).toEqual(['player@example.com']);
+    expect(confirmation.headers.subject).toBe('Confirm your email for ASDF Games');
+    expect(confirmation.text).toContain(
+      'https://api.asdf.test/api/notifications/email/verify?token='
+    );
+    expect(confirmation.html).toContain('Confirm email</a>');
+
+    expect(await email.getEmailStatus(WALLET)).toMatchObject({
+      address: 'p***@example.com',
+      status: 'pending',
+    });
+    expect((await preferences.getPreferences(WALLET)).channels.email).toBe(false);
+
+    // Encrypted at rest
+    const stored = JSON.stringify(await storage.get(`email:${WALLET}`));
+    expect(stored).not.toContain('player@example.com');
+
+    const token = /token=([\w-]+)/.exec(confirmation.text)[1];
+    expect(await email.verifyEmail(token)).toEqual({ success: true, wallet: WALLET });
+    expect((await email.getEmailStatus(WALLET)).status).toBe('verified');
+    expect((await preferences.getPreferences(WALLET)).channels.email).toBe(true);
+
+    // Single use
+    expect((await email.verifyEmail(token)).success).toBe(false);
+  });
+
+  it('should reject bad addresses and throttle confirmation emails', async () => {
+    const { email } = services;
+
+    expect((await email.registerEmail(WALLET, 'not-an-address')).error).toBe(
+      'Invalid email address'
+    );
+    expect((await email.registerEmail(WALLET, 'a@example.com\r\nBcc: b@example.com')).error).toBe(
+      'Invalid email address'
+    );
+
+    await email.registerEmail(WALLET, 'player@example.com');
+    expect((await email.registerEmail(WALLET, 'player@example.com')).success).toBe(false);
+    expect(sink.messages).toHaveLength(1);
+  });
+
+  it('should invalidate the old link when the address changes', async () => {
+    const { email } = services;
+
+    await email.registerEmail(WALLET, 'old@example.com');
+    const oldToken = /token=([\w-]+)/.exec(sink.messages[0].text)[1];
+    await email.registerEmail(WALLET, 'new@example.com');
+
+    expect((await email.verifyEmail(oldToken)).success).toBe(false);
+    expect((await email.getEmailStatus(WALLET)).address).toBe('n***@example.com');
+  });
+});
+
+describe('digests', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  it('should send the digest at the user’s local time', async () => {
+    const { email, preferences } = services;
+    await subscribe(WALLET, 'player@example.com');
+    await preferences.updatePreferences(WALLET, {
+      digest: { enabled: true, frequency: 'daily', time: '09:00', timezone: 'Europe/Paris' },
+    });
+    await notify(WALLET, 'achievement_unlocked', { name: '<b>First Burn</b>' });
+    await notify(WALLET, 'burn_confirmed', { amount: 1500 });
+    await notify(WALLET, 'burn_confirmed', { amount: 2500 });
+    sink.messages.length = 0;
+
+    // 08:55 in Paris: yesterday's slot is long gone, today's is not here yet
+    expect((await email.runDigests(NOW - 10 * 60 * 1000)).due).toBe(0);
+
+    expect(await email.runDigests(NOW)).toEqual({ due: 1, sent: 1, skipped: 0, failed: 0 });
+
+    const [digest] = sink.messages;
+    expect(digest.to).toEqual(['player@example.com']);
+    expect(digest.headers.subject).toBe('Your ASDF daily digest: 3 updates');
+    expect(digest.text).toContain('- Burns confirmed: 2');
+    expect(digest.text).toContain('- Achievements unlocked: 1');
+    expect(digest.text).toContain('https://alonisthe.dev/achievements');
+    expect(digest.html).toContain('Burns confirmed: <strong>2</strong>');
+    expect(digest.html).not.toContain('<b>First Burn</b>');
+    expect(digest.headers['list-unsubscribe-post']).toBe('List-Unsubscribe=One-Click');
+    expect(digest.headers['list-unsubscribe']).toMatch(
+      /^<https:\/\/api\.asdf\.test\/api\/notifications\/email\/unsubscribe\?token=.+\.digest\..+>$/
+    );
+
+    // Once per slot
+    expect((await email.runDigests(NOW + 15 * 60 * 1000)).due).toBe(0);
+    expect(sink.messages).toHaveLength(1);
+  });
+
+  it('should skip users without a confirmed address or anything to report', async () => {
+    const { email, preferences } = services;
+    await preferences.updatePreferences(OTHER, { digest: { enabled: true, time: '08:00' } });
+    await subscribe(WALLET, 'player@example.com');
+    await preferences.updatePreferences(WALLET, { digest: { enabled: true, time: '08:00' } });
+    sink.messages.length = 0;
+
+    expect(await email.runDigests(NOW)).toEqual({ due: 2, sent: 0, skipped: 2, failed: 0 });
+    expect(sink.messages).toHaveLength(0);
+  });
+
+  it('should place daily and weekly slots on each user’s clock', () => {
+    const { preferences } = services;
+
+    // Weekly, Monday 18:30 in New York = Monday 23:30 UTC
+    expect(
+      preferences.getLastDigestSlot(
+        { frequency: 'weekly', day: 1, time: '18:30', timezone: 'America/New_York' },
+        Date.UTC(2026, 0, 14, 12, 0)
+      )
+    ).toBe(Date.UTC(2026, 0, 12, 23, 30));
+
+    // Daily, 07:00 in Tokyo = 22:00 UTC the day before
+    expect(
+      preferences.getLastDigestSlot(
+        { frequency: 'daily', time: '07:00', timezone: 'Asia/Tokyo' },
+        Date.UTC(2026, 0, 15, 0, 0)
+      )
+    ).toBe(Date.UTC(2026, 0, 14, 22, 0));
+  });
+
+  it('should be driven by the scheduler', () => {
+    const { email, scheduler } = services;
+
+    expect(email.scheduleDigests()).toBe('task_digests');
+    expect(email.scheduleDigests()).toBe('task_digests');
+    expect(scheduler.schedule).toHaveBeenCalledTimes(1);
+    expect(scheduler.schedule).toHaveBeenCalledWith(
+      'notification-digests',
+      '*/15 * * * *',
+      expect.any(Function),
+      { timezone: 'UTC', catchUp: 'run-once' }
+    );
+
+    email.unscheduleDigests();
+    expect(scheduler.unschedule).toHaveBeenCalledWith('task_digests');
+  });
+});
+
+describe('unsubscribe links', () => {
+  it('should turn digests or the whole channel off', async () => {
+    const { email, preferences } = services;
+    await subscribe(WALLET, 'player@example.com');
+    await preferences.updatePreferences(WALLET, { digest: { enabled: true } });
+
+    const digestToken = email.createUnsubscribeToken(WALLET, 'digest');
+    expect(await email.unsubscribe(digestToken)).toEqual({ success: true, scope: 'digest' });
+    let prefs = await preferences.getPreferences(WALLET);
+    expect(prefs.digest.enabled).toBe(false);
+    expect(prefs.channels.email).toBe(true);
+
+    expect(await email.unsubscribe(email.createUnsubscribeToken(WALLET, 'email'))).toEqual({
+      success: true,
+      scope: 'email',
+    });
+    prefs = await preferences.getPreferences(WALLET);
+    expect(prefs.channels.email).toBe(false);
+  });
+
+  it('should reject forged and tampered links', async () => {
+    const { email } = services;
+    const [, scope, signature] = email.createUnsubscribeToken(WALLET, 'digest').split('.');
+    const otherWallet = Buffer.from(OTHER).toString('base64url');
+
+    expect((await email.unsubscribe(`${otherWallet}.${scope}.${signature}`)).success).toBe(false);
+    expect((await email.unsubscribe(`${otherWallet}.email.${signature}`)).success).toBe(false);
+    expect((await email.unsubscribe('garbage')).success).toBe(false);
+  });
+
+  it('should only confirm on the page and unsubscribe on POST', async () => {
+    const { email, preferences } = services;
+    await subscribe(WALLET, 'player@example.com');
+    const token = email.createUnsubscribeToken(WALLET, 'email');
+
+    expect(email.checkUnsubscribeToken(token)).toEqual({
+      success: true,
+      wallet: WALLET,
+      scope: 'email',
+    });
+    expect(email.checkUnsubscribeToken(`${token}x`).success).toBe(false);
+    expect((await preferences.getPreferences(WALLET)).channels.email).toBe(true);
+
+    const page = email.renderUnsubscribePage(token, 'email');
+    expect(page).toContain('<form method="post"');
+    expect(page).toContain(`action="/api/notifications/email/unsubscribe?token=${token}"`);
+    expect(page).toContain('name="List-Unsubscribe" value="One-Click"');
+    expect(email.renderLinkPage('Oops', '<b>bad</b>')).toContain('&lt;b&gt;bad&lt;/b&gt;');
+  });
+});
+
+describe('bounces and complaints', () => {
+  it('should disable the channel when the server refuses the address', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    const { email, preferences } = services;
+    await subscribe(WALLET, 'gone@example.com');
+    await preferences.updatePreferences(WALLET, { digest: { enabled: true, time: '08:00' } });
+    await notify(WALLET, 'level_up', { newLevel: 3 });
+    sink.bounce('gone@example.com');
+
+    expect(await email.runDigests(NOW)).toMatchObject({ due: 1, sent: 0, failed: 1 });
+    expect((await email.getEmailStatus(WALLET)).status).toBe('bounced');
+    expect((await preferences.getPreferences(WALLET)).channels.email).toBe(false);
+  });
+
+  it('should disable every wallet on a complained address', async () => {
+    const { email, preferences } = services;
+    await subscribe(WALLET, 'shared@example.com');
+    await subscribe(OTHER, 'shared@example.com');
+
+    expect(
+      await email.handleDeliveryEvent({ type: 'complaint', email: 'Shared@Example.com' })
+    ).toEqual({ success: true, disabled: 2 });
+    expect((await email.getEmailStatus(OTHER)).status).toBe('complained');
+    expect((await preferences.getPreferences(WALLET)).channels.email).toBe(false);
+  });
+
+  it('should tolerate a few soft bounces', async () => {
+    const { email } = services;
+    await subscribe(WALLET, 'full@example.com');
+    const softBounce = { type: 'bounce', bounceType: 'soft', email: 'full@example.com' };
+
+    expect((await email.handleDeliveryEvent(softBounce)).disabled).toBe(0);
+    expect((await email.handleDeliveryEvent(softBounce)).disabled).toBe(0);
+    expect((await email.getEmailStatus(WALLET)).status).toBe('verified');
+    expect((await email.handleDeliveryEvent(softBounce)).disabled).toBe(1);
+    expect((await email.getEmailStatus(WALLET)).status).toBe('bounced');
+  });
+
+  it('should refuse suppressed addresses until they are cleared', async () => {
+    const { email } = services;
+    await subscribe(WALLET, 'angry@example.com');
+    await email.handleDeliveryEvent({ type: 'complaint', email: 'angry@example.com' });
+    sink.messages.length = 0;
+
+    expect(await email.registerEmail(WALLET, 'Angry@Example.com')).toMatchObject({
+      success: false,
+    });
+    expect(await email.registerEmail(OTHER, 'angry@example.com')).toMatchObject({
+      success: false,
+    });
+    expect(sink.messages).toHaveLength(0);
+    expect(email.getStats().suppressedRejections).toBe(2);
+
+    expect(await email.clearSuppression('angry@example.com', 'AdminWallet')).toBe(true);
+    expect(await email.clearSuppression('angry@example.com', 'AdminWallet')).toBe(false);
+    expect((await subscribe(WALLET, 'angry@example.com')).success).toBe(true);
+    expect((await email.getEmailStatus(WALLET)).status).toBe('verified');
+  });
+
+  it('should suppress addresses bounced before they were confirmed', async () => {
+    const { email } = services;
+    await email.registerEmail(WALLET, 'typo@example.com');
+    const token = /token=([\w-]+)/.exec(sink.messages.at(-1).text)[1];
+
+    await email.handleDeliveryEvent({
+      type: 'bounce',
+      bounceType: 'hard',
+      email: 'typo@example.com',
+    });
+
+    expect((await email.verifyEmail(token)).success).toBe(false);
+    expect((await email.registerEmail(OTHER, 'typo@example.com')).success).toBe(false);
+  });
+
+  it('should not suppress an address for one soft bounce', async () => {
+    const { email } = services;
+    await email.handleDeliveryEvent({
+      type: 'bounce',
+      bounceType: 'soft',
+      email: 'full@example.com',
+    });
+
+    expect((await email.registerEmail(WALLET, 'full@example.com')).success).toBe(true);
+  });
+});
@@ -0,0 +1,487 @@
+/**
+ * ASDF API - Feature Flag Tests
+ * Tests scheduled rollouts, kill switches on metrics.getErrorRate() and
+ * gameAnalytics metrics, exposure-driven experiments with significance, and
+ * the client bootstrap and change broadcasts behind js/core/flags.js
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const HOUR = 60 * 60 * 1000;
+
+let now;
+let services;
+
+/**
+ * Load independent copies of the flag, metrics and analytics services
+ */
+function loadServices() {
+  const modules = {};
+  jest.isolateModules(() => {
+    modules.flags = require('../../../api/services/featureflags');
+    modules.metrics = require('../../../api/services/metrics');
+    modules.analytics = require('../../../api/services/gameAnalytics');
+    modules.eventBus = require('../../../api/services/eventBus');
+  });
+  // Flags target deployment environments; evaluate as production
+  modules.flags.FEATURE_FLAGS_CONFIG.environment = 'production';
+  return modules;
+}
+
+/**
+ * Current state of one flag as the admin API lists it
+ */
+function listed(key) {
+  return services.flags.getAllFlags().find(flag => flag.key === key);
+}
+
+beforeEach(() => {
+  now = 1700000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  services = loadServices();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('scheduled changes', () => {
+  it('should enable, ramp and sunset on the timetable', () => {
+    const { flags } = services;
+    flags.createFlag('new_shop', {
+      enabled: false,
+      percentage: 0,
+      schedule: [
+        { at: now + 3 * HOUR, percentage: 100 },
+        { at: now + HOUR, enabled: true, percentage: 5 },
+        { at: new Date(now + 2 * HOUR).toISOString(), percentage: 25 },
+      ],
+      sunsetAt: now + 24 * HOUR,
+    });
+
+    expect(flags.runScheduledChanges(now)).toBe(0);
+    expect(flags.isEnabled('new_shop', { userId: 'u1' })).toBe(false);
+
+    const seen = [];
+    for (const hours of [1, 2, 3]) {
+      flags.runScheduledChanges(now + hours * HOUR);
+      const { enabled, percentage } = listed('new_shop');
+      seen.push([enabled, percentage]);
+    }
+    expect(seen).toEqual([
+      [true, 5],
+      [true, 25],
+      [true, 100],
+    ]);
+    expect(flags.isEnabled('new_shop', { userId: 'u1' })).toBe(true);
+
+    expect(flags.runScheduledChanges(now + 24 * HOUR)).toBe(1);
+    expect(listed('new_shop')).toMatchObject({ enabled: false, sunsetAt: null });
+    expect(flags.isEnabled('new_shop', { userId: 'u1' })).toBe(false);
+
+    const actions = flags.getHistory('new_shop').map(h => h.action);
+    expect(actions).toEqual([
+      'sunset',
+      'scheduled_change',
+      'scheduled_change',
+      'scheduled_change',
+      'created',
+    ]);
+  });
+
+  it('should apply overdue steps in order', () => {
+    const { flags } = services;
+    flags.createFlag('catch_up', { enabled: false });
+    flags.setFlagSchedule('catch_up', {
+      steps: [
+        { at: now + 2 * HOUR, percentage: 50 },
+        { at: now + HOUR, enabled: true, percentage: 10 },
+      ],
+    });
+
+    expect(flags.runScheduledChanges(now + 5 * HOUR)).toBe(2);
+    expect(listed('catch_up')).toMatchObject({ enabled: true, percentage: 50 });
+  });
+
+  it.each([
+    ['a missing time', { steps: [{ percentage: 5 }] }, '"at" time'],
+    ['a bad percentage', { steps: [{ at: 1, percentage: 120 }] }, '0-100'],
+    ['an empty step', { steps: [{ at: 1 }] }, 'must change'],
+    ['a bad sunset', { steps: [], sunsetAt: 'someday' }, 'sunsetAt'],
+  ])('should reject %s', (label, schedule, message) => {
+    const { flags } = services;
+    flags.createFlag('guarded', {});
+
+    const result = flags.setFlagSchedule('guarded', schedule);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(message);
+  });
+
+  it('should report unknown flags', () => {
+    expect(services.flags.setFlagSchedule('nope', { steps: [] })).toEqual({
+      success: false,
+      error: 'Flag not found',
+    });
+  });
+});
+
+describe('kill switches', () => {
+  /**
+   * Push the request error rate to `perSecond` over the current minute
+   */
+  function failRequests(perSecond, seconds = 10) {
+    now += seconds * 1000;
+    for (let i = 0; i < perSecond * seconds; i++) {
+      services.metrics.recordRequest({
+        method: 'GET',
+        path: '/api/x',
+        statusCode: 500,
+        latencyMs: 1,
+      });
+    }
+  }
+
+  it('should disable a flag when the error rate stays over threshold', () => {
+    const { flags } = services;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    flags.createFlag('risky', {
+      percentage: 5,
+      schedule: [{ at: now + HOUR, percentage: 100 }],
+      guards: [{ metric: 'errorRate', threshold: 2 }],
+    });
+
+    failRequests(1);
+    expect(flags.checkKillSwitches()).toEqual([]);
+
+    failRequests(10);
+    expect(flags.checkKillSwitches()).toEqual([]);
+    expect(flags.checkKillSwitches()).toEqual(['risky']);
+
+    expect(listed('risky')).toMatchObject({
+      enabled: false,
+      schedulePaused: true,
+      killSwitch: { metric: 'errorRate', threshold: 2, action: 'disable' },
+    });
+    expect(listed('risky').killSwitch.value).toBeGreaterThan(2);
+    expect(flags.getStats().killSwitchesTripped).toBe(1);
+
+    // The ramp is held while the switch is tripped
+    flags.runScheduledChanges(now + HOUR);
+    expect(listed('risky').percentage).toBe(5);
+
+    // Re-enabling acknowledges the switch and resumes the schedule
+    flags.setFlagEnabled('risky', true);
+    flags.runScheduledChanges(now + HOUR);
+    expect(listed('risky')).toMatchObject({ enabled: true, percentage: 100, killSwitch: null });
+  });
+
+  it('should roll back to the previous stage on a gameAnalytics metric', () => {
+    const { flags, analytics } = services;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    flags.createFlag('ramp', {
+      percentage: 5,
+      schedule: [{ at: now + HOUR, percentage: 25 }],
+      guards: [
+        { metric: 'activeUsers', operator: 'lt', threshold: 1, breaches: 1, action: 'rollback' },
+      ],
+    });
+
+    analytics.trackEvent(analytics.EVENT_TYPES.GAME_START, { wallet: 'player' });
+    flags.runScheduledChanges(now + HOUR);
+    expect(flags.checkKillSwitches()).toEqual([]);
+
+    // The realtime window rolls over with nobody playing
+    now += 10 * 60 * 1000;
+    expect(flags.checkKillSwitches()).toEqual(['ramp']);
+    expect(listed('ramp')).toMatchObject({
+      enabled: true,
+      percentage: 5,
+      killSwitch: { metric: 'activeUsers', value: 0, action: 'rollback' },
+    });
+  });
+
+  it('should disable when there is no stage to roll back to', () => {
+    const { flags } = services;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    flags.registerGuardMetric('queueDepth', () => 500);
+    flags.createFlag('fresh', {
+      guards: [{ metric: 'queueDepth', threshold: 100, breaches: 1, action: 'rollback' }],
+    });
+
+    flags.checkKillSwitches();
+    expect(listed('fresh')).toMatchObject({ enabled: false, killSwitch: { action: 'disable' } });
+  });
+
+  it('should skip metrics that cannot be read', () => {
+    const { flags } = services;
+    flags.registerGuardMetric('broken', () => {
+      throw new Error('unavailable');
+    });
+    flags.createFlag('steady', { guards: [{ metric: 'broken', threshold: 0, breaches: 1 }] });
+
+    expect(flags.checkKillSwitches()).toEqual([]);
+    expect(listed('steady').enabled).toBe(true);
+  });
+
+  it.each([
+    ['unknown metrics', { metric: 'vibes', threshold: 1 }, 'Unknown guard metric'],
+    ['bad operators', { metric: 'errorRate', operator: 'regex', threshold: 1 }, 'operator'],
+    ['missing thresholds', { metric: 'errorRate' }, 'threshold'],
+    ['unknown actions', { metric: 'errorRate', threshold: 1, action: 'panic' }, 'action'],
+  ])('should reject %s', (label, guard, message) => {
+    const { flags } = services;
+    flags.createFlag('guarded', {});
+
+    expect(flags.setFlagGuards('guarded', [guard]).error).toContain(message);
+    expect(flags.createFlag('other', { guards: [guard] }).error).toContain(message);
+    expect(listed('other')).toBeUndefined();
+  });
+});
+
+describe('experiments', () => {
+  const VARIANTS = [
+    { name: 'control', value: 'classic', weight: 50 },
+    { name: 'treatment', value: 'neon', weight: 50 },
+  ];
+
+  /**
+   * Expose `count` users and convert the given share of each variant
+   */
+  function runExperiment(key, count, conversion) {
+    const { flags, analytics } = services;
+    for (let i = 0; i < count; i++) {
+      const wallet = `wallet-${i}`;
+      const value = flags.evaluate(key, { wallet });
+      const variant = value === 'classic' ? 'control' : 'treatment';
+      if (i % 100 < conversion[variant] * 100) {
+        analytics.trackEvent(analytics.EVENT_TYPES.GAME_END, { wallet });
+      }
+    }
+  }
+
+  it('should report exposures, conversions and significance', () => {
+    const { flags, analytics } = services;
+    flags.createFlag('shop_theme', {
+      type: flags.FLAG_TYPES.STRING,
+      defaultValue: 'classic',
+      variants: VARIANTS,
+      experiment: { conversionEvent: analytics.EVENT_TYPES.GAME_END },
+    });
+
+    runExperiment('shop_theme', 600, { control: 0.1, treatment: 0.5 });
+    // Repeat exposures and conversions don't count twice
+    runExperiment('shop_theme', 600, { control: 0.1, treatment: 0.5 });
+
+    const results = analytics.getExperimentResults('shop_theme');
+    const { control, treatment } = results.results;
+
+    expect(control.users + treatment.users).toBe(600);
+    expect(control.convertedUsers / control.users).toBeCloseTo(0.1, 1);
+    expect(treatment.convertedUsers / treatment.users).toBeCloseTo(0.5, 1);
+    expect(treatment.significance).toMatchObject({ significant: true });
+    expect(treatment.significance.pValue).toBeLessThan(0.001);
+    expect(results).toMatchObject({
+      control: 'control',
+      conversionEvent: 'game_end',
+      winner: 'treatment',
+    });
+    expect(flags.getStats().exposures).toBe(1200);
+  });
+
+  it('should not call a winner without a real difference', () => {
+    const { flags, analytics } = services;
+    flags.createFlag('shop_theme', {
+      variants: VARIANTS,
+      experiment: { conversionEvent: analytics.EVENT_TYPES.GAME_END },
+    });
+
+    runExperiment('shop_theme', 400, { control: 0.3, treatment: 0.3 });
+
+    const results = analytics.getExperimentResults('shop_theme');
+    expect(results.results.treatment.significance.significant).toBe(false);
+    expect(results.winner).toBeNull();
+  });
+
+  it('should wait for enough users per variant', () => {
+    const { flags, analytics } = services;
+    flags.createFlag('shop_theme', {
+      variants: VARIANTS,
+      experiment: { conversionEvent: analytics.EVENT_TYPES.GAME_END },
+    });
+
+    runExperiment('shop_theme', 10, { control: 0, treatment: 1 });
+
+    expect(analytics.getExperimentResults('shop_theme').results.treatment.significance).toEqual({
+      zScore: null,
+      pValue: null,
+      significant: false,
+      reason: 'insufficient_sample',
+    });
+  });
+
+  it('should keep results when the flag is saved again', () => {
+    const { flags, analytics } = services;
+    const config = {
+      variants: VARIANTS,
+      experiment: { conversionEvent: analytics.EVENT_TYPES.GAME_END },
+    };
+    flags.createFlag('shop_theme', config);
+    runExperiment('shop_theme', 40, { control: 0, treatment: 0 });
+
+    flags.createFlag('shop_theme', { ...config, description: 'Neon shop' });
+    const { control, treatment } = analytics.getExperimentResults('shop_theme').results;
+    expect(control.users + treatment.users).toBe(40);
+  });
+
+  it('should only expose users who reach the variants', () => {
+    const { flags, analytics } = services;
+    flags.createFlag('shop_theme', {
+      variants: VARIANTS,
+      targeting: [{ attribute: 'tier', operator: 'equals', value: 'admin', variation: 'classic' }],
+      experiment: { conversionEvent: analytics.EVENT_TYPES.GAME_END },
+    });
+
+    flags.evaluate('shop_theme', { wallet: 'admin-wallet', tier: 'admin' });
+    flags.evaluate('shop_theme', { sessionId: 'anonymous-visitor' });
+
+    expect(flags.getStats().exposures).toBe(0);
+  });
+
+  it.each([
+    ['no conversion event', { variants: VARIANTS, experiment: {} }, 'conversionEvent'],
+    [
+      'one variant',
+      { variants: [VARIANTS[0]], experiment: { conversionEvent: 'x' } },
+      'two variants',
+    ],
+    [
+      'duplicate variant names',
+      { variants: [VARIANTS[0], VARIANTS[0]], experiment: { conversionEvent: 'x' } },
+      'unique',
+    ],
+  ])('should reject %s', (label, config, message) => {
+    expect(services.flags.createFlag('bad', config).error).toContain(message);
+  });
+});
+
+describe('client sdk', () => {
+  const WALLET = 'Wa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+  /**
+   * Collect flag:changed events published on the service event bus
+   */
+  function watchChanges() {
+    const changes = [];
+    const { eventBus } = services;
+    eventBus.subscribe(eventBus.EVENTS.FLAG_CHANGED, event => changes.push(event.data));
+    return changes;
+  }
+
+  it('should bootstrap every flag with its value and public definition', () => {
+    const { flags } = services;
+    flags.createFlag('new_shop', { enabled: true, percentage: 100 });
+    flags.createFlag('theme', {
+      type: flags.FLAG_TYPES.STRING,
+      enabled: true,
+      defaultValue: 'classic',
+      variants: [
+        { name: 'fire', value: 'fire', weight: 50 },
+        { name: 'ice', value: 'ice', weight: 50 },
+      ],
+    });
+    flags.createFlag('beta_games', {
+      enabled: true,
+      targeting: [{ attribute: 'tier', value: 'whale' }],
+    });
+
+    const result = flags.getClientFlags({ wallet: WALLET, tier: 'whale' });
+
+    expect(result.new_shop).toMatchObject({
+      value: true,
+      active: true,
+      percentage: 100,
+      evaluation: 'local',
+    });
+    expect(result.theme.variants).toEqual([
+      { name: 'fire', value: 'fire', weight: 50 },
+      { name: 'ice', value: 'ice', weight: 50 },
+    ]);
+    expect(['fire', 'ice']).toContain(result.theme.value);
+    expect(result.beta_games).toMatchObject({ value: true, evaluation: 'server' });
+    expect(result.beta_games.targeting).toBeUndefined();
+  });
+
+  it('should bucket anonymous visitors by their session id', () => {
+    const { flags } = services;
+    flags.createFlag('half', { enabled: true, percentage: 50 });
+
+    const values = new Set();
+    for (let i = 0; i < 40; i++) {
+      const sessionId = `anon-visitor-${i}`;
+      const value = flags.getClientFlags({ sessionId }).half.value;
+      expect(value).toBe(flags.getBucket('half', sessionId) <= 50);
+      values.add(value);
+    }
+
+    expect(values).toEqual(new Set([true, false]));
+  });
+
+  it('should mark overridden flags for server evaluation', () => {
+    const { flags } = services;
+    flags.createFlag('new_shop', { enabled: true, percentage: 0 });
+    const changes = watchChanges();
+
+    flags.setUserOverride('new_shop', WALLET, true);
+
+    expect(flags.getClientFlags({ wallet: WALLET }).new_shop).toMatchObject({
+      value: true,
+      evaluation: 'server',
+    });
+    expect(flags.getClientFlags({ wallet: 'someone-else' }).new_shop).toMatchObject({
+      value: false,
+      evaluation: 'local',
+    });
+    expect(changes).toEqual([
+      expect.objectContaining({
+        key: 'new_shop',
+        action: 'override_changed',
+        evaluation: 'server',
+      }),
+    ]);
+
+    expect(flags.removeUserOverride('new_shop', WALLET)).toBe(true);
+    expect(flags.removeUserOverride('new_shop', WALLET)).toBe(false);
+    expect(flags.getClientFlags({ wallet: WALLET }).new_shop.value).toBe(false);
+    expect(changes).toHaveLength(2);
+  });
+
+  it('should broadcast changes and deletions', async () => {
+    const { flags } = services;
+    const changes = watchChanges();
+
+    flags.createFlag('new_shop', { enabled: true, percentage: 10 });
+    flags.setFlagPercentage('new_shop', 60);
+    flags.setFlagEnabled('new_shop', false);
+    flags.deleteFlag('new_shop');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(changes.map(change => change.action)).toEqual([
+      'created',
+      'percentage_changed',
+      'disabled',
+      'deleted',
+    ]);
+    expect(changes[1]).toMatchObject({
+      key: 'new_shop',
+      percentage: 60,
+      active: true,
+      evaluation: 'local',
+    });
+    expect(changes[2]).toMatchObject({ active: false });
+    expect(changes[3]).toEqual({ key: 'new_shop', action: 'deleted', deleted: true });
+    expect(changes[2].version).toBeGreaterThan(changes[1].version);
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Local push-service stand-in for Web Push tests
+ * A real HTTP server playing the browser vendor's push service: it hands
+ * out subscriptions, checks the VAPID token and decrypts every aes128gcm
+ * message with the subscriber's private key, like a browser would.
+ *
+ * This is fine.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * HKDF-SHA256
+ */
+function hkdf(ikm, salt, info, length) {
+  return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Decrypt an aes128gcm body (RFC 8291) as the user agent
+ */
+function decrypt(body, { ecdh, auth }) {
+  const salt = body.subarray(0, 16);
+  const recordSize = body.readUInt32BE(16);
+  const idLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const record = body.subarray(21 + idLength);
+
+  const userAgentPublicKey = ecdh.getPublicKey();
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    userAgentPublicKey,
+    serverPublicKey,
+  ]);
+  const ikm = hkdf(ecdh.computeSecret(serverPublicKey), auth, keyInfo, 32);
+  const key = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(record.subarray(-16));
+  const padded = Buffer.concat([decipher.update(record.subarray(0, -16)), decipher.final()]);
+
+  // Strip padding back to the last-record delimiter
+  const delimiter = padded.lastIndexOf(0x02);
+  return { recordSize, serverPublicKey, plaintext: padded.subarray(0, delimiter).toString('utf8') };
+}
+
+/**
+ * Verify a `vapid t=..., k=...` Authorization header
+ */
+function verifyVapid(authorization) {
+  const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+), k=([\w-]+)$/.exec(authorization || '');
+  if (!match) return { valid: false };
+
+  const [, header, claims, signature, publicKey] = match;
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33).toString('base64url'),
+    },
+    format: 'jwk',
+  });
+
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${header}.${claims}`),
+    { key, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url')
+  );
+
+  return {
+    valid,
+    header: JSON.parse(Buffer.from(header, 'base64url')),
+    claims: JSON.parse(Buffer.from(claims, 'base64url')),
+    publicKey,
+  };
+}
+
+/**
+ * Start a push service on a random loopback port
+ * @returns {Promise<Object>}
+ */
+async function createPushService() {
+  const subscribers = new Map();
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const id = req.url.split('/').pop();
+      const subscriber = subscribers.get(id);
+      const body = Buffer.concat(chunks);
+
+      const message = {
+        id,
+        headers: req.headers,
+        vapid: verifyVapid(req.headers.authorization),
+        body,
+      };
+      if (subscriber && body.length > 0) {
+        Object.assign(message, decrypt(body, subscriber));
+      }
+      received.push(message);
+
+      let status = 201;
+      if (!subscriber) status = 404;
+      else if (subscriber.status) status = subscriber.status;
+      else if (!message.vapid.valid) status = 403;
+
+      res.writeHead(status).end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    origin,
+    received,
+
+    /**
+     * New browser subscription (PushSubscription.toJSON())
+     */
+    subscribe() {
+      const id = crypto.randomBytes(8).toString('hex');
+      const ecdh = crypto.createECDH('prime256v1');
+      ecdh.generateKeys();
+      const auth = crypto.randomBytes(16);
+      subscribers.set(id, { ecdh, auth });
+
+      return {
+        endpoint: `${origin}/push/${id}`,
+        keys: {
+          p256dh: ecdh.getPublicKey().toString('base64url'),
+          auth: auth.toString('base64url'),
+        },
+      };
+    },
+
+    /**
+     * Answer every message for a subscription with this status
+     */
+    respondWith(subscription, status) {
+      subscribers.get(subscription.endpoint.split('/').pop()).status = status;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Minimal fetch() over node:http
+ * jsdom test environments replace fetch; this one really reaches the stand-in.
+ */
+function httpFetch(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () =>
+        resolve({
+          status: res.statusCode,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          headers: { get: name => res.headers[name.toLowerCase()] ?? null },
+          text: () => Promise.resolve(Buffer.concat(chunks).toString('utf8')),
+        })
+      );
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = { createPushService, httpFetch };
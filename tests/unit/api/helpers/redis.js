@@ -0,0 +1,43 @@
+/**
+ * Local Redis stand-in for service tests
+ * A real RedisAdapter whose client runs scripts on ioredis-mock, so the
+ * Lua paths execute for real. Every adapter shares one dataset, like
+ * several API nodes pointed at the same Redis.
+ *
+ * This is fine.
+ */
+
+const Redis = require('ioredis-mock');
+const { RedisAdapter } = require('../../../../api/services/storage');
+
+const redis = new Redis();
+
+/**
+ * Connected RedisAdapter over the shared mock dataset
+ * @returns {RedisAdapter}
+ */
+function createRedisStandIn() {
+  const adapter = new RedisAdapter({ keyPrefix: 'test:' });
+
+  // node-redis v4 signatures -> ioredis signatures
+  adapter.client = {
+    eval: (script, { keys, arguments: args }) => redis.eval(script, keys.length, ...keys, ...args),
+    get: key => redis.get(key),
+    set: (key, value, { PX, EX } = {}) =>
+      PX ? redis.set(key, value, 'PX', PX) : EX ? redis.set(key, value, 'EX', EX) : redis.set(key, value),
+    del: key => redis.del(key),
+  };
+  adapter.isConnected = true;
+
+  return adapter;
+}
+
+/**
+ * Wipe the shared dataset
+ * @returns {Promise<void>}
+ */
+function flushRedis() {
+  return redis.flushall();
+}
+
+module.exports = { createRedisStandIn, flushRedis };
@@ -0,0 +1,122 @@
+/**
+ * Local SMTP sink for email tests
+ * A real SMTP server on a loopback port that accepts every message and
+ * keeps it, decoded, for assertions. Recipients can be set to bounce.
+ *
+ * This is fine.
+ */
+
+const net = require('net');
+
+/**
+ * Split a multipart/alternative message into headers and decoded parts
+ * @param {string} data - Message as received after DATA
+ * @returns {Object}
+ */
+function parseMessage(data) {
+  const [head, ...rest] = data.split('\r\n\r\n');
+  const body = rest.join('\r\n\r\n');
+
+  const headers = {};
+  for (const line of head.split('\r\n')) {
+    const index = line.indexOf(':');
+    headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+  }
+
+  const boundary = /boundary="([^"]+)"/.exec(headers['content-type'] || '')?.[1];
+  const parts = {};
+  for (const section of body.split(`--${boundary}`)) {
+    const [partHead, ...partBody] = section.split('\r\n\r\n');
+    const type = /Content-Type: ([\w/]+)/.exec(partHead)?.[1];
+    if (type) {
+      parts[type] = Buffer.from(partBody.join('').replace(/\s/g, ''), 'base64').toString('utf8');
+    }
+  }
+
+  return { headers, text: parts['text/plain'], html: parts['text/html'] };
+}
+
+/**
+ * Start an SMTP sink on a random loopback port
+ * @returns {Promise<Object>}
+ */
+async function createSmtpSink() {
+  const messages = [];
+  const bouncing = new Set();
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let inData = false;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 sink.local ESMTP');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        const data = buffer.slice(0, end + 2).replace(/^\.\./gm, '.');
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        messages.push({ ...envelope, raw: data, ...parseMessage(data) });
+        envelope = { from: null, to: [] };
+        reply('250 2.0.0 Queued');
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO') {
+          reply('250-sink.local');
+          reply('250 8BITMIME');
+        } else if (command === 'MAIL') {
+          envelope.from = /<(.*)>/.exec(line)[1];
+          reply('250 2.1.0 OK');
+        } else if (command === 'RCPT') {
+          const to = /<(.*)>/.exec(line)[1];
+          if (bouncing.has(to)) {
+            reply('550 5.1.1 User unknown');
+          } else {
+            envelope.to.push(to);
+            reply('250 2.1.5 OK');
+          }
+        } else if (command === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'QUIT') {
+          reply('221 2.0.0 Bye');
+          socket.end();
+        } else {
+          reply('502 5.5.2 Command not implemented');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    messages,
+
+    /**
+     * Reject this recipient with 550 from now on
+     */
+    bounce(address) {
+      bouncing.add(address);
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createSmtpSink, parseMessage };
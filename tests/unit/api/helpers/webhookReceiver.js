@@ -0,0 +1,60 @@
+/**
+ * Partner endpoint stand-in for outbound webhook tests
+ * A real HTTP server on a loopback port that records every delivery and
+ * answers with scripted status codes (200 once the script runs out).
+ *
+ * This is fine.
+ */
+
+const http = require('http');
+
+/**
+ * Start a receiver on a random loopback port
+ * @returns {Promise<Object>}
+ */
+async function createWebhookReceiver() {
+  const received = [];
+  const statuses = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({
+        method: req.method,
+        path: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('utf8'),
+      });
+
+      const status = statuses.length > 0 ? statuses.shift() : 200;
+      res.writeHead(status, { 'Content-Type': 'text/plain' }).end(status < 300 ? 'ok' : 'nope');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/hooks/asdf`;
+
+  return {
+    url,
+    received,
+
+    /**
+     * Answer the next deliveries with these status codes, in order
+     */
+    respondWith(...codes) {
+      statuses.push(...codes);
+    },
+
+    reset() {
+      received.length = 0;
+      statuses.length = 0;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createWebhookReceiver };
@@ -0,0 +1,265 @@
+/**
+ * ASDF API - Web Push Tests
+ * Tests delivery to a local push-service stand-in: VAPID authentication,
+ * aes128gcm payloads the subscriber can decrypt, TTL/Urgency/Topic headers,
+ * endpoint restrictions, pruning of subscriptions the push service
+ * reports as gone, and queued sends through the job queue
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const crypto = require('crypto');
+const { createPushService, httpFetch } = require('./helpers/pushService');
+
+const WALLET = 'PushWa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+// VAPID key pair in the format web-push generate-vapid-keys prints
+const vapidKeys = crypto.createECDH('prime256v1');
+vapidKeys.generateKeys();
+process.env.VAPID_PUBLIC_KEY = vapidKeys.getPublicKey().toString('base64url');
+process.env.VAPID_PRIVATE_KEY = vapidKeys.getPrivateKey().toString('base64url');
+process.env.VAPID_SUBJECT = 'mailto:ops@asdf.games';
+process.env.PUSH_TOKEN_SECRET = 'push-token-secret-for-tests';
+
+const webPush = require('../../../api/services/webPush');
+const pushNotifications = require('../../../api/services/pushNotifications');
+const preferences = require('../../../api/services/notificationPreferences');
+const { getStorage } = require('../../../api/services/storage');
+const queue = require('../../../api/services/queue');
+
+const vapid = pushNotifications.PUSH_CONFIG.webPush;
+
+let pushService;
+let originalFetch;
+
+beforeAll(async () => {
+  pushService = await createPushService();
+
+  // Park the queue's background loop so tests drive it with processNext()
+  queue.QUEUE_CONFIG.maxConcurrent = 0;
+  queue.stopProcessing();
+  pushNotifications.initialize();
+});
+
+afterAll(async () => {
+  await pushService.close();
+  delete process.env.VAPID_PUBLIC_KEY;
+  delete process.env.VAPID_PRIVATE_KEY;
+  delete process.env.VAPID_SUBJECT;
+  delete process.env.PUSH_TOKEN_SECRET;
+});
+
+beforeEach(async () => {
+  originalFetch = global.fetch;
+  global.fetch = httpFetch;
+  pushService.received.length = 0;
+  await getStorage().del(`push:tokens:${WALLET}`);
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+describe('web push protocol', () => {
+  it('should deliver an encrypted message the subscriber can read', async () => {
+    const subscription = pushService.subscribe();
+
+    const result = await webPush.sendNotification(subscription, '{"title":"gm"}', {
+      vapid,
+      ttl: 3600,
+      urgency: 'high',
+      topic: 'achievements',
+    });
+
+    expect(result).toEqual({ success: true, status: 201 });
+
+    const [message] = pushService.received;
+    expect(message.plaintext).toBe('{"title":"gm"}');
+    expect(message.recordSize).toBe(4096);
+    expect(message.headers).toMatchObject({
+      'content-encoding': 'aes128gcm',
+      'content-type': 'application/octet-stream',
+      ttl: '3600',
+      urgency: 'high',
+      topic: 'achievements',
+    });
+  });
+
+  it('should authenticate with a VAPID token scoped to the push service', async () => {
+    const subscription = pushService.subscribe();
+    const now = Math.floor(Date.now() / 1000);
+
+    await webPush.sendNotification(subscription, 'ping', { vapid });
+    await webPush.sendNotification(pushService.subscribe(), 'pong', { vapid });
+
+    const [first, second] = pushService.received;
+    expect(first.vapid.valid).toBe(true);
+    expect(first.vapid.header).toEqual({ typ: 'JWT', alg: 'ES256' });
+    expect(first.vapid.publicKey).toBe(process.env.VAPID_PUBLIC_KEY);
+    expect(first.vapid.claims).toMatchObject({
+      aud: pushService.origin,
+      sub: 'mailto:ops@asdf.games',
+    });
+    expect(first.vapid.claims.exp).toBeGreaterThan(now + 11 * 60 * 60);
+    expect(first.vapid.claims.exp).toBeLessThanOrEqual(now + 12 * 60 * 60 + 1);
+
+    // One token per push service, not per message
+    expect(second.headers.authorization).toBe(first.headers.authorization);
+  });
+
+  it('should use a fresh key and salt for every message', async () => {
+    const subscription = pushService.subscribe();
+
+    await webPush.sendNotification(subscription, 'same', { vapid });
+    await webPush.sendNotification(subscription, 'same', { vapid });
+
+    const [first, second] = pushService.received;
+    expect(first.plaintext).toBe(second.plaintext);
+    expect(first.body.equals(second.body)).toBe(false);
+    expect(first.serverPublicKey.equals(second.serverPublicKey)).toBe(false);
+  });
+
+  it('should refuse what a push service would not accept', async () => {
+    const subscription = pushService.subscribe();
+
+    expect(await webPush.sendNotification(subscription, 'x'.repeat(4000), { vapid })).toEqual({
+      success: false,
+      error: 'Payload too large',
+    });
+    expect(
+      (await webPush.sendNotification(subscription, 'x', { vapid, urgency: 'asap' })).error
+    ).toBe('Invalid urgency');
+    expect(
+      (await webPush.sendNotification(subscription, 'x', { vapid, topic: 'not a topic' })).error
+    ).toBe('Invalid topic');
+    expect(pushService.received).toHaveLength(0);
+  });
+
+  it('should only deliver to known push services', () => {
+    const { keys } = pushService.subscribe();
+
+    expect(webPush.isAllowedEndpoint('https://fcm.googleapis.com/fcm/send/abc')).toBe(true);
+    expect(webPush.isAllowedEndpoint('https://db5p.notify.windows.com/w/?token=abc')).toBe(true);
+    expect(webPush.isAllowedEndpoint('https://evil.example/fcm.googleapis.com')).toBe(false);
+    expect(webPush.isAllowedEndpoint('http://fcm.googleapis.com/fcm/send/abc')).toBe(false);
+    expect(webPush.isAllowedEndpoint('http://169.254.169.254/latest/meta-data')).toBe(false);
+
+    expect(
+      webPush.validateSubscription({ endpoint: 'https://internal.local/push', keys }).error
+    ).toBe('Unsupported push service endpoint');
+    expect(
+      webPush.validateSubscription({
+        endpoint: 'https://fcm.googleapis.com/fcm/send/abc',
+        keys: { ...keys, auth: 'c2hvcnQ' },
+      }).error
+    ).toBe('Invalid auth secret');
+  });
+});
+
+describe('push notifications', () => {
+  it('should send the notification built from the template to the service worker', async () => {
+    const subscription = pushService.subscribe();
+    const { deviceId } = await preferences.registerPushToken(WALLET, {
+      platform: 'web',
+      subscription,
+    });
+    expect(deviceId).toMatch(/^[0-9a-f]{32}$/);
+
+    const result = await pushNotifications.sendPushNotification(WALLET, {
+      type: 'achievement_unlocked',
+      data: { name: 'First Burn' },
+    });
+
+    expect(result).toEqual({
+      sent: true,
+      results: { total: 1, succeeded: 1, failed: 0, pruned: 0 },
+    });
+
+    const [message] = pushService.received;
+    expect(message.headers).toMatchObject({ ttl: '86400', urgency: 'high' });
+    expect(JSON.parse(message.plaintext)).toMatchObject({
+      title: '🏆 Achievement Unlocked!',
+      body: 'You earned "First Burn"',
+      data: { url: '/achievements', type: 'achievement_unlocked', name: 'First Burn' },
+      actions: [
+        { action: 'view', title: 'View' },
+        { action: 'share', title: 'Share' },
+      ],
+      requireInteraction: true,
+    });
+  });
+
+  it('should prune subscriptions the push service reports as gone', async () => {
+    const expired = pushService.subscribe();
+    const unsubscribed = pushService.subscribe();
+    const active = pushService.subscribe();
+    for (const subscription of [expired, unsubscribed, active]) {
+      await preferences.registerPushToken(WALLET, { platform: 'web', subscription });
+    }
+    pushService.respondWith(expired, 404);
+    pushService.respondWith(unsubscribed, 410);
+
+    const result = await pushNotifications.sendPushNotification(WALLET, {
+      type: 'level_up',
+      data: { newLevel: 5 },
+    });
+
+    expect(result.results).toEqual({ total: 3, succeeded: 1, failed: 2, pruned: 2 });
+
+    const remaining = await preferences.getPushTokens(WALLET);
+    expect(remaining.map(token => JSON.parse(token.token).endpoint)).toEqual([active.endpoint]);
+    expect(pushNotifications.getStats().pruned).toBeGreaterThanOrEqual(2);
+  });
+
+  it('should keep subscriptions on other failures', async () => {
+    const subscription = pushService.subscribe();
+    await preferences.registerPushToken(WALLET, { platform: 'web', subscription });
+    pushService.respondWith(subscription, 413);
+
+    const result = await pushNotifications.sendPushNotification(WALLET, {
+      type: 'burn_confirmed',
+      data: { amount: 1000 },
+    });
+
+    expect(result).toEqual({
+      sent: false,
+      results: { total: 1, succeeded: 0, failed: 1, pruned: 0 },
+    });
+    expect(await preferences.getPushTokens(WALLET)).toHaveLength(1);
+  });
+
+  it('should replace the entry when a browser subscribes again', async () => {
+    const subscription = pushService.subscribe();
+
+    const first = await preferences.registerPushToken(WALLET, { platform: 'web', subscription });
+    const second = await preferences.registerPushToken(WALLET, { platform: 'web', subscription });
+
+    expect(second.deviceId).toBe(first.deviceId);
+    expect(await preferences.getPushTokens(WALLET)).toHaveLength(1);
+    await expect(
+      preferences.registerPushToken(WALLET, { platform: 'web', subscription: { endpoint: 'x' } })
+    ).rejects.toThrow('Unsupported push service endpoint');
+  });
+
+  it('should send queued notifications from the job queue', async () => {
+    const subscription = pushService.subscribe();
+    await preferences.registerPushToken(WALLET, { platform: 'web', subscription });
+
+    const { jobId } = await pushNotifications.queuePushNotification(WALLET, {
+      type: 'level_up',
+      data: { newLevel: 7 },
+    });
+
+    // Stored as a job until a worker claims it
+    expect(pushService.received).toHaveLength(0);
+    expect((await queue.getJob(jobId)).status).toBe('pending');
+
+    const job = await queue.processNext();
+
+    expect(job.status).toBe('completed');
+    expect(job.result.sent).toBe(true);
+    expect(pushService.received).toHaveLength(1);
+  });
+});
@@ -0,0 +1,376 @@
+/**
+ * ASDF API - Job Queue Tests
+ * Tests priorities, retries, dead letter replay and lease recovery on both
+ * drivers, and that jobs survive a restart through Redis (ioredis-mock stand-in)
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const { createRedisStandIn, flushRedis } = require('./helpers/redis');
+
+/**
+ * Load an independent copy of the service (one per simulated worker)
+ * The background loop is parked so tests drive processing with processNext().
+ * Its first poll (started on require) is let through before the driver is
+ * swapped, so it can't claim test jobs.
+ */
+async function loadWorker(driverFactory) {
+  let queue;
+  jest.isolateModules(() => {
+    queue = require('../../../api/services/queue');
+  });
+  queue.QUEUE_CONFIG.maxConcurrent = 0;
+  queue.stopProcessing();
+  await settleMicrotasks();
+  queue.setDriver(driverFactory(queue));
+  workers.push(queue);
+  return queue;
+}
+
+const DRIVERS = {
+  memory: queue => new queue.MemoryQueueDriver(),
+  redis: queue => new queue.RedisQueueDriver(createRedisStandIn()),
+};
+
+const workers = [];
+let now;
+
+beforeEach(async () => {
+  now = 1700000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await flushRedis();
+});
+
+afterEach(() => {
+  while (workers.length) workers.pop().stopProcessing();
+  jest.restoreAllMocks();
+});
+
+/**
+ * Let in-flight polls and started jobs move forward
+ */
+function settleMicrotasks() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+/**
+ * Promise with its resolve exposed
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+describe.each(Object.keys(DRIVERS))('%s driver', backend => {
+  let queue;
+
+  beforeEach(async () => {
+    queue = await loadWorker(DRIVERS[backend]);
+  });
+
+  it('should run higher priorities first and respect delays', async () => {
+    const order = [];
+    queue.registerHandler('work', data => order.push(data.name));
+
+    await queue.enqueue('work', { name: 'low' }, { priority: queue.PRIORITY.LOW });
+    await queue.enqueue(
+      'work',
+      { name: 'later' },
+      { priority: queue.PRIORITY.CRITICAL, delay: 5000 }
+    );
+    await queue.enqueue('work', { name: 'high' }, { priority: queue.PRIORITY.HIGH });
+
+    while (await queue.processNext());
+    expect(order).toEqual(['high', 'low']);
+
+    now += 5000;
+    await queue.processNext();
+    expect(order).toEqual(['high', 'low', 'later']);
+  });
+
+  it('should deduplicate live jobs only', async () => {
+    queue.registerHandler('work', () => 'ok');
+
+    const first = await queue.enqueue('work', {}, { dedupeKey: 'burn:abc' });
+    const second = await queue.enqueue('work', {}, { dedupeKey: 'burn:abc' });
+    expect(second).toEqual({ jobId: first.jobId, position: -1, deduplicated: true });
+
+    await queue.processNext();
+    const third = await queue.enqueue('work', {}, { dedupeKey: 'burn:abc' });
+    expect(third.deduplicated).toBeUndefined();
+  });
+
+  it('should record results and redact sensitive data', async () => {
+    queue.registerHandler('work', data => ({ echoed: data.secret }));
+
+    const { jobId } = await queue.enqueue('work', { secret: 'hunter2' });
+    const job = await queue.processNext();
+
+    expect(job).toMatchObject({
+      id: jobId,
+      status: 'completed',
+      result: { echoed: '[REDACTED]' },
+      attempts: 1,
+    });
+  });
+
+  it('should retry with backoff, then dead-letter', async () => {
+    queue.registerHandler(
+      'flaky',
+      () => {
+        throw new Error('rpc down');
+      },
+      { maxRetries: 2 }
+    );
+
+    const { jobId } = await queue.enqueue('flaky', {});
+
+    expect((await queue.processNext()).status).toBe('pending');
+    expect(await queue.processNext()).toBeNull();
+
+    now += queue.QUEUE_CONFIG.retryDelays[0];
+    const dead = await queue.processNext();
+    expect(dead).toMatchObject({ id: jobId, status: 'dead', retries: 2, error: 'rpc down' });
+    expect(await queue.getDeadLetterJobs()).toHaveLength(1);
+  });
+
+  it('should replay a dead letter job', async () => {
+    let fail = true;
+    queue.registerHandler(
+      'flaky',
+      () => {
+        if (fail) throw new Error('rpc down');
+        return 'recovered';
+      },
+      { maxRetries: 1 }
+    );
+
+    const { jobId } = await queue.enqueue('flaky', {});
+    await queue.processNext();
+    expect(await queue.retryJob('missing')).toBe(false);
+
+    fail = false;
+    expect(await queue.retryJob(jobId)).toBe(true);
+    expect((await queue.getJob(jobId)).status).toBe('pending');
+
+    const job = await queue.processNext();
+    expect(job).toMatchObject({ status: 'completed', result: 'recovered', attempts: 2 });
+    expect(await queue.getDeadLetterJobs()).toHaveLength(0);
+  });
+
+  it('should bulk requeue dead letter jobs by type', async () => {
+    const fail = () => {
+      throw new Error('nope');
+    };
+    queue.registerHandler('export', fail, { maxRetries: 1 });
+    queue.registerHandler('push', fail, { maxRetries: 1 });
+
+    await queue.enqueue('export', {});
+    await queue.enqueue('export', {});
+    await queue.enqueue('push', {});
+    while (await queue.processNext());
+
+    const result = await queue.requeueDeadLetters({ type: 'export' });
+    expect(result.requeued).toBe(2);
+    expect(await queue.getJobsByStatus('pending')).toHaveLength(2);
+    expect(await queue.getDeadLetterJobs()).toHaveLength(1);
+  });
+
+  it('should purge jobs that are not running', async () => {
+    queue.registerHandler('work', () => 'ok');
+
+    const { jobId } = await queue.enqueue('work', {});
+    expect(await queue.purgeJob(jobId)).toBe(true);
+    expect(await queue.getJob(jobId)).toBeNull();
+    expect(await queue.processNext()).toBeNull();
+  });
+
+  it('should return a stuck job to the queue when its lease expires', async () => {
+    queue.registerHandler('work', () => 'done');
+    const { jobId } = await queue.enqueue('work', {});
+
+    // A worker claims the job and dies without settling it
+    await queue.getDriver().claim(now, now + queue.QUEUE_CONFIG.claimLease, 'crashed');
+    expect(await queue.processNext()).toBeNull();
+
+    now += queue.QUEUE_CONFIG.claimLease;
+    expect(await queue.recoverStuckJobs()).toBe(1);
+
+    const job = await queue.processNext();
+    expect(job).toMatchObject({ id: jobId, status: 'completed', retries: 1, attempts: 2 });
+    expect(queue.getQueueStats().recovered).toBe(1);
+  });
+
+  it('should dead-letter a job that keeps getting stuck', async () => {
+    queue.registerHandler('work', () => 'done', { maxRetries: 1 });
+    const { jobId } = await queue.enqueue('work', {});
+
+    await queue.getDriver().claim(now, now + 10, 'crashed');
+    now += 10;
+    await queue.recoverStuckJobs();
+
+    expect(await queue.getJob(jobId)).toMatchObject({ status: 'dead', error: 'Lease expired' });
+    expect(await queue.processNext()).toBeNull();
+  });
+
+  it('should report driver stats', async () => {
+    queue.registerHandler('work', () => 'ok');
+    await queue.enqueue('work', {});
+    await queue.cleanup();
+
+    const stats = queue.getQueueStats();
+    expect(stats.driver).toBe(backend);
+    expect(stats.totalQueued).toBe(1);
+    expect(stats.enqueued).toBe(1);
+  });
+});
+
+describe('redis driver across workers', () => {
+  const redisDriver = DRIVERS.redis;
+
+  it('should keep jobs across a restart', async () => {
+    const before = await loadWorker(redisDriver);
+    before.registerHandler('burn_verify', () => 'verified');
+    const { jobId } = await before.enqueue('burn_verify', { signature: 'sig' });
+    before.stopProcessing();
+
+    const after = await loadWorker(redisDriver);
+    after.registerHandler('burn_verify', data => `verified ${data.signature}`);
+
+    const job = await after.processNext();
+    expect(job).toMatchObject({ id: jobId, status: 'completed', result: 'verified sig' });
+  });
+
+  it('should never hand the same job to two workers', async () => {
+    const a = await loadWorker(redisDriver);
+    const b = await loadWorker(redisDriver);
+    const runs = [];
+    a.registerHandler('work', () => runs.push('a'));
+    b.registerHandler('work', () => runs.push('b'));
+
+    await a.enqueue('work', {});
+    await Promise.all([a.processNext(), b.processNext(), a.processNext(), b.processNext()]);
+
+    expect(runs).toHaveLength(1);
+  });
+
+  it('should hand a job back when this worker has no handler for it', async () => {
+    const exporter = await loadWorker(redisDriver);
+    const other = await loadWorker(redisDriver);
+    exporter.registerHandler('export', () => 'exported');
+
+    const { jobId } = await exporter.enqueue('export', {});
+    expect(await other.processNext()).toMatchObject({ id: jobId, status: 'pending', retries: 0 });
+    expect(other.getQueueStats().unhandledReleases).toBe(1);
+    expect(await exporter.processNext()).toBeNull();
+
+    now += other.QUEUE_CONFIG.unhandledDelay;
+    expect(await exporter.processNext()).toMatchObject({ id: jobId, result: 'exported' });
+  });
+
+  it('should discard the result of a worker that lost its lease', async () => {
+    const slow = await loadWorker(redisDriver);
+    const fast = await loadWorker(redisDriver);
+    const gate = deferred();
+
+    slow.registerHandler('work', () => gate.promise, { timeout: 1000 });
+    fast.registerHandler('work', () => 'fast', { timeout: 1000 });
+
+    const { jobId } = await slow.enqueue('work', {});
+    const slowRun = slow.processNext();
+    await settleMicrotasks();
+
+    now += 1000 + slow.QUEUE_CONFIG.leaseGrace;
+    await fast.recoverStuckJobs();
+    expect(await fast.processNext()).toMatchObject({ status: 'completed', result: 'fast' });
+
+    gate.resolve('slow');
+    await slowRun;
+
+    expect((await fast.getJob(jobId)).result).toBe('fast');
+    expect(slow.getQueueStats().leasesLost).toBe(1);
+  });
+
+  it('should not let another worker claim a recovered job before its record is saved', async () => {
+    const recovering = await loadWorker(redisDriver);
+    const other = await loadWorker(redisDriver);
+    recovering.registerHandler('work', () => 'done');
+    other.registerHandler('work', () => 'done');
+
+    const { jobId } = await recovering.enqueue('work', {});
+    await recovering.getDriver().claim(now, now + 10, 'crashed');
+    now += 10;
+
+    // Stall recovery between reading the record and writing it back
+    const driver = recovering.getDriver();
+    const read = driver.get.bind(driver);
+    const reading = deferred();
+    const gate = deferred();
+    jest.spyOn(driver, 'get').mockImplementationOnce(async id => {
+      const job = await read(id);
+      reading.resolve();
+      await gate.promise;
+      return job;
+    });
+
+    const recovery = recovering.recoverStuckJobs();
+    await reading.promise;
+    expect(await other.processNext()).toBeNull();
+
+    gate.resolve();
+    expect(await recovery).toBe(1);
+    expect(await other.processNext()).toMatchObject({
+      id: jobId,
+      status: 'completed',
+      retries: 1,
+      attempts: 2,
+    });
+  });
+
+  it('should leave a lease renewed during recovery alone', async () => {
+    const recovering = await loadWorker(redisDriver);
+    recovering.registerHandler('work', () => 'done');
+
+    const { jobId } = await recovering.enqueue('work', {});
+    const driver = recovering.getDriver();
+    const job = await driver.claim(now, now + 10, 'slow');
+    now += 10;
+
+    const read = driver.get.bind(driver);
+    jest.spyOn(driver, 'get').mockImplementationOnce(async id => {
+      await driver.touch(job, 'slow', now + 1000);
+      return read(id);
+    });
+
+    expect(await recovering.recoverStuckJobs()).toBe(0);
+    expect(await recovering.getJob(jobId)).toMatchObject({ retries: 0 });
+    expect(await recovering.processNext()).toBeNull();
+  });
+
+  it('should hand running jobs back on shutdown', async () => {
+    const leaving = await loadWorker(redisDriver);
+    const staying = await loadWorker(redisDriver);
+    const gate = deferred();
+
+    leaving.QUEUE_CONFIG.drainTimeout = 0;
+    leaving.registerHandler('export', () => gate.promise);
+    staying.registerHandler('export', () => 'exported');
+
+    const { jobId } = await leaving.enqueue('export', {});
+    const run = leaving.processNext();
+    await settleMicrotasks();
+
+    expect(await leaving.shutdown()).toEqual({ drained: 0, released: 1 });
+    expect(await staying.processNext()).toMatchObject({ id: jobId, result: 'exported' });
+
+    gate.resolve('late');
+    await run;
+    expect((await staying.getJob(jobId)).result).toBe('exported');
+  });
+});
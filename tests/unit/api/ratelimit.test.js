@@ -0,0 +1,341 @@
+/**
+ * ASDF API - Rate Limit Store Tests
+ * Tests sliding windows, token buckets and ban escalation on both stores,
+ * and that windows, bans and middleware limits are shared between nodes
+ * through Redis (ioredis-mock stand-in)
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const { logAudit } = require('../../../api/services/leaderboard');
+const { createRedisStandIn, flushRedis } = require('./helpers/redis');
+
+/**
+ * Load an independent copy of the service (one per simulated node)
+ */
+function loadNode() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../../api/services/ratelimit');
+  });
+  return service;
+}
+
+const STORES = {
+  memory: service => new service.MemoryRateLimitStore(),
+  redis: service => new service.RedisRateLimitStore(createRedisStandIn()),
+};
+
+let now;
+
+beforeEach(async () => {
+  now = 1700000000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  await flushRedis();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each(Object.keys(STORES))('%s store', backend => {
+  let ratelimit;
+
+  beforeEach(() => {
+    ratelimit = loadNode();
+    ratelimit.setStore(STORES[backend](ratelimit));
+  });
+
+  describe('sliding window', () => {
+    it('should allow up to the per-second limit', async () => {
+      const results = [];
+      for (let i = 0; i < 6; i++) {
+        results.push(await ratelimit.checkLimit('1.2.3.4'));
+      }
+
+      expect(results.slice(0, 5).every(r => r.allowed)).toBe(true);
+      expect(results[0].remaining).toBe(4);
+      expect(results[5]).toMatchObject({
+        allowed: false,
+        banned: false,
+        reason: 'rate_limit_exceeded',
+        retryAfter: 1,
+      });
+    });
+
+    it('should slide the window forward', async () => {
+      for (let i = 0; i < 5; i++) await ratelimit.checkLimit('1.2.3.4');
+      expect((await ratelimit.checkLimit('1.2.3.4')).allowed).toBe(false);
+
+      now += 1001;
+      expect((await ratelimit.checkLimit('1.2.3.4')).allowed).toBe(true);
+    });
+
+    it('should keep endpoint limits separate', async () => {
+      for (let i = 0; i < 5; i++) await ratelimit.checkLimit('1.2.3.4', 'anonymous', '/api/burn');
+      expect((await ratelimit.checkLimit('1.2.3.4', 'anonymous', '/api/burn')).allowed).toBe(false);
+      expect((await ratelimit.checkLimit('1.2.3.4', 'anonymous', '/api/other')).allowed).toBe(true);
+    });
+    it('should apply a named fixed window', async () => {
+      const MINUTES_15 = 15 * 60 * 1000;
+      const check = options => ratelimit.checkWindow('1.2.3.4', 'auth', MINUTES_15, 3, options);
+
+      expect((await check({ record: false })).remaining).toBe(2);
+      for (let i = 0; i < 3; i++) expect((await check()).allowed).toBe(true);
+      expect(await check()).toMatchObject({ allowed: false, retryAfter: 900 });
+      expect((await ratelimit.checkWindow('1.2.3.4', 'health', 60000, 3)).allowed).toBe(true);
+
+      now += MINUTES_15;
+      expect((await check()).allowed).toBe(true);
+    });
+  });
+
+  describe('token bucket', () => {
+    it('should drain and report refill time', async () => {
+      const first = await ratelimit.checkTokenBucket('wallet', 'anonymous', 4);
+      expect(first).toEqual({ allowed: true, tokens: 6, refillIn: 0 });
+
+      await ratelimit.checkTokenBucket('wallet', 'anonymous', 6);
+      const empty = await ratelimit.checkTokenBucket('wallet', 'anonymous', 2);
+      expect(empty).toEqual({ allowed: false, tokens: 0, refillIn: 2000 });
+    });
+
+    it('should refill per whole second up to burst size', async () => {
+      await ratelimit.checkTokenBucket('wallet', 'authenticated', 21);
+
+      now += 1500;
+      const partial = await ratelimit.checkTokenBucket('wallet', 'authenticated', 1);
+      expect(partial.tokens).toBeCloseTo(1.6);
+
+      now += 60000;
+      const full = await ratelimit.checkTokenBucket('wallet', 'authenticated', 1);
+      expect(full.tokens).toBe(20);
+    });
+  });
+
+  describe('bans', () => {
+    it('should escalate repeated violations to a temporary ban', async () => {
+      for (let i = 0; i < 15; i++) await ratelimit.checkLimit('5.6.7.8');
+
+      const result = await ratelimit.checkLimit('5.6.7.8');
+      expect(result).toMatchObject({ allowed: false, banned: true, reason: 'temporary_ban' });
+      expect(result.retryAfter).toBe(300);
+      expect(logAudit).toHaveBeenCalledWith(
+        'rate_limit_temp_ban',
+        expect.objectContaining({ violations: 10 })
+      );
+
+      const status = await ratelimit.isBanned('5.6.7.8');
+      expect(status).toEqual({ banned: true, permanent: false, expiresIn: 300000 });
+
+      const list = await ratelimit.getBannedList();
+      expect(list.temporary).toHaveLength(1);
+      expect(list.temporary[0]).toMatchObject({ expiresIn: 300000, violations: 10 });
+      expect(list.temporary[0].hash).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    it('should lift a temporary ban when it expires', async () => {
+      for (let i = 0; i < 15; i++) await ratelimit.checkLimit('5.6.7.8');
+
+      now += ratelimit.RATELIMIT_CONFIG.ban.tempBanDuration;
+      expect((await ratelimit.isBanned('5.6.7.8')).banned).toBe(false);
+      expect((await ratelimit.checkLimit('5.6.7.8')).allowed).toBe(true);
+    });
+
+    it('should ban permanently at the threshold and unban', async () => {
+      for (let i = 0; i < ratelimit.RATELIMIT_CONFIG.ban.permaBanThreshold; i++) {
+        await ratelimit.recordViolation('9.9.9.9');
+      }
+
+      expect((await ratelimit.checkLimit('9.9.9.9')).reason).toBe('permanent_ban');
+      expect((await ratelimit.getBannedList()).permanent).toHaveLength(1);
+
+      expect(await ratelimit.removeBan('9.9.9.9')).toBe(true);
+      expect(await ratelimit.removeBan('9.9.9.9')).toBe(false);
+      expect(await ratelimit.isBanned('9.9.9.9')).toEqual({
+        banned: false,
+        permanent: false,
+        expiresIn: 0,
+      });
+    });
+
+    it('should report and clear violation details', async () => {
+      await ratelimit.recordViolation('1.1.1.1');
+      now += 10;
+      await ratelimit.recordViolation('1.1.1.1');
+
+      const details = await ratelimit.getViolationDetails('1.1.1.1');
+      expect(details).toMatchObject({ count: 2, lastViolation: now, banned: false });
+      expect(details.recentViolations).toEqual([now - 10, now]);
+
+      await ratelimit.clearViolations('1.1.1.1');
+      expect(await ratelimit.getViolationDetails('1.1.1.1')).toBeNull();
+    });
+  });
+
+  it('should report the backend in stats', async () => {
+    await ratelimit.checkLimit('1.2.3.4');
+    const stats = ratelimit.getStats();
+    expect(stats.backend).toBe(backend);
+    expect(stats.allowed).toBe(1);
+  });
+});
+
+describe('redis store across nodes', () => {
+  let nodeA;
+  let nodeB;
+
+  beforeEach(() => {
+    nodeA = loadNode();
+    nodeB = loadNode();
+    nodeA.setStore(new nodeA.RedisRateLimitStore(createRedisStandIn()));
+    nodeB.setStore(new nodeB.RedisRateLimitStore(createRedisStandIn()));
+  });
+
+  it('should share sliding windows', async () => {
+    for (let i = 0; i < 3; i++) await nodeA.checkLimit('1.2.3.4');
+    for (let i = 0; i < 2; i++) await nodeB.checkLimit('1.2.3.4');
+
+    expect((await nodeA.checkLimit('1.2.3.4')).allowed).toBe(false);
+    expect((await nodeB.checkLimit('1.2.3.4')).allowed).toBe(false);
+  });
+
+  it('should not let concurrent requests race past the limit', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 10 }, (_, i) => (i % 2 ? nodeA : nodeB).checkLimit('1.2.3.4'))
+    );
+    expect(results.filter(r => r.allowed)).toHaveLength(5);
+  });
+
+  it('should share bans and unbans', async () => {
+    for (let i = 0; i < 50; i++) await nodeA.recordViolation('6.6.6.6');
+
+    expect((await nodeB.isBanned('6.6.6.6')).permanent).toBe(true);
+    expect((await nodeB.checkLimit('6.6.6.6')).reason).toBe('permanent_ban');
+
+    expect(await nodeB.removeBan('6.6.6.6')).toBe(true);
+    expect((await nodeA.checkLimit('6.6.6.6')).allowed).toBe(true);
+  });
+
+  it('should continue violation escalation on another node', async () => {
+    for (let i = 0; i < 9; i++) await nodeA.recordViolation('7.7.7.7');
+    const result = await nodeB.recordViolation('7.7.7.7');
+
+    expect(result).toMatchObject({ count: 10, tempBanned: true });
+    expect((await nodeA.checkLimit('7.7.7.7')).reason).toBe('temporary_ban');
+  });
+});
+
+describe('middleware across nodes', () => {
+  let nodeA;
+  let nodeB;
+
+  /**
+   * Run a request through a middleware
+   * @returns {Promise<Object>} Response (next: whether it was let through)
+   */
+  async function send(middleware, req = {}, statusCode = 200) {
+    const finish = [];
+    const res = {
+      statusCode,
+      headers: {},
+      next: false,
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+      },
+      on(event, listener) {
+        if (event === 'finish') finish.push(listener);
+      },
+    };
+    await middleware({ ip: '1.2.3.4', headers: {}, ...req }, res, () => {
+      res.next = true;
+    });
+    finish.forEach(listener => listener());
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return res;
+  }
+
+  beforeEach(() => {
+    nodeA = loadNode();
+    nodeB = loadNode();
+    nodeA.setStore(new nodeA.RedisRateLimitStore(createRedisStandIn()));
+    nodeB.setStore(new nodeB.RedisRateLimitStore(createRedisStandIn()));
+  });
+
+  it('should share a fixed window between instances', async () => {
+    const options = {
+      name: 'purchase',
+      windowMs: 60000,
+      max: 5,
+      message: { error: 'Too many purchase attempts, please try again later' },
+      getIdentifier: req => req.ip,
+    };
+    const limiters = [nodeA.createMiddleware(options), nodeB.createMiddleware(options)];
+
+    const responses = [];
+    for (let i = 0; i < 6; i++) {
+      responses.push(await send(limiters[i % 2]));
+    }
+
+    expect(responses.slice(0, 5).every(res => res.next)).toBe(true);
+    expect(responses[5]).toMatchObject({
+      next: false,
+      statusCode: 429,
+      body: { error: 'Too many purchase attempts, please try again later', retryAfter: 60 },
+    });
+    expect((await send(limiters[0], { ip: '5.6.7.8' })).next).toBe(true);
+  });
+
+  it('should only count failed requests with skipSuccessfulRequests', async () => {
+    const options = {
+      name: 'api-key-rejections',
+      max: 2,
+      getIdentifier: req => req.ip,
+      skipSuccessfulRequests: true,
+      requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    };
+    const limiters = [nodeA.createMiddleware(options), nodeB.createMiddleware(options)];
+
+    for (let i = 0; i < 5; i++) {
+      expect((await send(limiters[i % 2])).next).toBe(true);
+    }
+    await send(limiters[0], {}, 401);
+    await send(limiters[1], {}, 401);
+
+    expect((await send(limiters[0])).statusCode).toBe(429);
+    expect((await send(limiters[1])).statusCode).toBe(429);
+  });
+
+  it('should require a name for fixed windows', () => {
+    expect(() => nodeA.createMiddleware({ max: 5 })).toThrow('needs a name');
+  });
+});
+
+describe('store selection', () => {
+  it('should use the memory store without a connected Redis', () => {
+    const ratelimit = loadNode();
+    expect(ratelimit.getStore()).toBeInstanceOf(ratelimit.MemoryRateLimitStore);
+  });
+
+  it('should fall back to memory when Redis fails', async () => {
+    const ratelimit = loadNode();
+    const broken = createRedisStandIn();
+    broken.client.eval = () => Promise.reject(new Error('connection lost'));
+    ratelimit.setStore(new ratelimit.RedisRateLimitStore(broken));
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const result = await ratelimit.checkLimit('1.2.3.4');
+
+    expect(result.allowed).toBe(true);
+    expect(ratelimit.getStats().storeErrors).toBe(1);
+  });
+});
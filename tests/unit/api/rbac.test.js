@@ -0,0 +1,234 @@
+/**
+ * ASDF API - RBAC Tests
+ * Tests permission checks and the requirePermission middleware, built-in
+ * roles, guarded assignment (no escalation, no self-service, env admins
+ * fixed), persistence through the repository and propagation to every
+ * instance
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const { MemoryAdapter } = require('../../../api/services/storage');
+
+const ADMIN = 'AdminWa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+const OPS = 'QpsWa11etBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBBB';
+const SUPPORT = 'SupportWa11etCCCCCCCCCCCCCCCCCCCCCCCCCCCCC';
+const ANALYST = 'Ana1ystWa11etDDDDDDDDDDDDDDDDDDDDDDDDDDDDD';
+
+let storage;
+let instances = [];
+
+/**
+ * Load an independent copy of the service (one per simulated instance)
+ */
+function loadInstance() {
+  let instance;
+  jest.isolateModules(() => {
+    instance = {
+      rbac: require('../../../api/services/rbac'),
+      database: require('../../../api/services/database'),
+    };
+  });
+  instance.rbac.initialize({ storage });
+  instances.push(instance);
+  return instance;
+}
+
+/**
+ * Run a middleware against a fake request
+ */
+function run(middleware, wallet) {
+  const req = { user: wallet ? { wallet } : undefined, path: '/api/admin/test' };
+  const res = {
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(body => {
+      res.body = body;
+      return res;
+    }),
+  };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { req, res, next };
+}
+
+beforeEach(() => {
+  process.env.ADMIN_WALLETS = ADMIN;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  storage = new MemoryAdapter();
+});
+
+afterEach(async () => {
+  instances.forEach(instance => instance.rbac.shutdown());
+  instances = [];
+  await storage.close();
+  delete process.env.ADMIN_WALLETS;
+  jest.restoreAllMocks();
+});
+
+describe('requirePermission', () => {
+  it('should let ADMIN_WALLETS through everything', () => {
+    const { rbac } = loadInstance();
+
+    const { req, next } = run(rbac.requirePermission('shutdown:execute'), ADMIN);
+    expect(next).toHaveBeenCalled();
+    expect(req.isAdmin).toBe(true);
+    expect(rbac.getRoles(ADMIN)).toEqual(['admin']);
+    expect(rbac.getPermissions(ADMIN)).toEqual(Object.keys(rbac.PERMISSIONS));
+  });
+
+  it('should deny by default', () => {
+    const { rbac } = loadInstance();
+
+    expect(run(rbac.requirePermission('audit:read')).res.statusCode).toBe(401);
+
+    const { res, next } = run(rbac.requirePermission('audit:read'), SUPPORT);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ error: 'Permission required', permission: 'audit:read' });
+    expect(rbac.getStats()).toMatchObject({ checks: 1, denied: 1 });
+  });
+
+  it('should refuse to guard a permission that does not exist', () => {
+    const { rbac } = loadInstance();
+    expect(() => rbac.requirePermission('flags:delete')).toThrow('Unknown permission');
+  });
+
+  it('should keep support, moderation and analytics away from operations', () => {
+    const { rbac } = loadInstance();
+    rbac.assign(SUPPORT, { roles: ['support'] }, { actor: ADMIN });
+    rbac.assign(ANALYST, { roles: ['analyst'] }, { actor: ADMIN });
+    rbac.assign(OPS, { roles: ['operator'] }, { actor: ADMIN });
+
+    expect(rbac.hasPermission(SUPPORT, 'ratelimit:write')).toBe(true);
+    expect(rbac.hasPermission(ANALYST, 'audit:read')).toBe(true);
+    for (const wallet of [SUPPORT, ANALYST]) {
+      expect(rbac.hasPermission(wallet, 'circuits:write')).toBe(false);
+      expect(rbac.hasPermission(wallet, 'config:write')).toBe(false);
+      expect(rbac.hasPermission(wallet, 'shutdown:execute')).toBe(false);
+    }
+
+    expect(rbac.hasPermission(OPS, 'circuits:write')).toBe(true);
+    expect(rbac.hasPermission(OPS, 'shutdown:execute')).toBe(false);
+    expect(rbac.hasPermission(OPS, 'roles:write')).toBe(false);
+  });
+
+  it('should not treat partners as admins', () => {
+    const { rbac } = loadInstance();
+    rbac.assign(SUPPORT, { roles: ['partner'] }, { actor: ADMIN });
+    rbac.assign(ANALYST, { roles: ['analyst'] }, { actor: ADMIN });
+
+    const partner = run(rbac.requirePermission('apikeys:use'), SUPPORT);
+    expect(partner.next).toHaveBeenCalled();
+    expect(partner.req.isAdmin).toBeUndefined();
+    expect(rbac.hasAdminAccess(SUPPORT)).toBe(false);
+
+    const analyst = run(rbac.requirePermission('audit:read'), ANALYST);
+    expect(analyst.req.isAdmin).toBe(true);
+    expect(rbac.hasAdminAccess(ANALYST)).toBe(true);
+    expect(rbac.hasAdminAccess(ADMIN)).toBe(true);
+    expect(rbac.hasAdminAccess(OPS)).toBe(false);
+  });
+});
+
+describe('assignments', () => {
+  it('should combine roles with direct permission grants', () => {
+    const { rbac } = loadInstance();
+
+    const result = rbac.assign(
+      ANALYST,
+      { roles: ['analyst'], permissions: ['tracing:*'] },
+      { actor: ADMIN }
+    );
+
+    expect(result).toMatchObject({
+      success: true,
+      previous: null,
+      assignment: { roles: ['analyst'], permissions: ['tracing:*'], updatedBy: ADMIN },
+    });
+    expect(rbac.getPermissions(ANALYST)).toEqual([
+      'analytics:read',
+      'flags:read',
+      'tracing:read',
+      'tracing:write',
+      'audit:read',
+    ]);
+  });
+
+  it('should reject unknown roles and permissions', () => {
+    const { rbac } = loadInstance();
+
+    expect(rbac.assign(SUPPORT, { roles: ['root'] }, { actor: ADMIN }).error).toBe(
+      'Unknown role: root'
+    );
+    expect(rbac.assign(SUPPORT, { permissions: ['wallets:*'] }, { actor: ADMIN }).error).toBe(
+      'Unknown permission: wallets:*'
+    );
+    expect(rbac.assign('not-a-wallet', { roles: ['support'] }, { actor: ADMIN }).error).toBe(
+      'Invalid wallet address'
+    );
+  });
+
+  it('should not let anyone grant what they do not hold', () => {
+    const { rbac } = loadInstance();
+    rbac.assign(OPS, { roles: ['operator'], permissions: ['roles:write'] }, { actor: ADMIN });
+
+    expect(rbac.assign(SUPPORT, { permissions: ['flags:write'] }, { actor: OPS }).success).toBe(
+      true
+    );
+    expect(rbac.assign(SUPPORT, { permissions: ['shutdown:execute'] }, { actor: OPS })).toEqual({
+      success: false,
+      error: 'Cannot grant a permission you do not hold: shutdown:execute',
+    });
+    expect(rbac.assign(SUPPORT, { roles: ['admin'] }, { actor: OPS }).error).toBe(
+      'Cannot grant a permission you do not hold: *'
+    );
+    expect(rbac.assign(SUPPORT, { roles: ['moderator'] }, { actor: OPS }).success).toBe(false);
+  });
+
+  it('should protect env admins and the actor themself', () => {
+    const { rbac } = loadInstance();
+    rbac.assign(OPS, { permissions: ['roles:*', 'flags:*'] }, { actor: ADMIN });
+
+    expect(rbac.assign(ADMIN, { roles: ['analyst'] }, { actor: OPS }).error).toBe(
+      'ADMIN_WALLETS are managed through the environment'
+    );
+    expect(rbac.assign(OPS, { permissions: ['flags:read'] }, { actor: OPS }).error).toBe(
+      'Cannot change your own roles'
+    );
+    expect(rbac.revoke(OPS, { actor: OPS }).error).toBe('Cannot change your own roles');
+    expect(rbac.revoke(SUPPORT, { actor: ADMIN }).error).toBe('Assignment not found');
+  });
+});
+
+describe('persistence and propagation', () => {
+  it('should store assignments and restore them on startup', async () => {
+    const before = loadInstance();
+    before.rbac.assign(SUPPORT, { roles: ['support'] }, { actor: ADMIN });
+    await before.database.flushRepositories();
+
+    const stored = await before.database.getRepository('roleAssignments').get(SUPPORT);
+    expect(stored).toMatchObject({ wallet: SUPPORT, roles: ['support'] });
+
+    const after = loadInstance();
+    await after.database.getRepository('roleAssignments').save(SUPPORT, stored);
+    await after.database.hydrateRepositories();
+    expect(after.rbac.getRoles(SUPPORT)).toEqual(['support']);
+  });
+
+  it('should apply changes on every instance', () => {
+    const first = loadInstance();
+    const second = loadInstance();
+
+    first.rbac.assign(SUPPORT, { roles: ['support'] }, { actor: ADMIN });
+    expect(second.rbac.hasPermission(SUPPORT, 'notifications:send')).toBe(true);
+
+    first.rbac.revoke(SUPPORT, { actor: ADMIN });
+    expect(second.rbac.hasPermission(SUPPORT, 'notifications:send')).toBe(false);
+    expect(second.rbac.getStats().remoteChanges).toBe(2);
+  });
+});
@@ -0,0 +1,657 @@
+/**
+ * @jest-environment-options {"customExportConditions": ["node", "require"]}
+ *
+ * ASDF API - Realtime Notifications Cluster Tests
+ * Tests that channel and wallet messages reach sockets on every instance
+ * through the shared storage pub/sub, without double delivery, that
+ * presence is reported cluster-wide, that sequenced messages are
+ * replayed (or a resync requested) when a client resumes, and that the
+ * Server-Sent Events transport serves the same channels
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const { MemoryAdapter } = require('../../../api/services/storage');
+
+const SECRET = 'realtime-test-secret-realtime-test-secret';
+const WALLET = 'Rea1timeWa11etAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+let storage;
+let nodes = [];
+let clients = [];
+let streams = [];
+let previousSecret;
+
+/**
+ * Start an independent instance on its own HTTP server (one per simulated node)
+ */
+async function startNode() {
+  let service;
+  let sessions;
+  jest.isolateModules(() => {
+    service = require('../../../api/services/realtimeNotifications');
+    sessions = require('../../../api/services/sessionManager');
+  });
+
+  // SSE routes as api/index.js mounts them (cookie or Bearer header only)
+  const app = express();
+  app.use(express.json());
+  app.get('/stream', (req, res) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    service.openStream(req, res, { token });
+  });
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const node = { service, sessions, server, port: server.address().port };
+  nodes.push(node);
+
+  sessions.initialize({ storage });
+  service.initialize(server, { storage });
+  return node;
+}
+
+/**
+ * HS256 token as issued by the auth service
+ */
+function signToken(payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Connect a client and collect its messages
+ * The wallet's token goes as a bearer subprotocol, or in the session cookie
+ * or the query string (ignored by the server) with via: 'cookie' / 'query'
+ */
+async function connect(node, wallet = null, claims = {}, via = 'protocol') {
+  const token = wallet ? signToken({ wallet, ...claims }) : null;
+  const url = `ws://127.0.0.1:${node.port}${node.service.WS_CONFIG.path}`;
+  const protocols = ['asdf-notifications-v1'];
+  const options = {};
+  if (token && via === 'protocol') protocols.push(`bearer.${token}`);
+  if (token && via === 'cookie') options.headers = { Cookie: `theme=dark; asdf_auth=${token}` };
+
+  const ws = new WebSocket(
+    via === 'query' && token ? `${url}?token=${token}` : url,
+    protocols,
+    options
+  );
+  const client = { ws, messages: [], closeCode: null };
+  clients.push(client);
+
+  ws.on('message', data => client.messages.push(JSON.parse(data.toString())));
+  ws.on('close', code => {
+    client.closeCode = code;
+  });
+  await new Promise((resolve, reject) => {
+    ws.once('error', reject);
+    const waitWelcome = () =>
+      client.messages.some(m => m.type === 'connected') ? resolve() : setTimeout(waitWelcome, 5);
+    ws.once('open', waitWelcome);
+  });
+
+  return client;
+}
+
+/**
+ * Open an SSE stream and collect its events ({ id, data })
+ */
+async function openSse(node, query = '', headers = {}) {
+  const stream = { events: [], status: null, buffer: '' };
+  streams.push(stream);
+
+  await new Promise((resolve, reject) => {
+    stream.req = http.get(
+      { host: '127.0.0.1', port: node.port, path: `/stream${query}`, headers },
+      res => {
+        stream.status = res.statusCode;
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          stream.buffer += chunk;
+          const frames = stream.buffer.split('\n\n');
+          stream.buffer = frames.pop();
+          for (const frame of frames) {
+            const event = {};
+            for (const line of frame.split('\n')) {
+              if (line.startsWith('id: ')) event.id = line.slice(4);
+              if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+            }
+            if (event.data) stream.events.push(event);
+          }
+        });
+        res.on('end', () => {
+          stream.ended = true;
+        });
+        res.on('error', () => {});
+        resolve();
+      }
+    );
+    stream.req.on('error', reject);
+  });
+
+  if (stream.status === 200) {
+    await waitFor(() => stream.events.some(e => e.data.type === 'connected'));
+    stream.connectionId = stream.events[0].data.connectionId;
+  }
+  return stream;
+}
+
+function waitFor(predicate, timeout = 1000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - started > timeout) return reject(new Error('Timed out'));
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeAll(() => {
+  previousSecret = process.env.JWT_SECRET;
+  process.env.JWT_SECRET = SECRET;
+});
+
+afterAll(() => {
+  if (previousSecret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = previousSecret;
+});
+
+beforeEach(() => {
+  storage = new MemoryAdapter();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  for (const client of clients) {
+    client.ws.terminate();
+  }
+  for (const stream of streams) {
+    stream.req.destroy();
+  }
+  for (const node of nodes) {
+    await node.service.shutdown();
+    node.sessions.shutdown();
+    await new Promise(resolve => node.server.close(resolve));
+  }
+  clients = [];
+  streams = [];
+  nodes = [];
+  await storage.close();
+  jest.restoreAllMocks();
+});
+
+describe('cluster delivery', () => {
+  test('notifyWallet reaches a wallet connected to another node', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const client = await connect(b, WALLET);
+
+    const localCount = await a.service.notifyWallet(WALLET, {
+      type: a.service.NOTIFICATION_TYPES.ANNOUNCEMENT,
+      title: 'Hello',
+    });
+
+    expect(localCount).toBe(0);
+    await waitFor(() => client.messages.some(m => m.type === 'notification'));
+    const received = client.messages.find(m => m.type === 'notification');
+    expect(received.notification.title).toBe('Hello');
+  });
+
+  test('channel broadcasts reach subscribers on every node exactly once', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const onA = await connect(a);
+    const onB = await connect(b);
+
+    expect(await a.service.broadcastToChannel('global', { type: 'event', value: 1 })).toBe(1);
+
+    await waitFor(() => onB.messages.some(m => m.value === 1));
+    await tick();
+    expect(onA.messages.filter(m => m.value === 1)).toHaveLength(1);
+    expect(onB.messages.filter(m => m.value === 1)).toHaveLength(1);
+    expect(b.service.getStats().remoteMessages).toBe(1);
+    expect(a.service.getStats().remoteMessages).toBe(0);
+  });
+
+  test('personal channels stay private across nodes', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const other = await connect(b);
+
+    await a.service.notifyWallet(WALLET, {
+      type: a.service.NOTIFICATION_TYPES.ANNOUNCEMENT,
+      title: 'Private',
+    });
+
+    await waitFor(() => b.service.getStats().remoteMessages === 1);
+    expect(other.messages.some(m => m.type === 'notification')).toBe(false);
+  });
+
+  test('malformed relays are ignored', async () => {
+    const b = await startNode();
+    const client = await connect(b);
+
+    await storage.publish('channel:realtime', { origin: 'elsewhere', channel: 'global' });
+    await storage.publish('channel:realtime', { origin: 'elsewhere', channel: 42, message: {} });
+
+    await tick();
+    expect(client.messages.filter(m => m.type !== 'connected')).toHaveLength(0);
+    expect(b.service.getStats().remoteMessages).toBe(0);
+  });
+});
+
+describe('cluster presence', () => {
+  test('counts connections and wallets across nodes', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    await connect(a, WALLET);
+    await connect(b, WALLET);
+    await connect(b);
+
+    await waitFor(() => b.service.getStats().currentConnections === 2);
+    await tick();
+    const presence = await a.service.getClusterPresence();
+
+    expect(presence.totals).toMatchObject({
+      nodes: 2,
+      connections: 3,
+      authenticated: 2,
+      uniqueWallets: 1,
+    });
+    expect(presence.nodes.find(n => n.local).instanceId).toBe(a.service.WS_CONFIG.instanceId);
+    expect(await storage.ttl(`realtime:node:${b.service.WS_CONFIG.instanceId}`)).toBeGreaterThan(0);
+    expect(presence.nodes[0].wallets).toBeUndefined();
+
+    const wallet = await a.service.getWalletPresence(WALLET);
+    expect(wallet).toEqual({
+      online: true,
+      connections: 2,
+      nodes: expect.arrayContaining([
+        a.service.WS_CONFIG.instanceId,
+        b.service.WS_CONFIG.instanceId,
+      ]),
+    });
+  });
+
+  test('a node leaving the cluster drops out of presence and relays', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const onB = await connect(b);
+
+    await b.service.shutdown();
+    onB.messages.length = 0;
+
+    const presence = await a.service.getClusterPresence();
+    expect(presence.totals.nodes).toBe(1);
+    expect(presence.nodes[0].instanceId).toBe(a.service.WS_CONFIG.instanceId);
+
+    await a.service.broadcastToChannel('global', { type: 'event', value: 2 });
+    await tick();
+    expect(b.service.getStats().remoteMessages).toBe(0);
+  });
+
+  test('expired nodes are pruned', async () => {
+    const a = await startNode();
+    await storage.sadd('realtime:nodes', 'gone');
+
+    const presence = await a.service.getClusterPresence();
+
+    expect(presence.totals.nodes).toBe(1);
+    expect(await storage.smembers('realtime:nodes')).not.toContain('gone');
+  });
+});
+
+describe('sequencing and replay', () => {
+  const events = client => client.messages.filter(m => m.type === 'event');
+  const send = (client, message) => client.ws.send(JSON.stringify(message));
+
+  test('messages carry one increasing sequence per channel across nodes', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const client = await connect(b);
+
+    await a.service.broadcastToChannel('global', { type: 'event', value: 1 });
+    await b.service.broadcastToChannel('global', { type: 'event', value: 2 });
+    await a.service.broadcastToChannel('global', { type: 'event', value: 3 });
+    await a.service.broadcastToChannel('burns', { type: 'event', value: 4 });
+
+    await waitFor(() => events(client).length === 3);
+    expect(events(client).map(m => [m.seqChannel, m.seq])).toEqual([
+      ['global', 1],
+      ['global', 2],
+      ['global', 3],
+    ]);
+  });
+
+  test('concurrent sends on one node keep sequence order', async () => {
+    const a = await startNode();
+    const client = await connect(a);
+
+    await Promise.all(
+      [1, 2, 3, 4, 5].map(value => a.service.broadcastToChannel('global', { type: 'event', value }))
+    );
+
+    await waitFor(() => events(client).length === 5);
+    expect(events(client).map(m => m.seq)).toEqual([1, 2, 3, 4, 5]);
+    expect(events(client).map(m => m.value)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('resume replays the gap from any node', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const first = await connect(a, WALLET);
+
+    await a.service.notifyWallet(WALLET, { type: 'announcement', title: 'One' });
+    await waitFor(() => first.messages.some(m => m.type === 'notification'));
+    const channel = `personal:${WALLET}`;
+    const lastSeen = first.messages.find(m => m.type === 'notification').seq;
+    first.ws.terminate();
+
+    await a.service.notifyWallet(WALLET, { type: 'announcement', title: 'Two' });
+    await a.service.notifyWallet(WALLET, { type: 'announcement', title: 'Three' });
+
+    const again = await connect(b, WALLET);
+    send(again, { type: 'resume', channels: { [channel]: lastSeen } });
+
+    await waitFor(() => again.messages.some(m => m.type === 'resumed'));
+    const replayed = again.messages.filter(m => m.type === 'notification');
+    expect(replayed.map(m => m.notification.title)).toEqual(['Two', 'Three']);
+    expect(replayed.map(m => m.seq)).toEqual([lastSeen + 1, lastSeen + 2]);
+    expect(again.messages.find(m => m.type === 'resumed')).toMatchObject({
+      channel,
+      seq: lastSeen + 2,
+      replayed: 2,
+    });
+  });
+
+  test('resume with nothing missed replays nothing', async () => {
+    const a = await startNode();
+    const client = await connect(a);
+
+    await a.service.broadcastToChannel('global', { type: 'event', value: 1 });
+    send(client, { type: 'resume', channels: { global: 1 } });
+
+    await waitFor(() => client.messages.some(m => m.type === 'resumed'));
+    expect(client.messages.find(m => m.type === 'resumed')).toMatchObject({ seq: 1, replayed: 0 });
+    expect(events(client)).toHaveLength(1);
+  });
+
+  test('a gap older than the buffer asks for a resync', async () => {
+    const a = await startNode();
+    a.service.WS_CONFIG.replayBufferSize = 2;
+    const client = await connect(a);
+
+    for (const value of [1, 2, 3, 4]) {
+      await a.service.broadcastToChannel('global', { type: 'event', value });
+    }
+    expect(await storage.llen('realtime:replay:global')).toBe(2);
+
+    send(client, { type: 'resume', channels: { global: 1 } });
+
+    await waitFor(() => client.messages.some(m => m.type === 'resync'));
+    expect(client.messages.find(m => m.type === 'resync')).toEqual({
+      type: 'resync',
+      channel: 'global',
+      seq: 4,
+    });
+    expect(a.service.getStats().resyncs).toBe(1);
+  });
+
+  test('a client ahead of the counter asks for a resync', async () => {
+    const a = await startNode();
+    const client = await connect(a);
+
+    send(client, { type: 'resume', channels: { global: 13 } });
+
+    await waitFor(() => client.messages.some(m => m.type === 'resync'));
+    expect(client.messages.find(m => m.type === 'resync').seq).toBe(0);
+  });
+
+  test('resume is limited to subscribed channels and valid sequences', async () => {
+    const a = await startNode();
+    const client = await connect(a);
+
+    await a.service.notifyWallet(WALLET, { type: 'announcement', title: 'Secret' });
+    send(client, { type: 'resume', channels: { [`personal:${WALLET}`]: 0, global: -1 } });
+    send(client, { type: 'resume', channels: ['global'] });
+
+    await waitFor(() => client.messages.filter(m => m.type === 'error').length === 3);
+    expect(client.messages.filter(m => m.type === 'error').map(m => m.error)).toEqual([
+      'Not subscribed',
+      'Invalid sequence',
+      'Channels required',
+    ]);
+    expect(client.messages.some(m => m.type === 'notification')).toBe(false);
+  });
+
+  test('resume replays an interleaved buffer in seq order without duplicates', async () => {
+    const a = await startNode();
+    const client = await connect(a);
+
+    await storage.set('realtime:seq:global', 3);
+    for (const seq of [1, 3, 2, 3]) {
+      await storage.rpush('realtime:replay:global', { type: 'event', seq, seqChannel: 'global' });
+    }
+    send(client, { type: 'resume', channels: { global: 0 } });
+
+    await waitFor(() => client.messages.some(m => m.type === 'resumed'));
+    expect(events(client).map(m => m.seq)).toEqual([1, 2, 3]);
+    expect(client.messages.find(m => m.type === 'resumed')).toMatchObject({ seq: 3, replayed: 3 });
+  });
+
+  test('on Redis the seq and buffer entry are written by one script', async () => {
+    let service;
+    let helpers;
+    jest.isolateModules(() => {
+      service = require('../../../api/services/realtimeNotifications');
+      helpers = require('./helpers/redis');
+    });
+    const redis = helpers.createRedisStandIn();
+    service.setStorage(redis);
+    service.WS_CONFIG.replayBufferSize = 2;
+
+    const sent = [];
+    for (const value of [1, 2, 3]) {
+      sent.push(await service.broadcastToChannel('global', { type: 'event', value }));
+    }
+    const buffer = await redis.eval("return redis.call('LRANGE', KEYS[1], 0, -1)", [
+      'realtime:replay:global',
+    ]);
+
+    expect(sent).toEqual([0, 0, 0]);
+    expect(service.getStats().errors).toBe(0);
+    expect(buffer.map(entry => JSON.parse(entry.slice(2)))).toEqual([
+      { type: 'event', value: 2, seqChannel: 'global', seq: 2 },
+      { type: 'event', value: 3, seqChannel: 'global', seq: 3 },
+    ]);
+    expect(await redis.get('realtime:seq:global')).toBe(3);
+    await helpers.flushRedis();
+  });
+});
+
+describe('server-sent events', () => {
+  const data = (stream, type) => stream.events.filter(e => e.data.type === type);
+
+  test('a stream joins requested channels and gets broadcasts from every node', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const stream = await openSse(b, '?channels=burns,leaderboard');
+
+    expect(stream.events[0].data).toMatchObject({
+      type: 'connected',
+      transport: 'sse',
+      authenticated: false,
+      channels: ['global', 'burns', 'leaderboard'],
+    });
+
+    await a.service.broadcastToChannel('burns', { type: 'event', value: 1 });
+    await a.service.broadcastToChannel('global', { type: 'event', value: 2 });
+
+    await waitFor(() => data(stream, 'event').length === 2);
+    const [burn, global] = data(stream, 'event');
+    expect(burn.data).toMatchObject({ value: 1, seq: 1, seqChannel: 'burns' });
+    expect(burn.id).toBe('burns=1');
+    expect(global.id).toBe('burns=1&global=1');
+    expect(b.service.getStats().streamConnections).toBe(1);
+  });
+
+  test('posted subscriptions reach the node holding the stream', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const stream = await openSse(b);
+
+    expect(
+      a.service.postToStream(stream.connectionId, { type: 'subscribe', channel: 'tournament:t1' })
+    ).toBe(true);
+    await waitFor(() => data(stream, 'subscribed').length === 1);
+
+    await a.service.broadcastToChannel('tournament:t1', { type: 'event', value: 3 });
+    await waitFor(() => data(stream, 'event').length === 1);
+
+    expect(a.service.postToStream(stream.connectionId, { type: 'ping' })).toBe(false);
+    expect(a.service.postToStream(stream.connectionId, null)).toBe(false);
+  });
+
+  test('Last-Event-ID resumes the channels joined again', async () => {
+    const a = await startNode();
+    const first = await openSse(a, '?channels=burns');
+
+    await a.service.broadcastToChannel('burns', { type: 'event', value: 1 });
+    await waitFor(() => data(first, 'event').length === 1);
+    const lastEventId = data(first, 'event')[0].id;
+    first.req.destroy();
+
+    await a.service.broadcastToChannel('burns', { type: 'event', value: 2 });
+    await a.service.broadcastToChannel('burns', { type: 'event', value: 3 });
+
+    const again = await openSse(a, '?channels=burns', { 'Last-Event-ID': lastEventId });
+
+    await waitFor(() => data(again, 'resumed').length === 1);
+    expect(data(again, 'event').map(e => e.data.value)).toEqual([2, 3]);
+    expect(data(again, 'resumed')[0].data).toMatchObject({ channel: 'burns', replayed: 2 });
+    expect(data(again, 'event')[1].id).toBe('burns=3');
+  });
+
+  test('authenticated streams get their wallet channel and only take its messages', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const token = signToken({ wallet: WALLET });
+    const stream = await openSse(b, '?channels=personal:Someone', {
+      Authorization: `Bearer ${token}`,
+    });
+
+    expect(stream.events[0].data.channels).toEqual(['global', `personal:${WALLET}`]);
+
+    await a.service.notifyWallet(WALLET, { type: 'announcement', title: 'Hi' });
+    await waitFor(() => data(stream, 'notification').length === 1);
+
+    a.service.postToStream(stream.connectionId, { type: 'subscribe', channel: 'burns' }, 'Other');
+    a.service.postToStream(stream.connectionId, { type: 'subscribe', channel: 'burns' }, WALLET);
+    await waitFor(() => data(stream, 'subscribed').length === 1);
+    await tick();
+    expect(data(stream, 'subscribed')).toHaveLength(1);
+  });
+
+  test('invalid tokens are refused', async () => {
+    const a = await startNode();
+    const stream = await openSse(a, '', { Authorization: 'Bearer nope' });
+
+    expect(stream.status).toBe(401);
+    expect(a.service.getStats().activeConnections).toBe(0);
+  });
+
+  test('tokens in the query string are ignored', async () => {
+    const a = await startNode();
+    const stream = await openSse(a, `?token=${signToken({ wallet: WALLET })}`);
+
+    expect(stream.status).toBe(200);
+    expect(stream.events[0].data).toMatchObject({ authenticated: false, channels: ['global'] });
+  });
+
+  test('websockets authenticate with the session cookie', async () => {
+    const a = await startNode();
+    const client = await connect(a, WALLET, {}, 'cookie');
+
+    expect(client.messages[0]).toMatchObject({
+      authenticated: true,
+      channels: ['global', `personal:${WALLET}`],
+    });
+    expect(client.ws.protocol).toBe('asdf-notifications-v1');
+  });
+
+  test('websockets answer a bearer subprotocol with the service protocol', async () => {
+    const a = await startNode();
+    const client = await connect(a, WALLET);
+
+    expect(client.messages[0]).toMatchObject({
+      authenticated: true,
+      channels: ['global', `personal:${WALLET}`],
+    });
+    expect(client.ws.protocol).toBe('asdf-notifications-v1');
+  });
+
+  test('websocket tokens in the query string are ignored', async () => {
+    const a = await startNode();
+    const client = await connect(a, WALLET, {}, 'query');
+
+    expect(client.messages[0]).toMatchObject({ authenticated: false });
+    expect(a.service.getStats().authenticatedConnections).toBe(0);
+  });
+
+  test('tokens of revoked sessions are refused on both transports', async () => {
+    const a = await startNode();
+    a.sessions.revokeSession('sess_revoked');
+    const token = signToken({ wallet: WALLET, sid: 'sess_revoked' });
+
+    const stream = await openSse(a, '', { Authorization: `Bearer ${token}` });
+    expect(stream.status).toBe(401);
+
+    await expect(connect(a, WALLET, { sid: 'sess_revoked' })).rejects.toThrow('401');
+    expect(a.service.getStats().activeConnections).toBe(0);
+  });
+
+  test('revocations an instance missed are read from storage', async () => {
+    const a = await startNode();
+    a.sessions.revokeSession('sess_revoked');
+    await tick();
+
+    // Started after the announcement
+    const b = await startNode();
+    const token = signToken({ wallet: WALLET, sid: 'sess_revoked' });
+    expect(b.sessions.isSessionRevoked('sess_revoked')).toBe(false);
+
+    const stream = await openSse(b, '', { Authorization: `Bearer ${token}` });
+    expect(stream.status).toBe(401);
+    await expect(connect(b, WALLET, { sid: 'sess_revoked' })).rejects.toThrow('401');
+  });
+
+  test('revoking a session closes its open connections on every node', async () => {
+    const a = await startNode();
+    const b = await startNode();
+    const token = signToken({ wallet: WALLET, sid: 'sess_live' });
+    const socket = await connect(a, WALLET, { sid: 'sess_live' });
+    const stream = await openSse(a, '', { Authorization: `Bearer ${token}` });
+    const other = await connect(a, WALLET, { sid: 'sess_other' });
+
+    b.sessions.revokeSession('sess_live', 'user_revoked');
+
+    await waitFor(() => socket.closeCode !== null && stream.ended);
+    expect(socket.closeCode).toBe(4001);
+    expect(other.ws.readyState).toBe(WebSocket.OPEN);
+    expect(a.service.getStats().activeConnections).toBe(1);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * @jest-environment-options {"customExportConditions": ["node", "require"]}
+ *
+ * ASDF API - RPC Failover Tests
+ * Tests hedged reads (p95-based delay, first answer wins, loser cancelled)
+ * and slot consistency (session minContextSlot, lagging endpoints skipped),
+ * including a wallet's balance read after its burn
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+// The installed spl-token predates getAssociatedTokenAddress; any stable address will do
+jest.mock('../../../api/node_modules/@solana/spl-token', () => ({
+  getAssociatedTokenAddress: async (mint, owner) => owner,
+}));
+
+// jsdom lacks it; helius hashes the token account address with it (in this realm's Uint8Array)
+global.TextEncoder = class {
+  encode(text) {
+    return new Uint8Array(Buffer.from(text, 'utf8'));
+  }
+};
+
+let rpc;
+let now;
+let nodes;
+
+/**
+ * Fake RPC nodes by URL: { answer(method, params) -> { result | error, delay } }
+ */
+function fakeFetch(url, init) {
+  const node = nodes[url];
+  const { method, params } = JSON.parse(init.body);
+  const { result, error, delay = 0, status = 200 } = node.answer(method, params);
+  node.requests.push({ method, params, signal: init.signal });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      resolve({
+        ok: status === 200,
+        status,
+        statusText: 'Error',
+        json: async () => (error ? { jsonrpc: '2.0', error } : { jsonrpc: '2.0', result }),
+      });
+    }, delay);
+
+    init.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      const aborted = new Error('aborted');
+      aborted.name = 'AbortError';
+      reject(aborted);
+    });
+  });
+}
+
+function addNode(id, answer) {
+  const url = `https://${id}.rpc.test`;
+  nodes[url] = { answer, requests: [] };
+  rpc.registerEndpoint(id, { url });
+  return nodes[url];
+}
+
+/**
+ * Fresh rpcFailover without the default endpoints; services required by
+ * load(), and their lazy requires, share its instance
+ */
+function loadRpc(load = () => {}) {
+  jest.resetModules();
+  rpc = require('../../../api/services/rpcFailover');
+  load();
+  rpc.stopHealthChecks();
+  rpc.unregisterEndpoint('solana-mainnet');
+  rpc.unregisterEndpoint('helius-primary');
+  rpc.unregisterEndpoint('helius-enhanced');
+
+  rpc.RPC_CONFIG.hedging.defaultDelay = 20;
+  rpc.RPC_CONFIG.retryDelay = 1;
+}
+
+beforeEach(() => {
+  now = Date.UTC(2026, 0, 5);
+  nodes = {};
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  global.fetch = jest.fn(fakeFetch);
+
+  loadRpc();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('hedged reads', () => {
+  it('should take the backup answer when the primary is slow and cancel the primary', async () => {
+    const primary = addNode('a', () => ({
+      result: { context: { slot: 10 }, value: 1 },
+      delay: 500,
+    }));
+    const backup = addNode('b', () => ({ result: { context: { slot: 10 }, value: 2 }, delay: 5 }));
+
+    const result = await rpc.executeRequest('getBalance', ['wallet']);
+
+    expect(result.value).toBe(2);
+    expect(primary.requests[0].signal.aborted).toBe(true);
+    expect(backup.requests).toHaveLength(1);
+    expect(rpc.getStats()).toMatchObject({ hedgedRequests: 1, hedgeWins: 1, failedRequests: 0 });
+    expect(rpc.getEndpointStatus('a').stats.failures).toBe(0);
+  });
+
+  it('should not hedge when the primary answers within the delay', async () => {
+    addNode('a', () => ({ result: 7, delay: 1 }));
+    const backup = addNode('b', () => ({ result: 8 }));
+
+    expect(await rpc.executeRequest('getSlot')).toBe(7);
+    expect(backup.requests).toHaveLength(0);
+    expect(rpc.getStats().hedgedRequests).toBe(0);
+  });
+
+  it('should only hedge latency-critical reads unless asked', async () => {
+    addNode('a', () => ({ result: { slot: 1 }, delay: 60 }));
+    const backup = addNode('b', () => ({ result: { slot: 2 } }));
+
+    expect(await rpc.executeRequest('getTransaction', ['sig'])).toEqual({ slot: 1 });
+    expect(backup.requests).toHaveLength(0);
+
+    expect(await rpc.executeRequest('getTransaction', ['sig'], { hedge: true })).toEqual({
+      slot: 2,
+    });
+  });
+
+  it('should hedge at once when the primary fails', async () => {
+    addNode('a', () => ({ status: 500 }));
+    addNode('b', () => ({ result: 3, delay: 1 }));
+
+    expect(await rpc.executeRequest('getSlot', [], { retries: 0 })).toBe(3);
+    expect(rpc.getEndpointStatus('a').stats.failures).toBe(1);
+  });
+
+  it("should wait for the primary's p95 latency before hedging", async () => {
+    let latency = 0;
+    const primary = addNode('a', () => {
+      latency += 10;
+      now += latency;
+      return { result: 1 };
+    });
+
+    for (let i = 0; i < 20; i++) {
+      await rpc.executeRequest('getSlot');
+    }
+    expect(rpc.getEndpointStatus('a').stats.p95Latency).toBe(190);
+
+    // Slower than the default delay, within the observed p95
+    primary.answer = () => ({ result: 2, delay: 80 });
+    const backup = addNode('b', () => ({ result: 3 }));
+
+    expect(await rpc.executeRequest('getSlot')).toBe(2);
+    expect(backup.requests).toHaveLength(0);
+  });
+});
+
+describe('slot consistency', () => {
+  it('should send the session slot as minContextSlot on later reads', async () => {
+    const node = addNode('a', () => ({ result: { context: { slot: 500 }, value: 1 } }));
+
+    await rpc.executeRequest('getBalance', ['wallet'], { session: 'wallet' });
+    await rpc.executeRequest('getBalance', ['wallet', { commitment: 'confirmed' }], {
+      session: 'wallet',
+    });
+    await rpc.executeRequest('getBalance', ['other']);
+
+    expect(node.requests.map(request => request.params)).toEqual([
+      ['wallet'],
+      ['wallet', { commitment: 'confirmed', minContextSlot: 500 }],
+      ['other'],
+    ]);
+    expect(rpc.getSessionSlot('wallet')).toBe(500);
+  });
+
+  it('should keep session slots from going back and forget idle sessions', () => {
+    rpc.recordSessionSlot('wallet', 900);
+    rpc.recordSessionSlot('wallet', 800);
+    expect(rpc.getSessionSlot('wallet')).toBe(900);
+
+    now += rpc.RPC_CONFIG.consistency.sessionTtl + 1;
+    expect(rpc.getSessionSlot('wallet')).toBeNull();
+  });
+
+  it('should skip endpoints lagging behind the tip', async () => {
+    addNode('a', () => ({ result: 900 }));
+    addNode('b', () => ({ result: 1000 }));
+
+    await rpc.checkAllEndpointsHealth();
+    // Slots age with time: the gap stays
+    now += 4000;
+
+    expect(rpc.selectEndpoint('standard').id).toBe('b');
+    expect(rpc.getTipSlot()).toBe(1010);
+    expect(rpc.getEndpointStatus('a').health).toMatchObject({ slot: 910, slotLag: 100 });
+    expect(rpc.getStats().laggingSkips).toBe(1);
+  });
+
+  it('should prefer the endpoint closer to the tip at equal priority', async () => {
+    addNode('a', () => ({ result: 995 }));
+    addNode('b', () => ({ result: 1000 }));
+    await rpc.checkAllEndpointsHealth();
+
+    // Within maxSlotLag: scored, not skipped
+    expect(rpc.selectEndpoint('standard').id).toBe('b');
+    expect(rpc.getStats().laggingSkips).toBe(0);
+  });
+
+  it('should fail over without a backoff when a node is behind minContextSlot', async () => {
+    const behind = addNode('a', () => ({
+      error: {
+        code: -32016,
+        message: 'Minimum context slot has not been reached',
+        data: { contextSlot: 400 },
+      },
+    }));
+    addNode('b', () => ({ result: { context: { slot: 460 }, value: 5 } }));
+    rpc.RPC_CONFIG.retryDelay = 60000;
+
+    const result = await rpc.executeRequest('getBalance', ['wallet'], {
+      minContextSlot: 450,
+      hedge: false,
+    });
+
+    expect(result.value).toBe(5);
+    expect(behind.requests[0].params).toEqual(['wallet', { minContextSlot: 450 }]);
+    expect(rpc.getEndpointStatus('a').health).toMatchObject({
+      healthy: true,
+      consecutiveFailures: 0,
+      slot: 400,
+    });
+    expect(rpc.getStats().minContextSlotErrors).toBe(1);
+  });
+});
+
+describe('wallet reads after a burn', () => {
+  // On-curve keys: the associated token account is derived from them
+  const WALLET = '2VvV4AqfJyZHfVTz2uvBzMhpNoDS6biq9LG4wJn5vWtN';
+  const EMPTY_WALLET = 'DLQAVYdEuzHytUX9fgpJfjVhHFotUwGwQMjtkqEKbygk';
+  const MINT = '9zB5wRarXMj86MymwLumSKA1Dx35zPqqKfcZtK1Spump';
+  let helius;
+
+  beforeEach(() => {
+    loadRpc(() => {
+      helius = require('../../../api/services/helius');
+    });
+  });
+
+  it('should read the balance at or after the slot the burn confirmed at', async () => {
+    const node = addNode('a', method =>
+      method === 'getTransaction'
+        ? {
+            result: {
+              slot: 700,
+              meta: { err: null },
+              transaction: {
+                message: {
+                  instructions: [
+                    {
+                      program: 'spl-token',
+                      parsed: {
+                        type: 'burn',
+                        info: { mint: MINT, authority: WALLET, amount: '5000000' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          }
+        : {
+            result: {
+              context: { slot: 720 },
+              value: {
+                data: { parsed: { info: { tokenAmount: { amount: '2000000', uiAmount: 2 } } } },
+              },
+            },
+          }
+    );
+
+    const burn = await helius.verifyBurnTransaction('sig', WALLET, 5);
+    const balance = await helius.getTokenBalance(WALLET);
+
+    expect(burn).toMatchObject({ valid: true, slot: 700 });
+    expect(balance).toEqual({ balance: 2, rawBalance: '2000000', isHolder: false });
+    expect(node.requests.map(request => request.method)).toEqual([
+      'getTransaction',
+      'getAccountInfo',
+    ]);
+    expect(node.requests[1].params[1]).toEqual({
+      encoding: 'jsonParsed',
+      commitment: 'confirmed',
+      minContextSlot: 700,
+    });
+    expect(rpc.getSessionSlot(WALLET)).toBe(720);
+  });
+
+  it('should report a missing token account as a zero balance', async () => {
+    addNode('a', () => ({ result: { context: { slot: 720 }, value: null } }));
+
+    expect(await helius.getTokenBalance(EMPTY_WALLET)).toEqual({
+      balance: 0,
+      rawBalance: '0',
+      isHolder: false,
+    });
+  });
+});
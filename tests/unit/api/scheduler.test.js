@@ -0,0 +1,406 @@
+/**
+ * ASDF API - Scheduler Tests
+ * Tests cron parsing (seconds, macros, L and #), timezones across DST,
+ * one node per occurrence through Redis (ioredis-mock stand-in), and
+ * missed-run catch-up policies
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const { MemoryAdapter } = require('../../../api/services/storage');
+const { createRedisStandIn, flushRedis } = require('./helpers/redis');
+
+/**
+ * Load an independent copy of the service (one per simulated node)
+ * The tick loop is stopped so tests drive it with runDueTasks().
+ */
+function loadNode(adapter = createRedisStandIn()) {
+  let scheduler;
+  jest.isolateModules(() => {
+    scheduler = require('../../../api/services/scheduler');
+  });
+  scheduler.stop();
+  scheduler.setStorage(adapter);
+  return scheduler;
+}
+
+let now;
+
+beforeEach(async () => {
+  now = Date.parse('2024-01-01T12:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await flushRedis();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cron expressions', () => {
+  const scheduler = loadNode();
+
+  /**
+   * Next occurrence as an ISO string
+   */
+  function next(expression, from, timezone = 'UTC') {
+    const at = scheduler.nextOccurrence(
+      scheduler.parseCron(expression),
+      Date.parse(from),
+      timezone
+    );
+    return at === null ? null : new Date(at).toISOString();
+  }
+
+  it('should read a leading seconds field and default five fields to second 0', () => {
+    expect(next('*/15 * * * * *', '2024-01-01T00:00:07Z')).toBe('2024-01-01T00:00:15.000Z');
+    expect(next('30 5 * * *', '2024-01-01T00:00:00Z')).toBe('2024-01-01T05:30:00.000Z');
+  });
+
+  it('should expand macros, names and stepped ranges', () => {
+    expect(next('@hourly', '2024-01-01T10:20:00Z')).toBe('2024-01-01T11:00:00.000Z');
+    expect(next('@daily', '2024-01-01T10:20:00Z')).toBe('2024-01-02T00:00:00.000Z');
+    expect(next('@weekly', '2024-01-01T10:20:00Z')).toBe('2024-01-07T00:00:00.000Z');
+    expect(next('@monthly', '2024-01-01T10:20:00Z')).toBe('2024-02-01T00:00:00.000Z');
+    expect(next('0 9 * * SAT,SUN', '2024-01-01T10:20:00Z')).toBe('2024-01-06T09:00:00.000Z');
+    expect(next('0 0 1 MAR *', '2024-01-01T10:20:00Z')).toBe('2024-03-01T00:00:00.000Z');
+    expect(next('10-40/15 * * * *', '2024-01-01T10:26:00Z')).toBe('2024-01-01T10:40:00.000Z');
+  });
+
+  it('should support last day, last weekday and nth weekday', () => {
+    expect(next('0 0 L * *', '2024-02-03T00:00:00Z')).toBe('2024-02-29T00:00:00.000Z');
+    expect(next('0 0 * * 5L', '2024-02-03T00:00:00Z')).toBe('2024-02-23T00:00:00.000Z');
+    expect(next('0 0 * * MON#2', '2024-02-03T00:00:00Z')).toBe('2024-02-12T00:00:00.000Z');
+    expect(next('0 0 29 2 *', '2024-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  it('should match either day field when both are restricted', () => {
+    expect(next('0 0 13 * 5', '2024-09-01T00:00:00Z')).toBe('2024-09-06T00:00:00.000Z');
+    expect(next('0 0 13 * 5', '2024-09-10T00:00:00Z')).toBe('2024-09-13T00:00:00.000Z');
+  });
+
+  it('should return null for dates that never come', () => {
+    expect(next('0 0 30 2 *', '2024-01-01T00:00:00Z')).toBeNull();
+  });
+
+  it.each([
+    ['* * *', 'must have 5 or 6 fields'],
+    ['60 * * * *', 'Invalid cron value: 60'],
+    ['* * * * 8', 'Invalid cron value: 8'],
+    ['5-1 * * * *', 'Invalid cron range: 5-1'],
+    ['*/0 * * * *', 'Invalid cron step: */0'],
+    ['0 0 * FOO *', 'Invalid cron value: FOO'],
+  ])('should reject %s', (expression, message) => {
+    expect(() => scheduler.parseCron(expression)).toThrow(message);
+  });
+
+  describe('timezones', () => {
+    it('should fire at wall-clock time in the task timezone', () => {
+      expect(next('0 9 * * *', '2024-01-01T00:00:00Z', 'America/New_York')).toBe(
+        '2024-01-01T14:00:00.000Z'
+      );
+      expect(next('0 9 * * *', '2024-07-01T00:00:00Z', 'America/New_York')).toBe(
+        '2024-07-01T13:00:00.000Z'
+      );
+      expect(next('0 0 * * *', '2024-01-01T00:00:00Z', 'Asia/Tokyo')).toBe(
+        '2024-01-01T15:00:00.000Z'
+      );
+    });
+
+    it('should skip times that clocks jump over', () => {
+      // 02:30 does not exist on 2024-03-10 in New York
+      expect(next('30 2 * * *', '2024-03-10T05:00:00Z', 'America/New_York')).toBe(
+        '2024-03-11T06:30:00.000Z'
+      );
+    });
+
+    it('should run fixed times once when clocks go back', () => {
+      // 01:30 happens twice on 2024-11-03 in New York
+      expect(next('30 1 * * *', '2024-11-03T05:00:00Z', 'America/New_York')).toBe(
+        '2024-11-03T05:30:00.000Z'
+      );
+      expect(next('30 1 * * *', '2024-11-03T05:30:00Z', 'America/New_York')).toBe(
+        '2024-11-04T06:30:00.000Z'
+      );
+    });
+
+    it('should keep wildcard hours running through the repeated hour', () => {
+      expect(next('30 * * * *', '2024-11-03T05:30:00Z', 'America/New_York')).toBe(
+        '2024-11-03T06:30:00.000Z'
+      );
+    });
+
+    it('should find midnight after clocks go forward', () => {
+      expect(next('0 0 1 4 *', '2024-03-30T23:30:00Z', 'Europe/Paris')).toBe(
+        '2024-03-31T22:00:00.000Z'
+      );
+    });
+  });
+});
+
+describe('scheduling', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = loadNode();
+  });
+
+  it('should reject unknown timezones and policies', () => {
+    expect(() =>
+      scheduler.schedule('a', '@daily', jest.fn(), { timezone: 'Mars/Olympus' })
+    ).toThrow('Invalid timezone: Mars/Olympus');
+    expect(() => scheduler.schedule('a', '@daily', jest.fn(), { catchUp: 'sometimes' })).toThrow(
+      'Invalid catch-up policy: sometimes'
+    );
+  });
+
+  it('should reject a second cron task with the same name', () => {
+    scheduler.schedule('digest', '@daily', jest.fn());
+    expect(() => scheduler.schedule('digest', '@hourly', jest.fn())).toThrow(
+      'Task already scheduled: digest'
+    );
+  });
+
+  it('should report timezone, policy and next run', () => {
+    const { taskId } = scheduler.schedule('digest', '0 8 * * *', jest.fn(), {
+      timezone: 'Europe/Paris',
+      catchUp: scheduler.CATCH_UP.RUN_ONCE,
+    });
+
+    expect(scheduler.getTask(taskId)).toMatchObject({
+      cronExpression: '0 8 * * *',
+      timezone: 'Europe/Paris',
+      catchUp: 'run-once',
+      distributed: true,
+      nextRun: Date.parse('2024-01-02T07:00:00Z'),
+    });
+  });
+});
+
+describe('occurrences across nodes', () => {
+  it('should run each occurrence on one node only', async () => {
+    const handler = jest.fn();
+    const nodes = [loadNode(), loadNode(), loadNode()];
+    for (const node of nodes) {
+      node.schedule('daily-challenges', '@daily', handler, { timezone: 'UTC' });
+    }
+
+    now = Date.parse('2024-01-02T00:00:00Z');
+    const executions = (await Promise.all(nodes.map(node => node.runDueTasks(now)))).flat();
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(executions).toEqual([
+      expect.objectContaining({ trigger: 'schedule', scheduledFor: now, success: true }),
+    ]);
+
+    const skips = nodes.map(node => node.getSchedulerMetrics().lockSkips);
+    expect(skips.reduce((a, b) => a + b)).toBe(2);
+
+    // Nothing left for this occurrence
+    await Promise.all(nodes.map(node => node.runDueTasks(now + 1000)));
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run local tasks on every node', async () => {
+    const handler = jest.fn();
+    const nodes = [loadNode(), loadNode()];
+    for (const node of nodes) {
+      node.schedule('cache-warm', '@hourly', handler, { distributed: false });
+    }
+
+    now = Date.parse('2024-01-01T13:00:00Z');
+    await Promise.all(nodes.map(node => node.runDueTasks(now)));
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not run an occurrence when claims are unavailable', async () => {
+    const broken = createRedisStandIn();
+    broken.client.eval = () => Promise.reject(new Error('connection lost'));
+    const node = loadNode(broken);
+    const handler = jest.fn();
+    node.schedule('sync', '@hourly', handler);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    now = Date.parse('2024-01-01T13:00:00Z');
+    await node.runDueTasks(now);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(node.getSchedulerMetrics().lockErrors).toBe(1);
+  });
+
+  it('should not move the last occurrence back when nodes claim out of order', async () => {
+    const adapter = new MemoryAdapter();
+    const lastKey = 'scheduler:last:sync';
+    const read = adapter.get.bind(adapter);
+    let gated;
+    let openGate;
+    const gate = new Promise(resolve => (openGate = resolve));
+    const reached = new Promise(resolve => (gated = resolve));
+    let armed = false;
+    jest.spyOn(adapter, 'get').mockImplementation(async key => {
+      const value = await read(key);
+      // The first read of the last occurrence answers late
+      if (key === lastKey && armed) {
+        armed = false;
+        gated();
+        await gate;
+      }
+      return value;
+    });
+
+    const late = loadNode(adapter);
+    late.schedule('sync', '@hourly', jest.fn(), { timezone: 'UTC' });
+    now = Date.parse('2024-01-01T13:30:00Z');
+    const punctual = loadNode(adapter);
+    await punctual.schedule('sync', '@hourly', jest.fn(), { timezone: 'UTC' }).restored;
+
+    armed = true;
+    const lateRun = late.runDueTasks(Date.parse('2024-01-01T13:00:00Z'));
+    await reached;
+    const punctualRun = punctual.runDueTasks(Date.parse('2024-01-01T14:00:00Z'));
+    await new Promise(resolve => setTimeout(resolve, 60));
+    openGate();
+    await Promise.all([lateRun, punctualRun]);
+
+    expect(Number(await read(lastKey))).toBe(Date.parse('2024-01-01T14:00:00Z'));
+    await adapter.close();
+  });
+
+  it('should still run an occurrence when the last occurrence stays locked', async () => {
+    const adapter = new MemoryAdapter();
+    const node = loadNode(adapter);
+    node.SCHEDULER_CONFIG.lastOccurrenceLockRetries = 1;
+    const handler = jest.fn();
+    node.schedule('sync', '@hourly', handler, { timezone: 'UTC' });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    now = Date.parse('2024-01-01T13:00:00Z');
+    await adapter.acquireLock('scheduler:lock:sync:last', 'other-node', 60000);
+    await node.runDueTasks(now);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(await adapter.get('scheduler:last:sync')).toBeNull();
+    expect(node.getSchedulerMetrics()).toMatchObject({ lastOccurrenceSkips: 1, lockErrors: 0 });
+    await adapter.close();
+  });
+
+  it.each([
+    ['memory', () => new MemoryAdapter()],
+    ['redis', () => createRedisStandIn()],
+  ])('should hold and release claims on the %s adapter', async (backend, createAdapter) => {
+    const adapter = createAdapter();
+
+    expect(await adapter.acquireLock('job', 'a', 60000)).toBe(true);
+    expect(await adapter.acquireLock('job', 'b', 60000)).toBe(false);
+    expect(await adapter.releaseLock('job', 'b')).toBe(false);
+    expect(await adapter.releaseLock('job', 'a')).toBe(true);
+    expect(await adapter.acquireLock('job', 'b', 60000)).toBe(true);
+
+    if (adapter instanceof MemoryAdapter) await adapter.close();
+  });
+});
+
+describe('missed runs', () => {
+  /**
+   * One node runs the 13:00 occurrence, then the cluster is down until 16:10
+   */
+  async function runThenRestart(catchUp) {
+    const before = loadNode();
+    before.schedule('leaderboard-sync', '@hourly', jest.fn(), { catchUp });
+    now = Date.parse('2024-01-01T13:00:00Z');
+    await before.runDueTasks(now);
+
+    now = Date.parse('2024-01-01T16:10:00Z');
+    const after = loadNode();
+    const handler = jest.fn();
+    const { restored } = after.schedule('leaderboard-sync', '@hourly', handler, { catchUp });
+    await restored;
+
+    return { after, handler };
+  }
+
+  it('should record skipped occurrences in history', async () => {
+    const { after, handler } = await runThenRestart('skip');
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(after.getHistory()).toEqual([
+      expect.objectContaining({
+        trigger: 'catch-up',
+        skipped: true,
+        missed: 3,
+        scheduledFor: Date.parse('2024-01-01T16:00:00Z'),
+      }),
+    ]);
+  });
+
+  it('should run the latest missed occurrence once', async () => {
+    const { after, handler } = await runThenRestart('run-once');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(after.getHistory()).toEqual([
+      expect.objectContaining({
+        trigger: 'catch-up',
+        success: true,
+        missed: 3,
+        scheduledFor: Date.parse('2024-01-01T16:00:00Z'),
+      }),
+    ]);
+
+    // Caught up: another node starting now finds nothing missed
+    const third = loadNode();
+    const { restored } = third.schedule('leaderboard-sync', '@hourly', handler, {
+      catchUp: 'run-once',
+    });
+    expect(await restored).toEqual([]);
+  });
+
+  it('should run every missed occurrence, oldest first', async () => {
+    const { after, handler } = await runThenRestart('run-all');
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(
+      after
+        .getHistory()
+        .reverse()
+        .map(h => new Date(h.scheduledFor).toISOString())
+    ).toEqual(['2024-01-01T14:00:00.000Z', '2024-01-01T15:00:00.000Z', '2024-01-01T16:00:00.000Z']);
+    expect(after.getSchedulerMetrics().missedRuns).toBe(3);
+  });
+
+  it('should catch up after the loop stalls, then run the on-time occurrence', async () => {
+    const node = loadNode();
+    const handler = jest.fn();
+    const { taskId } = node.schedule('burn-digest', '@hourly', handler, { catchUp: 'run-all' });
+
+    now = Date.parse('2024-01-01T15:00:02Z');
+    await node.runDueTasks(now);
+
+    expect(node.getHistory(taskId).map(h => h.trigger)).toEqual([
+      'schedule',
+      'catch-up',
+      'catch-up',
+    ]);
+    expect(node.getTask(taskId).nextRun).toBe(Date.parse('2024-01-01T16:00:00Z'));
+  });
+
+  it('should not treat occurrences another node ran as missed', async () => {
+    const handler = jest.fn();
+    const punctual = loadNode();
+    const stalled = loadNode();
+    punctual.schedule('challenges', '@hourly', handler, { catchUp: 'run-all' });
+    stalled.schedule('challenges', '@hourly', handler, { catchUp: 'run-all' });
+
+    now = Date.parse('2024-01-01T13:00:00Z');
+    await punctual.runDueTasks(now);
+
+    now += 30000;
+    await stalled.runDueTasks(now);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(stalled.getHistory()).toEqual([]);
+    expect(stalled.getSchedulerMetrics().missedRuns).toBe(0);
+  });
+});
@@ -0,0 +1,491 @@
+/**
+ * ASDF API - Leaderboard Season Tests
+ * Tests scheduling seasons, recording onto sorted-set boards, freezing and
+ * snapshotting at season end, and paying rewards through the queue
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+jest.mock('../../../api/services/scheduler', () => ({
+  schedule: jest.fn(() => ({ taskId: 'task_seasons' })),
+  unschedule: jest.fn(() => true),
+}));
+jest.mock('../../../api/services/achievements', () => ({
+  grantAchievement: jest.fn(() => ({ success: true })),
+  ACHIEVEMENTS: { season_champion: {}, season_podium: {}, season_top_10: {}, first_burn: {} },
+}));
+jest.mock('../../../api/services/shopV2', () => ({
+  earnCurrency: jest.fn(async () => ({ success: true })),
+}));
+
+const { keys } = require('../../../api/services/storage');
+
+const ADMIN = 'AdminWa11et1111111111111111111111111111111111';
+const ALICE = 'A1ice11111111111111111111111111111111111111';
+const BOB = 'Bob1111111111111111111111111111111111111111';
+const CAROL = 'Caro1111111111111111111111111111111111111111';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = 1767225600000; // 2026-01-01
+
+let services;
+let now;
+
+/**
+ * Fresh copy of the services over a fresh memory storage
+ * The queue's background loop is parked so tests drive it with processNext().
+ */
+async function loadServices() {
+  jest.isolateModules(() => {
+    services = {
+      queue: require('../../../api/services/queue'),
+      scheduler: require('../../../api/services/scheduler'),
+      seasons: require('../../../api/services/seasons'),
+      achievements: require('../../../api/services/achievements'),
+      shopV2: require('../../../api/services/shopV2'),
+      storage: require('../../../api/services/storage').getStorage(),
+    };
+  });
+  services.queue.QUEUE_CONFIG.maxConcurrent = 0;
+  services.queue.stopProcessing();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  services.seasons.initialize();
+  return services;
+}
+
+/**
+ * Schedule a season starting at START
+ */
+async function create(input = {}) {
+  const result = await services.seasons.createSeason(
+    { name: 'Season of Ash', startsAt: START, endsAt: START + 28 * DAY, ...input },
+    ADMIN
+  );
+  expect(result.success).toBe(true);
+  return result.season;
+}
+
+/**
+ * Schedule a season and let the check start it
+ */
+async function startSeason(input = {}) {
+  const season = await create(input);
+  now = season.startsAt;
+  expect(await services.seasons.checkSeasons()).toEqual({ started: [season.id], ended: [] });
+  return season;
+}
+
+/**
+ * Run every queued job
+ */
+async function drainQueue() {
+  while (await services.queue.processNext()) {
+    // keep going
+  }
+}
+
+beforeEach(async () => {
+  now = START - DAY;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await loadServices();
+  services.achievements.grantAchievement.mockClear();
+  services.shopV2.earnCurrency.mockClear();
+});
+
+afterEach(() => {
+  services.seasons.shutdown();
+  services.queue.stopProcessing();
+  jest.restoreAllMocks();
+});
+
+describe('scheduling', () => {
+  it('should create numbered seasons with default rewards', async () => {
+    const first = await create();
+    const second = await create({
+      name: 'Season of Embers',
+      startsAt: START + 28 * DAY,
+      endsAt: START + 56 * DAY,
+    });
+
+    expect(first).toMatchObject({ id: 'season-1', number: 1, status: 'scheduled' });
+    expect(second).toMatchObject({ id: 'season-2', number: 2 });
+    expect(first.rewards).toEqual(services.seasons.DEFAULT_REWARDS);
+
+    const seasons = await services.seasons.listSeasons();
+    expect(seasons.map(s => s.id)).toEqual(['season-2', 'season-1']);
+  });
+
+  it('should accept ISO dates', async () => {
+    const season = await create({
+      startsAt: '2026-01-01T00:00:00Z',
+      endsAt: '2026-02-01T00:00:00Z',
+    });
+    expect(season.startsAt).toBe(START);
+    expect(season.endsAt).toBe(START + 31 * DAY);
+  });
+
+  it('should reject invalid seasons', async () => {
+    const { createSeason } = services.seasons;
+    const base = { name: 'S', startsAt: START, endsAt: START + 7 * DAY };
+
+    expect((await createSeason({ ...base, name: ' ' }, ADMIN)).error).toBe('Name is required');
+    expect((await createSeason({ ...base, endsAt: START + 1000 }, ADMIN)).error).toMatch(
+      /between 1 and 366 days/
+    );
+    expect((await createSeason({ ...base, startsAt: 'soon' }, ADMIN)).error).toMatch(/timestamps/);
+    expect(
+      (await createSeason({ ...base, startsAt: now - 30 * DAY, endsAt: now - 7 * DAY }, ADMIN))
+        .error
+    ).toBe('endsAt must be in the future');
+    expect(
+      (await createSeason({ ...base, rewards: { boards: ['burns', 'karma'] } }, ADMIN)).error
+    ).toMatch(/Reward boards/);
+    expect(
+      (
+        await createSeason(
+          { ...base, rewards: { tiers: [{ from: 1, to: 3, achievement: 'nope' }] } },
+          ADMIN
+        )
+      ).error
+    ).toBe('Unknown achievement: nope');
+    expect(
+      (
+        await createSeason(
+          {
+            ...base,
+            rewards: {
+              tiers: [
+                { from: 1, to: 3, currency: 10 },
+                { from: 3, to: 5, currency: 5 },
+              ],
+            },
+          },
+          ADMIN
+        )
+      ).error
+    ).toMatch(/non-overlapping/);
+  });
+
+  it('should not let seasons overlap', async () => {
+    await create();
+
+    const result = await services.seasons.createSeason(
+      { name: 'Clash', startsAt: START + 27 * DAY, endsAt: START + 40 * DAY },
+      ADMIN
+    );
+    expect(result).toEqual({ success: false, error: 'Overlaps Season of Ash (season-1)' });
+  });
+
+  it('should only change the name, end and rewards of a running season', async () => {
+    const season = await startSeason();
+    const { updateSeason } = services.seasons;
+
+    expect((await updateSeason(season.id, { startsAt: START + DAY }, ADMIN)).error).toBe(
+      'Cannot move the start of a running season'
+    );
+    expect((await updateSeason(season.id, { endsAt: now - 1 }, ADMIN)).error).toBe(
+      'endsAt must be in the future'
+    );
+
+    const result = await updateSeason(
+      season.id,
+      { name: 'Season of Cinders', endsAt: START + 35 * DAY },
+      ADMIN
+    );
+    expect(result.season).toMatchObject({ name: 'Season of Cinders', endsAt: START + 35 * DAY });
+  });
+
+  it('should only delete seasons that have not started', async () => {
+    const scheduled = await create({ startsAt: START + 30 * DAY, endsAt: START + 60 * DAY });
+    const running = await startSeason();
+
+    expect(await services.seasons.deleteSeason(running.id, ADMIN)).toEqual({
+      success: false,
+      error: 'Only scheduled seasons can be deleted',
+    });
+    expect(await services.seasons.deleteSeason(scheduled.id, ADMIN)).toEqual({ success: true });
+    expect((await services.seasons.getSeason(scheduled.id)).error).toBe('Season not found');
+  });
+
+  it('should check seasons every minute', () => {
+    const { scheduler } = services;
+
+    expect(scheduler.schedule).toHaveBeenCalledWith(
+      'leaderboard-seasons',
+      '* * * * *',
+      expect.any(Function),
+      { timezone: 'UTC', catchUp: 'run-once' }
+    );
+
+    services.seasons.shutdown();
+    expect(scheduler.unschedule).toHaveBeenCalledWith('task_seasons');
+  });
+});
+
+describe('recording', () => {
+  it('should only record while a season is running', async () => {
+    const { seasons } = services;
+    const season = await create();
+
+    expect(await seasons.recordBurn(ALICE, 500)).toBe(false);
+
+    now = START;
+    await seasons.checkSeasons();
+    expect((await seasons.getCurrentSeason()).id).toBe(season.id);
+    expect(await seasons.recordBurn(ALICE, 500)).toBe(true);
+
+    now = START + 28 * DAY;
+    expect(await seasons.recordBurn(ALICE, 500)).toBe(false);
+  });
+
+  it('should rank burns and count them as XP', async () => {
+    const { seasons } = services;
+    const season = await startSeason();
+
+    await seasons.recordBurn(ALICE, 300);
+    await seasons.recordBurn(BOB, 1000);
+    await seasons.recordBurn(ALICE, 400);
+    await seasons.recordXP(CAROL, 2000);
+
+    const burns = await seasons.getSeasonBoard(season.id, 'burns');
+    expect(burns.total).toBe(2);
+    expect(burns.entries).toEqual([
+      { rank: 1, wallet: BOB, walletShort: 'Bob1...1111', score: 1000 },
+      { rank: 2, wallet: ALICE, walletShort: 'A1ic...1111', score: 700 },
+    ]);
+
+    const xp = await seasons.getSeasonBoard(season.id, 'xp', { limit: 2, offset: 1 });
+    expect(xp.entries.map(e => [e.rank, e.wallet, e.score])).toEqual([
+      [2, BOB, 1000],
+      [3, ALICE, 700],
+    ]);
+  });
+
+  it('should count a burn once per signature and only inside the season', async () => {
+    const { seasons } = services;
+    const season = await startSeason();
+
+    expect(await seasons.recordBurn(ALICE, 100, { signature: 'sig1' })).toBe(true);
+    expect(await seasons.recordBurn(ALICE, 100, { signature: 'sig1' })).toBe(false);
+    expect(await seasons.recordBurn(ALICE, 100, { signature: 'sig0', timestamp: START - 1 })).toBe(
+      false
+    );
+
+    const { entries } = await seasons.getSeasonBoard(season.id, 'burns');
+    expect(entries[0].score).toBe(100);
+  });
+
+  it('should keep the best game score', async () => {
+    const { seasons } = services;
+    const season = await startSeason();
+
+    await seasons.recordGameScore(ALICE, 'tokencatcher', 800);
+    await seasons.recordGameScore(ALICE, 'tokencatcher', 500);
+    await seasons.recordGameScore(BOB, 'tokencatcher', 650);
+    expect(await seasons.recordGameScore(BOB, '../etc', 10)).toBe(false);
+    expect(await seasons.recordGameScore(BOB, 'madeupgame', 10)).toBe(false);
+    expect(await seasons.recordGameScore(BOB, 'flappy', 10)).toBe(false);
+
+    const { entries } = await seasons.getSeasonBoard(season.id, 'game:tokencatcher');
+    expect(entries.map(e => [e.wallet, e.score])).toEqual([
+      [ALICE, 800],
+      [BOB, 650],
+    ]);
+    expect((await seasons.getSeasonBoard(season.id, 'game:../etc')).error).toBe('Board not found');
+    expect((await seasons.getSeasonBoard(season.id, 'game:madeupgame')).error).toBe(
+      'Board not found'
+    );
+  });
+
+  it('should report a player rank on every board', async () => {
+    const { seasons } = services;
+    const season = await startSeason();
+
+    await seasons.recordBurn(ALICE, 300);
+    await seasons.recordBurn(BOB, 1000);
+    await seasons.recordReferral(ALICE);
+    await seasons.recordGameScore(ALICE, 'burnrunner', 42);
+
+    const result = await seasons.getSeasonRank(season.id, ALICE);
+    expect(result.ranks).toEqual({
+      burns: { rank: 2, score: 300, total: 2 },
+      xp: { rank: 2, score: 300, total: 2 },
+      referrals: { rank: 1, score: 1, total: 1 },
+      'game:burnrunner': { rank: 1, score: 42, total: 1 },
+    });
+    expect((await seasons.getSeasonRank(season.id, CAROL)).ranks).toEqual({});
+  });
+});
+
+describe('season end', () => {
+  it('should freeze and snapshot the boards', async () => {
+    const { seasons } = services;
+    const season = await startSeason();
+
+    await seasons.recordBurn(ALICE, 300);
+    await seasons.recordBurn(BOB, 1000);
+    await seasons.recordGameScore(CAROL, 'tokencatcher', 90);
+
+    now = season.endsAt;
+    expect(await seasons.checkSeasons()).toEqual({ started: [], ended: [season.id] });
+    expect(await seasons.getCurrentSeason()).toBeNull();
+
+    const ended = await seasons.getSeason(season.id);
+    expect(ended.season).toMatchObject({ status: 'ended', endedBy: 'schedule', endedAt: now });
+    expect(ended.frozen).toBe(true);
+    expect(ended.snapshotAt).toBe(now);
+    expect(Object.keys(ended.boards)).toEqual(['burns', 'xp', 'referrals', 'game:tokencatcher']);
+    expect(ended.boards.burns).toEqual({
+      total: 2,
+      entries: [
+        { rank: 1, wallet: BOB, walletShort: 'Bob1...1111', score: 1000 },
+        { rank: 2, wallet: ALICE, walletShort: 'A1ic...1111', score: 300 },
+      ],
+    });
+
+    // Nothing records once ended
+    expect(await seasons.recordBurn(ALICE, 5000)).toBe(false);
+    expect((await seasons.getSeason(season.id)).boards.burns.entries[0].wallet).toBe(BOB);
+  });
+
+  it('should pay rewards once through the queue', async () => {
+    const { seasons, achievements, shopV2 } = services;
+    const season = await startSeason();
+
+    await seasons.recordBurn(ALICE, 300);
+    await seasons.recordBurn(BOB, 1000);
+    await seasons.recordBurn(CAROL, 200);
+    await seasons.recordXP(CAROL, 5000);
+
+    now = season.endsAt;
+    await seasons.checkSeasons();
+    await drainQueue();
+
+    expect(achievements.grantAchievement.mock.calls).toEqual(
+      expect.arrayContaining([
+        [BOB, 'season_champion'],
+        [ALICE, 'season_podium'],
+        [CAROL, 'season_podium'],
+        [CAROL, 'season_champion'],
+        [BOB, 'season_podium'],
+        [ALICE, 'season_podium'],
+      ])
+    );
+    expect(achievements.grantAchievement).toHaveBeenCalledTimes(6);
+    expect(shopV2.earnCurrency).toHaveBeenCalledWith(
+      BOB,
+      6765,
+      'season_reward',
+      `${season.id}:burns`
+    );
+    expect(shopV2.earnCurrency).toHaveBeenCalledWith(
+      CAROL,
+      6765,
+      'season_reward',
+      `${season.id}:xp`
+    );
+
+    const rank = await seasons.getSeasonRank(season.id, CAROL);
+    expect(rank.rewards).toEqual(
+      expect.arrayContaining([
+        { board: 'burns', rank: 3, achievement: 'season_podium', currency: 2584, paidAt: now },
+        { board: 'xp', rank: 1, achievement: 'season_champion', currency: 6765, paidAt: now },
+      ])
+    );
+
+    // A replayed job does not pay twice
+    const replay = await seasons.payReward({
+      seasonId: season.id,
+      board: 'burns',
+      wallet: BOB,
+      rank: 1,
+      achievement: 'season_champion',
+      currency: 6765,
+    });
+    expect(replay).toEqual({ skipped: true });
+    expect(shopV2.earnCurrency).toHaveBeenCalledTimes(6);
+  });
+
+  it('should retry a reward when the currency ledger fails', async () => {
+    const { seasons, shopV2 } = services;
+    const season = await startSeason({
+      rewards: { boards: ['referrals'], tiers: [{ from: 1, to: 1, currency: 100 }] },
+    });
+    await seasons.recordReferral(ALICE);
+
+    shopV2.earnCurrency.mockRejectedValueOnce(new Error('connection refused'));
+
+    now = season.endsAt;
+    await seasons.checkSeasons();
+    await services.queue.processNext();
+    expect((await seasons.getSeasonRank(season.id, ALICE)).rewards).toEqual([]);
+
+    now += 60 * 60 * 1000;
+    await drainQueue();
+    expect(shopV2.earnCurrency).toHaveBeenCalledTimes(2);
+    expect((await seasons.getSeasonRank(season.id, ALICE)).rewards).toEqual([
+      { board: 'referrals', rank: 1, achievement: null, currency: 100, paidAt: now },
+    ]);
+  });
+
+  it('should only reward the boards of simulated games', async () => {
+    const { seasons, shopV2, storage } = services;
+    const season = await startSeason({ rewards: { boards: ['games'] } });
+
+    await seasons.recordGameScore(ALICE, 'tokencatcher', 500);
+    // Recorded before game IDs were checked
+    await storage.sadd(keys.seasons.games(season.id), 'madeupgame');
+    await storage.zaddgt(keys.seasons.board(season.id, 'game:madeupgame'), 999, BOB);
+
+    now = season.endsAt;
+    await seasons.checkSeasons();
+    await drainQueue();
+
+    expect(Object.keys((await seasons.getSeason(season.id)).boards)).toEqual([
+      'burns',
+      'xp',
+      'referrals',
+      'game:tokencatcher',
+    ]);
+    expect(shopV2.earnCurrency).toHaveBeenCalledTimes(1);
+    expect(shopV2.earnCurrency).toHaveBeenCalledWith(
+      ALICE,
+      6765,
+      'season_reward',
+      `${season.id}:game:tokencatcher`
+    );
+  });
+
+  it('should let an admin end a season early', async () => {
+    const { seasons } = services;
+    const season = await startSeason();
+    await seasons.recordBurn(ALICE, 100);
+
+    now = START + 10 * DAY;
+    const result = await seasons.endSeason(season.id, ADMIN);
+    expect(result).toMatchObject({ success: true, rewardsQueued: 2 });
+    expect(result.season).toMatchObject({ status: 'ended', endsAt: now, endedBy: ADMIN });
+
+    expect((await seasons.endSeason(season.id, ADMIN)).error).toBe('Season has ended');
+    expect((await seasons.endSeason('season-9', ADMIN)).error).toBe('Season not found');
+  });
+
+  it('should start the next season once the previous one ends', async () => {
+    const { seasons } = services;
+    const first = await startSeason();
+    const second = await create({
+      name: 'Season of Embers',
+      startsAt: first.endsAt,
+      endsAt: first.endsAt + 28 * DAY,
+    });
+
+    now = first.endsAt;
+    expect(await seasons.checkSeasons()).toEqual({ started: [second.id], ended: [first.id] });
+
+    await seasons.recordBurn(ALICE, 100);
+    expect((await seasons.getSeasonBoard(second.id, 'burns')).total).toBe(1);
+    expect((await seasons.getSeason(first.id)).boards.burns.total).toBe(0);
+  });
+});
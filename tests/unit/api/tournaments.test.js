@@ -0,0 +1,536 @@
+/**
+ * ASDF API - Arcade Tournament Tests
+ * Tests scheduling, entry burns, seeded best-of attempts, single-elimination
+ * brackets, live updates and prize payouts through the queue
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+jest.mock('../../../api/services/scheduler', () => ({
+  schedule: jest.fn(() => ({ taskId: 'task_tournaments' })),
+  unschedule: jest.fn(() => true),
+}));
+jest.mock('../../../api/services/achievements', () => ({
+  grantAchievement: jest.fn(() => ({ success: true })),
+  ACHIEVEMENTS: { tournament_champion: {}, first_burn: {} },
+}));
+jest.mock('../../../api/services/shopV2', () => ({
+  earnCurrency: jest.fn(async () => ({ success: true })),
+}));
+jest.mock('../../../api/services/helius', () => ({
+  verifyBurnTransaction: jest.fn(),
+}));
+jest.mock('../../../api/services/realtimeNotifications', () => ({
+  notifyWallet: jest.fn(),
+  notifyTournamentUpdate: jest.fn(),
+  NOTIFICATION_TYPES: {
+    TOURNAMENT_UPDATE: 'tournament_update',
+    TOURNAMENT_MATCH: 'tournament_match',
+  },
+}));
+
+const ADMIN = 'AdminWa11et1111111111111111111111111111111111';
+const ALICE = 'A1ice11111111111111111111111111111111111111';
+const BOB = 'Bob1111111111111111111111111111111111111111';
+const CAROL = 'Caro1111111111111111111111111111111111111111';
+
+const SIG_A = 'A'.repeat(88);
+const SIG_B = 'B'.repeat(88);
+const SIG_C = 'C'.repeat(88);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = 1767225600000; // 2026-01-01
+
+let services;
+let now;
+
+/**
+ * Fresh copy of the services over a fresh memory storage
+ * The queue's background loop is parked so tests drive it with processNext().
+ */
+async function loadServices() {
+  jest.isolateModules(() => {
+    services = {
+      queue: require('../../../api/services/queue'),
+      tournaments: require('../../../api/services/tournaments'),
+      achievements: require('../../../api/services/achievements'),
+      shopV2: require('../../../api/services/shopV2'),
+      helius: require('../../../api/services/helius'),
+      realtime: require('../../../api/services/realtimeNotifications'),
+      storage: require('../../../api/services/storage').getStorage(),
+    };
+  });
+  services.queue.QUEUE_CONFIG.maxConcurrent = 0;
+  services.queue.stopProcessing();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  services.tournaments.initialize();
+  return services;
+}
+
+/**
+ * Schedule a tournament starting at START
+ */
+async function create(input = {}) {
+  const format = input.format || 'best_of';
+  const result = await services.tournaments.createTournament(
+    {
+      name: 'Ashes Cup',
+      gameId: 'tokencatcher',
+      format,
+      startsAt: START,
+      ...(format === 'best_of' ? { endsAt: START + DAY } : {}),
+      ...input,
+    },
+    ADMIN
+  );
+  expect(result.success).toBe(true);
+  return result.tournament;
+}
+
+/**
+ * Register wallets, then let the check start the tournament
+ */
+async function start(tournament, wallets) {
+  for (const wallet of wallets) {
+    expect((await services.tournaments.register(tournament.id, wallet)).success).toBe(true);
+  }
+  now = tournament.startsAt;
+  const report = await services.tournaments.checkTournaments();
+  expect(report.started).toEqual([tournament.id]);
+}
+
+/**
+ * Open a session and record a validated score, as /api/game/submit does
+ */
+async function play(tournamentId, wallet, score) {
+  const opened = await services.tournaments.startSession(tournamentId, wallet);
+  expect(opened.success).toBe(true);
+  const context = { tournamentId, attempt: opened.attempt, matchId: opened.matchId };
+  return { opened, result: await services.tournaments.recordResult(wallet, context, score) };
+}
+
+async function bracketOf(tournamentId) {
+  return (await services.tournaments.getTournament(tournamentId)).bracket;
+}
+
+/**
+ * Run every queued job
+ */
+async function drainQueue() {
+  while (await services.queue.processNext()) {
+    // keep going
+  }
+}
+
+beforeEach(async () => {
+  now = START - DAY;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  await loadServices();
+  services.achievements.grantAchievement.mockClear();
+  services.shopV2.earnCurrency.mockClear();
+  services.helius.verifyBurnTransaction.mockReset();
+  services.realtime.notifyWallet.mockClear();
+  services.realtime.notifyTournamentUpdate.mockClear();
+});
+
+afterEach(() => {
+  services.tournaments.shutdown();
+  services.queue.stopProcessing();
+  jest.restoreAllMocks();
+});
+
+describe('scheduling', () => {
+  it('should create numbered tournaments with default prizes and no seeds', async () => {
+    const first = await create();
+    const second = await create({ format: 'bracket', startsAt: START + HOUR, maxPlayers: 8 });
+
+    expect(first).toMatchObject({
+      id: 'tournament-1',
+      status: 'scheduled',
+      attempts: 3,
+      entryBurn: 0,
+      playerCount: 0,
+    });
+    expect(first.prizes).toEqual(services.tournaments.DEFAULT_PRIZES);
+    expect(first).not.toHaveProperty('seeds');
+    expect(second).toMatchObject({
+      id: 'tournament-2',
+      format: 'bracket',
+      endsAt: START + HOUR + 3 * DAY,
+    });
+
+    const list = await services.tournaments.listTournaments();
+    expect(list.map(t => t.id)).toEqual(['tournament-1', 'tournament-2']);
+    expect(await services.tournaments.listTournaments({ status: 'active' })).toEqual([]);
+  });
+
+  it('should reject invalid settings', async () => {
+    const attempt = input =>
+      services.tournaments.createTournament(
+        { name: 'Cup', gameId: 'tokencatcher', startsAt: START, endsAt: START + DAY, ...input },
+        ADMIN
+      );
+
+    expect((await attempt({ gameId: 'snake' })).error).toMatch(/replay-validated/);
+    expect((await attempt({ startsAt: now - 1 })).error).toMatch(/future/);
+    expect((await attempt({ endsAt: START + 60 * 1000 })).error).toMatch(/between 1 hour/);
+    expect((await attempt({ attempts: 14 })).error).toMatch(/attempts/);
+    expect((await attempt({ format: 'bracket', maxPlayers: 128 })).error).toMatch(/maxPlayers/);
+    expect((await attempt({ entryBurn: -5 })).error).toMatch(/entryBurn/);
+    expect((await attempt({ prizes: [{ from: 1, to: 1, achievement: 'nope' }] })).error).toMatch(
+      /Unknown achievement/
+    );
+    expect((await attempt({ prizes: [{ from: 1, to: 64, currency: 1 }] })).error).toMatch(
+      /within maxPlayers/
+    );
+  });
+
+  it('should only change scheduled tournaments, keeping registered players', async () => {
+    const tournament = await create({ maxPlayers: 4 });
+    await services.tournaments.register(tournament.id, ALICE);
+    await services.tournaments.register(tournament.id, BOB);
+
+    expect(
+      (await services.tournaments.updateTournament(tournament.id, { maxPlayers: 1 }, ADMIN)).error
+    ).toMatch(/between 2/);
+
+    const updated = await services.tournaments.updateTournament(
+      tournament.id,
+      { name: 'Ember Cup', attempts: 5, gameId: 'snake' },
+      ADMIN
+    );
+    expect(updated.tournament).toMatchObject({
+      name: 'Ember Cup',
+      attempts: 5,
+      gameId: 'tokencatcher',
+    });
+
+    now = START;
+    await services.tournaments.checkTournaments();
+    expect(
+      (await services.tournaments.updateTournament(tournament.id, { name: 'x' }, ADMIN)).error
+    ).toBe('Only scheduled tournaments can be changed');
+  });
+});
+
+describe('registration', () => {
+  it('should register each wallet once and stop at capacity', async () => {
+    const tournament = await create({ maxPlayers: 2 });
+
+    const result = await services.tournaments.register(tournament.id, ALICE);
+    expect(result).toMatchObject({ success: true, playerCount: 1 });
+    expect((await services.tournaments.register(tournament.id, ALICE)).error).toBe(
+      'Already registered'
+    );
+    await services.tournaments.register(tournament.id, BOB);
+    expect((await services.tournaments.register(tournament.id, CAROL)).error).toBe(
+      'Tournament is full'
+    );
+
+    expect(services.realtime.notifyTournamentUpdate).toHaveBeenCalledWith(tournament.id, {
+      kind: 'players',
+      playerCount: 2,
+    });
+  });
+
+  it('should close registration at the start', async () => {
+    const tournament = await create();
+    now = START;
+    expect((await services.tournaments.register(tournament.id, ALICE)).error).toBe(
+      'Registration is closed'
+    );
+  });
+
+  it('should require a verified entry burn made for this tournament, used once', async () => {
+    const tournament = await create({ entryBurn: 1000 });
+    const { verifyBurnTransaction } = services.helius;
+    verifyBurnTransaction.mockResolvedValue({ valid: true, blockTime: (START - DAY) / 1000 + 60 });
+
+    expect((await services.tournaments.register(tournament.id, ALICE)).error).toMatch(
+      /burning 1000/
+    );
+
+    const registered = await services.tournaments.register(tournament.id, ALICE, {
+      signature: SIG_A,
+    });
+    expect(registered.success).toBe(true);
+    expect(registered.registration.entrySignature).toBe(SIG_A);
+    expect(verifyBurnTransaction).toHaveBeenCalledWith(SIG_A, ALICE, 1000);
+
+    expect(
+      (await services.tournaments.register(tournament.id, BOB, { signature: SIG_A })).error
+    ).toBe('Burn already used');
+
+    verifyBurnTransaction.mockResolvedValueOnce({
+      valid: true,
+      blockTime: (START - 2 * DAY) / 1000,
+    });
+    expect(
+      (await services.tournaments.register(tournament.id, BOB, { signature: SIG_B })).error
+    ).toBe('Entry burn predates the tournament');
+
+    verifyBurnTransaction.mockResolvedValueOnce({ valid: false, error: 'Amount mismatch' });
+    expect(
+      (await services.tournaments.register(tournament.id, BOB, { signature: SIG_B })).error
+    ).toBe('Entry burn rejected: Amount mismatch');
+
+    verifyBurnTransaction.mockRejectedValueOnce(new Error('Transaction not found'));
+    expect(
+      (await services.tournaments.register(tournament.id, BOB, { signature: SIG_B })).error
+    ).toMatch(/not confirmed/);
+
+    // Rejected attempts did not burn the signature
+    expect(
+      (await services.tournaments.register(tournament.id, BOB, { signature: SIG_B })).success
+    ).toBe(true);
+  });
+
+  it('should hold the seat during the burn lookup and release it on rejection', async () => {
+    const tournament = await create({ entryBurn: 1000, maxPlayers: 2 });
+    const { verifyBurnTransaction } = services.helius;
+    let confirm;
+    verifyBurnTransaction.mockReturnValueOnce(new Promise(resolve => (confirm = resolve)));
+
+    const pending = services.tournaments.register(tournament.id, ALICE, { signature: SIG_A });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    verifyBurnTransaction.mockResolvedValue({ valid: true, blockTime: (START - DAY) / 1000 + 60 });
+    await services.tournaments.register(tournament.id, BOB, { signature: SIG_B });
+
+    // Full: the third burn is never looked up, nor its signature claimed
+    expect(
+      (await services.tournaments.register(tournament.id, CAROL, { signature: SIG_C })).error
+    ).toBe('Tournament is full');
+    expect(verifyBurnTransaction).toHaveBeenCalledTimes(2);
+
+    confirm({ valid: false, error: 'Amount mismatch' });
+    expect((await pending).error).toBe('Entry burn rejected: Amount mismatch');
+    expect((await services.tournaments.getTournament(tournament.id)).tournament.playerCount).toBe(
+      1
+    );
+
+    expect(
+      (await services.tournaments.register(tournament.id, CAROL, { signature: SIG_C })).success
+    ).toBe(true);
+  });
+
+  it('should not seat a burn confirmed after registration closed', async () => {
+    const tournament = await create({ entryBurn: 1000 });
+    const { verifyBurnTransaction } = services.helius;
+    verifyBurnTransaction.mockImplementation(async () => {
+      now = START;
+      return { valid: true, blockTime: (START - DAY) / 1000 + 60 };
+    });
+
+    expect(
+      (await services.tournaments.register(tournament.id, ALICE, { signature: SIG_A })).error
+    ).toBe('Registration is closed');
+    expect((await services.tournaments.getTournament(tournament.id)).tournament.playerCount).toBe(
+      0
+    );
+  });
+});
+
+describe('best_of', () => {
+  it('should give every player the same seed per attempt, up to N attempts', async () => {
+    const tournament = await create({ attempts: 2 });
+    await start(tournament, [ALICE, BOB]);
+
+    const alice1 = await services.tournaments.startSession(tournament.id, ALICE);
+    const bob1 = await services.tournaments.startSession(tournament.id, BOB);
+    const alice2 = await services.tournaments.startSession(tournament.id, ALICE);
+
+    expect(alice1).toMatchObject({ success: true, attempt: 1 });
+    expect(alice1.session.seed).toBe(bob1.session.seed);
+    expect(alice2.attempt).toBe(2);
+    expect(alice1.session.sessionId).not.toBe(bob1.session.sessionId);
+
+    expect((await services.tournaments.startSession(tournament.id, ALICE)).error).toBe(
+      'No attempts left'
+    );
+    expect((await services.tournaments.startSession(tournament.id, CAROL)).error).toBe(
+      'Not registered'
+    );
+    expect((await services.tournaments.getPlayerStatus(tournament.id, ALICE)).attemptsLeft).toBe(0);
+  });
+
+  it('should keep the best score, stream standings and break ties by time', async () => {
+    const tournament = await create();
+    await start(tournament, [ALICE, BOB, CAROL]);
+
+    now = START + HOUR;
+    await play(tournament.id, ALICE, 500);
+    now = START + 2 * HOUR;
+    await play(tournament.id, BOB, 500);
+    const { result } = await play(tournament.id, ALICE, 300);
+    expect(result).toMatchObject({ success: true, bestScore: 500, attemptsLeft: 1 });
+    await play(tournament.id, CAROL, 200);
+
+    expect(services.realtime.notifyTournamentUpdate).toHaveBeenLastCalledWith(
+      tournament.id,
+      expect.objectContaining({ kind: 'standings' })
+    );
+
+    now = START + DAY;
+    const report = await services.tournaments.checkTournaments();
+    expect(report.completed).toEqual([tournament.id]);
+
+    const { tournament: done, results } = await services.tournaments.getTournament(tournament.id);
+    expect(done.status).toBe('completed');
+    expect(results.ranking.map(e => [e.rank, e.wallet, e.score])).toEqual([
+      [1, ALICE, 500],
+      [2, BOB, 500],
+      [3, CAROL, 200],
+    ]);
+
+    await drainQueue();
+    expect(services.achievements.grantAchievement).toHaveBeenCalledTimes(1);
+    expect(services.achievements.grantAchievement).toHaveBeenCalledWith(
+      ALICE,
+      'tournament_champion'
+    );
+    expect(services.shopV2.earnCurrency.mock.calls).toEqual([
+      [ALICE, 1597, 'tournament_prize', tournament.id],
+      [BOB, 987, 'tournament_prize', tournament.id],
+      [CAROL, 610, 'tournament_prize', tournament.id],
+    ]);
+
+    // Prizes are paid once
+    expect(
+      await services.tournaments.payPrize({
+        tournamentId: tournament.id,
+        wallet: ALICE,
+        rank: 1,
+        achievement: 'tournament_champion',
+        currency: 1597,
+      })
+    ).toEqual({ skipped: true });
+    expect((await services.tournaments.getPlayerStatus(tournament.id, BOB)).prize).toMatchObject({
+      rank: 2,
+      currency: 987,
+    });
+  });
+
+  it('should cancel a tournament with fewer than two players', async () => {
+    const tournament = await create();
+    await services.tournaments.register(tournament.id, ALICE);
+
+    now = START;
+    await services.tournaments.checkTournaments();
+
+    const { tournament: cancelled } = await services.tournaments.getTournament(tournament.id);
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancelReason: 'Not enough players' });
+  });
+});
+
+describe('bracket', () => {
+  it('should give byes, open matches and play through to a champion', async () => {
+    const tournament = await create({ format: 'bracket', maxPlayers: 4 });
+    await start(tournament, [ALICE, BOB, CAROL]);
+
+    let bracket = await bracketOf(tournament.id);
+    expect(bracket).toHaveLength(2);
+    const [bye, semi] = bracket[0];
+    expect(bye).toMatchObject({ status: 'decided', decidedBy: 'bye' });
+    expect(semi.status).toBe('open');
+
+    const [first, second] = semi.players.map(p => p.wallet);
+    const byePlayer = bye.winner;
+    expect(services.realtime.notifyWallet).toHaveBeenCalledWith(
+      first,
+      expect.objectContaining({ type: 'tournament_match' })
+    );
+
+    // The seed is the round's, the same for both players
+    const { opened } = await play(tournament.id, first, 900);
+    expect(opened.matchId).toBe(semi.id);
+    expect((await services.tournaments.startSession(tournament.id, first)).error).toBe(
+      'Match already played'
+    );
+
+    // Opponent's score stays hidden until the match is decided
+    bracket = await bracketOf(tournament.id);
+    expect(bracket[0][1].players[0]).toMatchObject({ played: true, score: null });
+
+    const { opened: other } = await play(tournament.id, second, 400);
+    expect(other.session.seed).toBe(opened.session.seed);
+
+    bracket = await bracketOf(tournament.id);
+    expect(bracket[0][1]).toMatchObject({ status: 'decided', winner: first, decidedBy: 'score' });
+    expect(bracket[1][0]).toMatchObject({ status: 'open' });
+    expect(bracket[1][0].players.map(p => p.wallet).sort()).toEqual([byePlayer, first].sort());
+
+    await play(tournament.id, byePlayer, 100);
+    await play(tournament.id, first, 100);
+
+    const { tournament: done, results } = await services.tournaments.getTournament(tournament.id);
+    expect(done.status).toBe('completed');
+    expect(results.ranking.map(e => [e.rank, e.wallet])).toEqual([
+      [1, byePlayer],
+      [2, first],
+      [3, second],
+    ]);
+    expect(results.ranking[1]).toMatchObject({ eliminatedIn: 2, score: 100 });
+  });
+
+  it('should decide unplayed matches at the round deadline', async () => {
+    const tournament = await create({ format: 'bracket', maxPlayers: 4, roundDuration: HOUR });
+    await start(tournament, [ALICE, BOB, CAROL, 'Dave111111111111111111111111111111111111111']);
+
+    const [m1, m2] = await bracketOf(tournament.id).then(rounds => rounds[0]);
+    const played = m1.players[1].wallet;
+    await play(tournament.id, played, 10);
+
+    now = START + HOUR;
+    const report = await services.tournaments.checkTournaments();
+    expect(report.advanced).toEqual([tournament.id]);
+
+    const rounds = await bracketOf(tournament.id);
+    expect(rounds[0][0]).toMatchObject({ winner: played, decidedBy: 'forfeit' });
+    expect(rounds[0][1]).toMatchObject({ winner: m2.players[0].wallet, decidedBy: 'no_show' });
+    expect(rounds[1][0]).toMatchObject({ status: 'open', closesAt: START + 2 * HOUR });
+
+    const late = await services.tournaments.startSession(tournament.id, played);
+    expect(late.matchId).toBe(rounds[1][0].id);
+  });
+});
+
+describe('cancellation', () => {
+  it('should cancel running tournaments without prizes', async () => {
+    const tournament = await create();
+    await start(tournament, [ALICE, BOB]);
+    await play(tournament.id, ALICE, 100);
+
+    const result = await services.tournaments.cancelTournament(
+      tournament.id,
+      ADMIN,
+      'Exploit found'
+    );
+    expect(result.tournament).toMatchObject({ status: 'cancelled', cancelReason: 'Exploit found' });
+    expect((await services.tournaments.startSession(tournament.id, BOB)).error).toBe(
+      'Tournament is not running'
+    );
+    expect((await services.tournaments.cancelTournament(tournament.id, ADMIN)).error).toBe(
+      'Tournament is cancelled'
+    );
+
+    now = START + DAY;
+    expect(await services.tournaments.checkTournaments()).toEqual({
+      started: [],
+      advanced: [],
+      completed: [],
+    });
+    expect(await services.queue.processNext()).toBeFalsy();
+  });
+
+  it('should 404 unknown tournaments', async () => {
+    expect((await services.tournaments.getTournament('tournament-9')).error).toBe(
+      'Tournament not found'
+    );
+    expect((await services.tournaments.register('tournament-9', ALICE)).error).toBe(
+      'Tournament not found'
+    );
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * ASDF API - Tracing Tests
+ * Tests W3C trace context propagation (incoming requests, rpcFailover and
+ * heliusEnhanced calls), tail sampling, and OTLP/HTTP JSON and file export
+ *
+ * This is fine.
+ */
+
+jest.mock('../../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+
+/**
+ * Load independent copies of tracing and the services that call out
+ */
+function loadServices() {
+  const services = {};
+  jest.isolateModules(() => {
+    services.tracing = require('../../../api/services/tracing');
+    services.rpcFailover = require('../../../api/services/rpcFailover');
+    services.helius = require('../../../api/services/heliusEnhanced');
+  });
+  services.rpcFailover.stopHealthChecks();
+  return services;
+}
+
+/**
+ * Minimal Express request/response pair
+ */
+function createExchange(headers = {}) {
+  const req = {
+    method: 'GET',
+    path: '/api/burns',
+    hostname: 'localhost',
+    ip: '127.0.0.1',
+    query: {},
+    headers,
+    get: name => headers[name.toLowerCase()],
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    get: () => undefined,
+    end: jest.fn(),
+  };
+  return { req, res };
+}
+
+/**
+ * Run a request through the tracing middleware
+ * @returns {Promise<Object>} The response
+ */
+function handle(tracing, headers, handler, status = 200) {
+  const { req, res } = createExchange(headers);
+  return new Promise((resolve, reject) => {
+    tracing.createMiddleware()(req, res, async () => {
+      try {
+        await handler();
+        res.statusCode = status;
+        res.end();
+        resolve(res);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * fetch() stand-in answering JSON
+ */
+function jsonResponse(body, status = 200) {
+  return Promise.resolve({
+    ok: status < 400,
+    status,
+    statusText: 'OK',
+    json: async () => body,
+  });
+}
+
+let services;
+let originalFetch;
+
+beforeEach(() => {
+  originalFetch = global.fetch;
+  global.fetch = jest.fn(() => jsonResponse({}));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  services = loadServices();
+});
+
+afterEach(async () => {
+  await services.tracing.shutdown();
+  global.fetch = originalFetch;
+  jest.restoreAllMocks();
+});
+
+describe('traceparent', () => {
+  it('should parse and format W3C headers', () => {
+    const { tracing } = services;
+
+    expect(tracing.parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+      traceId: TRACE_ID,
+      parentSpanId: PARENT_ID,
+      sampled: true,
+    });
+    expect(tracing.parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-00`).sampled).toBe(false);
+    expect(tracing.formatTraceparent(TRACE_ID, PARENT_ID, true)).toBe(
+      `00-${TRACE_ID}-${PARENT_ID}-01`
+    );
+  });
+
+  it.each([
+    ['missing', undefined],
+    ['garbage', 'not-a-traceparent'],
+    ['version ff', `ff-${TRACE_ID}-${PARENT_ID}-01`],
+    ['zero trace id', `00-${'0'.repeat(32)}-${PARENT_ID}-01`],
+    ['zero span id', `00-${TRACE_ID}-${'0'.repeat(16)}-01`],
+    ['extra fields on version 00', `00-${TRACE_ID}-${PARENT_ID}-01-extra`],
+  ])('should reject a %s header', (label, header) => {
+    expect(services.tracing.parseTraceparent(header)).toBeNull();
+  });
+
+  it('should accept extra fields from future versions', () => {
+    expect(services.tracing.parseTraceparent(`01-${TRACE_ID}-${PARENT_ID}-01-extra`)).toMatchObject(
+      {
+        traceId: TRACE_ID,
+      }
+    );
+  });
+});
+
+describe('propagation', () => {
+  it("should continue the caller's trace", async () => {
+    const { tracing } = services;
+    const headers = {
+      traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`,
+      tracestate: 'vendor=abc',
+    };
+
+    const res = await handle(tracing, headers, () => {});
+
+    expect(res.headers['x-trace-id']).toBe(TRACE_ID);
+    const trace = tracing.getTrace(TRACE_ID);
+    expect(trace).toMatchObject({ traceId: TRACE_ID, traceState: 'vendor=abc' });
+    expect(trace.spans[0]).toMatchObject({ parentSpanId: PARENT_ID, kind: 'server' });
+  });
+
+  it('should continue a legacy x-trace-id trace', async () => {
+    const { tracing } = services;
+    const headers = { 'x-trace-id': TRACE_ID, 'x-parent-span-id': PARENT_ID };
+
+    const res = await handle(tracing, headers, () => {});
+
+    expect(res.headers['x-trace-id']).toBe(TRACE_ID);
+    expect(tracing.getTrace(TRACE_ID).spans[0].parentSpanId).toBe(PARENT_ID);
+  });
+
+  it.each([
+    ['too long', 'a'.repeat(64)],
+    ['not hex', 'z'.repeat(32)],
+    ['uppercase', TRACE_ID.toUpperCase()],
+    ['all zeros', '0'.repeat(32)],
+    ['injected', `${TRACE_ID}\r\nx-admin: 1`],
+  ])('should start a fresh trace for a %s x-trace-id', async (label, traceId) => {
+    const { tracing } = services;
+    const headers = { 'x-trace-id': traceId, 'x-parent-span-id': PARENT_ID };
+
+    const res = await handle(tracing, headers, () => {});
+
+    const fresh = res.headers['x-trace-id'];
+    expect(fresh).toMatch(/^[0-9a-f]{32}$/);
+    expect(fresh).not.toBe(traceId);
+    expect(tracing.getTrace(fresh).spans[0].parentSpanId).toBeNull();
+  });
+
+  it('should send traceparent on rpcFailover requests', async () => {
+    const { tracing, rpcFailover } = services;
+    global.fetch.mockImplementation(() => jsonResponse({ jsonrpc: '2.0', result: 42 }));
+
+    let result;
+    await handle(tracing, { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, async () => {
+      result = await rpcFailover.executeRequest('getSlot');
+    });
+
+    expect(result).toBe(42);
+    const [, request] = global.fetch.mock.calls[0];
+    const outgoing = tracing.parseTraceparent(request.headers.traceparent);
+    const clientSpan = tracing
+      .getTrace(TRACE_ID)
+      .spans.find(s => s.operationName === 'rpc getSlot');
+
+    expect(outgoing).toEqual({ traceId: TRACE_ID, parentSpanId: clientSpan.spanId, sampled: true });
+    expect(clientSpan).toMatchObject({ kind: 'client', tags: { 'rpc.method': 'getSlot' } });
+  });
+
+  it('should record failed rpc attempts as errored spans', async () => {
+    const { tracing, rpcFailover } = services;
+    global.fetch.mockImplementation(() => jsonResponse({ error: { message: 'slot skipped' } }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await handle(tracing, { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, async () => {
+      await expect(rpcFailover.executeRequest('getBlock', [1], { retries: 0 })).rejects.toThrow(
+        'slot skipped'
+      );
+    });
+
+    const span = tracing.getTrace(TRACE_ID).spans.find(s => s.operationName === 'rpc getBlock');
+    expect(span.error).toEqual({ message: 'slot skipped', name: 'Error' });
+  });
+
+  it('should send traceparent on heliusEnhanced calls without tagging the API key', async () => {
+    const { tracing, helius } = services;
+    global.fetch.mockImplementation(() => jsonResponse([{ signature: 'sig' }]));
+
+    await handle(tracing, { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, async () => {
+      await helius.parseTransaction('sig');
+    });
+
+    const [, request] = global.fetch.mock.calls[0];
+    expect(request.headers['Content-Type']).toBe('application/json');
+    expect(tracing.parseTraceparent(request.headers.traceparent).traceId).toBe(TRACE_ID);
+
+    const span = tracing
+      .getTrace(TRACE_ID)
+      .spans.find(s => s.operationName === 'helius parseTransaction');
+    expect(span.tags).toMatchObject({ 'http.url': '/v0/transactions/', 'http.status_code': 200 });
+  });
+
+  it('should not add headers outside a trace', async () => {
+    const { rpcFailover } = services;
+    global.fetch.mockImplementation(() => jsonResponse({ result: 1 }));
+
+    await rpcFailover.executeRequest('getSlot');
+
+    expect(global.fetch.mock.calls[0][1].headers.traceparent).toBeUndefined();
+  });
+});
+
+describe('tail sampling', () => {
+  beforeEach(() => {
+    services.tracing.setSampleRate(0);
+  });
+
+  it('should drop ordinary traces the sample rate rejects', async () => {
+    const { tracing } = services;
+    await handle(tracing, {}, () => {});
+
+    expect(tracing.getRecentTraces()).toHaveLength(0);
+    expect(tracing.getStats().tracesDropped).toBe(1);
+  });
+
+  it('should keep server errors and failed spans', async () => {
+    const { tracing } = services;
+
+    await handle(tracing, {}, () => {}, 503);
+    await handle(tracing, {}, async () => {
+      await tracing
+        .withSpan('burn verify', () => Promise.reject(new Error('rpc down')))
+        .catch(() => {});
+    });
+
+    expect(tracing.getRecentTraces()).toHaveLength(2);
+    expect(tracing.getStats().keptErrors).toBe(2);
+  });
+
+  it('should keep slow traces', async () => {
+    const { tracing } = services;
+    let now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    await handle(tracing, {}, () => {
+      now += tracing.TRACING_CONFIG.slowTraceThreshold;
+    });
+
+    expect(tracing.getSlowTraces()).toHaveLength(1);
+    expect(tracing.getStats().keptSlow).toBe(1);
+  });
+
+  it("should respect the caller's sampled flag", async () => {
+    const { tracing } = services;
+    await handle(tracing, { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, () => {});
+
+    expect(tracing.getTrace(TRACE_ID)).not.toBeNull();
+  });
+});
+
+describe('export', () => {
+  it('should batch kept traces to the exporter as OTLP', async () => {
+    const { tracing } = services;
+    const exporter = { export: jest.fn(() => Promise.resolve()) };
+    tracing.setExporter(exporter);
+
+    await handle(tracing, { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, async () => {
+      await tracing.withSpan('db query', span => span.setTag('rows', 3));
+    });
+    expect(await tracing.flushExports()).toBe(1);
+
+    const [[batch]] = exporter.export.mock.calls;
+    const { resourceSpans } = tracing.toOtlp(batch);
+    const [server, internal] = resourceSpans[0].scopeSpans[0].spans;
+
+    expect(resourceSpans[0].resource.attributes).toContainEqual({
+      key: 'service.name',
+      value: { stringValue: 'asdf-api' },
+    });
+    expect(server).toMatchObject({
+      traceId: TRACE_ID,
+      parentSpanId: PARENT_ID,
+      name: 'GET /api/burns',
+      kind: 2,
+      status: { code: 0 },
+    });
+    expect(server.attributes).toContainEqual({
+      key: 'http.status_code',
+      value: { intValue: '200' },
+    });
+    expect(server.startTimeUnixNano).toMatch(/^\d+000000$/);
+    expect(internal).toMatchObject({ name: 'db query', kind: 1, parentSpanId: server.spanId });
+    expect(internal.attributes).toEqual([{ key: 'rows', value: { intValue: '3' } }]);
+    expect(tracing.getStats()).toMatchObject({ tracesExported: 1, exportQueue: 0 });
+  });
+
+  it('should post OTLP/HTTP JSON to the collector', async () => {
+    const { tracing } = services;
+    tracing.setExporter(
+      new tracing.OtlpHttpExporter({
+        url: 'http://collector:4318/v1/traces',
+        headers: 'x-tenant=asdf,authorization=Bearer%20t0k',
+      })
+    );
+
+    await handle(tracing, { traceparent: `00-${TRACE_ID}-${PARENT_ID}-01` }, () => {}, 500);
+    await tracing.flushExports();
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://collector:4318/v1/traces');
+    expect(request.headers).toMatchObject({
+      'Content-Type': 'application/json',
+      'x-tenant': 'asdf',
+      authorization: 'Bearer t0k',
+    });
+    const [span] = JSON.parse(request.body).resourceSpans[0].scopeSpans[0].spans;
+    expect(span).toMatchObject({ traceId: TRACE_ID, status: { code: 0 } });
+  });
+
+  it('should count failed exports and drop the batch', async () => {
+    const { tracing } = services;
+    global.fetch.mockImplementation(() => jsonResponse({}, 503));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    tracing.setExporter(new tracing.OtlpHttpExporter({ url: 'http://collector:4318/v1/traces' }));
+
+    await handle(tracing, {}, () => {});
+    expect(await tracing.flushExports()).toBe(0);
+
+    expect(tracing.getStats()).toMatchObject({ exportErrors: 1, exportDropped: 1, exportQueue: 0 });
+  });
+
+  it('should append OTLP JSON lines to a file', async () => {
+    const { tracing } = services;
+    const file = path.join(os.tmpdir(), `asdf-traces-${process.pid}-${Date.now()}.jsonl`);
+    tracing.setExporter(new tracing.FileExporter({ path: file }));
+
+    try {
+      await handle(tracing, {}, () => {});
+      await handle(tracing, {}, () => {});
+      await tracing.flushExports();
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0]).resourceSpans[0].scopeSpans[0].spans).toHaveLength(2);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * ASDF-Web Feature Flags SDK Tests
+ * Tests the shipped client (js/core/flags.js): bootstrap and hydration from
+ * the localStorage cache, cache expiry, bucketing parity with the server and
+ * the flag:changed events apps react to
+ *
+ * This is fine.
+ */
+
+jest.mock('../../api/services/leaderboard', () => ({ logAudit: jest.fn() }));
+
+const { setImmediate: nextTick } = require('timers');
+const { loadModule } = require('./helpers/esm');
+
+// jsdom lacks it; bucketing hashes the UTF-8 bytes of the key
+global.TextEncoder = class {
+  encode(text) {
+    return new Uint8Array(Buffer.from(text, 'utf8'));
+  }
+};
+
+const WALLET = 'F1agsWa11et111111111111111111111111111111111';
+const DAY = 24 * 60 * 60 * 1000;
+
+let FlagClient;
+let getBucket;
+let evaluateLocally;
+let eventBus;
+let EVENTS;
+let client;
+let changes;
+
+/**
+ * Client flag as the bootstrap returns it
+ */
+function clientFlag(key, value, extra = {}) {
+  return {
+    key,
+    version: 1,
+    type: typeof value === 'boolean' ? 'boolean' : 'string',
+    defaultValue: typeof value === 'boolean' ? false : 'control',
+    active: true,
+    percentage: 100,
+    variants: null,
+    evaluation: 'local',
+    value,
+    ...extra,
+  };
+}
+
+/**
+ * Answer the next bootstrap with these flags
+ */
+function serve(flags, status = 200) {
+  global.fetch.mockResolvedValueOnce({
+    ok: status === 200,
+    status,
+    json: async () => ({ flags }),
+  });
+}
+
+function cache(wallet, flags, savedAt = Date.now()) {
+  localStorage.setItem(`asdf_flags:${wallet}`, JSON.stringify({ flags, savedAt }));
+}
+
+const flush = () => new Promise(resolve => nextTick(resolve));
+
+beforeEach(() => {
+  // tests/setup.js stubs localStorage; back it with a real store
+  const store = new Map();
+  localStorage.getItem.mockImplementation(key => (store.has(key) ? store.get(key) : null));
+  localStorage.setItem.mockImplementation((key, value) => store.set(key, String(value)));
+  global.fetch = jest.fn();
+
+  // One module graph, so the test sees the client's event bus
+  const modules = new Map();
+  ({ FlagClient, getBucket, evaluateLocally } = loadModule('js/core/flags.js', {}, modules));
+  ({ eventBus, EVENTS } = loadModule('js/core/event-bus.js', {}, modules));
+
+  changes = [];
+  eventBus.on(EVENTS.FLAG_CHANGED, change => changes.push(change));
+  client = new FlagClient();
+});
+
+afterEach(() => {
+  client.destroy();
+  jest.useRealTimers();
+  localStorage.getItem.mockReset();
+  localStorage.setItem.mockReset();
+  delete global.fetch;
+});
+
+describe('bootstrap', () => {
+  it('should fetch every flag once and cache them per wallet', async () => {
+    const ready = jest.fn();
+    eventBus.on(EVENTS.FLAGS_READY, ready);
+    serve({ new_shop: clientFlag('new_shop', true) });
+
+    expect(await client.init({ wallet: WALLET })).toBe(true);
+
+    expect(global.fetch).toHaveBeenCalledWith('/api/flags/bootstrap', { credentials: 'include' });
+    expect(client.isEnabled('new_shop')).toBe(true);
+    expect(client.getValue('missing', 'fallback')).toBe('fallback');
+    expect(ready).toHaveBeenCalledWith({ source: 'bootstrap', count: 1 });
+    expect(JSON.parse(localStorage.getItem(`asdf_flags:${WALLET}`)).flags).toHaveProperty(
+      'new_shop'
+    );
+  });
+
+  it('should bucket anonymous visitors by a stable random ID', async () => {
+    serve({});
+    serve({});
+    await client.init();
+    await client.refresh();
+
+    const [first, second] = global.fetch.mock.calls.map(([url]) => url);
+    const anonymousId = new URL(first, 'http://localhost').searchParams.get('anonymousId');
+    expect(anonymousId).toMatch(/^[0-9a-f]{32}$/);
+    expect(second).toBe(first);
+    expect(client.getBucketingId()).toBe(anonymousId);
+  });
+
+  it('should share one request between concurrent refreshes', async () => {
+    serve({});
+    await Promise.all([client.init(), client.refresh(), client.refresh()]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the cached flags when the server fails', async () => {
+    cache('anonymous', { new_shop: clientFlag('new_shop', true) });
+    serve({}, 503);
+
+    expect(await client.init()).toBe(false);
+    expect(client.isEnabled('new_shop')).toBe(true);
+    expect(client.getStats()).toMatchObject({ bootstrapErrors: 1, ready: true });
+  });
+
+  it('should drop an answer for a wallet that has since disconnected', async () => {
+    serve({ vip: clientFlag('vip', true) });
+    const first = client.init({ wallet: WALLET });
+    serve({ vip: clientFlag('vip', false) });
+    const second = client.setWallet(null);
+
+    expect(await first).toBe(false);
+    await second;
+    expect(client.isEnabled('vip')).toBe(false);
+    expect(localStorage.getItem(`asdf_flags:${WALLET}`)).toBeNull();
+  });
+});
+
+describe('cache', () => {
+  it('should hydrate from the cache before the server answers', async () => {
+    const ready = jest.fn();
+    eventBus.on(EVENTS.FLAGS_READY, ready);
+    cache(WALLET, { theme: clientFlag('theme', 'dark') });
+    serve({ theme: clientFlag('theme', 'light') });
+
+    const bootstrapped = client.init({ wallet: WALLET });
+
+    expect(client.getValue('theme')).toBe('dark');
+    expect(ready).toHaveBeenCalledWith({ source: 'cache', count: 1 });
+
+    await bootstrapped;
+    expect(client.getValue('theme')).toBe('light');
+    expect(ready).toHaveBeenCalledTimes(1);
+    expect(changes.map(({ value, source }) => [value, source])).toEqual([
+      ['dark', 'cache'],
+      ['light', 'bootstrap'],
+    ]);
+  });
+
+  it('should ignore a cache older than maxCacheAge', async () => {
+    const ready = jest.fn();
+    eventBus.on(EVENTS.FLAGS_READY, ready);
+    cache(WALLET, { theme: clientFlag('theme', 'dark') }, Date.now() - DAY - 1);
+    serve({}, 503);
+
+    await client.init({ wallet: WALLET });
+
+    expect(client.getValue('theme', 'default')).toBe('default');
+    expect(ready).not.toHaveBeenCalled();
+    expect(client.getStats().ready).toBe(false);
+  });
+
+  it("should switch to the new wallet's cache on connect", async () => {
+    cache('anonymous', { vip: clientFlag('vip', false) });
+    cache(WALLET, { vip: clientFlag('vip', true) });
+    global.fetch.mockReturnValue(new Promise(() => {}));
+
+    client.init();
+    expect(client.isEnabled('vip')).toBe(false);
+
+    eventBus.emit(EVENTS.WALLET_CONNECTED, { address: WALLET });
+    expect(client.isEnabled('vip')).toBe(true);
+    expect(client.getStats().wallet).toBe(WALLET);
+  });
+
+  it('should survive a corrupted cache', async () => {
+    localStorage.setItem('asdf_flags:anonymous', '{not json');
+    serve({ new_shop: clientFlag('new_shop', true) });
+
+    expect(await client.init()).toBe(true);
+    expect(client.isEnabled('new_shop')).toBe(true);
+  });
+});
+
+describe('bucketing', () => {
+  let server;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      server = require('../../api/services/featureflags');
+    });
+    server.FEATURE_FLAGS_CONFIG.environment = 'production';
+  });
+
+  it('should put every user in the same bucket as the server', () => {
+    for (let i = 0; i < 200; i++) {
+      const userId = `${WALLET.slice(0, 36)}${i}`;
+      expect(getBucket('new_shop', userId)).toBe(server.getBucket('new_shop', userId));
+      expect(getBucket('new_shop:variant', userId)).toBe(
+        server.getBucket('new_shop:variant', userId)
+      );
+    }
+    // Multi-byte keys hash their UTF-8 bytes
+    expect(getBucket('thème', 'joueur-é')).toBe(server.getBucket('thème', 'joueur-é'));
+  });
+
+  it('should evaluate rollouts and variants like the server', () => {
+    server.createFlag('half', { percentage: 50 });
+    server.createFlag('theme', {
+      type: 'string',
+      defaultValue: 'control',
+      percentage: 80,
+      variants: [
+        { name: 'dark', value: 'dark', weight: 30 },
+        { name: 'light', value: 'light', weight: 70 },
+      ],
+    });
+    server.createFlag('off', { enabled: false, defaultValue: false });
+
+    for (let i = 0; i < 100; i++) {
+      const wallet = `${WALLET.slice(0, 36)}${i}`;
+      const flags = server.getClientFlags({ wallet });
+      for (const { value, ...definition } of Object.values(flags)) {
+        expect(evaluateLocally(definition, wallet)).toEqual(value);
+      }
+    }
+  });
+});
+
+describe('flag:changed', () => {
+  beforeEach(async () => {
+    serve({
+      theme: clientFlag('theme', 'dark', { version: 2 }),
+      vip: clientFlag('vip', true, { evaluation: 'server' }),
+    });
+    await client.init({ wallet: WALLET });
+    changes.length = 0;
+  });
+
+  it('should re-evaluate live changes locally and emit them once', () => {
+    const onTheme = jest.fn();
+    client.onChange('theme', onTheme);
+    const update = { ...clientFlag('theme', undefined, { version: 3 }), action: 'updated' };
+    delete update.value;
+
+    eventBus.emit(EVENTS.FLAG_UPDATED, { ...update, active: false });
+    eventBus.emit(EVENTS.FLAG_UPDATED, { ...update, active: false, version: 4 });
+
+    expect(client.getValue('theme')).toBe('control');
+    expect(changes).toEqual([
+      { key: 'theme', value: 'control', previous: 'dark', source: 'realtime' },
+    ]);
+    expect(onTheme).toHaveBeenCalledTimes(1);
+    expect(client.getStats()).toMatchObject({ liveUpdates: 2, localEvaluations: 2 });
+  });
+
+  it('should ignore updates older than the flag', () => {
+    eventBus.emit(EVENTS.FLAG_UPDATED, { ...clientFlag('theme', 'x'), version: 1, active: false });
+
+    expect(client.getValue('theme')).toBe('dark');
+    expect(changes).toHaveLength(0);
+  });
+
+  it('should emit deletions', () => {
+    eventBus.emit(EVENTS.FLAG_UPDATED, { key: 'theme', action: 'deleted', deleted: true });
+
+    expect(client.getValue('theme', 'gone')).toBe('gone');
+    expect(changes).toEqual([
+      { key: 'theme', value: undefined, previous: 'dark', source: 'realtime' },
+    ]);
+  });
+
+  it('should re-fetch server-evaluated flags once per burst', async () => {
+    jest.useFakeTimers();
+    serve({ vip: clientFlag('vip', false, { evaluation: 'server' }) });
+
+    for (let version = 2; version <= 4; version++) {
+      eventBus.emit(EVENTS.FLAG_UPDATED, { ...clientFlag('vip', true), version });
+    }
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(client.config.refetchDelay);
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(changes).toEqual(
+      expect.arrayContaining([
+        { key: 'vip', value: false, previous: true, source: 'bootstrap' },
+        { key: 'theme', value: undefined, previous: 'dark', source: 'bootstrap' },
+      ])
+    );
+  });
+
+  it('should re-bootstrap when the socket comes back', async () => {
+    serve({ theme: clientFlag('theme', 'light', { version: 3 }) });
+
+    eventBus.emit(EVENTS.WS_READY);
+    await flush();
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(changes).toContainEqual({
+      key: 'theme',
+      value: 'light',
+      previous: 'dark',
+      source: 'bootstrap',
+    });
+  });
+
+  it('should stop following changes once destroyed', () => {
+    client.destroy();
+    eventBus.emit(EVENTS.FLAG_UPDATED, { ...clientFlag('theme', 'x', { version: 9 }) });
+
+    expect(changes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * ASDF Games - Deterministic Simulation Tests
+ * Tests seeded rules, replay re-simulation and tamper rejection
+ *
+ * This is fine.
+ */
+
+// Rule modules export to window and self-register with GameSim
+require('../../../js/games/sim/core.js');
+require('../../../js/games/sim/tokencatcher.js');
+require('../../../js/games/sim/burnrunner.js');
+require('../../../js/games/sim/scamblaster.js');
+require('../../../js/games/sim/stakestacker.js');
+
+const GameSim = window.GameSim;
+
+// Scripted players: deterministic input per tick
+const BOTS = {
+  stakestacker: sim => {
+    // Drop closer to the tower edge as it grows, so the run reaches wind levels and ends
+    const { currentBlock, blocks, level } = sim.state;
+    const last = blocks[blocks.length - 1];
+    if (Math.abs(currentBlock.x - last.x) < 4 + level * 3) sim.input('drop');
+  },
+  burnrunner: (sim, tick) => {
+    if (tick % 45 === 0) sim.input('jump');
+    if (tick % 300 === 0) sim.input('dash');
+  },
+  tokencatcher: (sim, tick) => {
+    if (tick % 20 === 0) sim.input('move', { dir: ((tick / 20) % 3) - 1 });
+    if (tick % 30 === 0) sim.input('shoot', { x: 300, y: 200 });
+  },
+  scamblaster: (sim, tick) => {
+    if (tick === 5) sim.input('mode', { mode: 'pop' });
+    if (tick > 200 && tick % 7 === 0) {
+      sim.input('shoot', { x: (tick * 37) % 800, y: (tick * 53) % 600 });
+    }
+  },
+};
+
+const OPTIONS = { width: 900, height: 640 };
+
+/**
+ * Play a full game with a bot, as the browser engine would
+ */
+function play(gameId, seed) {
+  const sim = GameSim.createSession(gameId, seed, OPTIONS);
+  let tick = 0;
+  while (!sim.isOver() && tick < 60 * 60 * 40) {
+    BOTS[gameId](sim, tick);
+    sim.step();
+    tick++;
+  }
+  return sim;
+}
+
+describe('GameSim', () => {
+  describe('rng', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const a = GameSim.createRng(1234);
+      const b = GameSim.createRng(1234);
+      for (let i = 0; i < 100; i++) {
+        expect(a.next()).toBe(b.next());
+      }
+    });
+
+    it('should stay within [0, 1)', () => {
+      const rng = GameSim.createRng(42);
+      for (let i = 0; i < 1000; i++) {
+        const n = rng.next();
+        expect(n).toBeGreaterThanOrEqual(0);
+        expect(n).toBeLessThan(1);
+      }
+    });
+
+    it('should hash string seeds to uint32', () => {
+      const seed = GameSim.hashSeed('session-abc');
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThan(2 ** 32);
+    });
+  });
+
+  describe('registry', () => {
+    it('should register all arcade rules', () => {
+      for (const gameId of Object.keys(BOTS)) {
+        expect(GameSim.has(gameId)).toBe(true);
+      }
+    });
+
+    it('should reject rule sets without id or step', () => {
+      expect(() => GameSim.register({ id: 'broken' })).toThrow();
+    });
+
+    it('should clamp world size to rule bounds', () => {
+      const rules = GameSim.get('stakestacker');
+      const options = GameSim.normalizeOptions(rules, { width: 99999, height: 'x' });
+      expect(options.width).toBe(rules.world.maxWidth);
+      expect(options.height).toBe(rules.world.height);
+    });
+  });
+
+  describe('session', () => {
+    it('should ignore unknown actions', () => {
+      const sim = GameSim.createSession('stakestacker', 1, OPTIONS);
+      expect(sim.input('teleport')).toBe(false);
+      expect(sim.actions).toHaveLength(0);
+    });
+
+    it('should coalesce continuous inputs within a tick', () => {
+      const sim = GameSim.createSession('tokencatcher', 1, OPTIONS);
+      sim.input('point', { x: 100 });
+      sim.input('point', { x: 200 });
+      expect(sim.actions).toHaveLength(1);
+      expect(sim.actions[0].d.x).toBe(200);
+    });
+
+    it('should cap catch-up ticks per advance', () => {
+      const sim = GameSim.createSession('burnrunner', 1, OPTIONS);
+      sim.advance(10000);
+      expect(sim.tick).toBe(GameSim.MAX_CATCHUP_TICKS);
+    });
+  });
+
+  describe.each(Object.keys(BOTS))('%s replay', gameId => {
+    const seed = 20240601;
+    let sim;
+    let replay;
+
+    beforeAll(() => {
+      sim = play(gameId, seed);
+      replay = JSON.parse(JSON.stringify(sim.toReplay()));
+    });
+
+    it('should reach game over', () => {
+      expect(sim.isOver()).toBe(true);
+    });
+
+    it('should be deterministic for the same seed and inputs', () => {
+      expect(play(gameId, seed).state.score).toBe(sim.state.score);
+    });
+
+    it('should reproduce the score from the action stream', () => {
+      const result = GameSim.replay(gameId, replay.seed, replay.actions, replay.options);
+      expect(result.valid).toBe(true);
+      expect(result.gameOver).toBe(true);
+      expect(result.score).toBe(sim.state.score);
+      expect(result.ticks).toBe(sim.tick);
+    });
+
+    it('should not reproduce the score with another seed', () => {
+      const results = [1, 2, 3].map(
+        s => GameSim.replay(gameId, seed + s, replay.actions, replay.options).score
+      );
+      expect(results.some(score => score !== sim.state.score)).toBe(true);
+    });
+
+    it('should reject out-of-order frames', () => {
+      if (replay.actions.length < 2) return;
+      const actions = replay.actions.map(a => ({ ...a }));
+      actions[1].f = actions[0].f - 1;
+      const result = GameSim.replay(gameId, seed, actions, replay.options);
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/^bad_frame_at_/);
+    });
+
+    it('should reject actions after game over', () => {
+      const actions = [...replay.actions, { f: sim.tick + 10, a: replay.actions[0].a }];
+      const result = GameSim.replay(gameId, seed, actions, replay.options);
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/^action_after_end_at_/);
+    });
+
+    it('should stop at the tick limit', () => {
+      const result = GameSim.replay(gameId, seed, [], { ...replay.options, maxTicks: 10 });
+      expect(result.ticks).toBeLessThanOrEqual(10);
+    });
+  });
+
+  describe('replay validation', () => {
+    it('should reject unknown games', () => {
+      expect(GameSim.replay('pong', 1, []).error).toBe('unknown_game');
+    });
+
+    it('should reject oversized action streams', () => {
+      const actions = new Array(GameSim.MAX_ACTIONS + 1).fill({ f: 0, a: 'drop' });
+      expect(GameSim.replay('stakestacker', 1, actions).error).toBe('invalid_actions');
+    });
+
+    it('should reject unknown action names', () => {
+      const result = GameSim.replay('stakestacker', 1, [{ f: 0, a: 'win' }]);
+      expect(result.error).toBe('bad_action_at_0');
+    });
+  });
+});
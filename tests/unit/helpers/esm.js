@@ -0,0 +1,85 @@
+/**
+ * ASDF-Web Test Helper - Browser ES Modules
+ * Jest runs without a transform, so the shipped modules are loaded by
+ * rewriting import/export into plain bindings. Relative imports load the
+ * same way; any other specifier (CDN URLs) must be given in stubs.
+ *
+ * This is fine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../../..');
+
+/**
+ * @param {string} file - Module path, relative to the repository root
+ * @param {Object} [stubs] - Specifier -> module namespace
+ * @param {Map} [cache] - Loaded modules; share one to share module state
+ * @returns {Object} Module namespace
+ */
+function loadModule(file, stubs = {}, cache = new Map()) {
+  const filePath = path.resolve(ROOT, file);
+  if (cache.has(filePath)) return cache.get(filePath);
+
+  const namespace = {};
+  cache.set(filePath, namespace);
+
+  const exported = [];
+  let source = fs.readFileSync(filePath, 'utf8');
+
+  source = source.replace(
+    /^import\s+([\s\S]*?)\s+from\s+['"]([^'"]+)['"];?/gm,
+    (_, clause, specifier) => {
+      const target = `__import(${JSON.stringify(specifier)})`;
+      if (clause.startsWith('{')) {
+        return `const ${clause.replace(/\s+as\s+/g, ': ')} = ${target};`;
+      }
+      if (clause.startsWith('*')) {
+        return `const ${clause.replace(/^\*\s+as\s+/, '')} = ${target};`;
+      }
+      return `const ${clause} = ${target}.default;`;
+    }
+  );
+
+  source = source.replace(/^export\s+\{([^}]*)\};?/gm, (_, names) => {
+    for (const name of names
+      .split(',')
+      .map(n => n.trim())
+      .filter(Boolean)) {
+      const [local, as = local] = name.split(/\s+as\s+/);
+      exported.push([as, local]);
+    }
+    return '';
+  });
+
+  source = source.replace(/^export\s+default\s+/m, '__namespace.default = ');
+
+  source = source.replace(
+    /^export\s+((?:async\s+)?function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/gm,
+    (_, kind, name) => {
+      exported.push([name, name]);
+      return `${kind} ${name}`;
+    }
+  );
+
+  const tail = exported.map(([as, local]) => `__namespace[${JSON.stringify(as)}] = ${local};`);
+
+  const importer = specifier => {
+    if (specifier.startsWith('.')) {
+      const resolved = path.relative(ROOT, path.resolve(path.dirname(filePath), specifier));
+      return loadModule(resolved, stubs, cache);
+    }
+    if (!(specifier in stubs)) {
+      throw new Error(`No stub for ${specifier} (imported by ${file})`);
+    }
+    return stubs[specifier];
+  };
+
+  // Evaluated in the test's realm, so window, WebSocket etc. are the jsdom ones
+  // eslint-disable-next-line no-new-func
+  new Function('__import', '__namespace', `${source}\n${tail.join('\n')}`)(importer, namespace);
+  return namespace;
+}
+
+module.exports = { loadModule };
@@ -0,0 +1,273 @@
+/**
+ * ASDF-Web Realtime Transport Fallback Tests
+ * Tests the shipped client (js/realtime/client.js): WebSocket to
+ * Server-Sent Events fallback and resuming channels from the last seq
+ *
+ * This is fine.
+ */
+
+const { setImmediate: nextTick } = require('timers');
+const { loadModule } = require('./helpers/esm');
+
+let RealtimeClient;
+let EVENTS;
+let eventBus;
+let sockets;
+let sources;
+let client;
+
+class FakeWebSocket {
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.send = jest.fn();
+    this.close = jest.fn();
+    sockets.push(this);
+  }
+
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen();
+  }
+
+  fail() {
+    this.readyState = FakeWebSocket.CLOSED;
+    this.onclose({ code: 1006, reason: '' });
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSED = 3;
+
+class FakeEventSource {
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.readyState = FakeEventSource.CONNECTING;
+    this.close = jest.fn(() => {
+      this.readyState = FakeEventSource.CLOSED;
+    });
+    sources.push(this);
+  }
+
+  open() {
+    this.readyState = FakeEventSource.OPEN;
+    this.onopen();
+  }
+
+  end() {
+    this.readyState = FakeEventSource.CLOSED;
+    this.onerror(new Event('error'));
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+FakeEventSource.CONNECTING = 0;
+FakeEventSource.OPEN = 1;
+FakeEventSource.CLOSED = 2;
+
+/**
+ * Let connect() get past awaiting the socket (real timers, even when faked)
+ */
+const flush = () => new Promise(resolve => nextTick(resolve));
+
+function broadcast(channel, seq) {
+  return { type: 'broadcast', channel, seq, seqChannel: channel, payload: { event: 'burn' } };
+}
+
+beforeEach(() => {
+  sockets = [];
+  sources = [];
+  global.WebSocket = FakeWebSocket;
+  global.EventSource = FakeEventSource;
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+
+  // One module graph, so the test sees the client's event bus
+  const modules = new Map();
+  ({ RealtimeClient } = loadModule('js/realtime/client.js', {}, modules));
+  ({ eventBus, EVENTS } = loadModule('js/core/event-bus.js', {}, modules));
+  client = new RealtimeClient();
+});
+
+afterEach(() => {
+  client.disconnect();
+  jest.useRealTimers();
+  delete global.WebSocket;
+  delete global.EventSource;
+  delete global.fetch;
+});
+
+describe('fallback', () => {
+  it('should switch to the event stream when the socket never opens', async () => {
+    const connecting = client.connect('jwt');
+    sockets[0].fail();
+    await flush();
+
+    expect(sources).toHaveLength(1);
+    sources[0].open();
+
+    expect(await connecting).toBe(true);
+    expect(client.getTransport()).toBe('sse');
+    expect(client.isConnected()).toBe(true);
+    expect(sources[0].options).toEqual({ withCredentials: true });
+  });
+
+  it('should authenticate the stream with the cookie, never a URL token', async () => {
+    const connecting = client.connect('secret-jwt');
+    sockets[0].fail();
+    await flush();
+    sources[0].open();
+    await connecting;
+
+    expect(sockets[0].url).not.toContain('secret-jwt');
+    expect(sockets[0].protocols).toEqual(['asdf-notifications-v1', 'bearer.secret-jwt']);
+    expect(sources[0].url).toBe('/api/realtime/stream');
+
+    // Subscriptions over POST still carry the token, in a header
+    sources[0].receive({ type: 'connected', connectionId: 'conn_1', channels: ['global'] });
+    client.subscribe('burns');
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/realtime/stream/conn_1',
+      expect.objectContaining({
+        method: 'POST',
+        credentials: 'include',
+        headers: expect.objectContaining({ Authorization: 'Bearer secret-jwt' }),
+      })
+    );
+  });
+
+  it('should keep WebSocket once a socket has opened', async () => {
+    jest.useFakeTimers();
+
+    const connecting = client.connect();
+    sockets[0].open();
+    expect(await connecting).toBe(true);
+
+    // A later upgrade failure is a dropped connection, not a blocked one
+    sockets[0].fail();
+    jest.advanceTimersByTime(1000);
+    sockets[1].fail();
+    await flush();
+
+    expect(sockets).toHaveLength(2);
+    expect(sources).toHaveLength(0);
+    expect(client.getState()).toBe('reconnecting');
+    expect(client.getTransport()).toBe('websocket');
+  });
+
+  it('should not fall back when disabled', async () => {
+    client = new RealtimeClient({ fallback: { enabled: false } });
+
+    const connecting = client.connect();
+    sockets[0].fail();
+
+    expect(await connecting).toBe(false);
+    expect(sources).toHaveLength(0);
+  });
+});
+
+describe('resume', () => {
+  it('should reopen the stream from the last seq of each channel', async () => {
+    jest.useFakeTimers();
+
+    const connecting = client.connect();
+    sockets[0].fail();
+    await flush();
+    sources[0].open();
+    await connecting;
+
+    sources[0].receive({
+      type: 'connected',
+      connectionId: 'conn_1',
+      channels: ['global', 'burns'],
+    });
+    sources[0].receive(broadcast('burns', 1));
+    sources[0].receive(broadcast('burns', 2));
+    sources[0].receive(broadcast('burns', 3));
+    sources[0].receive(broadcast('global', 7));
+
+    // The server closed the stream: reconnect over the same transport
+    sources[0].end();
+    jest.advanceTimersByTime(1000);
+
+    expect(sockets).toHaveLength(1);
+    expect(sources).toHaveLength(2);
+
+    const url = new URL(sources[1].url, 'http://localhost');
+    expect(url.pathname).toBe('/api/realtime/stream');
+    expect(url.searchParams.get('channels')).toBe('global,burns');
+    expect(Object.fromEntries(new URLSearchParams(url.searchParams.get('lastEventId')))).toEqual({
+      burns: '3',
+      global: '7',
+    });
+    expect(url.searchParams.has('token')).toBe(false);
+  });
+
+  it('should resume from the oldest hole', async () => {
+    jest.useFakeTimers();
+
+    const connecting = client.connect();
+    sockets[0].fail();
+    await flush();
+    sources[0].open();
+    await connecting;
+
+    sources[0].receive({ type: 'connected', connectionId: 'conn_1', channels: ['burns'] });
+    sources[0].receive(broadcast('burns', 1));
+    sources[0].receive(broadcast('burns', 4));
+    sources[0].end();
+    jest.advanceTimersByTime(1000);
+
+    const url = new URL(sources[1].url, 'http://localhost');
+    expect(url.searchParams.get('lastEventId')).toBe('burns=1');
+  });
+
+  it('should ask a reopened socket for what was missed', async () => {
+    jest.useFakeTimers();
+
+    const connecting = client.connect();
+    sockets[0].open();
+    await connecting;
+
+    sockets[0].receive({ type: 'connected', connectionId: 'conn_1', channels: ['burns'] });
+    expect(sockets[0].send).not.toHaveBeenCalled();
+
+    sockets[0].receive(broadcast('burns', 5));
+    sockets[0].receive(broadcast('burns', 5));
+    expect(client.getStats().duplicates).toBe(1);
+
+    sockets[0].fail();
+    jest.advanceTimersByTime(1000);
+    sockets[1].open();
+    sockets[1].receive({ type: 'connected', connectionId: 'conn_2', channels: ['burns'] });
+
+    expect(JSON.parse(sockets[1].send.mock.calls[0][0])).toEqual({
+      type: 'resume',
+      channels: { burns: 5 },
+    });
+  });
+
+  it('should emit a resync when the server can no longer replay', async () => {
+    const resync = jest.fn();
+    eventBus.on(EVENTS.WS_RESYNC, resync);
+
+    const connecting = client.connect();
+    sockets[0].open();
+    await connecting;
+
+    sockets[0].receive({ type: 'connected', connectionId: 'conn_1', channels: ['burns'] });
+    sockets[0].receive({ type: 'resync', channel: 'burns', seq: 40 });
+    sockets[0].receive(broadcast('burns', 40));
+
+    expect(resync).toHaveBeenCalledWith({ channel: 'burns', seq: 40 });
+    expect(client.getStats()).toMatchObject({ resyncs: 1, duplicates: 1 });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * ASDF-Web Wallet Manager Sign-In Tests
+ * Tests the shipped client (js/solana/kit/wallet-manager.js): Sign-In With
+ * Solana through the wallet's native solana:signIn and through signMessage,
+ * from challenge to the verify request, and the errors it surfaces
+ *
+ * This is fine.
+ */
+
+const { TextDecoder } = require('util');
+const { loadModule } = require('./helpers/esm');
+
+// jsdom lacks them; messages go to the wallet as UTF-8 bytes
+global.TextEncoder = class {
+  encode(text) {
+    return new Uint8Array(Buffer.from(text, 'utf8'));
+  }
+};
+global.TextDecoder = TextDecoder;
+
+const ADDRESS = 'Wa11etManager1111111111111111111111111111111';
+const SIGNATURE = new Uint8Array(64).fill(7);
+const CHALLENGE = `alonisthe.dev wants you to sign in with your Solana account:\n${ADDRESS}`;
+
+// @solana/kit is loaded from a CDN in the browser
+const kit = {
+  address: value => value,
+  getBase58Decoder: () => ({ decode: bytes => `b58(${bytes.length})` }),
+};
+
+let WalletManager;
+
+/**
+ * Answer the next API request
+ */
+function answer(body, status = 200) {
+  global.fetch.mockResolvedValueOnce({
+    ok: status === 200,
+    status,
+    json: async () => body,
+  });
+}
+
+/**
+ * Parsed JSON body of the nth fetch
+ */
+function requestBody(n) {
+  return JSON.parse(global.fetch.mock.calls[n][1].body);
+}
+
+/**
+ * Legacy injected provider, discovered like Phantom
+ */
+function injectPhantom(provider) {
+  window.phantom = { solana: provider };
+  WalletManager._discoverWallets();
+}
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  ({ WalletManager } = loadModule('js/solana/kit/wallet-manager.js', {
+    'https://esm.sh/@solana/kit@5': kit,
+  }));
+});
+
+afterEach(() => {
+  delete window.phantom;
+  delete global.fetch;
+  jest.restoreAllMocks();
+});
+
+describe('signMessage flow', () => {
+  it('should connect, sign the challenge and verify it', async () => {
+    const provider = {
+      connect: jest.fn(async () => ({ publicKey: ADDRESS })),
+      signMessage: jest.fn(async () => ({ signature: SIGNATURE })),
+    };
+    injectPhantom(provider);
+    const onConnect = jest.fn();
+    WalletManager.on('connect', onConnect);
+    answer({ challenge: CHALLENGE });
+    answer({ success: true, user: { wallet: ADDRESS, tier: 'EMBER' } });
+
+    const result = await WalletManager.signIn('Phantom');
+
+    expect(result).toEqual({
+      address: ADDRESS,
+      wallet: 'Phantom',
+      user: { wallet: ADDRESS, tier: 'EMBER' },
+    });
+    expect(provider.connect).toHaveBeenCalledTimes(1);
+    expect(onConnect).toHaveBeenCalledTimes(1);
+
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/auth/challenge');
+    expect(requestBody(0)).toEqual({ wallet: ADDRESS });
+    expect(new TextDecoder().decode(provider.signMessage.mock.calls[0][0])).toBe(CHALLENGE);
+
+    expect(global.fetch.mock.calls[1][0]).toBe('/api/auth/verify');
+    expect(global.fetch.mock.calls[1][1]).toMatchObject({
+      method: 'POST',
+      credentials: 'include',
+    });
+    expect(requestBody(1)).toEqual({ wallet: ADDRESS, signature: 'b58(64)', message: CHALLENGE });
+  });
+
+  it('should sign in with the connected wallet and a custom API base', async () => {
+    const signMessage = jest.fn(async () => [
+      { signedMessage: new Uint8Array(), signature: SIGNATURE },
+    ]);
+    WalletManager.wallets.set('Standard', {
+      name: 'Standard',
+      features: {
+        'standard:connect': { connect: async () => [{ address: ADDRESS }] },
+        'solana:signMessage': { signMessage },
+      },
+    });
+    await WalletManager.connect('Standard');
+    answer({ challenge: CHALLENGE });
+    answer({ success: true, user: {} });
+
+    await WalletManager.signIn(undefined, { apiBase: 'https://api.asdf.test/api' });
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://api.asdf.test/api/auth/challenge',
+      'https://api.asdf.test/api/auth/verify',
+    ]);
+    expect(requestBody(1).signature).toBe('b58(64)');
+  });
+});
+
+describe('native sign-in', () => {
+  it("should sign the server's input in the wallet's own screen", async () => {
+    const input = { domain: 'alonisthe.dev', nonce: 'abc123', statement: 'Sign in to ASDF' };
+    const provider = {
+      signIn: jest.fn(async () => ({
+        address: ADDRESS,
+        signedMessage: new TextEncoder().encode(CHALLENGE),
+        signature: SIGNATURE,
+      })),
+      connect: jest.fn(),
+    };
+    injectPhantom(provider);
+    answer({ challenge: null, input });
+    answer({ success: true, user: { wallet: ADDRESS } });
+
+    const result = await WalletManager.signIn('Phantom');
+
+    // Not connected yet: the wallet fills in the address
+    expect(requestBody(0)).toEqual({});
+    expect(provider.signIn).toHaveBeenCalledWith(input);
+    expect(provider.connect).not.toHaveBeenCalled();
+    expect(requestBody(1)).toEqual({ wallet: ADDRESS, signature: 'b58(64)', message: CHALLENGE });
+
+    expect(result.address).toBe(ADDRESS);
+    expect(WalletManager.getAddress()).toBe(ADDRESS);
+  });
+});
+
+describe('errors', () => {
+  it('should require a known wallet', async () => {
+    await expect(WalletManager.signIn()).rejects.toThrow('No wallet selected');
+    await expect(WalletManager.signIn('Nope')).rejects.toThrow('Wallet "Nope" not found');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should report a rejected signature', async () => {
+    injectPhantom({
+      signIn: jest.fn(async () => {
+        throw new Error('User rejected the request.');
+      }),
+    });
+    answer({ challenge: null, input: {} });
+
+    await expect(WalletManager.signIn('Phantom')).rejects.toThrow('Sign-in rejected by user');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should surface challenge and verify errors from the API', async () => {
+    injectPhantom({
+      connect: async () => ({ publicKey: ADDRESS }),
+      signMessage: async () => ({ signature: SIGNATURE }),
+    });
+
+    answer({ error: 'Domain not allowed' }, 403);
+    await expect(WalletManager.signIn('Phantom')).rejects.toThrow('Domain not allowed');
+
+    answer({ challenge: CHALLENGE });
+    answer({ error: 'Invalid signature' }, 401);
+    await expect(WalletManager.signIn('Phantom')).rejects.toThrow('Invalid signature');
+
+    answer({ challenge: CHALLENGE });
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 502,
+      json: async () => {
+        throw new SyntaxError('Unexpected token <');
+      },
+    });
+    await expect(WalletManager.signIn('Phantom')).rejects.toThrow('Sign-in failed (502)');
+  });
+
+  it('should not connect a wallet the server refused', async () => {
+    injectPhantom({
+      signIn: async () => ({
+        address: ADDRESS,
+        signedMessage: new TextEncoder().encode(CHALLENGE),
+        signature: SIGNATURE,
+      }),
+    });
+    answer({ challenge: null, input: {} });
+    answer({ error: 'Sign-in domain mismatch' }, 401);
+
+    await expect(WalletManager.signIn('Phantom')).rejects.toThrow('Sign-in domain mismatch');
+    expect(WalletManager.isConnected()).toBe(false);
+  });
+
+  it('should refuse a wallet that returns no signature', async () => {
+    injectPhantom({
+      connect: async () => ({ publicKey: ADDRESS }),
+      signMessage: async () => ({}),
+    });
+    answer({ challenge: CHALLENGE });
+
+    await expect(WalletManager.signIn('Phantom')).rejects.toThrow('Wallet returned no signature');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});